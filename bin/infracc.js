@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * infracc - headless assessment pipeline (see src/cli/infracc.js)
+ *
+ * src/ is written as ES modules for the browser bundle, so it is compiled on require with the
+ * same Babel preset react-scripts uses for Jest (CommonJS output for the running Node version).
+ * @babel/core and babel-preset-react-app are declared in package.json for this.
+ */
+
+const path = require('path');
+
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+const babel = require('@babel/core');
+
+const srcDir = path.resolve(__dirname, '..', 'src') + path.sep;
+const loadJs = require.extensions['.js'];
+
+require.extensions['.js'] = (module, filename) => {
+  if (!filename.startsWith(srcDir)) {
+    return loadJs(module, filename);
+  }
+  const { code } = babel.transformFileSync(filename, {
+    babelrc: false,
+    configFile: false,
+    presets: [require.resolve('babel-preset-react-app')],
+    sourceMaps: 'inline'
+  });
+  return module._compile(code, filename);
+};
+
+const { runCli } = require('../src/cli/infracc.js');
+
+runCli(process.argv.slice(2)).then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
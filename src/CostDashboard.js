@@ -1,10 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { Line, Doughnut, Bar } from 'react-chartjs-2';
 
+// Trend ranges in billing months
+const TREND_RANGES = { '3months': 3, '6months': 6, '12months': 12 };
+
+// Monthly cost of a workload entity or plain workload object (Money or number)
+const getWorkloadMonthlyCost = (workload) => {
+  const cost = workload.monthlyCost;
+  if (cost && typeof cost === 'object') {
+    return parseFloat(cost.amount) || 0;
+  }
+  return parseFloat(cost) || 0;
+};
+
+// Source cloud of a workload ('aws', 'azure' or 'gcp')
+const getWorkloadProvider = (workload) => {
+  const provider = workload.sourceProvider;
+  const type = provider && typeof provider === 'object' ? provider.type : provider;
+  return type === 'azure' || type === 'gcp' ? type : 'aws';
+};
+
 function CostDashboard({ workloads }) {
-  const [timeRange, setTimeRange] = useState('30days');
+  const [timeRange, setTimeRange] = useState('6months');
 
-  // Simulate cost data based on workloads
+  // Cost data from the workloads: monthly cost per cloud, and history from the per-month cost
+  // series of multi-month billing uploads (CUR). Workloads without billing data are estimated from specs.
   const generateCostData = () => {
     if (!workloads || workloads.length === 0) {
       return {
@@ -15,14 +35,12 @@ function CostDashboard({ workloads }) {
       };
     }
 
-    // Calculate current costs based on workloads
+    // Estimate for workloads that carry no billed cost
     const costPerCPU = 30; // $30/month per vCPU
     const costPerGB = 4; // $4/month per GB RAM
     const costPerGBStorage = 0.5; // $0.50/month per GB storage
 
-    let gcpCost = 0;
-    let awsCost = 0;
-    let azureCost = 0;
+    const current = { gcp: 0, aws: 0, azure: 0 };
     const byService = {
       compute: 0,
       storage: 0,
@@ -31,57 +49,60 @@ function CostDashboard({ workloads }) {
       other: 0,
     };
     const byWorkload = [];
+    const byMonth = new Map(); // 'YYYY-MM' -> { gcp, aws, azure }
 
     workloads.forEach(workload => {
-      const workloadCost =
-        (workload.cpu * costPerCPU) +
-        (workload.memory * costPerGB) +
-        (workload.storage * costPerGBStorage) +
-        (workload.monthlyTraffic * 0.1);
-
-      // Distribute across clouds (for demo purposes)
-      gcpCost += workloadCost * 0.6;
-      awsCost += workloadCost * 0.25;
-      azureCost += workloadCost * 0.15;
+      const data = workload.toJSON ? workload.toJSON() : workload;
+      const billedCost = getWorkloadMonthlyCost(data);
+      const workloadCost = billedCost > 0
+        ? billedCost
+        : ((data.cpu || 0) * costPerCPU) +
+          ((data.memory || 0) * costPerGB) +
+          ((data.storage || 0) * costPerGBStorage) +
+          ((data.monthlyTraffic || 0) * 0.1);
+      const provider = getWorkloadProvider(data);
+      const type = data.type && typeof data.type === 'object' ? data.type.type : data.type;
+
+      current[provider] += workloadCost;
 
       // By service type
-      if (workload.type === 'vm' || workload.type === 'container' || workload.type === 'application') {
+      if (type === 'vm' || type === 'container' || type === 'application' || type === 'compute') {
         byService.compute += workloadCost;
-      } else if (workload.type === 'storage') {
+      } else if (type === 'storage') {
         byService.storage += workloadCost;
-      } else if (workload.type === 'database') {
+      } else if (type === 'database') {
         byService.database += workloadCost;
+      } else if (type === 'networking') {
+        byService.networking += workloadCost;
       } else {
         byService.other += workloadCost;
       }
 
       byWorkload.push({
-        name: workload.name,
+        name: data.name,
         cost: workloadCost,
-        type: workload.type,
+        type,
       });
+
+      for (const [month, cost] of Object.entries(data.costByMonth || {})) {
+        if (!byMonth.has(month)) {
+          byMonth.set(month, { gcp: 0, aws: 0, azure: 0 });
+        }
+        byMonth.get(month)[provider] += cost;
+      }
     });
 
-    // Generate historical data (last 30 days)
-    const historical = [];
-    const days = timeRange === '7days' ? 7 : timeRange === '30days' ? 30 : 90;
-
-    for (let i = days; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      const variance = 0.85 + Math.random() * 0.3; // 85-115% of base cost
-
-      historical.push({
-        date: date.toISOString().split('T')[0],
-        gcp: gcpCost * variance,
-        aws: awsCost * variance,
-        azure: azureCost * variance,
-        total: (gcpCost + awsCost + azureCost) * variance,
+    // Billing history for the selected range (last N billing months of the uploads)
+    const historical = Array.from(byMonth.keys())
+      .sort()
+      .slice(-TREND_RANGES[timeRange])
+      .map(month => {
+        const costs = byMonth.get(month);
+        return { month, ...costs, total: costs.gcp + costs.aws + costs.azure };
       });
-    }
 
     return {
-      current: { gcp: gcpCost, aws: awsCost, azure: azureCost },
+      current,
       historical,
       byService,
       byWorkload: byWorkload.sort((a, b) => b.cost - a.cost).slice(0, 10),
@@ -96,13 +117,11 @@ function CostDashboard({ workloads }) {
   }, [workloads, timeRange]);
 
   const totalCurrentCost = costData.current.gcp + costData.current.aws + costData.current.azure;
+  const hasHistory = costData.historical.length > 1;
 
-  // Historical trend chart data
+  // Monthly trend chart data
   const trendChartData = {
-    labels: costData.historical.map(d => {
-      const date = new Date(d.date);
-      return `${date.getMonth() + 1}/${date.getDate()}`;
-    }),
+    labels: costData.historical.map(d => d.month),
     datasets: [
       {
         label: 'GCP',
@@ -137,7 +156,7 @@ function CostDashboard({ workloads }) {
       },
       title: {
         display: true,
-        text: 'Multi-Cloud Cost Trend',
+        text: 'Monthly Cost Trend',
       },
       tooltip: {
         callbacks: {
@@ -258,12 +277,16 @@ function CostDashboard({ workloads }) {
     }
   };
 
-  // Calculate month-over-month change (simulated)
-  const lastMonthCost = totalCurrentCost * (0.92 + Math.random() * 0.16); // 92-108% of current
-  const costChange = ((totalCurrentCost - lastMonthCost) / lastMonthCost) * 100;
-
-  // Projected next month (simulated trend)
-  const projectedNextMonth = totalCurrentCost * (1.02 + Math.random() * 0.06); // 102-108% growth
+  // Month-over-month change and linear forecast from the billing history (needs 2+ months)
+  const latestMonth = hasHistory ? costData.historical[costData.historical.length - 1] : null;
+  const previousMonth = hasHistory ? costData.historical[costData.historical.length - 2] : null;
+  const costChange = hasHistory && previousMonth.total !== 0
+    ? ((latestMonth.total - previousMonth.total) / Math.abs(previousMonth.total)) * 100
+    : null;
+  const averageMonthlyChange = hasHistory
+    ? (latestMonth.total - costData.historical[0].total) / (costData.historical.length - 1)
+    : 0;
+  const projectedNextMonth = hasHistory ? latestMonth.total + averageMonthlyChange : null;
 
   return (
     <div className="card mb-4">
@@ -282,27 +305,16 @@ function CostDashboard({ workloads }) {
             <div className="row mb-4">
               <div className="col-12">
                 <div className="btn-group" role="group">
-                  <button
-                    type="button"
-                    className={`btn ${timeRange === '7days' ? 'btn-dark' : 'btn-outline-dark'}`}
-                    onClick={() => setTimeRange('7days')}
-                  >
-                    Last 7 Days
-                  </button>
-                  <button
-                    type="button"
-                    className={`btn ${timeRange === '30days' ? 'btn-dark' : 'btn-outline-dark'}`}
-                    onClick={() => setTimeRange('30days')}
-                  >
-                    Last 30 Days
-                  </button>
-                  <button
-                    type="button"
-                    className={`btn ${timeRange === '90days' ? 'btn-dark' : 'btn-outline-dark'}`}
-                    onClick={() => setTimeRange('90days')}
-                  >
-                    Last 90 Days
-                  </button>
+                  {Object.entries(TREND_RANGES).map(([range, months]) => (
+                    <button
+                      key={range}
+                      type="button"
+                      className={`btn ${timeRange === range ? 'btn-dark' : 'btn-outline-dark'}`}
+                      onClick={() => setTimeRange(range)}
+                    >
+                      Last {months} Months
+                    </button>
+                  ))}
                 </div>
               </div>
             </div>
@@ -314,9 +326,11 @@ function CostDashboard({ workloads }) {
                   <div className="card-body">
                     <h6 className="text-muted mb-2">Current Monthly Cost</h6>
                     <h2 className="mb-1">${totalCurrentCost.toFixed(2)}</h2>
-                    <span className={`badge ${costChange >= 0 ? 'bg-danger' : 'bg-success'}`}>
-                      {costChange >= 0 ? '▲' : '▼'} {Math.abs(costChange).toFixed(1)}% vs last month
-                    </span>
+                    {costChange !== null && (
+                      <span className={`badge ${costChange >= 0 ? 'bg-danger' : 'bg-success'}`}>
+                        {costChange >= 0 ? '▲' : '▼'} {Math.abs(costChange).toFixed(1)}% vs last month
+                      </span>
+                    )}
                   </div>
                 </div>
               </div>
@@ -366,18 +380,19 @@ function CostDashboard({ workloads }) {
                     <strong>📈 Next Month Forecast</strong>
                   </div>
                   <div className="card-body">
-                    <h3>${projectedNextMonth.toFixed(2)}</h3>
-                    <p className="mb-2">
-                      Projected increase: <strong>${(projectedNextMonth - totalCurrentCost).toFixed(2)}</strong>
-                    </p>
-                    <div className="progress" style={{height: '25px'}}>
-                      <div
-                        className="progress-bar bg-info"
-                        style={{width: '100%'}}
-                      >
-                        Trending: +{(((projectedNextMonth - totalCurrentCost) / totalCurrentCost) * 100).toFixed(1)}%
-                      </div>
-                    </div>
+                    {projectedNextMonth !== null ? (
+                      <>
+                        <h3>${projectedNextMonth.toFixed(2)}</h3>
+                        <p className="mb-2">
+                          Projected change: <strong>${(projectedNextMonth - latestMonth.total).toFixed(2)}</strong>
+                          {' '}(linear trend over the last {costData.historical.length} billing months)
+                        </p>
+                      </>
+                    ) : (
+                      <p className="text-muted mb-0">
+                        Upload a billing export covering two or more months to forecast next month's cost.
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -414,7 +429,13 @@ function CostDashboard({ workloads }) {
                 <div className="card h-100">
                   <div className="card-body">
                     <div style={{ height: '350px' }}>
-                      <Line data={trendChartData} options={trendChartOptions} />
+                      {costData.historical.length > 0 ? (
+                        <Line data={trendChartData} options={trendChartOptions} />
+                      ) : (
+                        <div className="d-flex h-100 align-items-center justify-content-center text-muted">
+                          No billing history - upload a CUR to see the monthly trend.
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
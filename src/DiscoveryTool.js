@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { parseCSV, downloadCSVTemplate, exportWorkloadsToCSV } from './utils/csvImport';
 import { getAllAwsServices, getAllAzureServices } from './utils/serviceMapping';
+import { getExportRedactor } from './utils/redaction';
 
 function DiscoveryTool({ onAnalysisComplete, sourceCloud = 'aws', onSourceCloudChange }) {
   const [discoveryMethod, setDiscoveryMethod] = useState('manual');
@@ -72,6 +73,14 @@ function DiscoveryTool({ onAnalysisComplete, sourceCloud = 'aws', onSourceCloudC
     event.target.value = null;
   };
 
+  const handleCSVExport = () => {
+    try {
+      exportWorkloadsToCSV(workloads, { redactor: getExportRedactor() }); // Anonymisation mode, with the current project's salt
+    } catch (error) {
+      alert('Error exporting CSV: ' + error.message);
+    }
+  };
+
   const getServiceOptions = () => {
     return sourceCloud === 'aws' ? getAllAwsServices() : getAllAzureServices();
   };
@@ -338,6 +347,9 @@ function DiscoveryTool({ onAnalysisComplete, sourceCloud = 'aws', onSourceCloudC
             </div>
 
             <div className="d-grid gap-2">
+              <button className="btn btn-outline-secondary" onClick={handleCSVExport}>
+                Export CSV
+              </button>
               <button className="btn btn-primary btn-lg" onClick={handleAnalysis}>
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-graph-up me-2" viewBox="0 0 16 16">
                   <path fillRule="evenodd" d="M0 0h1v15h15v1H0V0Zm14.817 3.113a.5.5 0 0 1 .07.704l-4.5 5.5a.5.5 0 0 1-.74.037L7.06 6.767l-3.656 5.027a.5.5 0 0 1-.808-.588l4-5.5a.5.5 0 0 1 .758-.06l2.609 2.61 4.15-5.073a.5.5 0 0 1 .704-.07Z"/>
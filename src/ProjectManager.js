@@ -8,6 +8,8 @@ import {
   importProjectJSON,
 } from './utils/storage';
 import { loadDemoData } from './utils/demoData';
+import { getExportRedactor } from './utils/redaction';
+import RedactionToggle from './components/RedactionToggle';
 
 function ProjectManager({ onLoadProject, onNewProject, currentProjectName, onProjectNameChange }) {
   const [showModal, setShowModal] = useState(false);
@@ -66,7 +68,7 @@ function ProjectManager({ onLoadProject, onNewProject, currentProjectName, onPro
   const handleExport = (projectId) => {
     const project = loadProject(projectId);
     if (project) {
-      exportProjectJSON(project.data);
+      exportProjectJSON(project.data, { redactor: getExportRedactor() });
     }
   };
 
@@ -206,13 +208,14 @@ function ProjectManager({ onLoadProject, onNewProject, currentProjectName, onPro
                               name: currentProjectName,
                               // Would include actual current state from App
                             };
-                            exportProjectJSON(data);
+                            exportProjectJSON(data, { redactor: getExportRedactor() });
                           }}
                         >
                           📤 Export Current
                         </button>
                       </div>
                     </div>
+                    <RedactionToggle id="projectExportRedaction" />
                     <p className="text-muted small mb-0 mt-2">
                       Import/Export projects as JSON files for backup or sharing
                     </p>
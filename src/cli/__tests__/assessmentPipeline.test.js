@@ -0,0 +1,156 @@
+/**
+ * Headless Assessment Pipeline Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runAssessmentPipeline, PipelineStep } from '../assessmentPipeline.js';
+import { parseCliArgs, UsageError } from '../infracc.js';
+import { FileSystemWorkloadRepository } from '../../infrastructure/repositories/FileSystemWorkloadRepository.js';
+
+const CUR = [
+  'lineItem/UsageAccountId,lineItem/ProductCode,lineItem/ResourceId,lineItem/UnblendedCost,product/region,lineItem/UsageStartDate',
+  '123456789012,AmazonEC2,i-web,100,us-east-1,2024-05-01T00:00:00Z',
+  '123456789012,AmazonEC2,i-web,50,us-east-1,2024-05-02T00:00:00Z',
+  '123456789012,AmazonRDS,db-main,200,us-east-1,2024-05-01T00:00:00Z',
+  '123456789012,AmazonS3,assets-bucket,25,us-east-1,2024-05-01T00:00:00Z'
+].join('\n');
+
+const toArrayBuffer = (text) => new TextEncoder().encode(text).buffer;
+
+describe('runAssessmentPipeline', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'infracc-pipeline-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // No pricing backend: estimates use the fallback rates
+    global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('runs discovery, assessment, strategy and cost on a CUR with a file-system repository', async () => {
+    const workloadRepository = new FileSystemWorkloadRepository({ directory });
+    const steps = [];
+    const result = await runAssessmentPipeline(toArrayBuffer(CUR), {
+      workloadRepository,
+      onStep: ({ step, status }) => steps.push(`${step}:${status}`)
+    });
+
+    expect(steps).toEqual([PipelineStep.DISCOVERY, PipelineStep.ASSESSMENT, PipelineStep.STRATEGY, PipelineStep.COST]
+      .flatMap(step => [`${step}:running`, `${step}:completed`]));
+    expect(result.upload).toMatchObject({ totalMonthlyCost: 375, uniqueWorkloads: 3, totalRows: 4 });
+    expect(result.reportData.summary.totalMonthlyCost).toBe(375);
+    expect(result.assessmentResults.summary).toEqual({ total: 3, successful: 3, failed: 0 });
+
+    const { wavePlan } = result.strategyResults;
+    expect(wavePlan.wave1.length + wavePlan.wave2.length + wavePlan.wave3.length).toBe(3);
+    expect(result.costEstimates.map(estimate => estimate.service).sort()).toEqual(['EC2', 'RDS', 'S3']);
+    expect(result.costTotals.awsTotal).toBe(375);
+
+    // Assessments are stored with the workloads
+    const stored = await new FileSystemWorkloadRepository({ directory }).findById('i-web_ec2_us-east-1');
+    expect(stored.assessment.complexityScore).toBeGreaterThan(0);
+  });
+
+  it('keeps every workload of a resource billed in two locations on the sample CUR', async () => {
+    // The two my-bucket-1 rows of the sample carry different locations, so they are two workloads with one resource ID
+    const sample = fs.readFileSync(path.join(__dirname, '..', '..', '..', 'sample-aws-cur.csv'));
+    const result = await runAssessmentPipeline(new Uint8Array(sample).buffer, {
+      workloadRepository: new FileSystemWorkloadRepository({ directory })
+    });
+
+    expect(result.upload.uniqueWorkloads).toBe(10);
+    expect(result.assessmentResults.summary).toEqual({ total: 10, successful: 10, failed: 0 });
+    expect(result.costTotals.awsTotal).toBeCloseTo(result.upload.totalMonthlyCost);
+  });
+
+  it('matches the GCP machine type of each instance type', async () => {
+    const cur = [
+      'lineItem/ProductCode,lineItem/ResourceId,lineItem/UnblendedCost,product/instanceType,product/region',
+      'AmazonEC2,i-web,100,m5.large,us-east-1',
+      'AmazonEC2,i-cache,60,r5.xlarge,us-east-1'
+    ].join('\n');
+    const result = await runAssessmentPipeline(toArrayBuffer(cur), {
+      workloadRepository: new FileSystemWorkloadRepository({ directory })
+    });
+
+    const { machineTypeMatches, mappingCoverage } = result.reportData.summary;
+    expect(machineTypeMatches).toMatchObject({ totalCost: 160, matchedCost: 160, instanceTypes: 2 });
+    expect(machineTypeMatches.matches.map(entry => [entry.instanceType, entry.match.machineType]))
+      .toEqual([['m5.large', 'n2-standard-2'], ['r5.xlarge', 'n2-highmem-4']]);
+    expect(mappingCoverage.totalCost).toBe(160);
+  });
+
+  it('matches a Cloud SQL tier to each RDS database', async () => {
+    const cur = [
+      'lineItem/ProductCode,lineItem/ResourceId,lineItem/UsageType,lineItem/UsageAmount,lineItem/UnblendedCost,product/instanceType,product/databaseEngine,product/deploymentOption,product/region',
+      'AmazonRDS,db-orders,USE1-Multi-AZUsage:db.m5.large,730,250,db.m5.large,PostgreSQL,Multi-AZ,us-east-1',
+      'AmazonRDS,db-orders,USE1-RDS:Multi-AZ-GP3-Storage,100,23,,PostgreSQL,Multi-AZ,us-east-1'
+    ].join('\n');
+    const result = await runAssessmentPipeline(toArrayBuffer(cur), {
+      workloadRepository: new FileSystemWorkloadRepository({ directory })
+    });
+
+    const { databaseTierMatches } = result.reportData.summary;
+    expect(databaseTierMatches).toMatchObject({ totalCost: 273, matchedCost: 273, groups: 1 });
+    expect(databaseTierMatches.matches[0]).toMatchObject({ instanceType: 'db.m5.large', engine: 'postgresql', multiAz: true });
+    expect(databaseTierMatches.matches[0].match).toMatchObject({ tier: 'db-custom-2-8192', highAvailability: true, storageGb: 100 });
+  });
+
+  it('matches a Cloud Storage class to each S3 storage class', async () => {
+    const cur = [
+      'lineItem/ProductCode,lineItem/ResourceId,lineItem/UsageType,lineItem/UsageAmount,lineItem/UnblendedCost,product/region',
+      'AmazonS3,logs-bucket,USE1-TimedStorage-ByteHrs,1000,23,us-east-1',
+      'AmazonS3,logs-bucket,USE1-TimedStorage-GDA-ByteHrs,10000,10,us-east-1',
+      'AmazonS3,logs-bucket,USE1-DataTransfer-Out-Bytes,50,4.5,us-east-1'
+    ].join('\n');
+    const result = await runAssessmentPipeline(toArrayBuffer(cur), {
+      workloadRepository: new FileSystemWorkloadRepository({ directory })
+    });
+
+    const { storageClassMatches } = result.reportData.summary;
+    expect(storageClassMatches).toMatchObject({ totalCost: 37.5, matchedCost: 33, classes: 2 });
+    expect(storageClassMatches.matches.map(entry => [entry.storageClass, entry.match.storageClass]))
+      .toEqual([['standard', 'standard'], ['deep-archive', 'archive']]);
+    expect(storageClassMatches.gcpCost).toBeCloseTo(20 + 12);
+  });
+});
+
+describe('parseCliArgs', () => {
+  it('resolves defaults against the working directory', () => {
+    const args = parseCliArgs(['bills/cur.csv.gz'], '/work');
+    expect(args).toMatchObject({
+      curPath: '/work/bills/cur.csv.gz',
+      compression: 'gzip',
+      outDir: '/work/infracc-output',
+      workDir: '/work/infracc-output/workloads',
+      jsonPath: '/work/infracc-output/assessment.json',
+      pdfPath: '/work/infracc-output/assessment-report.pdf',
+      targetRegion: 'us-central1',
+      baselineMonths: 3
+    });
+  });
+
+  it('accepts JSON on stdout, no PDF and pipeline options', () => {
+    const args = parseCliArgs(['cur.csv', '--json', '-', '--no-pdf', '-r', 'europe-west1', '--cost-basis', 'amortized', '--rightsizing', 'cost-optimized'], '/work');
+    expect(args).toMatchObject({ jsonPath: '-', pdfPath: null, targetRegion: 'europe-west1', costBasis: 'amortized', rightsizingPolicy: 'cost-optimized' });
+    expect(parseCliArgs(['cur.csv'], '/work').rightsizingPolicy).toBe('like-for-like');
+  });
+
+  it('reports usage errors', () => {
+    expect(() => parseCliArgs([], '/work')).toThrow(UsageError);
+    expect(() => parseCliArgs(['a.csv', 'b.csv'], '/work')).toThrow('Only one CUR file');
+    expect(() => parseCliArgs(['cur.csv', '--cost-basis', 'blended'], '/work')).toThrow('Unknown cost basis');
+    expect(() => parseCliArgs(['cur.csv', '--rightsizing', 'cheapest'], '/work')).toThrow('Unknown rightsizing policy');
+    expect(() => parseCliArgs(['cur.parquet'], '/work')).toThrow('Parquet');
+    expect(() => parseCliArgs(['cur.csv', '--bogus'], '/work')).toThrow(UsageError);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Headless Assessment Pipeline
+ *
+ * The Discovery -> Assessment -> Strategy -> Cost steps of PipelineOrchestrator without the UI,
+ * agent status or IndexedDB: the CUR is streamed into the given workload repository and the
+ * domain services and use cases run on it directly. Used by the infracc CLI (see cli/infracc.js),
+ * so results match what the report view shows for the same file.
+ */
+
+import { parseAwsCurStreaming } from '../utils/streamingCsvParser.js';
+import { Workload } from '../domain/entities/Workload.js';
+import { WorkloadAssessmentService } from '../domain/services/WorkloadAssessmentService.js';
+import { ReportDataAggregator } from '../domain/services/ReportDataAggregator.js';
+import { GCPCostEstimator } from '../domain/services/GCPCostEstimator.js';
+import { MappingCoverageService } from '../domain/services/MappingCoverageService.js';
+import { MachineTypeMatchService } from '../domain/services/MachineTypeMatchService.js';
+import { DatabaseTierMatchService } from '../domain/services/DatabaseTierMatchService.js';
+import { StorageClassMatchService } from '../domain/services/StorageClassMatchService.js';
+import { ServiceMappingRepository } from '../infrastructure/repositories/ServiceMappingRepository.js';
+import { AssessWorkloadUseCase } from '../application/use_cases/AssessWorkloadUseCase.js';
+import { GenerateMigrationPlanUseCase } from '../application/use_cases/GenerateMigrationPlanUseCase.js';
+import { PlanMigrationWavesUseCase } from '../application/use_cases/PlanMigrationWavesUseCase.js';
+import { getBillingMonths, getBaselineWindow, averageOverWindow, costSeriesToArray, DEFAULT_BASELINE_MONTHS } from '../utils/costTimeSeries.js';
+import { summarizeCostBasis } from '../utils/curCostBasis.js';
+import { reconcileLineItemLedger } from '../utils/curLineItemLedger.js';
+
+export const PipelineStep = {
+  DISCOVERY: 'discovery',
+  ASSESSMENT: 'assessment',
+  STRATEGY: 'strategy',
+  COST: 'cost'
+};
+
+/**
+ * Multi-month CURs: set each workload's monthly cost to its average over the baseline window
+ * (same rule as the browser upload, FileUploadManager._applyMonthlyBaseline)
+ * @private
+ */
+function applyMonthlyBaseline(workloads, baselineWindow) {
+  return workloads.map(workload => {
+    const workloadData = workload.toJSON();
+    if (Object.keys(workloadData.costByMonth || {}).length === 0) return workload;
+    const baselineCost = averageOverWindow(workloadData.costByMonth, baselineWindow);
+    if (Math.abs(baselineCost - (workloadData.monthlyCost || 0)) < 0.005) return workload;
+    return new Workload({ ...workloadData, monthlyCost: baselineCost });
+  });
+}
+
+/**
+ * Key each workload by its dedupe key (resource ID, service and region), like the browser upload
+ * (FileUploadManager._deduplicateAndSave): parsers keep id = resource ID, so one resource billed under
+ * two services or regions would otherwise be saved over itself in the repository
+ * @private
+ */
+function keyByDedupeKey(workloads) {
+  return workloads.map(workload => {
+    const workloadData = workload.toJSON();
+    const resourceId = String(workloadData.id || '').trim();
+    const dedupeKey = `${resourceId}_${String(workloadData.service || '').trim()}_${String(workloadData.region || '').trim()}`.toLowerCase();
+    return new Workload({ ...workloadData, id: dedupeKey, name: workloadData.name || resourceId.split('/').pop() || dedupeKey });
+  });
+}
+
+/**
+ * Run the assessment pipeline on one CUR
+ * @param {File|Blob|ArrayBuffer} input - CUR file (CSV, or gzip-compressed CSV with options.compression)
+ * @param {Object} options
+ * @param {Object} options.workloadRepository - WorkloadRepositoryPort with saveManyImmediate / findManyStored
+ *   (FileSystemWorkloadRepository in Node)
+ * @param {string} options.targetRegion - GCP region for estimates (default 'us-central1')
+ * @param {string} options.compression - Optional 'gzip'
+ * @param {string} options.costBasis - Optional CostBasis
+ * @param {string[]} options.baselineLineItemTypes - Optional line item types in the baseline
+ * @param {number} options.baselineMonths - Multi-month CURs: average of the last N months (default 3)
+ * @param {number} options.sampling - Optional resources sampled per service + region (see curResourceSampler.js)
+ * @param {Function} options.onStep - Optional callback ({step, status, message}) as each step starts and ends
+ * @param {Function} options.onProgress - Optional parser progress callback
+ * @returns {Promise<{upload: Object, reportData: Object, costEstimates: Array, costTotals: Object,
+ *   assessmentResults: Object, strategyResults: Object}>}
+ */
+export async function runAssessmentPipeline(input, options = {}) {
+  const {
+    workloadRepository,
+    targetRegion = 'us-central1',
+    compression,
+    costBasis,
+    baselineLineItemTypes,
+    baselineMonths = DEFAULT_BASELINE_MONTHS,
+    sampling,
+    onStep = () => {},
+    onProgress
+  } = options;
+  if (!workloadRepository) {
+    throw new Error('runAssessmentPipeline requires a workloadRepository');
+  }
+
+  // Discovery: stream the CUR into the repository
+  onStep({ step: PipelineStep.DISCOVERY, status: 'running', message: 'Parsing CUR' });
+  const parsed = await parseAwsCurStreaming(input, onProgress, {
+    workloadRepository,
+    compression,
+    costBasis,
+    baselineLineItemTypes,
+    sampling
+  });
+  const metadata = parsed._metadata || {};
+  const billingMonths = getBillingMonths([metadata.costByMonth]);
+  const baselineWindow = getBaselineWindow(billingMonths, baselineMonths);
+  const workloads = keyByDedupeKey(billingMonths.length > 1 ? applyMonthlyBaseline(parsed, baselineWindow) : Array.from(parsed));
+  // Workloads the parser flushed are stored under their resource ID: replace them with the re-keyed ones
+  const dedupeKeys = new Set(workloads.map(workload => workload.id));
+  for (const workload of parsed) {
+    if (!dedupeKeys.has(workload.id)) await workloadRepository.delete(workload.id);
+  }
+  await workloadRepository.saveManyImmediate(workloads);
+
+  const upload = {
+    fileName: input?.name || '',
+    totalMonthlyCost: billingMonths.length > 1 ? averageOverWindow(metadata.costByMonth, baselineWindow) : metadata.totalRawCost || 0,
+    totalRows: metadata.totalRows || 0,
+    uniqueWorkloads: workloads.length,
+    skippedRows: metadata.skippedRows || {},
+    schemaProfile: metadata.schemaProfile || null,
+    costBasis: summarizeCostBasis(costBasis, [metadata.costBasis]),
+    lineItemLedger: metadata.lineItemLedger ? reconcileLineItemLedger(metadata.lineItemLedger) : null,
+    ingestionReport: metadata.ingestionReport || null,
+    sampling: metadata.sampling || null,
+    costTrend: costSeriesToArray(metadata.costByMonth),
+    baselinePeriod: billingMonths.length > 1 ? { months: baselineWindow, billingMonths: billingMonths.length } : null
+  };
+  onStep({ step: PipelineStep.DISCOVERY, status: 'completed', message: `${workloads.length.toLocaleString()} workloads` });
+  if (workloads.length === 0) {
+    throw new Error('No workloads found in the CUR');
+  }
+  const workloadIds = Array.from(new Set(workloads.map(workload => workload.id)));
+
+  // Assessment: one rule-based assessment per workload, stored on the workload
+  onStep({ step: PipelineStep.ASSESSMENT, status: 'running', message: `Assessing ${workloadIds.length.toLocaleString()} workloads` });
+  const assessWorkloadUseCase = new AssessWorkloadUseCase({
+    assessmentService: new WorkloadAssessmentService(),
+    workloadRepository
+  });
+  const assessments = [];
+  let failed = 0;
+  for (const workloadId of workloadIds) {
+    try {
+      assessments.push((await assessWorkloadUseCase.execute({ workloadId })).toJSON());
+    } catch (error) {
+      failed++;
+      console.warn(`Assessment failed for workload ${workloadId}:`, error.message);
+    }
+  }
+  await workloadRepository.flush?.();
+  const assessmentResults = {
+    results: assessments,
+    summary: { total: workloadIds.length, successful: assessments.length, failed }
+  };
+  onStep({ step: PipelineStep.ASSESSMENT, status: 'completed', message: `${assessments.length.toLocaleString()} assessments` });
+
+  // Strategy: 6 R's plan and migration waves (PlanningAgent without the AI step)
+  onStep({ step: PipelineStep.STRATEGY, status: 'running', message: 'Planning migration waves' });
+  const serviceMappingPort = new ServiceMappingRepository({ useOfficialDocs: true });
+  const migrationPlan = await new GenerateMigrationPlanUseCase({ serviceMappingPort, workloadRepository })
+    .execute({ workloadIds, useCodeMod: false });
+  const wavePlan = await new PlanMigrationWavesUseCase({ serviceMappingPort, workloadRepository })
+    .execute({ workloadIds });
+  await workloadRepository.flush?.();
+  const strategyResults = {
+    migrationPlan,
+    wavePlan,
+    generatedAt: new Date().toISOString()
+  };
+  onStep({ step: PipelineStep.STRATEGY, status: 'completed', message: `${wavePlan.wave1.length + wavePlan.wave2.length + wavePlan.wave3.length} workloads in waves` });
+
+  // Cost: report aggregations and GCP estimates per service
+  onStep({ step: PipelineStep.COST, status: 'running', message: `Estimating GCP costs in ${targetRegion}` });
+  const assessedWorkloads = (await workloadRepository.findAll()).map(workload => workload.toJSON());
+  const reportSummary = ReportDataAggregator.generateReportSummary(assessedWorkloads);
+  const reportData = {
+    summary: {
+      ...reportSummary.summary,
+      costBasis: upload.costBasis,
+      lineItemLedger: upload.lineItemLedger,
+      baselinePeriod: upload.baselinePeriod,
+      ingestionReport: upload.ingestionReport,
+      sampling: ReportDataAggregator.describeSampling(assessedWorkloads, upload.sampling),
+      mappingCoverage: MappingCoverageService.analyzeCoverage(reportSummary.services.topServices, upload.ingestionReport),
+      machineTypeMatches: MachineTypeMatchService.analyzeMatches(reportSummary.services.topServices),
+      databaseTierMatches: DatabaseTierMatchService.analyzeMatches(reportSummary.services.topServices),
+      storageClassMatches: StorageClassMatchService.analyzeMatches(reportSummary.services.topServices)
+    },
+    complexity: reportSummary.complexity,
+    readiness: reportSummary.readiness,
+    services: reportSummary.services,
+    regions: reportSummary.regions,
+    accounts: reportSummary.accounts
+  };
+  const costEstimates = await GCPCostEstimator.estimateAllServiceCosts(
+    ReportDataAggregator.aggregateByService(assessedWorkloads),
+    targetRegion
+  );
+  const costTotals = GCPCostEstimator.calculateTotalCosts(costEstimates);
+  onStep({ step: PipelineStep.COST, status: 'completed', message: `${costEstimates.length} service estimates` });
+
+  return { upload, reportData, costEstimates, costTotals, assessmentResults, strategyResults };
+}
+
+export default runAssessmentPipeline;
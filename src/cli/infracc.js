@@ -0,0 +1,280 @@
+/**
+ * infracc CLI
+ *
+ * Runs the full assessment on a CUR without the browser: parses the file into a file-system
+ * workload repository, runs the assessment pipeline (cli/assessmentPipeline.js) and writes the
+ * JSON results and the PDF report. Started by bin/infracc.js, which compiles src/ on the fly.
+ *
+ *   infracc <cur.csv|cur.csv.gz> [--out dir] [--region us-central1] [--json path|-] [--no-pdf]
+ *
+ * Exit codes: 0 success, 1 pipeline error, 2 usage error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { runAssessmentPipeline } from './assessmentPipeline.js';
+import { FileSystemWorkloadRepository } from '../infrastructure/repositories/FileSystemWorkloadRepository.js';
+import { generateComprehensiveReportPDF } from '../utils/reportPdfGenerator.js';
+import { CostBasis } from '../utils/curCostBasis.js';
+import { DEFAULT_BASELINE_MONTHS } from '../utils/costTimeSeries.js';
+import { MIN_RESOURCES_PER_STRATUM } from '../utils/curResourceSampler.js';
+import { parseMappingSet, importMappingOverrides, setActiveMappingProject, MappingSetFormat } from '../utils/serviceMappingOverrides.js';
+import { RightsizingPolicy, DEFAULT_RIGHTSIZING_POLICY, setRightsizingPolicy } from '../utils/gcpMachineTypeMatcher.js';
+
+export const RESULTS_FORMAT_VERSION = 1;
+
+const DEFAULT_PROJECT_NAME = 'AWS to GCP Migration Assessment';
+
+export const USAGE = `Usage: infracc <cur-file> [options]
+
+Runs the AWS to GCP assessment on a Cost and Usage Report (.csv or .csv.gz).
+
+Options:
+  -o, --out <dir>            Output directory (default: ./infracc-output)
+      --workdir <dir>        Workload repository directory (default: <out>/workloads)
+  -r, --region <region>      Target GCP region (default: us-central1)
+  -p, --project <name>       Project name on the report (default: "${DEFAULT_PROJECT_NAME}")
+      --cost-basis <basis>   ${Object.values(CostBasis).join(' | ')} (default: unblended)
+      --baseline-months <n>  Multi-month CURs: average of the last n months (default: ${DEFAULT_BASELINE_MONTHS})
+      --sample <n>           Sample up to n resources per service and region (costs still match the bill)
+      --mappings <file>      Service mapping overrides (JSON or YAML mapping set exported from the app)
+      --rightsizing <policy> ${Object.values(RightsizingPolicy).join(' | ')} (default: ${DEFAULT_RIGHTSIZING_POLICY})
+      --json <path>          Results file, or - for stdout (default: <out>/assessment.json)
+      --pdf <path>           PDF report (default: <out>/assessment-report.pdf)
+      --no-pdf               Skip the PDF report
+  -v, --verbose              Print parser and pipeline logs to stderr
+  -h, --help                 Show this help
+`;
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {Object} Resolved options ({help: true} when help was asked for)
+ * @throws {UsageError}
+ */
+export function parseCliArgs(argv, cwd = process.cwd()) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        workdir: { type: 'string' },
+        region: { type: 'string', short: 'r' },
+        project: { type: 'string', short: 'p' },
+        'cost-basis': { type: 'string' },
+        'baseline-months': { type: 'string' },
+        sample: { type: 'string' },
+        mappings: { type: 'string' },
+        rightsizing: { type: 'string' },
+        json: { type: 'string' },
+        pdf: { type: 'string' },
+        'no-pdf': { type: 'boolean' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.length !== 1) {
+    throw new UsageError(positionals.length === 0 ? 'A CUR file is required' : 'Only one CUR file can be assessed per run');
+  }
+
+  const curPath = path.resolve(cwd, positionals[0]);
+  const lowerPath = curPath.toLowerCase();
+  if (lowerPath.endsWith('.parquet')) {
+    throw new UsageError('Parquet CURs are not supported by the CLI yet; use the CSV export');
+  }
+  const costBasis = values['cost-basis'];
+  if (costBasis && !Object.values(CostBasis).includes(costBasis)) {
+    throw new UsageError(`Unknown cost basis "${costBasis}" (expected ${Object.values(CostBasis).join(', ')})`);
+  }
+  const baselineMonths = values['baseline-months'] === undefined ? DEFAULT_BASELINE_MONTHS : parseInt(values['baseline-months'], 10);
+  if (!(baselineMonths > 0)) {
+    throw new UsageError('--baseline-months must be a positive number');
+  }
+  const rightsizingPolicy = values.rightsizing || DEFAULT_RIGHTSIZING_POLICY;
+  if (!Object.values(RightsizingPolicy).includes(rightsizingPolicy)) {
+    throw new UsageError(`Unknown rightsizing policy "${rightsizingPolicy}" (expected ${Object.values(RightsizingPolicy).join(', ')})`);
+  }
+  const sampling = values.sample === undefined ? null : parseInt(values.sample, 10);
+  if (sampling !== null && !(sampling >= MIN_RESOURCES_PER_STRATUM)) {
+    throw new UsageError(`--sample must be at least ${MIN_RESOURCES_PER_STRATUM}`);
+  }
+
+  const outDir = path.resolve(cwd, values.out || 'infracc-output');
+  return {
+    help: false,
+    curPath,
+    compression: lowerPath.endsWith('.gz') ? 'gzip' : undefined,
+    outDir,
+    workDir: path.resolve(cwd, values.workdir || path.join(outDir, 'workloads')),
+    targetRegion: values.region || 'us-central1',
+    projectName: values.project || DEFAULT_PROJECT_NAME,
+    costBasis,
+    baselineMonths,
+    sampling,
+    mappingsPath: values.mappings ? path.resolve(cwd, values.mappings) : null,
+    rightsizingPolicy,
+    jsonPath: values.json === '-' ? '-' : path.resolve(cwd, values.json || path.join(outDir, 'assessment.json')),
+    pdfPath: values['no-pdf'] ? null : path.resolve(cwd, values.pdf || path.join(outDir, 'assessment-report.pdf')),
+    verbose: Boolean(values.verbose)
+  };
+}
+
+/**
+ * Open the CUR as a file-backed Blob (streamed by the parser), or read it into memory on Node < 19.8
+ * @private
+ */
+async function openCur(curPath) {
+  if (typeof fs.openAsBlob === 'function' && typeof File !== 'undefined') {
+    const blob = await fs.openAsBlob(curPath);
+    return new File([blob], path.basename(curPath));
+  }
+  const data = await fs.promises.readFile(curPath);
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+/**
+ * Build the results document written as JSON
+ * @param {Object} result - runAssessmentPipeline result
+ * @param {Object} args - parseCliArgs result
+ * @returns {Object}
+ */
+export function buildResultsDocument(result, args) {
+  return {
+    formatVersion: RESULTS_FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    input: {
+      file: args.curPath,
+      projectName: args.projectName,
+      targetRegion: args.targetRegion,
+      costBasis: result.upload.costBasis,
+      baselineMonths: args.baselineMonths,
+      sampling: args.sampling,
+      mappings: args.mappingsPath,
+      rightsizingPolicy: args.rightsizingPolicy
+    },
+    upload: result.upload,
+    summary: result.reportData.summary,
+    costTotals: result.costTotals,
+    costEstimates: result.costEstimates,
+    report: result.reportData,
+    strategy: result.strategyResults,
+    assessments: result.assessmentResults
+  };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} io
+ * @param {NodeJS.WritableStream} io.stdout
+ * @param {NodeJS.WritableStream} io.stderr
+ * @param {string} io.cwd
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv, { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}) {
+  let args;
+  try {
+    args = parseCliArgs(argv, cwd);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    stderr.write(`infracc: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (args.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+  if (!fs.existsSync(args.curPath)) {
+    stderr.write(`infracc: File not found: ${args.curPath}\n`);
+    return 2;
+  }
+  if (args.mappingsPath) {
+    try {
+      const format = /\.ya?ml$/i.test(args.mappingsPath) ? MappingSetFormat.YAML : undefined;
+      importMappingOverrides(parseMappingSet(await fs.promises.readFile(args.mappingsPath, 'utf8'), format), args.projectName);
+      setActiveMappingProject(args.projectName);
+    } catch (error) {
+      stderr.write(`infracc: ${error.code === 'ENOENT' ? `File not found: ${args.mappingsPath}` : error.message}\n`);
+      return 2;
+    }
+  }
+
+  setRightsizingPolicy(args.rightsizingPolicy);
+
+  // The domain layer logs for the browser console: keep stdout clean for --json -
+  const log = (message) => stderr.write(`[infracc] ${message}\n`);
+  const consoleMethods = ['log', 'info', 'debug', 'warn'];
+  const originalConsole = consoleMethods.map(method => console[method]);
+  consoleMethods.forEach(method => {
+    console[method] = args.verbose ? (...items) => stderr.write(`${items.map(String).join(' ')}\n`) : () => {};
+  });
+
+  try {
+    const workloadRepository = new FileSystemWorkloadRepository({ directory: args.workDir });
+    await workloadRepository.clear(); // Each run assesses one CUR from scratch
+
+    log(`Assessing ${args.curPath}`);
+    const result = await runAssessmentPipeline(await openCur(args.curPath), {
+      workloadRepository,
+      targetRegion: args.targetRegion,
+      compression: args.compression,
+      costBasis: args.costBasis,
+      baselineMonths: args.baselineMonths,
+      sampling: args.sampling,
+      onStep: ({ step, status, message }) => log(`${step} ${status}: ${message}`)
+    });
+
+    const json = JSON.stringify(buildResultsDocument(result, args), null, 2);
+    if (args.jsonPath === '-') {
+      stdout.write(`${json}\n`);
+    } else {
+      await fs.promises.mkdir(path.dirname(args.jsonPath), { recursive: true });
+      await fs.promises.writeFile(args.jsonPath, json);
+      log(`Results written to ${args.jsonPath}`);
+    }
+
+    if (args.pdfPath) {
+      const pdf = await generateComprehensiveReportPDF(
+        result.reportData,
+        result.costEstimates,
+        result.strategyResults,
+        result.assessmentResults,
+        { projectName: args.projectName, targetRegion: args.targetRegion, output: 'arraybuffer' }
+      );
+      await fs.promises.mkdir(path.dirname(args.pdfPath), { recursive: true });
+      await fs.promises.writeFile(args.pdfPath, Buffer.from(pdf));
+      log(`PDF report written to ${args.pdfPath}`);
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`infracc: ${error.message}\n`);
+    if (args.verbose && error.stack) {
+      stderr.write(`${error.stack}\n`);
+    }
+    return 1;
+  } finally {
+    consoleMethods.forEach((method, index) => {
+      console[method] = originalConsole[index];
+    });
+  }
+}
+
+export default runCli;
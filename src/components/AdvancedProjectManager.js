@@ -7,6 +7,7 @@ import React, { useState, useEffect } from 'react';
 import { useTCO } from '../context/TCOContext';
 import { toast } from 'react-toastify';
 import { Modal, Button } from 'react-bootstrap';
+import { getExportRedactor, redactForExport } from '../utils/redaction';
 
 const AdvancedProjectManager = () => {
   const { state, actions } = useTCO();
@@ -92,7 +93,8 @@ const AdvancedProjectManager = () => {
   const exportProject = (projectId) => {
     const project = projects.find(p => p.id === projectId);
     if (project) {
-      const dataStr = JSON.stringify(project, null, 2);
+      const redactor = getExportRedactor();
+      const dataStr = JSON.stringify(redactor ? redactForExport(project, redactor) : project, null, 2);
       const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
       
       const exportFileDefaultName = `tco-project-${project.name}-${new Date().toISOString().split('T')[0]}.json`;
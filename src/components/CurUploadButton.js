@@ -8,17 +8,45 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { getContainer } from '../infrastructure/dependency_injection/Container.js';
 import { Workload } from '../domain/entities/Workload.js';
+import { WorkloadRepository } from '../infrastructure/repositories/WorkloadRepository.js';
 import { parseAwsCur, parseAwsBillSimple } from '../utils/awsBomImport.js';
 import { parseCSV } from '../utils/csvImport.js';
 import { parseAwsCurStreaming } from '../utils/streamingCsvParser.js';
+import { parseAwsCurParquet } from '../utils/parquetCurParser.js';
+import { parseAzureCostExportStreaming, sniffAzureCostExport } from '../utils/azureCostExportParser.js';
+import { isGzipFileName } from '../utils/gzipStream.js';
+import { generateFileUUID } from '../utils/uuidGenerator.js';
+import { curParserWorkerPool } from '../workers/curParserWorkerPool.js';
+import { CurParseFormat } from '../workers/curParseFormats.js';
+import { COST_BASIS_OPTIONS, DEFAULT_COST_BASIS, normalizeCostBasis, summarizeCostBasis } from '../utils/curCostBasis.js';
+import { LineItemType, DEFAULT_BASELINE_LINE_ITEM_TYPES, mergeLineItemLedgers, reconcileLineItemLedger } from '../utils/curLineItemLedger.js';
+import { mergeIngestionReports } from '../utils/curIngestionReport.js';
+import { SAMPLE_SIZE_OPTIONS, normalizeSamplingOptions, mergeSamplingSummaries } from '../utils/curResourceSampler.js';
+import { BASELINE_MONTH_OPTIONS, DEFAULT_BASELINE_MONTHS, averageOverWindow, costSeriesToArray, getBaselineWindow, getBillingMonths } from '../utils/costTimeSeries.js';
 import { toast } from 'react-toastify';
 import { agentEventEmitter } from '../agentic/core/AgentEventEmitter.js';
 import { agentStatusManager, AgentStatus } from '../agentic/core/AgentStatusManager.js';
 
+const SCRATCH_PAGE_SIZE = 10000; // Workloads read at a time from a parser worker's scratch database
+
 // #region FileUploadManager Class
 class FileUploadManager {
-  constructor(workloadRepository) {
+  /**
+   * @param {Object} workloadRepository
+   * @param {Object} options
+   * @param {string} options.costBasis - CostBasis the CUR rows are costed on (unblended / amortized / net amortized)
+   * @param {string[]} options.baselineLineItemTypes - Line item types included in the migration baseline
+   * @param {number} options.baselineMonths - Multi-month uploads: the baseline is the average of the last N months
+   * @param {number} options.sampling - Optional resources sampled per service + region (CUR CSVs are then streamed)
+   */
+  constructor(workloadRepository, options = {}) {
     this.workloadRepository = workloadRepository;
+    this.costBasis = normalizeCostBasis(options.costBasis);
+    this.baselineLineItemTypes = Array.isArray(options.baselineLineItemTypes)
+      ? options.baselineLineItemTypes
+      : DEFAULT_BASELINE_LINE_ITEM_TYPES;
+    this.baselineMonths = parseInt(options.baselineMonths, 10) || DEFAULT_BASELINE_MONTHS;
+    this.sampling = normalizeSamplingOptions(options.sampling);
     this.largeFileThreshold = 50 * 1024 * 1024; // 50MB
     this._isProcessing = false; // Guard against concurrent processing
   }
@@ -35,6 +63,18 @@ class FileUploadManager {
     
     // CRITICAL: Track totalRawCost from CSV parser metadata (correct cost before aggregation)
     let totalRawCost = 0;
+    // Schema profile (CUR 1.0 / CUR 2.0 / FOCUS) detected for each parsed CSV
+    const schemaProfiles = [];
+    // Cost basis applied to each parsed CSV (files without RI / Savings Plan columns fall back to unblended)
+    const fileCostBases = [];
+    // Line item type ledger of each parsed CSV (reconciles the invoice total to the baseline)
+    const lineItemLedgers = [];
+    // Rejected rows and unmapped product codes of each parsed CUR (data quality report)
+    const ingestionReports = [];
+    // Sampling summary of each parsed CUR (sampling mode only)
+    const samplingSummaries = [];
+    // Baseline cost per billing month across all files (multi-month uploads)
+    let uploadCostByMonth = {};
     
     // CRITICAL: Save processing state periodically for crash recovery
     const saveCheckpoint = (state) => {
@@ -194,6 +234,18 @@ class FileUploadManager {
 
       console.log(`[FileUploadManager] Processing ${files.length} file(s)`);
 
+      // PERFORMANCE: With workers, start parsing every file up front (one worker per file, pool-limited)
+      // and deduplicate results in file order as they complete. Without workers, parse one file at a time.
+      let parseTasks = null;
+      if (curParserWorkerPool.isSupported() && files.length > 1) {
+        parseTasks = Array.from(files).map(file => {
+          if (!file || !file.name) return null;
+          const task = this._processFile(file);
+          task.catch(() => {}); // Handled when awaited below - avoid unhandled rejection noise
+          return task;
+        });
+      }
+
       for (let i = 0; i < files.length; i++) {
         // SAFETY: Check for timeout
         if (Date.now() - processingStartTime > MAX_PROCESSING_TIME_MS) {
@@ -246,8 +298,9 @@ class FileUploadManager {
             }
           }
           
-          const workloads = await this._processFile(file);
-          console.log(`[FileUploadManager] File ${file.name}: Parsed ${workloads.length} workloads`);
+          const workloads = await (parseTasks ? parseTasks[i] : this._processFile(file));
+          const parsedCount = workloads.length + (workloads._metadata?.storedWorkloads || 0);
+          console.log(`[FileUploadManager] File ${file.name}: Parsed ${parsedCount} workloads`);
           
           // CRITICAL: Preserve totalRawCost from CSV parser metadata (correct cost before aggregation)
           if (workloads._metadata && workloads._metadata.totalRawCost) {
@@ -255,12 +308,39 @@ class FileUploadManager {
             console.log(`[FileUploadManager] File ${file.name}: totalRawCost = $${workloads._metadata.totalRawCost.toFixed(2)} (cumulative: $${totalRawCost.toFixed(2)})`);
           }
           
-          if (workloads.length === 0) {
+          // Record which schema profile each CSV (or ZIP member) was parsed with
+          if (workloads._metadata) {
+            const fileProfiles = workloads._metadata.schemaProfiles
+              || (workloads._metadata.schemaProfile ? [{ file: file.name, ...workloads._metadata.schemaProfile }] : []);
+            for (const profile of fileProfiles) {
+              schemaProfiles.push({ file: profile.file, id: profile.id, label: profile.label, columns: profile.columns });
+              console.log(`[FileUploadManager] File ${profile.file}: parsed as ${profile.label}`);
+            }
+            const costBases = workloads._metadata.costBases
+              || (workloads._metadata.costBasis ? [{ file: file.name, ...workloads._metadata.costBasis }] : []);
+            for (const costBasis of costBases) {
+              fileCostBases.push(costBasis);
+            }
+            if (workloads._metadata.lineItemLedger) {
+              lineItemLedgers.push(workloads._metadata.lineItemLedger);
+            }
+            if (workloads._metadata.ingestionReport) {
+              ingestionReports.push(workloads._metadata.ingestionReport);
+            }
+            if (workloads._metadata.sampling) {
+              samplingSummaries.push(workloads._metadata.sampling);
+            }
+            if (workloads._metadata.costByMonth) {
+              uploadCostByMonth = Workload.mergeCostByMonth(uploadCostByMonth, workloads._metadata.costByMonth);
+            }
+          }
+          
+          if (parsedCount === 0) {
             console.warn(`[FileUploadManager] WARNING: File ${file.name} produced 0 workloads. Check file format.`);
             console.log(`[FileUploadManager] File size: ${file.size} bytes, type: ${file.type}`);
           }
           
-          const { newWorkloads, updatedWorkloads } = await this._deduplicateAndSave(workloads, dedupeMap, savedDedupeKeys, onProgress);
+          const { newWorkloads, updatedWorkloads } = await this._deduplicateAndSaveResult(workloads, dedupeMap, savedDedupeKeys, onProgress);
           console.log(`[FileUploadManager] File ${file.name}: Saved ${newWorkloads} new, ${updatedWorkloads} updated workloads`);
           totalWorkloadsSaved += newWorkloads;
           
@@ -290,6 +370,14 @@ class FileUploadManager {
             totalWorkloadsSaved
           });
         } catch (error) {
+          // Cancelled from the pipeline - stop instead of moving on to the next file
+          if (error?.cancelled) {
+            // Files parsed ahead of this one may have handed over scratch databases that are never read
+            for (const task of (parseTasks || []).slice(i + 1)) {
+              if (task) task.then(result => this._dropScratchDatabases(result), () => {});
+            }
+            throw error;
+          }
           console.error(`[FileUploadManager] Error processing ${file.name}:`, error);
           console.error(`[FileUploadManager] Error stack:`, error.stack);
           try {
@@ -302,6 +390,14 @@ class FileUploadManager {
       }
 
       console.log(`[FileUploadManager] Total: ${totalWorkloadsSaved} new workloads saved, ${dedupeMap.size} unique workloads`);
+      
+      // Multi-month uploads: monthly cost is the average of the last N billing months, not the upload total
+      const billingMonths = getBillingMonths([uploadCostByMonth]);
+      const baselineWindow = getBaselineWindow(billingMonths, this.baselineMonths);
+      if (billingMonths.length > 1) {
+        totalRawCost = averageOverWindow(uploadCostByMonth, baselineWindow);
+        await this._applyMonthlyBaseline(dedupeMap, baselineWindow, onProgress);
+      }
       console.log(`[FileUploadManager] Total raw cost from all files: $${totalRawCost.toFixed(2)}`);
       
       // CRITICAL: Validate totalRawCost is reasonable before returning
@@ -316,8 +412,22 @@ class FileUploadManager {
         totalWorkloadsSaved,
         uniqueWorkloads: dedupeMap.size,
         totalRawCost: totalRawCost, // CRITICAL: Return totalRawCost from CSV parser (correct cost)
+        schemaProfiles,
+        costBasis: summarizeCostBasis(this.costBasis, fileCostBases),
+        lineItemLedger: lineItemLedgers.length > 0 ? reconcileLineItemLedger(mergeLineItemLedgers(lineItemLedgers)) : null,
+        ingestionReport: ingestionReports.length > 0 ? mergeIngestionReports(ingestionReports) : null,
+        sampling: mergeSamplingSummaries(samplingSummaries),
+        costTrend: costSeriesToArray(uploadCostByMonth),
+        baselinePeriod: billingMonths.length > 1 ? { months: baselineWindow, billingMonths: billingMonths.length } : null,
+        baselineLineItemTypes: this.baselineLineItemTypes,
       };
     } catch (error) {
+      if (error?.cancelled) {
+        console.log(`[FileUploadManager] ${error.message}`);
+        curParserWorkerPool.cancelAll(error.message);
+        throw error;
+      }
+      
       // CRITICAL: Catch any errors that might crash the app
       console.error('[FileUploadManager] FATAL ERROR in processFiles:', error);
       console.error('[FileUploadManager] Error stack:', error?.stack);
@@ -362,25 +472,70 @@ class FileUploadManager {
       return this._processZipFile(file);
     } else if (file.name.toLowerCase().endsWith('.csv')) {
       return this._processCsvFile(file);
+    } else if (file.name.toLowerCase().endsWith('.parquet')) {
+      return this._processParquetFile(file);
+    } else if (isGzipFileName(file.name)) {
+      return this._processGzipFile(file);
     } else {
       console.warn(`Skipping unsupported file: ${file.name}`);
       return [];
     }
   }
 
+  _parseInWorker(file, format, extraOptions = {}) {
+    return curParserWorkerPool.parseFile(file, format, (progress) => {
+      if (progress && progress.status) {
+        console.log(`[FileUploadManager] ${file.name}: ${progress.status}`);
+      } else if (progress && progress.percent !== undefined) {
+        console.log(`[FileUploadManager] ${file.name}: ${progress.percent}%`);
+      }
+    }, this._parserOptions(extraOptions));
+  }
+
+  // Options every CUR parser receives (cost basis, baseline line item types and sampling)
+  _parserOptions(extra = {}) {
+    return { ...extra, costBasis: this.costBasis, baselineLineItemTypes: this.baselineLineItemTypes, sampling: this.sampling };
+  }
+
   async _processCsvFile(file, awsBomFormat = 'cur') {
     const fileSize = file.size;
 
+    if (await sniffAzureCostExport(file)) {
+      return this._processAzureFile(file);
+    }
+
     if (fileSize > this.largeFileThreshold) {
       const fileSizeMB = (fileSize / 1024 / 1024).toFixed(1);
       const estimatedMinutes = Math.ceil(fileSizeMB / 100); // Rough estimate: 1 min per 100MB
       toast.info(`Processing large file ${file.name} (${fileSizeMB}MB). Estimated time: ~${estimatedMinutes} minute(s). This may take a while...`, { autoClose: 10000 });
-      return parseAwsCurStreaming(file, (progress) => {
-        // Log progress for large files
-        if (progress && progress.status) {
-          console.log(`[FileUploadManager] ${file.name}: ${progress.status}`);
-        }
-      }, { workloadRepository: this.workloadRepository });
+      // Checkpointed by file UUID, so an import that stops part way continues when the file is selected again.
+      // The worker checkpoints and flushes to IndexedDB itself.
+      const resumeFileId = await generateFileUUID(file);
+      const result = curParserWorkerPool.isSupported()
+        ? await this._parseInWorker(file, CurParseFormat.CSV_STREAM, { resumeFileId })
+        : await parseAwsCurStreaming(file, (progress) => {
+          // Log progress for large files
+          if (progress && progress.status) {
+            console.log(`[FileUploadManager] ${file.name}: ${progress.status}`);
+          }
+        }, this._parserOptions({ workloadRepository: this.workloadRepository, resumeFileId }));
+      if (result?._metadata?.resumedFromByteOffset > 0) {
+        const resumedMB = (result._metadata.resumedFromByteOffset / 1024 / 1024).toFixed(1);
+        toast.info(`Resumed ${file.name} from ${resumedMB}MB - rows before that point were restored from the interrupted import`, { autoClose: 10000 });
+      }
+      return result;
+    }
+
+    // Sampling is a mode of the streaming parser: sampled CURs are streamed whatever their size
+    if (this.sampling && awsBomFormat === 'cur') {
+      if (curParserWorkerPool.isSupported()) {
+        return this._parseInWorker(file, CurParseFormat.CSV_STREAM);
+      }
+      return parseAwsCurStreaming(file, () => {}, this._parserOptions());
+    }
+
+    if (curParserWorkerPool.isSupported()) {
+      return this._parseInWorker(file, awsBomFormat === 'cur' ? CurParseFormat.CUR_TEXT : CurParseFormat.BILL_TEXT);
     }
 
     return new Promise((resolve, reject) => {
@@ -401,7 +556,7 @@ class FileUploadManager {
           }
           let importedData = [];
           if (awsBomFormat === 'cur') {
-            importedData = parseAwsCur(csvText);
+            importedData = parseAwsCur(csvText, this._parserOptions({ sourceFile: file.name }));
           } else {
             importedData = parseAwsBillSimple(csvText);
           }
@@ -422,20 +577,117 @@ class FileUploadManager {
     });
   }
 
+  async _processParquetFile(file) {
+    const fileSizeMB = (file.size / 1024 / 1024).toFixed(1);
+    console.log(`[FileUploadManager] Reading Parquet CUR ${file.name} (${fileSizeMB}MB)`);
+    if (curParserWorkerPool.isSupported()) {
+      return this._parseInWorker(file, CurParseFormat.PARQUET);
+    }
+    // Parquet is always streamed row group by row group - same aggregation and flushing as large CSVs
+    return parseAwsCurParquet(file, (progress) => {
+      if (progress && progress.percent !== undefined) {
+        console.log(`[FileUploadManager] ${file.name}: ${progress.percent}% (${progress.linesProcessed.toLocaleString()} rows)`);
+      }
+    }, this._parserOptions({ workloadRepository: this.workloadRepository }));
+  }
+
+  async _processGzipFile(file) {
+    const fileSizeMB = (file.size / 1024 / 1024).toFixed(1);
+    if (await sniffAzureCostExport(file, 'gzip')) {
+      return this._processAzureFile(file, 'gzip');
+    }
+    if (file.size > this.largeFileThreshold) {
+      toast.info(`Decompressing and processing ${file.name} (${fileSizeMB}MB compressed). This may take a while...`, { autoClose: 10000 });
+    }
+    if (curParserWorkerPool.isSupported()) {
+      return this._parseInWorker(file, CurParseFormat.GZIP);
+    }
+    // Uncompressed size is unknown up front, so .csv.gz is always streamed
+    return parseAwsCurStreaming(file, (progress) => {
+      if (progress && progress.status) {
+        console.log(`[FileUploadManager] ${file.name}: ${progress.status}`);
+      }
+    }, this._parserOptions({ workloadRepository: this.workloadRepository, compression: 'gzip' }));
+  }
+
+  // Azure Cost Management / EA usage detail exports are always streamed (sniffed by header row)
+  async _processAzureFile(file, compression) {
+    const fileSizeMB = (file.size / 1024 / 1024).toFixed(1);
+    console.log(`[FileUploadManager] Reading Azure cost export ${file.name} (${fileSizeMB}MB${compression ? ' compressed' : ''})`);
+    if (curParserWorkerPool.isSupported()) {
+      return this._parseInWorker(file, CurParseFormat.AZURE_CSV, { compression });
+    }
+    return parseAzureCostExportStreaming(file, (progress) => {
+      if (progress && progress.percent !== undefined) {
+        console.log(`[FileUploadManager] ${file.name}: ${progress.percent}% (${progress.linesProcessed.toLocaleString()} rows)`);
+      }
+    }, this._parserOptions({ workloadRepository: this.workloadRepository, compression }));
+  }
+
   async _processZipFile(file, awsBomFormat = 'cur') {
     const JSZipModule = await import('jszip');
     const JSZip = JSZipModule.default || JSZipModule;
     const zip = await JSZip.loadAsync(file);
     const allData = [];
+    const schemaProfiles = [];
+    const costBases = [];
+    const lineItemLedgers = [];
+    const ingestionReports = [];
+    const samplingSummaries = [];
+    const scratchDatabaseNames = []; // Members whose workloads a parser worker left in a scratch database
+    let storedWorkloads = 0;
+    let totalRawCost = 0;
+    let costByMonth = {};
 
     for (const relativePath in zip.files) {
-      if (!relativePath.toLowerCase().endsWith('.csv')) continue;
+      const lowerPath = relativePath.toLowerCase();
+      const isParquet = lowerPath.endsWith('.parquet');
+      const isGzip = isGzipFileName(lowerPath);
+      if (!lowerPath.endsWith('.csv') && !isParquet && !isGzip) continue;
 
       const zipEntry = zip.files[relativePath];
+      // Gzip members stay compressed here - they are inflated chunk by chunk while parsing
       const blob = await zipEntry.async('blob');
-      // Create a File object from the blob to pass to _processCsvFile
-      const csvFile = new File([blob], zipEntry.name, { type: 'text/csv' });
-      const importedData = await this._processCsvFile(csvFile, awsBomFormat);
+      // Create a File object from the blob to pass to the matching _process*File method
+      const memberType = isParquet ? 'application/vnd.apache.parquet' : (isGzip ? 'application/gzip' : 'text/csv');
+      const memberFile = new File([blob], zipEntry.name, { type: memberType });
+      let importedData;
+      try {
+        if (isParquet) {
+          importedData = await this._processParquetFile(memberFile);
+        } else if (isGzip) {
+          importedData = await this._processGzipFile(memberFile);
+        } else {
+          importedData = await this._processCsvFile(memberFile, awsBomFormat);
+        }
+      } catch (error) {
+        // The members parsed so far are never read
+        await this._dropScratchDatabases({ _scratchDatabaseNames: scratchDatabaseNames });
+        throw error;
+      }
+      if (importedData._metadata?.schemaProfile) {
+        schemaProfiles.push({ file: zipEntry.name, ...importedData._metadata.schemaProfile });
+      }
+      if (importedData._metadata?.costBasis) {
+        costBases.push({ file: zipEntry.name, ...importedData._metadata.costBasis });
+      }
+      if (importedData._metadata?.lineItemLedger) {
+        lineItemLedgers.push(importedData._metadata.lineItemLedger);
+      }
+      if (importedData._metadata?.ingestionReport) {
+        ingestionReports.push(importedData._metadata.ingestionReport);
+      }
+      if (importedData._metadata?.sampling) {
+        samplingSummaries.push(importedData._metadata.sampling);
+      }
+      if (importedData._metadata?.totalRawCost) {
+        totalRawCost += importedData._metadata.totalRawCost;
+      }
+      if (importedData._metadata?.costByMonth) {
+        costByMonth = Workload.mergeCostByMonth(costByMonth, importedData._metadata.costByMonth);
+      }
+      scratchDatabaseNames.push(...(importedData._scratchDatabaseNames || []));
+      storedWorkloads += importedData._metadata?.storedWorkloads || 0;
       
       // FIX: Avoid stack overflow with large arrays (279K+ items)
       // Spread operator (...) and push.apply() can exceed call stack/argument limits with very large arrays
@@ -460,9 +712,86 @@ class FileUploadManager {
       }
     }
 
+    allData._metadata = {
+      schemaProfiles,
+      costBases,
+      totalRawCost,
+      costByMonth,
+      lineItemLedger: lineItemLedgers.length > 0 ? mergeLineItemLedgers(lineItemLedgers) : undefined,
+      ingestionReport: ingestionReports.length > 0 ? mergeIngestionReports(ingestionReports) : undefined,
+      sampling: mergeSamplingSummaries(samplingSummaries) || undefined,
+      storedWorkloads
+    };
+    if (scratchDatabaseNames.length > 0) {
+      allData._scratchDatabaseNames = scratchDatabaseNames;
+    }
     return allData;
   }
 
+  /**
+   * Set each workload's monthly cost to the average of its cost series over the baseline window
+   * Workloads without a cost series (no usage dates in the export) keep their summed cost.
+   * @param {Map} dedupeMap - Dedupe key -> workload, for every workload of the upload
+   * @param {string[]} baselineWindow - Billing months the baseline is averaged over
+   */
+  async _applyMonthlyBaseline(dedupeMap, baselineWindow, onProgress) {
+    console.log(`[FileUploadManager] Baseline: average of ${baselineWindow.length} month(s) (${baselineWindow.join(', ')})`);
+    onProgress({ status: `Averaging monthly cost over ${baselineWindow.length} month(s)...` });
+    
+    const BATCH_SIZE = 1000;
+    let batch = [];
+    let updated = 0;
+    for (const [dedupeKey, workload] of dedupeMap.entries()) {
+      const costByMonth = workload.costByMonth || {};
+      if (Object.keys(costByMonth).length === 0) continue;
+      
+      const workloadData = workload.toJSON ? workload.toJSON() : workload;
+      const baselineCost = averageOverWindow(costByMonth, baselineWindow);
+      if (Math.abs(baselineCost - (workloadData.monthlyCost || 0)) < 0.005) continue;
+      
+      const baselineWorkload = new Workload({ ...workloadData, monthlyCost: baselineCost });
+      dedupeMap.set(dedupeKey, baselineWorkload);
+      batch.push(baselineWorkload);
+      if (batch.length >= BATCH_SIZE) {
+        await this.workloadRepository.saveManyImmediate(batch);
+        updated += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this.workloadRepository.saveManyImmediate(batch);
+      updated += batch.length;
+    }
+    console.log(`[FileUploadManager] Baseline applied to ${updated.toLocaleString()} workloads`);
+  }
+
+  /**
+   * Deduplicate and save a parse result, with the workloads a parser worker left in its scratch
+   * databases (_scratchDatabaseNames, see curParserWorkerPool.js): these are read a page at a time,
+   * so the whole result is never posted to the page at once, then the databases are dropped.
+   */
+  async _deduplicateAndSaveResult(workloads, dedupeMap, savedDedupeKeys, onProgress) {
+    let counts;
+    try {
+      counts = await this._deduplicateAndSave(workloads, dedupeMap, savedDedupeKeys, onProgress);
+      for (const databaseName of workloads._scratchDatabaseNames || []) {
+        await new WorkloadRepository({ databaseName }).forEachStoredPage(SCRATCH_PAGE_SIZE, async (page) => {
+          const pageCounts = await this._deduplicateAndSave(page, dedupeMap, savedDedupeKeys, onProgress);
+          counts.newWorkloads += pageCounts.newWorkloads;
+          counts.updatedWorkloads += pageCounts.updatedWorkloads;
+        });
+      }
+    } finally {
+      await this._dropScratchDatabases(workloads);
+    }
+    return counts;
+  }
+
+  async _dropScratchDatabases(workloads) {
+    const databaseNames = workloads?._scratchDatabaseNames || [];
+    await Promise.all(databaseNames.map(databaseName => new WorkloadRepository({ databaseName }).drop()));
+  }
+
   async _deduplicateAndSave(workloads, dedupeMap, savedDedupeKeys, onProgress) {
     console.log(`[FileUploadManager] Deduplicating and saving ${workloads.length} workloads...`);
     
@@ -562,10 +891,30 @@ class FileUploadManager {
         }
         
         const newCost = currentCost + monthlyCostValue;
+        
+        // Merge resource tags from this file into the existing workload
+        const existingTags = existingWorkload.tags || {};
+        const mergedTags = Workload.mergeTags(existingTags, data.tags);
+        const tagsChanged = Object.keys(mergedTags).some(key => existingTags[key] !== mergedTags[key]);
+        
+        // Fill in the linked account when an earlier file did not carry it
+        const accountChanged = (!existingWorkload.accountId && Boolean(data.accountId)) ||
+          (!existingWorkload.accountName && Boolean(data.accountName));
 
-        if (Math.abs(newCost - currentCost) > 0.01) {
+        if (Math.abs(newCost - currentCost) > 0.01 || tagsChanged || accountChanged) {
           const existingData = existingWorkload.toJSON ? existingWorkload.toJSON() : existingWorkload;
-          const updatedWorkload = new Workload({ ...existingData, monthlyCost: newCost });
+          const updatedWorkload = new Workload({
+            ...existingData,
+            monthlyCost: newCost,
+            costByMonth: Workload.mergeCostByMonth(existingData.costByMonth, data.costByMonth),
+            costByComponent: Workload.mergeCostByComponent(existingData.costByComponent, data.costByComponent),
+            tags: mergedTags,
+            accountId: existingData.accountId || data.accountId,
+            accountName: existingData.accountName || data.accountName,
+            instanceType: existingData.instanceType || data.instanceType || data.awsInstanceType,
+            databaseUsage: Workload.mergeDatabaseUsage(existingData.databaseUsage, data.databaseUsage),
+            storageUsage: Workload.mergeStorageUsage(existingData.storageUsage, data.storageUsage)
+          });
           workloadsToSave.push(updatedWorkload);
           existingWorkloadMap.set(dedupeKey, updatedWorkload); // Update map for subsequent files
           dedupeMap.set(dedupeKey, updatedWorkload); // CRITICAL: Update dedupeMap for subsequent files
@@ -596,12 +945,17 @@ class FileUploadManager {
             }
           }
           
+          // Parsers set the provider as a string (plain objects) or CloudProvider (entities)
+          const sourceProviderType = (data.sourceProvider && typeof data.sourceProvider === 'object')
+            ? data.sourceProvider.type
+            : (data.sourceProvider || 'aws');
+
           const workloadData = {
             id: dedupeKey,
             name: data.name || resourceId.split('/').pop() || dedupeKey,
             service: data.service || 'EC2',
             type: workloadType,
-            sourceProvider: 'aws',
+            sourceProvider: sourceProviderType,
             cpu: data.cpu || 0,
             memory: data.memory || 0,
             storage: data.storage || 0,
@@ -609,7 +963,15 @@ class FileUploadManager {
             region: data.region || 'us-east-1',
             os: data.os || 'linux',
             monthlyTraffic: data.monthlyTraffic || 0,
-            dependencies: data.dependencies || []
+            dependencies: data.dependencies || [],
+            tags: data.tags || {},
+            accountId: data.accountId || null,
+            accountName: data.accountName || null,
+            costByMonth: data.costByMonth || {},
+            costByComponent: data.costByComponent || {},
+            instanceType: data.instanceType || data.awsInstanceType || null,
+            databaseUsage: data.databaseUsage || null,
+            storageUsage: data.storageUsage || null
           };
           
           // Log first few to verify costs are being set
@@ -760,6 +1122,10 @@ class FileUploadManager {
 function CurUploadButton({ onUploadComplete }) {
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(null);
+  const [costBasis, setCostBasis] = useState(DEFAULT_COST_BASIS);
+  const [baselineLineItemTypes, setBaselineLineItemTypes] = useState(DEFAULT_BASELINE_LINE_ITEM_TYPES);
+  const [baselineMonths, setBaselineMonths] = useState(DEFAULT_BASELINE_MONTHS);
+  const [sampleSize, setSampleSize] = useState(0); // Resources per service + region, 0 = every resource
   const fileInputRef = useRef(null);
   const container = getContainer();
   const workloadRepository = container.workloadRepository;
@@ -790,6 +1156,9 @@ function CurUploadButton({ onUploadComplete }) {
           try {
             const state = JSON.parse(csvCrashState);
             crashMessage += `CSV Parser Error: ${state.error}\nProcessed ${state.lineNumber?.toLocaleString() || 0} lines before crash.\n\n`;
+            if (state.resumable) {
+              crashMessage += `Select the same file again to resume from byte ${state.resumeFromByteOffset.toLocaleString()}.\n\n`;
+            }
           } catch (e) {
             crashMessage += 'CSV parser crash state found.\n\n';
           }
@@ -837,10 +1206,10 @@ function CurUploadButton({ onUploadComplete }) {
     setUploading(true);
     setUploadProgress({ current: 0, total: files.length, currentFile: '', percent: 0 });
 
-    const fileUploadManager = new FileUploadManager(workloadRepository);
+    const fileUploadManager = new FileUploadManager(workloadRepository, { costBasis, baselineLineItemTypes, baselineMonths, sampling: sampleSize });
 
     try {
-      const { totalWorkloadsSaved, uniqueWorkloads, totalRawCost } = await fileUploadManager.processFiles(files, (progress) => {
+      const { totalWorkloadsSaved, uniqueWorkloads, totalRawCost, schemaProfiles, costBasis: uploadCostBasis, lineItemLedger, ingestionReport, sampling, costTrend, baselinePeriod } = await fileUploadManager.processFiles(files, (progress) => {
         setUploadProgress(prev => ({ ...prev, ...progress }));
       });
 
@@ -889,8 +1258,13 @@ function CurUploadButton({ onUploadComplete }) {
         console.warn(`[UPLOAD] WARNING: Only ${verifyWorkloads.length} workloads found, expected ~${uniqueWorkloads}`);
       }
 
-      const summaryMessage = `Successfully imported ${totalWorkloadsSaved} new workloads (${verifyWorkloads.length} total unique workloads).`;
+      const profileLabels = Array.from(new Set((schemaProfiles || []).map(p => p.label)));
+      const summaryMessage = `Successfully imported ${totalWorkloadsSaved} new workloads (${verifyWorkloads.length} total unique workloads)` +
+        (profileLabels.length > 0 ? ` from ${profileLabels.join(', ')} data.` : '.');
       toast.success(summaryMessage);
+      if (uploadCostBasis && uploadCostBasis.fallbackFiles.length > 0) {
+        toast.warn(`${uploadCostBasis.label} cost requested, but ${uploadCostBasis.fallbackFiles.length} file(s) have no RI / Savings Plan columns and were costed unblended.`, { autoClose: 10000 });
+      }
 
       if (onUploadComplete) {
         onUploadComplete({
@@ -900,6 +1274,13 @@ function CurUploadButton({ onUploadComplete }) {
             workloadsSaved: totalWorkloadsSaved,
             totalMonthlyCost: totalRawCost > 0 ? totalRawCost : undefined, // CRITICAL: Use totalRawCost from CSV parser (correct cost)
             totalRawCost: totalRawCost > 0 ? totalRawCost : undefined, // Also include as totalRawCost for reference
+            schemaProfiles: schemaProfiles && schemaProfiles.length > 0 ? schemaProfiles : undefined, // CUR 1.0 / CUR 2.0 / FOCUS per file
+            costBasis: uploadCostBasis, // Unblended / amortized / net amortized - the AWS baseline for GCP comparisons
+            lineItemLedger: lineItemLedger || undefined, // Cost per line item type, reconciled to the invoice total
+            ingestionReport: ingestionReport || undefined, // Rejected rows by reason and unmapped product codes
+            sampling: sampling || undefined, // Sampling mode: sample size, estimated resources and strata totals
+            costTrend: costTrend && costTrend.length > 0 ? costTrend : undefined, // Baseline cost per billing month
+            baselinePeriod: baselinePeriod || undefined, // Months the monthly baseline is averaged over
           },
           files: files,
         });
@@ -914,6 +1295,10 @@ function CurUploadButton({ onUploadComplete }) {
     }
   };
 
+  const toggleBaselineLineItemType = (type) => {
+    setBaselineLineItemTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+  };
+
   const handleButtonClick = () => {
     fileInputRef.current?.click();
   };
@@ -923,17 +1308,70 @@ function CurUploadButton({ onUploadComplete }) {
       <input
         ref={fileInputRef}
         type="file"
-        accept=".csv,.zip"
+        accept=".csv,.gz,.parquet,.zip"
         multiple
         onChange={handleFileUpload}
         style={{ display: 'none' }}
         disabled={uploading}
       />
+      <select
+        className="form-select form-select-sm mb-2"
+        aria-label="Cost basis"
+        title={COST_BASIS_OPTIONS.find(option => option.id === costBasis)?.description}
+        value={costBasis}
+        onChange={(e) => setCostBasis(e.target.value)}
+        disabled={uploading}
+      >
+        {COST_BASIS_OPTIONS.map(option => (
+          <option key={option.id} value={option.id}>{option.label} cost</option>
+        ))}
+      </select>
+      <select
+        className="form-select form-select-sm mb-2"
+        aria-label="Baseline months"
+        title="For CURs covering several months, the baseline is the average of the last N months"
+        value={baselineMonths}
+        onChange={(e) => setBaselineMonths(parseInt(e.target.value, 10))}
+        disabled={uploading}
+      >
+        {BASELINE_MONTH_OPTIONS.map(months => (
+          <option key={months} value={months}>Baseline: last {months} month{months > 1 ? 's' : ''}</option>
+        ))}
+      </select>
+      <select
+        className="form-select form-select-sm mb-2"
+        aria-label="Sampling"
+        title="Sampling keeps up to N resources per service and region and scales them to the exact invoice totals - faster for very large CURs, with confidence intervals on the report"
+        value={sampleSize}
+        onChange={(e) => setSampleSize(parseInt(e.target.value, 10))}
+        disabled={uploading}
+      >
+        <option value={0}>Every resource (no sampling)</option>
+        {SAMPLE_SIZE_OPTIONS.map(size => (
+          <option key={size} value={size}>Sample {size.toLocaleString()} resources per service/region</option>
+        ))}
+      </select>
+      <details className="mb-2" style={{ fontSize: '0.85rem' }}>
+        <summary>Baseline line item types ({baselineLineItemTypes.length})</summary>
+        {Object.values(LineItemType).map(type => (
+          <div className="form-check" key={type}>
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id={`baseline-line-item-${type}`}
+              checked={baselineLineItemTypes.includes(type)}
+              onChange={() => toggleBaselineLineItemType(type)}
+              disabled={uploading}
+            />
+            <label className="form-check-label" htmlFor={`baseline-line-item-${type}`}>{type}</label>
+          </div>
+        ))}
+      </details>
       <button
         className="cur-upload-btn"
         onClick={handleButtonClick}
         disabled={uploading}
-        title="Upload AWS Cost and Usage Report (CUR) CSV files or ZIP archive"
+        title="Upload AWS Cost and Usage Report (CUR 1.0 / CUR 2.0), FOCUS or Azure Cost Management export CSV (.csv / .csv.gz) / Parquet files or ZIP archive"
       >
         {uploading ? 'Uploading...' : 'Upload CUR'}
       </button>
@@ -971,4 +1409,5 @@ function CurUploadButton({ onUploadComplete }) {
   );
 }
 
+export { FileUploadManager };
 export default CurUploadButton;
@@ -0,0 +1,40 @@
+/**
+ * Redaction Toggle
+ *
+ * Switch for anonymisation mode: when on, PDF reports, CSV / JSON exports and project bundles
+ * replace account IDs, ARNs, resource IDs, bucket names and tag values with stable pseudonyms
+ * (see utils/redaction.js). The setting is shared by every export in the app.
+ */
+
+import React, { useState } from 'react';
+import { isRedactionEnabled, setRedactionEnabled } from '../utils/redaction';
+
+const RedactionToggle = ({ id = 'redactionToggle' }) => {
+  const [enabled, setEnabled] = useState(() => isRedactionEnabled());
+
+  const handleChange = (event) => {
+    setRedactionEnabled(event.target.checked);
+    setEnabled(event.target.checked);
+  };
+
+  return (
+    <div className="form-check form-switch">
+      <input
+        className="form-check-input"
+        type="checkbox"
+        id={id}
+        checked={enabled}
+        onChange={handleChange}
+      />
+      <label className="form-check-label" htmlFor={id}>
+        Anonymise identifiers in exports
+        <small className="d-block text-muted">
+          Account IDs, ARNs, resource IDs, bucket names and tag values become pseudonyms that stay the same across
+          this project's exports
+        </small>
+      </label>
+    </div>
+  );
+};
+
+export default RedactionToggle;
@@ -0,0 +1,313 @@
+/**
+ * Service Mapping Editor
+ *
+ * Per-project overrides of the built-in AWS / Azure to GCP service mappings: target service,
+ * strategy, effort and notes (see utils/serviceMappingOverrides.js). The active project's overrides
+ * are used by cost estimates, migration plans and reports from the next pipeline run on.
+ * Mapping sets are imported and exported as JSON or YAML.
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  getAllAwsServices,
+  getAllAzureServices,
+  getBuiltInAwsToGcpMapping,
+  getBuiltInAzureToGcpMapping
+} from '../utils/serviceMapping';
+import {
+  MAPPING_STRATEGIES,
+  MAPPING_EFFORTS,
+  MappingSetFormat,
+  getActiveMappingProject,
+  setActiveMappingProject,
+  listMappingProjects,
+  getMappingOverrides,
+  saveMappingOverride,
+  removeMappingOverride,
+  importMappingOverrides,
+  exportMappingSet,
+  parseMappingSet
+} from '../utils/serviceMappingOverrides';
+
+const PROVIDER_LABELS = { aws: 'AWS', azure: 'Azure' };
+
+const emptyDraft = (sourceProvider = 'aws') => ({
+  sourceProvider,
+  sourceService: '',
+  gcpService: '',
+  migrationStrategy: 'Rehost',
+  effort: 'Medium',
+  notes: ''
+});
+
+const builtInMapping = (sourceService, sourceProvider) => (sourceProvider === 'azure'
+  ? getBuiltInAzureToGcpMapping(sourceService)
+  : getBuiltInAwsToGcpMapping(sourceService));
+
+const downloadText = (text, fileName, type) => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const ServiceMappingEditor = ({ id = 'serviceMappingEditor' }) => {
+  const [project, setProject] = useState(() => getActiveMappingProject());
+  const [projectInput, setProjectInput] = useState(project);
+  const [overrides, setOverrides] = useState(() => getMappingOverrides(project));
+  const [draft, setDraft] = useState(() => emptyDraft());
+  const [mergeImport, setMergeImport] = useState(false);
+
+  const refresh = (projectKey = project) => setOverrides(getMappingOverrides(projectKey));
+  const overrideCount = overrides.aws.length + overrides.azure.length;
+
+  const handleProjectChange = () => {
+    const projectKey = projectInput.trim();
+    if (!projectKey) return;
+    setActiveMappingProject(projectKey);
+    setProject(projectKey);
+    refresh(projectKey);
+  };
+
+  // Picking a source service pre-fills the form with its current mapping
+  const handleSourceServiceChange = (sourceService) => {
+    const existing = overrides[draft.sourceProvider].find(override => override.sourceService === sourceService);
+    const mapping = existing || builtInMapping(sourceService, draft.sourceProvider);
+    const known = existing || (draft.sourceProvider === 'azure' ? getAllAzureServices() : getAllAwsServices()).includes(sourceService);
+    setDraft(known
+      ? {
+        ...draft,
+        sourceService,
+        gcpService: mapping.gcpService || '',
+        migrationStrategy: mapping.migrationStrategy || 'Rehost',
+        effort: mapping.effort || 'Medium',
+        notes: existing ? existing.notes : ''
+      }
+      : { ...draft, sourceService });
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    try {
+      const { sourceProvider, ...entry } = draft;
+      saveMappingOverride(entry, sourceProvider, project);
+      refresh();
+      setDraft(emptyDraft(sourceProvider));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRemove = (sourceService, sourceProvider) => {
+    removeMappingOverride(sourceService, sourceProvider, project);
+    refresh();
+  };
+
+  const handleExport = (format) => {
+    const extension = format === MappingSetFormat.YAML ? 'yaml' : 'json';
+    downloadText(
+      exportMappingSet(project, format),
+      `service-mappings-${project.replace(/[^A-Za-z0-9_-]+/g, '-')}.${extension}`,
+      format === MappingSetFormat.YAML ? 'application/yaml' : 'application/json'
+    );
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const format = /\.ya?ml$/i.test(file.name) ? MappingSetFormat.YAML : undefined;
+      const mappingSet = parseMappingSet(await file.text(), format);
+      importMappingOverrides(mappingSet, project, { merge: mergeImport });
+      refresh();
+      toast.success(`Imported ${mappingSet.aws.length + mappingSet.azure.length} mapping overrides`);
+    } catch (error) {
+      toast.error(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  const sourceServices = draft.sourceProvider === 'azure' ? getAllAzureServices() : getAllAwsServices();
+
+  return (
+    <details className="card mt-3 text-start" id={id}>
+      <summary className="card-header">
+        Service mapping overrides ({overrideCount}) - project <strong>{project}</strong>
+      </summary>
+      <div className="card-body">
+        <p className="text-muted small">
+          Replace the built-in target of a source service for this project, e.g. ECS to GKE instead of Cloud Run.
+          Overrides apply to cost estimates, migration plans and reports from the next pipeline run.
+        </p>
+
+        <div className="input-group input-group-sm mb-3">
+          <span className="input-group-text">Project</span>
+          <input
+            className="form-control"
+            list={`${id}-projects`}
+            value={projectInput}
+            onChange={(e) => setProjectInput(e.target.value)}
+          />
+          <datalist id={`${id}-projects`}>
+            {listMappingProjects().map(projectKey => <option key={projectKey} value={projectKey} />)}
+          </datalist>
+          <button className="btn btn-outline-primary" onClick={handleProjectChange} disabled={projectInput.trim() === project}>
+            Use project
+          </button>
+        </div>
+
+        {overrideCount > 0 && (
+          <div className="table-responsive mb-3">
+            <table className="table table-sm table-hover">
+              <thead>
+                <tr>
+                  <th>Source</th>
+                  <th>Service</th>
+                  <th>GCP Service</th>
+                  <th>Strategy</th>
+                  <th>Effort</th>
+                  <th>Notes</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(PROVIDER_LABELS).flatMap(sourceProvider => overrides[sourceProvider].map(override => (
+                  <tr key={`${sourceProvider}:${override.sourceService}`}>
+                    <td>{PROVIDER_LABELS[sourceProvider]}</td>
+                    <td>{override.sourceService}</td>
+                    <td>{override.gcpService}</td>
+                    <td>{override.migrationStrategy}</td>
+                    <td>{override.effort}</td>
+                    <td><small>{override.notes}</small></td>
+                    <td className="text-nowrap">
+                      <button
+                        className="btn btn-sm btn-outline-secondary me-1"
+                        onClick={() => setDraft({ ...override, sourceProvider })}
+                        title="Edit override"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => handleRemove(override.sourceService, sourceProvider)}
+                        title="Remove override (the built-in mapping applies again)"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <form className="row g-2 mb-3" onSubmit={handleSave}>
+          <div className="col-md-2">
+            <select
+              className="form-select form-select-sm"
+              aria-label="Source provider"
+              value={draft.sourceProvider}
+              onChange={(e) => setDraft(emptyDraft(e.target.value))}
+            >
+              {Object.entries(PROVIDER_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-md-3">
+            <input
+              className="form-control form-control-sm"
+              placeholder="Source service (e.g. ECS)"
+              list={`${id}-source-services`}
+              value={draft.sourceService}
+              onChange={(e) => handleSourceServiceChange(e.target.value)}
+              required
+            />
+            <datalist id={`${id}-source-services`}>
+              {sourceServices.map(service => <option key={service} value={service} />)}
+            </datalist>
+          </div>
+          <div className="col-md-3">
+            <input
+              className="form-control form-control-sm"
+              placeholder="GCP service (e.g. Google Kubernetes Engine)"
+              value={draft.gcpService}
+              onChange={(e) => setDraft({ ...draft, gcpService: e.target.value })}
+              required
+            />
+          </div>
+          <div className="col-md-2">
+            <select
+              className="form-select form-select-sm"
+              aria-label="Migration strategy"
+              value={draft.migrationStrategy}
+              onChange={(e) => setDraft({ ...draft, migrationStrategy: e.target.value })}
+            >
+              {MAPPING_STRATEGIES.map(strategy => <option key={strategy} value={strategy}>{strategy}</option>)}
+            </select>
+          </div>
+          <div className="col-md-2">
+            <select
+              className="form-select form-select-sm"
+              aria-label="Effort"
+              value={draft.effort}
+              onChange={(e) => setDraft({ ...draft, effort: e.target.value })}
+            >
+              {MAPPING_EFFORTS.map(effort => <option key={effort} value={effort}>{effort} effort</option>)}
+            </select>
+          </div>
+          <div className="col-md-10">
+            <input
+              className="form-control form-control-sm"
+              placeholder="Notes (why this target)"
+              value={draft.notes}
+              onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+            />
+          </div>
+          <div className="col-md-2">
+            <button type="submit" className="btn btn-sm btn-primary w-100">Save override</button>
+          </div>
+        </form>
+
+        <div className="d-flex flex-wrap align-items-center gap-2">
+          <label className="btn btn-sm btn-outline-info mb-0">
+            Import JSON / YAML
+            <input
+              type="file"
+              accept=".json,.yaml,.yml"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </label>
+          <div className="form-check mb-0">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id={`${id}-merge`}
+              checked={mergeImport}
+              onChange={(e) => setMergeImport(e.target.checked)}
+            />
+            <label className="form-check-label small" htmlFor={`${id}-merge`}>
+              Merge with existing overrides
+            </label>
+          </div>
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => handleExport(MappingSetFormat.JSON)}>
+            Export JSON
+          </button>
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => handleExport(MappingSetFormat.YAML)}>
+            Export YAML
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default ServiceMappingEditor;
@@ -6,6 +6,7 @@
 import { FileUploadManager } from '../CurUploadButton';
 import { Workload } from '../../domain/entities/Workload';
 import { parseAwsCurStreaming } from '../../utils/streamingCsvParser';
+import { WorkloadRepository } from '../../infrastructure/repositories/WorkloadRepository';
 
 // Mock dependencies
 jest.mock('../../utils/streamingCsvParser', () => ({
@@ -15,6 +16,7 @@ jest.mock('../../utils/streamingCsvParser', () => ({
 const mockWorkloadRepository = {
   findById: jest.fn(),
   save: jest.fn(),
+  saveManyImmediate: jest.fn(),
 };
 
 describe('FileUploadManager', () => {
@@ -68,4 +70,66 @@ describe('FileUploadManager', () => {
         expect(savedWorkload.monthlyCost.amount).toBe(150);
       });
   });
+
+  describe('Scratch databases', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should save the workloads a parser worker left in its scratch database, then drop it', async () => {
+      const pages = [];
+      const dropped = [];
+      jest.spyOn(WorkloadRepository.prototype, 'forEachStoredPage').mockImplementation(async function (pageSize, callback) {
+        pages.push([this.databaseName, pageSize]);
+        await callback([new Workload({ id: 'i-2', name: 'i-2', service: 'EC2', region: 'us-east-1', monthlyCost: 20 })]);
+        await callback([new Workload({ id: 'i-3', name: 'i-3', service: 'EC2', region: 'us-east-1', monthlyCost: 30 })]);
+      });
+      jest.spyOn(WorkloadRepository.prototype, 'drop').mockImplementation(async function () {
+        dropped.push(this.databaseName);
+      });
+      const dedupeMap = new Map([['other', new Workload({ id: 'other', name: 'other' })]]);
+      const workloads = [new Workload({ id: 'i-1', name: 'i-1', service: 'EC2', region: 'us-east-1', monthlyCost: 10 })];
+      workloads._scratchDatabaseNames = ['CurParserScratch-a'];
+
+      const counts = await fileUploadManager._deduplicateAndSaveResult(workloads, dedupeMap, new Set(), () => {});
+
+      expect(counts).toEqual({ newWorkloads: 3, updatedWorkloads: 0 });
+      expect(pages).toEqual([['CurParserScratch-a', 10000]]);
+      expect(['i-1_ec2_us-east-1', 'i-2_ec2_us-east-1', 'i-3_ec2_us-east-1'].every(key => dedupeMap.has(key))).toBe(true);
+      expect(dropped).toEqual(['CurParserScratch-a']);
+    });
+  });
+
+  describe('Source provider', () => {
+    it('should keep the source provider of new workloads', async () => {
+      const dedupeMap = new Map([['other', new Workload({ id: 'other', name: 'other' })]]);
+      const workloads = [
+        { id: '/subscriptions/s1/vm1', name: 'vm1', service: 'Virtual Machines', region: 'eastus', monthlyCost: 40, sourceProvider: 'azure' },
+        new Workload({ id: 'i-1', name: 'i-1', service: 'EC2', region: 'us-east-1', monthlyCost: 10 })
+      ];
+
+      await fileUploadManager._deduplicateAndSave(workloads, dedupeMap, new Set(), () => {});
+
+      expect(dedupeMap.get('/subscriptions/s1/vm1_virtual machines_eastus').sourceProvider.type).toBe('azure');
+      expect(dedupeMap.get('i-1_ec2_us-east-1').sourceProvider.type).toBe('aws');
+    });
+  });
+
+  describe('Monthly baseline', () => {
+    it('should average each workload over the last N billing months', async () => {
+      const dedupeMap = new Map([
+        ['a', new Workload({ id: 'a', name: 'a', monthlyCost: 60, costByMonth: { '2024-01': 30, '2024-02': 20, '2024-03': 10 } })],
+        ['b', new Workload({ id: 'b', name: 'b', monthlyCost: 12, costByMonth: { '2024-03': 12 } })],
+        ['c', new Workload({ id: 'c', name: 'c', monthlyCost: 5 })]
+      ]);
+
+      await fileUploadManager._applyMonthlyBaseline(dedupeMap, ['2024-02', '2024-03'], () => {});
+
+      expect(dedupeMap.get('a').monthlyCost.amount).toBe(15);
+      expect(dedupeMap.get('b').monthlyCost.amount).toBe(6);
+      expect(dedupeMap.get('c').monthlyCost.amount).toBe(5);
+      expect(mockWorkloadRepository.saveManyImmediate).toHaveBeenCalledTimes(1);
+      expect(mockWorkloadRepository.saveManyImmediate.mock.calls[0][0]).toHaveLength(2);
+    });
+  });
 });
@@ -12,6 +12,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { toast } from 'react-toastify';
 import CurUploadButton from '../CurUploadButton.js';
+import ServiceMappingEditor from '../ServiceMappingEditor.js';
 import PipelineOrchestrator from './PipelineOrchestrator.js';
 import ReportSummaryView from '../report/ReportSummaryView.js';
 import { generateComprehensiveReportPDF } from '../../utils/reportPdfGenerator.js';
@@ -227,6 +228,72 @@ export default function MigrationPipeline() {
           console.warn('[PIPELINE] No totalRawCost found in uploadResult.summary:', uploadResult.summary);
         }
         
+        // Keep the detected schema profiles (CUR 1.0 / CUR 2.0 / FOCUS) for the discovery summary
+        try {
+          if (uploadResult.summary.schemaProfiles) {
+            sessionStorage.setItem('csvParserSchemaProfiles', JSON.stringify(uploadResult.summary.schemaProfiles));
+          } else {
+            sessionStorage.removeItem('csvParserSchemaProfiles');
+          }
+        } catch (e) {
+          console.warn('[PIPELINE] Failed to store schema profiles:', e);
+        }
+        
+        // Keep the cost basis (unblended / amortized / net amortized) the AWS baseline was computed on
+        try {
+          if (uploadResult.summary.costBasis) {
+            sessionStorage.setItem('csvParserCostBasis', JSON.stringify(uploadResult.summary.costBasis));
+          } else {
+            sessionStorage.removeItem('csvParserCostBasis');
+          }
+        } catch (e) {
+          console.warn('[PIPELINE] Failed to store cost basis:', e);
+        }
+        
+        // Keep the line item type ledger so the report can reconcile the baseline to the invoice total
+        try {
+          if (uploadResult.summary.lineItemLedger) {
+            sessionStorage.setItem('csvParserLineItemLedger', JSON.stringify(uploadResult.summary.lineItemLedger));
+          } else {
+            sessionStorage.removeItem('csvParserLineItemLedger');
+          }
+        } catch (e) {
+          console.warn('[PIPELINE] Failed to store line item ledger:', e);
+        }
+        
+        // Keep the ingestion report so the data quality section can list rejected rows and unmapped codes
+        try {
+          if (uploadResult.summary.ingestionReport) {
+            sessionStorage.setItem('csvParserIngestionReport', JSON.stringify(uploadResult.summary.ingestionReport));
+          } else {
+            sessionStorage.removeItem('csvParserIngestionReport');
+          }
+        } catch (e) {
+          console.warn('[PIPELINE] Failed to store ingestion report:', e);
+        }
+        
+        // Keep the sampling summary so the report can flag a sampled CUR and show confidence intervals
+        try {
+          if (uploadResult.summary.sampling) {
+            sessionStorage.setItem('csvParserSampling', JSON.stringify(uploadResult.summary.sampling));
+          } else {
+            sessionStorage.removeItem('csvParserSampling');
+          }
+        } catch (e) {
+          console.warn('[PIPELINE] Failed to store sampling summary:', e);
+        }
+        
+        // Keep the months the baseline was averaged over (multi-month CURs)
+        try {
+          if (uploadResult.summary.baselinePeriod) {
+            sessionStorage.setItem('csvParserBaselinePeriod', JSON.stringify(uploadResult.summary.baselinePeriod));
+          } else {
+            sessionStorage.removeItem('csvParserBaselinePeriod');
+          }
+        } catch (e) {
+          console.warn('[PIPELINE] Failed to store baseline period:', e);
+        }
+        
         // CRITICAL FIX: Clear any previous state when uploading new files
         // This ensures we start fresh with new files
         if (fileUUID) {
@@ -1188,9 +1255,25 @@ export default function MigrationPipeline() {
           shouldIncludeWorkloads = false;
         }
         
-        reportData = await import('../../domain/services/ReportDataAggregator.js').then(m => 
-          m.ReportDataAggregator.generateReportSummary(workloads)
-        );
+        const { ReportDataAggregator } = await import('../../domain/services/ReportDataAggregator.js');
+        reportData = ReportDataAggregator.generateReportSummary(workloads);
+        
+        // Record which cost basis the AWS baseline was computed on
+        if (discoveryOutput?.summary?.costBasis) {
+          reportData.summary.costBasis = discoveryOutput.summary.costBasis;
+        }
+        if (discoveryOutput?.summary?.lineItemLedger) {
+          reportData.summary.lineItemLedger = discoveryOutput.summary.lineItemLedger;
+        }
+        if (discoveryOutput?.summary?.baselinePeriod) {
+          reportData.summary.baselinePeriod = discoveryOutput.summary.baselinePeriod;
+        }
+        if (discoveryOutput?.summary?.ingestionReport) {
+          reportData.summary.ingestionReport = discoveryOutput.summary.ingestionReport;
+        }
+        if (discoveryOutput?.summary?.sampling) {
+          reportData.summary.sampling = ReportDataAggregator.describeSampling(workloads, discoveryOutput.summary.sampling);
+        }
         
         // CRITICAL: Explicitly remove workloads array from reportData if memory is high
         if (!shouldIncludeWorkloads && reportData.workloads) {
@@ -1434,6 +1517,7 @@ export default function MigrationPipeline() {
           <div className="file-upload-section">
             <CurUploadButton onUploadComplete={handleFileUpload} />
           </div>
+          <ServiceMappingEditor />
         </div>
       </div>
     );
@@ -26,6 +26,7 @@ import {
 import { generateFileUUID, generateFilesUUID } from '../../utils/uuidGenerator.js';
 import { GCPCostEstimator } from '../../domain/services/GCPCostEstimator.js';
 import { ReportDataAggregator } from '../../domain/services/ReportDataAggregator.js';
+import { curParserWorkerPool } from '../../workers/curParserWorkerPool.js';
 import './PipelineOrchestrator.css';
 
 // SAFETY: Global error handlers to catch crashes that prevent normal logging
@@ -665,6 +666,72 @@ export default function PipelineOrchestrator({ files, fileUUID: propFileUUID, on
         console.warn('[PipelineOrchestrator] Error getting/calculating totalMonthlyCost:', costError);
       }
       
+      // Schema profiles the CSV parser detected per file (stored by MigrationPipeline on upload)
+      let schemaProfiles = [];
+      try {
+        const storedProfiles = sessionStorage.getItem('csvParserSchemaProfiles');
+        if (storedProfiles) {
+          schemaProfiles = JSON.parse(storedProfiles);
+        }
+      } catch (profileError) {
+        console.warn('[PipelineOrchestrator] Error reading schema profiles:', profileError);
+      }
+      
+      // Cost basis the AWS baseline was computed on (stored by MigrationPipeline on upload)
+      let costBasis = null;
+      try {
+        const storedCostBasis = sessionStorage.getItem('csvParserCostBasis');
+        if (storedCostBasis) {
+          costBasis = JSON.parse(storedCostBasis);
+        }
+      } catch (costBasisError) {
+        console.warn('[PipelineOrchestrator] Error reading cost basis:', costBasisError);
+      }
+      
+      // Line item type ledger reconciled to the invoice total (stored by MigrationPipeline on upload)
+      let lineItemLedger = null;
+      try {
+        const storedLedger = sessionStorage.getItem('csvParserLineItemLedger');
+        if (storedLedger) {
+          lineItemLedger = JSON.parse(storedLedger);
+        }
+      } catch (ledgerError) {
+        console.warn('[PipelineOrchestrator] Error reading line item ledger:', ledgerError);
+      }
+      
+      // Months the baseline was averaged over, for multi-month CURs (stored by MigrationPipeline on upload)
+      let baselinePeriod = null;
+      try {
+        const storedPeriod = sessionStorage.getItem('csvParserBaselinePeriod');
+        if (storedPeriod) {
+          baselinePeriod = JSON.parse(storedPeriod);
+        }
+      } catch (periodError) {
+        console.warn('[PipelineOrchestrator] Error reading baseline period:', periodError);
+      }
+      
+      // Rejected rows and unmapped product codes (stored by MigrationPipeline on upload)
+      let ingestionReport = null;
+      try {
+        const storedReport = sessionStorage.getItem('csvParserIngestionReport');
+        if (storedReport) {
+          ingestionReport = JSON.parse(storedReport);
+        }
+      } catch (reportError) {
+        console.warn('[PipelineOrchestrator] Error reading ingestion report:', reportError);
+      }
+      
+      // Sampling mode: sample size and estimated resources per service + region (stored by MigrationPipeline on upload)
+      let sampling = null;
+      try {
+        const storedSampling = sessionStorage.getItem('csvParserSampling');
+        if (storedSampling) {
+          sampling = JSON.parse(storedSampling);
+        }
+      } catch (samplingError) {
+        console.warn('[PipelineOrchestrator] Error reading sampling summary:', samplingError);
+      }
+      
       const output = {
         workloads: outputWorkloads, // Limited array
         workloadIds, // Full list of IDs
@@ -672,14 +739,21 @@ export default function PipelineOrchestrator({ files, fileUUID: propFileUUID, on
         summary: {
           uniqueWorkloads: workloads.length, // Actual count
           totalRegions: regions.size,
-          totalMonthlyCost: totalMonthlyCost // CRITICAL: Use totalRawCost from CSV parser (correct cost)
+          totalMonthlyCost: totalMonthlyCost, // CRITICAL: Use totalRawCost from CSV parser (correct cost)
+          schemaProfiles,
+          costBasis,
+          lineItemLedger,
+          baselinePeriod,
+          ingestionReport,
+          sampling
         },
         timestamp: new Date().toISOString()
       };
 
       // Save to cache
       await saveAgentOutput(fileUUID, 'discovery', output, {
-        workloadCount: workloads.length
+        workloadCount: workloads.length,
+        fileNames: (files || []).map(file => file?.name).filter(Boolean) // Labels the upload when comparing uploads
       });
 
       console.log(`✓ Discovery Agent: Completed (${workloads.length.toLocaleString()} workloads)`);
@@ -2061,6 +2135,8 @@ export default function PipelineOrchestrator({ files, fileUUID: propFileUUID, on
   // Handle cancel
   const handleCancel = useCallback(() => {
     cancelRequestedRef.current = true;
+    // Stop any CUR files still being parsed in background workers
+    curParserWorkerPool.cancelAll('Pipeline cancelled');
     setAgentStatus('cancelled');
     toast.info('Pipeline cancelled. You can resume from the last completed agent.');
   }, []);
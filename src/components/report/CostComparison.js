@@ -44,6 +44,7 @@ const CostComparison = ({ serviceAggregation = [], targetRegion = 'us-central1'
             <li><strong>1-Year CUD:</strong> ~25% discount on compute, ~15% on storage, ~20% on databases</li>
             <li><strong>3-Year CUD:</strong> ~45% discount on compute, ~30% on storage, ~40% on databases</li>
             <li>All workloads are assumed eligible for CUD pricing</li>
+            <li>CUR uploads are split by usage type: CUDs discount compute (and storage services' storage), not data transfer or licences</li>
             <li>Costs are estimates based on current GCP pricing and may vary</li>
           </ul>
         </div>
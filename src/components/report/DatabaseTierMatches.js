@@ -0,0 +1,111 @@
+/**
+ * Database Tier Matches Component
+ *
+ * Cloud SQL / AlloyDB configuration chosen for each RDS / Aurora database group, largest spend first:
+ * edition, tier, high availability, storage and backup sizing, the GCP monthly cost and the reason
+ * (gcpDatabaseTierMatcher.js).
+ */
+
+import React from 'react';
+import { DatabaseTierMatchService } from '../../domain/services/DatabaseTierMatchService.js';
+import { DATABASE_ENGINE_LABELS } from '../../utils/rdsUsageProfile.js';
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatGb = (value) => `${Math.round(value || 0).toLocaleString()} GB`;
+
+const describeSource = (entry) => {
+  const engine = DATABASE_ENGINE_LABELS[entry.engine] || 'Unknown engine';
+  const edition = entry.edition ? ` ${entry.edition.charAt(0).toUpperCase()}${entry.edition.slice(1)}` : '';
+  return `${engine}${edition}${entry.multiAz ? ', Multi-AZ' : ''}`;
+};
+
+const DatabaseTierMatches = ({ services }) => {
+  if (!services || services.length === 0) {
+    return null;
+  }
+
+  const analysis = DatabaseTierMatchService.analyzeMatches(services);
+  if (analysis.groups === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header bg-secondary text-white">
+        <h5 className="mb-0">
+          <i className="bi bi-database me-2"></i>
+          Database Tier Matches
+        </h5>
+      </div>
+      <div className="card-body">
+        <p className="mb-3">
+          {formatMoney(analysis.matchedCost)} of {formatMoney(analysis.totalCost)} database spend
+          ({analysis.groups.toLocaleString()} database configurations) has a Cloud SQL or AlloyDB match,
+          at {formatMoney(analysis.gcpCost)} on GCP.
+        </p>
+        <div className="table-responsive">
+          <table className="table table-sm table-striped align-middle">
+            <thead>
+              <tr>
+                <th>Instance Class</th>
+                <th>Engine</th>
+                <th className="text-end">Databases</th>
+                <th className="text-end">AWS Cost</th>
+                <th>GCP Tier</th>
+                <th className="text-end">Storage / Backup</th>
+                <th className="text-end">GCP Cost</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.matches.map(entry => (
+                <tr key={`${entry.service}:${entry.instanceType}:${entry.engine}:${entry.edition}:${entry.multiAz}:${entry.storageType}`}>
+                  <td>
+                    {entry.instanceType || (entry.serverless ? 'Serverless' : 'Storage only')}
+                    <small className="text-muted d-block">{entry.service}</small>
+                  </td>
+                  <td><small>{describeSource(entry)}</small></td>
+                  <td className="text-end">{entry.count.toLocaleString()}</td>
+                  <td className="text-end">{formatMoney(entry.cost)}</td>
+                  <td>
+                    {entry.match?.product ? (
+                      <>
+                        {entry.match.tier || entry.match.productLabel}
+                        <small className="text-muted d-block">
+                          {entry.match.editionLabel || entry.match.productLabel}
+                        </small>
+                        {entry.match.highAvailability && <span className="badge bg-info text-dark">HA</span>}
+                      </>
+                    ) : <span className="badge bg-danger">No match</span>}
+                  </td>
+                  <td className="text-end">
+                    <small>
+                      {entry.match?.product ? `${formatGb(entry.match.storageGb)} ${entry.match.storageType} / ${formatGb(entry.match.backupGb)}` : '-'}
+                    </small>
+                  </td>
+                  <td className="text-end">{entry.gcpCost ? formatMoney(entry.gcpCost.total) : '-'}</td>
+                  <td><small>{entry.match?.reason || 'Instance class not in the instance type catalog'}</small></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {analysis.groups > analysis.matches.length && (
+            <small className="text-muted">
+              Showing the {analysis.matches.length} largest of {analysis.groups} database configurations
+            </small>
+          )}
+        </div>
+        <small className="text-muted d-block mt-2">
+          Storage and backup are per database. GCP prices are approximate us-central1 on-demand list prices,
+          for one month, like the monthly AWS cost baseline
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default DatabaseTierMatches;
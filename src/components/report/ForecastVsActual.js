@@ -0,0 +1,230 @@
+/**
+ * Forecast vs Actual Component
+ *
+ * Uploads a GCP billing export (BigQuery export schema as CSV or JSONL) after migration and
+ * compares the actual GCP cost with the GCPCostEstimator forecast:
+ * - Totals: AWS baseline, forecast, actual, promised vs actual savings
+ * - By GCP service
+ * - By migration wave (billing rows matched to workloads by label or resource name)
+ */
+
+import React, { useState, useMemo } from 'react';
+import { parseGcpBillingExport } from '../../utils/gcpBillingExportParser.js';
+import { GCPCostEstimator } from '../../domain/services/GCPCostEstimator.js';
+import { ForecastVsActualService } from '../../domain/services/ForecastVsActualService.js';
+
+const PRICING_OPTIONS = [
+  { value: 'onDemand', label: 'On-demand' },
+  { value: 'cud1', label: '1-year CUD' },
+  { value: 'cud3', label: '3-year CUD' }
+];
+
+const formatMoney = (value, currency) => {
+  const amount = Number(value) || 0;
+  return `${amount < 0 ? '-' : ''}${currency === 'USD' ? '$' : ''}${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}${currency && currency !== 'USD' ? ` ${currency}` : ''}`;
+};
+
+const formatVariance = (percent) => (percent === null || percent === undefined ? 'n/a' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`);
+
+// Over forecast is shown in red, under forecast in green
+const varianceClass = (variance) => (variance > 0 ? 'text-danger' : 'text-success');
+
+const ForecastVsActual = ({ workloads = [], wavePlan = null, serviceAggregation = [], targetRegion = 'us-central1' }) => {
+  const [billing, setBilling] = useState(null);
+  const [estimates, setEstimates] = useState(null);
+  const [pricing, setPricing] = useState('onDemand');
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    setLoading(true);
+    setError(null);
+    setProgress(0);
+    try {
+      const compression = file.name.toLowerCase().endsWith('.gz') ? 'gzip' : undefined;
+      const summary = await parseGcpBillingExport(file, ({ percent }) => setProgress(percent), { compression });
+      const serviceEstimates = await GCPCostEstimator.estimateAllServiceCosts(serviceAggregation, targetRegion);
+      setBilling(summary);
+      setEstimates(serviceEstimates);
+    } catch (err) {
+      console.error('[ForecastVsActual] Failed to read GCP billing export:', err);
+      setError(err.message);
+      setBilling(null);
+    } finally {
+      setLoading(false);
+      event.target.value = '';
+    }
+  };
+
+  const comparison = useMemo(() => {
+    if (!billing || !estimates) return null;
+    return ForecastVsActualService.compare({ billing, estimates, workloads, wavePlan, pricing });
+  }, [billing, estimates, workloads, wavePlan, pricing]);
+
+  const currency = comparison?.currency;
+
+  return (
+    <div className="card">
+      <div className="card-header bg-secondary text-white">
+        <h5 className="mb-0">
+          <i className="bi bi-graph-up-arrow me-2"></i>
+          Forecast vs Actual - GCP Billing
+        </h5>
+        <small className="d-block mt-1">
+          Upload a GCP billing export after migration to compare actual cost with the forecast
+        </small>
+      </div>
+      <div className="card-body">
+        <div className="row g-3 mb-3">
+          <div className="col-md-8">
+            <label htmlFor="gcpBillingExport" className="form-label">
+              <strong>GCP billing export</strong> (BigQuery export schema as CSV or JSONL)
+            </label>
+            <input
+              id="gcpBillingExport"
+              type="file"
+              className="form-control"
+              accept=".csv,.jsonl,.ndjson,.json,.gz"
+              onChange={handleFileChange}
+              disabled={loading}
+            />
+          </div>
+          <div className="col-md-4">
+            <label htmlFor="forecastPricing" className="form-label">
+              <strong>Forecast pricing</strong>
+            </label>
+            <select
+              id="forecastPricing"
+              className="form-select"
+              value={pricing}
+              onChange={(e) => setPricing(e.target.value)}
+            >
+              {PRICING_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {loading && (
+          <div className="alert alert-info">Reading billing export... {progress}%</div>
+        )}
+        {error && (
+          <div className="alert alert-danger">{error}</div>
+        )}
+
+        {!comparison && !loading && !error && (
+          <div className="alert alert-light mb-0">
+            <i className="bi bi-info-circle me-2"></i>
+            Label migrated GCP resources with <code>workload-id</code> (the source resource ID or name) so billed cost
+            can be matched to workloads and waves. Detailed exports are also matched by resource name.
+          </div>
+        )}
+
+        {comparison && (
+          <>
+            <div className="row text-center mb-3">
+              <div className="col-md-3">
+                <div className="text-muted small">AWS baseline / month</div>
+                <div className="fs-5">{formatMoney(comparison.totals.awsBaseline, currency)}</div>
+              </div>
+              <div className="col-md-3">
+                <div className="text-muted small">Forecast / month</div>
+                <div className="fs-5">{formatMoney(comparison.totals.forecast, currency)}</div>
+              </div>
+              <div className="col-md-3">
+                <div className="text-muted small">Actual / month</div>
+                <div className={`fs-5 ${varianceClass(comparison.totals.variance)}`}>
+                  {formatMoney(comparison.totals.actual, currency)}
+                </div>
+              </div>
+              <div className="col-md-3">
+                <div className="text-muted small">Savings promised / achieved</div>
+                <div className="fs-5">
+                  {formatMoney(comparison.totals.promisedSavings, currency)} / {formatMoney(comparison.totals.actualSavings, currency)}
+                </div>
+              </div>
+            </div>
+            <p className="text-muted small">
+              Actual cost is the monthly average over {comparison.months.length} billing month(s)
+              {comparison.months.length > 0 && ` (${comparison.months[0]} to ${comparison.months[comparison.months.length - 1]})`}.
+              {' '}{comparison.matchedWorkloads.toLocaleString()} workload(s) matched;
+              {' '}{formatMoney(comparison.unmatchedCost, currency)} / month could not be matched to a workload.
+            </p>
+
+            <h6>By GCP service</h6>
+            <div className="table-responsive mb-3">
+              <table className="table table-sm table-striped">
+                <thead>
+                  <tr>
+                    <th>GCP Service</th>
+                    <th className="text-end">Forecast</th>
+                    <th className="text-end">Actual</th>
+                    <th className="text-end">Variance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.services.map(service => (
+                    <tr key={service.gcpService}>
+                      <td>{service.gcpService}</td>
+                      <td className="text-end">{formatMoney(service.forecast, currency)}</td>
+                      <td className="text-end">{formatMoney(service.actual, currency)}</td>
+                      <td className={`text-end ${varianceClass(service.variance)}`}>
+                        {formatMoney(service.variance, currency)} ({formatVariance(service.variancePercent)})
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h6>By migration wave</h6>
+            <div className="table-responsive">
+              <table className="table table-sm table-striped mb-0">
+                <thead>
+                  <tr>
+                    <th>Wave</th>
+                    <th className="text-end">Workloads matched</th>
+                    <th className="text-end">Forecast</th>
+                    <th className="text-end">Actual</th>
+                    <th className="text-end">Variance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.waves.map(wave => (
+                    <tr key={wave.wave}>
+                      <td>{wave.wave ? `Wave ${wave.wave}` : 'Not in a wave'}</td>
+                      <td className="text-end">{wave.matchedWorkloads.toLocaleString()} / {wave.workloads.toLocaleString()}</td>
+                      <td className="text-end">{formatMoney(wave.forecast, currency)}</td>
+                      <td className="text-end">{formatMoney(wave.actual, currency)}</td>
+                      <td className={`text-end ${varianceClass(wave.variance)}`}>
+                        {formatMoney(wave.variance, currency)} ({formatVariance(wave.variancePercent)})
+                      </td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td>{ForecastVsActualService.UNMATCHED}</td>
+                    <td className="text-end">-</td>
+                    <td className="text-end">-</td>
+                    <td className="text-end">{formatMoney(comparison.unmatchedCost, currency)}</td>
+                    <td className="text-end">-</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <small className="text-muted">
+              Wave forecasts only cover the workloads in the wave; a wave is only fully comparable once all of its
+              workloads are labelled.
+            </small>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForecastVsActual;
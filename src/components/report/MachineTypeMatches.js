@@ -0,0 +1,113 @@
+/**
+ * Machine Type Matches Component
+ *
+ * GCP machine type chosen for each source instance type, largest spend first, with the reason, under the
+ * selected rightsizing policy (like-for-like, cost-optimized or performance; gcpMachineTypeMatcher.js).
+ * Changing the policy re-matches straight away; cost estimates follow when the pipeline is re-run.
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { MachineTypeMatchService } from '../../domain/services/MachineTypeMatchService.js';
+import {
+  RIGHTSIZING_POLICY_OPTIONS,
+  getRightsizingPolicy,
+  setRightsizingPolicy
+} from '../../utils/gcpMachineTypeMatcher.js';
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatShape = (shape) => `${shape.vcpu} vCPU / ${Number(shape.memoryGb.toFixed(2))} GB${shape.gpus > 0 ? ` / ${shape.gpus} GPU` : ''}`;
+
+const MachineTypeMatches = ({ services }) => {
+  const [policy, setPolicy] = useState(getRightsizingPolicy);
+
+  if (!services || services.length === 0) {
+    return null;
+  }
+
+  const analysis = MachineTypeMatchService.analyzeMatches(services, { policy });
+  if (analysis.instanceTypes === 0) {
+    return null;
+  }
+
+  const handlePolicyChange = (event) => {
+    setRightsizingPolicy(event.target.value);
+    setPolicy(event.target.value);
+    toast.info('Rightsizing policy saved - re-run the pipeline to update cost estimates');
+  };
+
+  const selectedOption = RIGHTSIZING_POLICY_OPTIONS.find(option => option.value === policy);
+
+  return (
+    <div className="card">
+      <div className="card-header bg-secondary text-white d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="bi bi-cpu me-2"></i>
+          Machine Type Matches
+        </h5>
+        <select
+          className="form-select form-select-sm w-auto"
+          aria-label="Rightsizing policy"
+          value={policy}
+          onChange={handlePolicyChange}
+        >
+          {RIGHTSIZING_POLICY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+      </div>
+      <div className="card-body">
+        <p className="mb-3">
+          {selectedOption?.description}. {formatMoney(analysis.matchedCost)} of {formatMoney(analysis.totalCost)} instance
+          spend ({analysis.instanceTypes.toLocaleString()} instance types) has a GCP machine type.
+        </p>
+        <div className="table-responsive">
+          <table className="table table-sm table-striped align-middle">
+            <thead>
+              <tr>
+                <th>Instance Type</th>
+                <th>Source Shape</th>
+                <th className="text-end">Instances</th>
+                <th className="text-end">Monthly Cost</th>
+                <th>GCP Machine Type</th>
+                <th className="text-end">GCP $/hour</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.matches.map(entry => (
+                <tr key={`${entry.service}:${entry.instanceType}`}>
+                  <td>
+                    {entry.instanceType}
+                    <small className="text-muted d-block">{entry.service}</small>
+                  </td>
+                  <td><small>{entry.source ? formatShape(entry.source) : '-'}</small></td>
+                  <td className="text-end">{entry.count.toLocaleString()}</td>
+                  <td className="text-end">{formatMoney(entry.cost)}</td>
+                  <td>
+                    {entry.match?.machineType || <span className="badge bg-danger">No match</span>}
+                    {entry.match?.custom && <span className="badge bg-info text-dark ms-1">Custom</span>}
+                  </td>
+                  <td className="text-end">{entry.match?.hourlyPrice ? `$${entry.match.hourlyPrice.toFixed(4)}` : '-'}</td>
+                  <td><small>{entry.match?.reason || 'Not in the instance type catalog'}</small></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {analysis.instanceTypes > analysis.matches.length && (
+            <small className="text-muted">
+              Showing the {analysis.matches.length} largest of {analysis.instanceTypes} instance types
+            </small>
+          )}
+        </div>
+        <small className="text-muted d-block mt-2">
+          GCP prices are approximate us-central1 on-demand list prices, used to compare shapes
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default MachineTypeMatches;
@@ -0,0 +1,199 @@
+/**
+ * Mapping Coverage Component
+ *
+ * Share of spend covered by an explicit GCP service mapping (built-in or project override), and the
+ * services without one ranked by cost with the CUR product codes they came from. Each can be given a
+ * mapping in one click; it is saved into the active project's mapping overrides (serviceMappingOverrides.js).
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { MappingCoverageService } from '../../domain/services/MappingCoverageService.js';
+import { MappingSource } from '../../utils/serviceMapping.js';
+import {
+  MAPPING_STRATEGIES,
+  MAPPING_EFFORTS,
+  getActiveMappingProject,
+  saveMappingOverride
+} from '../../utils/serviceMappingOverrides.js';
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const MAPPING_SOURCE_LABELS = {
+  [MappingSource.GENERIC]: 'Generic rule',
+  [MappingSource.NONE]: 'No mapping'
+};
+
+const MappingCoverage = ({ services, ingestionReport }) => {
+  const [draft, setDraft] = useState(null);
+
+  if (!services || services.length === 0) {
+    return null;
+  }
+
+  // Worked out on every render (one entry per service), so a saved override counts straight away
+  const coverage = MappingCoverageService.analyzeCoverage(services, ingestionReport);
+
+  const startMapping = (entry) => setDraft({
+    service: entry.service,
+    sourceProvider: entry.sourceProvider,
+    gcpService: entry.mappingSource === MappingSource.GENERIC ? entry.gcpService : '',
+    migrationStrategy: 'Replatform',
+    effort: 'Medium',
+    notes: entry.productCodes.length > 0 ? `Product codes: ${entry.productCodes.join(', ')}` : ''
+  });
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    try {
+      saveMappingOverride({
+        sourceService: draft.service,
+        gcpService: draft.gcpService,
+        migrationStrategy: draft.migrationStrategy,
+        effort: draft.effort,
+        notes: draft.notes
+      }, draft.sourceProvider);
+      toast.success(`Mapping for ${draft.service} saved to project "${getActiveMappingProject()}" - re-run the pipeline to update estimates`);
+      setDraft(null);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const sharePercent = coverage.coveredShare === null ? null : coverage.coveredShare * 100;
+
+  return (
+    <div className="card">
+      <div className="card-header bg-secondary text-white">
+        <h5 className="mb-0">
+          <i className="bi bi-diagram-3 me-2"></i>
+          Service Mapping Coverage
+        </h5>
+      </div>
+      <div className="card-body">
+        {sharePercent !== null && (
+          <div className="progress mb-2" style={{ height: '20px' }}>
+            <div
+              className={`progress-bar ${sharePercent >= 95 ? 'bg-success' : sharePercent >= 80 ? 'bg-warning' : 'bg-danger'}`}
+              role="progressbar"
+              style={{ width: `${Math.max(0, Math.min(100, sharePercent))}%` }}
+              aria-valuenow={sharePercent}
+              aria-valuemin="0"
+              aria-valuemax="100"
+            >
+              {sharePercent.toFixed(1)}%
+            </div>
+          </div>
+        )}
+        <p className="mb-3">
+          {sharePercent !== null ? `${sharePercent.toFixed(1)}% of spend` : 'Spend'} ({formatMoney(coverage.explicitCost)} of{' '}
+          {formatMoney(coverage.totalCost)}) has an explicit GCP mapping
+          {coverage.overrideCost !== 0 && <> ({formatMoney(coverage.overrideCost)} through project overrides)</>}.
+          {coverage.genericCost !== 0 && <> {formatMoney(coverage.genericCost)} only matches a generic rule.</>}
+          {coverage.unmappedCost !== 0 && <> {formatMoney(coverage.unmappedCost)} has no mapping.</>}
+        </p>
+
+        {coverage.uncovered.length > 0 && (
+          <div className="table-responsive">
+            <table className="table table-sm table-striped align-middle">
+              <thead>
+                <tr>
+                  <th>Service</th>
+                  <th>Product Codes</th>
+                  <th className="text-end">Workloads</th>
+                  <th className="text-end">Monthly Cost</th>
+                  <th>Current Target</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {coverage.uncovered.map(entry => (
+                  <React.Fragment key={`${entry.sourceProvider}:${entry.service}`}>
+                    <tr>
+                      <td>{entry.service}</td>
+                      <td><small>{entry.productCodes.join(', ') || '-'}</small></td>
+                      <td className="text-end">{entry.count.toLocaleString()}</td>
+                      <td className="text-end">{formatMoney(entry.cost)}</td>
+                      <td>
+                        {entry.gcpService}
+                        <span className={`badge ms-1 ${entry.mappingSource === MappingSource.NONE ? 'bg-danger' : 'bg-warning text-dark'}`}>
+                          {MAPPING_SOURCE_LABELS[entry.mappingSource]}
+                        </span>
+                      </td>
+                      <td className="text-end">
+                        <button
+                          className="btn btn-sm btn-outline-primary"
+                          onClick={() => startMapping(entry)}
+                          disabled={draft?.service === entry.service}
+                        >
+                          Create mapping
+                        </button>
+                      </td>
+                    </tr>
+                    {draft?.service === entry.service && draft.sourceProvider === entry.sourceProvider && (
+                      <tr>
+                        <td colSpan={6}>
+                          <form className="row g-2" onSubmit={handleSave}>
+                            <div className="col-md-4">
+                              <input
+                                className="form-control form-control-sm"
+                                placeholder="GCP service"
+                                value={draft.gcpService}
+                                onChange={(e) => setDraft({ ...draft, gcpService: e.target.value })}
+                                autoFocus
+                                required
+                              />
+                            </div>
+                            <div className="col-md-2">
+                              <select
+                                className="form-select form-select-sm"
+                                aria-label="Migration strategy"
+                                value={draft.migrationStrategy}
+                                onChange={(e) => setDraft({ ...draft, migrationStrategy: e.target.value })}
+                              >
+                                {MAPPING_STRATEGIES.map(strategy => <option key={strategy} value={strategy}>{strategy}</option>)}
+                              </select>
+                            </div>
+                            <div className="col-md-2">
+                              <select
+                                className="form-select form-select-sm"
+                                aria-label="Effort"
+                                value={draft.effort}
+                                onChange={(e) => setDraft({ ...draft, effort: e.target.value })}
+                              >
+                                {MAPPING_EFFORTS.map(effort => <option key={effort} value={effort}>{effort} effort</option>)}
+                              </select>
+                            </div>
+                            <div className="col-md-4 d-flex gap-1">
+                              <button type="submit" className="btn btn-sm btn-primary">Save override</button>
+                              <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setDraft(null)}>
+                                Cancel
+                              </button>
+                            </div>
+                          </form>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+            {coverage.uncoveredServices > coverage.uncovered.length && (
+              <small className="text-muted">
+                Showing the {coverage.uncovered.length} largest of {coverage.uncoveredServices} services without an explicit mapping
+              </small>
+            )}
+          </div>
+        )}
+        <small className="text-muted d-block mt-2">
+          Overrides are saved to project "{getActiveMappingProject()}" (Service mapping overrides on the upload page)
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default MappingCoverage;
@@ -6,6 +6,7 @@
  * - Technology Summary
  * - Regional Breakdown
  * - Cost Comparison
+ * - Forecast vs Actual (post-migration GCP billing export)
  * - Migration Recommendations
  * - PDF Download
  */
@@ -28,7 +29,17 @@ import { generateComprehensiveReportPDF } from '../../utils/reportPdfGenerator.j
 import TechnologySummary from './TechnologySummary.js';
 import RegionalBreakdown from './RegionalBreakdown.js';
 import CostComparison from './CostComparison.js';
+import MappingCoverage from './MappingCoverage.js';
+import MachineTypeMatches from './MachineTypeMatches.js';
+import DatabaseTierMatches from './DatabaseTierMatches.js';
+import StorageClassMatches from './StorageClassMatches.js';
+import ForecastVsActual from './ForecastVsActual.js';
+import UploadComparison from './UploadComparison.js';
+import RedactionToggle from '../RedactionToggle.js';
+import { getExportRedactor } from '../../utils/redaction.js';
 import MigrationTimelineGantt from './MigrationTimelineGantt.js';
+import { calculateDataQuality } from '../../utils/reportEnhancements.js';
+import { downloadRejectedRowsCsv } from '../../utils/curIngestionReport.js';
 import { 
   MAX_SCREEN_WORKLOADS, 
   safeArrayLength, 
@@ -51,6 +62,7 @@ ChartJS.register(
 const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyResults = null, uploadSummary = null }) => {
   const [reportData, setReportData] = useState(null);
   const [targetRegion, setTargetRegion] = useState('us-central1');
+  const [uploadComparison, setUploadComparison] = useState(null);
   const isMountedRef = useRef(true);
   const [memoryWarning, setMemoryWarning] = useState(false);
   
@@ -342,12 +354,18 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
       return {
         summary: {
           ...reportSummary.summary,
-          totalRegions: uploadSummary?.totalRegions || reportSummary.summary.totalRegions || 1
+          totalRegions: uploadSummary?.totalRegions || reportSummary.summary.totalRegions || 1,
+          costBasis: uploadSummary?.costBasis || null,
+          lineItemLedger: uploadSummary?.lineItemLedger || null,
+          baselinePeriod: uploadSummary?.baselinePeriod || null,
+          ingestionReport: uploadSummary?.ingestionReport || null,
+          sampling: ReportDataAggregator.describeSampling(workloadsWithAssessments, uploadSummary?.sampling)
         },
         complexity: reportSummary.complexity,
         readiness: reportSummary.readiness,
         services: reportSummary.services,
-        regions: reportSummary.regions
+        regions: reportSummary.regions,
+        accounts: reportSummary.accounts
       };
     } catch (error) {
       console.error('[ReportSummaryView] Error generating report data:', error);
@@ -444,7 +462,8 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
         const targetTotal = uploadSummary.totalMonthlyCost;
         finalReportData.summary = {
           ...finalReportData.summary,
-          totalMonthlyCost: targetTotal
+          totalMonthlyCost: targetTotal,
+          sampling: ReportDataAggregator.describeSampling(workloads, uploadSummary.sampling)
         };
         
         // Scale ALL costs to match correct total (services, complexity, readiness, regions)
@@ -517,6 +536,14 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
               }
             }
           }
+          
+          // Scale linked account costs (small list - one entry per account)
+          if (finalReportData.accounts && Array.isArray(finalReportData.accounts)) {
+            finalReportData.accounts = finalReportData.accounts.map(account => ({
+              ...account,
+              totalCost: (account.totalCost || 0) * scaleFactor
+            }));
+          }
         }
         
         console.log(`ReportSummaryView - Overriding totalMonthlyCost to $${targetTotal.toFixed(2)} for PDF`);
@@ -535,14 +562,17 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
         });
       }
       
+      const projectName = 'AWS to GCP Migration Assessment';
       await generateComprehensiveReportPDF(
         finalReportData,
         estimates,
         strategyResults,
         assessmentResults,
         {
-          projectName: 'AWS to GCP Migration Assessment',
-          targetRegion
+          projectName,
+          targetRegion,
+          uploadComparison,
+          redactor: getExportRedactor() // Anonymisation mode, with the current project's salt
         }
       );
       
@@ -581,7 +611,7 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
       
       alert(`PDF generation failed: ${error.message}\n\nMemory: ${memoryInfo}\n\nCheck console for details.`);
     }
-  }, [workloads, uploadSummary, targetRegion, strategyResults, assessmentResults]);
+  }, [workloads, uploadSummary, targetRegion, strategyResults, assessmentResults, uploadComparison]);
 
   if (!reportData) {
     return (
@@ -676,6 +706,26 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
   const top5Services = [];
   const top5Regions = [];
 
+  // Per-account breakdown is only shown for multi-account (AWS Organizations) bills
+  const accountBreakdown = Array.isArray(reportData?.accounts) ? reportData.accounts : [];
+  const showAccountBreakdown = accountBreakdown.some(
+    account => account.accountId !== ReportDataAggregator.UNKNOWN_ACCOUNT
+  );
+
+  // Invoice reconciliation by line item type (CUR uploads only)
+  const lineItemLedger = reportData?.summary?.lineItemLedger;
+  const showLineItemReconciliation = Array.isArray(lineItemLedger?.entries) && lineItemLedger.entries.length > 0;
+
+  // Data quality: completeness, and what the parser rejected during ingestion (CUR uploads only)
+  const dataQuality = reportData ? calculateDataQuality(reportData) : null;
+  const ingestion = dataQuality?.ingestion;
+  const showIngestionReport = Boolean(ingestion && (ingestion.reasons.length > 0 || ingestion.topUnknownProductCodes.length > 0));
+
+  // Sampling mode: workloads are a sample scaled to the invoice totals, breakdowns carry 95% confidence intervals
+  const sampling = reportData?.summary?.sampling;
+  const formatInterval = (interval, format) => `${format(interval.low)} - ${format(interval.high)}`;
+  const formatCount = (value) => Math.round(value).toLocaleString();
+
   // Calculate wave distribution if strategy results available
   const waveDistribution = strategyResults?.wavePlan ? {
     wave1: strategyResults.wavePlan.wave1?.length || 0,
@@ -708,6 +758,26 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
         </div>
       </div>
 
+      {/* Sampled CUR banner */}
+      {sampling && (
+        <div className="row mb-4">
+          <div className="col-12">
+            <div className="alert alert-warning mb-0" role="alert">
+              <h5 className="alert-heading mb-1">
+                <i className="bi bi-funnel me-2"></i>
+                Sampled
+              </h5>
+              This report is based on {sampling.sampledResources.toLocaleString()} of an estimated{' '}
+              {formatCount(sampling.estimatedResources.estimate)} resources
+              ({Math.round(sampling.confidenceLevel * 100)}% CI {formatInterval(sampling.estimatedResources, formatCount)}),
+              up to {sampling.resourcesPerStratum.toLocaleString()} per service and region.
+              Costs are scaled to the exact service and region totals of the bill; workload counts and
+              the complexity and readiness breakdowns are estimates.
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Executive Summary Cards */}
       <div className="row mb-4">
         <div className="col-md-3 mb-3">
@@ -729,6 +799,17 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
                 Monthly Cost
               </h5>
               <h2 className="text-success">{formatCurrency(reportData.summary.totalMonthlyCost)}</h2>
+              {reportData.summary.costBasis && (
+                <small className="text-muted" title="Cost basis of the AWS baseline">
+                  {reportData.summary.costBasis.label} cost
+                  {reportData.summary.costBasis.fallbackFiles?.length > 0 && ' (some files unblended)'}
+                </small>
+              )}
+              {reportData.summary.baselinePeriod && (
+                <small className="d-block text-muted" title="Monthly cost is the average of these billing months">
+                  Avg of {reportData.summary.baselinePeriod.months.join(', ')}
+                </small>
+              )}
             </div>
           </div>
         </div>
@@ -870,6 +951,9 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
                       <strong>{index + 1}.</strong> {service.service}
                       <br />
                       <small className="text-muted">→ {service.gcpService}</small>
+                      {service.mappingOverridden && (
+                        <span className="badge bg-info ms-1" title="Target set by a project mapping override">override</span>
+                      )}
                     </span>
                     <span className="badge bg-primary rounded-pill">
                       {formatCurrency(service.totalCost)}
@@ -905,6 +989,301 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
         </div>
       </div>
 
+      {/* Linked Account Breakdown */}
+      {showAccountBreakdown && (
+        <div className="row mb-4">
+          <div className="col-12">
+            <div className="card">
+              <div className="card-header bg-secondary text-white">
+                <h5 className="mb-0">
+                  <i className="bi bi-people me-2"></i>
+                  Linked Accounts ({accountBreakdown.length})
+                </h5>
+              </div>
+              <div className="card-body">
+                <p className="text-muted mb-3">
+                  Cost and migration readiness per linked account, to plan the migration account by account.
+                </p>
+                <div className="table-responsive">
+                  <table className="table table-sm table-striped">
+                    <thead>
+                      <tr>
+                        <th>Account</th>
+                        <th className="text-end">Workloads</th>
+                        <th className="text-end">Monthly Cost</th>
+                        <th className="text-end">Regions</th>
+                        <th>Top Services</th>
+                        <th className="text-end">Ready / Conditional / Not Ready</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {accountBreakdown.map(account => (
+                        <tr key={account.accountId}>
+                          <td>
+                            {account.accountName || account.accountId}
+                            {account.accountName && (
+                              <>
+                                <br />
+                                <small className="text-muted">{account.accountId}</small>
+                              </>
+                            )}
+                          </td>
+                          <td className="text-end">{account.count.toLocaleString()}</td>
+                          <td className="text-end">{formatCurrency(account.totalCost)}</td>
+                          <td className="text-end">{account.regionCount}</td>
+                          <td>{account.topServices.join(', ')}</td>
+                          <td className="text-end">
+                            {account.readiness.ready} / {account.readiness.conditional} / {account.readiness.notReady}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Invoice Reconciliation */}
+      {showLineItemReconciliation && (
+        <div className="row mb-4">
+          <div className="col-12">
+            <div className="card">
+              <div className="card-header bg-secondary text-white">
+                <h5 className="mb-0">
+                  <i className="bi bi-receipt me-2"></i>
+                  Invoice Reconciliation
+                </h5>
+              </div>
+              <div className="card-body">
+                <p className="text-muted mb-3">
+                  Billed cost per line item type, and which types make up the migration baseline.
+                </p>
+                <div className="table-responsive">
+                  <table className="table table-sm table-striped">
+                    <thead>
+                      <tr>
+                        <th>Line Item Type</th>
+                        <th className="text-end">Rows</th>
+                        <th className="text-end">Billed Cost</th>
+                        <th className="text-end">Baseline Cost</th>
+                        <th>In Baseline</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lineItemLedger.entries.map(entry => (
+                        <tr key={entry.type}>
+                          <td>{entry.type}</td>
+                          <td className="text-end">{entry.rows.toLocaleString()}</td>
+                          <td className="text-end">{formatCurrency(entry.unblendedCost)}</td>
+                          <td className="text-end">{entry.includedInBaseline ? formatCurrency(entry.cost) : '-'}</td>
+                          <td>{entry.includedInBaseline ? 'Yes' : 'No'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <th colSpan="2">Invoice total</th>
+                        <th className="text-end">{formatCurrency(lineItemLedger.invoiceTotal)}</th>
+                        <th colSpan="2"></th>
+                      </tr>
+                      <tr>
+                        <td colSpan="2">Excluded line item types</td>
+                        <td className="text-end">{formatCurrency(-lineItemLedger.excludedTotal)}</td>
+                        <td colSpan="2"></td>
+                      </tr>
+                      <tr>
+                        <td colSpan="2">Cost basis adjustment</td>
+                        <td className="text-end">{formatCurrency(lineItemLedger.costBasisAdjustment)}</td>
+                        <td colSpan="2"></td>
+                      </tr>
+                      <tr>
+                        <th colSpan="2">Migration baseline</th>
+                        <th className="text-end">{formatCurrency(lineItemLedger.baselineTotal)}</th>
+                        <th colSpan="2"></th>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Sampling - confidence intervals of the estimated breakdowns */}
+      {sampling?.intervals && (
+        <div className="row mb-4">
+          <div className="col-12">
+            <div className="card">
+              <div className="card-header bg-warning">
+                <h5 className="mb-0">
+                  <i className="bi bi-funnel me-2"></i>
+                  Sampling Confidence Intervals ({Math.round(sampling.confidenceLevel * 100)}%)
+                </h5>
+              </div>
+              <div className="card-body">
+                <p className="text-muted mb-3">
+                  {sampling.sampledStrata} of {sampling.strata.length} service/region groups were sampled; the rest were read in full.
+                </p>
+                <div className="row">
+                  {ReportDataAggregator.SAMPLING_BREAKDOWNS.filter(breakdown => sampling.intervals[breakdown.key]).map(breakdown => (
+                    <div className="col-md-6" key={breakdown.key}>
+                      <table className="table table-sm table-striped">
+                        <thead>
+                          <tr>
+                            <th>{breakdown.label}</th>
+                            <th className="text-end">Resources</th>
+                            <th className="text-end">Range</th>
+                            <th className="text-end">Cost</th>
+                            <th className="text-end">Range</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {Object.entries(breakdown.categories)
+                            .filter(([category]) => sampling.intervals[breakdown.key][category])
+                            .map(([category, label]) => {
+                              const estimate = sampling.intervals[breakdown.key][category];
+                              return (
+                                <tr key={category}>
+                                  <td>{label}</td>
+                                  <td className="text-end">{formatCount(estimate.count.estimate)}</td>
+                                  <td className="text-end">{formatInterval(estimate.count, formatCount)}</td>
+                                  <td className="text-end">{formatCurrency(estimate.cost.estimate)}</td>
+                                  <td className="text-end">{formatInterval(estimate.cost, formatCurrency)}</td>
+                                </tr>
+                              );
+                            })}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Service mapping coverage - spend without an explicit GCP mapping */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <MappingCoverage
+            services={reportData.services?.topServices}
+            ingestionReport={reportData.summary.ingestionReport}
+          />
+        </div>
+      </div>
+
+      {/* GCP machine type of each instance type - rightsizing policy */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <MachineTypeMatches services={reportData.services?.topServices} />
+        </div>
+      </div>
+
+      {/* Cloud SQL / AlloyDB tier of each RDS / Aurora database */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <DatabaseTierMatches services={reportData.services?.topServices} />
+        </div>
+      </div>
+
+      {/* Cloud Storage class of each S3 storage class */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <StorageClassMatches services={reportData.services?.topServices} />
+        </div>
+      </div>
+
+      {/* Data Quality - ingestion report */}
+      {showIngestionReport && (
+        <div className="row mb-4">
+          <div className="col-12">
+            <div className="card">
+              <div className="card-header bg-secondary text-white d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">
+                  <i className="bi bi-clipboard-check me-2"></i>
+                  Data Quality
+                </h5>
+                {ingestion.rejectedRowsInFile > 0 && (
+                  <button
+                    className="btn btn-sm btn-light"
+                    onClick={() => downloadRejectedRowsCsv(reportData.summary.ingestionReport, {
+                      redactor: getExportRedactor() // Anonymisation mode
+                    })}
+                  >
+                    <i className="bi bi-download me-1"></i>
+                    Rejected rows CSV{ingestion.rejectedRowsCapped ? ` (first ${ingestion.rejectedRowsInFile.toLocaleString()})` : ''}
+                  </button>
+                )}
+              </div>
+              <div className="card-body">
+                <p className="text-muted mb-3">
+                  Data completeness {dataQuality.completeness}% ({dataQuality.confidenceLevel} confidence).
+                  Rows left out of the workload aggregation, and spend on product codes without an explicit service mapping.
+                </p>
+                <div className="row">
+                  {ingestion.reasons.length > 0 && (
+                    <div className="col-md-6">
+                      <table className="table table-sm table-striped">
+                        <thead>
+                          <tr>
+                            <th>Rejection Reason</th>
+                            <th className="text-end">Rows</th>
+                            <th className="text-end">Cost</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {ingestion.reasons.map(entry => (
+                            <tr key={entry.reason}>
+                              <td>{entry.label}</td>
+                              <td className="text-end">{entry.rows.toLocaleString()}</td>
+                              <td className="text-end">{formatCurrency(entry.cost)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                        <tfoot>
+                          <tr>
+                            <th>Total rejected</th>
+                            <th className="text-end">{ingestion.totalRejectedRows.toLocaleString()}</th>
+                            <th className="text-end">{formatCurrency(ingestion.totalRejectedCost)}</th>
+                          </tr>
+                        </tfoot>
+                      </table>
+                    </div>
+                  )}
+                  {ingestion.topUnknownProductCodes.length > 0 && (
+                    <div className="col-md-6">
+                      <table className="table table-sm table-striped">
+                        <thead>
+                          <tr>
+                            <th>Unmapped Product Code</th>
+                            <th className="text-end">Rows</th>
+                            <th className="text-end">Cost</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {ingestion.topUnknownProductCodes.map(entry => (
+                            <tr key={entry.productCode}>
+                              <td>{entry.productCode}</td>
+                              <td className="text-end">{entry.rows.toLocaleString()}</td>
+                              <td className="text-end">{formatCurrency(entry.cost)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Migration Timeline Gantt Chart */}
       {strategyResults && (
         <div className="row mb-4">
@@ -1030,9 +1409,32 @@ const ReportSummaryView = ({ workloads = [], assessmentResults = null, strategyR
         </div>
       </div>
 
+      {/* Forecast vs Actual (post-migration GCP billing export) */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <ForecastVsActual
+            workloads={workloads}
+            wavePlan={strategyResults?.wavePlan}
+            serviceAggregation={reportData.services.allServices}
+            targetRegion={targetRegion}
+          />
+        </div>
+      </div>
+
+      {/* Changes since a previous upload (cached discovery and cost outputs) */}
+      <div className="row mb-4">
+        <div className="col-12">
+          <UploadComparison onComparisonChange={setUploadComparison} />
+        </div>
+      </div>
+
       {/* PDF Download Button */}
       <div className="row mb-4">
         <div className="col-12 text-center">
+          <div className="d-inline-block text-start mb-3">
+            <RedactionToggle id="reportRedaction" />
+          </div>
+          <br />
           <button 
             className="btn btn-primary btn-lg"
             onClick={handleGeneratePDF}
@@ -0,0 +1,110 @@
+/**
+ * Storage Class Matches Component
+ *
+ * Cloud Storage class chosen for each S3 storage class, largest spend first: GB-months stored, requests
+ * and retrievals of the buckets, the GCP cost of storage, operations and retrieval and the reason
+ * (gcpStorageClassMatcher.js).
+ */
+
+import React from 'react';
+import { StorageClassMatchService } from '../../domain/services/StorageClassMatchService.js';
+import { GCS_STORAGE_CLASSES } from '../../utils/gcpStorageClassMatcher.js';
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatCount = (value) => Math.round(value || 0).toLocaleString();
+
+const StorageClassMatches = ({ services }) => {
+  if (!services || services.length === 0) {
+    return null;
+  }
+
+  const analysis = StorageClassMatchService.analyzeMatches(services);
+  if (analysis.classes === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header bg-secondary text-white">
+        <h5 className="mb-0">
+          <i className="bi bi-bucket me-2"></i>
+          Storage Class Matches
+        </h5>
+      </div>
+      <div className="card-body">
+        <p className="mb-3">
+          {formatMoney(analysis.matchedCost)} of {formatMoney(analysis.totalCost)} object storage spend
+          ({analysis.classes.toLocaleString()} storage classes) is storage, requests and retrieval with a
+          Cloud Storage class, at {formatMoney(analysis.gcpCost)} on GCP.
+        </p>
+        <div className="table-responsive">
+          <table className="table table-sm table-striped align-middle">
+            <thead>
+              <tr>
+                <th>S3 Storage Class</th>
+                <th className="text-end">Buckets</th>
+                <th className="text-end">GB Stored</th>
+                <th className="text-end">Requests / Month (Tier 1 / 2)</th>
+                <th className="text-end">Retrieved GB / Month</th>
+                <th className="text-end">AWS Cost</th>
+                <th>Cloud Storage Class</th>
+                <th className="text-end">Storage / Operations / Retrieval</th>
+                <th className="text-end">GCP Cost</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.matches.map(entry => (
+                <tr key={`${entry.service}:${entry.storageClass}`}>
+                  <td>
+                    {entry.label}
+                    <small className="text-muted d-block">{entry.service}</small>
+                  </td>
+                  <td className="text-end">{entry.buckets.toLocaleString()}</td>
+                  <td className="text-end">{formatCount(entry.gbMonths)}</td>
+                  <td className="text-end">{formatCount(entry.tier1Requests)} / {formatCount(entry.tier2Requests)}</td>
+                  <td className="text-end">{formatCount(entry.retrievalGb)}</td>
+                  <td className="text-end">{formatMoney(entry.cost)}</td>
+                  <td>
+                    {entry.match.storageClass ? (
+                      <>
+                        {entry.match.label}
+                        {entry.match.pricedAs !== entry.match.storageClass && (
+                          <small className="text-muted d-block">priced as {GCS_STORAGE_CLASSES[entry.match.pricedAs]?.label}</small>
+                        )}
+                      </>
+                    ) : <span className="badge bg-danger">No match</span>}
+                  </td>
+                  <td className="text-end">
+                    <small>
+                      {entry.gcpCost
+                        ? `${formatMoney(entry.gcpCost.storage)} / ${formatMoney(entry.gcpCost.operations)} / ${formatMoney(entry.gcpCost.retrieval)}`
+                        : '-'}
+                    </small>
+                  </td>
+                  <td className="text-end">{entry.gcpCost ? formatMoney(entry.gcpCost.total) : '-'}</td>
+                  <td><small>{entry.match.reason}</small></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {analysis.classes > analysis.matches.length && (
+            <small className="text-muted">
+              Showing the {analysis.matches.length} largest of {analysis.classes} storage classes
+            </small>
+          )}
+        </div>
+        <small className="text-muted d-block mt-2">
+          Usage and costs are monthly averages over the billing months of the upload. GCP prices are approximate us-central1
+          list prices; data transfer and other S3 charges keep the ratio estimate
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default StorageClassMatches;
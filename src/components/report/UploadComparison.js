@@ -0,0 +1,359 @@
+/**
+ * Upload Comparison Component
+ *
+ * Compares two processed uploads (e.g. this month's CUR against last month's) from the agent cache:
+ * - Workloads added, removed, or whose monthly cost changed by more than a threshold
+ * - Services whose GCP estimate moved by more than a threshold
+ *
+ * The comparison is reported to the parent through onComparisonChange so it can be added to the PDF.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { listCachedUploads, getAgentOutput } from '../../utils/agentCacheService.js';
+import { UploadComparisonService } from '../../domain/services/UploadComparisonService.js';
+
+const PRICING_OPTIONS = [
+  { value: 'onDemand', label: 'On-demand' },
+  { value: 'cud1', label: '1-year CUD' },
+  { value: 'cud3', label: '3-year CUD' }
+];
+
+// Rows listed per table - the totals always cover every workload
+const MAX_ROWS = 50;
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatDelta = (value) => `${value > 0 ? '+' : ''}${formatMoney(value)}`;
+
+const formatPercent = (percent) => (percent === null || percent === undefined ? 'new' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`);
+
+// Cost increases are shown in red, decreases in green
+const deltaClass = (delta) => (delta > 0 ? 'text-danger' : 'text-success');
+
+const describeUpload = (upload) => {
+  const date = upload.timestamp ? new Date(upload.timestamp).toLocaleString() : 'unknown date';
+  const name = upload.fileNames.length > 0 ? upload.fileNames.join(', ') : upload.fileUUID.slice(0, 12);
+  return `${name} - ${date} (${upload.workloadCount.toLocaleString()} workloads)`;
+};
+
+const loadUpload = async (upload) => {
+  const discovery = await getAgentOutput(upload.fileUUID, 'discovery');
+  const cost = await getAgentOutput(upload.fileUUID, 'cost');
+  return {
+    fileUUID: upload.fileUUID,
+    label: describeUpload(upload),
+    workloads: discovery?.workloads || [],
+    workloadIds: discovery?.workloadIds || [],
+    workloadCount: discovery?.workloadCount || upload.workloadCount,
+    costEstimates: cost?.costEstimates || []
+  };
+};
+
+const UploadComparison = ({ onComparisonChange }) => {
+  const [uploads, setUploads] = useState([]);
+  const [baseId, setBaseId] = useState('');
+  const [currentId, setCurrentId] = useState('');
+  const [loaded, setLoaded] = useState(null);
+  const [pricing, setPricing] = useState('onDemand');
+  const [minCostChange, setMinCostChange] = useState(10);
+  const [minCostChangePercent, setMinCostChangePercent] = useState(10);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listCachedUploads().then(list => {
+      if (cancelled) return;
+      setUploads(list);
+      // Default to the latest upload against the one before it
+      if (list.length >= 2) {
+        setCurrentId(list[0].fileUUID);
+        setBaseId(list[1].fileUUID);
+      }
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleCompare = async () => {
+    const base = uploads.find(upload => upload.fileUUID === baseId);
+    const current = uploads.find(upload => upload.fileUUID === currentId);
+    if (!base || !current) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      setLoaded({ base: await loadUpload(base), current: await loadUpload(current) });
+    } catch (err) {
+      console.error('[UploadComparison] Failed to load cached uploads:', err);
+      setError(err.message);
+      setLoaded(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const comparison = useMemo(() => {
+    if (!loaded) return null;
+    return UploadComparisonService.compareUploads(loaded.base, loaded.current, {
+      pricing,
+      minCostChange: Number(minCostChange) || 0,
+      minCostChangePercent: Number(minCostChangePercent) || 0
+    });
+  }, [loaded, pricing, minCostChange, minCostChangePercent]);
+
+  useEffect(() => {
+    if (onComparisonChange) onComparisonChange(comparison);
+  }, [comparison, onComparisonChange]);
+
+  const movedServices = comparison ? comparison.services.filter(service => service.moved) : [];
+
+  const renderWorkloadTable = (title, rows, showDelta) => (
+    <>
+      <h6>{title} ({rows.length.toLocaleString()})</h6>
+      {rows.length === 0 ? (
+        <p className="text-muted small">None</p>
+      ) : (
+        <div className="table-responsive mb-3">
+          <table className="table table-sm table-striped">
+            <thead>
+              <tr>
+                <th>Workload</th>
+                <th>Service</th>
+                <th>Region</th>
+                {showDelta ? (
+                  <>
+                    <th className="text-end">Before</th>
+                    <th className="text-end">After</th>
+                    <th className="text-end">Change</th>
+                  </>
+                ) : (
+                  <th className="text-end">Monthly Cost</th>
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, MAX_ROWS).map(row => (
+                <tr key={UploadComparisonService.workloadKey(row)}>
+                  <td>{row.name}</td>
+                  <td>{row.service}</td>
+                  <td>{row.region}</td>
+                  {showDelta ? (
+                    <>
+                      <td className="text-end">{formatMoney(row.before)}</td>
+                      <td className="text-end">{formatMoney(row.after)}</td>
+                      <td className={`text-end ${deltaClass(row.delta)}`}>
+                        {formatDelta(row.delta)} ({formatPercent(row.deltaPercent)})
+                      </td>
+                    </>
+                  ) : (
+                    <td className="text-end">{formatMoney(row.monthlyCost)}</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > MAX_ROWS && (
+            <small className="text-muted">Showing the {MAX_ROWS} largest of {rows.length.toLocaleString()}.</small>
+          )}
+        </div>
+      )}
+    </>
+  );
+
+  return (
+    <div className="card">
+      <div className="card-header bg-secondary text-white">
+        <h5 className="mb-0">
+          <i className="bi bi-arrow-left-right me-2"></i>
+          Compare Uploads
+        </h5>
+        <small className="d-block mt-1">
+          Compare two processed CUR uploads to see which workloads and GCP estimates changed
+        </small>
+      </div>
+      <div className="card-body">
+        {uploads.length < 2 ? (
+          <div className="alert alert-light mb-0">
+            <i className="bi bi-info-circle me-2"></i>
+            Process at least two CUR uploads in this browser to compare them. Each processed upload stays in the
+            local cache until it is cleared.
+          </div>
+        ) : (
+          <>
+            <div className="row g-3 mb-3">
+              <div className="col-md-5">
+                <label htmlFor="comparisonBaseUpload" className="form-label">
+                  <strong>Previous upload</strong>
+                </label>
+                <select
+                  id="comparisonBaseUpload"
+                  className="form-select"
+                  value={baseId}
+                  onChange={(e) => setBaseId(e.target.value)}
+                >
+                  {uploads.map(upload => (
+                    <option key={upload.fileUUID} value={upload.fileUUID}>{describeUpload(upload)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-5">
+                <label htmlFor="comparisonCurrentUpload" className="form-label">
+                  <strong>Current upload</strong>
+                </label>
+                <select
+                  id="comparisonCurrentUpload"
+                  className="form-select"
+                  value={currentId}
+                  onChange={(e) => setCurrentId(e.target.value)}
+                >
+                  {uploads.map(upload => (
+                    <option key={upload.fileUUID} value={upload.fileUUID}>{describeUpload(upload)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2 d-flex align-items-end">
+                <button
+                  className="btn btn-outline-primary w-100"
+                  onClick={handleCompare}
+                  disabled={loading || !baseId || !currentId || baseId === currentId}
+                >
+                  Compare
+                </button>
+              </div>
+            </div>
+            <div className="row g-3 mb-3">
+              <div className="col-md-4">
+                <label htmlFor="comparisonPricing" className="form-label">
+                  <strong>GCP pricing</strong>
+                </label>
+                <select
+                  id="comparisonPricing"
+                  className="form-select"
+                  value={pricing}
+                  onChange={(e) => setPricing(e.target.value)}
+                >
+                  {PRICING_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-4">
+                <label htmlFor="comparisonMinChange" className="form-label">
+                  <strong>Minimum change ($ / month)</strong>
+                </label>
+                <input
+                  id="comparisonMinChange"
+                  type="number"
+                  min="0"
+                  className="form-control"
+                  value={minCostChange}
+                  onChange={(e) => setMinCostChange(e.target.value)}
+                />
+              </div>
+              <div className="col-md-4">
+                <label htmlFor="comparisonMinChangePercent" className="form-label">
+                  <strong>Minimum change (%)</strong>
+                </label>
+                <input
+                  id="comparisonMinChangePercent"
+                  type="number"
+                  min="0"
+                  className="form-control"
+                  value={minCostChangePercent}
+                  onChange={(e) => setMinCostChangePercent(e.target.value)}
+                />
+              </div>
+            </div>
+          </>
+        )}
+
+        {loading && (
+          <div className="alert alert-info">Loading cached uploads...</div>
+        )}
+        {error && (
+          <div className="alert alert-danger">{error}</div>
+        )}
+
+        {comparison && (
+          <>
+            <div className="row text-center mb-3">
+              <div className="col-md-3">
+                <div className="text-muted small">AWS / month</div>
+                <div className="fs-5">{formatMoney(comparison.totals.awsBefore)} → {formatMoney(comparison.totals.awsAfter)}</div>
+              </div>
+              <div className="col-md-3">
+                <div className="text-muted small">GCP estimate / month</div>
+                <div className="fs-5">{formatMoney(comparison.totals.gcpBefore)} → {formatMoney(comparison.totals.gcpAfter)}</div>
+              </div>
+              <div className="col-md-3">
+                <div className="text-muted small">Workloads added / removed / changed</div>
+                <div className="fs-5">
+                  {comparison.totals.addedWorkloads.toLocaleString()} / {comparison.totals.removedWorkloads.toLocaleString()} / {comparison.totals.changedWorkloads.toLocaleString()}
+                </div>
+              </div>
+              <div className="col-md-3">
+                <div className="text-muted small">Services with moved estimates</div>
+                <div className="fs-5">{comparison.totals.movedServices.toLocaleString()}</div>
+              </div>
+            </div>
+
+            {(!comparison.base.workloadsComplete || !comparison.current.workloadsComplete) && (
+              <div className="alert alert-warning small">
+                <i className="bi bi-exclamation-triangle me-2"></i>
+                The cache only keeps part of the workload list for large uploads, so workload cost changes are incomplete.
+                A workload is only listed as added or removed when its ID is missing from the other upload.
+                Service estimates cover the whole upload.
+              </div>
+            )}
+
+            <h6>GCP estimates by service</h6>
+            {movedServices.length === 0 ? (
+              <p className="text-muted small">No service estimate moved by more than the threshold.</p>
+            ) : (
+              <div className="table-responsive mb-3">
+                <table className="table table-sm table-striped">
+                  <thead>
+                    <tr>
+                      <th>AWS Service</th>
+                      <th>GCP Service</th>
+                      <th className="text-end">AWS Change</th>
+                      <th className="text-end">GCP Before</th>
+                      <th className="text-end">GCP After</th>
+                      <th className="text-end">GCP Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {movedServices.map(service => (
+                      <tr key={service.service}>
+                        <td>{service.service}{service.status !== 'present' && <span className="badge bg-light text-dark ms-2">{service.status}</span>}</td>
+                        <td>{service.gcpService}</td>
+                        <td className={`text-end ${deltaClass(service.awsDelta)}`}>{formatDelta(service.awsDelta)}</td>
+                        <td className="text-end">{formatMoney(service.gcpBefore)}</td>
+                        <td className="text-end">{formatMoney(service.gcpAfter)}</td>
+                        <td className={`text-end ${deltaClass(service.gcpDelta)}`}>
+                          {formatDelta(service.gcpDelta)} ({formatPercent(service.gcpDeltaPercent)})
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {renderWorkloadTable('Changed workloads', comparison.workloads.changed, true)}
+            {renderWorkloadTable('Added workloads', comparison.workloads.added, false)}
+            {renderWorkloadTable('Removed workloads', comparison.workloads.removed, false)}
+            <small className="text-muted">
+              Workloads are matched by resource ID, service and region. Changes below either threshold are ignored.
+            </small>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UploadComparison;
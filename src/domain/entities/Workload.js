@@ -32,6 +32,20 @@ export class Workload {
    * @param {string} props.os - Operating system
    * @param {number} props.monthlyTraffic - Monthly traffic in GB
    * @param {string[]} props.dependencies - Dependent workload IDs
+   * @param {Object} props.tags - Resource tags (key -> value), e.g. { app: 'web', env: 'prod' }
+   * @param {string} props.accountId - Linked (usage) account ID, e.g. AWS Organizations member account
+   * @param {string} props.accountName - Linked account name, when the billing export carries it
+   * @param {Object} props.costByMonth - Cost per billing month ('YYYY-MM' -> cost), e.g. { '2024-01': 120.5 }
+   * @param {Object} props.costByComponent - Billed cost per usage component (compute, storage, network, license;
+   *   see utils/usageTypeClassifier.js), e.g. { compute: 80, storage: 15, network: 5 }. Summed over the billed
+   *   rows, so use it as a split: it is not rescaled when monthlyCost is averaged over a baseline window.
+   * @param {string} props.instanceType - Source instance type or VM size, e.g. 'm5.large' (props.awsInstanceType is read too)
+   * @param {Object} props.databaseUsage - Managed database facts and usage summed over the billed rows (see
+   *   utils/rdsUsageProfile.js): { engine, edition, multiAz, storageType, instanceHours, acuHours, storageGbMonths,
+   *   backupGbMonths }; null for other workloads
+   * @param {Object} props.storageUsage - Object storage usage by storage class, summed over the billed rows (see
+   *   utils/s3UsageProfile.js): { [class]: { gbMonths, tier1Requests, tier2Requests, retrievalGb,
+   *   monitoredObjects, cost } }; null for other workloads
    */
   constructor(props) {
     this._validateProps(props);
@@ -119,6 +133,54 @@ export class Workload {
       enumerable: true
     });
     
+    Object.defineProperty(this, '_tags', {
+      value: Workload.normalizeTags(props.tags),
+      writable: true,
+      enumerable: true
+    });
+    
+    Object.defineProperty(this, '_accountId', {
+      value: props.accountId ? String(props.accountId).trim() || null : null,
+      writable: false,
+      enumerable: true
+    });
+    
+    Object.defineProperty(this, '_accountName', {
+      value: props.accountName ? String(props.accountName).trim() || null : null,
+      writable: false,
+      enumerable: true
+    });
+    
+    Object.defineProperty(this, '_costByMonth', {
+      value: Workload.normalizeCostByMonth(props.costByMonth),
+      writable: true,
+      enumerable: true
+    });
+    
+    Object.defineProperty(this, '_costByComponent', {
+      value: Workload.normalizeCostByComponent(props.costByComponent),
+      writable: true,
+      enumerable: true
+    });
+    
+    Object.defineProperty(this, '_instanceType', {
+      value: String(props.instanceType || props.awsInstanceType || '').trim() || null,
+      writable: true,
+      enumerable: true
+    });
+    
+    Object.defineProperty(this, '_databaseUsage', {
+      value: Workload.normalizeDatabaseUsage(props.databaseUsage),
+      writable: true,
+      enumerable: true
+    });
+    
+    Object.defineProperty(this, '_storageUsage', {
+      value: Workload.normalizeStorageUsage(props.storageUsage),
+      writable: true,
+      enumerable: true
+    });
+    
     Object.defineProperty(this, '_assessment', {
       value: null,
       writable: true,
@@ -172,6 +234,14 @@ export class Workload {
   get os() { return this._os; }
   get monthlyTraffic() { return this._monthlyTraffic; }
   get dependencies() { return [...this._dependencies]; }
+  get tags() { return { ...this._tags }; }
+  get accountId() { return this._accountId; }
+  get accountName() { return this._accountName; }
+  get costByMonth() { return { ...this._costByMonth }; }
+  get costByComponent() { return { ...this._costByComponent }; }
+  get instanceType() { return this._instanceType; }
+  get databaseUsage() { return this._databaseUsage ? { ...this._databaseUsage } : null; }
+  get storageUsage() { return Workload.normalizeStorageUsage(this._storageUsage); }
   get assessment() { return this._assessment; }
   get migrationStrategy() { return this._migrationStrategy; }
 
@@ -207,6 +277,74 @@ export class Workload {
     return this._type.type === WorkloadTypeEnum.CONTAINER;
   }
 
+  /**
+   * Get the value of a resource tag
+   * @param {string} key - Tag key
+   * @returns {string|null}
+   */
+  getTag(key) {
+    return Object.prototype.hasOwnProperty.call(this._tags, key) ? this._tags[key] : null;
+  }
+
+  /**
+   * Merge resource tags into this workload (e.g. from further CUR rows with the same dedupe key)
+   * Non-empty incoming values replace existing ones; keys are never removed.
+   * @param {Object} tags - Tag key -> value
+   */
+  mergeTags(tags) {
+    this._tags = Workload.mergeTags(this._tags, tags);
+  }
+
+  /**
+   * Add cost to a billing month of the cost series (monthlyCost is not changed)
+   * @param {string} month - Billing month 'YYYY-MM' (ignored when empty)
+   * @param {number} amount - Cost to add
+   */
+  addMonthlyCost(month, amount) {
+    if (!month || !amount) return;
+    // PERFORMANCE: Updated in place - called once per billing row while parsing
+    this._costByMonth[month] = Math.round(((this._costByMonth[month] || 0) + amount) * 100) / 100;
+  }
+
+  /**
+   * Add cost to a usage component of the cost split (monthlyCost is not changed)
+   * @param {string} component - CostComponent (ignored when empty)
+   * @param {number} amount - Cost to add
+   */
+  addComponentCost(component, amount) {
+    if (!component || !amount) return;
+    // PERFORMANCE: Updated in place - called once per billing row while parsing
+    this._costByComponent[component] = Math.round(((this._costByComponent[component] || 0) + amount) * 100) / 100;
+  }
+
+  /**
+   * Record the instance type of a billing row when the workload has none yet
+   * (rows of an instance without a type - data transfer, for one - can come first)
+   * @param {string} instanceType - Instance type (ignored when empty)
+   */
+  recordInstanceType(instanceType) {
+    if (this._instanceType || !instanceType) return;
+    this._instanceType = String(instanceType).trim() || null;
+  }
+
+  /**
+   * Add the database facts and quantities of a billing row (readRdsUsage) to the database usage
+   * @param {Object} usage - Row usage (ignored when empty)
+   */
+  recordDatabaseUsage(usage) {
+    if (!usage) return;
+    this._databaseUsage = Workload.mergeDatabaseUsage(this._databaseUsage, usage);
+  }
+
+  /**
+   * Add the storage class quantities of a billing row (readS3Usage) to the storage usage
+   * @param {Object} usage - Row usage (ignored when empty)
+   */
+  recordStorageUsage(usage) {
+    if (!usage) return;
+    this._storageUsage = Workload.mergeStorageUsage(this._storageUsage, usage);
+  }
+
   /**
    * Assign assessment to workload
    * @param {Object} assessment - Assessment result
@@ -269,6 +407,14 @@ export class Workload {
       os: this._os,
       monthlyTraffic: this._monthlyTraffic,
       dependencies: this._dependencies,
+      tags: { ...this._tags },
+      accountId: this._accountId,
+      accountName: this._accountName,
+      costByMonth: { ...this._costByMonth },
+      costByComponent: { ...this._costByComponent },
+      instanceType: this._instanceType,
+      databaseUsage: this._databaseUsage ? { ...this._databaseUsage } : null,
+      storageUsage: Workload.normalizeStorageUsage(this._storageUsage),
       assessment: this._assessment,
       migrationStrategy: this._migrationStrategy
     };
@@ -282,6 +428,203 @@ export class Workload {
   static fromJSON(data) {
     return new Workload(data);
   }
+
+  /**
+   * Normalize tags to a plain object of non-empty string values
+   * @param {Object} tags
+   * @returns {Object}
+   */
+  static normalizeTags(tags) {
+    const normalized = {};
+    if (!tags || typeof tags !== 'object') {
+      return normalized;
+    }
+    for (const [key, value] of Object.entries(tags)) {
+      const stringValue = value === null || value === undefined ? '' : String(value).trim();
+      if (key && stringValue) {
+        normalized[key] = stringValue;
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Merge two tag sets; non-empty values in `incoming` win
+   * @param {Object} current
+   * @param {Object} incoming
+   * @returns {Object} New merged tag object
+   */
+  static mergeTags(current, incoming) {
+    return { ...Workload.normalizeTags(current), ...Workload.normalizeTags(incoming) };
+  }
+
+  /**
+   * Normalize a cost series to a plain object of finite costs keyed by 'YYYY-MM'
+   * @param {Object} costByMonth
+   * @returns {Object}
+   */
+  static normalizeCostByMonth(costByMonth) {
+    const normalized = {};
+    if (!costByMonth || typeof costByMonth !== 'object') {
+      return normalized;
+    }
+    for (const [month, amount] of Object.entries(costByMonth)) {
+      const value = parseFloat(amount);
+      if (/^\d{4}-\d{2}$/.test(month) && Number.isFinite(value)) {
+        normalized[month] = value;
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Add two cost series month by month (rounded to cents)
+   * @param {Object} current
+   * @param {Object} incoming
+   * @returns {Object} New merged series
+   */
+  static mergeCostByMonth(current, incoming) {
+    const merged = Workload.normalizeCostByMonth(current);
+    for (const [month, amount] of Object.entries(Workload.normalizeCostByMonth(incoming))) {
+      merged[month] = Math.round(((merged[month] || 0) + amount) * 100) / 100;
+    }
+    return merged;
+  }
+
+  /**
+   * Normalize a cost split to a plain object of finite costs keyed by component
+   * @param {Object} costByComponent
+   * @returns {Object}
+   */
+  static normalizeCostByComponent(costByComponent) {
+    const normalized = {};
+    if (!costByComponent || typeof costByComponent !== 'object') {
+      return normalized;
+    }
+    for (const [component, amount] of Object.entries(costByComponent)) {
+      const value = parseFloat(amount);
+      if (component && Number.isFinite(value)) {
+        normalized[component] = value;
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Add two cost splits component by component (rounded to cents)
+   * @param {Object} current
+   * @param {Object} incoming
+   * @returns {Object} New merged split
+   */
+  static mergeCostByComponent(current, incoming) {
+    const merged = Workload.normalizeCostByComponent(current);
+    for (const [component, amount] of Object.entries(Workload.normalizeCostByComponent(incoming))) {
+      merged[component] = Math.round(((merged[component] || 0) + amount) * 100) / 100;
+    }
+    return merged;
+  }
+
+  /**
+   * Normalize database usage to its known fields (null when there is none)
+   * @param {Object} databaseUsage
+   * @returns {Object|null}
+   */
+  static normalizeDatabaseUsage(databaseUsage) {
+    if (!databaseUsage || typeof databaseUsage !== 'object') {
+      return null;
+    }
+    const quantity = (value) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : 0;
+    };
+    return {
+      engine: databaseUsage.engine || null,
+      edition: databaseUsage.edition || null,
+      multiAz: !!databaseUsage.multiAz,
+      storageType: databaseUsage.storageType || null,
+      instanceHours: quantity(databaseUsage.instanceHours),
+      acuHours: quantity(databaseUsage.acuHours),
+      storageGbMonths: quantity(databaseUsage.storageGbMonths),
+      backupGbMonths: quantity(databaseUsage.backupGbMonths)
+    };
+  }
+
+  /**
+   * Merge two database usage records: facts already known are kept, Multi-AZ if either is, quantities are added
+   * @param {Object|null} current
+   * @param {Object|null} incoming
+   * @returns {Object|null} New merged record
+   */
+  static mergeDatabaseUsage(current, incoming) {
+    const base = Workload.normalizeDatabaseUsage(current);
+    const addition = Workload.normalizeDatabaseUsage(incoming);
+    if (!base || !addition) {
+      return base || addition;
+    }
+    return {
+      engine: base.engine || addition.engine,
+      edition: base.edition || addition.edition,
+      multiAz: base.multiAz || addition.multiAz,
+      storageType: base.storageType || addition.storageType,
+      instanceHours: base.instanceHours + addition.instanceHours,
+      acuHours: base.acuHours + addition.acuHours,
+      storageGbMonths: base.storageGbMonths + addition.storageGbMonths,
+      backupGbMonths: base.backupGbMonths + addition.backupGbMonths
+    };
+  }
+
+  /**
+   * Normalize storage usage to its known fields per storage class (null when there is none)
+   * @param {Object} storageUsage
+   * @returns {Object|null}
+   */
+  static normalizeStorageUsage(storageUsage) {
+    if (!storageUsage || typeof storageUsage !== 'object') {
+      return null;
+    }
+    const quantity = (value) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : 0;
+    };
+    const normalized = {};
+    for (const [storageClass, usage] of Object.entries(storageUsage)) {
+      if (!usage || typeof usage !== 'object') continue;
+      normalized[storageClass] = {
+        gbMonths: quantity(usage.gbMonths),
+        tier1Requests: quantity(usage.tier1Requests),
+        tier2Requests: quantity(usage.tier2Requests),
+        retrievalGb: quantity(usage.retrievalGb),
+        monitoredObjects: quantity(usage.monitoredObjects),
+        cost: quantity(usage.cost)
+      };
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Merge two storage usage records: quantities and costs of each storage class are added
+   * @param {Object|null} current
+   * @param {Object|null} incoming
+   * @returns {Object|null} New merged record
+   */
+  static mergeStorageUsage(current, incoming) {
+    const base = Workload.normalizeStorageUsage(current);
+    const addition = Workload.normalizeStorageUsage(incoming);
+    if (!base || !addition) {
+      return base || addition;
+    }
+    for (const [storageClass, usage] of Object.entries(addition)) {
+      const target = base[storageClass];
+      if (!target) {
+        base[storageClass] = usage;
+        continue;
+      }
+      for (const [key, value] of Object.entries(usage)) {
+        target[key] += value;
+      }
+    }
+    return base;
+  }
 }
 
 export default Workload;
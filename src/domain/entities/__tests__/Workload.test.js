@@ -264,4 +264,145 @@ describe('Workload Entity', () => {
       expect(workload.memory).toBe(8);
     });
   });
+
+  describe('Resource Tags', () => {
+    it('should normalize tags and round-trip them through JSON', () => {
+      const workload = new Workload({
+        id: 'i-1',
+        name: 'i-1',
+        sourceProvider: 'aws',
+        tags: { app: ' web ', env: 'prod', empty: '', owner: null }
+      });
+
+      expect(workload.tags).toEqual({ app: 'web', env: 'prod' });
+      expect(workload.getTag('env')).toBe('prod');
+      expect(workload.getTag('missing')).toBeNull();
+
+      const restored = Workload.fromJSON(workload.toJSON());
+      expect(restored.tags).toEqual({ app: 'web', env: 'prod' });
+    });
+
+    it('should merge tags with incoming non-empty values winning', () => {
+      const workload = new Workload({ name: 'i-1', tags: { app: 'web', env: 'dev' } });
+
+      workload.mergeTags({ env: 'prod', owner: 'team-a', app: '' });
+
+      expect(workload.tags).toEqual({ app: 'web', env: 'prod', owner: 'team-a' });
+      expect(Workload.mergeTags({ a: '1' }, null)).toEqual({ a: '1' });
+    });
+
+    it('should carry the linked account through JSON', () => {
+      const workload = new Workload({ name: 'i-1', accountId: ' 111111111111 ', accountName: 'prod' });
+
+      expect(workload.accountId).toBe('111111111111');
+      expect(Workload.fromJSON(workload.toJSON()).accountName).toBe('prod');
+      expect(new Workload({ name: 'i-2' }).accountId).toBeNull();
+    });
+
+    it('should not expose internal tag state', () => {
+      const workload = new Workload({ name: 'i-1', tags: { app: 'web' } });
+      workload.tags.app = 'changed';
+      expect(workload.getTag('app')).toBe('web');
+    });
+  });
+
+  describe('Cost By Month', () => {
+    it('should accumulate billing months and round-trip them through JSON', () => {
+      const workload = new Workload({ name: 'i-1', costByMonth: { '2024-01': 10, bad: 5 } });
+
+      workload.addMonthlyCost('2024-01', 0.1);
+      workload.addMonthlyCost('2024-01', 0.2);
+      workload.addMonthlyCost('2024-02', 7);
+      workload.addMonthlyCost(null, 3);
+
+      expect(workload.costByMonth).toEqual({ '2024-01': 10.3, '2024-02': 7 });
+      expect(workload.monthlyCost.amount).toBe(0);
+      expect(Workload.fromJSON(workload.toJSON()).costByMonth).toEqual({ '2024-01': 10.3, '2024-02': 7 });
+    });
+
+    it('should merge cost series month by month', () => {
+      expect(Workload.mergeCostByMonth({ '2024-01': 1 }, { '2024-01': 2, '2024-02': 3 }))
+        .toEqual({ '2024-01': 3, '2024-02': 3 });
+      expect(Workload.mergeCostByMonth(null, undefined)).toEqual({});
+    });
+  });
+
+  describe('Cost By Component', () => {
+    it('should accumulate usage components, round-trip them through JSON and merge them', () => {
+      const workload = new Workload({ name: 'i-1', costByComponent: { compute: 10, storage: 'n/a' } });
+
+      workload.addComponentCost('compute', 0.1);
+      workload.addComponentCost('network', 2);
+      workload.addComponentCost(null, 3);
+
+      expect(workload.costByComponent).toEqual({ compute: 10.1, network: 2 });
+      expect(Workload.fromJSON(workload.toJSON()).costByComponent).toEqual({ compute: 10.1, network: 2 });
+      expect(Workload.mergeCostByComponent(workload.costByComponent, { network: 1, license: 4 }))
+        .toEqual({ compute: 10.1, network: 3, license: 4 });
+    });
+  });
+
+  describe('Instance Type', () => {
+    it('should keep the first instance type recorded and round-trip it through JSON', () => {
+      const workload = new Workload({ name: 'i-1' });
+      expect(workload.instanceType).toBeNull();
+
+      workload.recordInstanceType('');
+      workload.recordInstanceType('m5.large');
+      workload.recordInstanceType('m5.xlarge');
+
+      expect(workload.instanceType).toBe('m5.large');
+      expect(Workload.fromJSON(workload.toJSON()).instanceType).toBe('m5.large');
+      expect(new Workload({ name: 'i-2', awsInstanceType: 'c5.large' }).instanceType).toBe('c5.large');
+    });
+  });
+
+  describe('Database Usage', () => {
+    it('should merge database usage rows, round-trip them through JSON and merge them', () => {
+      const workload = new Workload({ name: 'db-1' });
+      expect(workload.databaseUsage).toBeNull();
+
+      workload.recordDatabaseUsage({ engine: 'postgresql', instanceHours: 730 });
+      workload.recordDatabaseUsage({ engine: null, multiAz: true, storageType: 'gp3', storageGbMonths: '100' });
+      workload.recordDatabaseUsage(null);
+
+      expect(workload.databaseUsage).toEqual({
+        engine: 'postgresql',
+        edition: null,
+        multiAz: true,
+        storageType: 'gp3',
+        instanceHours: 730,
+        acuHours: 0,
+        storageGbMonths: 100,
+        backupGbMonths: 0
+      });
+      expect(Workload.fromJSON(workload.toJSON()).databaseUsage).toEqual(workload.databaseUsage);
+      expect(Workload.mergeDatabaseUsage(workload.databaseUsage, { engine: 'mysql', backupGbMonths: 5 }))
+        .toMatchObject({ engine: 'postgresql', backupGbMonths: 5, instanceHours: 730 });
+    });
+  });
+
+  describe('Storage Usage', () => {
+    it('should add storage usage rows per class and round-trip them through JSON', () => {
+      const workload = new Workload({ name: 'bucket-1' });
+      expect(workload.storageUsage).toBeNull();
+
+      workload.recordStorageUsage({ standard: { gbMonths: 100, cost: 2 } });
+      workload.recordStorageUsage({ standard: { tier2Requests: '5000', cost: 0.5 } });
+      workload.recordStorageUsage({ 'standard-ia': { gbMonths: 50, cost: 0.625 } });
+      workload.recordStorageUsage(null);
+
+      expect(workload.storageUsage.standard).toEqual({
+        gbMonths: 100,
+        tier1Requests: 0,
+        tier2Requests: 5000,
+        retrievalGb: 0,
+        monitoredObjects: 0,
+        cost: 2.5
+      });
+      expect(Object.keys(workload.storageUsage)).toEqual(['standard', 'standard-ia']);
+      expect(Workload.fromJSON(workload.toJSON()).storageUsage).toEqual(workload.storageUsage);
+      expect(Workload.mergeStorageUsage(null, {})).toBeNull();
+    });
+  });
 });
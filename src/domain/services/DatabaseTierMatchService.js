@@ -0,0 +1,160 @@
+/**
+ * Database Tier Match Service
+ *
+ * Cloud SQL / AlloyDB configuration of each RDS / Aurora database group in a bill
+ * (ReportDataAggregator.aggregateByService `databases`, utils/gcpDatabaseTierMatcher.js): the instance class
+ * specs come from utils/awsInstanceCatalog.js, Aurora Serverless capacity from its ACU hours. Used by
+ * GCPCostEstimator to price database services from their matched tiers, storage and backups, and by the
+ * report to list every match with its reason.
+ */
+
+import { getAwsInstanceSpecs } from '../../utils/awsInstanceCatalog.js';
+import { matchDatabaseTier } from '../../utils/gcpDatabaseTierMatcher.js';
+
+const DEFAULT_TOP_N = 25;
+const HOURS_PER_MONTH = 730;
+const GB_PER_ACU = 2;
+const SERVERLESS_GB_PER_VCPU = 8;
+
+/**
+ * Database Tier Match Service
+ * Source database group -> Cloud SQL / AlloyDB tier, with the reason
+ */
+export class DatabaseTierMatchService {
+  /**
+   * Match one database group (one database of the group, priced for the whole group)
+   * @param {Object} group - ReportDataAggregator.aggregateByService `databases` entry
+   * @returns {{source: Object|null, serverless: boolean, match: Object, gcpCost: Object|null}|null}
+   *   null when the instance class is not in the catalog and cannot be inferred from its name;
+   *   gcpCost: {instance, storage, backup, total} for one month of the group (the unit of the monthly cost
+   *   baseline), null without a match
+   */
+  static matchDatabase(group) {
+    const count = Math.max(1, group.count || 0);
+    const months = Math.max(1, group.months || 0);
+    const perDatabaseMonth = (value) => (value || 0) / count / months;
+
+    let source = null;
+    let shape = { vcpu: 0, memoryGb: 0, category: null };
+    let instanceHours = perDatabaseMonth(group.instanceHours);
+    const serverless = !group.instanceType && group.acuHours > 0;
+    if (group.instanceType) {
+      source = getAwsInstanceSpecs(String(group.instanceType).replace(/^db\./i, ''));
+      if (!source) return null;
+      shape = source;
+    } else if (serverless) {
+      // Aurora Serverless: a provisioned instance with the average capacity, always on
+      const memoryGb = (perDatabaseMonth(group.acuHours) / HOURS_PER_MONTH) * GB_PER_ACU;
+      shape = { vcpu: Math.max(1, Math.ceil(memoryGb / SERVERLESS_GB_PER_VCPU)), memoryGb, category: null };
+      instanceHours = HOURS_PER_MONTH;
+    }
+
+    const match = matchDatabaseTier({
+      engine: group.engine,
+      edition: group.edition,
+      vcpu: shape.vcpu,
+      memoryGb: shape.memoryGb,
+      category: shape.category,
+      multiAz: group.multiAz,
+      storageType: group.storageType,
+      storageGb: perDatabaseMonth(group.storageGbMonths),
+      backupGb: perDatabaseMonth(group.backupGbMonths),
+      instanceHours
+    });
+    if (serverless && match.product) {
+      match.reason = `${match.reason}; Aurora Serverless sized at its average ${Number((shape.memoryGb / GB_PER_ACU).toFixed(1))} ACUs`;
+    } else if (source?.inferred && match.product) {
+      match.reason = `${match.reason}; ${source.family} is not in the catalog, specs inferred from the name`;
+    }
+
+    const gcpCost = match.monthly
+      ? {
+        instance: match.monthly.instance * count,
+        storage: match.monthly.storage * count,
+        backup: match.monthly.backup * count,
+        total: match.monthly.total * count
+      }
+      : null;
+    return { source, serverless, match, gcpCost };
+  }
+
+  /**
+   * GCP cost of a service's matched databases, with the share of the service's AWS cost they cover
+   * @param {Object} serviceData - ReportDataAggregator.aggregateByService entry (databases)
+   * @returns {{instance: number, storage: number, backup: number, total: number, matchedAwsCost: number,
+   *   matchedShare: number}|null} null when the service has no matched database
+   */
+  static estimateServiceCost(serviceData) {
+    const estimate = { instance: 0, storage: 0, backup: 0, total: 0, matchedAwsCost: 0, matchedShare: 0 };
+    let matched = false;
+    for (const group of Object.values(serviceData?.databases || {})) {
+      const gcpCost = this.matchDatabase(group)?.gcpCost;
+      if (!gcpCost) continue;
+      matched = true;
+      estimate.instance += gcpCost.instance;
+      estimate.storage += gcpCost.storage;
+      estimate.backup += gcpCost.backup;
+      estimate.total += gcpCost.total;
+      estimate.matchedAwsCost += group.totalCost || 0;
+    }
+    if (!matched) return null;
+    estimate.matchedShare = serviceData.totalCost > 0
+      ? Math.min(1, Math.max(0, estimate.matchedAwsCost / serviceData.totalCost))
+      : 1;
+    return estimate;
+  }
+
+  /**
+   * Match every database group of a processed upload
+   * @param {Array} serviceAggregation - ReportDataAggregator.aggregateByService result
+   * @param {Object} options
+   * @param {number} options.topN - Database groups listed (default 25)
+   * @returns {{totalCost: number, matchedCost: number, unmatchedCost: number, gcpCost: number, groups: number,
+   *   matches: Array}} matches: [{service, instanceType, engine, edition, multiAz, storageType, count, cost,
+   *   source, serverless, match, gcpCost}] by spend; match is null for instance classes without a catalog entry
+   */
+  static analyzeMatches(serviceAggregation, { topN = DEFAULT_TOP_N } = {}) {
+    const analysis = {
+      totalCost: 0,
+      matchedCost: 0,
+      unmatchedCost: 0,
+      gcpCost: 0,
+      groups: 0,
+      matches: []
+    };
+
+    for (const serviceData of serviceAggregation || []) {
+      for (const group of Object.values(serviceData.databases || {})) {
+        const matched = this.matchDatabase(group);
+        const cost = group.totalCost || 0;
+        analysis.totalCost += cost;
+        if (matched?.gcpCost) {
+          analysis.matchedCost += cost;
+          analysis.gcpCost += matched.gcpCost.total;
+        } else {
+          analysis.unmatchedCost += cost;
+        }
+        analysis.matches.push({
+          service: serviceData.service,
+          instanceType: group.instanceType,
+          engine: group.engine,
+          edition: group.edition,
+          multiAz: group.multiAz,
+          storageType: group.storageType,
+          count: group.count || 0,
+          cost,
+          source: matched?.source || null,
+          serverless: matched?.serverless || false,
+          match: matched?.match || null,
+          gcpCost: matched?.gcpCost || null
+        });
+      }
+    }
+
+    analysis.groups = analysis.matches.length;
+    analysis.matches = analysis.matches
+      .sort((a, b) => Math.abs(b.cost) - Math.abs(a.cost))
+      .slice(0, topN);
+    return analysis;
+  }
+}
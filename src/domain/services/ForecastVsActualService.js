@@ -0,0 +1,240 @@
+/**
+ * Forecast vs Actual Service
+ *
+ * Compares the GCP cost forecast (GCPCostEstimator estimates) with the actual cost of a GCP
+ * billing export (parseGcpBillingExport summary) after migration:
+ * - By GCP service (estimate and billing service names are normalized to the same canonical name)
+ * - By migration wave (billing rows matched to migrated workloads by label or resource name)
+ *
+ * Actual cost is reported as a monthly average over the billing months in the export, so it
+ * can be compared with the monthly forecast.
+ */
+
+import { ReportDataAggregator } from './ReportDataAggregator.js';
+
+// Canonical GCP service name -> keywords found in estimate gcpService strings and billing
+// service descriptions, checked in order (first match wins)
+const CANONICAL_SERVICE_RULES = [
+  { name: 'Kubernetes Engine', keywords: ['kubernetes', 'gke'] },
+  { name: 'Cloud SQL', keywords: ['cloud sql', 'alloydb'] },
+  { name: 'Cloud Run', keywords: ['cloud run'] },
+  { name: 'Cloud Functions', keywords: ['cloud functions', 'functions'] },
+  { name: 'App Engine', keywords: ['app engine'] },
+  { name: 'BigQuery', keywords: ['bigquery'] },
+  { name: 'Memorystore', keywords: ['memorystore'] },
+  { name: 'Firestore', keywords: ['firestore', 'datastore'] },
+  { name: 'Bigtable', keywords: ['bigtable'] },
+  { name: 'Spanner', keywords: ['spanner'] },
+  { name: 'Pub/Sub', keywords: ['pub/sub', 'pubsub'] },
+  { name: 'Cloud Storage', keywords: ['cloud storage'] },
+  { name: 'Networking', keywords: ['networking', 'load balancing', 'cdn', 'interconnect', 'cloud dns', 'vpn', 'egress', 'vpc'] },
+  { name: 'Cloud Operations', keywords: ['logging', 'monitoring', 'operations', 'trace'] },
+  // Persistent Disk is billed under the Compute Engine service
+  { name: 'Compute Engine', keywords: ['compute engine', 'compute', 'persistent disk'] }
+];
+
+// Estimate field used as the forecast for each pricing option
+const PRICING_FIELDS = {
+  onDemand: 'gcpOnDemand',
+  cud1: 'gcp1YearCUD',
+  cud3: 'gcp3YearCUD'
+};
+
+// Maximum length of a GCP label value
+const MAX_LABEL_VALUE_LENGTH = 63;
+
+/**
+ * Forecast vs Actual Service
+ * Compares promised GCP cost with the cost actually billed after migration
+ */
+export class ForecastVsActualService {
+  // Group label for billing cost that could not be matched to a workload
+  static UNMATCHED = '(unmatched)';
+
+  /**
+   * Normalize a GCP service name so estimates and billing rows line up
+   * @param {string} serviceName - Estimate gcpService (e.g. 'Cloud SQL (MySQL)') or billing
+   *   service description (e.g. 'Cloud SQL')
+   * @returns {string} Canonical service name
+   */
+  static canonicalGcpService(serviceName) {
+    const name = String(serviceName || '').trim();
+    if (!name) return 'Unknown';
+
+    const lower = name.toLowerCase();
+    const rule = CANONICAL_SERVICE_RULES.find(r => r.keywords.some(keyword => lower.includes(keyword)));
+    if (rule) return rule.name;
+
+    // Mapping strings such as 'Cloud Endpoints / API Gateway' or 'Dataproc (Hadoop)'
+    return name.split(' (')[0].split(' / ')[0].trim();
+  }
+
+  /**
+   * Sanitize a value the way it must be written into a GCP label value
+   * (lowercase letters, digits, '-' and '_', at most 63 characters)
+   * @param {string} value
+   * @returns {string}
+   */
+  static toLabelValue(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]/g, '-')
+      .substring(0, MAX_LABEL_VALUE_LENGTH);
+  }
+
+  /**
+   * Build an index of workload ID -> wave number
+   * @param {Object} wavePlan - { wave1, wave2, wave3 } arrays of workloads
+   * @returns {Map<string, number>}
+   */
+  static buildWaveIndex(wavePlan) {
+    const index = new Map();
+    if (!wavePlan) return index;
+
+    [wavePlan.wave1, wavePlan.wave2, wavePlan.wave3].forEach((wave, i) => {
+      (wave || []).forEach(workload => {
+        const id = workload?.id || workload?.workload?.id;
+        if (id) index.set(String(id), i + 1);
+      });
+    });
+    return index;
+  }
+
+  /**
+   * Build an index of billing match key -> workload
+   * Workloads are found by ID or name, as written or sanitized into a label value
+   * @param {Array} workloads
+   * @returns {Map<string, Object>}
+   */
+  static buildWorkloadMatchIndex(workloads) {
+    const index = new Map();
+    for (const workload of workloads || []) {
+      for (const value of [workload.id, workload.name]) {
+        if (!value) continue;
+        const lower = String(value).toLowerCase();
+        const lastSegment = lower.substring(lower.lastIndexOf('/') + 1);
+        for (const key of [lower, lastSegment, this.toLabelValue(lower)]) {
+          if (key && !index.has(key)) {
+            index.set(key, workload);
+          }
+        }
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Compare forecast and actual GCP cost
+   * @param {Object} params
+   * @param {Object} params.billing - Result of parseGcpBillingExport
+   * @param {Array} params.estimates - Result of GCPCostEstimator.estimateAllServiceCosts
+   * @param {Array} params.workloads - Migrated workloads
+   * @param {Object} params.wavePlan - Optional { wave1, wave2, wave3 }
+   * @param {string} params.pricing - 'onDemand' | 'cud1' | 'cud3' (forecast the savings were promised at)
+   * @returns {Object} { services, waves, months, totals, matchedWorkloads, unmatchedCost, currency }
+   */
+  static compare({ billing, estimates = [], workloads = [], wavePlan = null, pricing = 'onDemand' }) {
+    if (!billing) {
+      throw new Error('A GCP billing export summary is required');
+    }
+    const pricingField = PRICING_FIELDS[pricing] || PRICING_FIELDS.onDemand;
+    const months = Object.keys(billing.costByMonth || {}).sort();
+    const monthCount = Math.max(1, months.length);
+
+    // Forecast and AWS baseline by canonical service, and the GCP / AWS ratio per source service
+    const services = new Map();
+    const getServiceEntry = (name) => {
+      if (!services.has(name)) {
+        services.set(name, { gcpService: name, forecast: 0, actual: 0, awsBaseline: 0, sourceServices: [] });
+      }
+      return services.get(name);
+    };
+    const forecastRatios = new Map();
+    for (const estimate of estimates) {
+      const costEstimate = estimate.costEstimate || {};
+      const entry = getServiceEntry(this.canonicalGcpService(costEstimate.gcpService || estimate.gcpService));
+      const forecast = costEstimate[pricingField] || 0;
+      const awsCost = costEstimate.awsCost || 0;
+      entry.forecast += forecast;
+      entry.awsBaseline += awsCost;
+      entry.sourceServices.push(estimate.service);
+      if (awsCost > 0) {
+        forecastRatios.set(estimate.service, forecast / awsCost);
+      }
+    }
+
+    for (const [description, serviceCost] of Object.entries(billing.services || {})) {
+      getServiceEntry(this.canonicalGcpService(description)).actual += serviceCost.cost / monthCount;
+    }
+
+    // Match billed resources to workloads, then roll forecast and actual up by wave
+    const matchIndex = this.buildWorkloadMatchIndex(workloads);
+    const waveIndex = this.buildWaveIndex(wavePlan);
+    const actualByWorkload = new Map();
+    let unmatchedCost = billing.unmatchedCost || 0;
+    for (const [key, matchCost] of Object.entries(billing.matchKeys || {})) {
+      const workload = matchIndex.get(key) || matchIndex.get(this.toLabelValue(key));
+      if (!workload) {
+        unmatchedCost += matchCost.cost;
+        continue;
+      }
+      actualByWorkload.set(workload.id, (actualByWorkload.get(workload.id) || 0) + matchCost.cost / monthCount);
+    }
+
+    const waves = new Map();
+    for (const workload of workloads) {
+      const wave = waveIndex.get(String(workload.id)) || 0;
+      if (!waves.has(wave)) {
+        waves.set(wave, { wave, workloads: 0, matchedWorkloads: 0, forecast: 0, actual: 0 });
+      }
+      const entry = waves.get(wave);
+      const ratio = forecastRatios.has(workload.service) ? forecastRatios.get(workload.service) : 1;
+      entry.workloads++;
+      entry.forecast += ReportDataAggregator._extractCost(workload) * ratio;
+      if (actualByWorkload.has(workload.id)) {
+        entry.matchedWorkloads++;
+        entry.actual += actualByWorkload.get(workload.id);
+      }
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const withVariance = (entry) => {
+      const variance = entry.actual - entry.forecast;
+      return {
+        ...entry,
+        forecast: round(entry.forecast),
+        actual: round(entry.actual),
+        variance: round(variance),
+        variancePercent: entry.forecast > 0 ? round((variance / entry.forecast) * 100) : null
+      };
+    };
+
+    const serviceRows = Array.from(services.values())
+      .map(entry => {
+        const { awsBaseline, ...rest } = entry;
+        return withVariance(rest);
+      })
+      .sort((a, b) => Math.max(b.forecast, b.actual) - Math.max(a.forecast, a.actual));
+
+    const awsBaseline = Array.from(services.values()).reduce((sum, entry) => sum + entry.awsBaseline, 0);
+    const forecastTotal = serviceRows.reduce((sum, entry) => sum + entry.forecast, 0);
+    const actualTotal = (billing.totalCost || 0) / monthCount;
+
+    return {
+      services: serviceRows,
+      waves: Array.from(waves.values()).sort((a, b) => (a.wave || 99) - (b.wave || 99)).map(withVariance),
+      months,
+      totals: {
+        forecast: round(forecastTotal),
+        actual: round(actualTotal),
+        variance: round(actualTotal - forecastTotal),
+        awsBaseline: round(awsBaseline),
+        promisedSavings: round(awsBaseline - forecastTotal),
+        actualSavings: round(awsBaseline - actualTotal)
+      },
+      matchedWorkloads: actualByWorkload.size,
+      unmatchedCost: round(unmatchedCost / monthCount),
+      currency: billing.currency || 'USD'
+    };
+  }
+}
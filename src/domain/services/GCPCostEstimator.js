@@ -7,14 +7,31 @@
  * - 3-year CUD pricing
  * 
  * Uses real-time GCP Pricing API when available, falls back to mock data
+ *
+ * Services whose workloads carry a usage type split (costByComponent, see utils/usageTypeClassifier.js)
+ * are priced per component: the service's main component through the pricing API, the rest at fixed
+ * ratios, and CUDs only on the components they cover (not on data transfer or licences).
+ *
+ * Compute is priced as the GCP machine type matched to the service's largest instance type under the
+ * selected rightsizing policy (MachineTypeMatchService).
+ *
+ * Database services are priced as the Cloud SQL / AlloyDB tiers, storage and backups matched to their
+ * RDS / Aurora databases (DatabaseTierMatchService); the cost of unmatched databases keeps the ratio estimate.
+ *
+ * Object storage is priced as the Cloud Storage classes matched to the S3 storage classes of its buckets,
+ * storage, operations and retrieval separately (StorageClassMatchService); other S3 charges keep the ratio estimate.
  */
 
 import CloudPricingAPI from '../../utils/cloudPricingAPI.js';
-import { getAwsToGcpMapping } from '../../utils/serviceMapping.js';
+import { getSourceToGcpMapping } from '../../utils/serviceMapping.js';
+import { CostComponent, componentShares } from '../../utils/usageTypeClassifier.js';
+import { MachineTypeMatchService } from './MachineTypeMatchService.js';
+import { DatabaseTierMatchService } from './DatabaseTierMatchService.js';
+import { StorageClassMatchService } from './StorageClassMatchService.js';
 
 /**
  * GCP Cost Estimator
- * Calculates GCP costs for AWS workloads
+ * Calculates GCP costs for AWS and Azure workloads
  */
 export class GCPCostEstimator {
   /**
@@ -29,6 +46,17 @@ export class GCPCostEstimator {
     DATABASE_3_YEAR: 0.40  // 40% discount for 3-year CUD on databases
   };
 
+  /**
+   * GCP price relative to the AWS cost for components priced without a pricing API lookup.
+   * Storage, network and licences are at parity until their SKUs are priced directly.
+   */
+  static COMPONENT_PRICE_RATIOS = {
+    [CostComponent.COMPUTE]: 0.9, // Same default as the whole-service estimate
+    [CostComponent.STORAGE]: 1,
+    [CostComponent.NETWORK]: 1,
+    [CostComponent.LICENSE]: 1
+  };
+
   /**
    * Estimate GCP costs for a service aggregation
    * @param {Object} serviceData - Service aggregation data from ReportDataAggregator
@@ -38,33 +66,73 @@ export class GCPCostEstimator {
    */
   static async estimateServiceCosts(serviceData, gcpService, region = 'us-central1') {
     const awsCost = serviceData.totalCost;
+    const serviceType = this._getServiceType(gcpService);
+    const databaseEstimate = serviceType === 'DATABASE' ? DatabaseTierMatchService.estimateServiceCost(serviceData) : null;
+    const storageClassEstimate = serviceType === 'STORAGE' ? StorageClassMatchService.estimateServiceCost(serviceData) : null;
     
-    // Get base GCP pricing
-    const gcpPricing = await this._getGCPPricing(gcpService, serviceData, region);
-    
-    // Calculate on-demand cost
-    const onDemandCost = gcpPricing.onDemand || awsCost * 0.9; // Default: 10% cheaper than AWS
+    // Usage type split of the billed rows, applied to the (baseline) service cost
+    const shares = awsCost > 0 ? componentShares(serviceData.costByComponent) : null;
+    let components = null;
+    let onDemandCost;
+    let cud1Year;
+    let cud3Year;
     
-    // Calculate CUD costs based on service type
-    const serviceType = this._getServiceType(gcpService);
-    const cud1Year = this._applyCUDDiscount(onDemandCost, serviceType, 1);
-    const cud3Year = this._applyCUDDiscount(onDemandCost, serviceType, 3);
+    if (shares) {
+      if (databaseEstimate) {
+        components = this._estimateDatabaseComponentCosts(serviceData, shares, databaseEstimate);
+      } else if (storageClassEstimate) {
+        components = this._estimateStorageClassComponentCosts(serviceData, shares, storageClassEstimate);
+      } else {
+        components = await this._estimateComponentCosts(serviceData, gcpService, region, shares, serviceType);
+      }
+      onDemandCost = 0;
+      cud1Year = 0;
+      cud3Year = 0;
+      for (const componentCosts of Object.values(components)) {
+        onDemandCost += componentCosts.gcpOnDemand;
+        cud1Year += componentCosts.gcp1YearCUD;
+        cud3Year += componentCosts.gcp3YearCUD;
+      }
+    } else if (databaseEstimate) {
+      // Matched tiers, storage and backups; CUDs cover the instances only
+      const unmatchedOnDemand = awsCost * (1 - databaseEstimate.matchedShare) * 0.9;
+      const fixedCost = databaseEstimate.storage + databaseEstimate.backup;
+      onDemandCost = databaseEstimate.total + unmatchedOnDemand;
+      cud1Year = fixedCost + this._applyCUDDiscount(databaseEstimate.instance + unmatchedOnDemand, serviceType, 1);
+      cud3Year = fixedCost + this._applyCUDDiscount(databaseEstimate.instance + unmatchedOnDemand, serviceType, 3);
+    } else if (storageClassEstimate) {
+      // Matched storage, operations and retrieval (no CUDs on Cloud Storage); the rest at the ratio
+      const unmatchedOnDemand = awsCost * (1 - storageClassEstimate.matchedShare) * 0.9;
+      onDemandCost = storageClassEstimate.total + unmatchedOnDemand;
+      cud1Year = storageClassEstimate.total + this._applyCUDDiscount(unmatchedOnDemand, serviceType, 1);
+      cud3Year = storageClassEstimate.total + this._applyCUDDiscount(unmatchedOnDemand, serviceType, 3);
+    } else {
+      // Get base GCP pricing
+      const gcpPricing = await this._getGCPPricing(gcpService, serviceData, region);
+      
+      // Calculate on-demand cost
+      onDemandCost = gcpPricing.onDemand || awsCost * 0.9; // Default: 10% cheaper than AWS
+      
+      // Calculate CUD costs based on service type
+      cud1Year = this._applyCUDDiscount(onDemandCost, serviceType, 1);
+      cud3Year = this._applyCUDDiscount(onDemandCost, serviceType, 3);
+    }
     
-    // Handle negative costs (credits/refunds) - ensure non-negative values
-    const absAwsCost = Math.abs(awsCost);
+    // GCP costs are never negative. The AWS cost keeps its sign: a service that nets negative
+    // (credits / refunds selected into the baseline) must still tie back to the invoice total
     const absOnDemandCost = Math.max(0, onDemandCost);
     const absCud1Year = Math.max(0, cud1Year);
     const absCud3Year = Math.max(0, cud3Year);
     
     // Calculate savings (only if AWS cost is positive)
-    const savings1Year = absAwsCost > 0 ? absAwsCost - absCud1Year : 0;
-    const savings3Year = absAwsCost > 0 ? absAwsCost - absCud3Year : 0;
-    const savingsPercent1Year = absAwsCost > 0 ? ((savings1Year) / absAwsCost) * 100 : 0;
-    const savingsPercent3Year = absAwsCost > 0 ? ((savings3Year) / absAwsCost) * 100 : 0;
+    const savings1Year = awsCost > 0 ? awsCost - absCud1Year : 0;
+    const savings3Year = awsCost > 0 ? awsCost - absCud3Year : 0;
+    const savingsPercent1Year = awsCost > 0 ? ((savings1Year) / awsCost) * 100 : 0;
+    const savingsPercent3Year = awsCost > 0 ? ((savings3Year) / awsCost) * 100 : 0;
     
     return {
-      awsCost: absAwsCost, // Use absolute value for reporting
-      awsCostRaw: awsCost, // Keep original for reference
+      awsCost,
+      awsCostRaw: awsCost, // Kept for existing consumers (same as awsCost)
       gcpOnDemand: absOnDemandCost,
       gcp1YearCUD: absCud1Year,
       gcp3YearCUD: absCud3Year,
@@ -74,10 +142,103 @@ export class GCPCostEstimator {
       savingsPercent3Year,
       region,
       gcpService,
+      components, // Component -> {awsCost, gcpOnDemand, gcp1YearCUD, gcp3YearCUD}; null without a usage type split
       hasNegativeCost: awsCost < 0 // Flag for reporting
     };
   }
 
+  /**
+   * Price each usage component of a service: its main component (storage for storage services,
+   * compute otherwise) through the pricing API, the others at COMPONENT_PRICE_RATIOS.
+   * CUDs apply to the main component at the service's rate and to compute at the compute rate.
+   * @private
+   */
+  static async _estimateComponentCosts(serviceData, gcpService, region, shares, serviceType) {
+    const mainComponent = serviceType === 'STORAGE' ? CostComponent.STORAGE : CostComponent.COMPUTE;
+    const components = {};
+    
+    for (const [component, share] of Object.entries(shares)) {
+      const awsCost = serviceData.totalCost * share;
+      let onDemand = awsCost * (this.COMPONENT_PRICE_RATIOS[component] ?? 1);
+      let cudType = null;
+      if (component === mainComponent) {
+        const gcpPricing = await this._getGCPPricing(gcpService, { ...serviceData, totalCost: awsCost }, region);
+        onDemand = gcpPricing.onDemand || onDemand;
+        cudType = serviceType;
+      } else if (component === CostComponent.COMPUTE) {
+        cudType = 'COMPUTE';
+      }
+      
+      components[component] = {
+        awsCost,
+        gcpOnDemand: onDemand,
+        gcp1YearCUD: cudType ? this._applyCUDDiscount(onDemand, cudType, 1) : onDemand,
+        gcp3YearCUD: cudType ? this._applyCUDDiscount(onDemand, cudType, 3) : onDemand
+      };
+    }
+    return components;
+  }
+
+  /**
+   * Price the usage components of a database service from its matched tiers: compute as the matched
+   * instances, storage as the matched storage and backups, each plus its unmatched share at
+   * COMPONENT_PRICE_RATIOS; other components at COMPONENT_PRICE_RATIOS.
+   * CUDs apply to compute at the database rate.
+   * @private
+   */
+  static _estimateDatabaseComponentCosts(serviceData, shares, databaseEstimate) {
+    const unmatchedShare = 1 - databaseEstimate.matchedShare;
+    const matchedCosts = {
+      [CostComponent.COMPUTE]: databaseEstimate.instance,
+      [CostComponent.STORAGE]: databaseEstimate.storage + databaseEstimate.backup
+    };
+    const components = {};
+    
+    for (const [component, share] of Object.entries(shares)) {
+      const awsCost = serviceData.totalCost * share;
+      const ratio = this.COMPONENT_PRICE_RATIOS[component] ?? 1;
+      const onDemand = component in matchedCosts
+        ? matchedCosts[component] + awsCost * unmatchedShare * ratio
+        : awsCost * ratio;
+      const discounted = component === CostComponent.COMPUTE;
+      
+      components[component] = {
+        awsCost,
+        gcpOnDemand: onDemand,
+        gcp1YearCUD: discounted ? this._applyCUDDiscount(onDemand, 'DATABASE', 1) : onDemand,
+        gcp3YearCUD: discounted ? this._applyCUDDiscount(onDemand, 'DATABASE', 3) : onDemand
+      };
+    }
+    return components;
+  }
+
+  /**
+   * Price the usage components of an object storage service from its matched storage classes: storage as
+   * the matched storage, operations and retrieval plus the storage cost they do not cover at
+   * COMPONENT_PRICE_RATIOS; other components at COMPONENT_PRICE_RATIOS. Cloud Storage has no CUDs.
+   * @private
+   */
+  static _estimateStorageClassComponentCosts(serviceData, shares, storageClassEstimate) {
+    const matchedAwsCost = serviceData.totalCost * storageClassEstimate.matchedShare;
+    const components = {};
+    
+    for (const [component, share] of Object.entries(shares)) {
+      const awsCost = serviceData.totalCost * share;
+      const ratio = this.COMPONENT_PRICE_RATIOS[component] ?? 1;
+      const onDemand = component === CostComponent.STORAGE
+        ? storageClassEstimate.total + Math.max(0, awsCost - matchedAwsCost) * ratio
+        : awsCost * ratio;
+      
+      components[component] = {
+        awsCost,
+        gcpOnDemand: onDemand,
+        gcp1YearCUD: onDemand,
+        gcp3YearCUD: onDemand
+      };
+    }
+    return components;
+  }
+
   /**
    * Estimate costs for all services
    * @param {Array} serviceAggregation - Result from ReportDataAggregator.aggregateByService
@@ -103,7 +264,7 @@ export class GCPCostEstimator {
       console.log(`[GCPCostEstimator.estimateAllServiceCosts] INSIDE BATCH: About to call Promise.all for ${batch.length} services...`);
       const batchEstimates = await Promise.all(
         batch.map(async (serviceData) => {
-          const mapping = getAwsToGcpMapping(serviceData.service);
+          const mapping = getSourceToGcpMapping(serviceData.service, serviceData.sourceProvider);
           const gcpService = mapping.gcpService;
           
           try {
@@ -120,6 +281,7 @@ export class GCPCostEstimator {
               gcpApi: serviceData.gcpApi,
               migrationStrategy: serviceData.migrationStrategy,
               effort: serviceData.effort,
+              mappingOverridden: !!serviceData.mappingOverridden,
               count: serviceData.count,
               totalCost: serviceData.totalCost,
               averageComplexity: serviceData.averageComplexity,
@@ -135,6 +297,7 @@ export class GCPCostEstimator {
             gcpApi: serviceData.gcpApi,
             migrationStrategy: serviceData.migrationStrategy,
             effort: serviceData.effort,
+            mappingOverridden: !!serviceData.mappingOverridden,
             count: serviceData.count,
             totalCost: serviceData.totalCost,
             averageComplexity: serviceData.averageComplexity,
@@ -182,10 +345,8 @@ export class GCPCostEstimator {
         
         try {
           if (serviceType === 'computeEngine') {
-            // Extract machine type from service data if available
-            const machineType = serviceData.awsInstanceType 
-              ? this._mapAwsToGcpMachineType(serviceData.awsInstanceType)
-              : 'n1-standard-1';
+            // Match of the service's largest instance type under the selected rightsizing policy
+            const machineType = MachineTypeMatchService.primaryMatch(serviceData)?.machineType || 'n1-standard-1';
             
             const response = await fetch(
               `${backendUrl}/api/gcp/pricing/compute?region=${encodeURIComponent(region)}&machineType=${encodeURIComponent(machineType)}`
@@ -267,26 +428,6 @@ export class GCPCostEstimator {
     };
   }
   
-  /**
-   * Map AWS instance type to GCP machine type
-   * @private
-   */
-  static _mapAwsToGcpMachineType(awsInstanceType) {
-    // Basic mapping - can be expanded
-    const mapping = {
-      't3.micro': 'e2-micro',
-      't3.small': 'e2-small',
-      't3.medium': 'e2-medium',
-      't3.large': 'e2-standard-2',
-      'm5.large': 'n1-standard-2',
-      'm5.xlarge': 'n1-standard-4',
-      'c5.large': 'n1-highcpu-2',
-      'c5.xlarge': 'n1-highcpu-4',
-    };
-    
-    return mapping[awsInstanceType?.toLowerCase()] || 'n1-standard-1';
-  }
-
   /**
    * Map GCP service name to pricing API service type
    * @private
@@ -319,7 +460,7 @@ export class GCPCostEstimator {
     if (gcpService.includes('Storage')) {
       return 'STORAGE';
     }
-    if (gcpService.includes('SQL') || gcpService.includes('Database')) {
+    if (gcpService.includes('SQL') || gcpService.includes('Database') || gcpService.includes('AlloyDB')) {
       return 'DATABASE';
     }
     return 'COMPUTE'; // Default
@@ -347,7 +488,7 @@ export class GCPCostEstimator {
   /**
    * Calculate total cost estimates across all services
    * @param {Array} costEstimates - Result from estimateAllServiceCosts
-   * @returns {Object} Total cost summary
+   * @returns {Object} Total cost summary; byComponent sums the services priced per usage component
    */
   static calculateTotalCosts(costEstimates) {
     // SAFETY: Batch reduce to avoid stack overflow with large cost estimates arrays
@@ -357,6 +498,7 @@ export class GCPCostEstimator {
       gcp1YearCUDTotal: 0,
       gcp3YearCUDTotal: 0
     };
+    const byComponent = {};
     
     const COST_TOTALS_BATCH_SIZE = 1000; // Process 1K estimates at a time
     for (let i = 0; i < costEstimates.length; i += COST_TOTALS_BATCH_SIZE) {
@@ -367,6 +509,13 @@ export class GCPCostEstimator {
         totals.gcpOnDemandTotal += costs.gcpOnDemand || 0;
         totals.gcp1YearCUDTotal += costs.gcp1YearCUD || 0;
         totals.gcp3YearCUDTotal += costs.gcp3YearCUD || 0;
+        for (const [component, componentCosts] of Object.entries(costs.components || {})) {
+          const componentTotal = byComponent[component] || (byComponent[component] = { awsCost: 0, gcpOnDemand: 0, gcp1YearCUD: 0, gcp3YearCUD: 0 });
+          componentTotal.awsCost += componentCosts.awsCost;
+          componentTotal.gcpOnDemand += componentCosts.gcpOnDemand;
+          componentTotal.gcp1YearCUD += componentCosts.gcp1YearCUD;
+          componentTotal.gcp3YearCUD += componentCosts.gcp3YearCUD;
+        }
       }
     }
 
@@ -383,7 +532,8 @@ export class GCPCostEstimator {
         : 0,
       savingsPercent3Year: totals.awsTotal > 0
         ? ((totals.awsTotal - totals.gcp3YearCUDTotal) / totals.awsTotal) * 100
-        : 0
+        : 0,
+      byComponent
     };
   }
 }
@@ -0,0 +1,122 @@
+/**
+ * Machine Type Match Service
+ *
+ * GCP machine type of each source instance type in a bill, under the selected rightsizing policy
+ * (utils/gcpMachineTypeMatcher.js): the AWS specs come from utils/awsInstanceCatalog.js, the Azure VM size
+ * specs from utils/azureVmSizeCatalog.js. Used by
+ * GCPCostEstimator for the machine type it prices, and by the report to list every match with its reason.
+ *
+ * Matches are worked out at display time, so changing the policy shows straight away in the report;
+ * cost estimates follow when the pipeline is re-run.
+ */
+
+import { getAwsInstanceSpecs } from '../../utils/awsInstanceCatalog.js';
+import { getAzureVmSpecs } from '../../utils/azureVmSizeCatalog.js';
+import { matchMachineType, getRightsizingPolicy, normalizeRightsizingPolicy } from '../../utils/gcpMachineTypeMatcher.js';
+
+const DEFAULT_TOP_N = 25;
+
+// Source provider -> specs lookup of its instance types / VM sizes
+const SOURCE_CATALOGS = {
+  aws: getAwsInstanceSpecs,
+  azure: getAzureVmSpecs
+};
+
+// RDS and ElastiCache instance classes: matched to Cloud SQL tiers by DatabaseTierMatchService, not here
+const MANAGED_INSTANCE_CLASS_PATTERN = /^(db|cache)\./i;
+
+/**
+ * Machine Type Match Service
+ * Source instance type -> GCP machine type, with the reason
+ */
+export class MachineTypeMatchService {
+  /**
+   * Match one source instance type
+   * @param {string} instanceType - e.g. 'm5.large', 'Standard_D4s_v5'
+   * @param {string} sourceProvider - 'aws' or 'azure' (other providers have no catalog yet)
+   * @param {string} policy - RightsizingPolicy value (default: the selected policy)
+   * @returns {{instanceType: string, source: Object, match: Object}|null} null when the type is not in the
+   *   catalog and cannot be inferred from its name; match.machineType is null when no GCP shape is large enough
+   */
+  static matchInstanceType(instanceType, sourceProvider = 'aws', policy = getRightsizingPolicy()) {
+    const getSpecs = SOURCE_CATALOGS[sourceProvider];
+    const source = getSpecs ? getSpecs(instanceType) : null;
+    if (!source) return null;
+    const match = matchMachineType(source, policy);
+    if (source.constrainedVcpu) {
+      match.reason = `${match.reason}; constrained-vCPU size: memory of the full size`;
+    }
+    if (source.inferred) {
+      match.reason = `${match.reason}; ${source.family} is not in the catalog, specs inferred from the name`;
+    }
+    return { instanceType: source.instanceType, source, match };
+  }
+
+  /**
+   * GCP machine type of a service: the match of its largest instance type by cost
+   * @param {Object} serviceData - ReportDataAggregator.aggregateByService entry (instanceTypes)
+   * @param {string} policy - RightsizingPolicy value (default: the selected policy)
+   * @returns {Object|null} matchMachineType result, or null when no instance type of the service matches
+   */
+  static primaryMatch(serviceData, policy = getRightsizingPolicy()) {
+    const byCost = Object.entries(serviceData?.instanceTypes || {})
+      .sort(([, a], [, b]) => Math.abs(b.totalCost) - Math.abs(a.totalCost));
+    for (const [instanceType] of byCost) {
+      const matched = this.matchInstanceType(instanceType, serviceData.sourceProvider || 'aws', policy);
+      if (matched?.match.machineType) return matched.match;
+    }
+    return null;
+  }
+
+  /**
+   * Match every instance type of a processed upload (RDS db.* and ElastiCache cache.* classes are left out)
+   * @param {Array} serviceAggregation - ReportDataAggregator.aggregateByService result
+   * @param {Object} options
+   * @param {string} options.policy - RightsizingPolicy value (default: the selected policy)
+   * @param {number} options.topN - Instance types listed (default 25)
+   * @returns {{policy: string, totalCost: number, matchedCost: number, unmatchedCost: number, instanceTypes: number,
+   *   matches: Array}} matches: [{instanceType, service, sourceProvider, count, cost, source, match}] by spend;
+   *   source and match are null for instance types without a catalog entry
+   */
+  static analyzeMatches(serviceAggregation, { policy = getRightsizingPolicy(), topN = DEFAULT_TOP_N } = {}) {
+    const normalizedPolicy = normalizeRightsizingPolicy(policy);
+    const analysis = {
+      policy: normalizedPolicy,
+      totalCost: 0,
+      matchedCost: 0,
+      unmatchedCost: 0,
+      instanceTypes: 0,
+      matches: []
+    };
+
+    for (const serviceData of serviceAggregation || []) {
+      const sourceProvider = serviceData.sourceProvider || 'aws';
+      for (const [instanceType, usage] of Object.entries(serviceData.instanceTypes || {})) {
+        if (MANAGED_INSTANCE_CLASS_PATTERN.test(instanceType)) continue;
+        const matched = this.matchInstanceType(instanceType, sourceProvider, normalizedPolicy);
+        const cost = usage.totalCost || 0;
+        analysis.totalCost += cost;
+        if (matched?.match.machineType) {
+          analysis.matchedCost += cost;
+        } else {
+          analysis.unmatchedCost += cost;
+        }
+        analysis.matches.push({
+          instanceType,
+          service: serviceData.service,
+          sourceProvider,
+          count: usage.count || 0,
+          cost,
+          source: matched?.source || null,
+          match: matched?.match || null
+        });
+      }
+    }
+
+    analysis.instanceTypes = analysis.matches.length;
+    analysis.matches = analysis.matches
+      .sort((a, b) => Math.abs(b.cost) - Math.abs(a.cost))
+      .slice(0, topN);
+    return analysis;
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Mapping Coverage Service
+ *
+ * How much of the bill is covered by an explicit GCP service mapping: a built-in entry of
+ * utils/serviceMapping.js (RDS included: Cloud SQL, engine resolved per database) or a project mapping
+ * override. Spend of services that only match a catch-all rule (marketplace, support...) or no mapping
+ * at all is listed by service, with the CUR product codes it came from, largest first, so the gaps can
+ * be closed with overrides.
+ *
+ * Coverage is worked out at display time, so an override saved from the report counts straight away.
+ */
+
+import { getMappingSource, getSourceToGcpMapping, MappingSource } from '../../utils/serviceMapping.js';
+import { mappingKey } from '../../utils/serviceMappingOverrides.js';
+import { normalizeAwsProductCode, awsProductCodeToService } from '../../utils/awsProductCodeMapping.js';
+
+const DEFAULT_TOP_N = 20;
+
+/**
+ * Mapping Coverage Service
+ * Share of spend with an explicit mapping, and the services without one
+ */
+export class MappingCoverageService {
+  /**
+   * Analyse mapping coverage of a processed upload
+   * @param {Array} serviceAggregation - ReportDataAggregator.aggregateByService result
+   * @param {Object} ingestionReport - Merged CUR ingestion report (curIngestionReport.js), for product codes; optional
+   * @param {Object} options
+   * @param {number} options.topN - Uncovered services listed (default 20)
+   * @returns {{totalCost: number, explicitCost: number, overrideCost: number, genericCost: number,
+   *   unmappedCost: number, coveredShare: number|null, uncoveredServices: number, uncovered: Array}}
+   *   uncovered: [{service, sourceProvider, productCodes, cost, count, mappingSource, gcpService}] by spend
+   */
+  static analyzeCoverage(serviceAggregation, ingestionReport = null, { topN = DEFAULT_TOP_N } = {}) {
+    const productCodesByService = this._productCodesByService(ingestionReport);
+    const coverage = {
+      totalCost: 0,
+      explicitCost: 0,
+      overrideCost: 0,
+      genericCost: 0,
+      unmappedCost: 0,
+      coveredShare: null,
+      uncoveredServices: 0,
+      uncovered: []
+    };
+
+    for (const serviceData of serviceAggregation || []) {
+      const sourceProvider = serviceData.sourceProvider || 'aws';
+      const cost = serviceData.totalCost || 0;
+      const mappingSource = getMappingSource(serviceData.service, sourceProvider);
+      coverage.totalCost += cost;
+
+      if (mappingSource === MappingSource.OVERRIDE || mappingSource === MappingSource.BUILT_IN) {
+        coverage.explicitCost += cost;
+        if (mappingSource === MappingSource.OVERRIDE) coverage.overrideCost += cost;
+        continue;
+      }
+      if (mappingSource === MappingSource.GENERIC) {
+        coverage.genericCost += cost;
+      } else {
+        coverage.unmappedCost += cost;
+      }
+      coverage.uncovered.push({
+        service: serviceData.service,
+        sourceProvider,
+        productCodes: sourceProvider === 'aws' ? this._productCodesOf(serviceData.service, productCodesByService) : [],
+        cost,
+        count: serviceData.count || 0,
+        mappingSource,
+        gcpService: getSourceToGcpMapping(serviceData.service, sourceProvider).gcpService
+      });
+    }
+
+    coverage.coveredShare = coverage.totalCost > 0 ? coverage.explicitCost / coverage.totalCost : null;
+    coverage.uncoveredServices = coverage.uncovered.length;
+    coverage.uncovered = coverage.uncovered
+      .sort((a, b) => Math.abs(b.cost) - Math.abs(a.cost))
+      .slice(0, topN);
+    return coverage;
+  }
+
+  /**
+   * Unknown product codes of the ingestion report by the service they were kept under
+   * @private
+   */
+  static _productCodesByService(ingestionReport) {
+    const byService = new Map();
+    for (const entry of Object.values(ingestionReport?.unknownProductCodes || {})) {
+      // Reports stored before the service was recorded: infer it the way the parser did
+      const key = mappingKey(entry.service || normalizeAwsProductCode(entry.productCode));
+      if (!byService.has(key)) byService.set(key, []);
+      byService.get(key).push(entry);
+    }
+    return byService;
+  }
+
+  /**
+   * Product codes of a service, largest spend first (codes in the product code table when the
+   * ingestion report has none, e.g. a known code whose service has no GCP mapping)
+   * @private
+   */
+  static _productCodesOf(service, productCodesByService) {
+    const entries = productCodesByService.get(mappingKey(service));
+    if (entries) {
+      return entries
+        .sort((a, b) => Math.abs(b.cost) - Math.abs(a.cost))
+        .map(entry => entry.productCode);
+    }
+    return Object.keys(awsProductCodeToService)
+      .filter(productCode => awsProductCodeToService[productCode] === service && /^(AMAZON|AWS)/.test(productCode));
+  }
+}
+
+export default MappingCoverageService;
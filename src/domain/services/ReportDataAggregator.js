@@ -5,16 +5,44 @@
  * - By complexity ranges
  * - By AWS service
  * - By region
+ * - By linked account
+ * - By resource tag (app, env, owner, cost-center, ...)
+ * - By billing month (multi-month CUR trend)
+ * - Confidence intervals of the breakdowns when the CUR was sampled
  * - Maps to GCP services
  */
 
-import { getAwsToGcpMapping } from '../../utils/serviceMapping.js';
+import { getSourceToGcpMapping } from '../../utils/serviceMapping.js';
+import { estimateSampledTotals } from '../../utils/curResourceSampler.js';
 
 /**
  * Report Data Aggregator
  * Provides aggregated views of workloads for reporting
  */
 export class ReportDataAggregator {
+  // Group label for workloads that do not carry the requested tag
+  static UNTAGGED = '(untagged)';
+
+  // Group label for workloads whose billing export has no linked account column
+  static UNKNOWN_ACCOUNT = '(unknown account)';
+
+  // Tag keys aggregated in the report summary (most widely used first)
+  static MAX_SUMMARY_TAG_KEYS = 10;
+
+  // Breakdowns given confidence intervals for sampled CURs (describeSampling), with category labels
+  static SAMPLING_BREAKDOWNS = [
+    {
+      key: 'complexity',
+      label: 'Complexity',
+      categories: { low: 'Low (1-3)', medium: 'Medium (4-6)', high: 'High (7-10)', unassigned: 'Unassigned' }
+    },
+    {
+      key: 'readiness',
+      label: 'Readiness',
+      categories: { ready: 'Ready', conditional: 'Conditional', notReady: 'Not ready', unassigned: 'Unassigned' }
+    }
+  ];
+
   /**
    * Aggregate workloads by complexity ranges
    * @param {Array} workloads - Array of workload objects (plain JSON or Workload instances)
@@ -101,7 +129,7 @@ export class ReportDataAggregator {
   }
 
   /**
-   * Aggregate workloads by AWS service
+   * Aggregate workloads by source service (AWS or Azure)
    * @param {Array} workloads - Array of workload objects
    * @returns {Array} Aggregated data by service, sorted by cost (descending)
    */
@@ -141,15 +169,23 @@ export class ReportDataAggregator {
         const complexity = this._extractComplexity(workloadData);
 
         if (!serviceMap.has(service)) {
-          const gcpMapping = getAwsToGcpMapping(service);
+          const sourceProvider = this._extractSourceProvider(workloadData);
+          const gcpMapping = getSourceToGcpMapping(service, sourceProvider);
           serviceMap.set(service, {
             service,
+            sourceProvider,
             gcpService: gcpMapping.gcpService,
             gcpApi: gcpMapping.gcpApi,
             migrationStrategy: gcpMapping.migrationStrategy,
             effort: gcpMapping.effort,
+            mappingOverridden: !!gcpMapping.overridden, // Project mapping override (serviceMappingOverrides.js)
             count: 0,
             totalCost: 0,
+            costByMonth: {},
+            costByComponent: {},
+            instanceTypes: {},
+            databases: {},
+            storageClasses: {},
             complexities: [],
             workloads: [] // SAFETY: Limit workload storage
           });
@@ -158,6 +194,22 @@ export class ReportDataAggregator {
         const serviceData = serviceMap.get(service);
         serviceData.count++;
         serviceData.totalCost += cost;
+        this._addCostByMonth(serviceData.costByMonth, workloadData.costByMonth);
+        this._addCostByMonth(serviceData.costByComponent, workloadData.costByComponent); // Same per-key sum
+        const instanceType = workloadData.instanceType || workloadData.awsInstanceType;
+        if (instanceType) {
+          if (!serviceData.instanceTypes[instanceType]) {
+            serviceData.instanceTypes[instanceType] = { count: 0, totalCost: 0 };
+          }
+          serviceData.instanceTypes[instanceType].count++;
+          serviceData.instanceTypes[instanceType].totalCost += cost;
+        }
+        if (workloadData.databaseUsage) {
+          this._addDatabase(serviceData.databases, workloadData, instanceType, cost);
+        }
+        if (workloadData.storageUsage) {
+          this._addStorageClasses(serviceData.storageClasses, workloadData);
+        }
         if (complexity !== null && complexity !== undefined) {
           serviceData.complexities.push(complexity);
         }
@@ -197,12 +249,19 @@ export class ReportDataAggregator {
       }
       result.push({
         service: serviceData.service,
+        sourceProvider: serviceData.sourceProvider,
         gcpService: serviceData.gcpService,
         gcpApi: serviceData.gcpApi,
         migrationStrategy: serviceData.migrationStrategy,
         effort: serviceData.effort,
+        mappingOverridden: serviceData.mappingOverridden,
         count: serviceData.count,
         totalCost: serviceData.totalCost,
+        costByMonth: serviceData.costByMonth, // Billing month -> cost (empty for single-period exports)
+        costByComponent: serviceData.costByComponent, // Usage component -> billed cost (empty without usage types)
+        instanceTypes: serviceData.instanceTypes, // Instance type -> { count, totalCost } (empty without instances)
+        databases: serviceData.databases, // Database configuration -> { count, totalCost, months, usage totals } (empty without RDS / Aurora usage)
+        storageClasses: serviceData.storageClasses, // S3 storage class -> { buckets, months, usage and cost totals } (empty without S3 / Glacier usage)
         averageComplexity,
         workloads: serviceData.workloads // Limited to 100 per service
       });
@@ -216,6 +275,34 @@ export class ReportDataAggregator {
     return result;
   }
 
+  /**
+   * Aggregate cost per billing month across all workloads (trend of a multi-month CUR)
+   * @param {Array} workloads - Array of workload objects
+   * @returns {Array} [{ month, totalCost }] sorted by month (ascending); empty when workloads
+   *   carry no cost series
+   */
+  static aggregateCostTrend(workloads) {
+    // SAFETY: Memory guard - limit processing to prevent stack overflow
+    const MAX_WORKLOADS = 1000000; // Hard limit of 1M workloads
+    const safeWorkloads = workloads.length > MAX_WORKLOADS
+      ? workloads.slice(0, MAX_WORKLOADS)
+      : workloads;
+
+    const costByMonth = {};
+    const BATCH_SIZE = 10000; // Process 10K workloads at a time
+    for (let i = 0; i < safeWorkloads.length; i += BATCH_SIZE) {
+      const batch = safeWorkloads.slice(i, Math.min(i + BATCH_SIZE, safeWorkloads.length));
+      for (const workload of batch) {
+        const workloadData = workload.toJSON ? workload.toJSON() : workload;
+        this._addCostByMonth(costByMonth, workloadData.costByMonth);
+      }
+    }
+
+    return Object.keys(costByMonth)
+      .sort()
+      .map(month => ({ month, totalCost: costByMonth[month] }));
+  }
+
   /**
    * Aggregate workloads by region
    * @param {Array} workloads - Array of workload objects
@@ -388,6 +475,307 @@ export class ReportDataAggregator {
     };
   }
 
+  /**
+   * Aggregate by linked (usage) account, e.g. AWS Organizations member accounts of a payer CUR
+   * @param {Array} workloads - Array of workload objects
+   * @returns {Array} [{ accountId, accountName, count, totalCost, averageComplexity, regionCount,
+   *   topServices, topServicesCosts, readiness }] sorted by cost (descending); workloads without an
+   *   account are grouped under ReportDataAggregator.UNKNOWN_ACCOUNT
+   */
+  static aggregateByAccount(workloads) {
+    // SAFETY: Memory guard - limit processing to prevent stack overflow
+    const MAX_WORKLOADS = 1000000; // Hard limit of 1M workloads
+    const safeWorkloads = workloads.length > MAX_WORKLOADS
+      ? workloads.slice(0, MAX_WORKLOADS)
+      : workloads;
+
+    if (workloads.length > MAX_WORKLOADS) {
+      console.warn(`[ReportDataAggregator] Limiting account aggregation to ${MAX_WORKLOADS} workloads (from ${workloads.length}) to prevent memory issues`);
+    }
+
+    const accountMap = new Map();
+
+    // FIX: Process in batches to avoid stack overflow with very large datasets
+    const BATCH_SIZE = 10000;
+    const totalWorkloads = safeWorkloads.length;
+
+    for (let i = 0; i < totalWorkloads; i += BATCH_SIZE) {
+      const batch = safeWorkloads.slice(i, Math.min(i + BATCH_SIZE, totalWorkloads));
+
+      for (const workload of batch) {
+        const workloadData = workload.toJSON ? workload.toJSON() : workload;
+        const accountId = workloadData.accountId ? String(workloadData.accountId) : this.UNKNOWN_ACCOUNT;
+        const cost = this._extractCost(workloadData);
+        const complexity = this._extractComplexity(workloadData);
+        const service = workloadData.service || 'Unknown';
+
+        if (!accountMap.has(accountId)) {
+          accountMap.set(accountId, {
+            accountId,
+            accountName: null,
+            count: 0,
+            totalCost: 0,
+            complexitySum: 0,
+            complexityCount: 0,
+            regions: new Set(),
+            services: new Map(),
+            readiness: { ready: 0, conditional: 0, notReady: 0, unassigned: 0 }
+          });
+        }
+
+        const accountData = accountMap.get(accountId);
+        accountData.count++;
+        accountData.totalCost += cost;
+        if (!accountData.accountName && workloadData.accountName) {
+          accountData.accountName = workloadData.accountName;
+        }
+        if (complexity !== null && complexity !== undefined) {
+          accountData.complexitySum += complexity;
+          accountData.complexityCount++;
+        }
+        accountData.regions.add(workloadData.region || 'Unknown');
+        accountData.services.set(service, (accountData.services.get(service) || 0) + cost);
+        accountData.readiness[this._classifyReadiness(workloadData)]++;
+      }
+
+      // Log progress for large datasets
+      if (totalWorkloads > 50000 && (i + BATCH_SIZE) % 50000 === 0) {
+        const percent = ((i + BATCH_SIZE) / totalWorkloads * 100).toFixed(1);
+        console.log(`[ReportDataAggregator] Account aggregation: ${Math.min(i + BATCH_SIZE, totalWorkloads)}/${totalWorkloads} (${percent}%)`);
+      }
+    }
+
+    // SAFETY: accountMap is small (number of linked accounts), so building the result is safe
+    const result = [];
+    for (const accountData of accountMap.values()) {
+      const topServices = Array.from(accountData.services.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3); // Top 3 services
+
+      result.push({
+        accountId: accountData.accountId,
+        accountName: accountData.accountName,
+        count: accountData.count,
+        totalCost: accountData.totalCost,
+        averageComplexity: accountData.complexityCount > 0
+          ? accountData.complexitySum / accountData.complexityCount
+          : null,
+        regionCount: accountData.regions.size,
+        topServices: topServices.map(([service]) => service),
+        topServicesCosts: topServices.map(([, cost]) => cost),
+        readiness: accountData.readiness
+      });
+    }
+
+    return result.sort((a, b) => b.totalCost - a.totalCost);
+  }
+
+  /**
+   * List the resource tag keys present on workloads
+   * @param {Array} workloads - Array of workload objects
+   * @returns {Array} [{ key, count, totalCost }] sorted by number of tagged workloads (descending)
+   */
+  static getTagKeys(workloads) {
+    const keyMap = new Map();
+
+    // FIX: Process in batches to avoid stack overflow with very large datasets
+    const BATCH_SIZE = 10000;
+    for (let i = 0; i < workloads.length; i += BATCH_SIZE) {
+      const batch = workloads.slice(i, Math.min(i + BATCH_SIZE, workloads.length));
+      for (const workload of batch) {
+        const workloadData = workload.toJSON ? workload.toJSON() : workload;
+        const tags = workloadData.tags;
+        if (!tags || typeof tags !== 'object') continue;
+
+        const cost = this._extractCost(workloadData);
+        for (const key of Object.keys(tags)) {
+          if (!keyMap.has(key)) {
+            keyMap.set(key, { key, count: 0, totalCost: 0 });
+          }
+          const keyData = keyMap.get(key);
+          keyData.count++;
+          keyData.totalCost += cost;
+        }
+      }
+    }
+
+    return Array.from(keyMap.values()).sort((a, b) => b.count - a.count || b.totalCost - a.totalCost);
+  }
+
+  /**
+   * Aggregate workloads by the values of one resource tag
+   * @param {Array} workloads - Array of workload objects
+   * @param {string} tagKey - Tag key to group by (e.g. 'app', 'env', 'owner', 'cost-center')
+   * @returns {Array} [{ tagKey, value, count, totalCost, averageComplexity, topServices, topServicesCosts }]
+   *   sorted by cost (descending); workloads without the tag are grouped under ReportDataAggregator.UNTAGGED
+   */
+  static aggregateByTag(workloads, tagKey) {
+    return this.aggregateByTags(workloads, [tagKey])[tagKey] || [];
+  }
+
+  /**
+   * Aggregate workloads by several resource tags in a single pass
+   * @param {Array} workloads - Array of workload objects
+   * @param {string[]} tagKeys - Tag keys to group by
+   * @returns {Object} tagKey -> result of aggregateByTag
+   */
+  static aggregateByTags(workloads, tagKeys) {
+    // SAFETY: Memory guard - limit processing to prevent stack overflow
+    const MAX_WORKLOADS = 1000000; // Hard limit of 1M workloads
+    const safeWorkloads = workloads.length > MAX_WORKLOADS
+      ? workloads.slice(0, MAX_WORKLOADS)
+      : workloads;
+
+    if (workloads.length > MAX_WORKLOADS) {
+      console.warn(`[ReportDataAggregator] Limiting tag aggregation to ${MAX_WORKLOADS} workloads (from ${workloads.length}) to prevent memory issues`);
+    }
+
+    const keys = (tagKeys || []).filter(Boolean);
+    const groupsByKey = new Map(keys.map(key => [key, new Map()]));
+
+    // FIX: Process in batches to avoid stack overflow with very large datasets
+    const BATCH_SIZE = 10000;
+    const totalWorkloads = safeWorkloads.length;
+
+    for (let i = 0; i < totalWorkloads; i += BATCH_SIZE) {
+      const batch = safeWorkloads.slice(i, Math.min(i + BATCH_SIZE, totalWorkloads));
+
+      for (const workload of batch) {
+        const workloadData = workload.toJSON ? workload.toJSON() : workload;
+        const tags = workloadData.tags || {};
+        const cost = this._extractCost(workloadData);
+        const complexity = this._extractComplexity(workloadData);
+        const service = workloadData.service || 'Unknown';
+
+        for (const key of keys) {
+          const value = tags[key] ? String(tags[key]) : this.UNTAGGED;
+          const groups = groupsByKey.get(key);
+
+          if (!groups.has(value)) {
+            groups.set(value, {
+              tagKey: key,
+              value,
+              count: 0,
+              totalCost: 0,
+              complexitySum: 0,
+              complexityCount: 0,
+              services: new Map()
+            });
+          }
+
+          const group = groups.get(value);
+          group.count++;
+          group.totalCost += cost;
+          if (complexity !== null && complexity !== undefined) {
+            group.complexitySum += complexity;
+            group.complexityCount++;
+          }
+          group.services.set(service, (group.services.get(service) || 0) + cost);
+        }
+      }
+    }
+
+    const result = {};
+    for (const [key, groups] of groupsByKey.entries()) {
+      const rows = [];
+      for (const group of groups.values()) {
+        const topServices = Array.from(group.services.entries())
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3); // Top 3 services
+
+        rows.push({
+          tagKey: group.tagKey,
+          value: group.value,
+          count: group.count,
+          totalCost: group.totalCost,
+          averageComplexity: group.complexityCount > 0 ? group.complexitySum / group.complexityCount : null,
+          topServices: topServices.map(([service]) => service),
+          topServicesCosts: topServices.map(([, cost]) => cost)
+        });
+      }
+      rows.sort((a, b) => b.totalCost - a.totalCost);
+      result[key] = rows;
+    }
+
+    return result;
+  }
+
+  /**
+   * Classify a workload's migration readiness
+   * @param {Object} workloadData - Workload data (plain object)
+   * @returns {string} 'ready' | 'conditional' | 'notReady' | 'unassigned'
+   * @private
+   */
+  static _classifyReadiness(workloadData) {
+    // Use the proper readiness extraction method
+    const readinessScore = this._extractReadiness(workloadData);
+    
+    if (readinessScore !== null && readinessScore !== undefined) {
+      // Use readiness score thresholds (matching Assessment.getReadinessScore logic)
+      if (readinessScore >= 70) {
+        return 'ready';
+      }
+      if (readinessScore >= 40) {
+        return 'conditional';
+      }
+      return 'notReady';
+    }
+
+    // Fallback: calculate from complexity if readiness not available
+    const complexity = this._extractComplexity(workloadData);
+    if (complexity === null || complexity === undefined) {
+      return 'unassigned';
+    }
+    const riskFactors = workloadData.assessment?.riskFactors || 
+                      workloadData.assessment?.infrastructureAssessment?.riskFactors || 
+                      [];
+    const riskCount = Array.isArray(riskFactors) ? riskFactors.length : 0;
+    
+    if (complexity <= 3 && riskCount === 0) {
+      return 'ready';
+    }
+    if (complexity <= 6 && riskCount <= 2) {
+      return 'conditional';
+    }
+    return 'notReady';
+  }
+
+  /**
+   * Classify a workload's complexity range (same ranges as aggregateByComplexity)
+   * @param {Object} workloadData - Workload data (plain object)
+   * @returns {string} 'low' | 'medium' | 'high' | 'unassigned'
+   * @private
+   */
+  static _classifyComplexity(workloadData) {
+    const complexity = this._extractComplexity(workloadData);
+    if (complexity === null || complexity === undefined || isNaN(complexity)) {
+      return 'unassigned';
+    }
+    if (complexity >= 1 && complexity <= 3) return 'low';
+    if (complexity >= 4 && complexity <= 6) return 'medium';
+    if (complexity >= 7 && complexity <= 10) return 'high';
+    return 'unassigned';
+  }
+
+  /**
+   * Sampling summary of a sampled CUR with confidence intervals for the complexity and readiness breakdowns
+   * @param {Array} workloads - Sampled workloads (with assessments)
+   * @param {Object|null} sampling - Upload sampling summary (see curResourceSampler.js)
+   * @returns {Object|null} The summary plus intervals.complexity / intervals.readiness, or null when not sampled
+   */
+  static describeSampling(workloads, sampling) {
+    if (!sampling) {
+      return null;
+    }
+    return {
+      ...sampling,
+      intervals: {
+        complexity: estimateSampledTotals(workloads, sampling, workloadData => this._classifyComplexity(workloadData)),
+        readiness: estimateSampledTotals(workloads, sampling, workloadData => this._classifyReadiness(workloadData))
+      }
+    };
+  }
+
   /**
    * Aggregate by migration readiness
    * @param {Array} workloads - Array of workload objects
@@ -422,37 +810,7 @@ export class ReportDataAggregator {
         const workloadData = workload.toJSON ? workload.toJSON() : workload;
         const cost = this._extractCost(workloadData);
         
-        // Use the proper readiness extraction method
-        const readinessScore = this._extractReadiness(workloadData);
-        
-        let readiness = 'unassigned';
-        if (readinessScore !== null && readinessScore !== undefined) {
-          // Use readiness score thresholds (matching Assessment.getReadinessScore logic)
-          if (readinessScore >= 70) {
-            readiness = 'ready';
-          } else if (readinessScore >= 40) {
-            readiness = 'conditional';
-          } else {
-            readiness = 'notReady';
-          }
-        } else {
-          // Fallback: calculate from complexity if readiness not available
-          const complexity = this._extractComplexity(workloadData);
-          if (complexity !== null && complexity !== undefined) {
-            const riskFactors = workloadData.assessment?.riskFactors || 
-                              workloadData.assessment?.infrastructureAssessment?.riskFactors || 
-                              [];
-            const riskCount = Array.isArray(riskFactors) ? riskFactors.length : 0;
-            
-            if (complexity <= 3 && riskCount === 0) {
-              readiness = 'ready';
-            } else if (complexity <= 6 && riskCount <= 2) {
-              readiness = 'conditional';
-            } else {
-              readiness = 'notReady';
-            }
-          }
-        }
+        const readiness = this._classifyReadiness(workloadData);
 
         result[readiness].count++;
         result[readiness].totalCost += cost;
@@ -546,6 +904,95 @@ export class ReportDataAggregator {
     return null;
   }
 
+  /**
+   * Add a workload's cost series into a running total (mutates target)
+   * @private
+   */
+  static _addCostByMonth(target, costByMonth) {
+    if (!costByMonth) return;
+    for (const month in costByMonth) {
+      target[month] = Math.round(((target[month] || 0) + (costByMonth[month] || 0)) * 100) / 100;
+    }
+  }
+
+  /**
+   * Add a database workload to its configuration group (instance class, engine, edition, Multi-AZ, storage type)
+   * @private
+   */
+  static _addDatabase(target, workloadData, instanceType, cost) {
+    const usage = workloadData.databaseUsage;
+    const key = [instanceType || '', usage.engine || '', usage.edition || '', usage.multiAz ? 'multi-az' : 'single-az', usage.storageType || ''].join('|');
+    if (!target[key]) {
+      target[key] = {
+        instanceType: instanceType || null,
+        engine: usage.engine || null,
+        edition: usage.edition || null,
+        multiAz: !!usage.multiAz,
+        storageType: usage.storageType || null,
+        count: 0,
+        totalCost: 0,
+        months: 1,
+        instanceHours: 0,
+        acuHours: 0,
+        storageGbMonths: 0,
+        backupGbMonths: 0
+      };
+    }
+    const group = target[key];
+    group.count++;
+    group.totalCost += cost;
+    group.months = Math.max(group.months, Object.keys(workloadData.costByMonth || {}).length);
+    group.instanceHours += usage.instanceHours || 0;
+    group.acuHours += usage.acuHours || 0;
+    group.storageGbMonths += usage.storageGbMonths || 0;
+    group.backupGbMonths += usage.backupGbMonths || 0;
+  }
+
+  /**
+   * Add the storage class usage of a bucket to the service's storage class totals
+   * @private
+   */
+  static _addStorageClasses(target, workloadData) {
+    const months = Object.keys(workloadData.costByMonth || {}).length;
+    for (const [storageClass, usage] of Object.entries(workloadData.storageUsage)) {
+      if (!target[storageClass]) {
+        target[storageClass] = {
+          storageClass,
+          buckets: 0,
+          months: 1,
+          gbMonths: 0,
+          tier1Requests: 0,
+          tier2Requests: 0,
+          retrievalGb: 0,
+          monitoredObjects: 0,
+          cost: 0
+        };
+      }
+      const totals = target[storageClass];
+      totals.buckets++;
+      totals.months = Math.max(totals.months, months);
+      totals.gbMonths += usage.gbMonths || 0;
+      totals.tier1Requests += usage.tier1Requests || 0;
+      totals.tier2Requests += usage.tier2Requests || 0;
+      totals.retrievalGb += usage.retrievalGb || 0;
+      totals.monitoredObjects += usage.monitoredObjects || 0;
+      totals.cost += usage.cost || 0;
+    }
+  }
+
+  /**
+   * Extract source provider type from workload ('aws' when not set)
+   * Handles both CloudProvider objects and plain strings
+   * @private
+   */
+  static _extractSourceProvider(workloadData) {
+    const provider = workloadData.sourceProvider;
+    if (provider && typeof provider === 'object') {
+      return provider.type || provider._type || 'aws';
+    }
+    return provider || 'aws';
+  }
+
   /**
    * Extract cost from workload
    * Handles both Money objects and plain numbers
@@ -607,6 +1054,13 @@ export class ReportDataAggregator {
       const serviceAgg = this.aggregateByService(workloads);
       const regionAgg = this.aggregateByRegion(workloads);
       const readinessAgg = this.aggregateByReadiness(workloads);
+      const accountAgg = this.aggregateByAccount(workloads);
+      const costTrend = this.aggregateCostTrend(workloads);
+      const tagKeys = this.getTagKeys(workloads);
+      const tagAgg = this.aggregateByTags(
+        workloads,
+        tagKeys.slice(0, this.MAX_SUMMARY_TAG_KEYS).map(tagKey => tagKey.key)
+      );
     
     // Return ALL services, not just top N - all services must be mapped and included in TCO
     const allServicesData = {
@@ -818,13 +1272,18 @@ export class ReportDataAggregator {
           totalMonthlyCost: totalCost,
           averageComplexity,
           totalRegions: regionAgg.length,
-          totalServices: serviceAgg.length
+          totalServices: serviceAgg.length,
+          totalAccounts: accountAgg.filter(account => account.accountId !== this.UNKNOWN_ACCOUNT).length
         },
         complexity: complexityAgg,
         readiness: readinessAgg,
         services: allServicesData, // All services (not limited to top N)
         regions: regionAgg,
-        allServices: serviceAgg // Keep full list for detailed analysis (same as services.topServices now)
+        allServices: serviceAgg, // Keep full list for detailed analysis (same as services.topServices now)
+        accounts: accountAgg, // Cost and readiness per linked account
+        costTrend, // Cost per billing month (multi-month CURs)
+        tagKeys, // Resource tag keys found on workloads, most widely used first
+        tags: tagAgg // tagKey -> cost breakdown by tag value (top MAX_SUMMARY_TAG_KEYS keys)
       };
     } catch (error) {
       // SAFETY: Catch stack overflow errors and provide helpful message
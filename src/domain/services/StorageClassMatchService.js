@@ -0,0 +1,119 @@
+/**
+ * Storage Class Match Service
+ *
+ * Cloud Storage class of each S3 storage class in a bill (ReportDataAggregator.aggregateByService
+ * `storageClasses`, utils/gcpStorageClassMatcher.js), sized from the GB-months, requests and retrievals of
+ * the buckets averaged over their billing months (the unit of the monthly cost baseline). Used by GCPCostEstimator to price object storage services from their matched classes, and
+ * by the report to list every match with its reason.
+ */
+
+import { matchStorageClass } from '../../utils/gcpStorageClassMatcher.js';
+import { S3_STORAGE_CLASS_LABELS } from '../../utils/s3UsageProfile.js';
+
+const DEFAULT_TOP_N = 25;
+
+const MONTHLY_FIELDS = ['gbMonths', 'tier1Requests', 'tier2Requests', 'retrievalGb', 'monitoredObjects', 'cost'];
+
+/**
+ * Storage Class Match Service
+ * S3 storage class -> Cloud Storage class, with the reason
+ */
+export class StorageClassMatchService {
+  /**
+   * Average usage and cost of a storage class over its billing months
+   * @param {Object} usage - ReportDataAggregator.aggregateByService `storageClasses` entry (period totals)
+   * @returns {Object} Same entry with every quantity and the cost per month
+   */
+  static monthlyUsage(usage) {
+    const months = Math.max(1, usage.months || 0);
+    const monthly = { ...usage };
+    for (const key of MONTHLY_FIELDS) {
+      monthly[key] = (usage[key] || 0) / months;
+    }
+    return monthly;
+  }
+
+  /**
+   * GCP cost of a service's matched storage classes, with the share of the service's AWS cost they cover
+   * @param {Object} serviceData - ReportDataAggregator.aggregateByService entry (storageClasses)
+   * @returns {{storage: number, operations: number, retrieval: number, total: number, matchedAwsCost: number,
+   *   matchedShare: number}|null} null when the service has no matched storage class
+   */
+  static estimateServiceCost(serviceData) {
+    const estimate = { storage: 0, operations: 0, retrieval: 0, total: 0, matchedAwsCost: 0, matchedShare: 0 };
+    let matched = false;
+    for (const totals of Object.values(serviceData?.storageClasses || {})) {
+      const usage = this.monthlyUsage(totals);
+      const { cost } = matchStorageClass(usage);
+      if (!cost) continue;
+      matched = true;
+      estimate.storage += cost.storage;
+      estimate.operations += cost.operations;
+      estimate.retrieval += cost.retrieval;
+      estimate.total += cost.total;
+      estimate.matchedAwsCost += usage.cost || 0;
+    }
+    if (!matched) return null;
+    estimate.matchedShare = serviceData.totalCost > 0
+      ? Math.min(1, Math.max(0, estimate.matchedAwsCost / serviceData.totalCost))
+      : 1;
+    return estimate;
+  }
+
+  /**
+   * Match every storage class of a processed upload
+   * @param {Array} serviceAggregation - ReportDataAggregator.aggregateByService result
+   * @param {Object} options
+   * @param {number} options.topN - Storage classes listed (default 25)
+   * @returns {{totalCost: number, matchedCost: number, unmatchedCost: number, gcpCost: number, classes: number,
+   *   matches: Array}} totalCost is the spend of the services with storage class usage, matchedCost the part
+   *   billed as storage, requests and retrieval of a matched class (the rest, e.g. transfer, keeps the ratio
+   *   estimate); matches: [{service, storageClass, label, buckets, gbMonths, tier1Requests, tier2Requests,
+   *   retrievalGb, cost, match, gcpCost}] by spend, quantities and costs per month
+   */
+  static analyzeMatches(serviceAggregation, { topN = DEFAULT_TOP_N } = {}) {
+    const analysis = {
+      totalCost: 0,
+      matchedCost: 0,
+      unmatchedCost: 0,
+      gcpCost: 0,
+      classes: 0,
+      matches: []
+    };
+
+    for (const serviceData of serviceAggregation || []) {
+      const storageClasses = Object.values(serviceData.storageClasses || {});
+      if (storageClasses.length === 0) continue;
+      analysis.totalCost += serviceData.totalCost || 0;
+      for (const totals of storageClasses) {
+        const usage = this.monthlyUsage(totals);
+        const match = matchStorageClass(usage);
+        const cost = usage.cost || 0;
+        if (match.cost) {
+          analysis.matchedCost += cost;
+          analysis.gcpCost += match.cost.total;
+        }
+        analysis.matches.push({
+          service: serviceData.service,
+          storageClass: usage.storageClass,
+          label: S3_STORAGE_CLASS_LABELS[usage.storageClass] || usage.storageClass,
+          buckets: usage.buckets || 0,
+          gbMonths: usage.gbMonths || 0,
+          tier1Requests: usage.tier1Requests || 0,
+          tier2Requests: usage.tier2Requests || 0,
+          retrievalGb: usage.retrievalGb || 0,
+          cost,
+          match,
+          gcpCost: match.cost
+        });
+      }
+    }
+
+    analysis.unmatchedCost = analysis.totalCost - analysis.matchedCost;
+    analysis.classes = analysis.matches.length;
+    analysis.matches = analysis.matches
+      .sort((a, b) => Math.abs(b.cost) - Math.abs(a.cost))
+      .slice(0, topN);
+    return analysis;
+  }
+}
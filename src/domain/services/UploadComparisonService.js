@@ -0,0 +1,286 @@
+/**
+ * Upload Comparison Service
+ *
+ * Compares two processed uploads of the same customer's bill (e.g. this month's CUR against
+ * last month's) so a long engagement does not have to be re-read from scratch:
+ * - Workloads added, removed, or whose monthly cost changed by more than a threshold
+ * - Services whose GCP estimate moved by more than a threshold
+ *
+ * Uploads are the cached discovery and cost agent outputs of two file UUIDs (agentCacheService).
+ * Workloads are matched the way the CUR parsers deduplicate them: resource ID + service + region.
+ * Large uploads are cached with part of the workload list but every workload ID, so a workload
+ * outside the other upload's list is only added or removed when its ID is missing from that upload.
+ */
+
+// Estimate field compared for each pricing option
+const PRICING_FIELDS = {
+  onDemand: 'gcpOnDemand',
+  cud1: 'gcp1YearCUD',
+  cud3: 'gcp3YearCUD'
+};
+
+const DEFAULT_OPTIONS = {
+  minCostChange: 10, // Absolute monthly change ($) below which a workload or service is unchanged
+  minCostChangePercent: 10, // Relative change (%) below which a workload or service is unchanged
+  pricing: 'onDemand'
+};
+
+/**
+ * Upload Comparison Service
+ * Lists what changed between two processed uploads
+ */
+export class UploadComparisonService {
+  /**
+   * Read the fields a comparison needs from a workload in any of the shapes the pipeline stores:
+   * a Workload entity, its toJSON() output, or a structured clone of the entity (private fields)
+   * @param {Object} workload
+   * @returns {{id: string, name: string, service: string, region: string, monthlyCost: number}|null}
+   */
+  static toComparableWorkload(workload) {
+    if (!workload) return null;
+    const data = typeof workload.toJSON === 'function' ? workload.toJSON() : workload;
+    const id = data.id ?? data._id;
+    if (!id) return null;
+
+    const rawCost = data.monthlyCost ?? data._monthlyCost;
+    const monthlyCost = typeof rawCost === 'number'
+      ? rawCost
+      : parseFloat(rawCost?.amount ?? rawCost?._amount ?? rawCost) || 0;
+
+    return {
+      id: String(id),
+      name: data.name ?? data._name ?? String(id),
+      service: data.service ?? data._service ?? '',
+      region: data.region ?? data._region ?? '',
+      monthlyCost
+    };
+  }
+
+  /**
+   * Matching key of a workload (same as the CUR parsers' dedupe key)
+   * @param {{id: string, service: string, region: string}} workload
+   * @returns {string}
+   */
+  static workloadKey(workload) {
+    return `${workload.id}_${workload.service}_${workload.region}`.toLowerCase();
+  }
+
+  /**
+   * Whether a cost change is large enough to report
+   * @param {number} before
+   * @param {number} after
+   * @param {Object} options - { minCostChange, minCostChangePercent }
+   * @returns {boolean}
+   */
+  static isSignificantChange(before, after, options = {}) {
+    const { minCostChange, minCostChangePercent } = { ...DEFAULT_OPTIONS, ...options };
+    const delta = after - before;
+    if (Math.abs(delta) < minCostChange) return false;
+    if (before === 0) return true;
+    return Math.abs(delta / before) * 100 >= minCostChangePercent;
+  }
+
+  /**
+   * Compare the workloads of two uploads
+   * @param {Array} baseWorkloads - Workloads of the earlier upload
+   * @param {Array} currentWorkloads - Workloads of the later upload
+   * @param {Object} options - { minCostChange, minCostChangePercent }
+   * @param {Object} workloadIds - Every workload ID of each upload, when its list is truncated
+   * @param {Array} workloadIds.base - IDs of the earlier upload (discovery output workloadIds)
+   * @param {Array} workloadIds.current - IDs of the later upload
+   * @returns {{added: Array, removed: Array, changed: Array, unchangedCount: number, unlistedCount: number}}
+   *   added / removed are sorted by cost, changed by absolute delta (largest first); unlistedCount: workloads
+   *   in both uploads but outside one of the cached lists, so their change is unknown
+   */
+  static compareWorkloads(baseWorkloads, currentWorkloads, options = {}, workloadIds = {}) {
+    const base = this._indexWorkloads(baseWorkloads);
+    const current = this._indexWorkloads(currentWorkloads);
+    const baseUnlisted = this._unlistedIds(base, workloadIds.base);
+    const currentUnlisted = this._unlistedIds(current, workloadIds.current);
+
+    const added = [];
+    const changed = [];
+    let unchangedCount = 0;
+    let unlistedCount = 0;
+    for (const [key, workload] of current) {
+      const previous = base.get(key);
+      if (!previous) {
+        if (baseUnlisted.has(workload.id)) {
+          unlistedCount++;
+        } else {
+          added.push(workload);
+        }
+      } else if (this.isSignificantChange(previous.monthlyCost, workload.monthlyCost, options)) {
+        changed.push(this._delta(workload, previous.monthlyCost, workload.monthlyCost));
+      } else {
+        unchangedCount++;
+      }
+    }
+
+    const removed = [];
+    for (const [key, workload] of base) {
+      if (current.has(key)) continue;
+      if (currentUnlisted.has(workload.id)) {
+        unlistedCount++;
+      } else {
+        removed.push(workload);
+      }
+    }
+
+    const byCost = (a, b) => Math.abs(b.monthlyCost) - Math.abs(a.monthlyCost);
+    return {
+      added: added.sort(byCost),
+      removed: removed.sort(byCost),
+      changed: changed.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+      unchangedCount,
+      unlistedCount
+    };
+  }
+
+  /**
+   * Compare the GCP cost estimates of two uploads by AWS service
+   * @param {Array} baseEstimates - GCPCostEstimator.estimateAllServiceCosts result of the earlier upload
+   * @param {Array} currentEstimates - Same for the later upload
+   * @param {Object} options - { pricing ('onDemand' | 'cud1' | 'cud3'), minCostChange, minCostChangePercent }
+   * @returns {Array} One entry per service in either upload, with AWS and GCP before/after and a moved flag,
+   *   sorted by absolute GCP delta (largest first)
+   */
+  static compareServiceEstimates(baseEstimates, currentEstimates, options = {}) {
+    const field = PRICING_FIELDS[options.pricing] || PRICING_FIELDS[DEFAULT_OPTIONS.pricing];
+    const base = this._indexEstimates(baseEstimates);
+    const current = this._indexEstimates(currentEstimates);
+    const services = new Set([...base.keys(), ...current.keys()]);
+
+    const rows = [];
+    for (const service of services) {
+      const before = base.get(service);
+      const after = current.get(service);
+      const gcpBefore = before?.costEstimate?.[field] || 0;
+      const gcpAfter = after?.costEstimate?.[field] || 0;
+      const awsBefore = before?.totalCost ?? before?.costEstimate?.awsCost ?? 0;
+      const awsAfter = after?.totalCost ?? after?.costEstimate?.awsCost ?? 0;
+      rows.push({
+        service,
+        gcpService: after?.gcpService || before?.gcpService || '',
+        status: !before ? 'added' : (!after ? 'removed' : 'present'),
+        awsBefore,
+        awsAfter,
+        awsDelta: awsAfter - awsBefore,
+        gcpBefore,
+        gcpAfter,
+        gcpDelta: gcpAfter - gcpBefore,
+        gcpDeltaPercent: gcpBefore !== 0 ? ((gcpAfter - gcpBefore) / gcpBefore) * 100 : null,
+        moved: !before || !after || this.isSignificantChange(gcpBefore, gcpAfter, options)
+      });
+    }
+    return rows.sort((a, b) => Math.abs(b.gcpDelta) - Math.abs(a.gcpDelta));
+  }
+
+  /**
+   * Compare two processed uploads
+   * @param {Object} base - Earlier upload: { fileUUID, label, workloads, workloadIds, workloadCount, costEstimates }
+   * @param {Object} current - Later upload, same shape
+   * @param {Object} options - { pricing, minCostChange, minCostChangePercent }
+   * @returns {Object} { base, current, options, totals, workloads, services }
+   */
+  static compareUploads(base, current, options = {}) {
+    const resolved = { ...DEFAULT_OPTIONS, ...options };
+    const workloads = this.compareWorkloads(base.workloads, current.workloads, resolved, {
+      base: base.workloadIds,
+      current: current.workloadIds
+    });
+    const services = this.compareServiceEstimates(base.costEstimates, current.costEstimates, resolved);
+    const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] || 0), 0);
+
+    return {
+      base: this._describeUpload(base),
+      current: this._describeUpload(current),
+      options: resolved,
+      totals: {
+        awsBefore: sum(services, 'awsBefore'),
+        awsAfter: sum(services, 'awsAfter'),
+        gcpBefore: sum(services, 'gcpBefore'),
+        gcpAfter: sum(services, 'gcpAfter'),
+        addedWorkloads: workloads.added.length,
+        removedWorkloads: workloads.removed.length,
+        changedWorkloads: workloads.changed.length,
+        unlistedWorkloads: workloads.unlistedCount,
+        movedServices: services.filter(row => row.moved).length
+      },
+      workloads,
+      services
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _indexWorkloads(workloads) {
+    const index = new Map();
+    for (const workload of workloads || []) {
+      const comparable = this.toComparableWorkload(workload);
+      if (!comparable) continue;
+      const key = this.workloadKey(comparable);
+      const existing = index.get(key);
+      if (existing) {
+        existing.monthlyCost += comparable.monthlyCost;
+      } else {
+        index.set(key, comparable);
+      }
+    }
+    return index;
+  }
+
+  /**
+   * IDs of an upload that are not in its cached workload list
+   * @private
+   */
+  static _unlistedIds(index, workloadIds) {
+    const listed = new Set();
+    for (const workload of index.values()) listed.add(workload.id);
+    const unlisted = new Set();
+    for (const id of workloadIds || []) {
+      if (id !== null && id !== undefined && !listed.has(String(id))) unlisted.add(String(id));
+    }
+    return unlisted;
+  }
+
+  /**
+   * @private
+   */
+  static _indexEstimates(estimates) {
+    const index = new Map();
+    for (const estimate of estimates || []) {
+      if (estimate?.service) index.set(estimate.service, estimate);
+    }
+    return index;
+  }
+
+  /**
+   * @private
+   */
+  static _delta(workload, before, after) {
+    return {
+      ...workload,
+      before,
+      after,
+      delta: after - before,
+      deltaPercent: before !== 0 ? ((after - before) / before) * 100 : null
+    };
+  }
+
+  /**
+   * Whether the cached workload list covers the whole upload (large uploads are cached without it)
+   * @private
+   */
+  static _describeUpload(upload) {
+    const listed = Array.isArray(upload.workloads) ? upload.workloads.length : 0;
+    const total = upload.workloadCount || listed;
+    return {
+      fileUUID: upload.fileUUID,
+      label: upload.label || upload.fileUUID,
+      workloadCount: total,
+      workloadsComplete: listed > 0 && listed >= total
+    };
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Database Tier Match Service Tests
+ */
+
+import { DatabaseTierMatchService } from '../DatabaseTierMatchService.js';
+
+const group = (overrides) => ({
+  instanceType: null,
+  engine: 'postgresql',
+  edition: null,
+  multiAz: false,
+  storageType: 'gp3',
+  count: 1,
+  totalCost: 0,
+  months: 1,
+  instanceHours: 0,
+  acuHours: 0,
+  storageGbMonths: 0,
+  backupGbMonths: 0,
+  ...overrides
+});
+
+describe('DatabaseTierMatchService', () => {
+  const services = [
+    {
+      service: 'RDS',
+      totalCost: 1000,
+      databases: {
+        'db.m5.large|postgresql': group({
+          instanceType: 'db.m5.large',
+          count: 2,
+          totalCost: 600,
+          months: 2,
+          instanceHours: 2920,
+          storageGbMonths: 400
+        }),
+        'db.r5.large|oracle': group({ instanceType: 'db.r5.large', engine: 'oracle', totalCost: 300, instanceHours: 730 }),
+        'db.zz.weird|postgresql': group({ instanceType: 'db.zz.weird', totalCost: 100 })
+      }
+    },
+    { service: 'S3', totalCost: 50 }
+  ];
+
+  test('matches each database group per database and prices one month of the whole group', () => {
+    const { match, gcpCost } = DatabaseTierMatchService.matchDatabase(services[0].databases['db.m5.large|postgresql']);
+    expect(match).toMatchObject({ tier: 'db-custom-2-8192', storageGb: 100 });
+    // 2 databases over 2 billing months: a month of both, like the monthly AWS baseline
+    expect(gcpCost.total).toBeCloseTo(match.monthly.total * 2);
+  });
+
+  test('sizes Aurora Serverless from its average capacity', () => {
+    const matched = DatabaseTierMatchService.matchDatabase(
+      group({ engine: 'aurora-postgresql', storageType: 'aurora', acuHours: 730 * 8 })
+    );
+    expect(matched.serverless).toBe(true);
+    expect(matched.match).toMatchObject({ tier: 'n2-highmem-2' });
+    expect(matched.match.reason).toContain('average 8 ACUs');
+  });
+
+  test('lists every group, largest spend first', () => {
+    const analysis = DatabaseTierMatchService.analyzeMatches(services);
+
+    expect(analysis).toMatchObject({ totalCost: 1000, matchedCost: 600, unmatchedCost: 400, groups: 3 });
+    expect(analysis.matches.map(entry => [entry.instanceType, entry.match?.tier ?? null])).toEqual([
+      ['db.m5.large', 'db-custom-2-8192'],
+      ['db.r5.large', null],
+      ['db.zz.weird', null]
+    ]);
+    expect(analysis.matches[2].match).toBeNull();
+    expect(DatabaseTierMatchService.analyzeMatches(services, { topN: 1 }).matches).toHaveLength(1);
+  });
+
+  test('estimates the matched share of a service', () => {
+    const estimate = DatabaseTierMatchService.estimateServiceCost(services[0]);
+    expect(estimate.matchedAwsCost).toBe(600);
+    expect(estimate.matchedShare).toBeCloseTo(0.6);
+    expect(estimate.total).toBeCloseTo(estimate.instance + estimate.storage + estimate.backup);
+    expect(DatabaseTierMatchService.estimateServiceCost(services[1])).toBeNull();
+  });
+});
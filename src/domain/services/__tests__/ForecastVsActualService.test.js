@@ -0,0 +1,103 @@
+/**
+ * Forecast vs Actual Service Tests
+ */
+
+import { ForecastVsActualService } from '../ForecastVsActualService.js';
+
+describe('ForecastVsActualService', () => {
+  const estimates = [
+    {
+      service: 'EC2',
+      gcpService: 'Compute Engine',
+      costEstimate: { awsCost: 300, gcpOnDemand: 270, gcp1YearCUD: 200, gcp3YearCUD: 150, gcpService: 'Compute Engine' }
+    },
+    {
+      service: 'RDS',
+      gcpService: 'Cloud SQL',
+      costEstimate: { awsCost: 100, gcpOnDemand: 90, gcp1YearCUD: 72, gcp3YearCUD: 54, gcpService: 'Cloud SQL (PostgreSQL/MySQL/SQL Server)' }
+    }
+  ];
+
+  const workloads = [
+    { id: 'i-0abc_ec2_us-east-1', name: 'i-0abc', service: 'EC2', monthlyCost: 200 },
+    { id: 'i-0def_ec2_us-east-1', name: 'i-0def', service: 'EC2', monthlyCost: 100 },
+    { id: 'orders-db_rds_us-east-1', name: 'arn:aws:rds:us-east-1:123:db:Orders-DB', service: 'RDS', monthlyCost: { amount: 100 } }
+  ];
+
+  const wavePlan = { wave1: [workloads[0]], wave2: [workloads[2]], wave3: [] };
+
+  // Two billing months, so actual monthly cost is half of the export total
+  const billing = {
+    currency: 'USD',
+    totalCost: 560,
+    costByMonth: { '2024-03': 280, '2024-04': 280 },
+    services: {
+      'Compute Engine': { cost: 400 },
+      'Cloud SQL': { cost: 140 },
+      'Cloud Logging': { cost: 20 }
+    },
+    matchKeys: {
+      'i-0abc': { cost: 380, source: 'label' },
+      'arn-aws-rds-us-east-1-123-db-orders-db': { cost: 140, source: 'label' },
+      'unknown-vm': { cost: 20, source: 'resource' }
+    },
+    unmatchedCost: 20
+  };
+
+  it('should compare forecast and actual by canonical GCP service', () => {
+    const result = ForecastVsActualService.compare({ billing, estimates, workloads, wavePlan });
+
+    const compute = result.services.find(s => s.gcpService === 'Compute Engine');
+    expect(compute.forecast).toBe(270);
+    expect(compute.actual).toBe(200);
+    expect(compute.variance).toBe(-70);
+
+    const sql = result.services.find(s => s.gcpService === 'Cloud SQL');
+    expect(sql.forecast).toBe(90);
+    expect(sql.actual).toBe(70);
+
+    const operations = result.services.find(s => s.gcpService === 'Cloud Operations');
+    expect(operations.forecast).toBe(0);
+    expect(operations.variancePercent).toBeNull();
+
+    expect(result.months).toEqual(['2024-03', '2024-04']);
+    expect(result.totals).toEqual({
+      forecast: 360,
+      actual: 280,
+      variance: -80,
+      awsBaseline: 400,
+      promisedSavings: 40,
+      actualSavings: 120
+    });
+  });
+
+  it('should match billed resources to workloads and roll them up by wave', () => {
+    const result = ForecastVsActualService.compare({ billing, estimates, workloads, wavePlan, pricing: 'cud1' });
+
+    expect(result.matchedWorkloads).toBe(2);
+    expect(result.unmatchedCost).toBe(20);
+
+    const [wave1, wave2] = result.waves;
+    expect(wave1).toMatchObject({ wave: 1, workloads: 1, matchedWorkloads: 1, forecast: 133.33, actual: 190 });
+    expect(wave2).toMatchObject({ wave: 2, workloads: 1, matchedWorkloads: 1, forecast: 72, actual: 70 });
+
+    const unassigned = result.waves.find(w => w.wave === 0);
+    expect(unassigned).toMatchObject({ workloads: 1, matchedWorkloads: 0, actual: 0 });
+  });
+
+  it('should require a billing summary', () => {
+    expect(() => ForecastVsActualService.compare({ estimates })).toThrow('billing export');
+  });
+
+  describe('canonicalGcpService', () => {
+    it('should resolve estimate and billing service names to the same name', () => {
+      expect(ForecastVsActualService.canonicalGcpService('Google Kubernetes Engine (GKE)')).toBe('Kubernetes Engine');
+      expect(ForecastVsActualService.canonicalGcpService('Kubernetes Engine')).toBe('Kubernetes Engine');
+      expect(ForecastVsActualService.canonicalGcpService('Persistent Disk')).toBe('Compute Engine');
+      expect(ForecastVsActualService.canonicalGcpService('Cloud Interconnect / Network Egress')).toBe('Networking');
+      expect(ForecastVsActualService.canonicalGcpService('Memorystore for Redis')).toBe('Memorystore');
+      expect(ForecastVsActualService.canonicalGcpService('Dataproc (Hadoop)')).toBe('Dataproc');
+      expect(ForecastVsActualService.canonicalGcpService('')).toBe('Unknown');
+    });
+  });
+});
@@ -3,6 +3,7 @@
  */
 
 import { GCPCostEstimator } from '../GCPCostEstimator.js';
+import { setRightsizingPolicy, reloadRightsizingPolicy } from '../../../utils/gcpMachineTypeMatcher.js';
 
 // Mock CloudPricingAPI
 jest.mock('../../../utils/cloudPricingAPI.js', () => ({
@@ -81,6 +82,25 @@ describe('GCPCostEstimator', () => {
       expect(computeResult.gcpService).toBe('Compute Engine');
       expect(storageResult.gcpService).toBe('Cloud Storage');
     });
+
+    it('should keep the sign of a net negative AWS cost (credits in the baseline)', async () => {
+      const serviceData = {
+        service: 'EC2',
+        totalCost: -25
+      };
+
+      const result = await GCPCostEstimator.estimateServiceCosts(
+        serviceData,
+        'Compute Engine',
+        'us-central1'
+      );
+
+      expect(result.awsCost).toBe(-25);
+      expect(result.hasNegativeCost).toBe(true);
+      expect(result.gcpOnDemand).toBeGreaterThanOrEqual(0);
+      expect(result.savings1Year).toBe(0);
+      expect(result.savingsPercent3Year).toBe(0);
+    });
   });
 
   describe('estimateAllServiceCosts', () => {
@@ -174,6 +194,156 @@ describe('GCPCostEstimator', () => {
     });
   });
 
+  describe('usage component pricing', () => {
+    it('prices a service per component and discounts only compute', async () => {
+      const serviceData = {
+        service: 'EC2',
+        totalCost: 100, // Baseline cost: the billed split is applied as shares
+        costByComponent: { compute: 140, storage: 40, network: 20 }
+      };
+
+      const result = await GCPCostEstimator.estimateServiceCosts(serviceData, 'Compute Engine', 'us-central1');
+
+      expect(Object.keys(result.components)).toEqual(['compute', 'storage', 'network']);
+      expect(result.components.storage).toEqual({ awsCost: 20, gcpOnDemand: 20, gcp1YearCUD: 20, gcp3YearCUD: 20 });
+      expect(result.components.network.gcp3YearCUD).toBeCloseTo(10);
+      expect(result.components.compute.awsCost).toBeCloseTo(70);
+      expect(result.components.compute.gcp3YearCUD).toBeCloseTo(result.components.compute.gcpOnDemand * 0.55);
+      expect(result.gcp3YearCUD).toBeCloseTo(result.components.compute.gcp3YearCUD + 30);
+
+      const totals = GCPCostEstimator.calculateTotalCosts([{ costEstimate: result }, { costEstimate: result }]);
+      expect(totals.byComponent.storage.awsCost).toBe(40);
+    });
+
+    it('keeps the whole-service estimate without a usage split or for net negative services', async () => {
+      const whole = await GCPCostEstimator.estimateServiceCosts({ service: 'EC2', totalCost: 100 }, 'Compute Engine');
+      const credits = await GCPCostEstimator.estimateServiceCosts(
+        { service: 'EC2', totalCost: -5, costByComponent: { compute: -5 } },
+        'Compute Engine'
+      );
+
+      expect(whole.components).toBeNull();
+      expect(credits.components).toBeNull();
+      expect(GCPCostEstimator.calculateTotalCosts([{ costEstimate: whole }]).byComponent).toEqual({});
+    });
+  });
+
+  describe('machine type matching', () => {
+    afterEach(() => {
+      delete global.fetch;
+      localStorage.clear();
+      reloadRightsizingPolicy();
+    });
+
+    it('prices compute as the match of the largest instance type under the selected policy', async () => {
+      global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+      const serviceData = {
+        service: 'EC2',
+        totalCost: 100,
+        instanceTypes: { 't3.micro': { count: 4, totalCost: 20 }, 'm5.large': { count: 2, totalCost: 80 } }
+      };
+
+      await GCPCostEstimator.estimateServiceCosts(serviceData, 'Compute Engine', 'us-central1');
+      setRightsizingPolicy('cost-optimized');
+      await GCPCostEstimator.estimateServiceCosts(serviceData, 'Compute Engine', 'us-central1');
+      await GCPCostEstimator.estimateServiceCosts({ service: 'EC2', totalCost: 10 }, 'Compute Engine', 'us-central1');
+
+      expect(global.fetch.mock.calls.map(([url]) => new URL(url).searchParams.get('machineType')))
+        .toEqual(['n2-standard-2', 'e2-standard-2', 'n1-standard-1']);
+    });
+
+    it('prices Azure VM sizes through the same lookup', async () => {
+      global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+      const serviceData = {
+        service: 'Virtual Machines',
+        sourceProvider: 'azure',
+        totalCost: 100,
+        instanceTypes: { Standard_E8ds_v5: { count: 2, totalCost: 100 } }
+      };
+
+      await GCPCostEstimator.estimateServiceCosts(serviceData, 'Compute Engine', 'us-central1');
+
+      expect(new URL(global.fetch.mock.calls[0][0]).searchParams.get('machineType')).toBe('n2-highmem-8');
+    });
+  });
+
+  describe('storage class matching', () => {
+    const storageClasses = {
+      standard: { storageClass: 'standard', buckets: 2, gbMonths: 1000, tier1Requests: 10000, tier2Requests: 100000, retrievalGb: 0, monitoredObjects: 0, cost: 25 }
+    };
+
+    it('prices matched storage classes and the rest at the ratio, without CUDs on the matched part', async () => {
+      const serviceData = { service: 'S3', totalCost: 35, storageClasses };
+
+      const result = await GCPCostEstimator.estimateServiceCosts(serviceData, 'Cloud Storage');
+
+      // 1,000 GB-months of Standard, 10k Class A and 100k Class B operations; $10 unmatched at 90%
+      expect(result.gcpOnDemand).toBeCloseTo(20.09 + 9, 2);
+      expect(result.gcp1YearCUD).toBeCloseTo(20.09 + 9 * 0.85, 2);
+      expect(result.components).toBeNull();
+    });
+
+    it('prices the storage component from the matched classes', async () => {
+      const serviceData = { service: 'S3', totalCost: 35, costByComponent: { storage: 25, network: 10 }, storageClasses };
+
+      const result = await GCPCostEstimator.estimateServiceCosts(serviceData, 'Cloud Storage');
+
+      expect(result.components.storage.gcpOnDemand).toBeCloseTo(20.09, 2);
+      expect(result.components.storage.gcp3YearCUD).toBe(result.components.storage.gcpOnDemand);
+      expect(result.components.network.gcpOnDemand).toBe(10);
+    });
+  });
+
+  describe('database tier matching', () => {
+    const databases = {
+      'db.m5.large|postgresql||single-az|gp3': {
+        instanceType: 'db.m5.large',
+        engine: 'postgresql',
+        edition: null,
+        multiAz: false,
+        storageType: 'gp3',
+        count: 1,
+        totalCost: 150,
+        months: 1,
+        instanceHours: 730,
+        acuHours: 0,
+        storageGbMonths: 100,
+        backupGbMonths: 0
+      }
+    };
+
+    it('prices matched databases as their tiers, storage and backups, and the rest at the ratio', async () => {
+      const serviceData = { service: 'RDS', totalCost: 200, databases };
+
+      const result = await GCPCostEstimator.estimateServiceCosts(serviceData, 'Cloud SQL for PostgreSQL');
+
+      // db-custom-2-8192 for 730 hours, 100 GB SSD and 100 GB backup; $50 unmatched at 90%
+      expect(result.gcpOnDemand).toBeCloseTo(101.178 + 17 + 8 + 45, 2);
+      expect(result.gcp1YearCUD).toBeCloseTo(25 + (101.178 + 45) * 0.8, 2);
+      expect(result.components).toBeNull();
+    });
+
+    it('prices the compute and storage components from the matched tiers', async () => {
+      const serviceData = {
+        service: 'RDS',
+        totalCost: 200,
+        costByComponent: { compute: 150, storage: 50 },
+        databases
+      };
+
+      const result = await GCPCostEstimator.estimateServiceCosts(serviceData, 'Cloud SQL for PostgreSQL');
+
+      expect(result.components.compute.gcpOnDemand).toBeCloseTo(101.178 + 150 * 0.25 * 0.9, 2);
+      expect(result.components.compute.gcp3YearCUD).toBeCloseTo(result.components.compute.gcpOnDemand * 0.6);
+      expect(result.components.storage.gcpOnDemand).toBeCloseTo(25 + 50 * 0.25, 2);
+      expect(result.components.storage.gcp3YearCUD).toBe(result.components.storage.gcpOnDemand);
+    });
+
+    it('treats AlloyDB as a database service', () => {
+      expect(GCPCostEstimator._getServiceType('AlloyDB for PostgreSQL')).toBe('DATABASE');
+    });
+  });
+
   describe('CUD discounts', () => {
     it('should apply correct discounts for compute services', async () => {
       const serviceData = { service: 'EC2', totalCost: 100 };
@@ -0,0 +1,83 @@
+/**
+ * Machine Type Match Service Tests
+ */
+
+import { MachineTypeMatchService } from '../MachineTypeMatchService.js';
+import { RightsizingPolicy, reloadRightsizingPolicy } from '../../../utils/gcpMachineTypeMatcher.js';
+
+describe('MachineTypeMatchService', () => {
+  const services = [
+    {
+      service: 'EC2',
+      totalCost: 900,
+      instanceTypes: {
+        'm5.large': { count: 3, totalCost: 300 },
+        'r5.xlarge': { count: 1, totalCost: 500 },
+        'zz.weird': { count: 1, totalCost: 100 }
+      }
+    },
+    { service: 'S3', totalCost: 50, instanceTypes: {} }
+  ];
+
+  beforeEach(() => {
+    localStorage.clear();
+    reloadRightsizingPolicy();
+  });
+
+  test('matches every instance type, largest spend first', () => {
+    const analysis = MachineTypeMatchService.analyzeMatches(services);
+
+    expect(analysis).toMatchObject({
+      policy: RightsizingPolicy.LIKE_FOR_LIKE,
+      totalCost: 900,
+      matchedCost: 800,
+      unmatchedCost: 100,
+      instanceTypes: 3
+    });
+    expect(analysis.matches.map(entry => [entry.instanceType, entry.match?.machineType ?? null])).toEqual([
+      ['r5.xlarge', 'n2-highmem-4'],
+      ['m5.large', 'n2-standard-2'],
+      ['zz.weird', null]
+    ]);
+    expect(analysis.matches[1]).toMatchObject({ service: 'EC2', count: 3, source: { vcpu: 2, memoryGb: 8 } });
+  });
+
+  test('applies the requested policy and limits the list', () => {
+    const analysis = MachineTypeMatchService.analyzeMatches(services, { policy: RightsizingPolicy.COST_OPTIMIZED, topN: 1 });
+    expect(analysis.matches).toHaveLength(1);
+    expect(analysis.matches[0].match.machineType).toBe('e2-highmem-4');
+  });
+
+  test('leaves RDS and ElastiCache instance classes to the database tier match', () => {
+    const analysis = MachineTypeMatchService.analyzeMatches([
+      ...services,
+      { service: 'RDS', totalCost: 120, instanceTypes: { 'db.m5.large': { count: 1, totalCost: 120 } } },
+      { service: 'ElastiCache', totalCost: 40, instanceTypes: { 'cache.r6g.large': { count: 1, totalCost: 40 } } }
+    ]);
+    expect(analysis).toMatchObject({ totalCost: 900, unmatchedCost: 100, instanceTypes: 3 });
+  });
+
+  test('flags specs inferred from the name and skips providers without a catalog', () => {
+    expect(MachineTypeMatchService.matchInstanceType('m9.large').match.reason).toContain('m9 is not in the catalog');
+    expect(MachineTypeMatchService.matchInstanceType('n2-standard-2', 'gcp')).toBeNull();
+  });
+
+  test('matches Azure VM sizes under the same policies', () => {
+    const azure = MachineTypeMatchService.matchInstanceType('Standard_D4s_v5', 'azure');
+    expect(azure.source).toMatchObject({ family: 'Dsv5', vcpu: 4, memoryGb: 16, premiumStorage: true });
+    expect(azure.match.machineType).toBe('n2-standard-4');
+    expect(MachineTypeMatchService.matchInstanceType('Standard_D2ps_v5', 'azure').match.machineType).toBe('t2a-standard-2');
+    expect(MachineTypeMatchService.matchInstanceType('Standard_D4s_v5', 'azure', RightsizingPolicy.COST_OPTIMIZED).match.machineType)
+      .toBe('e2-standard-4');
+    expect(MachineTypeMatchService.matchInstanceType('Standard_E64-16ds_v4', 'azure').match.reason).toContain('constrained-vCPU');
+    expect(MachineTypeMatchService.primaryMatch({
+      sourceProvider: 'azure',
+      instanceTypes: { Standard_B2ms: { count: 1, totalCost: 10 } }
+    }).machineType).toBe('e2-standard-2');
+  });
+
+  test('picks the largest matched instance type of a service', () => {
+    expect(MachineTypeMatchService.primaryMatch(services[0]).machineType).toBe('n2-highmem-4');
+    expect(MachineTypeMatchService.primaryMatch(services[1])).toBeNull();
+  });
+});
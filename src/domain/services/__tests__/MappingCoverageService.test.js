@@ -0,0 +1,93 @@
+/**
+ * Mapping Coverage Service Tests
+ */
+
+import { MappingCoverageService } from '../MappingCoverageService.js';
+import { MappingSource } from '../../../utils/serviceMapping.js';
+import {
+  saveMappingOverride,
+  reloadMappingOverrides
+} from '../../../utils/serviceMappingOverrides.js';
+import { createIngestionReport, recordUnknownProductCode } from '../../../utils/curIngestionReport.js';
+
+describe('MappingCoverageService', () => {
+  const services = [
+    { service: 'EC2', totalCost: 600, count: 4 },
+    { service: 'WIDGETCLOUD', totalCost: 250, count: 2 },
+    { service: 'Service Fee', totalCost: 100, count: 1 },
+    { service: 'ECS', totalCost: 50, count: 1 }
+  ];
+
+  beforeEach(() => {
+    localStorage.clear();
+    reloadMappingOverrides();
+  });
+
+  test('splits spend into explicit, generic and unmapped, largest gaps first', () => {
+    const coverage = MappingCoverageService.analyzeCoverage(services);
+
+    expect(coverage).toMatchObject({
+      totalCost: 1000,
+      explicitCost: 650,
+      overrideCost: 0,
+      genericCost: 100,
+      unmappedCost: 250,
+      coveredShare: 0.65,
+      uncoveredServices: 2
+    });
+    expect(coverage.uncovered.map(entry => [entry.service, entry.mappingSource])).toEqual([
+      ['WIDGETCLOUD', MappingSource.NONE],
+      ['Service Fee', MappingSource.GENERIC]
+    ]);
+    expect(coverage.uncovered[0]).toMatchObject({ sourceProvider: 'aws', cost: 250, count: 2, gcpService: 'Custom Solution Required' });
+  });
+
+  test('counts RDS as explicit (Cloud SQL by engine) and marketplace or support as generic', () => {
+    const coverage = MappingCoverageService.analyzeCoverage([
+      { service: 'RDS', totalCost: 300 },
+      { service: 'RDS (PostgreSQL)', totalCost: 100 },
+      { service: 'AWS Marketplace', totalCost: 60 },
+      { service: 'AWS Support (Business)', totalCost: 40 }
+    ]);
+    expect(coverage).toMatchObject({ explicitCost: 400, genericCost: 100, coveredShare: 0.8 });
+    expect(coverage.uncovered.map(entry => entry.service)).toEqual(['AWS Marketplace', 'AWS Support (Business)']);
+  });
+
+  test('counts a saved project override as explicit straight away', () => {
+    saveMappingOverride({ sourceService: 'WIDGETCLOUD', gcpService: 'Cloud Run', migrationStrategy: 'Refactor', effort: 'Medium' });
+
+    const coverage = MappingCoverageService.analyzeCoverage(services);
+    expect(coverage.explicitCost).toBe(900);
+    expect(coverage.overrideCost).toBe(250);
+    expect(coverage.uncovered.map(entry => entry.service)).toEqual(['Service Fee']);
+  });
+
+  test('lists the unknown product codes each service came from', () => {
+    const ingestionReport = createIngestionReport();
+    recordUnknownProductCode(ingestionReport, 'AmazonWidgetCloud', 200, 'WIDGETCLOUD');
+    recordUnknownProductCode(ingestionReport, 'WidgetCloud', 300, 'WIDGETCLOUD');
+    // Reports stored before the service was recorded
+    delete ingestionReport.unknownProductCodes.WidgetCloud.service;
+
+    const coverage = MappingCoverageService.analyzeCoverage(services, ingestionReport);
+    expect(coverage.uncovered[0].productCodes).toEqual(['WidgetCloud', 'AmazonWidgetCloud']);
+    expect(coverage.uncovered[1].productCodes).toEqual([]);
+  });
+
+  test('limits the list to the largest gaps and handles an empty bill', () => {
+    const coverage = MappingCoverageService.analyzeCoverage(services, null, { topN: 1 });
+    expect(coverage.uncoveredServices).toBe(2);
+    expect(coverage.uncovered).toHaveLength(1);
+
+    expect(MappingCoverageService.analyzeCoverage([])).toMatchObject({ totalCost: 0, coveredShare: null, uncovered: [] });
+  });
+
+  test('treats Azure services outside the built-in table as unmapped', () => {
+    const coverage = MappingCoverageService.analyzeCoverage([
+      { service: 'Virtual Machines', sourceProvider: 'azure', totalCost: 80 },
+      { service: 'Quantum Widgets', sourceProvider: 'azure', totalCost: 20 }
+    ]);
+    expect(coverage.coveredShare).toBe(0.8);
+    expect(coverage.uncovered[0]).toMatchObject({ service: 'Quantum Widgets', mappingSource: MappingSource.NONE, productCodes: [] });
+  });
+});
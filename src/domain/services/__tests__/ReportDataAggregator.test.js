@@ -95,6 +95,58 @@ describe('ReportDataAggregator', () => {
       expect(result.find(s => s.service === 'RDS').count).toBe(1);
     });
 
+    it('should sum cost and count per instance type', () => {
+      const workloads = [
+        createMockWorkload({ service: 'EC2', monthlyCost: 100, instanceType: 'm5.large' }),
+        createMockWorkload({ service: 'EC2', monthlyCost: 50, awsInstanceType: 'm5.large' }),
+        createMockWorkload({ service: 'EC2', monthlyCost: 25 }),
+        createMockWorkload({ service: 'S3', monthlyCost: 200 })
+      ];
+
+      const result = ReportDataAggregator.aggregateByService(workloads);
+
+      expect(result.find(s => s.service === 'EC2').instanceTypes).toEqual({ 'm5.large': { count: 2, totalCost: 150 } });
+      expect(result.find(s => s.service === 'S3').instanceTypes).toEqual({});
+    });
+
+    it('should group database usage by configuration', () => {
+      const databaseUsage = { engine: 'postgresql', multiAz: true, storageType: 'gp3', instanceHours: 1460, storageGbMonths: 200 };
+      const workloads = [
+        createMockWorkload({ service: 'RDS', monthlyCost: 300, instanceType: 'db.r5.large', databaseUsage, costByMonth: { '2024-01': 150, '2024-02': 150 } }),
+        createMockWorkload({ service: 'RDS', monthlyCost: 100, instanceType: 'db.r5.large', databaseUsage: { ...databaseUsage, storageGbMonths: 50 } }),
+        createMockWorkload({ service: 'RDS', monthlyCost: 20, databaseUsage: { engine: 'postgresql', storageType: 'aurora', storageGbMonths: 10 } })
+      ];
+
+      const { databases } = ReportDataAggregator.aggregateByService(workloads)[0];
+
+      expect(Object.keys(databases)).toHaveLength(2);
+      expect(databases['db.r5.large|postgresql||multi-az|gp3']).toMatchObject({
+        instanceType: 'db.r5.large',
+        multiAz: true,
+        count: 2,
+        totalCost: 400,
+        months: 2,
+        instanceHours: 2920,
+        storageGbMonths: 250
+      });
+      expect(databases['|postgresql||single-az|aurora']).toMatchObject({ instanceType: null, count: 1, storageGbMonths: 10 });
+    });
+
+    it('should add up storage class usage of the buckets', () => {
+      const workloads = [
+        createMockWorkload({ service: 'S3', storageUsage: { standard: { gbMonths: 100, tier2Requests: 1000, cost: 2.3 } }, costByMonth: { '2024-01': 1.15, '2024-02': 1.15 } }),
+        createMockWorkload({ service: 'S3', storageUsage: { standard: { gbMonths: 50, cost: 1.15 }, 'standard-ia': { gbMonths: 200, retrievalGb: 10, cost: 2.6 } } }),
+        createMockWorkload({ service: 'S3' })
+      ];
+
+      const { storageClasses } = ReportDataAggregator.aggregateByService(workloads)[0];
+
+      expect(Object.keys(storageClasses)).toEqual(['standard', 'standard-ia']);
+      expect(storageClasses.standard).toMatchObject({ buckets: 2, months: 2, gbMonths: 150, tier2Requests: 1000 });
+      expect(storageClasses.standard.cost).toBeCloseTo(3.45);
+      expect(storageClasses['standard-ia']).toMatchObject({ storageClass: 'standard-ia', buckets: 1, months: 1, retrievalGb: 10 });
+    });
+
     it('should calculate average complexity per service', () => {
       const workloads = [
         createMockWorkload({ service: 'EC2', complexityScore: 2 }),
@@ -202,6 +254,111 @@ describe('ReportDataAggregator', () => {
     });
   });
 
+  describe('aggregateCostTrend', () => {
+    it('should sum cost per billing month across workloads and services', () => {
+      const workloads = [
+        createMockWorkload({ service: 'EC2', costByMonth: { '2024-02': 20, '2024-01': 10 } }),
+        createMockWorkload({ service: 'EC2', costByMonth: { '2024-02': 5 } }),
+        createMockWorkload({ service: 'S3' })
+      ];
+
+      expect(ReportDataAggregator.aggregateCostTrend(workloads)).toEqual([
+        { month: '2024-01', totalCost: 10 },
+        { month: '2024-02', totalCost: 25 }
+      ]);
+      const ec2 = ReportDataAggregator.aggregateByService(workloads).find(s => s.service === 'EC2');
+      expect(ec2.costByMonth).toEqual({ '2024-01': 10, '2024-02': 25 });
+    });
+  });
+
+  describe('aggregateByAccount', () => {
+    it('should group cost and readiness by linked account', () => {
+      const workloads = [
+        createMockWorkload({ accountId: '111', accountName: 'prod', service: 'EC2', monthlyCost: 100, complexityScore: 2 }),
+        createMockWorkload({ accountId: '111', service: 'RDS', region: 'eu-west-1', monthlyCost: 300, complexityScore: 8, riskFactors: ['legacy'] }),
+        createMockWorkload({ accountId: '222', accountName: 'dev', service: 'S3', monthlyCost: 50 }),
+        createMockWorkload({ monthlyCost: 5 })
+      ];
+
+      const result = ReportDataAggregator.aggregateByAccount(workloads);
+
+      expect(result.map(account => account.accountId)).toEqual(['111', '222', ReportDataAggregator.UNKNOWN_ACCOUNT]);
+      expect(result[0]).toMatchObject({
+        accountName: 'prod',
+        count: 2,
+        totalCost: 400,
+        averageComplexity: 5,
+        regionCount: 2,
+        topServices: ['RDS', 'EC2']
+      });
+
+      // Per-account readiness uses the same classification as aggregateByReadiness
+      const accountReadiness = ReportDataAggregator.aggregateByReadiness(workloads.slice(0, 2));
+      expect(result[0].readiness).toEqual({
+        ready: accountReadiness.ready.count,
+        conditional: accountReadiness.conditional.count,
+        notReady: accountReadiness.notReady.count,
+        unassigned: accountReadiness.unassigned.count
+      });
+      expect(result[1].readiness.unassigned).toBe(1);
+    });
+
+    it('should be included in the report summary', () => {
+      const workloads = [
+        createMockWorkload({ accountId: '111' }),
+        createMockWorkload({ accountId: '222' }),
+        createMockWorkload({})
+      ];
+
+      const summary = ReportDataAggregator.generateReportSummary(workloads);
+
+      expect(summary.accounts).toHaveLength(3);
+      expect(summary.summary.totalAccounts).toBe(2);
+    });
+  });
+
+  describe('aggregateByTag', () => {
+    it('should group cost by tag value with an untagged bucket', () => {
+      const workloads = [
+        createMockWorkload({ service: 'EC2', monthlyCost: 100, tags: { app: 'web', env: 'prod' } }),
+        createMockWorkload({ service: 'RDS', monthlyCost: 300, tags: { app: 'web' } }),
+        createMockWorkload({ service: 'S3', monthlyCost: 50, tags: { app: 'batch' } }),
+        createMockWorkload({ service: 'EC2', monthlyCost: 25 })
+      ];
+
+      const result = ReportDataAggregator.aggregateByTag(workloads, 'app');
+
+      expect(result.map(group => group.value)).toEqual(['web', 'batch', ReportDataAggregator.UNTAGGED]);
+      expect(result[0]).toMatchObject({ tagKey: 'app', count: 2, totalCost: 400, topServices: ['RDS', 'EC2'] });
+      expect(result[2].totalCost).toBe(25);
+    });
+
+    it('should list tag keys by number of tagged workloads', () => {
+      const workloads = [
+        createMockWorkload({ tags: { app: 'web', env: 'prod' } }),
+        createMockWorkload({ tags: { app: 'batch' } }),
+        createMockWorkload({})
+      ];
+
+      const keys = ReportDataAggregator.getTagKeys(workloads);
+
+      expect(keys.map(k => k.key)).toEqual(['app', 'env']);
+      expect(keys[0].count).toBe(2);
+    });
+
+    it('should read tags from Workload entities', () => {
+      const workloads = [
+        new Workload({ name: 'a', monthlyCost: 10, tags: { 'cost-center': 'cc-1' } }),
+        new Workload({ name: 'b', monthlyCost: 20, tags: { 'cost-center': 'cc-1' } })
+      ];
+
+      const result = ReportDataAggregator.aggregateByTag(workloads, 'cost-center');
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ value: 'cc-1', count: 2, totalCost: 30 });
+    });
+  });
+
   describe('getTopServicesWithOther', () => {
     it('should return top N services and other category', () => {
       const services = Array.from({ length: 20 }, (_, i) => ({
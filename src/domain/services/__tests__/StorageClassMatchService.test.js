@@ -0,0 +1,75 @@
+/**
+ * Storage Class Match Service Tests
+ */
+
+import { StorageClassMatchService } from '../StorageClassMatchService.js';
+
+const storageClass = (name, overrides) => ({
+  storageClass: name,
+  buckets: 1,
+  gbMonths: 0,
+  tier1Requests: 0,
+  tier2Requests: 0,
+  retrievalGb: 0,
+  monitoredObjects: 0,
+  cost: 0,
+  ...overrides
+});
+
+describe('StorageClassMatchService', () => {
+  const services = [
+    {
+      service: 'S3',
+      totalCost: 40,
+      storageClasses: {
+        standard: storageClass('standard', { buckets: 3, gbMonths: 1000, cost: 23 }),
+        'deep-archive': storageClass('deep-archive', { gbMonths: 5000, cost: 5 }),
+        'express-one-zone': storageClass('express-one-zone', { gbMonths: 10, cost: 2 })
+      }
+    },
+    { service: 'EC2', totalCost: 500 }
+  ];
+
+  test('lists every storage class, largest spend first', () => {
+    const analysis = StorageClassMatchService.analyzeMatches(services);
+
+    expect(analysis).toMatchObject({ totalCost: 40, matchedCost: 28, unmatchedCost: 12, classes: 3 });
+    expect(analysis.gcpCost).toBeCloseTo(20 + 6);
+    expect(analysis.matches.map(entry => [entry.label, entry.match.label])).toEqual([
+      ['Standard', 'Standard'],
+      ['Glacier Deep Archive', 'Archive'],
+      ['express-one-zone', null]
+    ]);
+    expect(analysis.matches[0]).toMatchObject({ buckets: 3, gbMonths: 1000, gcpCost: { storage: 20, total: 20 } });
+    expect(StorageClassMatchService.analyzeMatches(services, { topN: 1 }).matches).toHaveLength(1);
+  });
+
+  test('estimates the matched share of a service', () => {
+    const estimate = StorageClassMatchService.estimateServiceCost(services[0]);
+
+    expect(estimate).toMatchObject({ storage: 26, operations: 0, retrieval: 0, matchedAwsCost: 28 });
+    expect(estimate.matchedShare).toBeCloseTo(0.7);
+    expect(StorageClassMatchService.estimateServiceCost(services[1])).toBeNull();
+  });
+
+  test('prices one month of usage summed over several billing months', () => {
+    // 3 months of 1,000 GB of Standard: $23 a month on AWS, $20 a month on GCP
+    const serviceData = {
+      service: 'S3',
+      totalCost: 23,
+      storageClasses: { standard: storageClass('standard', { months: 3, gbMonths: 3000, tier2Requests: 300000, cost: 69 }) }
+    };
+
+    const estimate = StorageClassMatchService.estimateServiceCost(serviceData);
+    expect(estimate.total).toBeCloseTo(20.04, 2);
+    expect(estimate.matchedShare).toBe(1);
+    expect(StorageClassMatchService.analyzeMatches([serviceData]).matches[0]).toMatchObject({ gbMonths: 1000, cost: 23 });
+  });
+
+  test('leaves buckets without usage amounts to the ratio estimate', () => {
+    const serviceData = { service: 'S3', totalCost: 23, storageClasses: { standard: storageClass('standard', { cost: 23 }) } };
+
+    expect(StorageClassMatchService.estimateServiceCost(serviceData)).toBeNull();
+    expect(StorageClassMatchService.analyzeMatches([serviceData])).toMatchObject({ matchedCost: 0, unmatchedCost: 23 });
+  });
+});
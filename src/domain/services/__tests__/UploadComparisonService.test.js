@@ -0,0 +1,103 @@
+/**
+ * Upload Comparison Service Tests
+ */
+
+import { UploadComparisonService } from '../UploadComparisonService.js';
+import { Workload } from '../../entities/Workload.js';
+
+describe('UploadComparisonService', () => {
+  const previousWorkloads = [
+    { id: 'i-0abc', name: 'web-1', service: 'EC2', region: 'us-east-1', monthlyCost: 100 },
+    { id: 'i-0def', name: 'web-2', service: 'EC2', region: 'us-east-1', monthlyCost: 100 },
+    { id: 'orders-db', name: 'orders-db', service: 'RDS', region: 'us-east-1', monthlyCost: { amount: 300 } }
+  ];
+
+  const currentWorkloads = [
+    // Structured clone of a Workload entity, as cached by the discovery agent
+    { _id: 'i-0abc', _name: 'web-1', _service: 'EC2', _region: 'us-east-1', _monthlyCost: { _amount: 105 } },
+    { id: 'orders-db', name: 'orders-db', service: 'RDS', region: 'us-east-1', monthlyCost: 450 },
+    { id: 'bucket-logs', name: 'bucket-logs', service: 'S3', region: 'us-east-1', monthlyCost: 40 }
+  ];
+
+  const estimate = (service, gcpService, awsCost, gcpOnDemand) => ({
+    service,
+    gcpService,
+    totalCost: awsCost,
+    costEstimate: { awsCost, gcpOnDemand, gcp1YearCUD: gcpOnDemand * 0.8, gcp3YearCUD: gcpOnDemand * 0.6 }
+  });
+
+  test('reads workloads from plain objects, toJSON output and Workload entities', () => {
+    const workload = new Workload({
+      id: 'i-0abc',
+      name: 'web-1',
+      service: 'EC2',
+      type: 'vm',
+      sourceProvider: 'aws',
+      region: 'us-east-1',
+      monthlyCost: 100
+    });
+
+    expect(UploadComparisonService.toComparableWorkload(workload)).toEqual({
+      id: 'i-0abc', name: 'web-1', service: 'EC2', region: 'us-east-1', monthlyCost: 100
+    });
+    expect(UploadComparisonService.toComparableWorkload(currentWorkloads[0]).monthlyCost).toBe(105);
+    expect(UploadComparisonService.toComparableWorkload({ name: 'no id' })).toBeNull();
+  });
+
+  test('lists added, removed and changed workloads above the thresholds', () => {
+    const result = UploadComparisonService.compareWorkloads(previousWorkloads, currentWorkloads, {
+      minCostChange: 10,
+      minCostChangePercent: 10
+    });
+
+    expect(result.added.map(w => w.id)).toEqual(['bucket-logs']);
+    expect(result.removed.map(w => w.id)).toEqual(['i-0def']);
+    expect(result.changed).toHaveLength(1);
+    expect(result.changed[0]).toMatchObject({ id: 'orders-db', before: 300, after: 450, delta: 150, deltaPercent: 50 });
+    // i-0abc moved $5 (5%) - below both thresholds
+    expect(result.unchangedCount).toBe(1);
+  });
+
+  test('requires a change to pass both the absolute and the relative threshold', () => {
+    expect(UploadComparisonService.isSignificantChange(10000, 10500, { minCostChange: 10, minCostChangePercent: 10 })).toBe(false);
+    expect(UploadComparisonService.isSignificantChange(20, 28, { minCostChange: 10, minCostChangePercent: 10 })).toBe(false);
+    expect(UploadComparisonService.isSignificantChange(0, 50, { minCostChange: 10, minCostChangePercent: 10 })).toBe(true);
+  });
+
+  test('compares GCP estimates by service with the selected pricing', () => {
+    const base = [estimate('EC2', 'Compute Engine', 200, 180), estimate('RDS', 'Cloud SQL', 300, 270)];
+    const current = [estimate('EC2', 'Compute Engine', 105, 95), estimate('RDS', 'Cloud SQL', 450, 405), estimate('S3', 'Cloud Storage', 40, 36)];
+
+    const rows = UploadComparisonService.compareServiceEstimates(base, current, { pricing: 'cud3' });
+    const byService = Object.fromEntries(rows.map(row => [row.service, row]));
+
+    expect(rows[0].service).toBe('RDS');
+    expect(byService.RDS.gcpBefore).toBeCloseTo(162);
+    expect(byService.RDS.gcpAfter).toBeCloseTo(243);
+    expect(byService.EC2.awsDelta).toBe(-95);
+    expect(byService.S3).toMatchObject({ status: 'added', gcpBefore: 0, moved: true, gcpDeltaPercent: null });
+  });
+
+  test('flags uploads whose cached workload list is incomplete', () => {
+    const comparison = UploadComparisonService.compareUploads(
+      { fileUUID: 'a', workloads: previousWorkloads, workloadCount: 3, costEstimates: [] },
+      { fileUUID: 'b', workloads: currentWorkloads, workloadCount: 20000, costEstimates: [] }
+    );
+
+    expect(comparison.base.workloadsComplete).toBe(true);
+    expect(comparison.current.workloadsComplete).toBe(false);
+    expect(comparison.totals).toMatchObject({ addedWorkloads: 1, removedWorkloads: 1, changedWorkloads: 1 });
+  });
+
+  test('does not report workloads outside a truncated list as added or removed', () => {
+    // Only the first workload of each upload is in the cached list; the ID lists are complete
+    const comparison = UploadComparisonService.compareUploads(
+      { fileUUID: 'a', workloads: previousWorkloads.slice(0, 1), workloadIds: ['i-0abc', 'i-0def', 'orders-db'], workloadCount: 3, costEstimates: [] },
+      { fileUUID: 'b', workloads: currentWorkloads.slice(1), workloadIds: ['i-0abc', 'orders-db', 'bucket-logs'], workloadCount: 3, costEstimates: [] }
+    );
+
+    expect(comparison.workloads.added.map(w => w.id)).toEqual(['bucket-logs']);
+    expect(comparison.workloads.removed).toEqual([]);
+    expect(comparison.totals).toMatchObject({ addedWorkloads: 1, removedWorkloads: 0, changedWorkloads: 0, unlistedWorkloads: 2 });
+  });
+});
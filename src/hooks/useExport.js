@@ -1,6 +1,7 @@
 import { useCallback } from 'react';
 import { useAppContext } from '../context/AppContext';
 import { generateMigrationReport } from '../utils/pdfExport';
+import { getExportRedactor, redactForExport } from '../utils/redaction';
 
 export const useExport = () => {
   const { state } = useAppContext();
@@ -56,7 +57,11 @@ export const useExport = () => {
       },
     };
 
-    const blob = new Blob([JSON.stringify(reportData, null, 2)], { type: 'application/json' });
+    // Anonymisation mode: pseudonymise identifiers with the project's salt
+    const redactor = getExportRedactor();
+    const exported = redactor ? redactForExport(reportData, redactor) : reportData;
+
+    const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -79,7 +84,8 @@ export const useExport = () => {
       landingZoneConfig,
     };
 
-    generateMigrationReport(reportData);
+    const redactor = getExportRedactor();
+    generateMigrationReport(redactor ? { ...reportData, workloads: redactForExport(discoveredWorkloads, redactor) } : reportData);
   }, [state]);
 
   return { exportToJSON, exportToPDF };
@@ -0,0 +1,239 @@
+/**
+ * File System Workload Repository
+ *
+ * Architectural Intent:
+ * - Infrastructure layer implementation of WorkloadRepositoryPort for Node (the infracc CLI)
+ * - Same contract as WorkloadRepository (IndexedDB), including the bulk methods the streaming
+ *   CUR parser uses, so the domain and use-case layer run unchanged outside the browser
+ * - Node only: never imported by the browser bundle
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { WorkloadRepositoryPort } from '../../domain/ports/WorkloadRepositoryPort.js';
+import { Workload } from '../../domain/entities/Workload.js';
+
+const WRITE_BATCH_SIZE = 1000; // Lines written per fs write
+
+/**
+ * File System Workload Repository
+ *
+ * Implementation Notes:
+ * - Workloads are kept in memory and stored as newline-delimited JSON (one Workload.toJSON() per line)
+ *   in <directory>/<fileName>, so a large CUR is never serialized as one string
+ * - save() only updates memory (use cases save one workload at a time); call flush() to write.
+ *   saveManyImmediate() writes straight away, like the IndexedDB repository
+ * - Writes go to a temporary file that replaces the store, so an interrupted run never leaves a half-written file
+ * - Assessments and migration strategies are stored with the workload and restored on load
+ */
+export class FileSystemWorkloadRepository extends WorkloadRepositoryPort {
+  /**
+   * @param {Object} config
+   * @param {string} config.directory - Directory holding the store (created if missing)
+   * @param {string} config.fileName - Store file name (default: 'workloads.ndjson')
+   */
+  constructor(config = {}) {
+    super();
+    if (!config.directory) {
+      throw new Error('FileSystemWorkloadRepository requires a directory');
+    }
+    this.directory = config.directory;
+    this.filePath = path.join(config.directory, config.fileName || 'workloads.ndjson');
+    this._cache = new Map();
+    this._loading = null; // Promise of the first load, shared by concurrent callers
+    this._dirty = false;
+  }
+
+  /**
+   * Save a workload (in memory until flush())
+   * @param {Workload} workload
+   * @returns {Promise<Workload>}
+   */
+  async save(workload) {
+    if (!(workload instanceof Workload)) {
+      throw new Error('Workload instance required');
+    }
+    await this._loadFromStorage();
+    this._cache.set(workload.id, workload);
+    this._dirty = true;
+    return workload;
+  }
+
+  /**
+   * Save workloads and write the store
+   * @param {Workload[]} workloads
+   */
+  async saveManyImmediate(workloads) {
+    if (!Array.isArray(workloads)) {
+      throw new Error('workloads must be an array');
+    }
+    await this._loadFromStorage();
+    for (const workload of workloads) {
+      if (!(workload instanceof Workload)) {
+        console.warn('Item in workloads is not a Workload instance, skipping');
+        continue;
+      }
+      this._cache.set(workload.id, workload);
+    }
+    this._dirty = true;
+    await this.flush();
+  }
+
+  /**
+   * Read stored workloads by ID (used by the streaming parser to merge rows into flushed workloads)
+   * @param {string[]} ids
+   * @returns {Promise<Map<string, Workload>>} Stored workloads by ID (missing IDs are left out)
+   */
+  async findManyStored(ids) {
+    await this._loadFromStorage();
+    const found = new Map();
+    for (const id of ids) {
+      const workload = this._cache.get(id);
+      if (workload) {
+        found.set(id, workload);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Visit every stored workload (used by the streaming parser when a checkpointed import resumes)
+   * @param {Function} callback - Called with each stored Workload
+   * @returns {Promise<void>}
+   */
+  async forEachStored(callback) {
+    await this._loadFromStorage();
+    for (const workload of this._cache.values()) {
+      callback(workload);
+    }
+  }
+
+  /**
+   * Find workload by ID
+   * @param {string} id
+   * @returns {Promise<Workload|null>}
+   */
+  async findById(id) {
+    await this._loadFromStorage();
+    return this._cache.get(id) || null;
+  }
+
+  /**
+   * Find all workloads
+   * @returns {Promise<Workload[]>}
+   */
+  async findAll() {
+    await this._loadFromStorage();
+    return Array.from(this._cache.values());
+  }
+
+  /**
+   * Delete workload
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    await this._loadFromStorage();
+    const deleted = this._cache.delete(id);
+    if (deleted) {
+      this._dirty = true;
+    }
+    return deleted;
+  }
+
+  /**
+   * Find workloads by source provider
+   * @param {string} provider
+   * @returns {Promise<Workload[]>}
+   */
+  async findByProvider(provider) {
+    await this._loadFromStorage();
+    return Array.from(this._cache.values())
+      .filter(workload => workload.sourceProvider.type === provider);
+  }
+
+  /**
+   * Write pending changes to the store
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this._dirty) {
+      return;
+    }
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      let lines = [];
+      for (const workload of this._cache.values()) {
+        lines.push(JSON.stringify(workload.toJSON()));
+        if (lines.length >= WRITE_BATCH_SIZE) {
+          await handle.write(`${lines.join('\n')}\n`);
+          lines = [];
+        }
+      }
+      if (lines.length > 0) {
+        await handle.write(`${lines.join('\n')}\n`);
+      }
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempPath, this.filePath);
+    this._dirty = false;
+  }
+
+  /**
+   * Remove all workloads, including the store file
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._cache.clear();
+    this._loading = Promise.resolve();
+    this._dirty = false;
+    await fs.promises.rm(this.filePath, { force: true });
+  }
+
+  /**
+   * Load the store into memory (once)
+   * @private
+   */
+  _loadFromStorage() {
+    if (!this._loading) {
+      this._loading = this._readStore();
+    }
+    return this._loading;
+  }
+
+  /**
+   * Read the store file into the cache
+   * @private
+   */
+  async _readStore() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      try {
+        const data = JSON.parse(line);
+        const workload = Workload.fromJSON(data);
+        // fromJSON starts unassessed: restore the results of earlier pipeline steps
+        if (data.assessment) workload.assignAssessment(data.assessment);
+        if (data.migrationStrategy) workload.assignMigrationStrategy(data.migrationStrategy);
+        this._cache.set(workload.id, workload);
+      } catch (error) {
+        console.warn(`Failed to load workload on line ${lineNumber} of ${this.filePath}:`, error);
+      }
+    }
+  }
+}
+
+export default FileSystemWorkloadRepository;
@@ -5,6 +5,7 @@
  * - Infrastructure layer implementation of ServiceMappingPort
  * - Uses static service mapping data (can be enhanced with CodeMod)
  * - Provides fast, in-memory service mappings
+ * - Applies the active project's mapping overrides on top (utils/serviceMappingOverrides.js)
  * - Isolated from domain layer
  */
 
@@ -12,6 +13,7 @@ import { ServiceMappingPort } from '../../domain/ports/ServiceMappingPort.js';
 import { ServiceMapping } from '../../domain/entities/ServiceMapping.js';
 import { CloudProvider, CloudProviderType } from '../../domain/value_objects/CloudProvider.js';
 import { awsToGcpMapping, azureToGcpMapping } from '../../utils/serviceMapping.js';
+import { findMappingOverride, getMappingOverrides, applyMappingOverride, mappingKey } from '../../utils/serviceMappingOverrides.js';
 import GoogleCloudDocsAdapter from '../adapters/GoogleCloudDocsAdapter.js';
 
 /**
@@ -42,24 +44,7 @@ export class ServiceMappingRepository extends ServiceMappingPort {
     
     for (const [sourceService, mappingInfo] of Object.entries(mappingData)) {
       try {
-        // Normalize migration strategy to lowercase (enum expects lowercase)
-        const strategy = (mappingInfo.migrationStrategy || 'rehost').toLowerCase();
-        
-        // Normalize effort to lowercase
-        const effort = (mappingInfo.effort || 'medium').toLowerCase();
-        
-        const serviceMapping = new ServiceMapping({
-          sourceService,
-          sourceProvider: providerType,
-          gcpService: mappingInfo.gcpService,
-          gcpApi: mappingInfo.gcpApi || '',
-          migrationStrategy: strategy,
-          effort: effort,
-          notes: mappingInfo.notes || '',
-          considerations: mappingInfo.considerations || []
-        });
-        
-        mappings.set(sourceService.toUpperCase(), serviceMapping);
+        mappings.set(sourceService.toUpperCase(), this._toServiceMapping(sourceService, providerType, mappingInfo));
       } catch (error) {
         console.warn(`Failed to create mapping for ${sourceService}:`, error);
       }
@@ -68,6 +53,42 @@ export class ServiceMappingRepository extends ServiceMappingPort {
     return mappings;
   }
 
+  /**
+   * ServiceMapping entity from mapping data (title-case strategy and effort as in utils/serviceMapping.js)
+   * @private
+   */
+  _toServiceMapping(sourceService, providerType, mappingInfo) {
+    // Normalize migration strategy and effort to lowercase (enums expect lowercase)
+    return new ServiceMapping({
+      sourceService,
+      sourceProvider: providerType,
+      gcpService: mappingInfo.gcpService,
+      gcpApi: mappingInfo.gcpApi || '',
+      migrationStrategy: (mappingInfo.migrationStrategy || 'rehost').toLowerCase(),
+      effort: (mappingInfo.effort || 'medium').toLowerCase(),
+      notes: mappingInfo.notes || '',
+      considerations: mappingInfo.considerations || []
+    });
+  }
+
+  /**
+   * Apply the active project's override of a service, if any
+   * @private
+   */
+  _applyOverride(mapping, sourceService, providerType) {
+    const override = findMappingOverride(sourceService, providerType);
+    if (!override) {
+      return mapping;
+    }
+    const base = {
+      gcpService: mapping.gcpService,
+      gcpApi: mapping.gcpApi,
+      notes: mapping.notes,
+      considerations: mapping.considerations
+    };
+    return this._toServiceMapping(mapping.sourceService, providerType, applyMappingOverride(base, override));
+  }
+
   /**
    * Normalize AWS service name by removing "AMAZON" prefix if present
    * CUR files use "AMAZONEC2", "AMAZONS3", etc., but mappings use "EC2", "S3", etc.
@@ -94,6 +115,15 @@ export class ServiceMappingRepository extends ServiceMappingPort {
       sourceProvider = new CloudProvider(sourceProvider);
     }
 
+    const mapping = await this._getBaseMapping(sourceService, sourceProvider);
+    return this._applyOverride(mapping, sourceService, sourceProvider.type);
+  }
+
+  /**
+   * Mapping before project overrides: official docs, then static mappings, then a default
+   * @private
+   */
+  async _getBaseMapping(sourceService, sourceProvider) {
     // Normalize service name for lookup
     // AWS CUR files use "AMAZONEC2", but mappings use "EC2"
     const normalizedService = sourceProvider.type === CloudProviderType.AWS
@@ -182,7 +212,17 @@ export class ServiceMappingRepository extends ServiceMappingPort {
       ? this._awsMappings 
       : this._azureMappings;
 
-    return Array.from(mappings.values());
+    const result = Array.from(mappings.values())
+      .map(mapping => this._applyOverride(mapping, mapping.sourceService, sourceProvider.type));
+
+    // Overrides of services without a static mapping
+    const staticKeys = new Set(Array.from(mappings.keys(), key => mappingKey(key, sourceProvider.type)));
+    for (const override of getMappingOverrides()[sourceProvider.type] || []) {
+      if (!staticKeys.has(mappingKey(override.sourceService, sourceProvider.type))) {
+        result.push(this._toServiceMapping(override.sourceService, sourceProvider.type, applyMappingOverride({}, override)));
+      }
+    }
+    return result;
   }
 
   /**
@@ -206,7 +246,8 @@ export class ServiceMappingRepository extends ServiceMappingPort {
 
     const keywordUpper = keyword.toUpperCase();
 
-    for (const mapping of mappings.values()) {
+    for (const staticMapping of mappings.values()) {
+      const mapping = this._applyOverride(staticMapping, staticMapping.sourceService, sourceProvider.type);
       if (mapping.sourceService.toUpperCase().includes(keywordUpper) ||
           mapping.gcpService.toUpperCase().includes(keywordUpper) ||
           mapping.notes.toUpperCase().includes(keywordUpper)) {
@@ -24,13 +24,16 @@ export class WorkloadRepository extends WorkloadRepositoryPort {
   /**
    * @param {Object} config
    * @param {string} config.storageKey - Storage key (default: 'workloads')
+   * @param {string} config.databaseName - IndexedDB database (default: 'WorkloadRepository'; the CUR parser
+   *   worker flushes to a scratch database of its own)
    */
   constructor(config = {}) {
     super();
     this.storageKey = config.storageKey || 'workloads';
+    this.databaseName = config.databaseName || 'WorkloadRepository';
     this._cache = new Map(); // In-memory cache
     this._storage = localforage.createInstance({
-      name: 'WorkloadRepository',
+      name: this.databaseName,
       storeName: 'workloads',
       description: 'Workload repository storage using IndexedDB'
     });
@@ -96,6 +99,59 @@ export class WorkloadRepository extends WorkloadRepositoryPort {
 
   }
 
+  /**
+   * Read workloads straight from IndexedDB, without loading the whole store into the cache
+   * Used while streaming a CUR to merge rows into workloads flushed earlier in the same import
+   * @param {string[]} ids
+   * @returns {Promise<Map<string, Workload>>} Stored workloads by ID (missing IDs are left out)
+   */
+  async findManyStored(ids) {
+    const found = new Map();
+    await Promise.all(ids.map(async (id) => {
+      try {
+        const data = await this._storage.getItem(id);
+        if (data) {
+          found.set(id, Workload.fromJSON(data));
+        }
+      } catch (error) {
+        console.warn(`Failed to read stored workload ${id}:`, error);
+      }
+    }));
+    return found;
+  }
+
+  /**
+   * Visit every stored workload straight from IndexedDB, one at a time, without filling the cache
+   * Used when a checkpointed CUR import resumes, to find the workloads it flushed before it stopped
+   * @param {Function} callback - Called with each stored Workload
+   * @returns {Promise<void>}
+   */
+  async forEachStored(callback) {
+    await this._storage.iterate((data, key) => {
+      try {
+        callback(Workload.fromJSON(data));
+      } catch (error) {
+        console.warn(`Failed to read stored workload ${key}:`, error);
+      }
+      // Returning anything but undefined stops localforage's iteration
+    });
+  }
+
+  /**
+   * Read stored workloads straight from IndexedDB a page at a time, without filling the cache
+   * Used to take over the workloads a CUR parser worker left in its scratch database
+   * @param {number} pageSize - Workloads per page
+   * @param {Function} callback - Awaited with each page (Workload[]) before the next one is read
+   * @returns {Promise<void>}
+   */
+  async forEachStoredPage(pageSize, callback) {
+    const keys = await this._storage.keys();
+    for (let i = 0; i < keys.length; i += pageSize) {
+      const page = await this.findManyStored(keys.slice(i, i + pageSize));
+      await callback(Array.from(page.values()));
+    }
+  }
+
   /**
    * Debounced persistence - batches saves to avoid performance issues
    * @private
@@ -482,6 +538,19 @@ export class WorkloadRepository extends WorkloadRepositoryPort {
       console.warn('Failed to clear IndexedDB:', error);
     }
   }
+
+  /**
+   * Delete the IndexedDB database (used for the CUR parser worker's scratch databases)
+   * @returns {Promise<void>}
+   */
+  async drop() {
+    this._cache.clear();
+    try {
+      await this._storage.dropInstance({ name: this.databaseName });
+    } catch (error) {
+      console.warn(`Failed to delete IndexedDB database ${this.databaseName}:`, error);
+    }
+  }
 }
 
 export default WorkloadRepository;
@@ -0,0 +1,69 @@
+/**
+ * File System Workload Repository Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileSystemWorkloadRepository } from '../FileSystemWorkloadRepository.js';
+import { Workload } from '../../../domain/entities/Workload.js';
+
+describe('FileSystemWorkloadRepository', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'infracc-repo-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createWorkload = (id, monthlyCost) => new Workload({
+    id,
+    name: id,
+    service: 'EC2',
+    region: 'us-east-1',
+    monthlyCost,
+    sourceProvider: 'aws',
+    tags: { env: 'prod' }
+  });
+
+  it('keeps saves in memory until flush and reads them back in a new instance', async () => {
+    const repository = new FileSystemWorkloadRepository({ directory });
+    await repository.save(createWorkload('i-1', 10));
+    expect(fs.existsSync(repository.filePath)).toBe(false);
+
+    await repository.flush();
+    const reopened = new FileSystemWorkloadRepository({ directory });
+    const found = await reopened.findById('i-1');
+    expect(found).toBeInstanceOf(Workload);
+    expect(found.monthlyCost.amount).toBe(10);
+    expect(found.tags).toEqual({ env: 'prod' });
+  });
+
+  it('supports the bulk methods used by the streaming parser', async () => {
+    const repository = new FileSystemWorkloadRepository({ directory });
+    await repository.saveManyImmediate([createWorkload('i-1', 10), createWorkload('i-2', 20)]);
+
+    const reopened = new FileSystemWorkloadRepository({ directory });
+    const stored = await reopened.findManyStored(['i-2', 'missing']);
+    expect(Array.from(stored.keys())).toEqual(['i-2']);
+    expect(await reopened.findAll()).toHaveLength(2);
+    expect(await reopened.findByProvider('aws')).toHaveLength(2);
+  });
+
+  it('clears the store file', async () => {
+    const repository = new FileSystemWorkloadRepository({ directory });
+    await repository.saveManyImmediate([createWorkload('i-1', 10)]);
+    await repository.clear();
+
+    expect(fs.existsSync(repository.filePath)).toBe(false);
+    expect(await repository.findAll()).toEqual([]);
+  });
+
+  it('rejects anything that is not a Workload', async () => {
+    const repository = new FileSystemWorkloadRepository({ directory });
+    await expect(repository.save({ id: 'i-1' })).rejects.toThrow('Workload instance required');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * AWS Instance Type Catalog Tests
+ */
+
+import { getAwsInstanceSpecs, InstanceCategory, CpuArchitecture, CpuVendor } from '../awsInstanceCatalog.js';
+
+describe('getAwsInstanceSpecs', () => {
+  test.each([
+    ['m5.large', 2, 8],
+    ['m5.metal', 96, 384],
+    ['c5.9xlarge', 36, 72],
+    ['c4.8xlarge', 36, 60],
+    ['r4.large', 2, 15.25],
+    ['t2.nano', 1, 0.5],
+    ['t3.nano', 2, 0.5],
+    ['m6g.medium', 1, 4],
+    ['m7i.metal-48xl', 192, 768],
+    ['x1e.xlarge', 4, 122],
+    ['i3.metal', 72, 512],
+    ['p4d.24xlarge', 96, 1152]
+  ])('%s has %i vCPU and %d GB', (instanceType, vcpu, memoryGb) => {
+    expect(getAwsInstanceSpecs(instanceType)).toMatchObject({ vcpu, memoryGb, inferred: false });
+  });
+
+  test('describes category, architecture, vendor, GPUs and instance storage', () => {
+    expect(getAwsInstanceSpecs('C7G.2XLARGE')).toMatchObject({
+      instanceType: 'c7g.2xlarge',
+      family: 'c7g',
+      category: InstanceCategory.COMPUTE_OPTIMIZED,
+      arch: CpuArchitecture.ARM64,
+      vendor: CpuVendor.GRAVITON,
+      gpus: 0,
+      localSsd: false
+    });
+    expect(getAwsInstanceSpecs('m7a.xlarge')).toMatchObject({ vendor: CpuVendor.AMD, latestCpu: true });
+    expect(getAwsInstanceSpecs('g4dn.12xlarge')).toMatchObject({ gpus: 4, gpuModel: 'NVIDIA T4', localSsd: true });
+    expect(getAwsInstanceSpecs('i4i.xlarge')).toMatchObject({ category: InstanceCategory.STORAGE_OPTIMIZED, localSsd: true });
+  });
+
+  test('infers families missing from the catalog from the name', () => {
+    expect(getAwsInstanceSpecs('r9g.2xlarge')).toMatchObject({
+      vcpu: 8,
+      memoryGb: 64,
+      category: InstanceCategory.MEMORY_OPTIMIZED,
+      arch: CpuArchitecture.ARM64,
+      inferred: true
+    });
+    expect(getAwsInstanceSpecs('t3.3xlarge')).toMatchObject({ vcpu: 12, memoryGb: 48, inferred: true });
+  });
+
+  test('returns null for types it cannot read', () => {
+    expect(getAwsInstanceSpecs('')).toBeNull();
+    expect(getAwsInstanceSpecs('NoInstanceType')).toBeNull();
+    expect(getAwsInstanceSpecs('p3.4xlarge')).toBeNull(); // Accelerated sizes are never inferred
+    expect(getAwsInstanceSpecs('u-6tb1.metal')).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Azure Cost Export Parser Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseAzureCostExportStreaming,
+  isAzureCostExportHeader,
+  parseAzureTags,
+  normalizeAzureLocation
+} from '../azureCostExportParser';
+import { normalizeAzureMeterCategory, getAzureServiceType } from '../azureMeterCategoryMapping';
+import { FileSystemWorkloadRepository } from '../../infrastructure/repositories/FileSystemWorkloadRepository.js';
+
+const toBuffer = (text) => new TextEncoder().encode(text).buffer;
+
+describe('azureCostExportParser', () => {
+  const csv = [
+    '﻿Date,SubscriptionId,SubscriptionName,MeterCategory,MeterSubCategory,ResourceId,ResourceLocation,CostInBillingCurrency,BillingCurrency,ChargeType,Tags,AdditionalInfo',
+    '2024-03-01,sub-1,Prod,Virtual Machines,Dv3/DSv3 Series,/subscriptions/sub-1/resourceGroups/rg/providers/Microsoft.Compute/virtualMachines/VM1,EastUS,10.50,USD,Usage,"""env"": ""prod""","{""VCPUs"": 2}"',
+    '2024-03-02,sub-1,Prod,Virtual Machines,Dv3/DSv3 Series,/subscriptions/SUB-1/resourcegroups/RG/providers/Microsoft.Compute/virtualMachines/vm1,EastUS,4.50,USD,Usage,"{""team"": ""web""}",',
+    '2024-03-02,sub-1,Prod,Storage,Premium SSD Managed Disks,/subscriptions/sub-1/resourceGroups/rg/providers/Microsoft.Compute/disks/disk1,East US,3.00,USD,Usage,,',
+    '2024-03-05,sub-2,Dev,Bandwidth,Rtn Preference: MGN,,,1.25,USD,Usage,,',
+    '2024-03-31,sub-1,Prod,Virtual Machines,,,,-2.00,USD,Refund,,'
+  ].join('\r\n');
+
+  describe('parseAzureCostExportStreaming', () => {
+    it('should produce Azure workloads grouped by resource ID', async () => {
+      const result = await parseAzureCostExportStreaming(toBuffer(csv));
+
+      expect(result).toHaveLength(3);
+      result.forEach(workload => expect(workload.sourceProvider.type).toBe('azure'));
+
+      const vm = result.find(workload => workload.service === 'Virtual Machines');
+      expect(vm.id).toBe('/subscriptions/sub-1/resourcegroups/rg/providers/microsoft.compute/virtualmachines/vm1');
+      expect(vm.name).toBe('vm1');
+      expect(vm.type.type).toBe('vm');
+      expect(vm.region).toBe('eastus');
+      expect(vm.cpu).toBe(2);
+      expect(vm.monthlyCost.amount).toBe(15);
+      expect(vm.tags).toEqual({ env: 'prod', team: 'web' });
+      expect(vm.accountId).toBe('sub-1');
+      expect(vm.accountName).toBe('Prod');
+      expect(vm.costByMonth).toEqual({ '2024-03': 15 });
+
+      const disk = result.find(workload => workload.service === 'Managed Disks');
+      expect(disk.type.type).toBe('storage');
+      expect(disk.region).toBe('eastus');
+
+      const bandwidth = result.find(workload => workload.service === 'Bandwidth');
+      expect(bandwidth.id).toBe('bandwidth_global_sub-2_aggregated');
+    });
+
+    it('should record charge types in the ledger and leave refunds out of the baseline', async () => {
+      const result = await parseAzureCostExportStreaming(toBuffer(csv));
+      const metadata = result._metadata;
+
+      expect(metadata.totalRawCost).toBeCloseTo(19.25, 2);
+      expect(metadata.totalRows).toBe(5);
+      expect(metadata.skippedRows.excludedLineItemType).toBe(1);
+      expect(metadata.lineItemLedger.Usage.rows).toBe(4);
+      expect(metadata.lineItemLedger.Refund.cost).toBe(-2);
+      expect(metadata.lineItemLedger.Refund.includedInBaseline).toBe(false);
+      expect(metadata.schemaProfile.id).toBe('azure-cost-export');
+      expect(metadata.currency).toBe('USD');
+      expect(metadata.costByMonth).toEqual({ '2024-03': 19.25 });
+    });
+
+    it('should report an amortized request as a fallback to the exported cost', async () => {
+      const result = await parseAzureCostExportStreaming(toBuffer(csv), null, { costBasis: 'amortized' });
+
+      expect(result._metadata.costBasis.fallback).toBe(true);
+      expect(result._metadata.costBasis.id).toBe('unblended');
+    });
+
+    it('should read pre-parsed rows from a row source', async () => {
+      async function* rows() {
+        yield {
+          rows: [
+            ['meterCategory', 'resourceId', 'costInBillingCurrency', 'resourceLocation'],
+            ['Azure Cosmos DB', '/subscriptions/s/db1', '8', 'westeurope']
+          ],
+          bytesProcessed: 50
+        };
+      }
+
+      const result = await parseAzureCostExportStreaming({ size: 50 }, null, { rowSource: rows() });
+
+      expect(result).toHaveLength(1);
+      expect(result[0].service).toBe('Cosmos DB');
+      expect(result[0].type.type).toBe('database');
+    });
+
+    it('should record the VM size from AdditionalInfo or the meter name', async () => {
+      const result = await parseAzureCostExportStreaming(toBuffer([
+        'MeterCategory,MeterName,ResourceId,Cost,AdditionalInfo',
+        'Virtual Machines,D2s v3,/vms/web,5,"{""ServiceType"": ""Standard_E4ds_v5""}"',
+        'Virtual Machines,E16ads v5 Spot,/vms/batch,7,',
+        'Virtual Machines,Compute Hours,/vms/legacy,1,'
+      ].join('\n')));
+
+      const byName = Object.fromEntries(result.map(workload => [workload.name, workload]));
+      expect(byName.web.instanceType).toBe('Standard_E4ds_v5');
+      expect(byName.web.cpu).toBe(4);
+      expect(byName.web.memory).toBe(32);
+      expect(byName.batch.instanceType).toBe('Standard_E16ads_v5');
+      expect(byName.legacy.instanceType).toBeNull();
+    });
+
+    it('should bucket MM/DD/YYYY dates by billing month', async () => {
+      const result = await parseAzureCostExportStreaming(toBuffer([
+        'Date,MeterCategory,ResourceId,Cost',
+        '02/28/2024,Virtual Machines,/vms/web,10',
+        '03/01/2024,Virtual Machines,/vms/web,12',
+        '03/02/2024,Virtual Machines,/vms/web,8'
+      ].join('\n')));
+
+      expect(result[0].costByMonth).toEqual({ '2024-02': 10, '2024-03': 20 });
+      expect(result._metadata.costByMonth).toEqual({ '2024-02': 10, '2024-03': 20 });
+    });
+
+    it('should add the rows of a resource seen after a flush to the stored workload', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'infracc-azure-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      try {
+        // 19,999 resources fill the map past the 10K flush threshold, then vm0 bills again
+        const lines = ['Date,MeterCategory,ResourceId,Cost'];
+        for (let i = 0; i < 19999; i++) lines.push(`03/01/2024,Virtual Machines,/vms/vm${i},1`);
+        lines.push('04/01/2024,Virtual Machines,/vms/vm0,2');
+
+        const workloadRepository = new FileSystemWorkloadRepository({ directory });
+        const result = await parseAzureCostExportStreaming(toBuffer(lines.join('\n')), null, { workloadRepository });
+
+        expect(result).toHaveLength(19999);
+        const vm0 = result.filter(workload => workload.id === '/vms/vm0');
+        expect(vm0).toHaveLength(1);
+        expect(vm0[0].monthlyCost.amount).toBe(3);
+        expect(vm0[0].costByMonth).toEqual({ '2024-03': 1, '2024-04': 2 });
+        expect(result._metadata.totalAggregatedCost).toBe(20001);
+      } finally {
+        console.log.mockRestore();
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should leave flushed workloads in a scratch repository', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'infracc-azure-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      try {
+        const lines = ['Date,MeterCategory,ResourceId,Cost'];
+        // 19,999 resources fill the map past the 10K flush threshold
+        for (let i = 0; i < 19999; i++) lines.push(`03/01/2024,Virtual Machines,/vms/vm${i},1`);
+
+        const workloadRepository = new FileSystemWorkloadRepository({ directory });
+        const result = await parseAzureCostExportStreaming(toBuffer(lines.join('\n')), null, { workloadRepository, scratchRepository: true });
+
+        expect(result).toHaveLength(0);
+        expect(result._metadata).toMatchObject({ uniqueWorkloads: 19999, storedWorkloads: 19999, totalAggregatedCost: 19999 });
+        expect(await workloadRepository.findAll()).toHaveLength(19999);
+      } finally {
+        console.log.mockRestore();
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject exports without MeterCategory', async () => {
+      await expect(parseAzureCostExportStreaming(toBuffer('Service,Cost\nEC2,1'))).rejects.toThrow('MeterCategory');
+    });
+  });
+
+  describe('helpers', () => {
+    it('should detect Azure headers', () => {
+      expect(isAzureCostExportHeader(['MeterCategory', 'PreTaxCost'])).toBe(true);
+      expect(isAzureCostExportHeader(['lineItem/ProductCode', 'lineItem/UnblendedCost'])).toBe(false);
+    });
+
+    it('should parse tags with and without braces', () => {
+      expect(parseAzureTags('{"env": "prod"}')).toEqual({ env: 'prod' });
+      expect(parseAzureTags('"env": "prod","team": "web"')).toEqual({ env: 'prod', team: 'web' });
+      expect(parseAzureTags('not json')).toBeNull();
+      expect(parseAzureTags('')).toBeNull();
+    });
+
+    it('should normalize locations', () => {
+      expect(normalizeAzureLocation('East US 2')).toBe('eastus2');
+      expect(normalizeAzureLocation('Unassigned')).toBe('global');
+    });
+
+    it('should map meter categories to azureToGcpMapping services', () => {
+      expect(normalizeAzureMeterCategory('Storage', 'Tiered Block Blob')).toBe('Blob Storage');
+      expect(normalizeAzureMeterCategory('Storage', 'Files v2')).toBe('Files');
+      expect(normalizeAzureMeterCategory('SQL Database', 'Single vCore')).toBe('Azure SQL Database');
+      expect(normalizeAzureMeterCategory('Some New Service')).toBe('Some New Service');
+      expect(normalizeAzureMeterCategory('')).toBeNull();
+      expect(getAzureServiceType('Azure Kubernetes Service (AKS)')).toBe('container');
+      expect(getAzureServiceType('Some New Service')).toBe('application');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Azure VM Size Catalog Tests
+ */
+
+import { getAzureVmSpecs, azureVmSizeFromMeterName, AzureCpuVendor } from '../azureVmSizeCatalog.js';
+import { InstanceCategory, CpuArchitecture } from '../awsInstanceCatalog.js';
+
+describe('getAzureVmSpecs', () => {
+  test.each([
+    ['Standard_D4s_v5', 4, 16],
+    ['Standard_D2ls_v5', 2, 4],
+    ['Standard_E64s_v3', 64, 432],
+    ['Standard_E104s_v5', 104, 672],
+    ['Standard_F72s_v2', 72, 144],
+    ['Standard_DS3_v2', 4, 14],
+    ['Standard_D14_v2', 16, 112],
+    ['B1ls', 1, 0.5],
+    ['Standard_B2ms', 2, 8],
+    ['Standard_B4ls_v2', 4, 8],
+    ['Standard_A2m_v2', 2, 16],
+    ['Standard_M128ms', 128, 3800],
+    ['Standard_L16s_v3', 16, 128]
+  ])('%s has %i vCPU and %d GB', (vmSize, vcpu, memoryGb) => {
+    expect(getAzureVmSpecs(vmSize)).toMatchObject({ vcpu, memoryGb, inferred: false });
+  });
+
+  test('describes series, vendor, architecture, local disk and Premium SSD', () => {
+    expect(getAzureVmSpecs('standard_d4pds_v5')).toMatchObject({
+      instanceType: 'Standard_D4pds_v5',
+      family: 'Dpdsv5',
+      category: InstanceCategory.GENERAL_PURPOSE,
+      arch: CpuArchitecture.ARM64,
+      vendor: AzureCpuVendor.AMPERE,
+      localSsd: true,
+      premiumStorage: true
+    });
+    expect(getAzureVmSpecs('Standard_D8as_v6')).toMatchObject({ vendor: AzureCpuVendor.AMD, latestCpu: true, localSsd: false });
+    expect(getAzureVmSpecs('Standard_D4_v3').premiumStorage).toBe(false);
+    expect(getAzureVmSpecs('Standard_NC4as_T4_v3')).toMatchObject({ gpus: 1, gpuModel: 'NVIDIA T4', category: InstanceCategory.ACCELERATED });
+  });
+
+  test('keeps the full size memory for constrained vCPU sizes', () => {
+    expect(getAzureVmSpecs('Standard_E64-16ds_v4')).toMatchObject({
+      instanceType: 'Standard_E64-16ds_v4',
+      vcpu: 16,
+      memoryGb: 504,
+      constrainedVcpu: true
+    });
+  });
+
+  test('infers series missing from the catalog from the name', () => {
+    expect(getAzureVmSpecs('Standard_E8ps_v7')).toMatchObject({
+      family: 'Epsv7',
+      vcpu: 8,
+      memoryGb: 64,
+      arch: CpuArchitecture.ARM64,
+      vendor: AzureCpuVendor.COBALT,
+      inferred: true
+    });
+    expect(getAzureVmSpecs('Standard_D12s_v5')).toMatchObject({ vcpu: 12, memoryGb: 48, inferred: true });
+  });
+
+  test('returns null for sizes it cannot read', () => {
+    expect(getAzureVmSpecs('')).toBeNull();
+    expect(getAzureVmSpecs('Compute Hours')).toBeNull();
+    expect(getAzureVmSpecs('Standard_NV6ads_A10_v5')).toBeNull(); // GPU sizes are never inferred
+    expect(getAzureVmSpecs('Standard_HB120rs_v3')).toBeNull();
+  });
+});
+
+describe('azureVmSizeFromMeterName', () => {
+  test.each([
+    ['D4s v5', 'Standard_D4s_v5'],
+    ['D2 v2/DS2 v2', 'Standard_D2_v2'],
+    ['E16ads v5 Spot', 'Standard_E16ads_v5'],
+    ['B2ms Low Priority', 'Standard_B2ms'],
+    ['NC24ads A100 v4', 'Standard_NC24ads_A100_v4'],
+    ['Compute Hours', null],
+    ['1 vCPU VM License', null]
+  ])('reads %p', (meterName, expected) => {
+    expect(azureVmSizeFromMeterName(meterName)).toBe(expected);
+  });
+});
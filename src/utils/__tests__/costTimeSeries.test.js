@@ -0,0 +1,68 @@
+/**
+ * Cost Time Series Tests
+ */
+
+import {
+  addToCostSeries,
+  averageOverWindow,
+  costSeriesToArray,
+  getBaselineWindow,
+  getBillingMonths,
+  toBillingMonth
+} from '../costTimeSeries';
+
+describe('toBillingMonth', () => {
+  test('extracts the month of ISO dates and timestamps', () => {
+    expect(toBillingMonth('2024-03-01T00:00:00Z')).toBe('2024-03');
+    expect(toBillingMonth(' 2024-12-31 ')).toBe('2024-12');
+  });
+
+  test('reads MM/DD/YYYY dates of Azure EA and Cost Management exports', () => {
+    expect(toBillingMonth('03/01/2024')).toBe('2024-03');
+    expect(toBillingMonth('12/31/2024 00:00:00')).toBe('2024-12');
+    expect(toBillingMonth('3/5/2024')).toBe('2024-03');
+  });
+
+  test('returns null for missing or unrecognised dates', () => {
+    expect(toBillingMonth('')).toBeNull();
+    expect(toBillingMonth(null)).toBeNull();
+    expect(toBillingMonth('13/01/2024')).toBeNull();
+    expect(toBillingMonth('1 March 2024')).toBeNull();
+  });
+});
+
+describe('baseline window', () => {
+  const series = { '2024-01': 90, '2024-02': 30, '2024-03': 60 };
+
+  test('averages the last N billing months', () => {
+    const months = getBillingMonths([series, { '2023-12': 5 }, null]);
+    expect(months).toEqual(['2023-12', '2024-01', '2024-02', '2024-03']);
+
+    const window = getBaselineWindow(months, 2);
+    expect(window).toEqual(['2024-02', '2024-03']);
+    expect(averageOverWindow(series, window)).toBe(45);
+  });
+
+  test('counts months missing from a series as zero', () => {
+    expect(averageOverWindow({ '2024-03': 60 }, ['2024-02', '2024-03'])).toBe(30);
+    expect(averageOverWindow(series, [])).toBe(0);
+  });
+
+  test('falls back to the default window for invalid N', () => {
+    expect(getBaselineWindow(['a', 'b', 'c', 'd'], 'x')).toEqual(['b', 'c', 'd']);
+  });
+});
+
+describe('addToCostSeries', () => {
+  test('adds in cents and ignores rows without a month', () => {
+    const series = {};
+    addToCostSeries(series, '2024-01', 0.1);
+    addToCostSeries(series, '2024-01', 0.2);
+    addToCostSeries(series, null, 5);
+    expect(series).toEqual({ '2024-01': 0.3 });
+    expect(costSeriesToArray({ '2024-02': 2, '2024-01': 1 })).toEqual([
+      { month: '2024-01', cost: 1 },
+      { month: '2024-02', cost: 2 }
+    ]);
+  });
+});
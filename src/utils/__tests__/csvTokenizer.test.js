@@ -0,0 +1,102 @@
+/**
+ * CSV Tokenizer Tests
+ */
+
+import { parseCsvRecord, parseCsvNumber, parseCsv, detectDelimiter, stripBom, createCsvRecordReader } from '../csvTokenizer';
+import { parseCSV } from '../csvImport';
+import { parseAwsBillSimple } from '../awsBomImport';
+
+describe('parseCsvRecord', () => {
+  test('keeps delimiters and escaped quotes inside quoted fields', () => {
+    expect(parseCsvRecord('EC2,"Amazon Elastic Compute Cloud, Linux","say ""hi""",12.5'))
+      .toEqual(['EC2', 'Amazon Elastic Compute Cloud, Linux', 'say "hi"', '12.5']);
+  });
+
+  test('trims unquoted fields but not quoted content, and keeps empty fields', () => {
+    expect(parseCsvRecord('  a , " b ",,c,\r')).toEqual(['a', ' b ', '', 'c', '']);
+  });
+
+  test('splits on semicolons', () => {
+    expect(parseCsvRecord('a;"b;c";1,5', ';')).toEqual(['a', 'b;c', '1,5']);
+  });
+
+  test('runs an unterminated quote to the end of the record', () => {
+    expect(parseCsvRecord('a,"b,c')).toEqual(['a', 'b,c']);
+  });
+});
+
+describe('parseCsvNumber', () => {
+  test('reads decimal commas and thousands points in semicolon files only', () => {
+    expect(parseCsvNumber('1,5', ';')).toBe(1.5);
+    expect(parseCsvNumber('1.234,56', ';')).toBe(1234.56);
+    expect(parseCsvNumber('-0,25', ';')).toBe(-0.25);
+    expect(parseCsvNumber('2.75', ';')).toBe(2.75);
+    expect(parseCsvNumber('1.5')).toBe(1.5);
+    expect(parseCsvNumber('', ';')).toBeNaN();
+  });
+});
+
+describe('detectDelimiter and stripBom', () => {
+  test('detects semicolon headers and ignores delimiters inside quotes', () => {
+    expect(detectDelimiter('service;"cost, usd";region')).toBe(';');
+    expect(detectDelimiter('service,"a;b;c",region')).toBe(',');
+    expect(detectDelimiter('service')).toBe(',');
+  });
+
+  test('drops a leading byte order mark only', () => {
+    expect(stripBom('\uFEFFname')).toBe('name');
+    expect(stripBom('name')).toBe('name');
+  });
+});
+
+describe('createCsvRecordReader', () => {
+  test('joins lines while a quoted field is open', () => {
+    const reader = createCsvRecordReader();
+    expect(reader.push('1,"first')).toBeNull();
+    expect(reader.pending()).toBe('1,"first');
+    expect(reader.push('')).toBeNull();
+    expect(reader.push('last ""quoted"" line",2')).toBe('1,"first\n\nlast ""quoted"" line",2');
+    expect(reader.push('3,4')).toBe('3,4');
+    expect(reader.flush()).toBeNull();
+  });
+
+  test('reads a quote inside an unquoted field as a literal, as parseCsvRecord does', () => {
+    const reader = createCsvRecordReader();
+    expect(reader.push('AmazonEC2,vol-1,5" disk,10')).toBe('AmazonEC2,vol-1,5" disk,10');
+    expect(reader.push('AmazonEC2,vol-2,"20"" disk", 4')).toBe('AmazonEC2,vol-2,"20"" disk", 4');
+    expect(reader.push('AmazonS3;"a;b";x"y', ';')).toBe('AmazonS3;"a;b";x"y');
+    expect(reader.pending()).toBeNull();
+  });
+
+  test('gives up on a quote still open past maxRecordLength', () => {
+    const reader = createCsvRecordReader({ maxRecordLength: 20 });
+    expect(reader.push('1,"never closed')).toBeNull();
+    expect(reader.push('2,more text')).toBe('1,"never closed\n2,more text');
+    expect(reader.push('3,4')).toBe('3,4');
+  });
+});
+
+describe('parseCsv', () => {
+  test('parses BOM, embedded newlines, CRLF and blank lines', () => {
+    const text = '\uFEFFname,notes\r\nweb-1,"line one\r\nline two"\r\n\r\ndb-1,plain\r\n';
+    expect(parseCsv(text)).toEqual({
+      delimiter: ',',
+      rows: [['name', 'notes'], ['web-1', 'line one\r\nline two'], ['db-1', 'plain']]
+    });
+  });
+
+  test('gives parseCSV and parseAwsBillSimple quoted commas and semicolon files', () => {
+    const workloads = parseCSV('name;type;dependencies\n"web, frontend";vm;"db-1,cache-1"');
+    expect(workloads[0]).toMatchObject({ name: 'web, frontend', type: 'vm', dependencies: 'db-1,cache-1' });
+
+    const bill = parseAwsBillSimple('Service,Resource ID,Instance Type,Region,Monthly Cost\n"EC2","i-1, web",m5.large,us-east-1,1200.50');
+    expect(bill[0].id).toBe('i-1, web');
+  });
+
+  test('keeps the rows after a stray quote in an unquoted field', () => {
+    const text = 'service,description,cost\nEBS,5" disk,1\nEC2,web,2\nS3,bucket,3';
+    expect(parseCsv(text).rows).toEqual([
+      ['service', 'description', 'cost'], ['EBS', '5" disk', '1'], ['EC2', 'web', '2'], ['S3', 'bucket', '3']
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * CUR Cost Basis Tests
+ */
+
+import {
+  CostBasis,
+  createCostBasisCalculator,
+  describeCostBasis,
+  normalizeCostBasis,
+  summarizeCostBasis
+} from '../curCostBasis';
+import { detectCurSchemaProfile, resolveHeaderIndices } from '../curSchemaProfiles';
+
+const CUR2_HEADERS = [
+  'line_item_product_code',
+  'line_item_line_item_type',
+  'line_item_unblended_cost',
+  'line_item_net_unblended_cost',
+  'reservation_reservation_a_r_n',
+  'reservation_effective_cost',
+  'reservation_net_effective_cost',
+  'reservation_unused_amortized_upfront_fee_for_billing_period',
+  'reservation_unused_recurring_fee',
+  'savings_plan_savings_plan_effective_cost',
+  'savings_plan_net_savings_plan_effective_cost',
+  'savings_plan_total_commitment_to_date',
+  'savings_plan_used_commitment'
+];
+
+// Build a CUR 2.0 row from a partial { column: value } map
+const row = (cells) => CUR2_HEADERS.map(header => (cells[header] !== undefined ? String(cells[header]) : ''));
+
+const indicesFor = (headers) => resolveHeaderIndices(headers, detectCurSchemaProfile(headers));
+
+describe('curCostBasis', () => {
+  const indices = indicesFor(CUR2_HEADERS);
+
+  // One month of an account with a partial-upfront RI and a Savings Plan
+  const rows = [
+    row({ line_item_line_item_type: 'Usage', line_item_unblended_cost: 10, line_item_net_unblended_cost: 9 }),
+    row({ line_item_line_item_type: 'Fee', line_item_unblended_cost: 120, reservation_reservation_a_r_n: 'arn:aws:ec2:ri/1' }),
+    row({ line_item_line_item_type: 'DiscountedUsage', line_item_unblended_cost: 0, reservation_effective_cost: 7, reservation_net_effective_cost: 6 }),
+    row({ line_item_line_item_type: 'RIFee', line_item_unblended_cost: 5, reservation_unused_amortized_upfront_fee_for_billing_period: 1, reservation_unused_recurring_fee: 0.5 }),
+    row({ line_item_line_item_type: 'SavingsPlanCoveredUsage', line_item_unblended_cost: 20, savings_plan_savings_plan_effective_cost: 12, savings_plan_net_savings_plan_effective_cost: 11 }),
+    row({ line_item_line_item_type: 'SavingsPlanNegation', line_item_unblended_cost: -20 }),
+    row({ line_item_line_item_type: 'SavingsPlanRecurringFee', line_item_unblended_cost: 15, savings_plan_total_commitment_to_date: 15, savings_plan_used_commitment: 12 })
+  ];
+  const total = (basis) => rows.reduce((sum, values) => sum + createCostBasisCalculator(basis, indices)(values), 0);
+
+  test('unblended cost is the billed line item cost', () => {
+    expect(total(CostBasis.UNBLENDED)).toBeCloseTo(10 + 120 + 0 + 5 + 20 - 20 + 15);
+  });
+
+  test('amortized cost uses effective costs and drops upfront fees and negations', () => {
+    expect(total(CostBasis.AMORTIZED)).toBeCloseTo(10 + 0 + 7 + 1.5 + 12 + 0 + 3);
+  });
+
+  test('net amortized cost prefers the Net* columns', () => {
+    expect(total(CostBasis.NET_AMORTIZED)).toBeCloseTo(9 + 0 + 6 + 1.5 + 11 + 0 + 3);
+  });
+
+  test('FOCUS exports use EffectiveCost', () => {
+    const headers = ['BilledCost', 'EffectiveCost', 'ChargePeriodStart', 'ServiceName'];
+    const calculate = createCostBasisCalculator(CostBasis.AMORTIZED, indicesFor(headers));
+
+    expect(calculate(['100', '80', '2024-01-01', 'Compute'])).toBe(80);
+    expect(createCostBasisCalculator(CostBasis.UNBLENDED, indicesFor(headers))(['100', '80', '', ''])).toBe(100);
+  });
+
+  test('falls back to unblended when the export has no RI / Savings Plan columns', () => {
+    const headers = ['lineItem/ProductCode', 'lineItem/UnblendedCost'];
+    const headerIndices = indicesFor(headers);
+
+    expect(createCostBasisCalculator(CostBasis.AMORTIZED, headerIndices)(['AmazonEC2', '4.2'])).toBe(4.2);
+    expect(describeCostBasis(CostBasis.AMORTIZED, headerIndices)).toEqual({
+      id: CostBasis.UNBLENDED,
+      label: 'Unblended',
+      requested: CostBasis.AMORTIZED,
+      fallback: true
+    });
+    expect(describeCostBasis(CostBasis.AMORTIZED, indices).fallback).toBe(false);
+  });
+
+  test('normalizes unknown bases and summarizes fallback files', () => {
+    expect(normalizeCostBasis('blended')).toBe(CostBasis.UNBLENDED);
+    expect(summarizeCostBasis(CostBasis.AMORTIZED, [
+      { file: 'a.csv', fallback: false },
+      { file: 'b.csv', fallback: true }
+    ])).toEqual({ id: CostBasis.AMORTIZED, label: 'Amortized', fallbackFiles: ['b.csv'] });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * CUR Import Checkpoint Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CurImportCheckpointStatus,
+  describeImportSettings,
+  loadCurImportCheckpoint,
+  saveCurImportCheckpoint,
+  clearCurImportCheckpoint,
+  utf8ByteLength,
+  incompleteUtf8TailLength
+} from '../curImportCheckpoint';
+import { checkpointService } from '../checkpointService';
+import { parseAwsCurStreaming } from '../streamingCsvParser';
+import { FileSystemWorkloadRepository } from '../../infrastructure/repositories/FileSystemWorkloadRepository.js';
+import { Workload } from '../../domain/entities/Workload.js';
+
+// No IndexedDB in jsdom: keep checkpoints in memory, cloned like IndexedDB does
+jest.mock('../checkpointService', () => {
+  const stored = new Map();
+  return {
+    checkpointService: {
+      stored,
+      saveCheckpoint: async (sessionId, agentId, progress, status, data) => {
+        stored.set(`${sessionId}-${agentId}`, { sessionId, agentId, progress, status, data: JSON.parse(JSON.stringify(data)) });
+      },
+      getLastCheckpoint: async (sessionId, agentId) => stored.get(`${sessionId}-${agentId}`) || null,
+      clearCheckpoints: async (sessionId) => {
+        for (const [id, checkpoint] of stored) {
+          if (checkpoint.sessionId === sessionId) stored.delete(id);
+        }
+      }
+    }
+  };
+});
+
+describe('utf8ByteLength', () => {
+  test('counts multi-byte characters and surrogate pairs', () => {
+    expect(utf8ByteLength('abc')).toBe(3);
+    expect(utf8ByteLength('é')).toBe(2);
+    expect(utf8ByteLength('€')).toBe(3);
+    expect(utf8ByteLength('😀')).toBe(4);
+    expect(utf8ByteLength('a€😀')).toBe(new TextEncoder().encode('a€😀').length);
+  });
+});
+
+describe('incompleteUtf8TailLength', () => {
+  test('returns the bytes of a character split across chunks', () => {
+    const euro = new TextEncoder().encode('a€'); // 61 e2 82 ac
+    expect(incompleteUtf8TailLength(euro)).toBe(0);
+    expect(incompleteUtf8TailLength(euro.slice(0, 3))).toBe(2);
+    expect(incompleteUtf8TailLength(euro.slice(0, 2))).toBe(1);
+    expect(incompleteUtf8TailLength(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('CUR import checkpoints', () => {
+  const fileId = 'file-uuid-1';
+  const settings = describeImportSettings({ fileSize: 1000, costBasis: 'amortized', baselineLineItemTypes: ['Usage', 'Fee'] });
+
+  beforeEach(() => {
+    checkpointService.stored.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stores checkpoints in IndexedDB only', async () => {
+    jest.spyOn(checkpointService, 'saveCheckpoint');
+    await saveCurImportCheckpoint(fileId, CurImportCheckpointStatus.COMMITTED, { importSettings: settings, byteOffset: 400 }, 40);
+
+    expect(checkpointService.saveCheckpoint).toHaveBeenLastCalledWith(
+      fileId, 'cur-import', 40, CurImportCheckpointStatus.COMMITTED, expect.any(Object), { localBackup: false });
+  });
+
+  test('only resumes a committed checkpoint with the same import settings', async () => {
+    await saveCurImportCheckpoint(fileId, CurImportCheckpointStatus.COMMITTED, { importSettings: settings, byteOffset: 400 }, 40);
+
+    const state = await loadCurImportCheckpoint(fileId, settings);
+    expect(state.byteOffset).toBe(400);
+
+    const otherSettings = describeImportSettings({ fileSize: 1000, costBasis: 'unblended', baselineLineItemTypes: ['Usage', 'Fee'] });
+    expect(await loadCurImportCheckpoint(fileId, otherSettings)).toBeNull();
+  });
+
+  test('starts over when the import stopped while flushing', async () => {
+    await saveCurImportCheckpoint(fileId, CurImportCheckpointStatus.FLUSHING, { importSettings: settings }, 40);
+
+    expect(await loadCurImportCheckpoint(fileId, settings)).toBeNull();
+  });
+
+  test('clears the checkpoint of a file', async () => {
+    await saveCurImportCheckpoint(fileId, CurImportCheckpointStatus.COMMITTED, { importSettings: settings, byteOffset: 400 }, 40);
+    await clearCurImportCheckpoint(fileId);
+
+    expect(await loadCurImportCheckpoint(fileId, settings)).toBeNull();
+  });
+});
+
+// Blob read in small chunks whose stream can fail part way, like a tab closed during the import
+class ChunkedBlob extends Blob {
+  constructor(bytes, { chunkSize = 64, failAfterChunks = Infinity } = {}) {
+    super([bytes]);
+    this.bytes = bytes;
+    this.options = { chunkSize, failAfterChunks };
+  }
+
+  slice(start = 0, end = this.bytes.length) {
+    return new ChunkedBlob(this.bytes.subarray(start, end), this.options);
+  }
+
+  stream() {
+    const { chunkSize, failAfterChunks } = this.options;
+    let offset = 0;
+    let chunks = 0;
+    return {
+      getReader: () => ({
+        read: async () => {
+          if (chunks++ >= failAfterChunks) throw new Error('Import interrupted');
+          if (offset >= this.bytes.length) return { done: true, value: undefined };
+          const value = this.bytes.subarray(offset, offset + chunkSize);
+          offset += value.length;
+          return { done: false, value };
+        },
+        cancel: () => {}
+      })
+    };
+  }
+}
+
+describe('parseAwsCurStreaming with resumeFileId', () => {
+  const fileId = 'file-uuid-2';
+  let directory;
+
+  // i-0 and i-1 are billed again after the first checkpoint, so resumed rows merge into flushed workloads
+  const lines = ['lineItem/UsageAccountId,lineItem/ProductCode,lineItem/ResourceId,lineItem/UnblendedCost,product/region,lineItem/UsageStartDate'];
+  for (let i = 0; i < 40; i++) {
+    lines.push(`123456789012,AmazonEC2,i-${i % 12},${(i + 1).toFixed(2)},us-east-1,2024-05-0${(i % 9) + 1}T00:00:00Z`);
+  }
+  const bytes = new TextEncoder().encode(lines.join('\n'));
+
+  const costsById = (workloads) => Object.fromEntries(workloads.map(workload => [workload.id, workload.monthlyCost.amount]));
+
+  beforeEach(() => {
+    checkpointService.stored.clear();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'infracc-checkpoint-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('continues an interrupted import from the last checkpoint with the same totals as a full parse', async () => {
+    const options = { resumeFileId: fileId, checkpointIntervalBytes: 256 };
+
+    await expect(parseAwsCurStreaming(new ChunkedBlob(bytes, { failAfterChunks: 20 }), null, {
+      ...options,
+      workloadRepository: new FileSystemWorkloadRepository({ directory })
+    })).rejects.toThrow('Import interrupted');
+    const checkpoint = checkpointService.stored.get(`${fileId}-cur-import`);
+    expect(checkpoint.status).toBe(CurImportCheckpointStatus.COMMITTED);
+    expect(checkpoint.data.byteOffset).toBeGreaterThan(0);
+    expect(checkpoint.data.byteOffset).toBeLessThan(bytes.length);
+    expect(checkpoint.data.flushedDedupeKeys).toBeUndefined();
+
+    // A new session: the repository is read back from storage
+    const resumed = await parseAwsCurStreaming(new ChunkedBlob(bytes), null, {
+      ...options,
+      workloadRepository: new FileSystemWorkloadRepository({ directory })
+    });
+    const full = await parseAwsCurStreaming(bytes.buffer);
+
+    expect(resumed._metadata.resumedFromByteOffset).toBe(checkpoint.data.byteOffset);
+    expect(resumed).toHaveLength(12);
+    expect(costsById(resumed)).toEqual(costsById(full));
+    expect(resumed._metadata.totalRawCost).toBeCloseTo(full._metadata.totalRawCost);
+    expect(resumed._metadata.costByMonth).toEqual(full._metadata.costByMonth);
+    expect(checkpointService.stored.size).toBe(0);
+  });
+
+  test('leaves flushed workloads in a scratch repository and clears it when the import starts over', async () => {
+    const workloadRepository = new FileSystemWorkloadRepository({ directory });
+    // Left by an earlier run whose checkpoint is gone
+    await workloadRepository.saveManyImmediate([new Workload({ id: 'i-stale', name: 'i-stale', service: 'EC2', region: 'us-east-1', monthlyCost: 99 })]);
+
+    const result = await parseAwsCurStreaming(new ChunkedBlob(bytes), null, {
+      resumeFileId: fileId,
+      checkpointIntervalBytes: 256,
+      workloadRepository,
+      scratchRepository: true
+    });
+    const full = await parseAwsCurStreaming(bytes.buffer);
+
+    const stored = [];
+    await workloadRepository.forEachStored(workload => stored.push(workload));
+    expect(result).toHaveLength(0);
+    expect(result._metadata.storedWorkloads).toBe(12);
+    expect(result._metadata.uniqueWorkloads).toBe(12);
+    expect(result._metadata.totalAggregatedCost).toBeCloseTo(full._metadata.totalAggregatedCost);
+    expect(costsById(stored)).toEqual(costsById(full));
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * CUR Ingestion Report Tests
+ */
+
+import {
+  RejectionReason,
+  MAX_REJECTED_ROWS,
+  createIngestionReport,
+  recordRejectedRow,
+  recordUnknownProductCode,
+  mergeIngestionReports,
+  summarizeIngestionReport,
+  rejectedRowsToCsv
+} from '../curIngestionReport';
+import { createRedactor } from '../redaction';
+
+describe('recordRejectedRow', () => {
+  test('counts every row but keeps at most MAX_REJECTED_ROWS', () => {
+    const report = createIngestionReport('cur.csv');
+    for (let i = 0; i < MAX_REJECTED_ROWS + 5; i++) {
+      recordRejectedRow(report, RejectionReason.TAX, { lineNumber: i + 2, productCode: 'tax', cost: 1, values: ['tax', '1'] });
+    }
+
+    expect(report.reasons.tax).toEqual({ reason: 'tax', rows: MAX_REJECTED_ROWS + 5, cost: MAX_REJECTED_ROWS + 5 });
+    expect(report.rejectedRows).toHaveLength(MAX_REJECTED_ROWS);
+    expect(report.rejectedRowsDropped).toBe(5);
+    expect(report.rejectedRows[0]).toEqual({ file: 'cur.csv', lineNumber: 2, reason: 'tax', productCode: 'tax', cost: 1, raw: 'tax,1' });
+  });
+});
+
+describe('mergeIngestionReports', () => {
+  test('adds up reasons and product codes across files', () => {
+    const a = createIngestionReport('a.csv');
+    const b = createIngestionReport('b.csv');
+    recordRejectedRow(a, RejectionReason.NO_PRODUCT_CODE, { lineNumber: 2, productCode: '', cost: 3, values: [] });
+    recordRejectedRow(b, RejectionReason.NO_PRODUCT_CODE, { lineNumber: 7, productCode: '', cost: 2, values: [] });
+    recordUnknownProductCode(a, 'AmazonNew', 5, 'NEW');
+    recordUnknownProductCode(b, 'AmazonNew', 1, 'NEW');
+
+    const merged = mergeIngestionReports([a, null, b]);
+
+    expect(merged.reasons['no-product-code']).toEqual({ reason: 'no-product-code', rows: 2, cost: 5 });
+    expect(merged.unknownProductCodes.AmazonNew).toEqual({ productCode: 'AmazonNew', service: 'NEW', rows: 2, cost: 6 });
+    expect(merged.rejectedRows.map(row => row.file)).toEqual(['a.csv', 'b.csv']);
+  });
+});
+
+describe('summarizeIngestionReport', () => {
+  test('ranks unknown product codes by spend and totals the rejections', () => {
+    const report = createIngestionReport();
+    recordUnknownProductCode(report, 'Small', 1);
+    recordUnknownProductCode(report, 'Large', 50);
+    recordRejectedRow(report, RejectionReason.TAX, { lineNumber: 2, productCode: 'tax', cost: 4, values: [] });
+    recordRejectedRow(report, RejectionReason.ZERO_COST, { lineNumber: 3, productCode: 'AmazonS3', cost: 0, values: [] });
+
+    const summary = summarizeIngestionReport(report, 1);
+
+    expect(summary.topUnknownProductCodes.map(entry => entry.productCode)).toEqual(['Large']);
+    expect(summary.unknownProductCodeCost).toBe(51);
+    expect(summary.totalRejectedRows).toBe(2);
+    expect(summary.totalRejectedCost).toBe(4);
+    expect(summary.reasons.find(entry => entry.reason === 'tax').label).toBe('Tax');
+    expect(summary.rejectedRowsCapped).toBe(false);
+  });
+});
+
+describe('rejectedRowsToCsv', () => {
+  test('writes a reason column and quotes the raw row', () => {
+    const report = createIngestionReport('cur.csv');
+    recordRejectedRow(report, RejectionReason.NO_PRODUCT_CODE, { lineNumber: 4, productCode: '', cost: 2.5, values: ['', 'Name, with comma', '2.5'] });
+
+    const lines = rejectedRowsToCsv(report).split('\n');
+
+    expect(lines[0]).toBe('source_file,line_number,reason,product_code,cost,raw_row');
+    expect(lines[1]).toBe('cur.csv,4,no-product-code,,2.5,",""Name, with comma"",2.5"');
+  });
+
+  test('pseudonymises account IDs and ARNs in anonymisation mode', () => {
+    const report = createIngestionReport('cur-123456789012.csv');
+    const arn = 'arn:aws:ec2:us-east-1:123456789012:instance/i-0abc123def4567890';
+    recordRejectedRow(report, RejectionReason.NO_PRODUCT_CODE, { lineNumber: 2, productCode: '', cost: 1, values: ['123456789012', arn, '1'] });
+
+    const csv = rejectedRowsToCsv(report, { redactor: createRedactor('salt') });
+    expect(csv).not.toContain('123456789012');
+    expect(csv).not.toContain('i-0abc123def4567890');
+    expect(csv.split('\n')[1]).toMatch(/^cur-account-\w+\.csv,2,no-product-code,/);
+  });
+});
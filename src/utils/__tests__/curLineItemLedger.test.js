@@ -0,0 +1,82 @@
+/**
+ * CUR Line Item Ledger Tests
+ */
+
+import {
+  LineItemType,
+  DEFAULT_BASELINE_LINE_ITEM_TYPES,
+  classifyLineItemType,
+  createLineItemLedger,
+  recordLineItem,
+  mergeLineItemLedgers,
+  reconcileLineItemLedger,
+  resolveBaselineLineItemTypes
+} from '../curLineItemLedger';
+
+describe('classifyLineItemType', () => {
+  test('uses the line item type column when present', () => {
+    expect(classifyLineItemType(' Credit ', 'AmazonEC2')).toBe(LineItemType.CREDIT);
+    expect(classifyLineItemType('BundledDiscount', 'AmazonEC2')).toBe('BundledDiscount');
+  });
+
+  test('infers tax from the product code when the export has no type column', () => {
+    expect(classifyLineItemType('', 'tax')).toBe(LineItemType.TAX);
+    expect(classifyLineItemType('', 'AmazonS3')).toBe(LineItemType.UNSPECIFIED);
+  });
+});
+
+describe('resolveBaselineLineItemTypes', () => {
+  test('defaults to usage and commitment fees only', () => {
+    const types = resolveBaselineLineItemTypes();
+    expect(types.size).toBe(DEFAULT_BASELINE_LINE_ITEM_TYPES.length);
+    expect(types.has(LineItemType.USAGE)).toBe(true);
+    expect(types.has(LineItemType.RI_FEE)).toBe(true);
+    expect(types.has(LineItemType.CREDIT)).toBe(false);
+    expect(types.has(LineItemType.TAX)).toBe(false);
+    expect(types.has(LineItemType.EDP_DISCOUNT)).toBe(false);
+  });
+
+  test('uses the user selection when given', () => {
+    const types = resolveBaselineLineItemTypes([LineItemType.USAGE, LineItemType.CREDIT]);
+    expect(Array.from(types)).toEqual([LineItemType.USAGE, LineItemType.CREDIT]);
+  });
+});
+
+describe('reconcileLineItemLedger', () => {
+  test('ties the invoice total to the baseline', () => {
+    const ledger = createLineItemLedger();
+    recordLineItem(ledger, LineItemType.USAGE, 100, 100, true);
+    recordLineItem(ledger, LineItemType.SAVINGS_PLAN_COVERED_USAGE, 50, 30, true);
+    recordLineItem(ledger, LineItemType.CREDIT, -20, -20, false);
+    recordLineItem(ledger, LineItemType.TAX, 15, 15, false);
+
+    const reconciliation = reconcileLineItemLedger(ledger);
+
+    expect(reconciliation.invoiceTotal).toBe(145);
+    expect(reconciliation.excludedTotal).toBe(-5);
+    expect(reconciliation.costBasisAdjustment).toBe(-20);
+    expect(reconciliation.baselineTotal).toBe(130);
+    expect(reconciliation.invoiceTotal - reconciliation.excludedTotal + reconciliation.costBasisAdjustment)
+      .toBe(reconciliation.baselineTotal);
+    expect(reconciliation.entries.map(entry => entry.type)).toEqual([
+      LineItemType.USAGE,
+      LineItemType.SAVINGS_PLAN_COVERED_USAGE,
+      LineItemType.CREDIT,
+      LineItemType.TAX
+    ]);
+  });
+
+  test('merges ledgers from several files', () => {
+    const first = createLineItemLedger();
+    recordLineItem(first, LineItemType.USAGE, 10, 10, true);
+    const second = createLineItemLedger();
+    recordLineItem(second, LineItemType.USAGE, 5, 5, true);
+    recordLineItem(second, LineItemType.REFUND, -3, -3, false);
+
+    const merged = mergeLineItemLedgers([first, null, second]);
+
+    expect(merged[LineItemType.USAGE]).toMatchObject({ rows: 2, unblendedCost: 15, cost: 15 });
+    expect(merged[LineItemType.REFUND]).toMatchObject({ rows: 1, includedInBaseline: false });
+    expect(first[LineItemType.USAGE].rows).toBe(1);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * CUR Resource Sampler Tests
+ */
+
+import { parseAwsCurStreaming } from '../streamingCsvParser';
+import {
+  normalizeSamplingOptions,
+  mergeSamplingSummaries,
+  estimateSampledTotals,
+  MIN_RESOURCES_PER_STRATUM
+} from '../curResourceSampler';
+
+const HEADER = ['line_item_product_code', 'line_item_resource_id', 'line_item_usage_start_date', 'line_item_unblended_cost', 'product_region'];
+
+// 300 EC2 instances in us-east-1 over two months, and 4 S3 buckets in eu-west-1
+const curRows = () => {
+  const rows = [];
+  for (let i = 0; i < 300; i++) {
+    rows.push(['AmazonEC2', `i-${i}`, '2024-01-05T00:00:00Z', String(1 + (i % 7) * 2.37)]);
+    rows.push(['AmazonEC2', `i-${i}`, '2024-02-05T00:00:00Z', String(0.5 + (i % 3))]);
+  }
+  for (let i = 0; i < 4; i++) {
+    rows.push(['AmazonS3', `bucket-${i}`, '2024-01-05T00:00:00Z', '12.34']);
+  }
+  return rows.map(row => row.length === 4 ? [...row, row[0] === 'AmazonS3' ? 'eu-west-1' : 'us-east-1'] : row);
+};
+
+const parseSampled = (rows, sampling) => {
+  async function* rowSource() {
+    yield { rows: [HEADER, ...rows], bytesProcessed: 100 };
+  }
+  return parseAwsCurStreaming({ size: 100 }, null, { rowSource: rowSource(), sampling });
+};
+
+const sumCost = (workloads) => Math.round(workloads.reduce((sum, workload) => sum + workload.monthlyCost.amount, 0) * 100) / 100;
+
+describe('normalizeSamplingOptions', () => {
+  test('is off unless asked for, and never below the minimum reservoir size', () => {
+    expect(normalizeSamplingOptions(null)).toBeNull();
+    expect(normalizeSamplingOptions(0)).toBeNull();
+    expect(normalizeSamplingOptions(3)).toEqual({ resourcesPerStratum: MIN_RESOURCES_PER_STRATUM });
+    expect(normalizeSamplingOptions({ resourcesPerStratum: '250' })).toEqual({ resourcesPerStratum: 250 });
+  });
+});
+
+describe('parseAwsCurStreaming sampling mode', () => {
+  test('keeps a reservoir per service and region and reconciles costs exactly with the bill', async () => {
+    const result = await parseSampled(curRows(), 20);
+    const ec2 = result.filter(workload => workload.service === 'EC2');
+    const s3 = result.filter(workload => workload.service === 'S3');
+    const sampling = result._metadata.sampling;
+
+    expect(ec2).toHaveLength(20);
+    expect(s3).toHaveLength(4);
+    expect(sumCost(result)).toBe(Math.round(result._metadata.totalRawCost * 100) / 100);
+    expect(sumCost(s3)).toBe(49.36);
+
+    // Each billing month of a stratum is scaled to its exact total too
+    const january = ec2.reduce((sum, workload) => sum + (workload.costByMonth['2024-01'] || 0), 0);
+    const januaryTotal = curRows().filter(row => row[0] === 'AmazonEC2' && row[2].startsWith('2024-01'))
+      .reduce((sum, row) => sum + Math.round(parseFloat(row[3]) * 100) / 100, 0);
+    expect(january).toBeCloseTo(januaryTotal, 2);
+
+    const ec2Stratum = sampling.strata.find(stratum => stratum.service === 'EC2');
+    const s3Stratum = sampling.strata.find(stratum => stratum.service === 'S3');
+    expect(ec2Stratum).toMatchObject({ rows: 600, sampledResources: 20, census: false });
+    expect(ec2Stratum.resourcesLow).toBeLessThan(300);
+    expect(ec2Stratum.resourcesHigh).toBeGreaterThan(300);
+    expect(s3Stratum).toMatchObject({ sampledResources: 4, estimatedResources: 4, resourcesLow: 4, resourcesHigh: 4, census: true });
+    expect(sampling.sampledResources).toBe(24);
+    expect(sampling.sampledStrata).toBe(1);
+  });
+
+  test('samples the same resources whatever the row order', async () => {
+    const forward = await parseSampled(curRows(), 20);
+    const reversed = await parseSampled(curRows().reverse(), 20);
+
+    const ids = (workloads) => workloads.map(workload => workload.id).sort();
+    expect(ids(reversed)).toEqual(ids(forward));
+  });
+});
+
+describe('estimateSampledTotals', () => {
+  test('gives census strata exact totals and sampled strata an interval around the estimate', async () => {
+    const result = await parseSampled(curRows(), 20);
+    const sampling = result._metadata.sampling;
+
+    const classify = (workload) => {
+      if (workload.service === 'S3') return 'storage';
+      return parseInt(workload.id.slice(2), 10) % 2 === 0 ? 'even' : 'odd';
+    };
+    const estimates = estimateSampledTotals(result, sampling, classify);
+
+    expect(estimates.storage.count).toEqual({ estimate: 4, low: 4, high: 4 });
+    expect(estimates.storage.cost.estimate).toBeCloseTo(49.36, 2);
+    expect(estimates.storage.cost.high - estimates.storage.cost.low).toBeCloseTo(0, 6);
+    const ec2Cost = sampling.strata.find(stratum => stratum.service === 'EC2').totalCost;
+    expect(estimates.even.cost.estimate + estimates.odd.cost.estimate).toBeCloseTo(ec2Cost, 2);
+    expect(estimates.even.cost.low).toBeLessThan(estimates.even.cost.estimate);
+    expect(estimates.even.cost.high).toBeGreaterThan(estimates.even.cost.estimate);
+    expect(estimates.odd.count.low).toBeLessThan(estimates.odd.count.estimate);
+  });
+});
+
+describe('mergeSamplingSummaries', () => {
+  test('adds up strata with the same service and region across files', async () => {
+    const a = (await parseSampled(curRows(), 20))._metadata.sampling;
+    const b = (await parseSampled(curRows(), 20))._metadata.sampling;
+
+    const merged = mergeSamplingSummaries([a, null, b]);
+
+    const ec2 = merged.strata.find(stratum => stratum.service === 'EC2');
+    expect(ec2.rows).toBe(1200);
+    expect(ec2.sampledResources).toBe(40);
+    expect(merged.totalCost).toBeCloseTo(a.totalCost * 2, 2);
+    expect(merged.estimatedResources.estimate).toBeCloseTo(a.estimatedResources.estimate * 2, 6);
+    expect(mergeSamplingSummaries([null])).toBeNull();
+  });
+});
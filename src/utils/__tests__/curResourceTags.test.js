@@ -0,0 +1,46 @@
+/**
+ * CUR Resource Tags Tests
+ */
+
+import { resolveTagColumns, extractRowTags } from '../curResourceTags';
+
+describe('curResourceTags', () => {
+  test('resolves CUR 1.0 user tag columns and ignores AWS-generated tags', () => {
+    const headers = ['lineItem/ProductCode', 'resourceTags/user:app', 'resourceTags/aws:createdBy', 'resourceTags/user:cost-center'];
+    const columns = resolveTagColumns(headers);
+
+    expect(columns).toEqual([
+      { index: 1, key: 'app', map: false, stripPrefix: null },
+      { index: 3, key: 'cost-center', map: false, stripPrefix: null }
+    ]);
+    expect(extractRowTags(['AmazonEC2', 'web', 'root', ''], columns)).toEqual({ app: 'web' });
+  });
+
+  test('resolves flattened CUR 2.0 tag columns', () => {
+    const columns = resolveTagColumns(['line_item_product_code', 'resource_tags_user_env', 'resource_tags_owner', 'resource_tags_aws_created_by']);
+
+    expect(columns.map(column => column.key)).toEqual(['env', 'owner']);
+    expect(extractRowTags(['AmazonS3', 'prod', 'team-a', 'IAMUser:AIDA:alice'], columns)).toEqual({ env: 'prod', owner: 'team-a' });
+  });
+
+  test('reads the CUR 2.0 resource_tags map keeping only user tags', () => {
+    const columns = resolveTagColumns(['line_item_product_code', 'resource_tags']);
+    const cell = JSON.stringify({ user_app: 'web', user_env: ' prod ', aws_createdBy: 'root' });
+
+    expect(extractRowTags(['AmazonEC2', cell], columns)).toEqual({ app: 'web', env: 'prod' });
+  });
+
+  test('reads the FOCUS Tags map', () => {
+    const columns = resolveTagColumns(['ServiceName', 'Tags']);
+
+    expect(extractRowTags(['Compute', '{"app":"web"}'], columns)).toEqual({ app: 'web' });
+  });
+
+  test('returns null for rows without tags and malformed maps', () => {
+    const columns = resolveTagColumns(['resource_tags']);
+
+    expect(extractRowTags([''], columns)).toBeNull();
+    expect(extractRowTags(['{not json'], columns)).toBeNull();
+    expect(extractRowTags(['x'], [])).toBeNull();
+  });
+});
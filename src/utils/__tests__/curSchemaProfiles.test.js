@@ -0,0 +1,107 @@
+/**
+ * CUR Schema Profile Tests
+ */
+
+import {
+  CurSchemaProfileId,
+  detectCurSchemaProfile,
+  resolveHeaderIndices,
+  describeSchemaProfile
+} from '../curSchemaProfiles';
+
+describe('curSchemaProfiles', () => {
+  describe('detectCurSchemaProfile', () => {
+    test('detects CUR 1.0 headers regardless of case', () => {
+      const headers = ['LineItem/UsageAccountId', 'LineItem/ProductCode', 'LineItem/UnblendedCost'];
+      expect(detectCurSchemaProfile(headers).id).toBe(CurSchemaProfileId.CUR_1);
+    });
+
+    test('detects CUR 2.0 headers', () => {
+      const headers = ['line_item_usage_account_id', 'line_item_product_code', 'line_item_unblended_cost'];
+      expect(detectCurSchemaProfile(headers).id).toBe(CurSchemaProfileId.CUR_2);
+    });
+
+    test('detects FOCUS headers', () => {
+      const headers = ['BilledCost', 'ChargePeriodStart', 'ServiceName', 'ResourceId'];
+      expect(detectCurSchemaProfile(headers).id).toBe(CurSchemaProfileId.FOCUS);
+    });
+
+    test('ignores a UTF-8 BOM on the first header', () => {
+      const headers = ['\uFEFFline_item_product_code', 'line_item_unblended_cost'];
+      expect(detectCurSchemaProfile(headers).id).toBe(CurSchemaProfileId.CUR_2);
+    });
+
+    test('falls back to the generic profile', () => {
+      const headers = ['Service', 'Resource ID', 'Monthly Cost ($)'];
+      expect(detectCurSchemaProfile(headers).id).toBe(CurSchemaProfileId.GENERIC);
+    });
+  });
+
+  describe('resolveHeaderIndices', () => {
+    test('maps linked account columns for each profile', () => {
+      const cur1 = ['lineItem/UsageAccountId', 'lineItem/ProductCode', 'lineItem/UnblendedCost'];
+      expect(resolveHeaderIndices(cur1, detectCurSchemaProfile(cur1)).accountId).toBe(0);
+
+      const cur2 = ['line_item_product_code', 'line_item_unblended_cost', 'line_item_usage_account_id', 'line_item_usage_account_name'];
+      const cur2Indices = resolveHeaderIndices(cur2, detectCurSchemaProfile(cur2));
+      expect(cur2Indices.accountId).toBe(2);
+      expect(cur2Indices.accountName).toBe(3);
+
+      const focus = ['BilledCost', 'ChargePeriodStart', 'SubAccountId', 'SubAccountName'];
+      const focusIndices = resolveHeaderIndices(focus, detectCurSchemaProfile(focus));
+      expect(focusIndices.accountId).toBe(2);
+      expect(focusIndices.accountName).toBe(3);
+    });
+
+    test('maps CUR 1.0 columns exactly instead of by substring', () => {
+      const headers = [
+        'pricing/publicOnDemandCost',
+        'resourceTags/user:resource-owner',
+        'lineItem/ProductCode',
+        'lineItem/ResourceId',
+        'lineItem/UnblendedCost'
+      ];
+      const profile = detectCurSchemaProfile(headers);
+      const indices = resolveHeaderIndices(headers, profile);
+
+      expect(indices.cost).toBe(4);
+      expect(indices.resourceId).toBe(3);
+      expect(indices.productCode).toBe(2);
+    });
+
+    test('maps FOCUS columns and prefers x_ServiceCode over ServiceName', () => {
+      const headers = ['ServiceName', 'x_ServiceCode', 'BilledCost', 'ChargePeriodStart', 'RegionId', 'ResourceId'];
+      const profile = detectCurSchemaProfile(headers);
+      const indices = resolveHeaderIndices(headers, profile);
+
+      expect(indices.productCode).toBe(1);
+      expect(indices.cost).toBe(2);
+      expect(indices.usageStartDate).toBe(3);
+      expect(indices.region).toBe(4);
+      expect(indices.resourceId).toBe(5);
+      expect(indices.instanceType).toBe(-1);
+    });
+
+    test('returns -1 for columns that are absent', () => {
+      const headers = ['line_item_product_code', 'line_item_unblended_cost'];
+      const indices = resolveHeaderIndices(headers, detectCurSchemaProfile(headers));
+
+      expect(indices.resourceId).toBe(-1);
+      expect(indices.region).toBe(-1);
+    });
+  });
+
+  describe('describeSchemaProfile', () => {
+    test('reports the profile and the header used for each field', () => {
+      const headers = ['line_item_product_code', 'line_item_unblended_cost', 'product_region_code'];
+      const profile = detectCurSchemaProfile(headers);
+      const description = describeSchemaProfile(headers, profile, resolveHeaderIndices(headers, profile));
+
+      expect(description.id).toBe(CurSchemaProfileId.CUR_2);
+      expect(description.label).toBe('AWS CUR 2.0');
+      expect(description.columns.cost).toBe('line_item_unblended_cost');
+      expect(description.columns.region).toBe('product_region_code');
+      expect(description.columns.resourceId).toBeNull();
+    });
+  });
+});
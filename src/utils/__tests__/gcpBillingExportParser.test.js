@@ -0,0 +1,101 @@
+/**
+ * GCP Billing Export Parser Tests
+ */
+
+import {
+  parseGcpBillingExport,
+  detectGcpBillingExportFormat,
+  sumCredits,
+  normalizeLabels,
+  GcpBillingExportFormat
+} from '../gcpBillingExportParser';
+
+const toBuffer = (text) => new TextEncoder().encode(text).buffer;
+
+describe('gcpBillingExportParser', () => {
+  describe('parseGcpBillingExport', () => {
+    it('should aggregate a JSONL export by service, month and workload label', async () => {
+      const rows = [
+        {
+          service: { id: '6F81-5844-456A', description: 'Compute Engine' },
+          project: { id: 'prod-project' },
+          labels: [{ key: 'workload-id', value: 'i-0abc' }],
+          cost: 100,
+          currency: 'USD',
+          credits: [{ name: 'Sustained use discount', amount: -10 }],
+          invoice: { month: '202403' }
+        },
+        {
+          service: { description: 'Cloud SQL' },
+          resource: { name: 'projects/prod-project/instances/orders-db' },
+          cost: 50.5,
+          currency: 'USD',
+          invoice: { month: '202404' }
+        },
+        {
+          service: { description: 'Networking' },
+          cost: 5,
+          usage_start_time: '2024-04-02T00:00:00Z'
+        }
+      ];
+      const jsonl = rows.map(row => JSON.stringify(row)).join('\n') + '\nnot json\n';
+
+      const result = await parseGcpBillingExport(toBuffer(jsonl), null, { format: GcpBillingExportFormat.JSONL });
+
+      expect(result.totalRows).toBe(3);
+      expect(result.skippedRows.malformed).toBe(1);
+      expect(result.totalCost).toBeCloseTo(145.5, 2);
+      expect(result.totalCredits).toBe(-10);
+      expect(result.currency).toBe('USD');
+      expect(result.costByMonth).toEqual({ '2024-03': 90, '2024-04': 55.5 });
+      expect(result.services['Compute Engine'].cost).toBe(90);
+      expect(result.matchKeys['i-0abc']).toEqual({ cost: 90, source: 'label', services: { 'Compute Engine': 90 } });
+      expect(result.matchKeys['orders-db'].source).toBe('resource');
+      expect(result.unmatchedCost).toBe(5);
+      expect(result.projects).toEqual(['prod-project']);
+    });
+
+    it('should read flattened CSV exports with JSON label and credit cells', async () => {
+      const csv = [
+        '﻿Service description,Project ID,Cost,Currency,Credits,Invoice month,Labels',
+        'Compute Engine,prod,20,EUR,"[{""name"":""CUD"",""amount"":-4}]",202405,"[{""key"":""Workload-ID"",""value"":""web-1""}]"',
+        'Cloud Storage,prod,3.5,EUR,,202405,'
+      ].join('\r\n');
+
+      const result = await parseGcpBillingExport(toBuffer(csv), null, { format: GcpBillingExportFormat.CSV });
+
+      expect(result.totalCost).toBeCloseTo(19.5, 2);
+      expect(result.currency).toBe('EUR');
+      expect(result.matchKeys['web-1'].cost).toBe(16);
+      expect(result.services['Cloud Storage'].costByMonth).toEqual({ '2024-05': 3.5 });
+    });
+
+    it('should detect the format from the content when no file name is available', async () => {
+      const result = await parseGcpBillingExport(toBuffer('{"service":{"description":"BigQuery"},"cost":2}\n'));
+
+      expect(result.format).toBe(GcpBillingExportFormat.JSONL);
+      expect(result.services.BigQuery.cost).toBe(2);
+    });
+
+    it('should reject CSV exports without a cost column', async () => {
+      await expect(parseGcpBillingExport(toBuffer('service,amount\nEC2,1'), null, { format: 'csv' }))
+        .rejects.toThrow('no cost column');
+    });
+  });
+
+  describe('helpers', () => {
+    it('should detect the format from the file name', () => {
+      expect(detectGcpBillingExportFormat('billing.jsonl.gz')).toBe('jsonl');
+      expect(detectGcpBillingExportFormat('billing.csv')).toBe('csv');
+      expect(detectGcpBillingExportFormat('export', '{"cost": 1}')).toBe('jsonl');
+    });
+
+    it('should sum credits and normalize labels', () => {
+      expect(sumCredits([{ amount: -1.5 }, { amount: -0.5 }])).toBe(-2);
+      expect(sumCredits('-3')).toBe(-3);
+      expect(sumCredits('')).toBe(0);
+      expect(normalizeLabels('{"Env":"prod"}')).toEqual({ env: 'prod' });
+      expect(normalizeLabels(null)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * GCP Database Tier Matcher Tests
+ */
+
+import { matchDatabaseTier, GcpDatabaseProduct, CloudSqlEdition } from '../gcpDatabaseTierMatcher.js';
+import { DatabaseEngine, DatabaseStorageType } from '../rdsUsageProfile.js';
+
+describe('matchDatabaseTier', () => {
+  test('matches MySQL and PostgreSQL to the cheapest Cloud SQL tier', () => {
+    const match = matchDatabaseTier({ engine: DatabaseEngine.MYSQL, vcpu: 2, memoryGb: 8, storageGb: 100 });
+
+    expect(match).toMatchObject({
+      product: GcpDatabaseProduct.CLOUD_SQL,
+      productLabel: 'Cloud SQL for MySQL',
+      edition: CloudSqlEdition.ENTERPRISE,
+      tier: 'db-custom-2-8192',
+      highAvailability: false,
+      storageType: 'SSD',
+      storageGb: 100,
+      backupGb: 100
+    });
+    expect(match.monthly.storage).toBeCloseTo(17);
+    expect(match.monthly.total).toBeCloseTo(match.monthly.instance + match.monthly.storage + match.monthly.backup);
+    expect(match.reason).toBe('Enterprise: cheapest edition; same 2 vCPU / 8 GB');
+  });
+
+  test('uses shared-core tiers for burstable classes and the Cloud SQL storage minimum', () => {
+    const match = matchDatabaseTier({ engine: DatabaseEngine.POSTGRESQL, vcpu: 2, memoryGb: 1, category: 'burstable', storageGb: 5 });
+    expect(match.tier).toBe('db-g1-small');
+    expect(match.storageGb).toBe(10);
+    expect(match.backupGb).toBe(5);
+  });
+
+  test('doubles instance and storage prices for Multi-AZ', () => {
+    const single = matchDatabaseTier({ engine: DatabaseEngine.MYSQL, vcpu: 2, memoryGb: 8, storageGb: 100 });
+    const multiAz = matchDatabaseTier({ engine: DatabaseEngine.MYSQL, vcpu: 2, memoryGb: 8, storageGb: 100, multiAz: true });
+
+    expect(multiAz.highAvailability).toBe(true);
+    expect(multiAz.monthly.instance).toBeCloseTo(single.monthly.instance * 2);
+    expect(multiAz.monthly.storage).toBeCloseTo(single.monthly.storage * 2);
+    expect(multiAz.monthly.backup).toBeCloseTo(single.monthly.backup);
+    expect(multiAz.reason).toContain('high availability for Multi-AZ');
+  });
+
+  test('needs Enterprise Plus for Aurora MySQL, provisioned IOPS and large shapes', () => {
+    expect(matchDatabaseTier({ engine: DatabaseEngine.AURORA_MYSQL, vcpu: 2, memoryGb: 16, storageType: DatabaseStorageType.AURORA }))
+      .toMatchObject({ edition: CloudSqlEdition.ENTERPRISE_PLUS, tier: 'db-perf-optimized-N-2' });
+    expect(matchDatabaseTier({ engine: DatabaseEngine.MYSQL, vcpu: 2, memoryGb: 8, storageType: DatabaseStorageType.IO1 }).edition)
+      .toBe(CloudSqlEdition.ENTERPRISE_PLUS);
+
+    const large = matchDatabaseTier({ engine: DatabaseEngine.POSTGRESQL, vcpu: 128, memoryGb: 1024 });
+    expect(large.tier).toBe('db-perf-optimized-N-128');
+    expect(large.reason).toContain('Enterprise Plus (no Enterprise tier fits)');
+  });
+
+  test('matches Aurora PostgreSQL to AlloyDB with regional storage', () => {
+    const match = matchDatabaseTier({
+      engine: DatabaseEngine.AURORA_POSTGRESQL,
+      vcpu: 4,
+      memoryGb: 32,
+      multiAz: true,
+      storageType: DatabaseStorageType.AURORA,
+      storageGb: 100,
+      backupGb: 20
+    });
+
+    expect(match).toMatchObject({ product: GcpDatabaseProduct.ALLOYDB, edition: null, tier: 'n2-highmem-4', backupGb: 120 });
+    expect(match.monthly.storage).toBeCloseTo(30);
+    expect(match.reason).toContain('no per-I/O storage charges');
+  });
+
+  test('prices storage without an instance', () => {
+    const match = matchDatabaseTier({ engine: DatabaseEngine.AURORA_POSTGRESQL, vcpu: 0, storageType: DatabaseStorageType.AURORA, storageGb: 200 });
+    expect(match.tier).toBeNull();
+    expect(match.monthly).toEqual({ instance: 0, storage: 60, backup: 20, total: 80 });
+  });
+
+  test('uses HDD for magnetic storage and adds the SQL Server licence', () => {
+    expect(matchDatabaseTier({ engine: DatabaseEngine.MYSQL, vcpu: 2, memoryGb: 8, storageType: DatabaseStorageType.MAGNETIC }).storageType)
+      .toBe('HDD');
+
+    const standard = matchDatabaseTier({ engine: DatabaseEngine.SQL_SERVER, edition: 'standard', vcpu: 4, memoryGb: 16 });
+    const enterprise = matchDatabaseTier({ engine: DatabaseEngine.SQL_SERVER, edition: 'enterprise', vcpu: 4, memoryGb: 16 });
+    expect(enterprise.hourlyPrice).toBeGreaterThan(standard.hourlyPrice);
+    expect(enterprise.reason).toContain('SQL Server Enterprise licence included');
+  });
+
+  test('leaves engines without a managed equivalent unmatched', () => {
+    const match = matchDatabaseTier({ engine: DatabaseEngine.ORACLE, vcpu: 2, memoryGb: 16 });
+    expect(match.product).toBeNull();
+    expect(match.monthly).toBeNull();
+    expect(match.reason).toContain('Oracle has no Cloud SQL or AlloyDB engine');
+  });
+});
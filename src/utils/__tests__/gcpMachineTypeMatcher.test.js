@@ -0,0 +1,88 @@
+/**
+ * GCP Machine Type Matcher Tests
+ */
+
+import {
+  matchMachineType,
+  RightsizingPolicy,
+  DEFAULT_RIGHTSIZING_POLICY,
+  getRightsizingPolicy,
+  setRightsizingPolicy,
+  reloadRightsizingPolicy
+} from '../gcpMachineTypeMatcher.js';
+import { getAwsInstanceSpecs } from '../awsInstanceCatalog.js';
+
+const match = (instanceType, policy) => matchMachineType(getAwsInstanceSpecs(instanceType), policy);
+
+describe('matchMachineType', () => {
+  const { LIKE_FOR_LIKE, COST_OPTIMIZED, PERFORMANCE } = RightsizingPolicy;
+
+  test.each([
+    ['t3.micro', LIKE_FOR_LIKE, 'e2-micro'],
+    ['m5.large', LIKE_FOR_LIKE, 'n2-standard-2'],
+    ['m5.large', COST_OPTIMIZED, 'e2-standard-2'],
+    ['m5.large', PERFORMANCE, 'c3-highcpu-4'],
+    ['m6a.xlarge', LIKE_FOR_LIKE, 'n2d-standard-4'],
+    ['m7i.2xlarge', LIKE_FOR_LIKE, 'c3-standard-8'],
+    ['m7a.2xlarge', PERFORMANCE, 'c3d-standard-8'],
+    ['r5.large', LIKE_FOR_LIKE, 'n2-highmem-2'],
+    ['c7g.xlarge', LIKE_FOR_LIKE, 't2a-standard-4'],
+    ['x1.16xlarge', LIKE_FOR_LIKE, 'm3-megamem-64'],
+    ['g4dn.xlarge', LIKE_FOR_LIKE, 'g2-standard-4'],
+    ['p4d.24xlarge', LIKE_FOR_LIKE, 'a2-ultragpu-8g'],
+    ['p4d.24xlarge', COST_OPTIMIZED, 'a2-highgpu-8g']
+  ])('%s under %s is %s', (instanceType, policy, machineType) => {
+    expect(match(instanceType, policy).machineType).toBe(machineType);
+  });
+
+  test('uses a custom shape when predefined ones over-provision', () => {
+    const result = match('c5.large', LIKE_FOR_LIKE);
+    expect(result).toMatchObject({ machineType: 'n2-custom-2-4096', family: 'n2', vcpu: 2, memoryGb: 4, custom: true });
+    expect(result.reason).toBe('N2 keeps the Intel Xeon platform; same 2 vCPU / 4 GB; custom shape avoids over-provisioning');
+
+    // Beyond 8 GB per vCPU: extended memory
+    expect(match('x1e.xlarge', COST_OPTIMIZED).machineType).toBe('n2d-custom-4-124928-ext');
+  });
+
+  test('explains a fallback to another family or architecture', () => {
+    expect(match('r6g.16xlarge', LIKE_FOR_LIKE)).toMatchObject({
+      machineType: 'n2d-highmem-64',
+      reason: 'N2D (no T2A shape has 64 vCPU / 512 GB); same 64 vCPU / 512 GB; x86: rebuild Arm images'
+    });
+    expect(match('i3.2xlarge', COST_OPTIMIZED)).toMatchObject({ family: 'n2d', localSsd: true });
+    expect(match('i3.2xlarge', COST_OPTIMIZED).reason).toContain('attach Local SSD');
+    expect(match('p5.48xlarge', LIKE_FOR_LIKE).reason).toContain('largest host for the GPU count');
+  });
+
+  test('uses the real memory of the N2 highmem shapes above 80 vCPU', () => {
+    // n2-highmem-128 has 864 GB, not 8 GB per vCPU: too small for 1 TiB
+    const result = match('x2idn.16xlarge', COST_OPTIMIZED);
+    expect(result.machineType).not.toBe('n2-highmem-128');
+    expect(result.memoryGb).toBeGreaterThanOrEqual(1024);
+    expect(matchMachineType({ vcpu: 96, memoryGb: 768, arch: 'x86_64', vendor: 'intel', category: 'memory-optimized' }, LIKE_FOR_LIKE))
+      .toMatchObject({ machineType: 'n2-highmem-96', memoryGb: 768 });
+  });
+
+  test('returns no machine type when nothing is large enough', () => {
+    const result = matchMachineType({ vcpu: 896, memoryGb: 24576, arch: 'x86_64', vendor: 'intel', category: 'memory-optimized' });
+    expect(result).toMatchObject({ machineType: null, hourlyPrice: null, reason: 'No GCP machine type has 896 vCPU / 24576 GB' });
+  });
+});
+
+describe('rightsizing policy setting', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    reloadRightsizingPolicy();
+  });
+
+  test('defaults to like-for-like and keeps the selected policy', () => {
+    expect(getRightsizingPolicy()).toBe(DEFAULT_RIGHTSIZING_POLICY);
+
+    setRightsizingPolicy('Cost-Optimized');
+    reloadRightsizingPolicy();
+    expect(getRightsizingPolicy()).toBe(RightsizingPolicy.COST_OPTIMIZED);
+    expect(matchMachineType(getAwsInstanceSpecs('m5.large')).machineType).toBe('e2-standard-2');
+
+    expect(() => setRightsizingPolicy('cheapest')).toThrow('Unknown rightsizing policy');
+  });
+});
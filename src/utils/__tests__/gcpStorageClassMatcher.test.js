@@ -0,0 +1,70 @@
+/**
+ * GCP Storage Class Matcher Tests
+ */
+
+import { matchStorageClass, GcsStorageClass } from '../gcpStorageClassMatcher.js';
+import { S3StorageClass } from '../s3UsageProfile.js';
+
+const usage = (storageClass, overrides = {}) => ({
+  storageClass,
+  gbMonths: 0,
+  tier1Requests: 0,
+  tier2Requests: 0,
+  retrievalGb: 0,
+  monitoredObjects: 0,
+  ...overrides
+});
+
+describe('matchStorageClass', () => {
+  test('prices storage, operations and retrieval separately', () => {
+    const match = matchStorageClass(usage(S3StorageClass.STANDARD_IA, {
+      gbMonths: 1000,
+      tier1Requests: 10000,
+      tier2Requests: 100000,
+      retrievalGb: 10
+    }));
+
+    expect(match).toMatchObject({ storageClass: GcsStorageClass.NEARLINE, label: 'Nearline', pricedAs: GcsStorageClass.NEARLINE });
+    expect(match.cost).toEqual({ storage: 10, operations: 0.2, retrieval: 0.1, total: 10.3 });
+    expect(match.reason).toBe('Nearline for Standard-IA: 30-day minimum like Standard-IA');
+  });
+
+  test.each([
+    [S3StorageClass.STANDARD, GcsStorageClass.STANDARD],
+    [S3StorageClass.REDUCED_REDUNDANCY, GcsStorageClass.STANDARD],
+    [S3StorageClass.ONE_ZONE_IA, GcsStorageClass.NEARLINE],
+    [S3StorageClass.GLACIER_INSTANT_RETRIEVAL, GcsStorageClass.COLDLINE],
+    [S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL, GcsStorageClass.COLDLINE],
+    [S3StorageClass.DEEP_ARCHIVE, GcsStorageClass.ARCHIVE]
+  ])('maps %s to %s', (storageClass, expected) => {
+    expect(matchStorageClass(usage(storageClass, { gbMonths: 1000 })).storageClass).toBe(expected);
+  });
+
+  test('moves to a warmer class when retrievals cost more than the colder storage saves', () => {
+    const match = matchStorageClass(usage(S3StorageClass.STANDARD_IA, { gbMonths: 100, retrievalGb: 5000 }));
+
+    expect(match.storageClass).toBe(GcsStorageClass.STANDARD);
+    expect(match.cost.total).toBe(2);
+    expect(match.reason).toContain('Standard rather than Nearline');
+  });
+
+  test('prices Intelligent-Tiering tiers as Autoclass at the class of each tier', () => {
+    const infrequent = matchStorageClass(usage(S3StorageClass.INTELLIGENT_TIERING_INFREQUENT, { gbMonths: 1000, retrievalGb: 50 }));
+    expect(infrequent).toMatchObject({ storageClass: GcsStorageClass.AUTOCLASS, label: 'Autoclass', pricedAs: GcsStorageClass.NEARLINE });
+    expect(infrequent.cost).toEqual({ storage: 10, operations: 0, retrieval: 0, total: 10 });
+
+    const frequent = matchStorageClass(usage(S3StorageClass.INTELLIGENT_TIERING, { gbMonths: 100, tier1Requests: 1000, monitoredObjects: 1000000 }));
+    expect(frequent.cost).toMatchObject({ storage: 2, operations: 2.51 });
+    expect(frequent.reason).toContain('management fee');
+  });
+
+  test('notes classes with requests but no storage and leaves unknown classes unmatched', () => {
+    expect(matchStorageClass(usage(S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL, { tier1Requests: 100 })).reason)
+      .toContain('no storage billed in this class');
+    expect(matchStorageClass(usage('express-one-zone', { gbMonths: 10 }))).toMatchObject({ storageClass: null, cost: null });
+  });
+
+  test('leaves usage without quantities (no UsageAmount in the bill) to the ratio estimate', () => {
+    expect(matchStorageClass(usage(S3StorageClass.STANDARD))).toMatchObject({ storageClass: null, cost: null });
+  });
+});
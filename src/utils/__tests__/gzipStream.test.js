@@ -0,0 +1,81 @@
+/**
+ * Gzip Stream Tests
+ */
+
+import { gzipSync, strToU8, strFromU8 } from 'fflate';
+import { createGunzipReader, isGzipFileName } from '../gzipStream';
+import { parseAwsCurStreaming } from '../streamingCsvParser';
+
+// Blob-like source that streams the given bytes in small chunks
+const chunkedBlob = (bytes, chunkSize = 7) => ({
+  size: bytes.length,
+  stream: () => {
+    let offset = 0;
+    return {
+      getReader: () => ({
+        read: async () => {
+          if (offset >= bytes.length) return { done: true, value: undefined };
+          const value = bytes.slice(offset, offset + chunkSize);
+          offset += chunkSize;
+          return { done: false, value };
+        },
+        cancel: async () => {}
+      })
+    };
+  }
+});
+
+describe('gzipStream', () => {
+  test('isGzipFileName matches .gz and .csv.gz', () => {
+    expect(isGzipFileName('cur-00001.csv.gz')).toBe(true);
+    expect(isGzipFileName('CUR.GZ')).toBe(true);
+    expect(isGzipFileName('cur.csv')).toBe(false);
+    expect(isGzipFileName('cur.zip')).toBe(false);
+  });
+
+  test('decompresses a chunked gzip source and counts compressed bytes', async () => {
+    const csv = 'line_item_product_code,line_item_unblended_cost\n' + 'AmazonEC2,1.5\n'.repeat(500);
+    const compressed = gzipSync(strToU8(csv));
+    const reader = createGunzipReader(chunkedBlob(compressed));
+
+    const parts = [];
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(strFromU8(value));
+    }
+
+    expect(parts.join('')).toBe(csv);
+    expect(reader.getCompressedBytesRead()).toBe(compressed.length);
+  });
+
+  test('parseAwsCurStreaming aggregates a .csv.gz file', async () => {
+    const csv = 'line_item_product_code,line_item_resource_id,line_item_unblended_cost\n'
+      + 'AmazonEC2,i-1,1.25\n'.repeat(40)
+      + 'AmazonS3,bucket-a,2\n';
+    const compressed = gzipSync(strToU8(csv));
+    const source = chunkedBlob(compressed, 64);
+    const file = new Blob([compressed]);
+    file.stream = source.stream;
+
+    const result = await parseAwsCurStreaming(file, null, { compression: 'gzip' });
+
+    expect(result).toHaveLength(2);
+    expect(result._metadata.totalRows).toBe(41);
+    expect(result._metadata.totalRawCost).toBeCloseTo(52);
+  });
+
+  test('parseAwsCurStreaming merges resource tags per workload', async () => {
+    const csv = 'line_item_product_code,line_item_resource_id,line_item_unblended_cost,resource_tags_user_app,resource_tags_user_env\n'
+      + 'AmazonEC2,i-1,1,web,\n'
+      + 'AmazonEC2,i-1,2,,prod\n';
+    const compressed = gzipSync(strToU8(csv));
+    const file = new Blob([compressed]);
+    file.stream = chunkedBlob(compressed, 32).stream;
+
+    const result = await parseAwsCurStreaming(file, null, { compression: 'gzip' });
+
+    expect(result).toHaveLength(1);
+    expect(result[0].tags).toEqual({ app: 'web', env: 'prod' });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Parquet CUR Parser Tests
+ */
+
+import { parquetMetadataAsync, parquetSchema, parquetRead } from 'hyparquet';
+import { parseAwsCurParquet, parquetValueToString, selectProfileColumns } from '../parquetCurParser';
+
+const mockColumns = ['identity_line_item_id', 'line_item_product_code', 'line_item_resource_id', 'line_item_unblended_cost', 'product_region_code'];
+const mockRowGroups = [
+  [
+    { line_item_product_code: 'AmazonEC2', line_item_resource_id: 'i-1', line_item_unblended_cost: 10.5, product_region_code: 'us-east-1' },
+    { line_item_product_code: 'AmazonEC2', line_item_resource_id: 'i-1', line_item_unblended_cost: 4.5, product_region_code: 'us-east-1' }
+  ],
+  [
+    { line_item_product_code: 'AmazonS3', line_item_resource_id: 'bucket-a', line_item_unblended_cost: 2, product_region_code: null }
+  ]
+];
+
+jest.mock('hyparquet', () => ({
+  parquetMetadataAsync: jest.fn(),
+  parquetSchema: jest.fn(),
+  parquetRead: jest.fn()
+}));
+
+jest.mock('hyparquet-compressors', () => ({ compressors: {} }));
+
+describe('parquetCurParser', () => {
+  beforeEach(() => {
+    parquetMetadataAsync.mockResolvedValue({
+      num_rows: global.BigInt(3),
+      row_groups: [
+        { num_rows: global.BigInt(2), total_compressed_size: global.BigInt(600) },
+        { num_rows: global.BigInt(1), total_compressed_size: global.BigInt(400) }
+      ]
+    });
+    parquetSchema.mockReturnValue({
+      children: mockColumns.map(name => ({ element: { name } }))
+    });
+    parquetRead.mockImplementation(async ({ rowStart, onComplete }) => {
+      onComplete(rowStart === 0 ? mockRowGroups[0] : mockRowGroups[1]);
+    });
+  });
+
+  test('aggregates Parquet rows through the streaming CUR parser', async () => {
+    const progress = [];
+    const result = await parseAwsCurParquet(new ArrayBuffer(1000), (p) => progress.push(p));
+
+    expect(result).toHaveLength(2);
+    expect(result._metadata.totalRows).toBe(3);
+    expect(result._metadata.totalRawCost).toBeCloseTo(17);
+    expect(result._metadata.schemaProfile.id).toBe('cur2');
+    expect(progress[progress.length - 1].percent).toBe(100);
+  });
+
+  test('only decodes columns referenced by the schema profile', async () => {
+    await parseAwsCurParquet(new ArrayBuffer(1000));
+
+    expect(parquetRead.mock.calls[0][0].columns).not.toContain('identity_line_item_id');
+    expect(parquetRead.mock.calls[0][0].columns).toContain('line_item_unblended_cost');
+  });
+
+  test('selectProfileColumns keeps file order', () => {
+    expect(selectProfileColumns(['product_region_code', 'foo', 'line_item_product_code', 'line_item_unblended_cost']))
+      .toEqual(['product_region_code', 'line_item_product_code', 'line_item_unblended_cost']);
+  });
+
+  test('parquetValueToString matches CSV string forms', () => {
+    expect(parquetValueToString(null)).toBe('');
+    expect(parquetValueToString(1.25)).toBe('1.25');
+    expect(parquetValueToString(global.BigInt(7))).toBe('7');
+    expect(parquetValueToString(new Date('2024-01-01T00:00:00Z'))).toBe('2024-01-01T00:00:00.000Z');
+    expect(parquetValueToString({ team: 'a' })).toBe('{"team":"a"}');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * RDS Usage Profile Tests
+ */
+
+import {
+  readRdsUsage,
+  scaleDatabaseUsage,
+  normalizeDatabaseEngine,
+  normalizeSqlServerEdition,
+  DatabaseEngine,
+  DatabaseStorageType
+} from '../rdsUsageProfile.js';
+
+const row = (usageType, usageAmount, extra = {}) => readRdsUsage({ productCode: 'AmazonRDS', usageType, usageAmount, ...extra });
+
+describe('readRdsUsage', () => {
+  test('reads instance hours and Multi-AZ from the usage type or deployment option', () => {
+    expect(row('USE1-InstanceUsage:db.r5.large', '730', { databaseEngine: 'PostgreSQL' })).toMatchObject({
+      engine: DatabaseEngine.POSTGRESQL,
+      multiAz: false,
+      instanceHours: 730,
+      storageGbMonths: 0
+    });
+    expect(row('EU-Multi-AZUsage:db.m5.xlarge', 10).multiAz).toBe(true);
+    expect(row('InstanceUsage:db.m5.xlarge', 10, { deploymentOption: 'Multi-AZ' }).multiAz).toBe(true);
+    expect(row('USE1-InstanceUsageIOOptimized:db.r6g.large', 5).storageType).toBe(DatabaseStorageType.AURORA_IO_OPTIMIZED);
+  });
+
+  test.each([
+    ['USE1-RDS:GP2-Storage', DatabaseStorageType.GP2, false],
+    ['USE1-RDS:GP3-Storage', DatabaseStorageType.GP3, false],
+    ['USE1-RDS:Multi-AZ-PIOPS-Storage', DatabaseStorageType.IO1, true],
+    ['USE1-RDS:PIOPS-Storage-IO2', DatabaseStorageType.IO2, false],
+    ['USE1-RDS:StorageUsage', DatabaseStorageType.MAGNETIC, false],
+    ['USE1-Aurora:StorageUsage', DatabaseStorageType.AURORA, false],
+    ['USE1-Aurora:IO-OptimizedStorageUsage', DatabaseStorageType.AURORA_IO_OPTIMIZED, false]
+  ])('reads %s as %s storage', (usageType, storageType, multiAz) => {
+    expect(row(usageType, 100)).toMatchObject({ storageType, multiAz, storageGbMonths: 100 });
+  });
+
+  test('reads backup storage and Aurora Serverless capacity', () => {
+    expect(row('USE1-RDS:ChargedBackupUsage', 40).backupGbMonths).toBe(40);
+    expect(row('USE1-Aurora:BackupUsage', 15).backupGbMonths).toBe(15);
+    expect(row('USE1-Aurora:ServerlessV2Usage', 1460)).toMatchObject({ acuHours: 1460, storageType: DatabaseStorageType.AURORA });
+  });
+
+  test('records other RDS rows without quantities and ignores other services', () => {
+    expect(row('USE1-RDS:PIOPS', 1000)).toMatchObject({ instanceHours: 0, storageGbMonths: 0, backupGbMonths: 0 });
+    expect(readRdsUsage({ productCode: 'AmazonEC2', usageType: 'BoxUsage:m5.large', usageAmount: 1 })).toBeNull();
+  });
+
+  test('scales every quantity', () => {
+    const usage = row('USE1-InstanceUsage:db.r5.large', 100, { databaseEngine: 'MySQL' });
+    expect(scaleDatabaseUsage(usage, 2.5)).toMatchObject({ engine: DatabaseEngine.MYSQL, instanceHours: 250 });
+    expect(scaleDatabaseUsage(null, 2)).toBeNull();
+  });
+});
+
+describe('engine and edition names', () => {
+  test.each([
+    ['Aurora PostgreSQL', DatabaseEngine.AURORA_POSTGRESQL],
+    ['aurora', DatabaseEngine.AURORA_MYSQL],
+    ['postgres', DatabaseEngine.POSTGRESQL],
+    ['MariaDB', DatabaseEngine.MARIADB],
+    ['sqlserver-se', DatabaseEngine.SQL_SERVER],
+    ['SQL Server', DatabaseEngine.SQL_SERVER],
+    ['oracle-ee', DatabaseEngine.ORACLE],
+    ['', null]
+  ])('normalises %p', (engine, expected) => {
+    expect(normalizeDatabaseEngine(engine)).toBe(expected);
+  });
+
+  test('reads SQL Server editions from the edition or engine name', () => {
+    expect(normalizeSqlServerEdition('Enterprise')).toBe('enterprise');
+    expect(normalizeSqlServerEdition('sqlserver-web')).toBe('web');
+    expect(normalizeSqlServerEdition('sqlserver-ex')).toBe('express');
+    expect(row('InstanceUsage:db.m5.large', 1, { databaseEngine: 'sqlserver-se' }).edition).toBe('standard');
+    expect(row('InstanceUsage:db.m5.large', 1, { databaseEngine: 'MySQL', databaseEdition: 'Standard' }).edition).toBeNull();
+  });
+});
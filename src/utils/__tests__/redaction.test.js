@@ -0,0 +1,151 @@
+/**
+ * Export Redaction Tests
+ */
+
+import {
+  createRedactor,
+  redactForExport,
+  hashIdentifier,
+  isRedactionEnabled,
+  setRedactionEnabled,
+  getProjectSalt,
+  getExportRedactor
+} from '../redaction';
+import { setActiveMappingProject } from '../serviceMappingOverrides';
+import { exportWorkloadsToCSV } from '../csvImport';
+import { exportProjectJSON } from '../storage';
+import { generateComprehensiveReportPDF } from '../reportPdfGenerator';
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+describe('createRedactor', () => {
+  const workloads = [
+    {
+      id: 'i-0abc1234def567890',
+      name: 'web-frontend',
+      service: 'EC2',
+      region: 'us-east-1',
+      accountId: '123456789012',
+      accountName: 'prod-payments',
+      monthlyCost: 120.5,
+      tags: { app: 'checkout', owner: 'jane@example.com' }
+    },
+    // Structured clone of a Workload entity
+    { _id: 'customer-uploads', _name: 'customer-uploads', _service: 'S3', _region: 'eu-west-1', _monthlyCost: { _amount: 40, _currency: 'USD' } },
+    // Shared cost without a resource: the service name is not an identifier
+    { id: 'CloudWatch', name: 'CloudWatch', service: 'CloudWatch', region: 'us-east-1', monthlyCost: 3 }
+  ];
+
+  test('replaces identifiers and keeps costs, services and regions', () => {
+    const redactor = createRedactor('salt-1');
+    const [web, bucket, shared] = redactForExport(workloads, redactor);
+
+    expect(web.id).toMatch(/^resource-[0-9a-f]{10}$/);
+    expect(web.name).toMatch(/^resource-[0-9a-f]{10}$/);
+    expect(web.accountId).toMatch(/^account-/);
+    expect(web.accountName).toMatch(/^account-/);
+    expect(web.tags.app).toMatch(/^tag-/);
+    expect(Object.keys(web.tags)).toEqual(['app', 'owner']);
+    expect(web).toMatchObject({ service: 'EC2', region: 'us-east-1', monthlyCost: 120.5 });
+
+    expect(bucket._id).toMatch(/^resource-/);
+    expect(bucket._monthlyCost).toEqual({ _amount: 40, _currency: 'USD' });
+    expect(shared).toEqual(workloads[2]);
+  });
+
+  test('gives the same identifier the same pseudonym everywhere in an export', () => {
+    const redactor = createRedactor('salt-1');
+    const redacted = redactForExport({
+      workloads,
+      assessments: { 'i-0abc1234def567890': { complexity: 3 } },
+      waves: [['web-frontend']],
+      note: 'Review arn:aws:s3:::customer-uploads and account 123456789012 before wave 1',
+      discovery: [{ id: 1, name: 'web-frontend', type: 'vm', dependencies: 'db-server, customer-uploads' }]
+    }, redactor);
+
+    const webId = redacted.workloads[0].id;
+    expect(redacted.assessments[webId]).toEqual({ complexity: 3 });
+    expect(redacted.waves[0][0]).toBe(redacted.workloads[0].name);
+    expect(redacted.note).not.toMatch(/customer-uploads|123456789012/);
+    expect(redacted.note).toContain(redacted.workloads[0].accountId);
+    expect(redacted.discovery[0].name).toBe(redacted.workloads[0].name);
+    expect(redacted.discovery[0].dependencies.split(', ')[1]).toBe(redacted.workloads[1]._id);
+  });
+
+  test('pseudonyms are stable per salt and differ between projects', () => {
+    expect(hashIdentifier('salt-1', 'i-0abc')).toBe(hashIdentifier('salt-1', 'i-0abc'));
+    expect(hashIdentifier('salt-1', 'i-0abc')).not.toBe(hashIdentifier('salt-2', 'i-0abc'));
+    expect(createRedactor('salt-1').pseudonym('account', '123456789012'))
+      .toBe(createRedactor('salt-1').pseudonym('account', '123456789012'));
+  });
+});
+
+describe('redaction settings', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('is off by default and keeps one salt per project', () => {
+    expect(isRedactionEnabled()).toBe(false);
+    expect(getExportRedactor('Project A')).toBeNull();
+
+    setRedactionEnabled(true);
+    const salt = getProjectSalt('Project A');
+    expect(getProjectSalt('Project A')).toBe(salt);
+    expect(getProjectSalt('Project B')).not.toBe(salt);
+    expect(getExportRedactor('Project A').pseudonym('resource', 'i-1'))
+      .toBe(createRedactor(salt).pseudonym('resource', 'i-1'));
+  });
+
+  describe('across export paths', () => {
+    let downloads;
+
+    beforeEach(() => {
+      downloads = [];
+      URL.createObjectURL = jest.fn(blob => {
+        downloads.push(blob);
+        return 'blob:export';
+      });
+      URL.revokeObjectURL = jest.fn();
+      jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+      setActiveMappingProject('default');
+    });
+
+    test('gives an identifier the same pseudonym in the PDF, CSV and JSON exports of the current project', async () => {
+      setRedactionEnabled(true);
+      setActiveMappingProject('Project A');
+      const workload = { id: 'i-0abc', name: 'web-frontend', service: 'EC2', region: 'us-east-1', monthlyCost: 120, totalMonthlyCost: 120 };
+      const pseudonym = createRedactor(getProjectSalt('Project A')).pseudonym('resource', 'web-frontend');
+
+      exportWorkloadsToCSV([workload], { redactor: getExportRedactor() });
+      exportProjectJSON({ name: 'Project A', workloads: [workload] }, { redactor: getExportRedactor() });
+      const pdf = await generateComprehensiveReportPDF(
+        { summary: { totalWorkloads: 1, totalMonthlyCost: 120 }, workloads: [workload] },
+        [{ service: 'EC2', region: 'us-east-1', awsCost: 120 }],
+        null,
+        null,
+        { redactor: getExportRedactor(), output: 'arraybuffer' }
+      );
+
+      const [csv, json] = await Promise.all(downloads.map(readBlob));
+      expect(csv.split('\n')[1].split(',')[0]).toBe(pseudonym);
+      expect(JSON.parse(json).workloads[0].name).toBe(pseudonym);
+      // jsPDF writes text streams uncompressed
+      const pdfText = Buffer.from(pdf).toString('latin1');
+      expect(pdfText).toContain(pseudonym);
+      expect(pdfText).not.toContain('web-frontend');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * S3 Usage Profile Tests
+ */
+
+import { readS3Usage, scaleStorageUsage, S3StorageClass } from '../s3UsageProfile.js';
+
+const row = (usageType, usageAmount, extra = {}) => readS3Usage({ productCode: 'AmazonS3', usageType, usageAmount, cost: 1, ...extra });
+
+describe('readS3Usage', () => {
+  test.each([
+    ['USE1-TimedStorage-ByteHrs', S3StorageClass.STANDARD],
+    ['TimedStorage-RRS-ByteHrs', S3StorageClass.REDUCED_REDUNDANCY],
+    ['USE1-TimedStorage-SIA-ByteHrs', S3StorageClass.STANDARD_IA],
+    ['USE1-TimedStorage-ZIA-SmObjects', S3StorageClass.ONE_ZONE_IA],
+    ['USE1-TimedStorage-GIR-ByteHrs', S3StorageClass.GLACIER_INSTANT_RETRIEVAL],
+    ['USE1-TimedStorage-GlacierByteHrs', S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL],
+    ['USE1-TimedStorage-GlacierStaging', S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL],
+    ['EUC1-TimedStorage-GDA-ByteHrs', S3StorageClass.DEEP_ARCHIVE],
+    ['USE1-TimedStorage-INT-FA-ByteHrs', S3StorageClass.INTELLIGENT_TIERING],
+    ['USE1-TimedStorage-INT-IA-ByteHrs', S3StorageClass.INTELLIGENT_TIERING_INFREQUENT],
+    ['USE1-TimedStorage-INT-AIA-ByteHrs', S3StorageClass.INTELLIGENT_TIERING_ARCHIVE_INSTANT],
+    ['USE1-TimedStorage-INT-AA-ByteHrs', S3StorageClass.INTELLIGENT_TIERING_ARCHIVE],
+    ['USE1-TimedStorage-INT-DAA-ByteHrs', S3StorageClass.INTELLIGENT_TIERING_DEEP_ARCHIVE]
+  ])('reads %s as %s GB-months', (usageType, storageClass) => {
+    expect(row(usageType, '250')).toEqual({
+      [storageClass]: { gbMonths: 250, tier1Requests: 0, tier2Requests: 0, retrievalGb: 0, monitoredObjects: 0, cost: 1 }
+    });
+  });
+
+  test('reads requests by tier, retrievals and Intelligent-Tiering monitoring', () => {
+    expect(row('USE1-Requests-Tier1', 1000)).toMatchObject({ standard: { tier1Requests: 1000, tier2Requests: 0 } });
+    expect(row('USE1-Requests-SIA-Tier2', 500)).toMatchObject({ 'standard-ia': { tier2Requests: 500 } });
+    expect(row('USE1-Requests-GIR-Tier1', 5)).toMatchObject({ 'glacier-instant-retrieval': { tier1Requests: 5 } });
+    expect(row('USE1-Requests-Tier3', 7)).toMatchObject({ standard: { tier1Requests: 7 } });
+    expect(row('USE1-Retrieval-SIA', 12)).toMatchObject({ 'standard-ia': { retrievalGb: 12 } });
+    expect(row('USE1-Bulk-Retrieval-Bytes', 40)).toMatchObject({ 'glacier-flexible-retrieval': { retrievalGb: 40 } });
+    expect(row('USE1-Monitoring-Automation-INT', 20000)).toMatchObject({ 'intelligent-tiering': { monitoredObjects: 20000 } });
+  });
+
+  test('reads Glacier vault storage as Glacier Flexible Retrieval', () => {
+    expect(readS3Usage({ productCode: 'AmazonGlacier', usageType: 'USE1-TimedStorage-ByteHrs', usageAmount: 80, cost: 0.29 }))
+      .toMatchObject({ 'glacier-flexible-retrieval': { gbMonths: 80, cost: 0.29 } });
+  });
+
+  test('ignores other services and S3 charges that are not storage, requests or retrieval', () => {
+    expect(readS3Usage({ productCode: 'AmazonEC2', usageType: 'TimedStorage-ByteHrs', usageAmount: 1 })).toBeNull();
+    expect(row('USE1-DataTransfer-Out-Bytes', 10)).toBeNull();
+    expect(row('USE1-EarlyDelete-SIA', 10)).toBeNull();
+  });
+});
+
+describe('scaleStorageUsage', () => {
+  test('scales every quantity and cost of every class', () => {
+    expect(scaleStorageUsage({ standard: { gbMonths: 10, tier2Requests: 4, cost: 0.5 } }, 3))
+      .toEqual({ standard: { gbMonths: 30, tier2Requests: 12, cost: 1.5 } });
+    expect(scaleStorageUsage(null, 3)).toBeNull();
+  });
+});
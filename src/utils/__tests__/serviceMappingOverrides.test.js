@@ -0,0 +1,121 @@
+/**
+ * Service Mapping Overrides Tests
+ */
+
+import {
+  saveMappingOverride,
+  removeMappingOverride,
+  importMappingOverrides,
+  getMappingOverrides,
+  setActiveMappingProject,
+  exportMappingSet,
+  parseMappingSet,
+  reloadMappingOverrides,
+  MappingSetFormat
+} from '../serviceMappingOverrides';
+import { getAwsToGcpMapping, getSourceToGcpMapping } from '../serviceMapping';
+import { ServiceMappingRepository } from '../../infrastructure/repositories/ServiceMappingRepository';
+import { ReportDataAggregator } from '../../domain/services/ReportDataAggregator';
+
+const ECS_TO_GKE = {
+  sourceService: 'ECS',
+  gcpService: 'Google Kubernetes Engine (GKE)',
+  migrationStrategy: 'replatform',
+  effort: 'high',
+  notes: 'Client standard is GKE Autopilot'
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  reloadMappingOverrides();
+});
+
+describe('mapping lookups', () => {
+  test('apply the active project\'s overrides and keep the built-in considerations', () => {
+    const builtIn = getAwsToGcpMapping('ECS');
+    saveMappingOverride(ECS_TO_GKE, 'aws', 'client-a');
+    expect(getAwsToGcpMapping('ECS')).toBe(builtIn); // Another project is active
+
+    setActiveMappingProject('client-a');
+    const mapping = getSourceToGcpMapping('ECS', 'aws');
+    expect(mapping).toMatchObject({
+      gcpService: 'Google Kubernetes Engine (GKE)',
+      gcpApi: null,
+      migrationStrategy: 'Replatform',
+      effort: 'High',
+      notes: 'Client standard is GKE Autopilot',
+      considerations: builtIn.considerations,
+      overridden: true
+    });
+
+    removeMappingOverride('ecs', 'aws', 'client-a');
+    expect(getAwsToGcpMapping('ECS')).toBe(builtIn);
+  });
+
+  test('ServiceMappingRepository and the service aggregation honour overrides', async () => {
+    setActiveMappingProject('client-a');
+    saveMappingOverride(ECS_TO_GKE);
+    saveMappingOverride({ sourceService: 'Virtual Machines', gcpService: 'Google Cloud VMware Engine', migrationStrategy: 'Rehost', effort: 'Low' }, 'azure');
+
+    const repository = new ServiceMappingRepository({ useOfficialDocs: false });
+    const ecs = await repository.getMapping('AMAZONECS', 'aws');
+    expect(ecs.gcpService).toBe('Google Kubernetes Engine (GKE)');
+    expect(ecs.migrationStrategy.strategy).toBe('replatform');
+    expect((await repository.getMapping('Virtual Machines', 'azure')).gcpService).toBe('Google Cloud VMware Engine');
+    expect((await repository.getMapping('EC2', 'aws')).gcpService).toBe('Compute Engine');
+
+    const services = ReportDataAggregator.aggregateByService([
+      { id: 'ecs-1', service: 'ECS', monthlyCost: 10 },
+      { id: 'ec2-1', service: 'EC2', monthlyCost: 5 }
+    ]);
+    expect(services.find(service => service.service === 'ECS')).toMatchObject({ gcpService: 'Google Kubernetes Engine (GKE)', mappingOverridden: true });
+    expect(services.find(service => service.service === 'EC2').mappingOverridden).toBe(false);
+  });
+});
+
+describe('mapping sets', () => {
+  test('round-trip through JSON and YAML', () => {
+    saveMappingOverride(ECS_TO_GKE, 'aws', 'client-a');
+    saveMappingOverride({ sourceService: 'Aurora', gcpService: 'AlloyDB for PostgreSQL', migrationStrategy: 'Replatform', effort: 'Medium', notes: 'Needs "pg_hint_plan": check # of extensions' }, 'aws', 'client-a');
+
+    for (const format of [MappingSetFormat.JSON, MappingSetFormat.YAML]) {
+      const mappingSet = parseMappingSet(exportMappingSet('client-a', format));
+      expect(mappingSet.project).toBe('client-a');
+      expect(mappingSet.aws).toEqual(getMappingOverrides('client-a').aws);
+      expect(mappingSet.azure).toEqual([]);
+    }
+  });
+
+  test('read hand-written YAML and replace or merge a project\'s overrides', () => {
+    saveMappingOverride(ECS_TO_GKE, 'aws', 'client-b');
+    const yaml = [
+      '# Client B targets',
+      'version: 1',
+      'aws:',
+      '  - sourceService: Aurora',
+      '    gcpService: \'AlloyDB for PostgreSQL\'',
+      '    effort: medium # Schema is mostly compatible',
+      'azure:',
+      '  -',
+      '    sourceService: AKS',
+      '    gcpService: "GKE Enterprise"'
+    ].join('\n');
+
+    const mappingSet = parseMappingSet(yaml, MappingSetFormat.YAML);
+    expect(mappingSet.aws).toEqual([{ sourceService: 'Aurora', gcpService: 'AlloyDB for PostgreSQL', migrationStrategy: 'Rehost', effort: 'Medium', notes: '' }]);
+    expect(mappingSet.azure[0]).toMatchObject({ sourceService: 'AKS', gcpService: 'GKE Enterprise' });
+
+    importMappingOverrides(mappingSet, 'client-b', { merge: true });
+    expect(getMappingOverrides('client-b').aws.map(override => override.sourceService)).toEqual(['Aurora', 'ECS']);
+    importMappingOverrides(mappingSet, 'client-b');
+    expect(getMappingOverrides('client-b').aws.map(override => override.sourceService)).toEqual(['Aurora']);
+  });
+
+  test('reject invalid documents and overrides', () => {
+    expect(() => parseMappingSet('{"aws": [')).toThrow(/Invalid JSON/);
+    expect(() => parseMappingSet('{"aws": {}}')).toThrow(/must be a list/);
+    expect(() => parseMappingSet('aws:\n  - sourceService: ECS')).toThrow(/requires a gcpService/);
+    expect(() => parseMappingSet('aws:\n  - sourceService: ECS\n    gcpService: GKE\n    effort: Huge')).toThrow(/Unknown effort "Huge"/);
+    expect(() => parseMappingSet('aws:\n  sourceService: ECS')).toThrow(/line 2/);
+  });
+});
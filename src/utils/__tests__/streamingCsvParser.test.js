@@ -3,6 +3,7 @@
  */
 
 import { parseAwsCurStreaming } from '../streamingCsvParser';
+import { parseAwsCur } from '../awsBomImport';
 
 // Mock Blob.stream() for test environment
 if (!Blob.prototype.stream) {
@@ -50,4 +51,193 @@ describe('parseAwsCurStreaming', () => {
     expect(result).toBeDefined();
     expect(Array.isArray(result)).toBe(true);
   });
+
+  test('carries the linked account onto workloads and keeps accounts apart', async () => {
+    async function* rows() {
+      yield {
+        rows: [
+          ['line_item_product_code', 'line_item_resource_id', 'line_item_unblended_cost', 'line_item_usage_account_id', 'line_item_usage_account_name'],
+          ['AmazonEC2', 'i-1', '10', '111111111111', 'prod'],
+          ['AmazonCloudWatch', '', '1', '111111111111', 'prod'],
+          ['AmazonCloudWatch', '', '2', '222222222222', 'dev']
+        ],
+        bytesProcessed: 100
+      };
+    }
+
+    const result = await parseAwsCurStreaming({ size: 100 }, null, { rowSource: rows() });
+
+    expect(result).toHaveLength(3);
+    const byAccount = result.map(workload => [workload.accountId, workload.accountName]);
+    expect(byAccount).toEqual(expect.arrayContaining([
+      ['111111111111', 'prod'],
+      ['222222222222', 'dev']
+    ]));
+    const instance = result.find(workload => workload.id === 'i-1');
+    expect(instance.accountId).toBe('111111111111');
+  });
+
+  test('applies the selected cost basis and records it in _metadata', async () => {
+    async function* rows() {
+      yield {
+        rows: [
+          ['line_item_product_code', 'line_item_resource_id', 'line_item_line_item_type', 'line_item_unblended_cost', 'savings_plan_savings_plan_effective_cost'],
+          ['AmazonEC2', 'i-1', 'SavingsPlanCoveredUsage', '10', '6'],
+          ['AmazonEC2', 'i-1', 'SavingsPlanNegation', '-10', ''],
+          ['AmazonEC2', 'i-2', 'Usage', '4', '']
+        ],
+        bytesProcessed: 100
+      };
+    }
+
+    const result = await parseAwsCurStreaming({ size: 100 }, null, { rowSource: rows(), costBasis: 'amortized' });
+
+    expect(result.find(workload => workload.id === 'i-1').monthlyCost.amount).toBe(6);
+    expect(result._metadata.totalRawCost).toBe(10);
+    expect(result._metadata.costBasis).toMatchObject({ id: 'amortized', fallback: false });
+  });
+
+  test('keeps excluded line item types out of the baseline but in the ledger', async () => {
+    async function* rows() {
+      yield {
+        rows: [
+          ['line_item_product_code', 'line_item_resource_id', 'line_item_line_item_type', 'line_item_unblended_cost'],
+          ['AmazonEC2', 'i-1', 'Usage', '10'],
+          ['AmazonEC2', 'i-1', 'Credit', '-4'],
+          ['AmazonEC2', '', 'Tax', '2']
+        ],
+        bytesProcessed: 100
+      };
+    }
+
+    const result = await parseAwsCurStreaming({ size: 100 }, null, { rowSource: rows() });
+
+    expect(result.find(workload => workload.id === 'i-1').monthlyCost.amount).toBe(10);
+    expect(result._metadata.totalRawCost).toBe(10);
+    expect(result._metadata.skippedRows.excludedLineItemType).toBe(2);
+    expect(result._metadata.lineItemLedger.Credit).toMatchObject({ rows: 1, unblendedCost: -4, includedInBaseline: false });
+    expect(result._metadata.lineItemLedger.Tax).toMatchObject({ rows: 1, unblendedCost: 2, includedInBaseline: false });
+  });
+
+  test('buckets cost by billing month of the usage start date', async () => {
+    async function* rows() {
+      yield {
+        rows: [
+          ['line_item_product_code', 'line_item_resource_id', 'line_item_usage_start_date', 'line_item_unblended_cost'],
+          ['AmazonEC2', 'i-1', '2024-01-15T00:00:00Z', '10'],
+          ['AmazonEC2', 'i-1', '2024-02-01T00:00:00Z', '4'],
+          ['AmazonEC2', 'i-1', '2024-02-02T00:00:00Z', '6'],
+          ['AmazonS3', 'bucket', '2024-02-02T00:00:00Z', '1']
+        ],
+        bytesProcessed: 100
+      };
+    }
+
+    const result = await parseAwsCurStreaming({ size: 100 }, null, { rowSource: rows() });
+
+    const instance = result.find(workload => workload.id === 'i-1');
+    expect(instance.costByMonth).toEqual({ '2024-01': 10, '2024-02': 10 });
+    expect(instance.monthlyCost.amount).toBe(20);
+    expect(result._metadata.costByMonth).toEqual({ '2024-01': 10, '2024-02': 11 });
+  });
+
+  test('records rejected rows by reason and unmapped product codes in the ingestion report', async () => {
+    async function* rows() {
+      yield {
+        rows: [
+          ['line_item_product_code', 'line_item_resource_id', 'line_item_line_item_type', 'line_item_unblended_cost'],
+          ['AmazonEC2', 'i-1', 'Usage', '10'],
+          ['AmazonEC2', 'i-1', 'Credit', '-4'],
+          ['', 'i-2', 'Usage', '3'],
+          ['2024-01-01T00:00:00Z', 'i-3', 'Usage', '1'],
+          ['AmazonBrandNewService', 'r-1', 'Usage', '7']
+        ],
+        bytesProcessed: 100
+      };
+    }
+
+    const result = await parseAwsCurStreaming({ size: 100, name: 'cur.csv' }, null, { rowSource: rows() });
+    const report = result._metadata.ingestionReport;
+
+    expect(report.reasons['excluded-line-item-type']).toEqual({ reason: 'excluded-line-item-type', rows: 1, cost: -4 });
+    expect(report.reasons['no-product-code']).toEqual({ reason: 'no-product-code', rows: 1, cost: 3 });
+    expect(report.reasons['misaligned-row']).toMatchObject({ rows: 1, cost: 0 });
+    expect(report.unknownProductCodes.AmazonBrandNewService).toEqual({ productCode: 'AmazonBrandNewService', service: 'BRANDNEWSERVICE', rows: 1, cost: 7 });
+    expect(report.unknownProductCodes.AmazonEC2).toBeUndefined();
+    expect(report.rejectedRows.map(row => [row.file, row.lineNumber, row.reason])).toEqual([
+      ['cur.csv', 3, 'excluded-line-item-type'],
+      ['cur.csv', 4, 'no-product-code'],
+      ['cur.csv', 5, 'misaligned-row']
+    ]);
+  });
+
+  test('reads quoted commas, embedded newlines, BOM and semicolons the same way as parseAwsCur', async () => {
+    const csv = '\uFEFFlineItem/ProductCode;lineItem/ResourceId;lineItem/UnblendedCost;product/ProductName;product/region\r\n' +
+      'AmazonEC2;i-1;10;"Amazon Elastic Compute Cloud; ""EC2""";us-east-1\r\n' +
+      'AmazonRDS;"db-1";5.5;"Amazon RDS\r\nService";us-east-1\r\n' +
+      'AmazonS3;bucket-1;2;"S3";us-east-1\r\n';
+    const summarize = (workloads) => workloads
+      .map(w => [w.id, w.service, w.monthlyCost?.amount ?? w.monthlyCost])
+      .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+
+    const streamed = await parseAwsCurStreaming(new TextEncoder().encode(csv).buffer);
+    const inMemory = parseAwsCur(csv);
+
+    expect(summarize(streamed)).toEqual(summarize(inMemory));
+    expect(summarize(streamed).map(row => row[0])).toEqual(expect.arrayContaining([expect.stringContaining('i-1'), expect.stringContaining('db-1'), expect.stringContaining('bucket-1')]));
+  });
+
+  test('reads decimal comma costs in semicolon files, as parseAwsCur does', async () => {
+    const csv = [
+      'lineItem/ProductCode;lineItem/ResourceId;lineItem/UnblendedCost;product/region',
+      'AmazonEC2;i-1;1,5;us-east-1',
+      'AmazonEC2;i-1;1.234,25;us-east-1',
+      'AmazonS3;bucket-1;0,75;us-east-1'
+    ].join('\n');
+    const costOf = (workloads, id) => {
+      const workload = workloads.find(w => w.id === id);
+      return workload.monthlyCost?.amount ?? workload.monthlyCost;
+    };
+
+    const streamed = await parseAwsCurStreaming(new TextEncoder().encode(csv).buffer);
+    const inMemory = parseAwsCur(csv);
+
+    expect(costOf(streamed, 'i-1')).toBe(1235.75);
+    expect(costOf(streamed, 'bucket-1')).toBe(0.75);
+    expect(costOf(inMemory, 'i-1')).toBe(1235.75);
+    expect(costOf(inMemory, 'bucket-1')).toBe(0.75);
+  });
+
+  test('keeps the rows after a stray quote in an unquoted field', async () => {
+    const csv = [
+      'lineItem/ProductCode,lineItem/ResourceId,lineItem/LineItemDescription,lineItem/UnblendedCost',
+      'AmazonEC2,vol-1,5" disk,1',
+      'AmazonEC2,i-1,Linux instance,2',
+      'AmazonS3,bucket-1,Storage,3'
+    ].join('\n');
+
+    const streamed = await parseAwsCurStreaming(new TextEncoder().encode(csv).buffer);
+
+    expect(streamed.map(workload => workload.id).sort()).toEqual(['bucket-1', 'i-1', 'vol-1']);
+    expect(streamed.reduce((sum, workload) => sum + (workload.monthlyCost?.amount ?? workload.monthlyCost), 0)).toBe(6);
+  });
+
+  test('splits each workload\'s cost into usage components by usage type, as parseAwsCur does', async () => {
+    const csv = [
+      'lineItem/ProductCode,lineItem/ResourceId,lineItem/UsageType,lineItem/UnblendedCost',
+      'AmazonEC2,i-1,USE1-BoxUsage:m5.large,70',
+      'AmazonEC2,i-1,USE1-EBS:VolumeUsage.gp3,8',
+      'AmazonEC2,i-1,USE1-DataTransfer-Out-Bytes,2.5',
+      'AmazonEC2,i-1,USE1-NatGateway-Hours,1.5',
+      'AmazonS3,bucket-1,TimedStorage-ByteHrs,3'
+    ].join('\n');
+
+    const streamed = await parseAwsCurStreaming(new TextEncoder().encode(csv).buffer);
+    const inMemory = parseAwsCur(csv);
+
+    const instance = streamed.find(workload => workload.id === 'i-1');
+    expect(instance.costByComponent).toEqual({ compute: 70, storage: 8, network: 4 });
+    expect(streamed.find(workload => workload.id === 'bucket-1').costByComponent).toEqual({ storage: 3 });
+    expect(inMemory.find(workload => workload.id === 'i-1').costByComponent).toEqual(instance.costByComponent);
+  });
 });
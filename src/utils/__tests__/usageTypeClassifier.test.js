@@ -0,0 +1,66 @@
+/**
+ * Usage Type Classifier Tests
+ */
+
+import {
+  classifyUsageType,
+  stripUsageTypeRegion,
+  componentShares,
+  CostComponent
+} from '../usageTypeClassifier';
+
+describe('classifyUsageType', () => {
+  test.each([
+    ['BoxUsage:m5.large', 'AmazonEC2', CostComponent.COMPUTE, 'instance-hours'],
+    ['USE1-SpotUsage:c5.xlarge', 'AmazonEC2', CostComponent.COMPUTE, 'instance-hours'],
+    ['USE1-EBS:VolumeUsage.gp3', 'AmazonEC2', CostComponent.STORAGE, 'block-storage-ssd'],
+    ['EUC1-EBS:VolumeUsage.st1', 'AmazonEC2', CostComponent.STORAGE, 'block-storage-hdd'],
+    ['USE1-EBS:SnapshotUsage', 'AmazonEC2', CostComponent.STORAGE, 'block-storage-snapshot'],
+    ['USE1-DataTransfer-Out-Bytes', 'AmazonEC2', CostComponent.NETWORK, 'internet-egress'],
+    ['USE1-USW2-AWS-Out-Bytes', 'AmazonEC2', CostComponent.NETWORK, 'inter-region-egress'],
+    ['USE1-DataTransfer-Regional-Bytes', 'AmazonEC2', CostComponent.NETWORK, 'inter-zone-egress'],
+    ['USE1-NatGateway-Hours', 'AmazonEC2', CostComponent.NETWORK, 'nat-gateway'],
+    ['USE1-LoadBalancerUsage', 'AWSELB', CostComponent.NETWORK, 'load-balancer'],
+    ['US-DataTransfer-Out-Bytes', 'AmazonCloudFront', CostComponent.NETWORK, 'cdn'],
+    ['TimedStorage-ByteHrs', 'AmazonS3', CostComponent.STORAGE, 'object-storage'],
+    ['USE1-Requests-Tier1', 'AmazonS3', CostComponent.STORAGE, 'object-operations'],
+    ['InstanceUsage:db.r5.large', 'AmazonRDS', CostComponent.COMPUTE, 'database-instances'],
+    ['RDS:GP2-Storage', 'AmazonRDS', CostComponent.STORAGE, 'database-storage'],
+    ['Aurora:StorageIOUsage', 'AmazonRDS', CostComponent.STORAGE, 'database-storage'],
+    ['TimedStorage-ByteHrs', 'AmazonDynamoDB', CostComponent.STORAGE, 'database-storage'],
+    ['USE1-Lambda-GB-Second', 'AWSLambda', CostComponent.COMPUTE, 'functions'],
+    ['USE1-Fargate-vCPU-Hours:perCPU', 'AmazonECS', CostComponent.COMPUTE, 'containers'],
+    ['Dollar', 'AWSSupportBusiness', CostComponent.LICENSE, 'support'],
+    ['USE1-SoftwareUsage:m5.large', '5b8xw3q6kz1nv0ygm2h7p4d9c', CostComponent.LICENSE, 'marketplace']
+  ])('%s (%s) is %s', (usageType, productCode, component, id) => {
+    expect(classifyUsageType(usageType, { productCode })).toMatchObject({ component, id });
+  });
+
+  test('falls back to the component of the workload type', () => {
+    expect(classifyUsageType('USE1-SomethingNew', { productCode: 'AmazonEFSNext', serviceType: 'storage' }).component).toBe(CostComponent.STORAGE);
+    expect(classifyUsageType('USE1-SomethingNew', { productCode: 'AmazonRoute53', serviceType: 'network' }).component).toBe(CostComponent.NETWORK);
+    expect(classifyUsageType('', { productCode: 'AmazonCloudWatch', serviceType: 'monitoring' })).toMatchObject({ component: CostComponent.COMPUTE, gcpSku: null });
+  });
+
+  test('does not take long AWS product codes for marketplace ones', () => {
+    expect(classifyUsageType('USE1-Instance', { productCode: 'AmazonElasticMapReduce' }).component).toBe(CostComponent.COMPUTE);
+  });
+});
+
+describe('stripUsageTypeRegion', () => {
+  test('removes region, region pair and edge zone prefixes only', () => {
+    expect(stripUsageTypeRegion('APS2-BoxUsage:t3.micro')).toBe('BoxUsage:t3.micro');
+    expect(stripUsageTypeRegion('USE1-EUW2-AWS-In-Bytes')).toBe('AWS-In-Bytes');
+    expect(stripUsageTypeRegion('EU-Requests-Tier1')).toBe('Requests-Tier1');
+    expect(stripUsageTypeRegion('EBS:VolumeUsage')).toBe('EBS:VolumeUsage');
+    expect(stripUsageTypeRegion('AWS-Out-Bytes')).toBe('AWS-Out-Bytes');
+  });
+});
+
+describe('componentShares', () => {
+  test('ignores negative components and returns null without positive cost', () => {
+    expect(componentShares({ compute: 75, storage: 25, network: -10 })).toEqual({ compute: 0.75, storage: 0.25 });
+    expect(componentShares({ compute: -5 })).toBeNull();
+    expect(componentShares(undefined)).toBeNull();
+  });
+});
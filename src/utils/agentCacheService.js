@@ -484,3 +484,40 @@ export async function getCachedAgentIds(fileUUID) {
     return [];
   }
 }
+
+/**
+ * List the uploads that have a cached discovery output (most recent first)
+ * Used to pick two uploads to compare
+ * @returns {Promise<Array<{fileUUID: string, timestamp: string, cachedAt: number, workloadCount: number, fileNames: string[], hasCostOutput: boolean}>>}
+ */
+export async function listCachedUploads() {
+  try {
+    const suffix = '_discovery';
+    const keys = await localforage.keys();
+    const uploads = [];
+    
+    for (const key of keys) {
+      if (!key.startsWith(`${CACHE_PREFIX}_`) || !key.endsWith(suffix)) {
+        continue;
+      }
+      const fileUUID = key.slice(CACHE_PREFIX.length + 1, -suffix.length);
+      const metadata = await getAgentCacheMetadata(fileUUID, 'discovery');
+      if (!metadata) {
+        continue;
+      }
+      uploads.push({
+        fileUUID,
+        timestamp: metadata.timestamp || null,
+        cachedAt: metadata.cachedAt || 0,
+        workloadCount: metadata.workloadCount || 0,
+        fileNames: metadata.fileNames || [],
+        hasCostOutput: await hasAgentOutput(fileUUID, 'cost')
+      });
+    }
+    
+    return uploads.sort((a, b) => b.cachedAt - a.cachedAt);
+  } catch (error) {
+    console.error('Error listing cached uploads:', error);
+    return [];
+  }
+}
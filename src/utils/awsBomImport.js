@@ -5,7 +5,18 @@
  * Converts AWS resources to workloads for migration analysis
  */
 
-import { normalizeAwsProductCode, getAwsServiceType } from './awsProductCodeMapping.js';
+import { normalizeAwsProductCode, getAwsServiceType, isMappedAwsService } from './awsProductCodeMapping.js';
+import { detectCurSchemaProfile, resolveHeaderIndices, describeSchemaProfile } from './curSchemaProfiles.js';
+import { resolveTagColumns, extractRowTags } from './curResourceTags.js';
+import { createCostBasisCalculator, describeCostBasis } from './curCostBasis.js';
+import { classifyLineItemType, createLineItemLedger, recordLineItem, resolveBaselineLineItemTypes } from './curLineItemLedger.js';
+import { toBillingMonth, addToCostSeries } from './costTimeSeries.js';
+import { RejectionReason, createIngestionReport, recordRejectedRow, recordUnknownProductCode } from './curIngestionReport.js';
+import { parseCsv, parseCsvNumber } from './csvTokenizer.js';
+import { classifyUsageType } from './usageTypeClassifier.js';
+import { readRdsUsage } from './rdsUsageProfile.js';
+import { readS3Usage } from './s3UsageProfile.js';
+import { Workload } from '../domain/entities/Workload.js';
 
 /**
  * Parse AWS Cost and Usage Report (CUR) CSV
@@ -18,37 +29,44 @@ import { normalizeAwsProductCode, getAwsServiceType } from './awsProductCodeMapp
  * - Product/instanceType
  * - Product/operatingSystem
  * - Product/location (region)
+ * @param {string} csvText - CSV content
+ * @param {Object} options - Options object
+ * @param {string} options.costBasis - Optional CostBasis ('unblended' default, 'amortized', 'net-amortized')
+ * @param {string[]} options.baselineLineItemTypes - Optional line item types included in the migration baseline
+ * @param {string} options.sourceFile - Optional file name recorded on rejected rows in the ingestion report
  */
-export const parseAwsCur = (csvText) => {
-  const lines = csvText.trim().split('\n');
-  if (lines.length < 2) {
+export const parseAwsCur = (csvText, options = {}) => {
+  const { rows, delimiter } = parseCsv(csvText);
+  if (rows.length < 2) {
     throw new Error('AWS CUR file must have at least a header row and one data row');
   }
 
-  const headers = lines[0].split(',').map(h => h.trim());
+  const headers = rows[0];
   const workloads = [];
   const workloadMap = new Map(); // Group by resource ID
   let totalRawCost = 0; // Track sum of ALL raw costs from ALL rows (before aggregation)
 
-  // Find column indices
-  const getColumnIndex = (patterns) => {
-    for (const pattern of patterns) {
-      const index = headers.findIndex(h => 
-        h.toLowerCase().includes(pattern.toLowerCase())
-      );
-      if (index !== -1) return index;
-    }
-    return -1;
-  };
-
-  const productCodeIdx = getColumnIndex(['productcode', 'product_code', 'service']);
-  const resourceIdIdx = getColumnIndex(['resourceid', 'resource_id', 'resource']);
-  const usageTypeIdx = getColumnIndex(['usagetype', 'usage_type']);
-  const costIdx = getColumnIndex(['unblendedcost', 'cost', 'blendedcost']);
-  const instanceTypeIdx = getColumnIndex(['instancetype', 'instance_type']);
+  // Detect CUR 1.0 / CUR 2.0 / FOCUS layout and map columns by exact name
+  const profile = detectCurSchemaProfile(headers);
+  const headerIndices = resolveHeaderIndices(headers, profile);
+  const schemaProfile = describeSchemaProfile(headers, profile, headerIndices);
+  const tagColumns = resolveTagColumns(headers);
+  const rowCost = createCostBasisCalculator(options.costBasis, headerIndices, delimiter);
+  const costBasis = describeCostBasis(options.costBasis, headerIndices);
+  const baselineTypes = resolveBaselineLineItemTypes(options.baselineLineItemTypes);
+  const lineItemLedger = createLineItemLedger();
+  const ingestionReport = createIngestionReport(options.sourceFile || '');
+
+  const productCodeIdx = headerIndices.productCode;
+  const resourceIdIdx = headerIndices.resourceId;
+  const usageTypeIdx = headerIndices.usageType;
+  const costIdx = headerIndices.cost;
+  const instanceTypeIdx = headerIndices.instanceType;
+  const lineItemTypeIdx = headerIndices.lineItemType;
   
   // CRITICAL DEBUG: Log column indices to verify cost column is found
   console.log('[PARSER] Column indices:', {
+    schemaProfile: schemaProfile.label,
     productCode: productCodeIdx,
     resourceId: resourceIdIdx,
     cost: costIdx,
@@ -60,38 +78,51 @@ export const parseAwsCur = (csvText) => {
     console.error('[PARSER] ERROR: Cost column not found! Available headers:', headers);
     throw new Error('Cost column (UnblendedCost/Cost) not found in CSV headers');
   }
-  const osIdx = getColumnIndex(['operatingsystem', 'os', 'operating_system']);
-  const regionIdx = getColumnIndex(['location', 'region', 'availabilityzone']);
-  const usageAmountIdx = getColumnIndex(['usageamount', 'usage_amount', 'quantity']);
-  const usageStartDateIdx = getColumnIndex(['usagestartdate', 'usage_start_date', 'billingperiodstartdate']);
-  const usageEndDateIdx = getColumnIndex(['usageenddate', 'usage_end_date', 'billingperiodenddate']);
+  const osIdx = headerIndices.os;
+  const regionIdx = headerIndices.region;
+  const usageAmountIdx = headerIndices.usageAmount;
+  const usageStartDateIdx = headerIndices.usageStartDate;
+  const usageEndDateIdx = headerIndices.usageEndDate;
+  const accountIdIdx = headerIndices.accountId;
+  const accountNameIdx = headerIndices.accountName;
+  const databaseEngineIdx = headerIndices.databaseEngine;
+  const databaseEditionIdx = headerIndices.databaseEdition;
+  const deploymentOptionIdx = headerIndices.deploymentOption;
 
   if (productCodeIdx === -1) {
     throw new Error('Could not find ProductCode/Service column in AWS CUR');
   }
 
   // Parse data rows
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-
-    const values = line.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+  for (let i = 1; i < rows.length; i++) {
+    const values = rows[i];
     const productCode = values[productCodeIdx]?.toUpperCase().trim();
     
     // CRITICAL FIX: Validate product code - skip if it looks like a date or is invalid
     // Dates in ISO format (e.g., "2025-09-22T09:00:00Z") should not be treated as product codes
     if (!productCode || productCode.length === 0) {
+      recordRejectedRow(ingestionReport, RejectionReason.NO_PRODUCT_CODE, { lineNumber: i + 1, productCode: '', cost: rowCost(values), values });
       continue;
     }
     
     // Skip if productCode looks like a date (ISO format: YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS)
     if (/^\d{4}-\d{2}-\d{2}/.test(productCode)) {
+      recordRejectedRow(ingestionReport, RejectionReason.MISALIGNED_ROW, { lineNumber: i + 1, productCode, cost: 0, values });
       continue;
     }
     
     const rawResourceId = values[resourceIdIdx]?.trim();
     const rawCost = values[costIdx] || '0';
-    const cost = parseFloat(rawCost) || 0;
+    const cost = rowCost(values);
+
+    // Ledger per line item type; types outside the baseline (credits, tax, ...) stop here
+    const lineItemType = classifyLineItemType(lineItemTypeIdx !== -1 ? values[lineItemTypeIdx] : '', productCode);
+    const includedInBaseline = baselineTypes.has(lineItemType);
+    recordLineItem(lineItemLedger, lineItemType, parseCsvNumber(rawCost, delimiter) || 0, cost, includedInBaseline);
+    if (!includedInBaseline) {
+      recordRejectedRow(ingestionReport, RejectionReason.EXCLUDED_LINE_ITEM_TYPE, { lineNumber: i + 1, productCode, cost, values });
+      continue;
+    }
     const instanceType = values[instanceTypeIdx] || '';
     
     // Debug first few rows to verify costs are being extracted
@@ -111,6 +142,8 @@ export const parseAwsCur = (csvText) => {
     const usageType = values[usageTypeIdx] || '';
     const usageStartDate = usageStartDateIdx !== -1 ? values[usageStartDateIdx] : null;
     const usageEndDate = usageEndDateIdx !== -1 ? values[usageEndDateIdx] : null;
+    const accountId = accountIdIdx !== -1 ? (values[accountIdIdx] || '').trim() : '';
+    const accountName = accountNameIdx !== -1 ? (values[accountNameIdx] || '').trim() : '';
 
     // Track raw cost from EVERY row (before any filtering or aggregation)
     if (!isNaN(cost) && cost > 0) {
@@ -118,13 +151,17 @@ export const parseAwsCur = (csvText) => {
     }
 
     // Skip if not a billable service
-    if (productCode === 'TAX' || cost === 0) continue;
+    if (productCode === 'TAX' || cost === 0) {
+      recordRejectedRow(ingestionReport, productCode === 'TAX' ? RejectionReason.TAX : RejectionReason.ZERO_COST, { lineNumber: i + 1, productCode, cost, values });
+      continue;
+    }
     
     // For rows without ResourceId, create a composite key from productCode + usageType + region
     // This groups similar charges together instead of creating unique workloads for each row
+    // (per linked account, so multi-account CURs keep each account's charges apart)
     const resourceId = rawResourceId && rawResourceId.length > 0 
       ? rawResourceId 
-      : `${productCode}_${usageType}_${region}_no-resource-id`.toLowerCase();
+      : `${productCode}_${usageType}_${region}${accountId ? `_${accountId}` : ''}_no-resource-id`.toLowerCase();
 
     // CRITICAL FIX: Use comprehensive AWS product code mapping
     // Normalize AWS product code to standard service name
@@ -132,9 +169,15 @@ export const parseAwsCur = (csvText) => {
     
     // Skip if this is a tax or null service
     if (!normalizedService || normalizedService === 'TAX') {
+      recordRejectedRow(ingestionReport, RejectionReason.UNKNOWN_SERVICE, { lineNumber: i + 1, productCode, cost, values });
       continue;
     }
     
+    // Kept under an inferred service name, but reported so the mapping gap is visible
+    if (!isMappedAwsService(normalizedService)) {
+      recordUnknownProductCode(ingestionReport, productCode, cost, normalizedService);
+    }
+    
     // Get service type based on normalized service name
     const serviceType = getAwsServiceType(normalizedService);
     
@@ -174,6 +217,13 @@ export const parseAwsCur = (csvText) => {
           : null,
         // Track all dates seen for this workload
         seenDates: usageStartDate ? [usageStartDate] : [],
+        tags: {},
+        accountId: accountId || null,
+        accountName: accountName || null,
+        costByMonth: {},
+        costByComponent: {},
+        databaseUsage: null,
+        storageUsage: null,
       });
     }
 
@@ -192,6 +242,51 @@ export const parseAwsCur = (csvText) => {
     }
     
     workload.monthlyCost += cost;
+    addToCostSeries(workload.costByMonth, toBillingMonth(usageStartDate), cost);
+    
+    // Split by usage type (instance hours, volumes, data transfer...) for component pricing
+    const { component } = classifyUsageType(usageType, { productCode, serviceType });
+    workload.costByComponent[component] = Math.round(((workload.costByComponent[component] || 0) + cost) * 100) / 100;
+    
+    // Engine, Multi-AZ, instance hours and storage of RDS / Aurora databases
+    const databaseUsage = readRdsUsage({
+      productCode,
+      usageType,
+      usageAmount: usageAmountIdx !== -1 ? parseCsvNumber(values[usageAmountIdx], delimiter) : 0,
+      databaseEngine: databaseEngineIdx !== -1 ? values[databaseEngineIdx] : '',
+      databaseEdition: databaseEditionIdx !== -1 ? values[databaseEditionIdx] : '',
+      deploymentOption: deploymentOptionIdx !== -1 ? values[deploymentOptionIdx] : ''
+    });
+    if (databaseUsage) {
+      workload.databaseUsage = Workload.mergeDatabaseUsage(workload.databaseUsage, databaseUsage);
+    }
+    
+    // GB-months, requests and retrievals per storage class of S3 buckets and Glacier vaults
+    const storageUsage = readS3Usage({
+      productCode,
+      usageType,
+      usageAmount: usageAmountIdx !== -1 ? parseCsvNumber(values[usageAmountIdx], delimiter) : 0,
+      cost
+    });
+    if (storageUsage) {
+      workload.storageUsage = Workload.mergeStorageUsage(workload.storageUsage, storageUsage);
+    }
+    
+    // Merge resource tags (later non-empty values win)
+    const rowTags = extractRowTags(values, tagColumns);
+    if (rowTags) {
+      Object.assign(workload.tags, rowTags);
+    }
+    
+    // Account name may only be populated on some rows
+    if (!workload.accountName && accountName) {
+      workload.accountName = accountName;
+    }
+    
+    // So may the instance type (data transfer rows of an instance carry none)
+    if (!workload.awsInstanceType && instanceType) {
+      workload.awsInstanceType = instanceType;
+    }
     
     // Track date range (expand if needed)
     if (usageStartDate) {
@@ -215,14 +310,16 @@ export const parseAwsCur = (csvText) => {
     
     // Update storage if it's a storage service
     if (mapping.type === 'storage' && usageAmountIdx !== -1) {
-      const usageAmount = parseFloat(values[usageAmountIdx] || '0');
+      const usageAmount = parseCsvNumber(values[usageAmountIdx] || '0', delimiter);
       if (usageType.includes('GB')) {
         workload.storage += usageAmount;
       }
     }
   }
 
-  return Array.from(workloadMap.values());
+  const result = Array.from(workloadMap.values());
+  result._metadata = { schemaProfile, costBasis, lineItemLedger, ingestionReport };
+  return result;
 };
 
 /**
@@ -316,12 +413,12 @@ function parseInstanceType(instanceType) {
  * Format: Service, Resource ID, Instance Type, Region, Monthly Cost
  */
 export const parseAwsBillSimple = (csvText) => {
-  const lines = csvText.trim().split('\n');
-  if (lines.length < 2) {
+  const { rows, delimiter } = parseCsv(csvText);
+  if (rows.length < 2) {
     throw new Error('AWS bill file must have at least a header row and one data row');
   }
 
-  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const headers = rows[0].map(h => h.toLowerCase());
   const workloads = [];
 
   const serviceIdx = headers.indexOf('service');
@@ -334,16 +431,13 @@ export const parseAwsBillSimple = (csvText) => {
     throw new Error('CSV must include a "service" column');
   }
 
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-
-    const values = line.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+  for (let i = 1; i < rows.length; i++) {
+    const values = rows[i];
     const service = values[serviceIdx];
     const resourceId = values[resourceIdIdx] || `resource-${i}`;
     const instanceType = values[instanceTypeIdx] || '';
     const region = values[regionIdx] || 'us-east-1';
-    const cost = parseFloat(values[costIdx] || '0');
+    const cost = parseCsvNumber(values[costIdx] || '0', delimiter);
 
     if (!service || cost === 0) continue;
 
@@ -0,0 +1,314 @@
+/**
+ * AWS EC2 Instance Type Catalog
+ *
+ * vCPU, memory, CPU architecture and vendor of the EC2 instance families (burstable t, general purpose m,
+ * compute c, memory r / x / z, storage i / d / h, accelerated g / p, and the Graviton *g variants), used to
+ * match instances to GCP machine types (gcpMachineTypeMatcher.js).
+ *
+ * Most families scale linearly: `large` is 2 vCPU, `xlarge` 4, `Nxlarge` 4N, `medium` 1, at a fixed
+ * memory per vCPU. Families that do not (t, c4, c5n, x1, x1e, the GPU families...) list their shapes.
+ * Types of families missing from the catalog are inferred from the name (family letter, size, a / g
+ * suffix) and flagged as such.
+ */
+
+export const InstanceCategory = {
+  BURSTABLE: 'burstable',
+  GENERAL_PURPOSE: 'general-purpose',
+  COMPUTE_OPTIMIZED: 'compute-optimized',
+  MEMORY_OPTIMIZED: 'memory-optimized',
+  STORAGE_OPTIMIZED: 'storage-optimized',
+  ACCELERATED: 'accelerated'
+};
+
+export const CpuArchitecture = {
+  X86_64: 'x86_64',
+  ARM64: 'arm64'
+};
+
+export const CpuVendor = {
+  INTEL: 'intel',
+  AMD: 'amd',
+  GRAVITON: 'graviton'
+};
+
+const { BURSTABLE, GENERAL_PURPOSE, COMPUTE_OPTIMIZED, MEMORY_OPTIMIZED, STORAGE_OPTIMIZED, ACCELERATED } = InstanceCategory;
+const { INTEL, AMD, GRAVITON } = CpuVendor;
+
+// Size ladders of the linear families
+const SIZES_TO_16X = ['large', 'xlarge', '2xlarge', '4xlarge', '8xlarge', '12xlarge', '16xlarge'];
+const SIZES_TO_24X = [...SIZES_TO_16X, '24xlarge'];
+const SIZES_TO_32X = [...SIZES_TO_24X, '32xlarge'];
+const SIZES_TO_48X = [...SIZES_TO_32X, '48xlarge'];
+const C5_SIZES = ['large', 'xlarge', '2xlarge', '4xlarge', '9xlarge', '12xlarge', '18xlarge', '24xlarge'];
+const GRAVITON_SIZES = ['medium', ...SIZES_TO_16X];
+const GRAVITON_SIZES_TO_48X = ['medium', ...SIZES_TO_48X];
+const Z_SIZES = ['large', 'xlarge', '2xlarge', '3xlarge', '6xlarge', '12xlarge'];
+
+const BURSTABLE_SHAPES = {
+  nano: [2, 0.5],
+  micro: [2, 1],
+  small: [2, 2],
+  medium: [2, 4],
+  large: [2, 8],
+  xlarge: [4, 16],
+  '2xlarge': [8, 32]
+};
+
+/**
+ * Instance families
+ * memoryPerVcpu + sizes for linear families; shapes (size -> [vCPU, memory GB, GPUs]) for the rest
+ * (and for the odd sizes of a linear family). latestCpu marks 4th gen Xeon / EPYC (Sapphire Rapids /
+ * Genoa) and later; localSsd families come with NVMe instance storage; gpuModel is the accelerator.
+ */
+export const AWS_INSTANCE_FAMILIES = {
+  // Burstable
+  t2: { category: BURSTABLE, vendor: INTEL, shapes: { ...BURSTABLE_SHAPES, nano: [1, 0.5], micro: [1, 1], small: [1, 2] } },
+  t3: { category: BURSTABLE, vendor: INTEL, shapes: BURSTABLE_SHAPES },
+  t3a: { category: BURSTABLE, vendor: AMD, shapes: BURSTABLE_SHAPES },
+  t4g: { category: BURSTABLE, vendor: GRAVITON, shapes: BURSTABLE_SHAPES },
+
+  // General purpose
+  m4: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: ['large', 'xlarge', '2xlarge', '4xlarge', '10xlarge', '16xlarge'] },
+  m5: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: [...SIZES_TO_24X, 'metal'] },
+  m5a: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, sizes: SIZES_TO_24X },
+  m5ad: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, sizes: SIZES_TO_24X, localSsd: true },
+  m5d: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: [...SIZES_TO_24X, 'metal'], localSsd: true },
+  m5dn: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: [...SIZES_TO_24X, 'metal'], localSsd: true },
+  m5n: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: [...SIZES_TO_24X, 'metal'] },
+  m5zn: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: Z_SIZES, shapes: { metal: [48, 192] } },
+  m6a: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, sizes: [...SIZES_TO_48X, 'metal'] },
+  m6g: { category: GENERAL_PURPOSE, vendor: GRAVITON, memoryPerVcpu: 4, sizes: [...GRAVITON_SIZES, 'metal'] },
+  m6gd: { category: GENERAL_PURPOSE, vendor: GRAVITON, memoryPerVcpu: 4, sizes: [...GRAVITON_SIZES, 'metal'], localSsd: true },
+  m6i: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: [...SIZES_TO_32X, 'metal'] },
+  m6id: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: [...SIZES_TO_32X, 'metal'], localSsd: true },
+  m7a: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, sizes: ['medium', ...SIZES_TO_48X, 'metal-48xl'], latestCpu: true },
+  m7g: { category: GENERAL_PURPOSE, vendor: GRAVITON, memoryPerVcpu: 4, sizes: [...GRAVITON_SIZES, 'metal'] },
+  m7gd: { category: GENERAL_PURPOSE, vendor: GRAVITON, memoryPerVcpu: 4, sizes: [...GRAVITON_SIZES, 'metal'], localSsd: true },
+  m7i: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: [...SIZES_TO_48X, 'metal-24xl', 'metal-48xl'], latestCpu: true },
+  'm7i-flex': { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, sizes: ['large', 'xlarge', '2xlarge', '4xlarge', '8xlarge'], latestCpu: true },
+  m8g: { category: GENERAL_PURPOSE, vendor: GRAVITON, memoryPerVcpu: 4, sizes: [...GRAVITON_SIZES_TO_48X, 'metal-24xl', 'metal-48xl'] },
+
+  // Compute optimised
+  c4: {
+    category: COMPUTE_OPTIMIZED,
+    vendor: INTEL,
+    shapes: { large: [2, 3.75], xlarge: [4, 7.5], '2xlarge': [8, 15], '4xlarge': [16, 30], '8xlarge': [36, 60] }
+  },
+  c5: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, sizes: [...C5_SIZES, 'metal'] },
+  c5a: { category: COMPUTE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 2, sizes: SIZES_TO_24X },
+  c5ad: { category: COMPUTE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 2, sizes: SIZES_TO_24X, localSsd: true },
+  c5d: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, sizes: [...C5_SIZES, 'metal'], localSsd: true },
+  c5n: {
+    category: COMPUTE_OPTIMIZED,
+    vendor: INTEL,
+    shapes: { large: [2, 5.25], xlarge: [4, 10.5], '2xlarge': [8, 21], '4xlarge': [16, 42], '9xlarge': [36, 96], '18xlarge': [72, 192], metal: [72, 192] }
+  },
+  c6a: { category: COMPUTE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 2, sizes: [...SIZES_TO_48X, 'metal'] },
+  c6g: { category: COMPUTE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 2, sizes: [...GRAVITON_SIZES, 'metal'] },
+  c6gd: { category: COMPUTE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 2, sizes: [...GRAVITON_SIZES, 'metal'], localSsd: true },
+  c6gn: { category: COMPUTE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 2, sizes: GRAVITON_SIZES },
+  c6i: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, sizes: [...SIZES_TO_32X, 'metal'] },
+  c6id: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, sizes: [...SIZES_TO_32X, 'metal'], localSsd: true },
+  c6in: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, sizes: [...SIZES_TO_32X, 'metal'] },
+  c7a: { category: COMPUTE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 2, sizes: ['medium', ...SIZES_TO_48X, 'metal-48xl'], latestCpu: true },
+  c7g: { category: COMPUTE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 2, sizes: [...GRAVITON_SIZES, 'metal'] },
+  c7gd: { category: COMPUTE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 2, sizes: [...GRAVITON_SIZES, 'metal'], localSsd: true },
+  c7gn: { category: COMPUTE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 2, sizes: [...GRAVITON_SIZES, 'metal'] },
+  c7i: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, sizes: [...SIZES_TO_48X, 'metal-24xl', 'metal-48xl'], latestCpu: true },
+  c8g: { category: COMPUTE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 2, sizes: [...GRAVITON_SIZES_TO_48X, 'metal-24xl', 'metal-48xl'] },
+
+  // Memory optimised
+  r4: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 7.625, sizes: ['large', 'xlarge', '2xlarge', '4xlarge', '8xlarge', '16xlarge'] },
+  r5: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_24X, 'metal'] },
+  r5a: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, sizes: SIZES_TO_24X },
+  r5ad: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, sizes: SIZES_TO_24X, localSsd: true },
+  r5b: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_24X, 'metal'] },
+  r5d: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_24X, 'metal'], localSsd: true },
+  r5dn: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_24X, 'metal'], localSsd: true },
+  r5n: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_24X, 'metal'] },
+  r6a: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, sizes: [...SIZES_TO_48X, 'metal'] },
+  r6g: { category: MEMORY_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 8, sizes: [...GRAVITON_SIZES, 'metal'] },
+  r6gd: { category: MEMORY_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 8, sizes: [...GRAVITON_SIZES, 'metal'], localSsd: true },
+  r6i: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_32X, 'metal'] },
+  r6id: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_32X, 'metal'], localSsd: true },
+  r7a: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, sizes: ['medium', ...SIZES_TO_48X, 'metal-48xl'], latestCpu: true },
+  r7g: { category: MEMORY_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 8, sizes: [...GRAVITON_SIZES, 'metal'] },
+  r7gd: { category: MEMORY_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 8, sizes: [...GRAVITON_SIZES, 'metal'], localSsd: true },
+  r7i: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_48X, 'metal-24xl', 'metal-48xl'], latestCpu: true },
+  r7iz: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_16X, '32xlarge', 'metal-16xl', 'metal-32xl'], latestCpu: true },
+  r8g: { category: MEMORY_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 8, sizes: [...GRAVITON_SIZES_TO_48X, 'metal-24xl', 'metal-48xl'] },
+  x1: { category: MEMORY_OPTIMIZED, vendor: INTEL, shapes: { '16xlarge': [64, 976], '32xlarge': [128, 1952] }, localSsd: true },
+  x1e: {
+    category: MEMORY_OPTIMIZED,
+    vendor: INTEL,
+    shapes: { xlarge: [4, 122], '2xlarge': [8, 244], '4xlarge': [16, 488], '8xlarge': [32, 976], '16xlarge': [64, 1952], '32xlarge': [128, 3904] },
+    localSsd: true
+  },
+  x2gd: { category: MEMORY_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 16, sizes: [...GRAVITON_SIZES, 'metal'], localSsd: true },
+  x2idn: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 16, sizes: ['16xlarge', '24xlarge', '32xlarge', 'metal'], localSsd: true },
+  x2iedn: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 32, sizes: ['xlarge', '2xlarge', '4xlarge', '8xlarge', '16xlarge', '24xlarge', '32xlarge', 'metal'], localSsd: true },
+  x2iezn: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 32, sizes: ['2xlarge', '4xlarge', '6xlarge', '8xlarge', '12xlarge'], shapes: { metal: [48, 1536] } },
+  x8g: { category: MEMORY_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 16, sizes: [...GRAVITON_SIZES_TO_48X, 'metal-24xl', 'metal-48xl'] },
+  z1d: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: Z_SIZES, shapes: { metal: [48, 384] }, localSsd: true },
+
+  // Storage optimised
+  d2: { category: STORAGE_OPTIMIZED, vendor: INTEL, shapes: { xlarge: [4, 30.5], '2xlarge': [8, 61], '4xlarge': [16, 122], '8xlarge': [36, 244] }, localSsd: true },
+  d3: { category: STORAGE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: ['xlarge', '2xlarge', '4xlarge', '8xlarge'], localSsd: true },
+  d3en: { category: STORAGE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 4, sizes: ['xlarge', '2xlarge', '4xlarge', '6xlarge', '8xlarge', '12xlarge'], localSsd: true },
+  h1: { category: STORAGE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 4, sizes: ['2xlarge', '4xlarge', '8xlarge', '16xlarge'], localSsd: true },
+  i3: { category: STORAGE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 7.625, sizes: ['large', 'xlarge', '2xlarge', '4xlarge', '8xlarge', '16xlarge'], shapes: { metal: [72, 512] }, localSsd: true },
+  i3en: { category: STORAGE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...Z_SIZES, '24xlarge', 'metal'], localSsd: true },
+  i4g: { category: STORAGE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 8, sizes: SIZES_TO_16X.filter(size => size !== '12xlarge'), localSsd: true },
+  i4i: { category: STORAGE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, sizes: [...SIZES_TO_32X, 'metal'], localSsd: true },
+  im4gn: { category: STORAGE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 4, sizes: SIZES_TO_16X.filter(size => size !== '12xlarge'), localSsd: true },
+  is4gen: { category: STORAGE_OPTIMIZED, vendor: GRAVITON, memoryPerVcpu: 6, sizes: ['medium', 'large', 'xlarge', '2xlarge', '4xlarge', '8xlarge'], localSsd: true },
+
+  // Accelerated
+  g4ad: {
+    category: ACCELERATED,
+    vendor: AMD,
+    gpuModel: 'AMD Radeon Pro V520',
+    shapes: { xlarge: [4, 16, 1], '2xlarge': [8, 32, 1], '4xlarge': [16, 64, 1], '8xlarge': [32, 128, 2], '16xlarge': [64, 256, 4] },
+    localSsd: true
+  },
+  g4dn: {
+    category: ACCELERATED,
+    vendor: INTEL,
+    gpuModel: 'NVIDIA T4',
+    shapes: { xlarge: [4, 16, 1], '2xlarge': [8, 32, 1], '4xlarge': [16, 64, 1], '8xlarge': [32, 128, 1], '12xlarge': [48, 192, 4], '16xlarge': [64, 256, 1], metal: [96, 384, 8] },
+    localSsd: true
+  },
+  g5: {
+    category: ACCELERATED,
+    vendor: AMD,
+    gpuModel: 'NVIDIA A10G',
+    shapes: { xlarge: [4, 16, 1], '2xlarge': [8, 32, 1], '4xlarge': [16, 64, 1], '8xlarge': [32, 128, 1], '12xlarge': [48, 192, 4], '16xlarge': [64, 256, 1], '24xlarge': [96, 384, 4], '48xlarge': [192, 768, 8] },
+    localSsd: true
+  },
+  g5g: {
+    category: ACCELERATED,
+    vendor: GRAVITON,
+    gpuModel: 'NVIDIA T4G',
+    shapes: { xlarge: [4, 8, 1], '2xlarge': [8, 16, 1], '4xlarge': [16, 32, 1], '8xlarge': [32, 64, 1], '16xlarge': [64, 128, 2], metal: [64, 128, 2] }
+  },
+  g6: {
+    category: ACCELERATED,
+    vendor: AMD,
+    gpuModel: 'NVIDIA L4',
+    shapes: { xlarge: [4, 16, 1], '2xlarge': [8, 32, 1], '4xlarge': [16, 64, 1], '8xlarge': [32, 128, 1], '12xlarge': [48, 192, 4], '16xlarge': [64, 256, 1], '24xlarge': [96, 384, 4], '48xlarge': [192, 768, 8] },
+    localSsd: true
+  },
+  p3: { category: ACCELERATED, vendor: INTEL, gpuModel: 'NVIDIA V100', shapes: { '2xlarge': [8, 61, 1], '8xlarge': [32, 244, 4], '16xlarge': [64, 488, 8] } },
+  p3dn: { category: ACCELERATED, vendor: INTEL, gpuModel: 'NVIDIA V100', shapes: { '24xlarge': [96, 768, 8] }, localSsd: true },
+  p4d: { category: ACCELERATED, vendor: INTEL, gpuModel: 'NVIDIA A100', shapes: { '24xlarge': [96, 1152, 8] }, localSsd: true },
+  p5: { category: ACCELERATED, vendor: AMD, gpuModel: 'NVIDIA H100', shapes: { '48xlarge': [192, 2048, 8] }, localSsd: true }
+};
+
+// Families missing from the catalog, by their first letter
+const INFERRED_FAMILY_DEFAULTS = {
+  t: { category: BURSTABLE, memoryPerVcpu: 4 },
+  m: { category: GENERAL_PURPOSE, memoryPerVcpu: 4 },
+  c: { category: COMPUTE_OPTIMIZED, memoryPerVcpu: 2 },
+  r: { category: MEMORY_OPTIMIZED, memoryPerVcpu: 8 },
+  x: { category: MEMORY_OPTIMIZED, memoryPerVcpu: 16 },
+  z: { category: MEMORY_OPTIMIZED, memoryPerVcpu: 8 },
+  i: { category: STORAGE_OPTIMIZED, memoryPerVcpu: 8 },
+  d: { category: STORAGE_OPTIMIZED, memoryPerVcpu: 8 },
+  h: { category: STORAGE_OPTIMIZED, memoryPerVcpu: 4 }
+};
+
+// e.g. 'm7i-flex.large', 'r7iz.metal-16xl'
+const INSTANCE_TYPE_PATTERN = /^([a-z][a-z0-9-]*)\.([a-z0-9-]+)$/;
+
+/**
+ * vCPUs of a size of a linear family
+ * @param {string} size - 'medium', 'large', 'xlarge', '12xlarge', 'metal-24xl'
+ * @param {string[]} sizes - Sizes of the family, for 'metal' (the largest size)
+ * @returns {number|null}
+ */
+function sizeVcpus(size, sizes = []) {
+  if (size === 'medium') return 1;
+  if (size === 'large') return 2;
+  if (size === 'xlarge') return 4;
+  const multiple = size.match(/^(\d+)xlarge$/) || size.match(/^metal-(\d+)xl$/);
+  if (multiple) return 4 * parseInt(multiple[1], 10);
+  if (size === 'metal') {
+    const largest = sizes.filter(candidate => candidate !== 'metal').map(candidate => sizeVcpus(candidate)).filter(Boolean);
+    return largest.length > 0 ? Math.max(...largest) : null;
+  }
+  return null;
+}
+
+function vendorOf(familyName) {
+  // The suffix letters after the generation digit: m6g / c7gn (Graviton), m5a / r6a (AMD)
+  const suffix = (familyName.match(/^[a-z]+\d+([a-z]*)/) || [])[1] || '';
+  if (suffix.includes('g')) return GRAVITON;
+  if (suffix.includes('a')) return AMD;
+  return INTEL;
+}
+
+const specCache = new Map();
+
+/**
+ * Specs of an EC2 instance type
+ * @param {string} instanceType - e.g. 'm5.large', 'c7g.2xlarge'
+ * @returns {{instanceType: string, family: string, size: string, category: string, arch: string, vendor: string,
+ *   vcpu: number, memoryGb: number, gpus: number, gpuModel: string|null, localSsd: boolean, latestCpu: boolean,
+ *   inferred: boolean}|null} null when the type cannot be read (no size, unknown accelerated family)
+ */
+export function getAwsInstanceSpecs(instanceType) {
+  const normalized = String(instanceType || '').trim().toLowerCase();
+  if (specCache.has(normalized)) return specCache.get(normalized);
+
+  const specs = buildSpecs(normalized);
+  specCache.set(normalized, specs);
+  return specs;
+}
+
+function buildSpecs(normalized) {
+  const match = normalized.match(INSTANCE_TYPE_PATTERN);
+  if (!match) return null;
+  const [, familyName, size] = match;
+
+  const family = AWS_INSTANCE_FAMILIES[familyName];
+  let shape = null;
+  let inferred = false;
+  if (family) {
+    if (family.shapes?.[size]) {
+      shape = family.shapes[size];
+    } else if (family.sizes?.includes(size)) {
+      const vcpu = sizeVcpus(size, family.sizes);
+      shape = [vcpu, vcpu * family.memoryPerVcpu];
+    }
+  }
+
+  let specsFamily = family;
+  if (!shape) {
+    // Unknown family, or a size the catalog does not list: infer from the name
+    const defaults = INFERRED_FAMILY_DEFAULTS[familyName[0]];
+    const vcpu = sizeVcpus(size) || (defaults?.category === BURSTABLE ? BURSTABLE_SHAPES[size]?.[0] : null);
+    if (!vcpu || !(family || defaults)) return null;
+    specsFamily = family || { ...defaults, vendor: vendorOf(familyName) };
+    const memoryPerVcpu = specsFamily.memoryPerVcpu || (specsFamily.category === BURSTABLE ? 4 : null);
+    if (!memoryPerVcpu) return null;
+    shape = specsFamily.category === BURSTABLE && BURSTABLE_SHAPES[size] ? BURSTABLE_SHAPES[size] : [vcpu, vcpu * memoryPerVcpu];
+    inferred = true;
+  }
+
+  const [vcpu, memoryGb, gpus = 0] = shape;
+  return {
+    instanceType: normalized,
+    family: familyName,
+    size,
+    category: specsFamily.category,
+    arch: specsFamily.vendor === GRAVITON ? CpuArchitecture.ARM64 : CpuArchitecture.X86_64,
+    vendor: specsFamily.vendor,
+    vcpu,
+    memoryGb,
+    gpus,
+    gpuModel: specsFamily.gpuModel || null,
+    localSsd: !!specsFamily.localSsd,
+    latestCpu: !!specsFamily.latestCpu,
+    inferred
+  };
+}
@@ -749,6 +749,18 @@ export function normalizeAwsProductCode(productCode) {
   return productCode;
 }
 
+// Service names the mapping table resolves to (anything else is an inferred or pass-through name)
+const mappedServiceNames = new Set(Object.values(awsProductCodeToService));
+
+/**
+ * Whether a normalized service name comes from an explicit product code mapping
+ * @param {string} serviceName - Result of normalizeAwsProductCode
+ * @returns {boolean} false for codes that fell through to an inferred or original name
+ */
+export function isMappedAwsService(serviceName) {
+  return mappedServiceNames.has(serviceName);
+}
+
 /**
  * Get service type based on AWS service name
  * @param {string} serviceName - Normalized service name
@@ -819,5 +831,6 @@ export function getAwsServiceType(serviceName) {
 export default {
   normalizeAwsProductCode,
   getAwsServiceType,
+  isMappedAwsService,
   awsProductCodeToService
 };
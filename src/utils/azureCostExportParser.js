@@ -0,0 +1,423 @@
+/**
+ * Azure Cost Export Parser
+ *
+ * Streams Azure Cost Management exports and EA / MCA usage detail CSVs into Workload entities
+ * (sourceProvider 'azure'), with the same aggregation, line item ledger, monthly cost series and
+ * IndexedDB flushing as the AWS CUR streaming parser.
+ *
+ * Columns are matched case-insensitively, since the EA, MCA and Cost Management export layouts
+ * differ only in casing and a few names (e.g. CostInBillingCurrency vs PreTaxCost). A row's
+ * ChargeType (Usage, Purchase, Refund, UnusedReservation, ...) is its line item type.
+ */
+
+import { Workload } from '../domain/entities/Workload.js';
+import { Money } from '../domain/value_objects/Money.js';
+import { CloudProviderType } from '../domain/value_objects/CloudProvider.js';
+import { readCsvRecords } from './textRecordReader.js';
+import { normalizeAzureMeterCategory, getAzureServiceType } from './azureMeterCategoryMapping.js';
+import { describeCostBasis } from './curCostBasis.js';
+import { classifyLineItemType, createLineItemLedger, recordLineItem, resolveBaselineLineItemTypes } from './curLineItemLedger.js';
+import { toBillingMonth, addToCostSeries } from './costTimeSeries.js';
+import { getAzureVmSpecs, azureVmSizeFromMeterName } from './azureVmSizeCatalog.js';
+import { mergeFlushedWorkload } from './streamingCsvParser.js';
+
+// Column aliases (lowercase), in order of preference
+const AZURE_COLUMN_ALIASES = {
+  meterCategory: ['metercategory', 'meter category'],
+  meterSubCategory: ['metersubcategory', 'meter sub-category', 'meter subcategory'],
+  meterName: ['metername', 'meter name'],
+  resourceId: ['resourceid', 'instanceid', 'instance id'],
+  resourceName: ['resourcename', 'resource name'],
+  cost: ['costinbillingcurrency', 'pretaxcost', 'cost', 'extendedcost', 'costinusd'],
+  location: ['resourcelocation', 'resource location', 'location'],
+  tags: ['tags'],
+  date: ['date', 'usagedatetime', 'usagedate'],
+  subscriptionId: ['subscriptionid', 'subscriptionguid', 'subscription id'],
+  subscriptionName: ['subscriptionname', 'subscription name'],
+  chargeType: ['chargetype', 'charge type'],
+  additionalInfo: ['additionalinfo', 'additional info'],
+  quantity: ['quantity', 'consumedquantity', 'consumed quantity'],
+  unitOfMeasure: ['unitofmeasure', 'unit of measure'],
+  currency: ['billingcurrency', 'billingcurrencycode', 'currency']
+};
+
+export const AZURE_SCHEMA_PROFILE_ID = 'azure-cost-export';
+
+const FLUSH_TO_DB_THRESHOLD = 10000; // Flush every 10K workloads (same as the CUR parser)
+const ROWS_PER_YIELD = 1000;
+const DEFAULT_REGION = 'global';
+
+/**
+ * Resolve the column index of every known Azure column
+ * @param {string[]} headers - Header row
+ * @returns {Object} Field -> column index (-1 when absent)
+ */
+export function resolveAzureHeaderIndices(headers) {
+  const lowerHeaders = headers.map(h => String(h || '').replace(/^\uFEFF/, '').trim().toLowerCase());
+  const indices = {};
+  for (const [field, aliases] of Object.entries(AZURE_COLUMN_ALIASES)) {
+    indices[field] = -1;
+    for (const alias of aliases) {
+      const index = lowerHeaders.indexOf(alias);
+      if (index >= 0) {
+        indices[field] = index;
+        break;
+      }
+    }
+  }
+  return indices;
+}
+
+/**
+ * Describe the columns matched in an Azure export (same shape as describeSchemaProfile)
+ * @param {string[]} headers - Header row
+ * @param {Object} indices - Result of resolveAzureHeaderIndices
+ * @returns {{id: string, label: string, columns: Object}}
+ */
+function describeAzureColumns(headers, indices) {
+  const columns = {};
+  for (const [field, index] of Object.entries(indices)) {
+    columns[field] = index >= 0 ? String(headers[index]).replace(/^\uFEFF/, '').trim() : null;
+  }
+  return { id: AZURE_SCHEMA_PROFILE_ID, label: 'Azure Cost Management', columns };
+}
+
+/**
+ * Whether a header row is an Azure cost export (has MeterCategory and a cost column)
+ * @param {string[]} headers - Header row
+ * @returns {boolean}
+ */
+export function isAzureCostExportHeader(headers) {
+  if (!Array.isArray(headers) || headers.length === 0) return false;
+  const indices = resolveAzureHeaderIndices(headers);
+  return indices.meterCategory >= 0 && indices.cost >= 0;
+}
+
+/**
+ * Parse an Azure Tags cell
+ * Exports write tags as JSON, and EA usage details as JSON members without the braces
+ * ("env": "prod","team": "web").
+ * @param {string} cell
+ * @returns {Object|null} key -> value, or null when there are no tags or the cell is malformed
+ */
+export function parseAzureTags(cell) {
+  const text = String(cell || '').trim();
+  if (!text) return null;
+  try {
+    const parsed = JSON.parse(text.startsWith('{') ? text : `{${text}}`);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+    const tags = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      if (key && value !== null && value !== undefined && value !== '') {
+        tags[key] = String(value);
+      }
+    }
+    return Object.keys(tags).length > 0 ? tags : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalize an Azure location to its programmatic name ('East US' / 'EastUS' -> 'eastus')
+ * @param {string} location
+ * @returns {string}
+ */
+export function normalizeAzureLocation(location) {
+  const normalized = String(location || '').replace(/\s+/g, '').toLowerCase();
+  return normalized && normalized !== 'unassigned' && normalized !== 'unknown' ? normalized : DEFAULT_REGION;
+}
+
+/**
+ * Read the vCPU count and VM size from an AdditionalInfo cell ({"VCPUs": 2, "ServiceType": "Standard_D2s_v3", ...})
+ * @param {string} cell
+ * @returns {{vcpus: number, vmSize: string|null}}
+ */
+function parseAdditionalInfo(cell) {
+  if (!cell || (cell.indexOf('VCPUs') < 0 && cell.indexOf('ServiceType') < 0)) return { vcpus: 0, vmSize: null };
+  try {
+    const info = JSON.parse(cell);
+    const serviceType = String(info.ServiceType || '').trim();
+    return {
+      vcpus: parseInt(info.VCPUs, 10) || 0,
+      vmSize: serviceType && getAzureVmSpecs(serviceType) ? serviceType : null
+    };
+  } catch (e) {
+    return { vcpus: 0, vmSize: null };
+  }
+}
+
+/**
+ * Parse an Azure Cost Management / EA usage detail export in streaming fashion
+ * @param {File|Blob|ArrayBuffer} fileOrBuffer - Export to parse
+ * @param {Function} onProgress - Progress callback ({ bytesProcessed, totalBytes, percent, linesProcessed })
+ * @param {Object} options - Options object
+ * @param {Object} options.workloadRepository - Optional repository to flush workloads periodically
+ * @param {boolean} options.scratchRepository - Optional: flushed workloads are left in workloadRepository for
+ *   the caller instead of being loaded into the result (as parseAwsCurStreaming)
+ * @param {AsyncIterable<{rows: Array<Array<string>>, bytesProcessed: number}>} options.rowSource - Optional
+ *   pre-parsed row batches (first row is the header) used instead of reading CSV text from fileOrBuffer
+ * @param {string} options.compression - Optional 'gzip' for .csv.gz File/Blob input
+ * @param {string} options.costBasis - Requested CostBasis. Azure exports are costed as exported
+ *   (actual or amortized cost is chosen when the export is created), so any other basis is
+ *   reported as a fallback in _metadata.costBasis.
+ * @param {string[]} options.baselineLineItemTypes - Optional charge types included in the migration baseline
+ * @returns {Promise<Workload[]>} Workloads, with _metadata as returned by parseAwsCurStreaming
+ */
+export const parseAzureCostExportStreaming = async (fileOrBuffer, onProgress, options = {}) => {
+  const { workloadRepository, scratchRepository = false, rowSource, compression, costBasis, baselineLineItemTypes } = options;
+  const totalBytes = fileOrBuffer?.size || fileOrBuffer?.byteLength || 0;
+
+  const workloadMap = new Map(); // Dedupe key -> Workload
+  const flushedDedupeKeys = new Set(); // Dedupe keys already written to IndexedDB by this import
+  const skippedRows = { noMeterCategory: 0, zeroCost: 0, excludedLineItemType: 0 };
+  const baselineTypes = resolveBaselineLineItemTypes(baselineLineItemTypes);
+  const lineItemLedger = createLineItemLedger();
+  const costByMonth = {};
+  let totalRawCost = 0;
+  let processedRows = 0;
+  let lineNumber = 0;
+  let workloadsSavedToDB = 0;
+  let headerIndices = null;
+  let costBasisInfo = null;
+  let currency = null;
+  let schemaProfile = null;
+
+  const processRecord = (values) => {
+    lineNumber++;
+
+    if (lineNumber === 1) {
+      if (!isAzureCostExportHeader(values)) {
+        throw new Error('Could not find MeterCategory and cost columns in Azure cost export');
+      }
+      headerIndices = resolveAzureHeaderIndices(values);
+      schemaProfile = describeAzureColumns(values, headerIndices);
+      console.log('[azureCostExportParser] Detected Azure cost export columns', schemaProfile.columns);
+      // Only the exported cost column exists - the basis was fixed when the export was created
+      costBasisInfo = describeCostBasis(costBasis, { cost: headerIndices.cost, effectiveCost: -1, netCost: -1, lineItemType: -1 });
+      if (costBasisInfo.fallback) {
+        console.warn(`[azureCostExportParser] ${costBasisInfo.requested} cost basis requested - Azure exports are costed as exported`);
+      }
+      return;
+    }
+
+    if (!values || values.length === 0) return;
+    const cell = (index) => (index >= 0 && values[index] !== undefined ? values[index] : '');
+
+    const cost = Math.round((parseFloat(cell(headerIndices.cost)) || 0) * 100) / 100;
+    const meterCategory = cell(headerIndices.meterCategory);
+    const lineItemType = classifyLineItemType(cell(headerIndices.chargeType), '');
+    const includedInBaseline = baselineTypes.has(lineItemType);
+    // Record EVERY billed row in the ledger (ties back to the invoice)
+    recordLineItem(lineItemLedger, lineItemType, cost, cost, includedInBaseline);
+
+    if (!includedInBaseline) {
+      skippedRows.excludedLineItemType++;
+      return;
+    }
+
+    totalRawCost += cost;
+    const billingMonth = toBillingMonth(cell(headerIndices.date));
+    addToCostSeries(costByMonth, billingMonth, cost);
+    if (!currency && headerIndices.currency >= 0) {
+      currency = cell(headerIndices.currency) || null;
+    }
+
+    const service = normalizeAzureMeterCategory(meterCategory, cell(headerIndices.meterSubCategory));
+    if (!service) {
+      skippedRows.noMeterCategory++;
+      return;
+    }
+    if (cost === 0) {
+      skippedRows.zeroCost++;
+    }
+    processedRows++;
+
+    const region = normalizeAzureLocation(cell(headerIndices.location));
+    const subscriptionId = cell(headerIndices.subscriptionId).trim();
+    // Resource IDs are case-insensitive in Azure and exports mix casing between rows
+    const rawResourceId = cell(headerIndices.resourceId).trim().toLowerCase();
+    const resourceId = rawResourceId.length > 0
+      ? rawResourceId
+      : (subscriptionId
+        ? `${service}_${region}_${subscriptionId}_aggregated`
+        : `${service}_${region}_aggregated`).toLowerCase();
+    const dedupeKey = `${resourceId}_${service}_${region}`.toLowerCase();
+
+    // VM size: AdditionalInfo ServiceType, else the meter name ('D4s v5')
+    const additionalInfo = parseAdditionalInfo(cell(headerIndices.additionalInfo));
+    const vmSize = service === 'Virtual Machines'
+      ? additionalInfo.vmSize || azureVmSizeFromMeterName(cell(headerIndices.meterName))
+      : null;
+
+    let workload = workloadMap.get(dedupeKey);
+    if (!workload) {
+      const vmSpecs = vmSize ? getAzureVmSpecs(vmSize) : null;
+      const lastSlash = resourceId.lastIndexOf('/');
+      const resourceName = cell(headerIndices.resourceName).trim();
+      workload = new Workload({
+        id: resourceId,
+        name: resourceName || (lastSlash >= 0 ? resourceId.substring(lastSlash + 1) : resourceId),
+        service,
+        type: getAzureServiceType(service),
+        sourceProvider: CloudProviderType.AZURE,
+        cpu: additionalInfo.vcpus || vmSpecs?.vcpu || 0,
+        memory: vmSpecs?.memoryGb || 0,
+        storage: 0,
+        monthlyCost: 0,
+        region,
+        monthlyTraffic: 0,
+        dependencies: [],
+        accountId: subscriptionId || null,
+        accountName: cell(headerIndices.subscriptionName).trim() || null
+      });
+      workloadMap.set(dedupeKey, workload);
+    }
+
+    workload.recordInstanceType(vmSize);
+
+    const rowTags = parseAzureTags(cell(headerIndices.tags));
+    if (rowTags) {
+      workload.mergeTags(rowTags);
+    }
+
+    workload._monthlyCost = workload._monthlyCost.add(new Money(cost));
+    workload.addMonthlyCost(billingMonth, cost);
+
+    // Storage meters are billed per GB-month
+    if (workload.type.type === 'storage' && /GB\/Month|GB-Month/i.test(cell(headerIndices.unitOfMeasure))) {
+      workload._storage += parseFloat(cell(headerIndices.quantity)) || 0;
+    }
+  };
+
+  // CRITICAL: Flush workloads to IndexedDB if repository provided and map is large
+  const flushWorkloadsToDB = async (force = false) => {
+    if (!workloadRepository || workloadMap.size === 0 || (!force && workloadMap.size < FLUSH_TO_DB_THRESHOLD)) return;
+    try {
+      // Daily rows of a resource flushed earlier are added to the stored workload instead of replacing it
+      const mergeIds = [];
+      for (const [dedupeKey, workload] of workloadMap) {
+        if (flushedDedupeKeys.has(dedupeKey)) mergeIds.push(workload.id);
+      }
+      const storedWorkloads = mergeIds.length > 0 ? await workloadRepository.findManyStored(mergeIds) : new Map();
+
+      const workloadsToFlush = [];
+      for (const [dedupeKey, workload] of workloadMap) {
+        const stored = flushedDedupeKeys.has(dedupeKey) ? storedWorkloads.get(workload.id) : null;
+        const sameWorkload = stored && stored.service === workload.service && stored.region === workload.region;
+        workloadsToFlush.push(sameWorkload ? mergeFlushedWorkload(stored, workload) : workload);
+      }
+      await workloadRepository.saveManyImmediate(workloadsToFlush);
+      for (const dedupeKey of workloadMap.keys()) {
+        flushedDedupeKeys.add(dedupeKey);
+      }
+      workloadsSavedToDB += workloadsToFlush.length - mergeIds.length;
+      workloadMap.clear();
+      console.log(`[azureCostExportParser] Flushed ${workloadsToFlush.length.toLocaleString()} workloads (${mergeIds.length.toLocaleString()} merged into earlier flushes). Total saved to DB: ${workloadsSavedToDB.toLocaleString()}`);
+    } catch (flushError) {
+      console.error('[azureCostExportParser] Error flushing workloads to DB:', flushError);
+      // Continue processing - don't abort on flush error
+    }
+  };
+
+  let lastReportedPercent = -1;
+  const source = rowSource || readCsvRecords(fileOrBuffer, compression);
+  for await (const batch of source) {
+    for (let i = 0; i < batch.rows.length; i++) {
+      try {
+        processRecord(batch.rows[i]);
+      } catch (error) {
+        // Header errors are fatal - every following row would be misread
+        if (!headerIndices) throw error;
+        if (lineNumber % 100000 === 0) {
+          console.warn(`[azureCostExportParser] Error processing row ${lineNumber}:`, error);
+        }
+      }
+      if (lineNumber % FLUSH_TO_DB_THRESHOLD === 0) {
+        await flushWorkloadsToDB();
+      }
+      // PERFORMANCE: Yield to the event loop so the UI stays responsive on large exports
+      if (i > 0 && i % ROWS_PER_YIELD === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    const bytesProcessed = typeof batch.bytesProcessed === 'number' ? batch.bytesProcessed : 0;
+    const percent = totalBytes > 0 ? Math.min(100, Math.round((bytesProcessed / totalBytes) * 100)) : 0;
+    if (onProgress && totalBytes > 0 && percent !== lastReportedPercent) {
+      lastReportedPercent = percent;
+      onProgress({ bytesProcessed, totalBytes, percent, linesProcessed: lineNumber });
+    }
+  }
+
+  const totalRowsRead = lineNumber - 1; // Exclude header
+  if (!headerIndices || totalRowsRead <= 0) {
+    throw new Error('Azure cost export contains no data rows');
+  }
+
+  // Merge the rows since the last flush into the stored workloads, so no workload is returned twice
+  if (flushedDedupeKeys.size > 0) {
+    await flushWorkloadsToDB(true);
+  }
+
+  // CRITICAL: If workloads were flushed to DB, load them back
+  let result = [];
+  let storedWorkloads = 0; // Left in the scratch repository, not in the result
+  let storedCost = 0;
+  if (workloadsSavedToDB > 0 && workloadRepository && scratchRepository) {
+    await workloadRepository.forEachStored((workload) => {
+      storedWorkloads++;
+      storedCost += workload.monthlyCost?.amount || 0;
+    });
+  } else if (workloadsSavedToDB > 0 && workloadRepository) {
+    try {
+      result = await workloadRepository.findAll();
+    } catch (loadError) {
+      console.error('[azureCostExportParser] Error loading workloads from DB:', loadError);
+    }
+  }
+  for (const workload of workloadMap.values()) {
+    result.push(workload);
+  }
+
+  const totalAggregatedCost = result.reduce((sum, workload) => sum + (workload?.monthlyCost?.amount || 0), storedCost);
+
+  console.log(`[azureCostExportParser] Rows: ${totalRowsRead.toLocaleString()}, processed: ${processedRows.toLocaleString()}, excluded charge types: ${skippedRows.excludedLineItemType.toLocaleString()}, workloads: ${(result.length + storedWorkloads).toLocaleString()}, total cost: ${totalRawCost.toFixed(2)}${currency ? ` ${currency}` : ''}`);
+
+  result._metadata = {
+    totalRawCost,
+    totalAggregatedCost,
+    totalRows: totalRowsRead,
+    uniqueWorkloads: result.length + storedWorkloads,
+    storedWorkloads,
+    skippedRows,
+    processedRows,
+    schemaProfile,
+    currency,
+    costBasis: costBasisInfo,
+    lineItemLedger,
+    costByMonth
+  };
+
+  return result;
+};
+
+/**
+ * Check whether a CSV (or .csv.gz) file is an Azure cost export by reading its header row
+ * @param {File|Blob} file
+ * @param {string} compression - Optional 'gzip'
+ * @returns {Promise<boolean>}
+ */
+export async function sniffAzureCostExport(file, compression) {
+  try {
+    const source = readCsvRecords(compression ? file : file.slice(0, 65536), compression);
+    for await (const batch of source) {
+      if (batch.rows.length > 0) {
+        return isAzureCostExportHeader(batch.rows[0]);
+      }
+    }
+  } catch (error) {
+    console.warn('[azureCostExportParser] Could not read header row:', error?.message);
+  }
+  return false;
+}
@@ -0,0 +1,153 @@
+/**
+ * Azure Meter Category Mapping
+ *
+ * Maps the MeterCategory / MeterSubCategory of Azure Cost Management usage detail rows to the
+ * service names used by azureToGcpMapping in serviceMapping.js, and to workload types.
+ * Storage is billed under a single "Storage" meter category, so the sub category decides
+ * between blob, disk, file, queue and table storage.
+ */
+
+// MeterCategory (lowercase) -> azureToGcpMapping service
+const METER_CATEGORY_MAP = {
+  'virtual machines': 'Virtual Machines',
+  'virtual machines licenses': 'Virtual Machines',
+  'functions': 'Azure Functions',
+  'azure functions': 'Azure Functions',
+  'container instances': 'Container Instances',
+  'azure kubernetes service': 'Azure Kubernetes Service (AKS)',
+  'container registry': 'Container Registry',
+  'azure app service': 'App Service',
+  'app service': 'App Service',
+  'service fabric': 'Service Fabric',
+  'batch': 'Batch',
+  'azure spring cloud': 'Azure Spring Cloud',
+  'azure spring apps': 'Azure Spring Cloud',
+  'sql database': 'Azure SQL Database',
+  'sql managed instance': 'Azure SQL Database',
+  'azure database for postgresql': 'Azure Database for PostgreSQL',
+  'azure database for mysql': 'Azure Database for MySQL',
+  'azure database for mariadb': 'Azure Database for MariaDB',
+  'azure cosmos db': 'Cosmos DB',
+  'cosmos db': 'Cosmos DB',
+  'redis cache': 'Azure Cache for Redis',
+  'azure cache for redis': 'Azure Cache for Redis',
+  'azure synapse analytics': 'Azure Synapse Analytics',
+  'sql data warehouse': 'Azure Synapse Analytics',
+  'virtual network': 'Virtual Network (VNet)',
+  'bandwidth': 'Bandwidth',
+  'content delivery network': 'Azure CDN',
+  'azure cdn': 'Azure CDN',
+  'azure dns': 'Azure DNS',
+  'dns': 'Azure DNS',
+  'api management': 'API Management',
+  'load balancer': 'Load Balancer',
+  'expressroute': 'ExpressRoute',
+  'vpn gateway': 'VPN Gateway',
+  'azure front door service': 'Front Door',
+  'azure front door': 'Front Door',
+  'application gateway': 'Application Gateway',
+  'azure active directory': 'Azure Active Directory',
+  'microsoft entra id': 'Azure Active Directory',
+  'key vault': 'Key Vault',
+  'azure firewall': 'Azure Firewall',
+  'security center': 'Security Center',
+  'microsoft defender for cloud': 'Security Center',
+  'sentinel': 'Azure Sentinel',
+  'azure ddos protection': 'Azure DDoS Protection',
+  'hdinsight': 'HDInsight',
+  'event hubs': 'Event Hubs',
+  'stream analytics': 'Stream Analytics',
+  'azure data factory': 'Data Factory',
+  'azure data factory v2': 'Data Factory',
+  'azure databricks': 'Azure Databricks',
+  'power bi embedded': 'Power BI',
+  'azure analysis services': 'Azure Analysis Services',
+  'service bus': 'Service Bus',
+  'event grid': 'Event Grid',
+  'logic apps': 'Logic Apps',
+  'azure monitor': 'Azure Monitor',
+  'log analytics': 'Log Analytics',
+  'application insights': 'Application Insights',
+  'backup': 'Azure Backup',
+  'azure backup': 'Azure Backup'
+};
+
+// MeterSubCategory patterns under the "Storage" meter category, checked in order
+const STORAGE_SUB_CATEGORY_RULES = [
+  { pattern: /managed disk|disks?\b|snapshot/i, service: 'Managed Disks' },
+  { pattern: /data lake/i, service: 'Data Lake Storage Gen2' },
+  { pattern: /archive/i, service: 'Archive Storage' },
+  { pattern: /files?\b/i, service: 'Files' },
+  { pattern: /queue/i, service: 'Queue Storage' },
+  { pattern: /table/i, service: 'Table Storage' }
+];
+
+// azureToGcpMapping service -> workload type (WorkloadTypeEnum value)
+const SERVICE_TYPE_MAP = {
+  'Virtual Machines': 'vm',
+  'Batch': 'vm',
+  'Azure Functions': 'function',
+  'Container Instances': 'container',
+  'Azure Kubernetes Service (AKS)': 'container',
+  'Container Registry': 'container',
+  'Service Fabric': 'container',
+  'Blob Storage': 'storage',
+  'Managed Disks': 'storage',
+  'Files': 'storage',
+  'Archive Storage': 'storage',
+  'Data Lake Storage Gen2': 'storage',
+  'Queue Storage': 'storage',
+  'Table Storage': 'storage',
+  'Azure Backup': 'storage',
+  'Azure SQL Database': 'database',
+  'Azure Database for PostgreSQL': 'database',
+  'Azure Database for MySQL': 'database',
+  'Azure Database for MariaDB': 'database',
+  'Cosmos DB': 'database',
+  'Azure Cache for Redis': 'database',
+  'Azure Synapse Analytics': 'database',
+  'Virtual Network (VNet)': 'network',
+  'Bandwidth': 'network',
+  'Azure CDN': 'network',
+  'Azure DNS': 'network',
+  'Load Balancer': 'network',
+  'ExpressRoute': 'network',
+  'VPN Gateway': 'network',
+  'Front Door': 'network',
+  'Application Gateway': 'network',
+  'Azure Firewall': 'network',
+  'Azure DDoS Protection': 'network',
+  'Azure Monitor': 'monitoring',
+  'Log Analytics': 'monitoring',
+  'Application Insights': 'monitoring'
+};
+
+/**
+ * Normalize an Azure meter category to an azureToGcpMapping service name
+ * @param {string} meterCategory - MeterCategory cell, e.g. 'Virtual Machines', 'Storage'
+ * @param {string} meterSubCategory - MeterSubCategory cell (decides the kind of storage)
+ * @returns {string|null} Service name; the trimmed meter category when it is not mapped;
+ *   null when the category is empty
+ */
+export function normalizeAzureMeterCategory(meterCategory, meterSubCategory = '') {
+  const category = String(meterCategory || '').trim();
+  if (!category) return null;
+
+  const lower = category.toLowerCase();
+  if (lower === 'storage') {
+    const subCategory = String(meterSubCategory || '');
+    const rule = STORAGE_SUB_CATEGORY_RULES.find(r => r.pattern.test(subCategory));
+    return rule ? rule.service : 'Blob Storage';
+  }
+
+  return METER_CATEGORY_MAP[lower] || category;
+}
+
+/**
+ * Get the workload type of a normalized Azure service
+ * @param {string} serviceName - Result of normalizeAzureMeterCategory
+ * @returns {string} WorkloadTypeEnum value ('application' when not mapped)
+ */
+export function getAzureServiceType(serviceName) {
+  return SERVICE_TYPE_MAP[serviceName] || 'application';
+}
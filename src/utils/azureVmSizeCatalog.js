@@ -0,0 +1,373 @@
+/**
+ * Azure VM Size Catalog
+ *
+ * vCPU, memory, CPU architecture and vendor, GPUs, local temp disk and Premium SSD capability of the Azure VM
+ * series (burstable B, general purpose A / D, memory E / M, compute F, storage L, GPU NC / ND / NV), used to
+ * match VMs to GCP machine types (gcpMachineTypeMatcher.js) alongside awsInstanceCatalog.js.
+ *
+ * Size names carry the series: family letters, vCPUs, an optional constrained vCPU count (E64-16ds_v4 runs
+ * 16 of the E64's vCPUs), additive feature letters (a AMD, p Arm, d local temp disk, s Premium SSD, l / m
+ * less / more memory), an optional accelerator and the version: Standard_D4s_v5 is 4 vCPU of the Dsv5 series.
+ * Most series scale linearly at a fixed memory per vCPU; the rest list their sizes. Sizes of series missing
+ * from the catalog are inferred from the name (family letter and features) and flagged as such.
+ */
+
+import { InstanceCategory, CpuArchitecture, CpuVendor } from './awsInstanceCatalog.js';
+
+export const AzureCpuVendor = {
+  INTEL: CpuVendor.INTEL,
+  AMD: CpuVendor.AMD,
+  AMPERE: 'ampere',
+  COBALT: 'cobalt'
+};
+
+const { BURSTABLE, GENERAL_PURPOSE, COMPUTE_OPTIMIZED, MEMORY_OPTIMIZED, STORAGE_OPTIMIZED, ACCELERATED } = InstanceCategory;
+const { INTEL, AMD, AMPERE, COBALT } = AzureCpuVendor;
+
+// vCPU ladders of the linear series
+const VCPUS_TO_64 = [2, 4, 8, 16, 32, 48, 64];
+const VCPUS_TO_96 = [...VCPUS_TO_64, 96];
+const MEMORY_VCPUS_TO_64 = [2, 4, 8, 16, 20, 32, 48, 64];
+const MEMORY_VCPUS_TO_96 = [...MEMORY_VCPUS_TO_64, 96];
+const STORAGE_VCPUS = [8, 16, 32, 48, 64, 80];
+
+// B-series v2 sizes: ts / ls / s = 0.5 / 2 / 4 GB per vCPU
+const burstableV2Shapes = (features) => ({
+  [`B2t${features}_v2`]: [2, 1],
+  [`B2l${features}_v2`]: [2, 4],
+  [`B2${features}_v2`]: [2, 8],
+  [`B4l${features}_v2`]: [4, 8],
+  [`B4${features}_v2`]: [4, 16],
+  [`B8l${features}_v2`]: [8, 16],
+  [`B8${features}_v2`]: [8, 32],
+  [`B16l${features}_v2`]: [16, 32],
+  [`B16${features}_v2`]: [16, 64],
+  [`B32l${features}_v2`]: [32, 64],
+  [`B32${features}_v2`]: [32, 128]
+});
+
+// Dv2 / DSv2 sizes are numbered, not sized by vCPU (D11-D15 are the memory-optimised sizes)
+const dv2Shapes = (family) => ({
+  [`${family}1_v2`]: [1, 3.5],
+  [`${family}2_v2`]: [2, 7],
+  [`${family}3_v2`]: [4, 14],
+  [`${family}4_v2`]: [8, 28],
+  [`${family}5_v2`]: [16, 56],
+  [`${family}11_v2`]: [2, 14],
+  [`${family}12_v2`]: [4, 28],
+  [`${family}13_v2`]: [8, 56],
+  [`${family}14_v2`]: [16, 112],
+  [`${family}15_v2`]: [20, 140]
+});
+
+/**
+ * VM series
+ * memoryPerVcpu + vcpus for linear series (shapes keyed by vCPU count for their odd sizes);
+ * sizes (size name -> [vCPU, memory GB, GPUs]) for the rest. latestCpu marks 4th gen Xeon / EPYC and later;
+ * localSsd series have a local (temp) NVMe / SSD disk; gpuModel is the accelerator.
+ */
+export const AZURE_VM_SERIES = {
+  // Burstable
+  B: {
+    category: BURSTABLE,
+    vendor: INTEL,
+    sizes: { B1ls: [1, 0.5], B1s: [1, 1], B1ms: [1, 2], B2s: [2, 4], B2ms: [2, 8], B4ms: [4, 16], B8ms: [8, 32], B12ms: [12, 48], B16ms: [16, 64], B20ms: [20, 80] }
+  },
+  Bsv2: { category: BURSTABLE, vendor: INTEL, sizes: burstableV2Shapes('s') },
+  Basv2: { category: BURSTABLE, vendor: AMD, sizes: burstableV2Shapes('as') },
+  Bpsv2: { category: BURSTABLE, vendor: AMPERE, sizes: burstableV2Shapes('ps') },
+
+  // General purpose
+  Av2: {
+    category: GENERAL_PURPOSE,
+    vendor: INTEL,
+    sizes: { A1_v2: [1, 2], A2_v2: [2, 4], A4_v2: [4, 8], A8_v2: [8, 16], A2m_v2: [2, 16], A4m_v2: [4, 32], A8m_v2: [8, 64] }
+  },
+  Dv2: { category: GENERAL_PURPOSE, vendor: INTEL, sizes: dv2Shapes('D') },
+  DSv2: { category: GENERAL_PURPOSE, vendor: INTEL, sizes: dv2Shapes('DS') },
+  Dv3: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_64 },
+  Dsv3: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_64 },
+  Dv4: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_64 },
+  Dsv4: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_64 },
+  Ddv4: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_64, localSsd: true },
+  Ddsv4: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_64, localSsd: true },
+  Dav4: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, vcpus: VCPUS_TO_96 },
+  Dasv4: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, vcpus: VCPUS_TO_96 },
+  Dv5: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_96 },
+  Dsv5: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_96 },
+  Ddv5: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_96, localSsd: true },
+  Ddsv5: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: VCPUS_TO_96, localSsd: true },
+  Dlsv5: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 2, vcpus: VCPUS_TO_96 },
+  Dldsv5: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 2, vcpus: VCPUS_TO_96, localSsd: true },
+  Dasv5: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, vcpus: VCPUS_TO_96 },
+  Dadsv5: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, vcpus: VCPUS_TO_96, localSsd: true },
+  Dpsv5: { category: GENERAL_PURPOSE, vendor: AMPERE, memoryPerVcpu: 4, vcpus: VCPUS_TO_64 },
+  Dpdsv5: { category: GENERAL_PURPOSE, vendor: AMPERE, memoryPerVcpu: 4, vcpus: VCPUS_TO_64, localSsd: true },
+  Dplsv5: { category: GENERAL_PURPOSE, vendor: AMPERE, memoryPerVcpu: 2, vcpus: VCPUS_TO_64 },
+  Dpldsv5: { category: GENERAL_PURPOSE, vendor: AMPERE, memoryPerVcpu: 2, vcpus: VCPUS_TO_64, localSsd: true },
+  Dsv6: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: [...VCPUS_TO_96, 128], latestCpu: true },
+  Ddsv6: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 4, vcpus: [...VCPUS_TO_96, 128], latestCpu: true, localSsd: true },
+  Dlsv6: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 2, vcpus: [...VCPUS_TO_96, 128], latestCpu: true },
+  Dldsv6: { category: GENERAL_PURPOSE, vendor: INTEL, memoryPerVcpu: 2, vcpus: [...VCPUS_TO_96, 128], latestCpu: true, localSsd: true },
+  Dasv6: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, vcpus: VCPUS_TO_96, latestCpu: true },
+  Dadsv6: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 4, vcpus: VCPUS_TO_96, latestCpu: true, localSsd: true },
+  Dalsv6: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 2, vcpus: VCPUS_TO_96, latestCpu: true },
+  Daldsv6: { category: GENERAL_PURPOSE, vendor: AMD, memoryPerVcpu: 2, vcpus: VCPUS_TO_96, latestCpu: true, localSsd: true },
+  Dpsv6: { category: GENERAL_PURPOSE, vendor: COBALT, memoryPerVcpu: 4, vcpus: VCPUS_TO_96 },
+  Dpdsv6: { category: GENERAL_PURPOSE, vendor: COBALT, memoryPerVcpu: 4, vcpus: VCPUS_TO_96, localSsd: true },
+  Dplsv6: { category: GENERAL_PURPOSE, vendor: COBALT, memoryPerVcpu: 2, vcpus: VCPUS_TO_96 },
+  Dpldsv6: { category: GENERAL_PURPOSE, vendor: COBALT, memoryPerVcpu: 2, vcpus: VCPUS_TO_96, localSsd: true },
+
+  // Compute optimised
+  F: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, vcpus: [1, 2, 4, 8, 16] },
+  Fs: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, vcpus: [1, 2, 4, 8, 16] },
+  Fsv2: { category: COMPUTE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 2, vcpus: [2, 4, 8, 16, 32, 48, 64, 72] },
+  Falsv6: { category: COMPUTE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 2, vcpus: VCPUS_TO_64, latestCpu: true },
+  Fasv6: { category: COMPUTE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 4, vcpus: VCPUS_TO_64, latestCpu: true },
+  Famsv6: { category: COMPUTE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: VCPUS_TO_64, latestCpu: true },
+
+  // Memory optimised
+  Ev3: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_64, shapes: { 64: [64, 432] } },
+  Esv3: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_64, shapes: { 64: [64, 432] } },
+  Ev4: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_64, shapes: { 64: [64, 504] } },
+  Esv4: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_64, shapes: { 64: [64, 504] } },
+  Edv4: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_64, shapes: { 64: [64, 504] }, localSsd: true },
+  Edsv4: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_64, shapes: { 64: [64, 504] }, localSsd: true },
+  Eav4: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, shapes: { 96: [96, 672] } },
+  Easv4: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, shapes: { 96: [96, 672] } },
+  Ev5: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: [...MEMORY_VCPUS_TO_96, 104], shapes: { 96: [96, 672], 104: [104, 672] } },
+  Esv5: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: [...MEMORY_VCPUS_TO_96, 104], shapes: { 96: [96, 672], 104: [104, 672] } },
+  Edv5: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: [...MEMORY_VCPUS_TO_96, 104], shapes: { 96: [96, 672], 104: [104, 672] }, localSsd: true },
+  Edsv5: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: [...MEMORY_VCPUS_TO_96, 104], shapes: { 96: [96, 672], 104: [104, 672] }, localSsd: true },
+  Ebsv5: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, shapes: { 96: [96, 672] } },
+  Ebdsv5: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, shapes: { 96: [96, 672] }, localSsd: true },
+  Easv5: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: [...MEMORY_VCPUS_TO_96, 112], shapes: { 96: [96, 672], 112: [112, 672] } },
+  Eadsv5: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: [...MEMORY_VCPUS_TO_96, 112], shapes: { 96: [96, 672], 112: [112, 672] }, localSsd: true },
+  Epsv5: { category: MEMORY_OPTIMIZED, vendor: AMPERE, memoryPerVcpu: 8, vcpus: [2, 4, 8, 16, 20, 32], shapes: { 32: [32, 208] } },
+  Epdsv5: { category: MEMORY_OPTIMIZED, vendor: AMPERE, memoryPerVcpu: 8, vcpus: [2, 4, 8, 16, 20, 32], shapes: { 32: [32, 208] }, localSsd: true },
+  Esv6: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, latestCpu: true },
+  Edsv6: { category: MEMORY_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, latestCpu: true, localSsd: true },
+  Easv6: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, shapes: { 96: [96, 672] }, latestCpu: true },
+  Eadsv6: { category: MEMORY_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, shapes: { 96: [96, 672] }, latestCpu: true, localSsd: true },
+  Epsv6: { category: MEMORY_OPTIMIZED, vendor: COBALT, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, shapes: { 96: [96, 672] } },
+  Epdsv6: { category: MEMORY_OPTIMIZED, vendor: COBALT, memoryPerVcpu: 8, vcpus: MEMORY_VCPUS_TO_96, shapes: { 96: [96, 672] }, localSsd: true },
+  M: {
+    category: MEMORY_OPTIMIZED,
+    vendor: INTEL,
+    sizes: {
+      M8ms: [8, 218.75],
+      M16ms: [16, 437.5],
+      M32ts: [32, 192],
+      M32ls: [32, 256],
+      M32ms: [32, 875],
+      M64ls: [64, 512],
+      M64: [64, 1000],
+      M64s: [64, 1000],
+      M64m: [64, 1750],
+      M64ms: [64, 1750],
+      M128: [128, 2000],
+      M128s: [128, 2000],
+      M128m: [128, 3800],
+      M128ms: [128, 3800]
+    }
+  },
+  Mv2: {
+    category: MEMORY_OPTIMIZED,
+    vendor: INTEL,
+    sizes: {
+      M32ms_v2: [32, 875],
+      M64s_v2: [64, 1024],
+      M64ms_v2: [64, 1792],
+      M128s_v2: [128, 2048],
+      M128ms_v2: [128, 3892],
+      M192is_v2: [192, 2048],
+      M192ims_v2: [192, 4096],
+      M208s_v2: [208, 2850],
+      M208ms_v2: [208, 5700],
+      M416s_v2: [416, 5700],
+      M416ms_v2: [416, 11400]
+    }
+  },
+
+  // Storage optimised
+  Lsv2: { category: STORAGE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: STORAGE_VCPUS, localSsd: true },
+  Lsv3: { category: STORAGE_OPTIMIZED, vendor: INTEL, memoryPerVcpu: 8, vcpus: STORAGE_VCPUS, localSsd: true },
+  Lasv3: { category: STORAGE_OPTIMIZED, vendor: AMD, memoryPerVcpu: 8, vcpus: STORAGE_VCPUS, localSsd: true },
+
+  // GPU
+  NCv3: {
+    category: ACCELERATED,
+    vendor: INTEL,
+    gpuModel: 'NVIDIA V100',
+    sizes: { NC6s_v3: [6, 112, 1], NC12s_v3: [12, 224, 2], NC24s_v3: [24, 448, 4], NC24rs_v3: [24, 448, 4] },
+    localSsd: true
+  },
+  NCasT4_v3: {
+    category: ACCELERATED,
+    vendor: AMD,
+    gpuModel: 'NVIDIA T4',
+    sizes: { NC4as_T4_v3: [4, 28, 1], NC8as_T4_v3: [8, 56, 1], NC16as_T4_v3: [16, 110, 1], NC64as_T4_v3: [64, 440, 4] },
+    localSsd: true
+  },
+  NCadsA100_v4: {
+    category: ACCELERATED,
+    vendor: AMD,
+    gpuModel: 'NVIDIA A100',
+    sizes: { NC24ads_A100_v4: [24, 220, 1], NC48ads_A100_v4: [48, 440, 2], NC96ads_A100_v4: [96, 880, 4] },
+    localSsd: true
+  },
+  NDasrA100_v4: { category: ACCELERATED, vendor: AMD, gpuModel: 'NVIDIA A100', sizes: { ND96asr_v4: [96, 900, 8] }, localSsd: true },
+  NDmA100_v4: { category: ACCELERATED, vendor: AMD, gpuModel: 'NVIDIA A100', sizes: { ND96amsr_A100_v4: [96, 1900, 8] }, localSsd: true },
+  NDH100_v5: { category: ACCELERATED, vendor: INTEL, gpuModel: 'NVIDIA H100', sizes: { ND96isr_H100_v5: [96, 1900, 8] }, localSsd: true },
+  NVadsA10_v5: {
+    category: ACCELERATED,
+    vendor: AMD,
+    gpuModel: 'NVIDIA A10',
+    sizes: { NV36ads_A10_v5: [36, 440, 1], NV36adms_A10_v5: [36, 880, 1], NV72ads_A10_v5: [72, 880, 2] },
+    localSsd: true
+  }
+};
+
+// Series missing from the catalog, by their family letter
+const INFERRED_SERIES_DEFAULTS = {
+  a: { category: GENERAL_PURPOSE, memoryPerVcpu: 2 },
+  b: { category: BURSTABLE, memoryPerVcpu: 4 },
+  d: { category: GENERAL_PURPOSE, memoryPerVcpu: 4 },
+  e: { category: MEMORY_OPTIMIZED, memoryPerVcpu: 8 },
+  f: { category: COMPUTE_OPTIMIZED, memoryPerVcpu: 2 },
+  l: { category: STORAGE_OPTIMIZED, memoryPerVcpu: 8 }
+};
+
+// e.g. 'Standard_D4s_v5', 'E64-16ds_v4', 'NC24ads_A100_v4', 'B2ms': family, vCPUs, constrained vCPUs,
+// features, accelerator, version
+const VM_SIZE_PATTERN = /^([a-z]+)(\d+)(?:-(\d+))?([a-z]*)(?:_(?!v\d+$)([a-z]+\d+))?(?:_v(\d+))?$/;
+
+const normalizeSizeName = (vmSize) => String(vmSize || '')
+  .trim()
+  .toLowerCase()
+  .replace(/^(standard|basic)_/, '')
+  .replace(/_promo$/, '');
+
+// Size name (lowercase, constrained vCPUs dropped) -> { series, shape } of the series that list their sizes
+const LISTED_SIZES = new Map();
+for (const [seriesName, series] of Object.entries(AZURE_VM_SERIES)) {
+  for (const [sizeName, shape] of Object.entries(series.sizes || {})) {
+    LISTED_SIZES.set(sizeName.toLowerCase(), { seriesName, shape });
+  }
+}
+
+// Linear series by lowercase name ('dsv5')
+const LINEAR_SERIES = new Map(
+  Object.entries(AZURE_VM_SERIES)
+    .filter(([, series]) => series.vcpus)
+    .map(([seriesName]) => [seriesName.toLowerCase(), seriesName])
+);
+
+function vendorOf(features, version) {
+  if (features.includes('p')) return version >= 6 ? COBALT : AMPERE;
+  if (features.includes('a')) return AMD;
+  return INTEL;
+}
+
+function canonicalName({ family, vcpus, constrained, features, accelerator, version }) {
+  return `Standard_${family.toUpperCase()}${vcpus}${constrained ? `-${constrained}` : ''}${features}` +
+    `${accelerator ? `_${accelerator.toUpperCase()}` : ''}${version ? `_v${version}` : ''}`;
+}
+
+const specCache = new Map();
+
+/**
+ * Specs of an Azure VM size
+ * @param {string} vmSize - e.g. 'Standard_D4s_v5', 'B2ms', 'standard_e64-16ds_v4'
+ * @returns {{instanceType: string, family: string, size: string, category: string, arch: string, vendor: string,
+ *   vcpu: number, memoryGb: number, gpus: number, gpuModel: string|null, localSsd: boolean, latestCpu: boolean,
+ *   premiumStorage: boolean, constrainedVcpu: boolean, inferred: boolean}|null} Same shape as getAwsInstanceSpecs
+ *   (family is the series, e.g. 'Dsv5'); null when the size cannot be read (unknown GPU or M-series sizes)
+ */
+export function getAzureVmSpecs(vmSize) {
+  const normalized = normalizeSizeName(vmSize);
+  if (specCache.has(normalized)) return specCache.get(normalized);
+
+  const specs = buildSpecs(normalized);
+  specCache.set(normalized, specs);
+  return specs;
+}
+
+function buildSpecs(normalized) {
+  const match = normalized.match(VM_SIZE_PATTERN);
+  if (!match) return null;
+  const [, family, vcpuText, constrainedText, features, accelerator, versionText] = match;
+  const parts = {
+    family,
+    vcpus: parseInt(vcpuText, 10),
+    constrained: constrainedText ? parseInt(constrainedText, 10) : null,
+    features,
+    accelerator: accelerator || null,
+    version: versionText ? parseInt(versionText, 10) : null
+  };
+
+  const unconstrainedName = normalized.replace(/-\d+/, '');
+  const listed = LISTED_SIZES.get(unconstrainedName);
+  const seriesName = listed?.seriesName ||
+    LINEAR_SERIES.get(`${family}${features}${parts.version ? `v${parts.version}` : ''}`);
+  const series = seriesName ? AZURE_VM_SERIES[seriesName] : null;
+
+  let shape = listed?.shape || null;
+  if (!shape && series?.vcpus?.includes(parts.vcpus)) {
+    shape = series.shapes?.[parts.vcpus] || [parts.vcpus, parts.vcpus * series.memoryPerVcpu];
+  }
+
+  let specsSeries = series;
+  let specsSeriesName = seriesName;
+  let inferred = false;
+  if (!shape) {
+    // Unknown series, or a size the catalog does not list: infer from the name
+    const defaults = INFERRED_SERIES_DEFAULTS[family];
+    if (!(series?.memoryPerVcpu || defaults) || accelerator) return null;
+    specsSeries = series || {
+      ...defaults,
+      vendor: vendorOf(features, parts.version || 1),
+      localSsd: features.includes('d'),
+      latestCpu: (parts.version || 0) >= 6 && !features.includes('p')
+    };
+    let memoryPerVcpu = specsSeries.memoryPerVcpu;
+    if (!series && family !== 'b') {
+      if (features.includes('l')) memoryPerVcpu /= 2;
+      if (features.includes('m')) memoryPerVcpu *= 2;
+    }
+    shape = [parts.vcpus, parts.vcpus * memoryPerVcpu];
+    specsSeriesName = seriesName || `${family.toUpperCase()}${features}${parts.version ? `v${parts.version}` : ''}`;
+    inferred = true;
+  }
+
+  const [vcpu, memoryGb, gpus = 0] = shape;
+  const vendor = specsSeries.vendor;
+  return {
+    instanceType: canonicalName(parts),
+    family: specsSeriesName,
+    size: normalized,
+    category: specsSeries.category,
+    arch: vendor === AMPERE || vendor === COBALT ? CpuArchitecture.ARM64 : CpuArchitecture.X86_64,
+    vendor,
+    vcpu: parts.constrained || vcpu,
+    memoryGb,
+    gpus,
+    gpuModel: specsSeries.gpuModel || null,
+    localSsd: !!specsSeries.localSsd,
+    latestCpu: !!specsSeries.latestCpu,
+    premiumStorage: features.includes('s') || family.endsWith('s'),
+    constrainedVcpu: !!parts.constrained,
+    inferred
+  };
+}
+
+/**
+ * VM size of a Virtual Machines meter name
+ * @param {string} meterName - MeterName cell, e.g. 'D4s v5', 'D2 v2/DS2 v2', 'E16ads v5 Spot', 'B2ms Low Priority'
+ * @returns {string|null} Size name (e.g. 'Standard_D4s_v5'), or null when the meter is not a VM size
+ */
+export function azureVmSizeFromMeterName(meterName) {
+  const [first] = String(meterName || '').split('/');
+  const name = first.trim().replace(/\s+(spot|low priority)$/i, '').replace(/\s+/g, '_');
+  return /^[a-z]+\d+/i.test(name) && getAzureVmSpecs(name) ? `Standard_${name}` : null;
+}
@@ -21,7 +21,8 @@ class CheckpointService {
     if (this.initPromise) return this.initPromise;
     
     this.initPromise = new Promise((resolve, reject) => {
-      if (!window.indexedDB) {
+      // Also runs in Web Workers (CUR imports checkpoint from the parser worker), which have no window
+      if (typeof indexedDB === 'undefined') {
         console.warn('[CheckpointService] IndexedDB not available, using localStorage only');
         resolve();
         return;
@@ -53,7 +54,11 @@ class CheckpointService {
     return this.initPromise;
   }
 
-  async saveCheckpoint(sessionId, agentId, progress, status, data = {}) {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.localBackup - Also keep a copy in localStorage (off for large checkpoint data)
+   */
+  async saveCheckpoint(sessionId, agentId, progress, status, data = {}, { localBackup = true } = {}) {
     await this.init();
     
     const checkpoint = {
@@ -83,12 +88,14 @@ class CheckpointService {
     }
 
     // Save to localStorage (backup)
-    try {
-      const checkpoints = JSON.parse(localStorage.getItem('checkpoints') || '{}');
-      checkpoints[checkpoint.id] = checkpoint;
-      localStorage.setItem('checkpoints', JSON.stringify(checkpoints));
-    } catch (err) {
-      console.error('[CheckpointService] localStorage save failed:', err);
+    if (localBackup && typeof localStorage !== 'undefined') {
+      try {
+        const checkpoints = JSON.parse(localStorage.getItem('checkpoints') || '{}');
+        checkpoints[checkpoint.id] = checkpoint;
+        localStorage.setItem('checkpoints', JSON.stringify(checkpoints));
+      } catch (err) {
+        console.error('[CheckpointService] localStorage save failed:', err);
+      }
     }
 
     // Save to server (for remote monitoring)
@@ -127,15 +134,17 @@ class CheckpointService {
     }
 
     // Fallback to localStorage
-    try {
-      const checkpoints = JSON.parse(localStorage.getItem('checkpoints') || '{}');
-      const checkpoint = checkpoints[checkpointId];
-      if (checkpoint) {
-        console.log(`[CheckpointService] Found checkpoint in localStorage: ${agentId} @ ${checkpoint.progress}%`);
-        return checkpoint;
+    if (typeof localStorage !== 'undefined') {
+      try {
+        const checkpoints = JSON.parse(localStorage.getItem('checkpoints') || '{}');
+        const checkpoint = checkpoints[checkpointId];
+        if (checkpoint) {
+          console.log(`[CheckpointService] Found checkpoint in localStorage: ${agentId} @ ${checkpoint.progress}%`);
+          return checkpoint;
+        }
+      } catch (err) {
+        console.error('[CheckpointService] localStorage read failed:', err);
       }
-    } catch (err) {
-      console.error('[CheckpointService] localStorage read failed:', err);
     }
 
     return null;
@@ -207,16 +216,18 @@ class CheckpointService {
     }
 
     // Clear from localStorage
-    try {
-      const checkpoints = JSON.parse(localStorage.getItem('checkpoints') || '{}');
-      Object.keys(checkpoints).forEach(key => {
-        if (checkpoints[key].sessionId === sessionId) {
-          delete checkpoints[key];
-        }
-      });
-      localStorage.setItem('checkpoints', JSON.stringify(checkpoints));
-    } catch (err) {
-      // Ignore
+    if (typeof localStorage !== 'undefined') {
+      try {
+        const checkpoints = JSON.parse(localStorage.getItem('checkpoints') || '{}');
+        Object.keys(checkpoints).forEach(key => {
+          if (checkpoints[key].sessionId === sessionId) {
+            delete checkpoints[key];
+          }
+        });
+        localStorage.setItem('checkpoints', JSON.stringify(checkpoints));
+      } catch (err) {
+        // Ignore
+      }
     }
   }
 }
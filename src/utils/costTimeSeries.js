@@ -0,0 +1,108 @@
+/**
+ * Cost Time Series
+ *
+ * Per-month cost series for workloads and services. Billing rows are bucketed by the month of
+ * their usage start date ('YYYY-MM'), so a CUR spanning several billing periods keeps its history.
+ * The migration baseline is the average of the last N billing months of the upload, rather than
+ * the sum of every row in the upload.
+ */
+
+export const DEFAULT_BASELINE_MONTHS = 3;
+
+export const BASELINE_MONTH_OPTIONS = [1, 3, 6, 12];
+
+const MONTH_PATTERN = /^(\d{4})-(\d{2})/;
+// Azure EA and Cost Management exports write dates as MM/DD/YYYY
+const US_DATE_PATTERN = /^(\d{1,2})\/\d{1,2}\/(\d{4})\b/;
+
+/**
+ * Get the billing month of a usage date
+ * @param {string} date - ISO date or timestamp, e.g. '2024-03-01T00:00:00Z', or an MM/DD/YYYY date
+ * @returns {string|null} 'YYYY-MM', or null when the date is missing or in another format
+ */
+export function toBillingMonth(date) {
+  if (!date) return null;
+  const text = String(date).trim();
+  const match = MONTH_PATTERN.exec(text);
+  if (match) return `${match[1]}-${match[2]}`;
+  const usMatch = US_DATE_PATTERN.exec(text);
+  const month = usMatch ? parseInt(usMatch[1], 10) : 0;
+  return month >= 1 && month <= 12 ? `${usMatch[2]}-${String(month).padStart(2, '0')}` : null;
+}
+
+/**
+ * Round to cents (series are summed row by row, so this keeps floating point drift out)
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Add a cost to a month of a series (mutates the series)
+ * @param {Object} series - Month ('YYYY-MM') -> cost
+ * @param {string} month - Billing month (ignored when null)
+ * @param {number} amount - Cost to add
+ * @returns {Object} The series
+ */
+export function addToCostSeries(series, month, amount) {
+  if (month && amount) {
+    series[month] = roundCents((series[month] || 0) + amount);
+  }
+  return series;
+}
+
+/**
+ * Get the sorted billing months covered by a set of series
+ * @param {Iterable<Object>} seriesList
+ * @returns {string[]}
+ */
+export function getBillingMonths(seriesList) {
+  const months = new Set();
+  for (const series of seriesList) {
+    if (!series) continue;
+    for (const month of Object.keys(series)) {
+      months.add(month);
+    }
+  }
+  return Array.from(months).sort();
+}
+
+/**
+ * Get the months the baseline is averaged over: the last N billing months
+ * @param {string[]} months - Sorted billing months of the upload
+ * @param {number} baselineMonths - N (defaults to DEFAULT_BASELINE_MONTHS)
+ * @returns {string[]}
+ */
+export function getBaselineWindow(months, baselineMonths = DEFAULT_BASELINE_MONTHS) {
+  const count = Math.max(1, parseInt(baselineMonths, 10) || DEFAULT_BASELINE_MONTHS);
+  return months.slice(-count);
+}
+
+/**
+ * Average monthly cost of a series over the baseline window
+ * Months of the window missing from the series count as zero (the resource did not run).
+ * @param {Object} series - Month -> cost
+ * @param {string[]} window - Result of getBaselineWindow
+ * @returns {number}
+ */
+export function averageOverWindow(series, window) {
+  if (!series || window.length === 0) return 0;
+  let total = 0;
+  for (const month of window) {
+    total += series[month] || 0;
+  }
+  return roundCents(total / window.length);
+}
+
+/**
+ * Convert a series to a sorted array for charts and tables
+ * @param {Object} series - Month -> cost
+ * @returns {Array<{month: string, cost: number}>}
+ */
+export function costSeriesToArray(series) {
+  return Object.keys(series || {})
+    .sort()
+    .map(month => ({ month, cost: series[month] }));
+}
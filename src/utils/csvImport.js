@@ -1,12 +1,15 @@
 // CSV/Excel Import Utilities
 
+import { parseCsv } from './csvTokenizer.js';
+import { redactForExport } from './redaction.js';
+
 export const parseCSV = (csvText) => {
-  const lines = csvText.trim().split('\n');
-  if (lines.length < 2) {
+  const { rows } = parseCsv(csvText);
+  if (rows.length < 2) {
     throw new Error('CSV file must have at least a header row and one data row');
   }
 
-  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const headers = rows[0].map(h => h.toLowerCase());
   const workloads = [];
 
   // Expected columns: name, type, os, cpu, memory, storage, monthlyTraffic, dependencies
@@ -17,11 +20,8 @@ export const parseCSV = (csvText) => {
     throw new Error(`CSV must include at least these columns: ${requiredFields.join(', ')}`);
   }
 
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-
-    const values = line.split(',').map(v => v.trim());
+  for (let i = 1; i < rows.length; i++) {
+    const values = rows[i];
     const workload = {
       id: Date.now() + i,
       name: '',
@@ -117,13 +117,20 @@ export const downloadCSVTemplate = () => {
   URL.revokeObjectURL(url);
 };
 
-export const exportWorkloadsToCSV = (workloads) => {
+/**
+ * Download workloads as CSV
+ * @param {Array} workloads
+ * @param {Object} options
+ * @param {Object} options.redactor - Optional redactor (anonymisation mode): names and dependencies become pseudonyms
+ */
+export const exportWorkloadsToCSV = (workloads, options = {}) => {
   if (!workloads || workloads.length === 0) {
     throw new Error('No workloads to export');
   }
 
+  const exported = options.redactor ? redactForExport(workloads, options.redactor) : workloads;
   const headers = ['name', 'type', 'os', 'cpu', 'memory', 'storage', 'monthlyTraffic', 'dependencies'];
-  const rows = workloads.map(w => [
+  const rows = exported.map(w => [
     w.name,
     w.type,
     w.os,
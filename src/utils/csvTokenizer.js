@@ -0,0 +1,227 @@
+/**
+ * CSV Tokenizer
+ *
+ * One RFC 4180 tokenizer for every CSV import path (parseAwsCur, parseAwsBillSimple, parseCSV,
+ * the streaming CUR parser and the billing export readers), so a file gives the same rows whether
+ * it is read into memory or streamed:
+ * - quoted fields may contain the delimiter, escaped quotes ("") and line breaks
+ * - a leading UTF-8 byte order mark is dropped
+ * - ',' and ';' delimited files are both accepted (detected from the header row); numbers in ';'
+ *   files may use decimal commas (parseCsvNumber)
+ *
+ * Unquoted fields are trimmed; quoted fields keep their inner whitespace. A quote that is never
+ * closed runs to the end of the record instead of failing the import.
+ */
+
+export const UTF8_BOM = '\uFEFF';
+
+/**
+ * Drop a leading byte order mark
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripBom(text) {
+  return text && text[0] === UTF8_BOM ? text.slice(1) : text;
+}
+
+/**
+ * Detect the delimiter of a header row (the supported delimiter seen most often outside quotes)
+ * @param {string} headerLine - Header row (BOM optional)
+ * @returns {string} ',' or ';' (',' when neither appears)
+ */
+export function detectDelimiter(headerLine) {
+  const counts = { ',': 0, ';': 0 };
+  let inQuotes = false;
+  for (let i = 0; i < (headerLine || '').length; i++) {
+    const char = headerLine[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+  return counts[';'] > counts[','] ? ';' : ',';
+}
+
+/**
+ * Read a number from a field
+ * Semicolon-delimited files come from locales that write decimal commas (1.234,5): with ';' a comma
+ * is the decimal separator and points group thousands. Fields without a comma read as written.
+ * @param {string|number} value - Field value
+ * @param {string} delimiter - Delimiter of the file (',' default or ';')
+ * @returns {number} NaN for a field that is not a number, as parseFloat
+ */
+export function parseCsvNumber(value, delimiter = ',') {
+  if (delimiter === ';' && typeof value === 'string' && value.indexOf(',') !== -1) {
+    return parseFloat(value.replace(/\./g, '').replace(',', '.'));
+  }
+  return parseFloat(value);
+}
+
+/**
+ * Split one record into fields
+ * @param {string} record - Complete record (may span lines inside quoted fields)
+ * @param {string} delimiter - ',' (default) or ';'
+ * @returns {string[]}
+ */
+export function parseCsvRecord(record, delimiter = ',') {
+  const values = [];
+  const len = record.length;
+  let i = 0;
+
+  while (true) {
+    // Whitespace before an opening quote is not part of the field
+    let start = i;
+    while (start < len && record.charCodeAt(start) <= 32 && record[start] !== delimiter) start++;
+
+    if (start < len && record[start] === '"') {
+      let value = '';
+      let segmentStart = start + 1;
+      i = segmentStart;
+      while (true) {
+        const quote = record.indexOf('"', i);
+        if (quote === -1) {
+          // Unterminated quote: the rest of the record is the field
+          value += record.substring(segmentStart);
+          i = len;
+          break;
+        }
+        if (record[quote + 1] === '"') {
+          value += record.substring(segmentStart, quote + 1);
+          i = quote + 2;
+          segmentStart = i;
+          continue;
+        }
+        value += record.substring(segmentStart, quote);
+        i = quote + 1;
+        break;
+      }
+      // Anything between the closing quote and the delimiter is kept (lenient for sloppy exports)
+      const end = record.indexOf(delimiter, i);
+      const trailing = record.substring(i, end === -1 ? len : end).trim();
+      values.push(trailing ? value + trailing : value);
+      if (end === -1) break;
+      i = end + 1;
+    } else {
+      const end = record.indexOf(delimiter, start);
+      values.push(record.substring(start, end === -1 ? len : end).trim());
+      if (end === -1) break;
+      i = end + 1;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Longest record (in characters) joined while a quoted field is open. A quote that is still open
+ * past it is treated as unterminated, so a broken file cannot buffer the rest of its lines.
+ */
+export const MAX_RECORD_LENGTH = 1024 * 1024;
+
+/**
+ * Create a reader that joins physical lines into records while a quoted field is open
+ * Lines are passed without their '\n' ('\r' may be left on; it is trimmed with the field).
+ * Quotes are read the way parseCsvRecord reads them: only a quote at the start of a field opens a
+ * quoted field, so a stray quote inside an unquoted field (5" disk) is a literal.
+ * @param {Object} options
+ * @param {number} options.maxRecordLength - Optional cap on a joined record (default MAX_RECORD_LENGTH)
+ * @returns {{push: function(string, string=): (string|null), flush: function(): (string|null), pending: function(): (string|null)}}
+ *   push(line, delimiter = ',') returns the completed record, or null while a quoted field continues
+ *   on the next line; flush returns an unterminated record at end of input; pending returns the
+ *   record being joined
+ */
+export function createCsvRecordReader(options = {}) {
+  const { maxRecordLength = MAX_RECORD_LENGTH } = options;
+  let pending = null;
+  let quoteOpen = false;
+
+  // Follow the fields of one line, leaving quoteOpen set if a quoted field runs past its end
+  const scanLine = (line, delimiter) => {
+    const len = line.length;
+    let i = 0;
+    while (true) {
+      if (quoteOpen) {
+        const quote = line.indexOf('"', i);
+        if (quote === -1) return;
+        if (line[quote + 1] === '"') {
+          i = quote + 2;
+          continue;
+        }
+        quoteOpen = false;
+        i = quote + 1;
+      } else {
+        // Whitespace before an opening quote is not part of the field
+        let start = i;
+        while (start < len && line.charCodeAt(start) <= 32 && line[start] !== delimiter) start++;
+        if (start < len && line[start] === '"') {
+          quoteOpen = true;
+          i = start + 1;
+          continue;
+        }
+        i = start;
+      }
+      // Anything else up to the delimiter is literal, quotes included
+      const end = line.indexOf(delimiter, i);
+      if (end === -1) return;
+      i = end + 1;
+    }
+  };
+
+  const push = (line, delimiter = ',') => {
+    if (quoteOpen || line.indexOf('"') !== -1) scanLine(line, delimiter);
+
+    const record = pending === null ? line : `${pending}\n${line}`;
+    if (quoteOpen && record.length <= maxRecordLength) {
+      pending = record;
+      return null;
+    }
+    // SAFETY: A quote still open past maxRecordLength runs to the end of this record
+    pending = null;
+    quoteOpen = false;
+    return record;
+  };
+
+  const flush = () => {
+    const record = pending;
+    pending = null;
+    quoteOpen = false;
+    return record;
+  };
+
+  return { push, flush, pending: () => pending };
+}
+
+/**
+ * Parse CSV text held in memory
+ * @param {string} text - CSV content
+ * @param {Object} options
+ * @param {string} options.delimiter - Optional delimiter (detected from the header row by default)
+ * @returns {{delimiter: string, rows: string[][]}} Records in file order (header first), blank records skipped
+ */
+export function parseCsv(text, options = {}) {
+  const source = stripBom(text || '');
+  const firstNewline = source.indexOf('\n');
+  const delimiter = options.delimiter || detectDelimiter(firstNewline === -1 ? source : source.substring(0, firstNewline));
+  const reader = createCsvRecordReader();
+  const rows = [];
+  const addRecord = (record) => {
+    if (record.trim().length > 0) {
+      rows.push(parseCsvRecord(record, delimiter));
+    }
+  };
+
+  let position = 0;
+  while (position <= source.length) {
+    let newline = source.indexOf('\n', position);
+    if (newline === -1) newline = source.length;
+    const record = reader.push(source.substring(position, newline), delimiter);
+    if (record !== null) addRecord(record);
+    position = newline + 1;
+  }
+
+  const unterminated = reader.flush();
+  if (unterminated !== null) addRecord(unterminated);
+
+  return { delimiter, rows };
+}
@@ -0,0 +1,181 @@
+/**
+ * CUR Cost Basis
+ *
+ * Computes the cost of each billing row on a selectable basis:
+ * - Unblended: lineItem/UnblendedCost as billed. RI upfront fees and Savings Plan recurring fees
+ *   are counted in the month they are charged, and RI / Savings Plan discounts are not applied.
+ * - Amortized: commitment fees are spread over the usage they cover. Covered usage is costed at
+ *   reservation/EffectiveCost or savingsPlan/SavingsPlanEffectiveCost. Only the unused part of
+ *   RI and Savings Plan fees is kept, and upfront fees and negation lines count as zero.
+ * - Net amortized: amortized, after private pricing, EDP and other discounts (the Net* columns).
+ *
+ * FOCUS exports already carry the amortized cost in EffectiveCost, and that column is used directly.
+ * When an export has none of the columns a basis needs, rows fall back to unblended cost. The
+ * fallback is reported in describeCostBasis so the report can say which basis was really used.
+ */
+
+import { LineItemType } from './curLineItemLedger.js';
+import { parseCsvNumber } from './csvTokenizer.js';
+
+export const CostBasis = {
+  UNBLENDED: 'unblended',
+  AMORTIZED: 'amortized',
+  NET_AMORTIZED: 'net-amortized'
+};
+
+export const DEFAULT_COST_BASIS = CostBasis.UNBLENDED;
+
+export const COST_BASIS_OPTIONS = [
+  {
+    id: CostBasis.UNBLENDED,
+    label: 'Unblended',
+    description: 'Cost as billed; RI and Savings Plan fees are counted when charged'
+  },
+  {
+    id: CostBasis.AMORTIZED,
+    label: 'Amortized',
+    description: 'RI and Savings Plan fees spread over the usage they cover'
+  },
+  {
+    id: CostBasis.NET_AMORTIZED,
+    label: 'Net amortized',
+    description: 'Amortized, after private pricing and EDP discounts'
+  }
+];
+
+/**
+ * Normalize a user-selected cost basis (unknown values fall back to the default)
+ * @param {string} basis
+ * @returns {string} CostBasis value
+ */
+export function normalizeCostBasis(basis) {
+  return Object.values(CostBasis).includes(basis) ? basis : DEFAULT_COST_BASIS;
+}
+
+/**
+ * Get the display label of a cost basis
+ * @param {string} basis - CostBasis value
+ * @returns {string}
+ */
+export function getCostBasisLabel(basis) {
+  const option = COST_BASIS_OPTIONS.find(o => o.id === normalizeCostBasis(basis));
+  return option.label;
+}
+
+/**
+ * Whether the export has the columns a cost basis needs
+ * @param {string} basis - CostBasis value
+ * @param {Object} headerIndices - Result of resolveHeaderIndices
+ * @returns {boolean}
+ */
+function hasBasisColumns(basis, headerIndices) {
+  if (basis === CostBasis.UNBLENDED) return true;
+  if (headerIndices.effectiveCost >= 0) return true;
+  if (basis === CostBasis.NET_AMORTIZED && headerIndices.netCost >= 0) return true;
+  return headerIndices.lineItemType >= 0 &&
+    (headerIndices.reservationEffectiveCost >= 0 || headerIndices.savingsPlanEffectiveCost >= 0);
+}
+
+/**
+ * Describe the cost basis applied to an export (recorded in parser _metadata and the report)
+ * @param {string} basis - Requested CostBasis value
+ * @param {Object} headerIndices - Result of resolveHeaderIndices
+ * @returns {{id: string, label: string, requested: string, fallback: boolean}}
+ *   fallback is true when the export lacks the columns and unblended cost was used instead
+ */
+export function describeCostBasis(basis, headerIndices) {
+  const requested = normalizeCostBasis(basis);
+  const applied = hasBasisColumns(requested, headerIndices) ? requested : CostBasis.UNBLENDED;
+  return {
+    id: applied,
+    label: getCostBasisLabel(applied),
+    requested,
+    fallback: applied !== requested
+  };
+}
+
+/**
+ * Create the per-row cost function for a cost basis
+ * @param {string} basis - CostBasis value
+ * @param {Object} headerIndices - Result of resolveHeaderIndices (cost basis fields may be -1)
+ * @param {string} delimiter - Delimiter of the file (',' default; ';' files may use decimal commas)
+ * @returns {Function} (values: string[]) => number
+ */
+export function createCostBasisCalculator(basis, headerIndices, delimiter = ',') {
+  const requested = normalizeCostBasis(basis);
+  const costIdx = headerIndices.cost;
+  const amount = (values, index) => (index >= 0 ? parseCsvNumber(values[index], delimiter) || 0 : 0);
+  const unblended = (values) => amount(values, costIdx);
+
+  if (requested === CostBasis.UNBLENDED || !hasBasisColumns(requested, headerIndices)) {
+    return unblended;
+  }
+
+  const isNet = requested === CostBasis.NET_AMORTIZED;
+  // Prefer the Net* column for net amortized, falling back to the gross column when it is absent
+  const pick = (netIdx, grossIdx) => (isNet && netIdx >= 0 ? netIdx : grossIdx);
+
+  // FOCUS / pre-amortized exports: the amortized cost is a column of its own
+  const effectiveIdx = pick(headerIndices.netEffectiveCost, headerIndices.effectiveCost);
+  if (effectiveIdx >= 0) {
+    return (values) => (values[effectiveIdx] ? amount(values, effectiveIdx) : unblended(values));
+  }
+
+  const typeIdx = headerIndices.lineItemType;
+  const baseIdx = pick(headerIndices.netCost, costIdx);
+  const reservationArnIdx = headerIndices.reservationArn;
+  const reservationEffectiveIdx = pick(headerIndices.reservationNetEffectiveCost, headerIndices.reservationEffectiveCost);
+  const unusedUpfrontIdx = pick(headerIndices.reservationNetUnusedAmortizedUpfrontFee, headerIndices.reservationUnusedAmortizedUpfrontFee);
+  const unusedRecurringIdx = pick(headerIndices.reservationNetUnusedRecurringFee, headerIndices.reservationUnusedRecurringFee);
+  const savingsPlanEffectiveIdx = pick(headerIndices.savingsPlanNetEffectiveCost, headerIndices.savingsPlanEffectiveCost);
+  const totalCommitmentIdx = headerIndices.savingsPlanTotalCommitment;
+  const usedCommitmentIdx = headerIndices.savingsPlanUsedCommitment;
+
+  // Use a commitment column when the row has a value in it, otherwise the row's own cost
+  const columnOr = (values, index) => (index >= 0 && values[index] ? amount(values, index) : amount(values, baseIdx));
+
+  return (values) => {
+    switch (values[typeIdx]) {
+      case LineItemType.DISCOUNTED_USAGE:
+        return columnOr(values, reservationEffectiveIdx);
+      case LineItemType.SAVINGS_PLAN_COVERED_USAGE:
+        return columnOr(values, savingsPlanEffectiveIdx);
+      case LineItemType.RI_FEE:
+        // Only the unused part of the reservation remains once usage carries the effective cost
+        if (unusedUpfrontIdx >= 0 || unusedRecurringIdx >= 0) {
+          return amount(values, unusedUpfrontIdx) + amount(values, unusedRecurringIdx);
+        }
+        return amount(values, baseIdx);
+      case LineItemType.SAVINGS_PLAN_RECURRING_FEE:
+        // Unused commitment only - the used part is already in SavingsPlanCoveredUsage
+        if (totalCommitmentIdx >= 0 && usedCommitmentIdx >= 0) {
+          return amount(values, totalCommitmentIdx) - amount(values, usedCommitmentIdx);
+        }
+        return amount(values, baseIdx);
+      case LineItemType.SAVINGS_PLAN_NEGATION:
+      case LineItemType.SAVINGS_PLAN_UPFRONT_FEE:
+        return 0;
+      case LineItemType.FEE:
+        // RI upfront fee - amortized into DiscountedUsage / RIFee instead
+        return reservationArnIdx >= 0 && values[reservationArnIdx] ? 0 : amount(values, baseIdx);
+      default:
+        return amount(values, baseIdx);
+    }
+  };
+}
+
+/**
+ * Summarize the cost basis of an upload from the per-file parser metadata
+ * @param {string} basis - Requested CostBasis value
+ * @param {Array<{file: string, fallback: boolean}>} fileCostBases - describeCostBasis result per file
+ * @returns {{id: string, label: string, fallbackFiles: string[]}}
+ *   fallbackFiles lists files that lacked the columns and were costed unblended
+ */
+export function summarizeCostBasis(basis, fileCostBases = []) {
+  const id = normalizeCostBasis(basis);
+  return {
+    id,
+    label: getCostBasisLabel(id),
+    fallbackFiles: fileCostBases.filter(f => f && f.fallback).map(f => f.file)
+  };
+}
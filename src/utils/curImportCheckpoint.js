@@ -0,0 +1,151 @@
+/**
+ * CUR Import Checkpoints
+ *
+ * Lets a streaming CUR import that stopped part way (memory abort, crashed or closed tab) continue
+ * from the last committed byte offset when the same file (same generateFileUUID) is selected again.
+ *
+ * A checkpoint is committed right after every in-memory workload has been flushed to IndexedDB, so
+ * the stored workloads always hold exactly the rows before the checkpoint offset. It records:
+ * - the byte offset of the first line not yet aggregated
+ * - the header row and the resolved header indices
+ * - the running totals reported in the parser's _metadata
+ * The dedupe keys already flushed are not stored: on resume the parser reads them back from the
+ * stored workloads (later rows for these keys are merged into the stored workload).
+ *
+ * Before each flush the checkpoint is marked as flushing; an import that stops during a flush
+ * cannot tell which workloads were written, so it starts over instead of resuming.
+ *
+ * Checkpoints are stored with checkpointService in IndexedDB only, keyed by file UUID: they are
+ * written from the parser worker, which has no localStorage, and the running totals of a large
+ * bill would not fit in the localStorage quota.
+ */
+
+import { checkpointService } from './checkpointService.js';
+
+export const CUR_IMPORT_CHECKPOINT_AGENT = 'cur-import';
+
+export const CurImportCheckpointStatus = {
+  FLUSHING: 'flushing',
+  COMMITTED: 'committed'
+};
+
+// Bump when the checkpoint layout changes - older checkpoints are ignored
+const CHECKPOINT_VERSION = 2;
+
+/**
+ * Describe the settings an import depends on; a checkpoint only resumes an identical import
+ * @param {Object} params
+ * @param {number} params.fileSize - Size of the file in bytes
+ * @param {string} params.costBasis - Cost basis the rows are costed on
+ * @param {Iterable<string>} params.baselineLineItemTypes - Line item types included in the baseline
+ * @returns {Object}
+ */
+export function describeImportSettings({ fileSize, costBasis, baselineLineItemTypes }) {
+  return {
+    fileSize: fileSize || 0,
+    costBasis: costBasis || 'unblended',
+    baselineLineItemTypes: Array.from(baselineLineItemTypes || []).sort()
+  };
+}
+
+/**
+ * Load the committed checkpoint of a file
+ * @param {string} fileId - generateFileUUID of the file
+ * @param {Object} importSettings - Result of describeImportSettings for the import about to start
+ * @returns {Promise<Object|null>} Checkpoint state, or null when there is nothing to resume
+ */
+export async function loadCurImportCheckpoint(fileId, importSettings) {
+  if (!fileId) return null;
+
+  let checkpoint = null;
+  try {
+    checkpoint = await checkpointService.getLastCheckpoint(fileId, CUR_IMPORT_CHECKPOINT_AGENT);
+  } catch (error) {
+    console.warn('[curImportCheckpoint] Failed to read checkpoint:', error);
+    return null;
+  }
+  if (!checkpoint) return null;
+
+  const state = checkpoint.data || {};
+  if (checkpoint.status !== CurImportCheckpointStatus.COMMITTED) {
+    console.warn(`[curImportCheckpoint] Previous import of ${fileId} stopped while flushing workloads - starting over`);
+    return null;
+  }
+  if (state.version !== CHECKPOINT_VERSION ||
+      JSON.stringify(state.importSettings) !== JSON.stringify(importSettings)) {
+    console.warn(`[curImportCheckpoint] Checkpoint of ${fileId} was written with different import settings - starting over`);
+    return null;
+  }
+  return state;
+}
+
+/**
+ * Save a checkpoint
+ * @param {string} fileId - generateFileUUID of the file
+ * @param {string} status - CurImportCheckpointStatus
+ * @param {Object} state - Parser state (byteOffset, headers, headerIndices, totals, ...)
+ * @param {number} progress - Percent of the file read
+ * @returns {Promise<void>}
+ */
+export async function saveCurImportCheckpoint(fileId, status, state, progress = 0) {
+  await checkpointService.saveCheckpoint(fileId, CUR_IMPORT_CHECKPOINT_AGENT, progress, status, {
+    ...state,
+    version: CHECKPOINT_VERSION
+  }, { localBackup: false });
+}
+
+/**
+ * Remove the checkpoint of a file (import completed or discarded)
+ * @param {string} fileId - generateFileUUID of the file
+ * @returns {Promise<void>}
+ */
+export async function clearCurImportCheckpoint(fileId) {
+  if (!fileId) return;
+  try {
+    await checkpointService.clearCheckpoints(fileId);
+  } catch (error) {
+    console.warn('[curImportCheckpoint] Failed to clear checkpoint:', error);
+  }
+}
+
+/**
+ * Number of bytes a string takes as UTF-8 (the decoded text of a valid UTF-8 file)
+ * @param {string} text
+ * @returns {number}
+ */
+export function utf8ByteLength(text) {
+  let bytes = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+      bytes += 4; // Surrogate pair - one 4-byte character
+      i++;
+    } else {
+      bytes += 3;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Number of bytes at the end of a chunk that belong to an incomplete UTF-8 character
+ * (a streaming TextDecoder holds these back until the next chunk)
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function incompleteUtf8TailLength(bytes) {
+  const length = bytes ? bytes.length : 0;
+  // Walk back over continuation bytes (10xxxxxx) to the lead byte of the last character
+  for (let i = length - 1; i >= 0 && i >= length - 4; i--) {
+    const byte = bytes[i];
+    if ((byte & 0xC0) === 0x80) continue;
+    const characterLength = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : byte >= 0xC0 ? 2 : 1;
+    const available = length - i;
+    return available < characterLength ? available : 0;
+  }
+  return 0;
+}
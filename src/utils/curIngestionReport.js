@@ -0,0 +1,203 @@
+/**
+ * CUR Ingestion Report
+ *
+ * Records why billing rows were left out of the workload aggregation, so analysts can see what
+ * was dropped instead of only a count in skippedRows:
+ * - rows and cost per rejection reason
+ * - product codes without an explicit service mapping, ranked by spend (these rows are kept,
+ *   but their cost lands in a generic service bucket)
+ * - a capped sample of the rejected rows themselves, downloadable as CSV with a reason column
+ *
+ * The report is a plain object so it survives structured cloning (workers) and JSON (sessionStorage).
+ */
+
+export const RejectionReason = {
+  MISALIGNED_ROW: 'misaligned-row',
+  NO_PRODUCT_CODE: 'no-product-code',
+  EXCLUDED_LINE_ITEM_TYPE: 'excluded-line-item-type',
+  TAX: 'tax',
+  ZERO_COST: 'zero-cost',
+  UNKNOWN_SERVICE: 'unknown-service'
+};
+
+export const REJECTION_REASON_LABELS = {
+  [RejectionReason.MISALIGNED_ROW]: 'Misaligned row (date in product code column)',
+  [RejectionReason.NO_PRODUCT_CODE]: 'No product code',
+  [RejectionReason.EXCLUDED_LINE_ITEM_TYPE]: 'Line item type excluded from baseline',
+  [RejectionReason.TAX]: 'Tax',
+  [RejectionReason.ZERO_COST]: 'Zero cost',
+  [RejectionReason.UNKNOWN_SERVICE]: 'Unknown service'
+};
+
+// Rejected rows kept per report - the counts and costs always cover every row
+export const MAX_REJECTED_ROWS = 1000;
+
+// Long rows (hundreds of CUR columns) are cut in the rejected-rows file
+const MAX_RAW_ROW_LENGTH = 2000;
+
+/**
+ * Create an empty ingestion report
+ * @param {string} sourceFile - Name of the file the rows come from
+ * @returns {Object}
+ */
+export function createIngestionReport(sourceFile = '') {
+  return {
+    sourceFile,
+    reasons: {}, // reason -> { reason, rows, cost }
+    unknownProductCodes: {}, // product code -> { productCode, service, rows, cost }
+    rejectedRows: [], // { file, lineNumber, reason, productCode, cost, raw }
+    rejectedRowsDropped: 0
+  };
+}
+
+/**
+ * Record one rejected row
+ * @param {Object} report - Report from createIngestionReport
+ * @param {string} reason - RejectionReason
+ * @param {Object} row
+ * @param {number} row.lineNumber - Line of the row in the source file (header is line 1)
+ * @param {string} row.productCode - Product code cell
+ * @param {number} row.cost - Cost of the row (0 when it cannot be trusted, e.g. misaligned rows)
+ * @param {string[]} row.values - Parsed cells of the row
+ */
+export function recordRejectedRow(report, reason, { lineNumber, productCode, cost, values }) {
+  let entry = report.reasons[reason];
+  if (!entry) {
+    entry = { reason, rows: 0, cost: 0 };
+    report.reasons[reason] = entry;
+  }
+  entry.rows++;
+  entry.cost += cost || 0;
+
+  if (report.rejectedRows.length >= MAX_REJECTED_ROWS) {
+    report.rejectedRowsDropped++;
+    return;
+  }
+  report.rejectedRows.push({
+    file: report.sourceFile,
+    lineNumber,
+    reason,
+    productCode: productCode || '',
+    cost: cost || 0,
+    raw: toCsvLine(values || []).slice(0, MAX_RAW_ROW_LENGTH)
+  });
+}
+
+/**
+ * Record the cost of a row whose product code has no explicit service mapping
+ * @param {Object} report - Report from createIngestionReport
+ * @param {string} productCode
+ * @param {number} cost
+ * @param {string} service - Service name the row was kept under (inferred from the code)
+ */
+export function recordUnknownProductCode(report, productCode, cost, service = null) {
+  let entry = report.unknownProductCodes[productCode];
+  if (!entry) {
+    entry = { productCode, service, rows: 0, cost: 0 };
+    report.unknownProductCodes[productCode] = entry;
+  }
+  entry.rows++;
+  entry.cost += cost || 0;
+}
+
+/**
+ * Merge the reports of several files into one (rejected rows stay capped)
+ * @param {Object[]} reports - Reports (missing entries are ignored)
+ * @returns {Object} Merged report
+ */
+export function mergeIngestionReports(reports) {
+  const merged = createIngestionReport();
+  for (const report of reports || []) {
+    if (!report) continue;
+    for (const entry of Object.values(report.reasons || {})) {
+      const target = merged.reasons[entry.reason];
+      if (!target) {
+        merged.reasons[entry.reason] = { ...entry };
+      } else {
+        target.rows += entry.rows;
+        target.cost += entry.cost;
+      }
+    }
+    for (const entry of Object.values(report.unknownProductCodes || {})) {
+      const target = merged.unknownProductCodes[entry.productCode];
+      if (!target) {
+        merged.unknownProductCodes[entry.productCode] = { ...entry };
+      } else {
+        target.rows += entry.rows;
+        target.cost += entry.cost;
+      }
+    }
+    const rows = report.rejectedRows || [];
+    const room = Math.max(0, MAX_REJECTED_ROWS - merged.rejectedRows.length);
+    merged.rejectedRows.push(...rows.slice(0, room));
+    merged.rejectedRowsDropped += (report.rejectedRowsDropped || 0) + Math.max(0, rows.length - room);
+  }
+  return merged;
+}
+
+/**
+ * Summarize a report for display
+ * @param {Object} report - Report (or merged report)
+ * @param {number} topN - Number of unknown product codes to list
+ * @returns {{reasons: Array, totalRejectedRows: number, totalRejectedCost: number,
+ *   topUnknownProductCodes: Array, unknownProductCodeCost: number, rejectedRowsInFile: number, rejectedRowsCapped: boolean}}
+ *   reasons are sorted by rows, unknown product codes by spend (largest first)
+ */
+export function summarizeIngestionReport(report, topN = 10) {
+  const reasons = Object.values(report?.reasons || {})
+    .map(entry => ({ ...entry, label: REJECTION_REASON_LABELS[entry.reason] || entry.reason }))
+    .sort((a, b) => b.rows - a.rows);
+  const unknownProductCodes = Object.values(report?.unknownProductCodes || {})
+    .sort((a, b) => Math.abs(b.cost) - Math.abs(a.cost));
+
+  return {
+    reasons,
+    totalRejectedRows: reasons.reduce((sum, entry) => sum + entry.rows, 0),
+    totalRejectedCost: reasons.reduce((sum, entry) => sum + entry.cost, 0),
+    topUnknownProductCodes: unknownProductCodes.slice(0, topN),
+    unknownProductCodeCost: unknownProductCodes.reduce((sum, entry) => sum + entry.cost, 0),
+    rejectedRowsInFile: report?.rejectedRows?.length || 0,
+    rejectedRowsCapped: (report?.rejectedRowsDropped || 0) > 0
+  };
+}
+
+/**
+ * Build the rejected-rows CSV (one row per rejected billing row, with the reason)
+ * @param {Object} report - Report (or merged report)
+ * @param {Object} options
+ * @param {Object} options.redactor - Optional redactor (anonymisation mode): account IDs, ARNs and resource IDs
+ *   in the file name and raw row become pseudonyms
+ * @returns {string}
+ */
+export function rejectedRowsToCsv(report, { redactor = null } = {}) {
+  const redactText = redactor ? redactor.redactText : (text) => text;
+  const lines = [toCsvLine(['source_file', 'line_number', 'reason', 'product_code', 'cost', 'raw_row'])];
+  for (const row of report?.rejectedRows || []) {
+    lines.push(toCsvLine([redactText(row.file), row.lineNumber, row.reason, row.productCode, row.cost, redactText(row.raw)]));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Download the rejected-rows CSV
+ * @param {Object} report - Report (or merged report)
+ * @param {Object} options - rejectedRowsToCsv options (redactor)
+ */
+export const downloadRejectedRowsCsv = (report, options = {}) => {
+  const blob = new Blob([rejectedRowsToCsv(report, options)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `rejected-rows-${new Date().toISOString().split('T')[0]}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+function toCsvLine(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
@@ -0,0 +1,170 @@
+/**
+ * CUR Line Item Ledger
+ *
+ * Classifies billing rows by line item type (lineItem/LineItemType, ChargeCategory in FOCUS, or
+ * ChargeType in Azure Cost Management exports) and keeps a ledger of rows and cost per type.
+ * Users choose which types make up the migration baseline. The ledger then reconciles the
+ * invoice total to the baseline:
+ *
+ *   invoice total (unblended, every row)
+ *   - excluded types (credits, refunds, tax, discounts, ... by default)
+ *   + cost basis adjustment (amortization / net pricing of the included rows)
+ *   = migration baseline
+ */
+
+export const LineItemType = {
+  USAGE: 'Usage',
+  DISCOUNTED_USAGE: 'DiscountedUsage',
+  SAVINGS_PLAN_COVERED_USAGE: 'SavingsPlanCoveredUsage',
+  SAVINGS_PLAN_NEGATION: 'SavingsPlanNegation',
+  SAVINGS_PLAN_RECURRING_FEE: 'SavingsPlanRecurringFee',
+  SAVINGS_PLAN_UPFRONT_FEE: 'SavingsPlanUpfrontFee',
+  FEE: 'Fee',
+  RI_FEE: 'RIFee',
+  CREDIT: 'Credit',
+  REFUND: 'Refund',
+  TAX: 'Tax',
+  EDP_DISCOUNT: 'EdpDiscount',
+  PRIVATE_RATE_DISCOUNT: 'PrivateRateDiscount',
+  BUNDLED_DISCOUNT: 'BundledDiscount',
+  DISTRIBUTOR_DISCOUNT: 'DistributorDiscount',
+  SOLUTION_PROVIDER_DISCOUNT: 'SolutionProviderDiscount',
+  // FOCUS ChargeCategory values not covered above
+  PURCHASE: 'Purchase',
+  ADJUSTMENT: 'Adjustment',
+  // Azure Cost Management ChargeType values not covered above
+  UNUSED_RESERVATION: 'UnusedReservation',
+  UNUSED_SAVINGS_PLAN: 'UnusedSavingsPlan',
+  ROUNDING_ADJUSTMENT: 'RoundingAdjustment',
+  // Exports without a line item type column (generic cost CSVs)
+  UNSPECIFIED: '(unspecified)'
+};
+
+/**
+ * Line item types that make up the migration baseline unless the user chooses otherwise:
+ * usage and commitment fees. Credits, refunds, tax and negotiated discounts are left out.
+ */
+export const DEFAULT_BASELINE_LINE_ITEM_TYPES = [
+  LineItemType.USAGE,
+  LineItemType.DISCOUNTED_USAGE,
+  LineItemType.SAVINGS_PLAN_COVERED_USAGE,
+  LineItemType.SAVINGS_PLAN_NEGATION,
+  LineItemType.SAVINGS_PLAN_RECURRING_FEE,
+  LineItemType.SAVINGS_PLAN_UPFRONT_FEE,
+  LineItemType.FEE,
+  LineItemType.RI_FEE,
+  LineItemType.PURCHASE,
+  LineItemType.UNUSED_RESERVATION,
+  LineItemType.UNUSED_SAVINGS_PLAN,
+  LineItemType.UNSPECIFIED
+];
+
+/**
+ * Resolve the user's baseline selection to a lookup set
+ * @param {string[]} types - Selected line item types (defaults when not an array)
+ * @returns {Set<string>}
+ */
+export function resolveBaselineLineItemTypes(types) {
+  return new Set(Array.isArray(types) ? types : DEFAULT_BASELINE_LINE_ITEM_TYPES);
+}
+
+/**
+ * Classify a billing row by line item type
+ * @param {string} rawType - Line item type cell (empty when the export has no type column)
+ * @param {string} productCode - Product code cell (identifies tax rows in exports without a type column)
+ * @returns {string} LineItemType value, or the raw type for types not listed in LineItemType
+ */
+export function classifyLineItemType(rawType, productCode) {
+  const type = rawType ? String(rawType).trim() : '';
+  if (type) {
+    return type;
+  }
+  if (productCode && String(productCode).trim().toUpperCase() === 'TAX') {
+    return LineItemType.TAX;
+  }
+  return LineItemType.UNSPECIFIED;
+}
+
+/**
+ * Create an empty ledger (plain object so it survives structured cloning and JSON)
+ * @returns {Object} type -> { type, rows, unblendedCost, cost, includedInBaseline }
+ */
+export function createLineItemLedger() {
+  return {};
+}
+
+/**
+ * Record one billing row in the ledger
+ * @param {Object} ledger - Ledger from createLineItemLedger
+ * @param {string} type - Line item type from classifyLineItemType
+ * @param {number} unblendedCost - Billed (unblended) cost of the row
+ * @param {number} cost - Cost of the row on the selected cost basis
+ * @param {boolean} includedInBaseline - Whether the type is part of the migration baseline
+ */
+export function recordLineItem(ledger, type, unblendedCost, cost, includedInBaseline) {
+  let entry = ledger[type];
+  if (!entry) {
+    entry = { type, rows: 0, unblendedCost: 0, cost: 0, includedInBaseline };
+    ledger[type] = entry;
+  }
+  entry.rows++;
+  entry.unblendedCost += unblendedCost;
+  entry.cost += cost;
+}
+
+/**
+ * Merge the ledgers of several files into one
+ * @param {Object[]} ledgers - Ledgers (missing entries are ignored)
+ * @returns {Object} Merged ledger
+ */
+export function mergeLineItemLedgers(ledgers) {
+  const merged = createLineItemLedger();
+  for (const ledger of ledgers || []) {
+    if (!ledger) continue;
+    for (const entry of Object.values(ledger)) {
+      const target = merged[entry.type];
+      if (!target) {
+        merged[entry.type] = { ...entry };
+      } else {
+        target.rows += entry.rows;
+        target.unblendedCost += entry.unblendedCost;
+        target.cost += entry.cost;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Build the reconciliation from invoice total to migration baseline
+ * @param {Object} ledger - Ledger (or merged ledger)
+ * @returns {{entries: Array, invoiceTotal: number, excludedTotal: number, costBasisAdjustment: number, baselineTotal: number}}
+ *   entries are sorted by billed cost (largest first)
+ */
+export function reconcileLineItemLedger(ledger) {
+  const entries = Object.values(ledger || {})
+    .map(entry => ({ ...entry }))
+    .sort((a, b) => Math.abs(b.unblendedCost) - Math.abs(a.unblendedCost));
+
+  let invoiceTotal = 0;
+  let excludedTotal = 0;
+  let includedUnblended = 0;
+  let baselineTotal = 0;
+  for (const entry of entries) {
+    invoiceTotal += entry.unblendedCost;
+    if (entry.includedInBaseline) {
+      includedUnblended += entry.unblendedCost;
+      baselineTotal += entry.cost;
+    } else {
+      excludedTotal += entry.unblendedCost;
+    }
+  }
+
+  return {
+    entries,
+    invoiceTotal,
+    excludedTotal,
+    costBasisAdjustment: baselineTotal - includedUnblended,
+    baselineTotal
+  };
+}
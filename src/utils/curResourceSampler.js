@@ -0,0 +1,388 @@
+/**
+ * CUR Resource Sampler
+ *
+ * Sampling mode of the streaming CUR parser: instead of aggregating every resource, keep a
+ * reservoir of at most N resources per stratum (service + region). Resources are chosen by a
+ * deterministic hash of their dedupe key (bottom-k sampling), so every row of a sampled resource
+ * is kept and every row of a dropped resource is dropped, in any file order.
+ *
+ * Cost and row counts are still tracked exactly per stratum from every row, and the sampled
+ * workloads are scaled back to those totals - service and region totals reconcile with the
+ * invoice to the cent. What is estimated is the number of resources per stratum and any split of
+ * cost or resources the sample is classified by later (complexity, readiness), reported with 95%
+ * confidence intervals.
+ */
+
+import { hashIdentifier } from './redaction.js';
+import { scaleDatabaseUsage } from './rdsUsageProfile.js';
+import { scaleStorageUsage } from './s3UsageProfile.js';
+
+export const DEFAULT_RESOURCES_PER_STRATUM = 1000;
+export const MIN_RESOURCES_PER_STRATUM = 10;
+export const SAMPLE_SIZE_OPTIONS = [200, 1000, 5000];
+export const SAMPLING_CONFIDENCE_LEVEL = 0.95;
+
+const Z_SCORE = 1.96; // Two-sided 95%
+const HASH_SALT = 'cur-sample';
+const HASH_RANGE = 2 ** 37; // hashIdentifier's 10 hex digits are the top 37 bits of a 53-bit hash
+
+/**
+ * Normalize the parser's sampling option
+ * @param {number|boolean|Object|null} sampling - Resources per stratum, true for the default, or { resourcesPerStratum }
+ * @returns {{resourcesPerStratum: number}|null} null when sampling is off
+ */
+export function normalizeSamplingOptions(sampling) {
+  if (!sampling) return null;
+  const requested = parseInt(typeof sampling === 'object' ? sampling.resourcesPerStratum : sampling, 10);
+  const resourcesPerStratum = requested > 0 ? requested : DEFAULT_RESOURCES_PER_STRATUM;
+  return { resourcesPerStratum: Math.max(MIN_RESOURCES_PER_STRATUM, resourcesPerStratum) };
+}
+
+/**
+ * Stratum key of a workload (service + region, as the parser stores them)
+ * @param {string} service
+ * @param {string} region
+ * @returns {string}
+ */
+export function stratumKey(service, region) {
+  return `${service || ''}|${region || ''}`.toLowerCase();
+}
+
+// Sampling priority of a resource, uniform in [0, 1)
+const samplePriority = (dedupeKey) => parseInt(hashIdentifier(HASH_SALT, dedupeKey), 16) / HASH_RANGE;
+
+// Max-heap on priority: the root is the sampled resource evicted first
+const heapPush = (heap, entry) => {
+  heap.push(entry);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].priority >= heap[i].priority) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+};
+
+const heapReplaceRoot = (heap, entry) => {
+  const root = heap[0];
+  heap[0] = entry;
+  let i = 0;
+  for (;;) {
+    const left = 2 * i + 1;
+    const right = left + 1;
+    let largest = i;
+    if (left < heap.length && heap[left].priority > heap[largest].priority) largest = left;
+    if (right < heap.length && heap[right].priority > heap[largest].priority) largest = right;
+    if (largest === i) break;
+    [heap[largest], heap[i]] = [heap[i], heap[largest]];
+    i = largest;
+  }
+  return root;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the per-stratum reservoir used by the streaming parser
+ * @param {Object} options
+ * @param {number} options.resourcesPerStratum - Reservoir size per service + region
+ * @param {Function} options.onEvict - Called with the dedupe key of a resource dropped from the sample
+ * @returns {{admit: Function, strata: Map}}
+ */
+export function createResourceSampler({ resourcesPerStratum = DEFAULT_RESOURCES_PER_STRATUM, onEvict = () => {} } = {}) {
+  const strata = new Map();
+
+  /**
+   * Record one baseline row and decide whether its resource is in the sample
+   * @param {string} dedupeKey
+   * @param {string} service
+   * @param {string} region
+   * @param {number} cost - Row cost (counted in the stratum total either way)
+   * @param {string|null} billingMonth - Row billing month ('YYYY-MM'), for per-month totals
+   * @returns {boolean} true when the row should be aggregated
+   */
+  const admit = (dedupeKey, service, region, cost, billingMonth) => {
+    const key = stratumKey(service, region);
+    let stratum = strata.get(key);
+    if (!stratum) {
+      stratum = { key, service, region, rows: 0, totalCost: 0, costByMonth: {}, heap: [], sampled: new Set(), saturated: false };
+      strata.set(key, stratum);
+    }
+    stratum.rows++;
+    stratum.totalCost += cost;
+    if (billingMonth) {
+      stratum.costByMonth[billingMonth] = (stratum.costByMonth[billingMonth] || 0) + cost;
+    }
+
+    if (stratum.sampled.has(dedupeKey)) return true;
+    const priority = samplePriority(dedupeKey);
+    if (stratum.heap.length < resourcesPerStratum) {
+      heapPush(stratum.heap, { dedupeKey, priority });
+      stratum.sampled.add(dedupeKey);
+      return true;
+    }
+    stratum.saturated = true;
+    if (priority >= stratum.heap[0].priority) return false;
+    const evicted = heapReplaceRoot(stratum.heap, { dedupeKey, priority });
+    stratum.sampled.delete(evicted.dedupeKey);
+    stratum.sampled.add(dedupeKey);
+    onEvict(evicted.dedupeKey);
+    return true;
+  };
+
+  return { resourcesPerStratum, strata, admit };
+}
+
+/**
+ * Scale values so they add up to a total: proportionally, or evenly when they add up to ~0.
+ * Rounded to cents, with the rounding remainder on the largest value so the sum is exact.
+ * @private
+ */
+function scaleToTotal(values, total) {
+  if (values.length === 0) return [];
+  const sum = values.reduce((acc, value) => acc + value, 0);
+  const scaled = Math.abs(sum) >= 0.005
+    ? values.map(value => round2(value * (total / sum)))
+    : values.map(value => round2(value + (total - sum) / values.length));
+  let largest = 0;
+  for (let i = 1; i < scaled.length; i++) {
+    if (Math.abs(scaled[i]) > Math.abs(scaled[largest])) largest = i;
+  }
+  const remainder = round2(total - scaled.reduce((acc, value) => acc + value, 0));
+  scaled[largest] = round2(scaled[largest] + remainder);
+  return scaled;
+}
+
+// Scale every component of a workload's cost split by the workload's scale factor
+const scaleCostSplit = (costByComponent, factor) => {
+  const scaled = {};
+  for (const [component, cost] of Object.entries(costByComponent || {})) {
+    scaled[component] = round2(cost * factor);
+  }
+  return scaled;
+};
+
+// KMV distinct count of a stratum and its variance (exact when nothing was ever dropped)
+const estimateStratumResources = (stratum, resourcesPerStratum) => {
+  const sampled = stratum.heap.length;
+  if (!stratum.saturated || sampled < 3) {
+    return { estimate: sampled, variance: 0 };
+  }
+  const threshold = stratum.heap[0].priority;
+  const estimate = Math.max(sampled, (resourcesPerStratum - 1) / Math.max(threshold, 1 / HASH_RANGE));
+  return { estimate, variance: (estimate * estimate) / (resourcesPerStratum - 2) };
+};
+
+// Two-sided confidence interval, never below the observed minimum
+const toInterval = (estimate, variance, minimum = -Infinity) => {
+  const margin = Z_SCORE * Math.sqrt(Math.max(variance, 0));
+  return { estimate, low: Math.max(minimum, estimate - margin), high: estimate + margin };
+};
+
+/**
+ * Scale the sampled workloads back to their strata totals and describe the sample
+ * @param {Workload[]} workloads - Sampled workloads (the parser's workloadMap values)
+ * @param {Object} sampler - createResourceSampler result
+ * @param {Function} rebuild - (workload, {monthlyCost, storage, costByMonth, costByComponent, databaseUsage,
+ *   storageUsage}) => scaled workload
+ * @returns {{workloads: Array, summary: Object}}
+ */
+export function applySampleScaling(workloads, sampler, rebuild) {
+  const byStratum = new Map();
+  for (const workload of workloads) {
+    const key = stratumKey(workload.service, workload.region);
+    if (!byStratum.has(key)) byStratum.set(key, []);
+    byStratum.get(key).push(workload);
+  }
+
+  const scaledWorkloads = [];
+  const strata = [];
+  let estimatedResources = 0;
+  let resourcesVariance = 0;
+  let sampledResources = 0;
+  for (const stratum of sampler.strata.values()) {
+    const members = byStratum.get(stratum.key) || [];
+    const totalCost = round2(stratum.totalCost);
+    const resources = estimateStratumResources(stratum, sampler.resourcesPerStratum);
+    const sampledCost = members.reduce((acc, workload) => acc + workload.monthlyCost.amount, 0);
+    const costs = scaleToTotal(members.map(workload => workload.monthlyCost.amount), totalCost);
+    const storageFactor = members.length > 0 ? resources.estimate / members.length : 1;
+
+    // Each billing month is scaled to the stratum's exact total for that month
+    const monthCosts = new Map();
+    for (const [month, monthTotal] of Object.entries(stratum.costByMonth)) {
+      const monthMembers = members.filter(workload => workload.costByMonth[month] !== undefined);
+      const scaled = scaleToTotal(monthMembers.map(workload => workload.costByMonth[month]), round2(monthTotal));
+      monthMembers.forEach((workload, index) => {
+        if (!monthCosts.has(workload)) monthCosts.set(workload, {});
+        monthCosts.get(workload)[month] = scaled[index];
+      });
+    }
+
+    members.forEach((workload, index) => {
+      const scaleFactor = Math.abs(workload.monthlyCost.amount) >= 0.005 ? costs[index] / workload.monthlyCost.amount : storageFactor;
+      scaledWorkloads.push(rebuild(workload, {
+        monthlyCost: costs[index],
+        storage: workload.storage * scaleFactor,
+        costByMonth: monthCosts.get(workload) || workload.costByMonth,
+        costByComponent: scaleCostSplit(workload.costByComponent, scaleFactor),
+        databaseUsage: scaleDatabaseUsage(workload.databaseUsage, scaleFactor),
+        storageUsage: scaleStorageUsage(workload.storageUsage, scaleFactor)
+      }));
+    });
+
+    const interval = toInterval(resources.estimate, resources.variance, members.length);
+    strata.push({
+      key: stratum.key,
+      service: stratum.service,
+      region: stratum.region,
+      rows: stratum.rows,
+      totalCost,
+      sampledResources: members.length,
+      estimatedResources: interval.estimate,
+      resourcesLow: interval.low,
+      resourcesHigh: interval.high,
+      resourcesVariance: resources.variance,
+      census: !stratum.saturated,
+      scaleFactor: Math.abs(sampledCost) >= 0.005 ? totalCost / sampledCost : null
+    });
+    estimatedResources += resources.estimate;
+    resourcesVariance += resources.variance;
+    sampledResources += members.length;
+  }
+  strata.sort((a, b) => b.totalCost - a.totalCost);
+
+  return {
+    workloads: scaledWorkloads,
+    summary: {
+      method: 'stratified-reservoir',
+      resourcesPerStratum: sampler.resourcesPerStratum,
+      confidenceLevel: SAMPLING_CONFIDENCE_LEVEL,
+      sampledResources,
+      estimatedResources: toInterval(estimatedResources, resourcesVariance, sampledResources),
+      totalCost: round2(strata.reduce((acc, stratum) => acc + stratum.totalCost, 0)),
+      sampledStrata: strata.filter(stratum => !stratum.census).length,
+      strata
+    }
+  };
+}
+
+/**
+ * Combine the sampling summaries of several files (strata with the same key are added up)
+ * @param {Object[]} summaries
+ * @returns {Object|null}
+ */
+export function mergeSamplingSummaries(summaries) {
+  const present = summaries.filter(Boolean);
+  if (present.length === 0) return null;
+  if (present.length === 1) return present[0];
+
+  const strata = new Map();
+  for (const summary of present) {
+    for (const stratum of summary.strata || []) {
+      const existing = strata.get(stratum.key);
+      if (!existing) {
+        strata.set(stratum.key, { ...stratum });
+        continue;
+      }
+      existing.rows += stratum.rows;
+      existing.totalCost = round2(existing.totalCost + stratum.totalCost);
+      existing.sampledResources += stratum.sampledResources;
+      existing.estimatedResources += stratum.estimatedResources;
+      existing.resourcesVariance += stratum.resourcesVariance;
+      existing.census = existing.census && stratum.census;
+      existing.scaleFactor = null; // Per file only
+    }
+  }
+  const merged = Array.from(strata.values()).map(stratum => {
+    const interval = toInterval(stratum.estimatedResources, stratum.resourcesVariance, stratum.sampledResources);
+    return { ...stratum, resourcesLow: interval.low, resourcesHigh: interval.high };
+  }).sort((a, b) => b.totalCost - a.totalCost);
+
+  const sampledResources = merged.reduce((acc, stratum) => acc + stratum.sampledResources, 0);
+  return {
+    ...present[0],
+    sampledResources,
+    estimatedResources: toInterval(
+      merged.reduce((acc, stratum) => acc + stratum.estimatedResources, 0),
+      merged.reduce((acc, stratum) => acc + stratum.resourcesVariance, 0),
+      sampledResources
+    ),
+    totalCost: round2(merged.reduce((acc, stratum) => acc + stratum.totalCost, 0)),
+    sampledStrata: merged.filter(stratum => !stratum.census).length,
+    strata: merged
+  };
+}
+
+/**
+ * Estimate resource count and cost per category from a sample, with confidence intervals
+ *
+ * Per stratum, the cost of a category is a ratio estimate (its share of the sampled cost times the
+ * stratum total) and its resource count the sampled share times the estimated stratum size.
+ * Strata that were never full are a census and add no variance.
+ *
+ * @param {Array} workloads - Sampled (scaled) workloads, plain objects or Workload instances
+ * @param {Object} sampling - Sampling summary (applySampleScaling / mergeSamplingSummaries)
+ * @param {Function} classify - (workloadData) => category
+ * @returns {Object} category -> { count: {estimate, low, high}, cost: {estimate, low, high} }
+ */
+export function estimateSampledTotals(workloads, sampling, classify) {
+  const strataInfo = new Map((sampling?.strata || []).map(stratum => [stratum.key, stratum]));
+  const byStratum = new Map();
+  for (const workload of workloads) {
+    const data = workload.toJSON ? workload.toJSON() : workload;
+    const key = stratumKey(data.service, data.region);
+    if (!byStratum.has(key)) byStratum.set(key, []);
+    const cost = typeof data.monthlyCost === 'number' ? data.monthlyCost : (data.monthlyCost?.amount || 0);
+    byStratum.get(key).push({ category: classify(data), cost });
+  }
+
+  const totals = {};
+  const categoryTotals = (category) => {
+    if (!totals[category]) {
+      totals[category] = { count: 0, countVariance: 0, cost: 0, costVariance: 0 };
+    }
+    return totals[category];
+  };
+
+  for (const [key, members] of byStratum) {
+    const info = strataInfo.get(key);
+    const n = members.length;
+    const population = Math.max(n, info?.estimatedResources || n);
+    const census = !info || info.census || n < 2;
+    const finiteCorrection = census ? 0 : Math.max(0, 1 - n / population);
+    const stratumCost = members.reduce((acc, member) => acc + member.cost, 0);
+    const relativeSizeVariance = census || !info?.resourcesVariance ? 0 : info.resourcesVariance / (population * population);
+
+    const categories = new Set(members.map(member => member.category));
+    for (const category of categories) {
+      const inCategory = members.filter(member => member.category === category);
+      const share = inCategory.length / n;
+      const cost = inCategory.reduce((acc, member) => acc + member.cost, 0);
+      const ratio = Math.abs(stratumCost) >= 0.005 ? cost / stratumCost : 0;
+      const entry = categoryTotals(category);
+      entry.count += population * share;
+      entry.cost += cost;
+      if (census) continue;
+
+      // Binomial share of the stratum size, plus the uncertainty of the size itself
+      entry.countVariance += population * population * (finiteCorrection * share * (1 - share) / (n - 1) + share * share * relativeSizeVariance);
+      // Ratio estimator: residuals of the category cost against its share of each resource's cost
+      let sumSquares = 0;
+      for (const member of members) {
+        const residual = (member.category === category ? member.cost : 0) - ratio * member.cost;
+        sumSquares += residual * residual;
+      }
+      entry.costVariance += n * finiteCorrection * (sumSquares / (n - 1));
+    }
+  }
+
+  const result = {};
+  for (const [category, entry] of Object.entries(totals)) {
+    result[category] = {
+      count: toInterval(entry.count, entry.countVariance, 0),
+      cost: toInterval(entry.cost, entry.costVariance)
+    };
+  }
+  return result;
+}
@@ -0,0 +1,109 @@
+/**
+ * CUR Resource Tags
+ *
+ * Finds the resource tag columns of a billing export and reads the tags of each row.
+ * - AWS CUR 1.0: one column per tag, `resourceTags/user:<key>`
+ * - Flattened CUR 2.0 / Athena exports: `resource_tags_user_<key>` or `resource_tags_<key>`
+ * - AWS CUR 2.0 Data Exports: a single `resource_tags` map column ({"user_app": "web"})
+ * - FinOps FOCUS: a single `Tags` map column ({"app": "web"})
+ *
+ * Only user-defined tags are kept; AWS-generated tags (aws:createdBy, ...) are ignored.
+ */
+
+const CUR1_USER_TAG_PATTERN = /^resourceTags\/user:(.+)$/i;
+const FLATTENED_USER_TAG_PATTERN = /^resource_tags_user_(.+)$/i;
+// Any other flattened tag except the AWS-generated ones (resource_tags_aws_created_by)
+const FLATTENED_TAG_PATTERN = /^resource_tags_(?!aws_)(.+)$/i;
+const CUR2_TAG_MAP_COLUMN = 'resource_tags';
+const FOCUS_TAG_MAP_COLUMN = 'tags';
+const CUR2_USER_KEY_PREFIX = 'user_';
+
+/**
+ * Resolve the tag columns of a header row
+ * @param {string[]} headers - Header row cells
+ * @returns {Array<{index: number, key: string|null, map: boolean, stripPrefix: string|null}>}
+ *   key is the tag key for one-column-per-tag layouts; map columns hold a JSON object of tags
+ */
+export function resolveTagColumns(headers) {
+  const tagColumns = [];
+  (headers || []).forEach((header, index) => {
+    const name = String(header || '').replace(/^\uFEFF/, '').trim().replace(/^"|"$/g, '');
+    const lowerName = name.toLowerCase();
+    let match;
+
+    if (lowerName === CUR2_TAG_MAP_COLUMN) {
+      tagColumns.push({ index, key: null, map: true, stripPrefix: CUR2_USER_KEY_PREFIX });
+    } else if (lowerName === FOCUS_TAG_MAP_COLUMN) {
+      tagColumns.push({ index, key: null, map: true, stripPrefix: null });
+    } else if ((match = name.match(CUR1_USER_TAG_PATTERN))) {
+      tagColumns.push({ index, key: match[1], map: false, stripPrefix: null });
+    } else if ((match = name.match(FLATTENED_USER_TAG_PATTERN))) {
+      tagColumns.push({ index, key: match[1], map: false, stripPrefix: null });
+    } else if ((match = name.match(FLATTENED_TAG_PATTERN))) {
+      tagColumns.push({ index, key: match[1], map: false, stripPrefix: null });
+    }
+  });
+  return tagColumns;
+}
+
+/**
+ * Parse a tag map cell (JSON object) into tags
+ * @param {string} cell
+ * @param {string|null} stripPrefix - Only keep keys with this prefix, and remove it
+ * @returns {Object|null}
+ */
+function parseTagMap(cell, stripPrefix) {
+  if (!cell || cell.length < 2 || cell.charAt(0) !== '{') return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(cell);
+  } catch (e) {
+    return null; // Malformed tag map - ignore rather than failing the row
+  }
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  let tags = null;
+  for (const [rawKey, rawValue] of Object.entries(parsed)) {
+    let key = rawKey;
+    if (stripPrefix) {
+      if (!rawKey.toLowerCase().startsWith(stripPrefix)) continue;
+      key = rawKey.substring(stripPrefix.length);
+    }
+    const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+    if (key && value) {
+      tags = tags || {};
+      tags[key] = value;
+    }
+  }
+  return tags;
+}
+
+/**
+ * Read the tags of one row
+ * @param {string[]} values - Row cells
+ * @param {Array} tagColumns - Result of resolveTagColumns
+ * @returns {Object|null} Tag key -> value, or null when the row has no tags
+ */
+export function extractRowTags(values, tagColumns) {
+  if (!tagColumns || tagColumns.length === 0) return null;
+
+  let tags = null;
+  for (const column of tagColumns) {
+    const cell = values[column.index];
+    if (!cell) continue;
+
+    if (column.map) {
+      const mapTags = parseTagMap(cell, column.stripPrefix);
+      if (mapTags) {
+        tags = Object.assign(tags || {}, mapTags);
+      }
+    } else {
+      const value = cell.trim();
+      if (value) {
+        tags = tags || {};
+        tags[column.key] = value;
+      }
+    }
+  }
+  return tags;
+}
@@ -0,0 +1,270 @@
+/**
+ * CUR Schema Profiles
+ *
+ * Billing exports arrive in several column layouts:
+ * - AWS CUR 1.0 (slash/camelCase headers, e.g. lineItem/UnblendedCost)
+ * - AWS CUR 2.0 / Data Exports (snake_case headers, e.g. line_item_unblended_cost)
+ * - FinOps FOCUS (PascalCase headers, e.g. BilledCost, ServiceName, ResourceId)
+ *
+ * Each profile lists the exact column names for every field the parsers read.
+ * The profile is detected from the header row and columns are matched by exact
+ * (case-insensitive) name, so `cost` can never resolve to pricing/publicOnDemandCost
+ * and `resourceId` can never resolve to a resourceTags/... column.
+ */
+
+export const CurSchemaProfileId = {
+  CUR_1: 'cur1',
+  CUR_2: 'cur2',
+  FOCUS: 'focus',
+  GENERIC: 'generic'
+};
+
+/**
+ * Profile definitions
+ * - markers: columns that must ALL be present for the profile to be detected
+ * - columns: candidate column names per field, in order of preference
+ */
+export const CUR_SCHEMA_PROFILES = {
+  [CurSchemaProfileId.CUR_2]: {
+    id: CurSchemaProfileId.CUR_2,
+    label: 'AWS CUR 2.0',
+    markers: ['line_item_product_code', 'line_item_unblended_cost'],
+    columns: {
+      productCode: ['line_item_product_code'],
+      resourceId: ['line_item_resource_id'],
+      usageType: ['line_item_usage_type'],
+      cost: ['line_item_unblended_cost'],
+      instanceType: ['product_instance_type'],
+      databaseEngine: ['product_database_engine'],
+      databaseEdition: ['product_database_edition'],
+      deploymentOption: ['product_deployment_option'],
+      os: ['product_operating_system'],
+      region: ['product_region_code', 'product_region', 'line_item_availability_zone'],
+      usageAmount: ['line_item_usage_amount'],
+      usageStartDate: ['line_item_usage_start_date', 'bill_billing_period_start_date'],
+      usageEndDate: ['line_item_usage_end_date', 'bill_billing_period_end_date'],
+      accountId: ['line_item_usage_account_id'],
+      accountName: ['line_item_usage_account_name'],
+      // Cost basis (amortized / net amortized) columns
+      lineItemType: ['line_item_line_item_type'],
+      netCost: ['line_item_net_unblended_cost'],
+      effectiveCost: [],
+      netEffectiveCost: [],
+      reservationArn: ['reservation_reservation_a_r_n'],
+      reservationEffectiveCost: ['reservation_effective_cost'],
+      reservationNetEffectiveCost: ['reservation_net_effective_cost'],
+      reservationUnusedAmortizedUpfrontFee: ['reservation_unused_amortized_upfront_fee_for_billing_period'],
+      reservationNetUnusedAmortizedUpfrontFee: ['reservation_net_unused_amortized_upfront_fee_for_billing_period'],
+      reservationUnusedRecurringFee: ['reservation_unused_recurring_fee'],
+      reservationNetUnusedRecurringFee: ['reservation_net_unused_recurring_fee'],
+      savingsPlanEffectiveCost: ['savings_plan_savings_plan_effective_cost'],
+      savingsPlanNetEffectiveCost: ['savings_plan_net_savings_plan_effective_cost'],
+      savingsPlanTotalCommitment: ['savings_plan_total_commitment_to_date'],
+      savingsPlanUsedCommitment: ['savings_plan_used_commitment']
+    }
+  },
+  [CurSchemaProfileId.CUR_1]: {
+    id: CurSchemaProfileId.CUR_1,
+    label: 'AWS CUR 1.0',
+    markers: ['lineitem/productcode', 'lineitem/unblendedcost'],
+    columns: {
+      productCode: ['lineItem/ProductCode'],
+      resourceId: ['lineItem/ResourceId'],
+      usageType: ['lineItem/UsageType'],
+      cost: ['lineItem/UnblendedCost'],
+      instanceType: ['product/instanceType'],
+      databaseEngine: ['product/databaseEngine'],
+      databaseEdition: ['product/databaseEdition'],
+      deploymentOption: ['product/deploymentOption'],
+      os: ['product/operatingSystem'],
+      region: ['product/region', 'lineItem/AvailabilityZone', 'product/location'],
+      usageAmount: ['lineItem/UsageAmount'],
+      usageStartDate: ['lineItem/UsageStartDate', 'bill/BillingPeriodStartDate'],
+      usageEndDate: ['lineItem/UsageEndDate', 'bill/BillingPeriodEndDate'],
+      accountId: ['lineItem/UsageAccountId'],
+      accountName: ['lineItem/UsageAccountName'],
+      // Cost basis (amortized / net amortized) columns
+      lineItemType: ['lineItem/LineItemType'],
+      netCost: ['lineItem/NetUnblendedCost'],
+      effectiveCost: [],
+      netEffectiveCost: [],
+      reservationArn: ['reservation/ReservationARN'],
+      reservationEffectiveCost: ['reservation/EffectiveCost'],
+      reservationNetEffectiveCost: ['reservation/NetEffectiveCost'],
+      reservationUnusedAmortizedUpfrontFee: ['reservation/UnusedAmortizedUpfrontFeeForBillingPeriod'],
+      reservationNetUnusedAmortizedUpfrontFee: ['reservation/NetUnusedAmortizedUpfrontFeeForBillingPeriod'],
+      reservationUnusedRecurringFee: ['reservation/UnusedRecurringFee'],
+      reservationNetUnusedRecurringFee: ['reservation/NetUnusedRecurringFee'],
+      savingsPlanEffectiveCost: ['savingsPlan/SavingsPlanEffectiveCost'],
+      savingsPlanNetEffectiveCost: ['savingsPlan/NetSavingsPlanEffectiveCost'],
+      savingsPlanTotalCommitment: ['savingsPlan/TotalCommitmentToDate'],
+      savingsPlanUsedCommitment: ['savingsPlan/UsedCommitment']
+    }
+  },
+  [CurSchemaProfileId.FOCUS]: {
+    id: CurSchemaProfileId.FOCUS,
+    label: 'FinOps FOCUS',
+    markers: ['billedcost', 'chargeperiodstart'],
+    columns: {
+      // AWS FOCUS exports carry the CUR product code in x_ServiceCode; other providers only have ServiceName
+      productCode: ['x_ServiceCode', 'ServiceName'],
+      resourceId: ['ResourceId'],
+      usageType: ['x_UsageType', 'SkuId'],
+      cost: ['BilledCost'],
+      instanceType: [],
+      databaseEngine: [],
+      databaseEdition: [],
+      deploymentOption: [],
+      os: [],
+      region: ['RegionId', 'AvailabilityZone'],
+      usageAmount: ['ConsumedQuantity', 'PricingQuantity'],
+      usageStartDate: ['ChargePeriodStart', 'BillingPeriodStart'],
+      usageEndDate: ['ChargePeriodEnd', 'BillingPeriodEnd'],
+      accountId: ['SubAccountId'],
+      accountName: ['SubAccountName'],
+      // FOCUS already amortizes commitments in EffectiveCost, so no RI / Savings Plan columns are needed
+      lineItemType: ['ChargeCategory'],
+      netCost: [],
+      effectiveCost: ['EffectiveCost'],
+      netEffectiveCost: [],
+      reservationArn: [],
+      reservationEffectiveCost: [],
+      reservationNetEffectiveCost: [],
+      reservationUnusedAmortizedUpfrontFee: [],
+      reservationNetUnusedAmortizedUpfrontFee: [],
+      reservationUnusedRecurringFee: [],
+      reservationNetUnusedRecurringFee: [],
+      savingsPlanEffectiveCost: [],
+      savingsPlanNetEffectiveCost: [],
+      savingsPlanTotalCommitment: [],
+      savingsPlanUsedCommitment: []
+    }
+  },
+  [CurSchemaProfileId.GENERIC]: {
+    id: CurSchemaProfileId.GENERIC,
+    label: 'Generic cost CSV',
+    markers: [],
+    columns: {
+      productCode: ['ProductCode', 'product_code', 'Service'],
+      resourceId: ['ResourceId', 'resource_id', 'Resource ID', 'Resource'],
+      usageType: ['UsageType', 'usage_type'],
+      cost: ['UnblendedCost', 'unblended_cost', 'Cost', 'Monthly Cost', 'Monthly Cost ($)'],
+      instanceType: ['InstanceType', 'instance_type', 'Instance Type'],
+      databaseEngine: ['DatabaseEngine', 'database_engine', 'Engine'],
+      databaseEdition: ['DatabaseEdition', 'database_edition'],
+      deploymentOption: ['DeploymentOption', 'deployment_option'],
+      os: ['OperatingSystem', 'operating_system', 'OS'],
+      region: ['Region', 'Location', 'AvailabilityZone'],
+      usageAmount: ['UsageAmount', 'usage_amount', 'Quantity'],
+      usageStartDate: ['UsageStartDate', 'usage_start_date'],
+      usageEndDate: ['UsageEndDate', 'usage_end_date'],
+      accountId: ['UsageAccountId', 'LinkedAccountId', 'AccountId', 'account_id', 'Account ID', 'Linked Account'],
+      accountName: ['UsageAccountName', 'LinkedAccountName', 'AccountName', 'account_name', 'Account Name'],
+      // Cost basis (amortized / net amortized) columns
+      lineItemType: ['LineItemType', 'line_item_type'],
+      netCost: ['NetUnblendedCost', 'net_unblended_cost'],
+      effectiveCost: ['AmortizedCost', 'amortized_cost', 'EffectiveCost'],
+      netEffectiveCost: ['NetAmortizedCost', 'net_amortized_cost'],
+      reservationArn: [],
+      reservationEffectiveCost: [],
+      reservationNetEffectiveCost: [],
+      reservationUnusedAmortizedUpfrontFee: [],
+      reservationNetUnusedAmortizedUpfrontFee: [],
+      reservationUnusedRecurringFee: [],
+      reservationNetUnusedRecurringFee: [],
+      savingsPlanEffectiveCost: [],
+      savingsPlanNetEffectiveCost: [],
+      savingsPlanTotalCommitment: [],
+      savingsPlanUsedCommitment: []
+    }
+  }
+};
+
+// Detection order: most specific first, generic fallback last
+const DETECTION_ORDER = [
+  CurSchemaProfileId.CUR_2,
+  CurSchemaProfileId.CUR_1,
+  CurSchemaProfileId.FOCUS
+];
+
+/**
+ * Normalize a header cell for comparison (trim, strip BOM and quotes, lowercase)
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeHeaderName(header) {
+  return String(header || '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .replace(/^"|"$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Detect the schema profile of a billing export from its header row
+ * @param {string[]} headers - Header row cells
+ * @returns {Object} Matching profile (falls back to the generic profile)
+ */
+export function detectCurSchemaProfile(headers) {
+  const headerSet = new Set((headers || []).map(normalizeHeaderName));
+
+  for (const profileId of DETECTION_ORDER) {
+    const profile = CUR_SCHEMA_PROFILES[profileId];
+    if (profile.markers.every(marker => headerSet.has(marker))) {
+      return profile;
+    }
+  }
+
+  return CUR_SCHEMA_PROFILES[CurSchemaProfileId.GENERIC];
+}
+
+/**
+ * Resolve column indices for every field of a profile by exact header name
+ * @param {string[]} headers - Header row cells
+ * @param {Object} profile - Schema profile from detectCurSchemaProfile
+ * @returns {Object} Field name -> column index (-1 when the column is absent)
+ */
+export function resolveHeaderIndices(headers, profile) {
+  const positions = new Map();
+  (headers || []).forEach((header, index) => {
+    const name = normalizeHeaderName(header);
+    // First occurrence wins when a header is duplicated
+    if (!positions.has(name)) {
+      positions.set(name, index);
+    }
+  });
+
+  const indices = {};
+  for (const [field, candidates] of Object.entries(profile.columns)) {
+    indices[field] = -1;
+    for (const candidate of candidates) {
+      const index = positions.get(normalizeHeaderName(candidate));
+      if (index !== undefined) {
+        indices[field] = index;
+        break;
+      }
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * Describe which header each field resolved to (for the ingestion summary)
+ * @param {string[]} headers - Header row cells
+ * @param {Object} profile - Schema profile
+ * @param {Object} indices - Result of resolveHeaderIndices
+ * @returns {Object} { id, label, columns: { field: headerName|null } }
+ */
+export function describeSchemaProfile(headers, profile, indices) {
+  const columns = {};
+  for (const [field, index] of Object.entries(indices)) {
+    columns[field] = index >= 0 ? String(headers[index]).replace(/^\uFEFF/, '').trim() : null;
+  }
+  return {
+    id: profile.id,
+    label: profile.label,
+    columns
+  };
+}
+
@@ -0,0 +1,343 @@
+/**
+ * GCP Billing Export Parser
+ *
+ * Reads a Cloud Billing export (the standard BigQuery export schema) downloaded as JSONL
+ * (one row per line, nested fields) or CSV (flattened columns such as service.description or
+ * service_description), and aggregates it into a compact summary:
+ * - net cost (cost + credits) per service and billing month
+ * - net cost per match key: the migrated workload a row belongs to, taken from a workload label
+ *   (e.g. workload-id) or the resource name of a detailed export
+ *
+ * Rows are aggregated while streaming, so large exports are never held in memory. Matching
+ * the summary to workloads and waves, and comparing it to the forecast, is done by
+ * ForecastVsActualService.
+ */
+
+import { readTextLines, readCsvRecords } from './textRecordReader.js';
+import { toBillingMonth, addToCostSeries } from './costTimeSeries.js';
+
+export const GcpBillingExportFormat = {
+  CSV: 'csv',
+  JSONL: 'jsonl'
+};
+
+/**
+ * Label keys that carry the source workload of a migrated GCP resource, checked in order
+ * (GCP label keys are lowercase; '-' and '_' variants are both accepted)
+ */
+export const DEFAULT_MATCH_LABEL_KEYS = [
+  'workload-id',
+  'workload_id',
+  'source-resource-id',
+  'source_resource_id',
+  'migrated-from',
+  'migrated_from',
+  'aws-resource-id',
+  'azure-resource-id'
+];
+
+// Field -> paths tried in order (flat CSV column names and nested JSON paths)
+const FIELD_PATHS = {
+  service: ['service.description', 'service_description', 'service'],
+  cost: ['cost'],
+  credits: ['credits', 'credits_amount', 'total_credits'],
+  currency: ['currency'],
+  invoiceMonth: ['invoice.month', 'invoice_month'],
+  usageStartTime: ['usage_start_time', 'usage_start', 'usage_date'],
+  labels: ['labels'],
+  resourceName: ['resource.name', 'resource_name', 'resource.global_name', 'resource_global_name'],
+  projectId: ['project.id', 'project_id']
+};
+
+/**
+ * Detect the export format from the file name, falling back to the first character of the file
+ * @param {string} fileName
+ * @param {string} firstLine - First non-empty line of the file
+ * @returns {string} GcpBillingExportFormat value
+ */
+export function detectGcpBillingExportFormat(fileName, firstLine = '') {
+  const lower = String(fileName || '').toLowerCase().replace(/\.gz$/, '');
+  if (lower.endsWith('.jsonl') || lower.endsWith('.ndjson') || lower.endsWith('.json')) {
+    return GcpBillingExportFormat.JSONL;
+  }
+  if (lower.endsWith('.csv')) {
+    return GcpBillingExportFormat.CSV;
+  }
+  return String(firstLine).trim().startsWith('{') ? GcpBillingExportFormat.JSONL : GcpBillingExportFormat.CSV;
+}
+
+/**
+ * Read a field from a row by flat column name, then by nested path
+ * @param {Object} row
+ * @param {string[]} paths
+ * @returns {*} undefined when absent
+ */
+function getField(row, paths) {
+  for (const path of paths) {
+    if (row[path] !== undefined && row[path] !== '') {
+      return row[path];
+    }
+    if (path.indexOf('.') > 0) {
+      let value = row;
+      for (const part of path.split('.')) {
+        value = value && typeof value === 'object' ? value[part] : undefined;
+      }
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse a cell that may hold JSON (CSV exports write repeated fields as JSON strings)
+ * @param {*} value
+ * @returns {*}
+ */
+function parseJsonCell(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (!text.startsWith('[') && !text.startsWith('{')) return value;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Sum the credits of a row (credits are negative amounts)
+ * @param {*} credits - Array of { name, amount } (JSONL), JSON string or plain number (CSV)
+ * @returns {number}
+ */
+export function sumCredits(credits) {
+  const parsed = parseJsonCell(credits);
+  if (Array.isArray(parsed)) {
+    return parsed.reduce((sum, credit) => sum + (parseFloat(credit?.amount) || 0), 0);
+  }
+  return parseFloat(parsed) || 0;
+}
+
+/**
+ * Normalize row labels to a key -> value object
+ * @param {*} labels - Array of { key, value } (BigQuery schema), object, or a JSON string of either
+ * @returns {Object}
+ */
+export function normalizeLabels(labels) {
+  const parsed = parseJsonCell(labels);
+  if (Array.isArray(parsed)) {
+    const result = {};
+    for (const label of parsed) {
+      if (label && label.key) {
+        result[String(label.key).toLowerCase()] = String(label.value ?? '');
+      }
+    }
+    return result;
+  }
+  if (parsed && typeof parsed === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      result[key.toLowerCase()] = String(value ?? '');
+    }
+    return result;
+  }
+  return {};
+}
+
+/**
+ * Convert an invoice month ('202403') or usage date to a billing month ('2024-03')
+ * @param {string} invoiceMonth
+ * @param {string} usageStartTime
+ * @returns {string|null}
+ */
+function toExportMonth(invoiceMonth, usageStartTime) {
+  const invoice = String(invoiceMonth || '').trim();
+  if (/^\d{6}$/.test(invoice)) {
+    return `${invoice.substring(0, 4)}-${invoice.substring(4)}`;
+  }
+  return toBillingMonth(invoice) || toBillingMonth(usageStartTime);
+}
+
+/**
+ * Get the key a row is matched to workloads by: a workload label, else the resource name
+ * @param {Object} labels - Result of normalizeLabels
+ * @param {string} resourceName - resource.name / resource.global_name (detailed exports)
+ * @param {string[]} matchLabelKeys
+ * @returns {{key: string, source: string}|null}
+ */
+function getMatchKey(labels, resourceName, matchLabelKeys) {
+  for (const labelKey of matchLabelKeys) {
+    if (labels[labelKey]) {
+      return { key: labels[labelKey].toLowerCase(), source: 'label' };
+    }
+  }
+  if (resourceName) {
+    const name = String(resourceName);
+    const lastSlash = name.lastIndexOf('/');
+    return { key: (lastSlash >= 0 ? name.substring(lastSlash + 1) : name).toLowerCase(), source: 'resource' };
+  }
+  return null;
+}
+
+/**
+ * Create an empty billing summary
+ * @returns {Object}
+ */
+function createBillingSummary(format) {
+  return {
+    format,
+    currency: null,
+    totalRows: 0,
+    skippedRows: { malformed: 0 },
+    totalCost: 0, // Net of credits
+    totalCredits: 0,
+    costByMonth: {},
+    services: {}, // Service description -> { cost, credits, costByMonth }
+    matchKeys: {}, // Match key -> { cost, source, services: { description -> cost } }
+    unmatchedCost: 0, // Net cost of rows without a workload label or resource name
+    projects: []
+  };
+}
+
+/**
+ * Add one export row to the summary (mutates the summary)
+ * @param {Object} summary
+ * @param {Object} row - Parsed JSONL object or CSV header -> value object
+ * @param {string[]} matchLabelKeys
+ */
+function addBillingRow(summary, row, matchLabelKeys) {
+  const rawCost = getField(row, FIELD_PATHS.cost);
+  const grossCost = parseFloat(rawCost);
+  if (rawCost === undefined || Number.isNaN(grossCost)) {
+    summary.skippedRows.malformed++;
+    return;
+  }
+  summary.totalRows++;
+
+  const credits = sumCredits(getField(row, FIELD_PATHS.credits));
+  const netCost = Math.round((grossCost + credits) * 100) / 100;
+  const service = String(getField(row, FIELD_PATHS.service) || 'Unknown');
+  const month = toExportMonth(getField(row, FIELD_PATHS.invoiceMonth), getField(row, FIELD_PATHS.usageStartTime));
+
+  if (!summary.currency) {
+    summary.currency = getField(row, FIELD_PATHS.currency) || null;
+  }
+  const projectId = getField(row, FIELD_PATHS.projectId);
+  if (projectId && summary.projects.length < 1000 && !summary.projects.includes(projectId)) {
+    summary.projects.push(projectId);
+  }
+
+  summary.totalCost += netCost;
+  summary.totalCredits += credits;
+  addToCostSeries(summary.costByMonth, month, netCost);
+
+  if (!summary.services[service]) {
+    summary.services[service] = { cost: 0, credits: 0, costByMonth: {} };
+  }
+  const serviceEntry = summary.services[service];
+  serviceEntry.cost += netCost;
+  serviceEntry.credits += credits;
+  addToCostSeries(serviceEntry.costByMonth, month, netCost);
+
+  const match = getMatchKey(normalizeLabels(getField(row, FIELD_PATHS.labels)), getField(row, FIELD_PATHS.resourceName), matchLabelKeys);
+  if (!match) {
+    summary.unmatchedCost += netCost;
+    return;
+  }
+  if (!summary.matchKeys[match.key]) {
+    summary.matchKeys[match.key] = { cost: 0, source: match.source, services: {} };
+  }
+  const matchEntry = summary.matchKeys[match.key];
+  matchEntry.cost += netCost;
+  matchEntry.services[service] = (matchEntry.services[service] || 0) + netCost;
+}
+
+/**
+ * Parse a GCP billing export (CSV or JSONL) into an aggregated summary
+ * @param {File|Blob|ArrayBuffer} fileOrBuffer - Export file
+ * @param {Function} onProgress - Optional progress callback ({ bytesProcessed, totalBytes, percent, rowsProcessed })
+ * @param {Object} options
+ * @param {string} options.format - GcpBillingExportFormat (detected from the file name / content when omitted)
+ * @param {string} options.compression - Optional 'gzip'
+ * @param {string[]} options.matchLabelKeys - Label keys carrying the source workload (DEFAULT_MATCH_LABEL_KEYS)
+ * @returns {Promise<Object>} Billing summary (see createBillingSummary)
+ */
+export async function parseGcpBillingExport(fileOrBuffer, onProgress, options = {}) {
+  const { compression, matchLabelKeys = DEFAULT_MATCH_LABEL_KEYS } = options;
+  const totalBytes = fileOrBuffer?.size || fileOrBuffer?.byteLength || 0;
+  const labelKeys = matchLabelKeys.map(key => String(key).toLowerCase());
+
+  let format = options.format;
+  if (!format) {
+    let firstLine = '';
+    for await (const batch of readTextLines(typeof Blob !== 'undefined' && fileOrBuffer instanceof Blob && !compression
+      ? fileOrBuffer.slice(0, 65536)
+      : fileOrBuffer, compression)) {
+      firstLine = batch.lines.find(line => line.trim().length > 0) || '';
+      if (firstLine) break;
+    }
+    format = detectGcpBillingExportFormat(fileOrBuffer?.name, firstLine);
+  }
+
+  const summary = createBillingSummary(format);
+  let lastReportedPercent = -1;
+  const reportProgress = (bytesProcessed) => {
+    const percent = totalBytes > 0 ? Math.min(100, Math.round((bytesProcessed / totalBytes) * 100)) : 0;
+    if (onProgress && totalBytes > 0 && percent !== lastReportedPercent) {
+      lastReportedPercent = percent;
+      onProgress({ bytesProcessed, totalBytes, percent, rowsProcessed: summary.totalRows });
+    }
+  };
+
+  if (format === GcpBillingExportFormat.JSONL) {
+    for await (const batch of readTextLines(fileOrBuffer, compression)) {
+      for (const line of batch.lines) {
+        if (line.trim().length === 0) continue;
+        let row;
+        try {
+          row = JSON.parse(line);
+        } catch (e) {
+          summary.skippedRows.malformed++;
+          continue;
+        }
+        addBillingRow(summary, row, labelKeys);
+      }
+      reportProgress(batch.bytesProcessed);
+      // PERFORMANCE: Yield to the event loop between batches to keep the UI responsive
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  } else {
+    let headers = null;
+    for await (const batch of readCsvRecords(fileOrBuffer, compression)) {
+      for (const values of batch.rows) {
+        if (!headers) {
+          // 'Service description' and service_description name the same column
+          headers = values.map(h => h.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/\s+/g, '_'));
+          if (!headers.includes('cost')) {
+            throw new Error('GCP billing export has no cost column');
+          }
+          continue;
+        }
+        const row = {};
+        for (let i = 0; i < headers.length; i++) {
+          row[headers[i]] = values[i] !== undefined ? values[i] : '';
+        }
+        addBillingRow(summary, row, labelKeys);
+      }
+      reportProgress(batch.bytesProcessed);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  if (summary.totalRows === 0) {
+    throw new Error('GCP billing export contains no cost rows');
+  }
+
+  summary.totalCost = Math.round(summary.totalCost * 100) / 100;
+  summary.totalCredits = Math.round(summary.totalCredits * 100) / 100;
+  summary.unmatchedCost = Math.round(summary.unmatchedCost * 100) / 100;
+  console.log(`[gcpBillingExportParser] ${format.toUpperCase()} export: ${summary.totalRows.toLocaleString()} rows, ${Object.keys(summary.services).length} services, ${Object.keys(summary.matchKeys).length} labelled resources, net cost ${summary.totalCost.toFixed(2)}${summary.currency ? ` ${summary.currency}` : ''}`);
+
+  return summary;
+}
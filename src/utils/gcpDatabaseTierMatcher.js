@@ -0,0 +1,319 @@
+/**
+ * GCP Database Tier Matcher
+ *
+ * Picks the Cloud SQL or AlloyDB configuration for a source database (engine, instance class shape,
+ * Multi-AZ, storage type and size, see rdsUsageProfile.js):
+ * - Aurora PostgreSQL -> AlloyDB for PostgreSQL: HA primary instance for Multi-AZ, basic instance otherwise
+ * - MySQL, MariaDB, PostgreSQL and SQL Server -> Cloud SQL, in whichever edition is cheaper for the shape:
+ *   Enterprise (custom and shared-core tiers) or Enterprise Plus (performance- and memory-optimized tiers).
+ *   Aurora MySQL, provisioned IOPS storage and shapes beyond Enterprise's 96 vCPU / 624 GB need Enterprise Plus
+ * - Multi-AZ -> the high availability (regional) configuration, which doubles instance and storage prices
+ * - Oracle and Db2 have no managed equivalent and are left unmatched
+ * Storage is sized from the billed GB-months (10 GB minimum on Cloud SQL) and backups as one full copy plus
+ * the backup storage AWS charged beyond its free allowance. Every match carries a one-line reason for the report.
+ *
+ * Prices are approximate us-central1 on-demand list prices.
+ */
+
+import { DatabaseEngine, DatabaseStorageType, DATABASE_ENGINE_LABELS } from './rdsUsageProfile.js';
+
+export const GcpDatabaseProduct = {
+  CLOUD_SQL: 'cloud-sql',
+  ALLOYDB: 'alloydb'
+};
+
+export const CloudSqlEdition = {
+  ENTERPRISE: 'enterprise',
+  ENTERPRISE_PLUS: 'enterprise-plus'
+};
+
+const HOURS_PER_MONTH = 730;
+
+// Cloud SQL instances have at least 10 GB of storage
+const CLOUD_SQL_MIN_STORAGE_GB = 10;
+
+const ENTERPRISE_VCPUS = [1, ...Array.from({ length: 48 }, (_, index) => (index + 1) * 2)];
+
+/**
+ * Tier families
+ * series: tier prefix -> { memoryPerVcpu, vcpus }; sharedCore: tier -> [vCPU, memory GB, hourly price];
+ * custom: vCPU counts of custom tiers, memory per vCPU range, minimum and maximum memory;
+ * storagePrices: per GB-month by disk type (doubled for HA unless storage is regional)
+ */
+export const GCP_DATABASE_TIERS = {
+  [CloudSqlEdition.ENTERPRISE]: {
+    product: GcpDatabaseProduct.CLOUD_SQL,
+    label: 'Enterprise',
+    vcpuPrice: 0.0413,
+    memoryPrice: 0.007,
+    sharedCore: { 'db-f1-micro': [1, 0.6, 0.0105], 'db-g1-small': [1, 1.7, 0.035] },
+    custom: { vcpus: ENTERPRISE_VCPUS, minMemoryPerVcpu: 0.9, maxMemoryPerVcpu: 6.5, minMemoryGb: 3.75, maxMemoryGb: 624 },
+    storagePrices: { SSD: 0.17, HDD: 0.09 },
+    backupPrice: 0.08,
+    regionalStorage: false
+  },
+  [CloudSqlEdition.ENTERPRISE_PLUS]: {
+    product: GcpDatabaseProduct.CLOUD_SQL,
+    label: 'Enterprise Plus',
+    vcpuPrice: 0.05369,
+    memoryPrice: 0.0091,
+    series: {
+      'db-perf-optimized-N': { memoryPerVcpu: 8, vcpus: [2, 4, 8, 16, 32, 48, 64, 80, 96, 128] },
+      'db-memory-optimized-N': { memoryPerVcpu: 32, vcpus: [4, 8, 16, 32, 48, 64, 96] }
+    },
+    storagePrices: { SSD: 0.17 },
+    backupPrice: 0.08,
+    regionalStorage: false
+  },
+  alloydb: {
+    product: GcpDatabaseProduct.ALLOYDB,
+    label: 'AlloyDB',
+    vcpuPrice: 0.06608,
+    memoryPrice: 0.0112,
+    series: {
+      'n2-highmem': { memoryPerVcpu: 8, vcpus: [2, 4, 8, 16, 32, 64, 96, 128] }
+    },
+    storagePrices: { SSD: 0.3 },
+    backupPrice: 0.1,
+    regionalStorage: true
+  }
+};
+
+// Cloud SQL for SQL Server licence per vCPU hour, by edition
+const SQL_SERVER_LICENCE_PRICES = { enterprise: 0.47, standard: 0.13, web: 0.01134, express: 0 };
+const DEFAULT_SQL_SERVER_EDITION = 'standard';
+
+const GCP_ENGINES = {
+  [DatabaseEngine.MYSQL]: 'MySQL',
+  [DatabaseEngine.MARIADB]: 'MySQL',
+  [DatabaseEngine.AURORA_MYSQL]: 'MySQL',
+  [DatabaseEngine.POSTGRESQL]: 'PostgreSQL',
+  [DatabaseEngine.AURORA_POSTGRESQL]: 'PostgreSQL',
+  [DatabaseEngine.SQL_SERVER]: 'SQL Server'
+};
+
+const UNSUPPORTED_ENGINES = [DatabaseEngine.ORACLE, DatabaseEngine.DB2];
+
+const PROVISIONED_IOPS = [DatabaseStorageType.IO1, DatabaseStorageType.IO2];
+const AURORA_STORAGE = [DatabaseStorageType.AURORA, DatabaseStorageType.AURORA_IO_OPTIMIZED];
+
+// Memory compared with a little slack: AWS lists GiB with decimals (15.25, 30.5)
+const MEMORY_EPSILON = 0.01;
+
+const formatShape = (vcpu, memoryGb) => `${vcpu} vCPU / ${Number(memoryGb.toFixed(2))} GB`;
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+function shapePrice(tierFamily, vcpu, memoryGb) {
+  return vcpu * tierFamily.vcpuPrice + memoryGb * tierFamily.memoryPrice;
+}
+
+/**
+ * Every tier of a family that fits the source: [{tier, vcpu, memoryGb, hourlyPrice, sharedCore, custom}]
+ */
+function fittingTiers(tierKey, spec, { includeSharedCore }) {
+  const tierFamily = GCP_DATABASE_TIERS[tierKey];
+  const fits = (vcpu, memoryGb) => vcpu >= spec.vcpu && memoryGb + MEMORY_EPSILON >= spec.memoryGb;
+  const tiers = [];
+
+  for (const [prefix, series] of Object.entries(tierFamily.series || {})) {
+    for (const vcpu of series.vcpus) {
+      const memoryGb = vcpu * series.memoryPerVcpu;
+      if (fits(vcpu, memoryGb)) {
+        tiers.push({ tier: `${prefix}-${vcpu}`, vcpu, memoryGb, hourlyPrice: shapePrice(tierFamily, vcpu, memoryGb) });
+      }
+    }
+  }
+
+  // Shared-core tiers: burstable sources only, by memory (their vCPU is a fraction of a core)
+  if (includeSharedCore) {
+    for (const [tier, [vcpu, memoryGb, hourlyPrice]] of Object.entries(tierFamily.sharedCore || {})) {
+      if (memoryGb + MEMORY_EPSILON >= spec.memoryGb) {
+        tiers.push({ tier, vcpu, memoryGb, hourlyPrice, sharedCore: true });
+      }
+    }
+  }
+
+  const custom = tierFamily.custom;
+  if (custom) {
+    // Enough vCPUs for the memory too: memory per vCPU is capped
+    const minimumVcpus = Math.max(spec.vcpu, Math.ceil(spec.memoryGb / custom.maxMemoryPerVcpu - MEMORY_EPSILON));
+    const vcpu = custom.vcpus.find(candidate => candidate >= minimumVcpus);
+    if (vcpu) {
+      // Memory in multiples of 256 MB
+      const memoryMb = Math.ceil(Math.max(spec.memoryGb, vcpu * custom.minMemoryPerVcpu, custom.minMemoryGb) * 4) * 256;
+      const memoryGb = memoryMb / 1024;
+      if (memoryGb <= custom.maxMemoryGb && memoryGb <= vcpu * custom.maxMemoryPerVcpu + MEMORY_EPSILON) {
+        tiers.push({ tier: `db-custom-${vcpu}-${memoryMb}`, vcpu, memoryGb, hourlyPrice: shapePrice(tierFamily, vcpu, memoryGb), custom: true });
+      }
+    }
+  }
+  return tiers;
+}
+
+/**
+ * Candidate tier families of a source database, with the note explaining the choice
+ * @returns {{tierKeys: string[], note: string|null}}
+ */
+function candidateTierFamilies(spec) {
+  if (spec.engine === DatabaseEngine.AURORA_POSTGRESQL) {
+    return { tierKeys: ['alloydb'], note: 'AlloyDB for Aurora PostgreSQL' };
+  }
+  if (spec.engine === DatabaseEngine.AURORA_MYSQL) {
+    return { tierKeys: [CloudSqlEdition.ENTERPRISE_PLUS], note: 'Enterprise Plus for Aurora MySQL performance' };
+  }
+  if (PROVISIONED_IOPS.includes(spec.storageType)) {
+    return { tierKeys: [CloudSqlEdition.ENTERPRISE_PLUS], note: 'Enterprise Plus for provisioned IOPS storage' };
+  }
+  return { tierKeys: [CloudSqlEdition.ENTERPRISE, CloudSqlEdition.ENTERPRISE_PLUS], note: null };
+}
+
+/**
+ * Unmatched result (no managed engine, or no tier large enough)
+ */
+function unmatched(spec, reason) {
+  return {
+    product: null,
+    productLabel: null,
+    edition: null,
+    editionLabel: null,
+    gcpEngine: null,
+    tier: null,
+    vcpu: 0,
+    memoryGb: 0,
+    highAvailability: !!spec.multiAz,
+    storageType: null,
+    storageGb: 0,
+    backupGb: 0,
+    hourlyPrice: null,
+    monthly: null,
+    reason
+  };
+}
+
+/**
+ * Match a source database to a Cloud SQL / AlloyDB configuration
+ * @param {Object} spec - Source database (one instance)
+ * @param {string} spec.engine - DatabaseEngine value (null when the bill does not say)
+ * @param {string} spec.edition - SQL Server edition ('enterprise', 'standard', 'web', 'express')
+ * @param {number} spec.vcpu - Instance class vCPUs (0 for storage billed without an instance, e.g. an Aurora cluster)
+ * @param {number} spec.memoryGb - Instance class memory
+ * @param {string} spec.category - Instance class category ('burstable'... see awsInstanceCatalog.js)
+ * @param {boolean} spec.multiAz - Multi-AZ deployment
+ * @param {string} spec.storageType - DatabaseStorageType value
+ * @param {number} spec.storageGb - Allocated storage (average GB over the billing months)
+ * @param {number} spec.backupGb - Backup storage AWS charged beyond its free allowance (average GB)
+ * @param {number} spec.instanceHours - Instance hours per month (default: always on)
+ * @returns {{product: string|null, productLabel: string|null, edition: string|null, editionLabel: string|null,
+ *   gcpEngine: string|null, tier: string|null, vcpu: number, memoryGb: number, highAvailability: boolean,
+ *   storageType: string|null, storageGb: number, backupGb: number, hourlyPrice: number|null,
+ *   monthly: {instance: number, storage: number, backup: number, total: number}|null, reason: string}}
+ *   product is null for engines without a managed equivalent and shapes no tier fits
+ */
+export function matchDatabaseTier(spec) {
+  const engineLabel = DATABASE_ENGINE_LABELS[spec.engine] || null;
+  if (UNSUPPORTED_ENGINES.includes(spec.engine)) {
+    return unmatched(spec, `${engineLabel} has no Cloud SQL or AlloyDB engine: Bare Metal Solution or a conversion to PostgreSQL`);
+  }
+
+  const { tierKeys, note } = candidateTierFamilies(spec);
+  const isSqlServer = spec.engine === DatabaseEngine.SQL_SERVER;
+  const sqlServerEdition = isSqlServer ? spec.edition || DEFAULT_SQL_SERVER_EDITION : null;
+  const licencePrice = isSqlServer ? SQL_SERVER_LICENCE_PRICES[sqlServerEdition] ?? SQL_SERVER_LICENCE_PRICES[DEFAULT_SQL_SERVER_EDITION] : 0;
+  const storageOnly = !(spec.vcpu > 0);
+  const source = storageOnly ? null : formatShape(spec.vcpu, spec.memoryGb);
+
+  // Cheapest fitting tier over the candidate families, SQL Server licence included
+  let chosen = null;
+  const familiesWithFit = new Set();
+  if (!storageOnly) {
+    for (const tierKey of tierKeys) {
+      const includeSharedCore = spec.category === 'burstable' && !isSqlServer;
+      for (const tier of fittingTiers(tierKey, spec, { includeSharedCore })) {
+        familiesWithFit.add(tierKey);
+        const hourlyPrice = tier.hourlyPrice + (tier.sharedCore ? 0 : tier.vcpu * licencePrice);
+        if (!chosen || hourlyPrice < chosen.hourlyPrice) {
+          chosen = { tierKey, tier, hourlyPrice };
+        }
+      }
+    }
+    if (!chosen) {
+      return unmatched(spec, `No ${tierKeys.map(key => GCP_DATABASE_TIERS[key].label).join(' or ')} tier has ${source}`);
+    }
+  }
+
+  const tierKey = chosen ? chosen.tierKey : tierKeys[0];
+  const tierFamily = GCP_DATABASE_TIERS[tierKey];
+  const isAlloyDb = tierFamily.product === GcpDatabaseProduct.ALLOYDB;
+  const highAvailability = !!spec.multiAz;
+  const haFactor = highAvailability ? 2 : 1;
+  const gcpEngine = GCP_ENGINES[spec.engine] || 'MySQL / PostgreSQL';
+
+  // Storage: HDD only for magnetic volumes on Enterprise; billed on the HA standby too unless regional
+  const storageType = spec.storageType === DatabaseStorageType.MAGNETIC && tierFamily.storagePrices.HDD ? 'HDD' : 'SSD';
+  const sourceStorageGb = Math.max(0, spec.storageGb || 0);
+  const storageGb = isAlloyDb || sourceStorageGb === 0
+    ? sourceStorageGb
+    : Math.max(CLOUD_SQL_MIN_STORAGE_GB, Math.ceil(sourceStorageGb));
+  const backupGb = sourceStorageGb + Math.max(0, spec.backupGb || 0);
+  const instanceHours = spec.instanceHours > 0 ? spec.instanceHours : HOURS_PER_MONTH;
+
+  const hourlyPrice = chosen ? chosen.hourlyPrice * haFactor : null;
+  const instance = chosen ? hourlyPrice * instanceHours : 0;
+  const storage = storageGb * tierFamily.storagePrices[storageType] * (tierFamily.regionalStorage ? 1 : haFactor);
+  const backup = backupGb * tierFamily.backupPrice;
+
+  const parts = [];
+  if (note) {
+    parts.push(note);
+  } else if (chosen && familiesWithFit.size > 1) {
+    parts.push(`${tierFamily.label}: cheapest edition`);
+  } else if (chosen) {
+    const [firstKey] = tierKeys.filter(key => key !== tierKey);
+    parts.push(`${tierFamily.label} (no ${GCP_DATABASE_TIERS[firstKey].label} tier fits)`);
+  }
+  if (spec.engine === DatabaseEngine.MARIADB) parts.push('MariaDB runs as MySQL 8.0: check engine-specific features');
+  if (!engineLabel) parts.push('engine not in the bill: priced as MySQL / PostgreSQL');
+  if (chosen) {
+    const { tier } = chosen;
+    const exact = tier.vcpu === spec.vcpu && Math.abs(tier.memoryGb - spec.memoryGb) <= MEMORY_EPSILON;
+    if (tier.sharedCore) {
+      parts.push(`shared-core tier for a burstable ${source}`);
+    } else {
+      parts.push(exact ? `same ${source}` : `${formatShape(tier.vcpu, tier.memoryGb)} for ${source}`);
+    }
+  } else {
+    parts.push('storage only (instances billed separately)');
+  }
+  if (highAvailability) parts.push(isAlloyDb ? 'HA primary instance for Multi-AZ' : 'high availability for Multi-AZ');
+  if (isSqlServer) {
+    const licenceEdition = `${sqlServerEdition.charAt(0).toUpperCase()}${sqlServerEdition.slice(1)}`;
+    parts.push(spec.edition ? `SQL Server ${licenceEdition} licence included` : 'licence priced as SQL Server Standard (edition not in the bill)');
+  }
+  if (spec.storageType === DatabaseStorageType.MAGNETIC) {
+    parts.push(storageType === 'HDD' ? 'HDD for magnetic storage' : `SSD for magnetic storage (no HDD on ${tierFamily.label})`);
+  }
+  if (AURORA_STORAGE.includes(spec.storageType)) parts.push('no per-I/O storage charges');
+
+  return {
+    product: tierFamily.product,
+    productLabel: isAlloyDb ? 'AlloyDB for PostgreSQL' : `Cloud SQL for ${gcpEngine}`,
+    edition: isAlloyDb ? null : tierKey,
+    editionLabel: isAlloyDb ? null : tierFamily.label,
+    gcpEngine,
+    tier: chosen ? chosen.tier.tier : null,
+    vcpu: chosen ? chosen.tier.vcpu : 0,
+    memoryGb: chosen ? chosen.tier.memoryGb : 0,
+    highAvailability,
+    storageType,
+    storageGb,
+    backupGb,
+    hourlyPrice,
+    monthly: {
+      instance: roundCents(instance),
+      storage: roundCents(storage),
+      backup: roundCents(backup),
+      total: roundCents(instance + storage + backup)
+    },
+    reason: parts.join('; ')
+  };
+}
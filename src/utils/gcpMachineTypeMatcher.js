@@ -0,0 +1,509 @@
+/**
+ * GCP Machine Type Matcher
+ *
+ * Picks the GCP machine type for a source VM shape (vCPU, memory, CPU architecture and vendor, GPUs)
+ * from the Compute Engine families E2, N2, N2D, C3, C3D, T2A, M3 / M2 and the G2 / A2 / A3 accelerator
+ * families, including E2 / N2 / N2D custom machine types, under a rightsizing policy:
+ * - like-for-like: same architecture and CPU vendor / generation (N2 for Intel, N2D for AMD, C3 / C3D
+ *   for Sapphire Rapids / Genoa, T2A for Arm), smallest shape with at least the source vCPU and memory
+ * - cost-optimized: cheapest fitting shape of E2, N2D, N2 and T2A (Arm sources), custom shapes included
+ * - performance: newest-generation C3 / C3D
+ * Memory beyond what the general-purpose families offer goes to M3 (M2 above 3.9 TB); GPU instances to the family of the
+ * matching accelerator. Every match carries a one-line reason for the report.
+ *
+ * Prices are approximate us-central1 on-demand list prices, used to rank candidates and to show the
+ * relative cost of a match; estimates still come from the pricing API (GCPCostEstimator).
+ *
+ * The selected policy is a setting (localStorage; in Node it only lives in this module), honoured by
+ * GCPCostEstimator and the report.
+ */
+
+const SETTINGS_KEY = 'rightsizingPolicy';
+
+export const RightsizingPolicy = {
+  LIKE_FOR_LIKE: 'like-for-like',
+  COST_OPTIMIZED: 'cost-optimized',
+  PERFORMANCE: 'performance'
+};
+
+export const DEFAULT_RIGHTSIZING_POLICY = RightsizingPolicy.LIKE_FOR_LIKE;
+
+export const RIGHTSIZING_POLICY_OPTIONS = [
+  { value: RightsizingPolicy.LIKE_FOR_LIKE, label: 'Like-for-like', description: 'Same CPU architecture, vendor and generation at the closest size' },
+  { value: RightsizingPolicy.COST_OPTIMIZED, label: 'Cost-optimized', description: 'Cheapest shape with the same vCPU and memory (E2 and custom shapes)' },
+  { value: RightsizingPolicy.PERFORMANCE, label: 'Performance', description: 'Newest-generation C3 / C3D at the same size' }
+];
+
+// Custom machine types cost 5% more than predefined ones
+const CUSTOM_PREMIUM = 1.05;
+
+const EVEN_VCPUS_TO_32 = Array.from({ length: 16 }, (_, index) => (index + 1) * 2);
+
+/**
+ * Machine families
+ * series: shape name -> { memoryPerVcpu, vcpus }; shapes: explicit machine type -> [vCPU, memory GB, GPUs, hourly price];
+ * custom: vCPU counts of custom shapes and the memory per vCPU range (extendedMemoryPrice allows more, per GB)
+ */
+export const GCP_MACHINE_FAMILIES = {
+  e2: {
+    label: 'E2',
+    arch: 'x86_64',
+    vendor: null, // Intel or AMD, chosen by Google
+    vcpuPrice: 0.021811,
+    memoryPrice: 0.002923,
+    series: {
+      standard: { memoryPerVcpu: 4, vcpus: [2, 4, 8, 16, 32] },
+      highmem: { memoryPerVcpu: 8, vcpus: [2, 4, 8, 16] },
+      highcpu: { memoryPerVcpu: 1, vcpus: [2, 4, 8, 16, 32] }
+    },
+    // Shared-core: for burstable sources only
+    sharedCore: { 'e2-micro': [2, 1, 0, 0.00838], 'e2-small': [2, 2, 0, 0.01675], 'e2-medium': [2, 4, 0, 0.03351] },
+    custom: { vcpus: EVEN_VCPUS_TO_32, minMemoryPerVcpu: 0.5, maxMemoryPerVcpu: 8 },
+    localSsd: false
+  },
+  n2: {
+    label: 'N2',
+    arch: 'x86_64',
+    vendor: 'intel',
+    vcpuPrice: 0.031611,
+    memoryPrice: 0.004237,
+    series: {
+      standard: { memoryPerVcpu: 4, vcpus: [2, 4, 8, 16, 32, 48, 64, 80, 96, 128] },
+      highmem: { memoryPerVcpu: 8, vcpus: [2, 4, 8, 16, 32, 48, 64, 80] },
+      highcpu: { memoryPerVcpu: 1, vcpus: [2, 4, 8, 16, 32, 48, 64, 80, 96] }
+    },
+    // Above 80 vCPUs highmem has less than 8 GB per vCPU
+    shapes: { 'n2-highmem-96': [96, 768], 'n2-highmem-128': [128, 864] },
+    custom: {
+      vcpus: [...EVEN_VCPUS_TO_32, 36, 40, 44, 48, 52, 56, 60, 64, 68, 72, 76, 80],
+      minMemoryPerVcpu: 0.5,
+      maxMemoryPerVcpu: 8,
+      extendedMemoryPrice: 0.005,
+      maxMemoryGb: 640
+    },
+    localSsd: true
+  },
+  n2d: {
+    label: 'N2D',
+    arch: 'x86_64',
+    vendor: 'amd',
+    vcpuPrice: 0.027502,
+    memoryPrice: 0.003686,
+    series: {
+      standard: { memoryPerVcpu: 4, vcpus: [2, 4, 8, 16, 32, 48, 64, 80, 96, 128, 224] },
+      highmem: { memoryPerVcpu: 8, vcpus: [2, 4, 8, 16, 32, 48, 64, 80, 96] },
+      highcpu: { memoryPerVcpu: 1, vcpus: [2, 4, 8, 16, 32, 48, 64, 80, 96, 128, 224] }
+    },
+    custom: {
+      vcpus: [2, 4, 8, 16, 32, 48, 64, 80, 96],
+      minMemoryPerVcpu: 0.5,
+      maxMemoryPerVcpu: 8,
+      extendedMemoryPrice: 0.0044,
+      maxMemoryGb: 768
+    },
+    localSsd: true
+  },
+  c3: {
+    label: 'C3',
+    arch: 'x86_64',
+    vendor: 'intel',
+    vcpuPrice: 0.03465,
+    memoryPrice: 0.003938,
+    series: {
+      standard: { memoryPerVcpu: 4, vcpus: [4, 8, 22, 44, 88, 176] },
+      highmem: { memoryPerVcpu: 8, vcpus: [4, 8, 22, 44, 88, 176] },
+      highcpu: { memoryPerVcpu: 2, vcpus: [4, 8, 22, 44, 88, 176] }
+    },
+    localSsd: true
+  },
+  c3d: {
+    label: 'C3D',
+    arch: 'x86_64',
+    vendor: 'amd',
+    vcpuPrice: 0.029563,
+    memoryPrice: 0.003959,
+    series: {
+      standard: { memoryPerVcpu: 4, vcpus: [4, 8, 16, 30, 60, 90, 180, 360] },
+      highmem: { memoryPerVcpu: 8, vcpus: [4, 8, 16, 30, 60, 90, 180, 360] },
+      highcpu: { memoryPerVcpu: 2, vcpus: [4, 8, 16, 30, 60, 90, 180, 360] }
+    },
+    localSsd: true
+  },
+  t2a: {
+    label: 'T2A',
+    arch: 'arm64',
+    vendor: 'ampere',
+    vcpuPrice: 0.0275,
+    memoryPrice: 0.0028,
+    series: {
+      standard: { memoryPerVcpu: 4, vcpus: [1, 2, 4, 8, 16, 32, 48] }
+    },
+    localSsd: false
+  },
+  m3: {
+    label: 'M3',
+    arch: 'x86_64',
+    vendor: 'intel',
+    vcpuPrice: 0.0356,
+    memoryPrice: 0.0047,
+    shapes: {
+      'm3-ultramem-32': [32, 976],
+      'm3-megamem-64': [64, 976],
+      'm3-ultramem-64': [64, 1952],
+      'm3-megamem-128': [128, 1952],
+      'm3-ultramem-128': [128, 3904]
+    },
+    localSsd: true
+  },
+  m2: {
+    label: 'M2',
+    arch: 'x86_64',
+    vendor: 'intel',
+    vcpuPrice: 0.0356,
+    memoryPrice: 0.0057,
+    shapes: {
+      'm2-ultramem-208': [208, 5888],
+      'm2-megamem-416': [416, 5888],
+      'm2-ultramem-416': [416, 11776]
+    },
+    localSsd: false
+  },
+  g2: {
+    label: 'G2',
+    arch: 'x86_64',
+    vendor: 'intel',
+    gpuModel: 'NVIDIA L4',
+    shapes: {
+      'g2-standard-4': [4, 16, 1, 0.7069],
+      'g2-standard-8': [8, 32, 1, 0.8536],
+      'g2-standard-12': [12, 48, 1, 1.0002],
+      'g2-standard-16': [16, 64, 1, 1.1469],
+      'g2-standard-24': [24, 96, 2, 2.0005],
+      'g2-standard-32': [32, 128, 1, 1.7333],
+      'g2-standard-48': [48, 192, 4, 4.001],
+      'g2-standard-96': [96, 384, 8, 8.0021]
+    },
+    localSsd: true
+  },
+  a2: {
+    label: 'A2',
+    arch: 'x86_64',
+    vendor: 'intel',
+    gpuModel: 'NVIDIA A100',
+    shapes: {
+      'a2-highgpu-1g': [12, 85, 1, 3.6731],
+      'a2-highgpu-2g': [24, 170, 2, 7.3462],
+      'a2-highgpu-4g': [48, 340, 4, 14.6924],
+      'a2-highgpu-8g': [96, 680, 8, 29.3848],
+      'a2-ultragpu-8g': [96, 1360, 8, 40.5504],
+      'a2-megagpu-16g': [96, 1360, 16, 55.7395]
+    },
+    localSsd: true
+  },
+  a3: {
+    label: 'A3',
+    arch: 'x86_64',
+    vendor: 'intel',
+    gpuModel: 'NVIDIA H100',
+    shapes: {
+      'a3-highgpu-8g': [208, 1872, 8, 88.2515]
+    },
+    localSsd: true
+  }
+};
+
+// Accelerator family by source GPU model: inference GPUs to L4, training GPUs to A100 / H100
+const GPU_FAMILIES = [
+  { pattern: /H100|H200/i, family: 'a3' },
+  { pattern: /A100|V100/i, family: 'a2' }
+];
+const DEFAULT_GPU_FAMILY = 'g2';
+
+const M3_MIN_MEMORY_GB = Math.min(...Object.values(GCP_MACHINE_FAMILIES.m3.shapes).map(([, memoryGb]) => memoryGb));
+
+const VENDOR_LABELS = { intel: 'Intel', amd: 'AMD', graviton: 'Graviton', ampere: 'Ampere', cobalt: 'Azure Cobalt' };
+
+// Memory compared with a little slack: AWS lists GiB with decimals (15.25, 30.5)
+const MEMORY_EPSILON = 0.01;
+
+let cachedPolicy = null;
+
+/**
+ * Normalise a rightsizing policy name
+ * @param {string} policy
+ * @returns {string} RightsizingPolicy value (default when unknown)
+ */
+export function normalizeRightsizingPolicy(policy) {
+  const value = String(policy || '').trim().toLowerCase();
+  return Object.values(RightsizingPolicy).includes(value) ? value : DEFAULT_RIGHTSIZING_POLICY;
+}
+
+/**
+ * Selected rightsizing policy
+ * @returns {string} RightsizingPolicy value
+ */
+export function getRightsizingPolicy() {
+  if (cachedPolicy === null) {
+    let stored = null;
+    try {
+      stored = typeof localStorage !== 'undefined' ? localStorage.getItem(SETTINGS_KEY) : null;
+    } catch (error) {
+      console.warn('[rightsizing] Could not read rightsizing policy:', error);
+    }
+    cachedPolicy = normalizeRightsizingPolicy(stored);
+  }
+  return cachedPolicy;
+}
+
+/**
+ * Select the rightsizing policy used by cost estimates and the report
+ * @param {string} policy - RightsizingPolicy value
+ * @throws {Error} When the policy is unknown
+ */
+export function setRightsizingPolicy(policy) {
+  const value = String(policy || '').trim().toLowerCase();
+  if (!Object.values(RightsizingPolicy).includes(value)) {
+    throw new Error(`Unknown rightsizing policy "${policy}" (expected one of ${Object.values(RightsizingPolicy).join(', ')})`);
+  }
+  cachedPolicy = value;
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(SETTINGS_KEY, value);
+    }
+  } catch (error) {
+    console.warn('[rightsizing] Could not save rightsizing policy:', error);
+  }
+}
+
+/**
+ * Drop the cached policy so the next read comes from localStorage (tests, other tabs)
+ */
+export function reloadRightsizingPolicy() {
+  cachedPolicy = null;
+}
+
+function shapePrice(family, vcpu, memoryGb) {
+  return vcpu * family.vcpuPrice + memoryGb * family.memoryPrice;
+}
+
+/**
+ * Every predefined shape of a family: [{machineType, vcpu, memoryGb, gpus, hourlyPrice}]
+ */
+function predefinedShapes(familyKey, { includeSharedCore = false } = {}) {
+  const family = GCP_MACHINE_FAMILIES[familyKey];
+  const shapes = [];
+  for (const [seriesName, series] of Object.entries(family.series || {})) {
+    for (const vcpu of series.vcpus) {
+      const memoryGb = vcpu * series.memoryPerVcpu;
+      shapes.push({ machineType: `${familyKey}-${seriesName}-${vcpu}`, vcpu, memoryGb, gpus: 0, hourlyPrice: shapePrice(family, vcpu, memoryGb) });
+    }
+  }
+  const explicit = { ...(family.shapes || {}), ...(includeSharedCore ? family.sharedCore : {}) };
+  for (const [machineType, [vcpu, memoryGb, gpus = 0, hourlyPrice]] of Object.entries(explicit)) {
+    shapes.push({ machineType, vcpu, memoryGb, gpus, hourlyPrice: hourlyPrice ?? shapePrice(family, vcpu, memoryGb) });
+  }
+  return shapes;
+}
+
+/**
+ * Smallest custom shape of a family with at least the given vCPU and memory, or null
+ */
+function customShape(familyKey, vcpu, memoryGb) {
+  const family = GCP_MACHINE_FAMILIES[familyKey];
+  const custom = family.custom;
+  if (!custom) return null;
+  const customVcpus = custom.vcpus.find(candidate => candidate >= vcpu);
+  if (!customVcpus) return null;
+
+  // Memory in multiples of 256 MB, at least the minimum per vCPU
+  const memoryMb = Math.ceil(Math.max(memoryGb, customVcpus * custom.minMemoryPerVcpu) * 4) * 256;
+  const customMemoryGb = memoryMb / 1024;
+  const includedMemoryGb = customVcpus * custom.maxMemoryPerVcpu;
+  const extendedMemoryGb = Math.max(0, customMemoryGb - includedMemoryGb);
+  if (extendedMemoryGb > 0 && (!custom.extendedMemoryPrice || customMemoryGb > custom.maxMemoryGb)) return null;
+
+  const hourlyPrice = (shapePrice(family, customVcpus, customMemoryGb - extendedMemoryGb) +
+    extendedMemoryGb * (custom.extendedMemoryPrice || 0)) * CUSTOM_PREMIUM;
+  return {
+    machineType: `${familyKey}-custom-${customVcpus}-${memoryMb}${extendedMemoryGb > 0 ? '-ext' : ''}`,
+    vcpu: customVcpus,
+    memoryGb: customMemoryGb,
+    gpus: 0,
+    hourlyPrice,
+    custom: true
+  };
+}
+
+/**
+ * Cheapest shape of a family that fits the source, or null
+ */
+function bestFit(familyKey, spec, { ignoreHostSize = false } = {}) {
+  const fits = (shape) =>
+    shape.gpus >= (spec.gpus || 0) &&
+    (ignoreHostSize || (shape.vcpu >= spec.vcpu && shape.memoryGb + MEMORY_EPSILON >= spec.memoryGb));
+
+  const candidates = predefinedShapes(familyKey, { includeSharedCore: spec.category === 'burstable' }).filter(fits);
+  if (!spec.gpus) {
+    const custom = customShape(familyKey, spec.vcpu, spec.memoryGb);
+    if (custom) candidates.push(custom);
+  }
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, shape) =>
+    shape.hourlyPrice < best.hourlyPrice ||
+    (shape.hourlyPrice === best.hourlyPrice && shape.vcpu < best.vcpu) ? shape : best
+  );
+}
+
+/**
+ * Candidate families of a source shape under a policy, in preference order
+ * @returns {{families: string[], pickCheapest: boolean, note: string}}
+ */
+function candidateFamilies(spec, policy) {
+  const isArm = spec.arch === 'arm64';
+  const vendorLabel = VENDOR_LABELS[spec.vendor] || (isArm ? 'Arm' : 'x86');
+
+  if (spec.gpus > 0) {
+    const family = (GPU_FAMILIES.find(entry => entry.pattern.test(spec.gpuModel || '')) || {}).family || DEFAULT_GPU_FAMILY;
+    const label = GCP_MACHINE_FAMILIES[family];
+    return {
+      families: [family],
+      pickCheapest: true,
+      note: `${label.label} (${label.gpuModel}) replaces ${spec.gpuModel || 'the GPU'} ×${spec.gpus}`
+    };
+  }
+
+  // Local SSD is not available on E2 and T2A (nor M2, kept for memory it alone offers)
+  const withLocalSsd = (families) => (spec.localSsd ? families.filter(family => GCP_MACHINE_FAMILIES[family].localSsd) : families);
+
+  if (policy === RightsizingPolicy.COST_OPTIMIZED) {
+    return {
+      families: [...withLocalSsd(isArm ? ['t2a', 'e2', 'n2d', 'n2'] : ['e2', 'n2d', 'n2']), 'm3', 'm2'],
+      pickCheapest: true,
+      note: 'cheapest fitting shape'
+    };
+  }
+
+  // Large memory-to-vCPU ratios (x1, x1e, x2iedn) map to M3 rather than the largest general-purpose shape
+  if (spec.memoryGb > spec.vcpu * 8 && spec.memoryGb >= M3_MIN_MEMORY_GB) {
+    return { families: ['m3', 'm2', 'n2', 'n2d'], pickCheapest: false, note: `M3 memory-optimized for ${Number(spec.memoryGb.toFixed(2))} GB` };
+  }
+
+  if (policy === RightsizingPolicy.PERFORMANCE) {
+    const newest = spec.vendor === 'amd' ? 'c3d' : 'c3';
+    return {
+      families: [newest, newest === 'c3' ? 'c3d' : 'c3', 'm3', 'm2'],
+      pickCheapest: false,
+      note: `newest-generation ${GCP_MACHINE_FAMILIES[newest].label}`
+    };
+  }
+
+  if (spec.category === 'burstable' && !isArm) {
+    return { families: ['e2', 'n2', 'm3', 'm2'], pickCheapest: false, note: `E2 covers burstable ${vendorLabel} instances` };
+  }
+  if (isArm) {
+    return {
+      families: [...withLocalSsd(['t2a', 'n2d']), 'm3', 'm2'],
+      pickCheapest: false,
+      note: spec.localSsd ? 'N2D for Local SSD (T2A has none)' : 'T2A keeps the Arm architecture'
+    };
+  }
+  if (spec.vendor === 'amd') {
+    return spec.latestCpu
+      ? { families: ['c3d', 'n2d', 'm3', 'm2'], pickCheapest: false, note: 'C3D matches 4th gen AMD EPYC' }
+      : { families: ['n2d', 'c3d', 'm3', 'm2'], pickCheapest: false, note: 'N2D keeps the AMD EPYC platform' };
+  }
+  return spec.latestCpu
+    ? { families: ['c3', 'n2', 'm3', 'm2'], pickCheapest: false, note: 'C3 matches 4th gen Intel Xeon' }
+    : { families: ['n2', 'c3', 'm3', 'm2'], pickCheapest: false, note: 'N2 keeps the Intel Xeon platform' };
+}
+
+const formatShape = (vcpu, memoryGb) => `${vcpu} vCPU / ${Number(memoryGb.toFixed(2))} GB`;
+
+/**
+ * Match a source VM shape to a GCP machine type
+ * @param {Object} spec - Source shape
+ * @param {number} spec.vcpu
+ * @param {number} spec.memoryGb
+ * @param {string} spec.arch - 'x86_64' or 'arm64'
+ * @param {string} spec.vendor - 'intel', 'amd', 'graviton', 'ampere' or 'cobalt'
+ * @param {string} spec.category - 'burstable', 'general-purpose', 'memory-optimized'... (awsInstanceCatalog.js)
+ * @param {number} spec.gpus - GPU count (0 for none)
+ * @param {string} spec.gpuModel
+ * @param {boolean} spec.localSsd - Source has instance (NVMe) storage
+ * @param {boolean} spec.latestCpu - 4th gen Xeon / EPYC or later
+ * @param {string} policy - RightsizingPolicy value (default: the selected policy)
+ * @returns {{machineType: string|null, family: string|null, familyLabel: string|null, vcpu: number, memoryGb: number,
+ *   gpus: number, custom: boolean, localSsd: boolean, hourlyPrice: number|null, policy: string, reason: string}}
+ *   machineType is null when no GCP shape is large enough
+ */
+export function matchMachineType(spec, policy = getRightsizingPolicy()) {
+  const normalizedPolicy = normalizeRightsizingPolicy(policy);
+  const { families, pickCheapest, note } = candidateFamilies(spec, normalizedPolicy);
+
+  const pick = (ignoreHostSize) => {
+    let chosen = null;
+    for (const family of families) {
+      const shape = bestFit(family, spec, { ignoreHostSize });
+      if (!shape) continue;
+      if (!chosen || (pickCheapest && shape.hourlyPrice < chosen.shape.hourlyPrice)) {
+        chosen = { family, shape };
+      }
+      if (!pickCheapest) break;
+    }
+    return chosen;
+  };
+
+  // GPU instances: cost-optimized only needs the GPUs; otherwise the GPU count decides when no host is as large
+  const gpuOnly = spec.gpus > 0 && normalizedPolicy === RightsizingPolicy.COST_OPTIMIZED;
+  let chosen = pick(gpuOnly);
+  const hostSmaller = !chosen && spec.gpus > 0;
+  if (hostSmaller) {
+    chosen = pick(true);
+  }
+
+  const source = formatShape(spec.vcpu, spec.memoryGb);
+  if (!chosen) {
+    return {
+      machineType: null,
+      family: null,
+      familyLabel: null,
+      vcpu: 0,
+      memoryGb: 0,
+      gpus: 0,
+      custom: false,
+      localSsd: false,
+      hourlyPrice: null,
+      policy: normalizedPolicy,
+      reason: `No GCP machine type has ${source}`
+    };
+  }
+
+  const { family, shape } = chosen;
+  const familyInfo = GCP_MACHINE_FAMILIES[family];
+  const exact = shape.vcpu === spec.vcpu && Math.abs(shape.memoryGb - spec.memoryGb) <= MEMORY_EPSILON;
+  const parts = [
+    // A later family of a preference list: the preferred one has no shape that large
+    !pickCheapest && family !== families[0] ? `${familyInfo.label} (no ${GCP_MACHINE_FAMILIES[families[0]].label} shape has ${source})` : note,
+    exact ? `same ${source}` : `${formatShape(shape.vcpu, shape.memoryGb)} for ${source}`
+  ];
+  if (hostSmaller) parts.push('largest host for the GPU count');
+  if (shape.custom) parts.push('custom shape avoids over-provisioning');
+  if (spec.arch === 'arm64' && familyInfo.arch !== 'arm64') parts.push('x86: rebuild Arm images');
+  if (spec.localSsd) {
+    parts.push(familyInfo.localSsd ? 'attach Local SSD for the instance store' : `no Local SSD on ${familyInfo.label}: use Hyperdisk for the instance store`);
+  }
+
+  return {
+    machineType: shape.machineType,
+    family,
+    familyLabel: familyInfo.label,
+    vcpu: shape.vcpu,
+    memoryGb: shape.memoryGb,
+    gpus: shape.gpus,
+    custom: !!shape.custom,
+    localSsd: !!spec.localSsd,
+    hourlyPrice: shape.hourlyPrice,
+    policy: normalizedPolicy,
+    reason: parts.join('; ')
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * GCP Storage Class Matcher
+ *
+ * Picks the Cloud Storage class for the usage of one S3 storage class (GB-months, requests, retrievals,
+ * see s3UsageProfile.js):
+ * - Standard and Reduced Redundancy -> Standard
+ * - Standard-IA and One Zone-IA -> Nearline (30-day minimum storage duration, like the IA classes)
+ * - Glacier Instant Retrieval and Glacier Flexible Retrieval -> Coldline (90-day minimum)
+ * - Glacier Deep Archive -> Archive (365-day minimum, for data AWS already keeps 180 days or more)
+ * - Intelligent-Tiering -> Autoclass, each access tier priced at the class Autoclass moves it to
+ * The class is never colder than the default, so objects are not deleted early, but a warmer class is
+ * chosen when the retrievals and operations of the bill cost more in the default class than its storage saves.
+ * Storage, operations (tier 1 requests as Class A, tier 2 as Class B) and retrieval are priced separately.
+ * Every match carries a one-line reason for the report.
+ *
+ * Prices are approximate us-central1 (regional) list prices.
+ */
+
+import { S3StorageClass, S3_STORAGE_CLASS_LABELS } from './s3UsageProfile.js';
+
+export const GcsStorageClass = {
+  STANDARD: 'standard',
+  NEARLINE: 'nearline',
+  COLDLINE: 'coldline',
+  ARCHIVE: 'archive',
+  AUTOCLASS: 'autoclass'
+};
+
+/**
+ * Cloud Storage classes, warmest first
+ * storagePrice: per GB-month; classAPrice / classBPrice: per 1,000 operations; retrievalPrice: per GB read
+ */
+export const GCS_STORAGE_CLASSES = {
+  [GcsStorageClass.STANDARD]: { label: 'Standard', storagePrice: 0.02, classAPrice: 0.005, classBPrice: 0.0004, retrievalPrice: 0, minStorageDays: 0 },
+  [GcsStorageClass.NEARLINE]: { label: 'Nearline', storagePrice: 0.01, classAPrice: 0.01, classBPrice: 0.001, retrievalPrice: 0.01, minStorageDays: 30 },
+  [GcsStorageClass.COLDLINE]: { label: 'Coldline', storagePrice: 0.004, classAPrice: 0.02, classBPrice: 0.01, retrievalPrice: 0.02, minStorageDays: 90 },
+  [GcsStorageClass.ARCHIVE]: { label: 'Archive', storagePrice: 0.0012, classAPrice: 0.05, classBPrice: 0.05, retrievalPrice: 0.05, minStorageDays: 365 }
+};
+
+// Autoclass management fee per 1,000 objects a month (the Intelligent-Tiering monitoring fee, same unit)
+const AUTOCLASS_MANAGEMENT_PRICE = 0.0025;
+
+const CLASS_ORDER = [GcsStorageClass.STANDARD, GcsStorageClass.NEARLINE, GcsStorageClass.COLDLINE, GcsStorageClass.ARCHIVE];
+
+/**
+ * Default Cloud Storage class of each S3 storage class, with the note explaining it
+ */
+export const S3_STORAGE_CLASS_TARGETS = {
+  [S3StorageClass.STANDARD]: { storageClass: GcsStorageClass.STANDARD, note: 'frequent access' },
+  [S3StorageClass.REDUCED_REDUNDANCY]: { storageClass: GcsStorageClass.STANDARD, note: 'Reduced Redundancy is retired' },
+  [S3StorageClass.STANDARD_IA]: { storageClass: GcsStorageClass.NEARLINE, note: '30-day minimum like Standard-IA' },
+  [S3StorageClass.ONE_ZONE_IA]: { storageClass: GcsStorageClass.NEARLINE, note: 'no single-zone class, regional Nearline' },
+  [S3StorageClass.GLACIER_INSTANT_RETRIEVAL]: { storageClass: GcsStorageClass.COLDLINE, note: 'millisecond access and 90-day minimum' },
+  [S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL]: { storageClass: GcsStorageClass.COLDLINE, note: '90-day minimum, read without a restore' },
+  [S3StorageClass.DEEP_ARCHIVE]: { storageClass: GcsStorageClass.ARCHIVE, note: 'long-term retention, read without a restore' },
+  [S3StorageClass.INTELLIGENT_TIERING]: { storageClass: GcsStorageClass.AUTOCLASS, pricedAs: GcsStorageClass.STANDARD, note: 'frequent access tier' },
+  [S3StorageClass.INTELLIGENT_TIERING_INFREQUENT]: { storageClass: GcsStorageClass.AUTOCLASS, pricedAs: GcsStorageClass.NEARLINE, note: 'infrequent access tier' },
+  [S3StorageClass.INTELLIGENT_TIERING_ARCHIVE_INSTANT]: { storageClass: GcsStorageClass.AUTOCLASS, pricedAs: GcsStorageClass.COLDLINE, note: 'archive instant access tier' },
+  [S3StorageClass.INTELLIGENT_TIERING_ARCHIVE]: { storageClass: GcsStorageClass.AUTOCLASS, pricedAs: GcsStorageClass.ARCHIVE, note: 'archive access tier' },
+  [S3StorageClass.INTELLIGENT_TIERING_DEEP_ARCHIVE]: { storageClass: GcsStorageClass.AUTOCLASS, pricedAs: GcsStorageClass.ARCHIVE, note: 'deep archive access tier' }
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Storage, operations and retrieval cost of the usage in a class
+ * @param {Object} gcsClass - GCS_STORAGE_CLASSES entry
+ * @param {Object} usage
+ * @param {Object} options
+ * @param {Object} options.operationPrices - Class whose operation prices apply (Autoclass: Standard)
+ * @param {boolean} options.retrievalFees - Whether retrieval is charged (not on Autoclass)
+ */
+function priceUsage(gcsClass, usage, { operationPrices = gcsClass, retrievalFees = true } = {}) {
+  const storage = Math.max(0, usage.gbMonths || 0) * gcsClass.storagePrice;
+  const operations = (Math.max(0, usage.tier1Requests || 0) / 1000) * operationPrices.classAPrice
+    + (Math.max(0, usage.tier2Requests || 0) / 1000) * operationPrices.classBPrice;
+  const retrieval = retrievalFees ? Math.max(0, usage.retrievalGb || 0) * gcsClass.retrievalPrice : 0;
+  return { storage, operations, retrieval, total: storage + operations + retrieval };
+}
+
+/**
+ * Match the usage of one S3 storage class to a Cloud Storage class
+ * @param {Object} usage - Usage of one month
+ * @param {string} usage.storageClass - S3StorageClass value
+ * @param {number} usage.gbMonths - GB-months stored
+ * @param {number} usage.tier1Requests - PUT, COPY, POST, LIST and transition requests (Class A operations)
+ * @param {number} usage.tier2Requests - GET and other requests (Class B operations)
+ * @param {number} usage.retrievalGb - GB retrieved
+ * @param {number} usage.monitoredObjects - Object-months monitored by Intelligent-Tiering
+ * @returns {{storageClass: string|null, label: string|null, pricedAs: string|null,
+ *   cost: {storage: number, operations: number, retrieval: number, total: number}|null, reason: string}}
+ *   storageClass is null for storage classes without a target and usage without quantities (a bill without
+ *   UsageAmount); pricedAs is the class whose storage price applies (the Autoclass class of an
+ *   Intelligent-Tiering tier)
+ */
+export function matchStorageClass(usage) {
+  const sourceLabel = S3_STORAGE_CLASS_LABELS[usage.storageClass] || usage.storageClass;
+  const target = S3_STORAGE_CLASS_TARGETS[usage.storageClass];
+  if (!target) {
+    return { storageClass: null, label: null, pricedAs: null, cost: null, reason: `Unknown S3 storage class ${sourceLabel}` };
+  }
+  const quantities = ['gbMonths', 'tier1Requests', 'tier2Requests', 'retrievalGb', 'monitoredObjects'];
+  if (!quantities.some(key => usage[key] > 0)) {
+    return { storageClass: null, label: null, pricedAs: null, cost: null, reason: 'No usage amounts in the bill: ratio estimate' };
+  }
+
+  let storageClass = target.storageClass;
+  let pricedAs = target.pricedAs || target.storageClass;
+  let cost;
+  const parts = [];
+
+  if (storageClass === GcsStorageClass.AUTOCLASS) {
+    // Operations at Standard prices, no retrieval fees, a management fee per object
+    cost = priceUsage(GCS_STORAGE_CLASSES[pricedAs], usage, {
+      operationPrices: GCS_STORAGE_CLASSES[GcsStorageClass.STANDARD],
+      retrievalFees: false
+    });
+    const management = (Math.max(0, usage.monitoredObjects || 0) / 1000) * AUTOCLASS_MANAGEMENT_PRICE;
+    cost.operations += management;
+    cost.total += management;
+    parts.push(`Autoclass for Intelligent-Tiering: ${target.note} priced as ${GCS_STORAGE_CLASSES[pricedAs].label}`);
+    if (management > 0) parts.push('management fee for the monitored objects');
+  } else {
+    // Cheapest of the default class and the warmer ones for this access pattern
+    const candidates = CLASS_ORDER.slice(0, CLASS_ORDER.indexOf(storageClass) + 1);
+    cost = priceUsage(GCS_STORAGE_CLASSES[storageClass], usage);
+    for (const candidate of candidates) {
+      const candidateCost = priceUsage(GCS_STORAGE_CLASSES[candidate], usage);
+      if (candidateCost.total < cost.total) {
+        storageClass = candidate;
+        cost = candidateCost;
+      }
+    }
+    pricedAs = storageClass;
+    const defaultLabel = GCS_STORAGE_CLASSES[target.storageClass].label;
+    if (storageClass === target.storageClass) {
+      parts.push(`${defaultLabel} for ${sourceLabel}: ${target.note}`);
+    } else {
+      parts.push(`${GCS_STORAGE_CLASSES[storageClass].label} rather than ${defaultLabel}: retrievals and operations cost more in ${defaultLabel} than its storage saves`);
+    }
+  }
+  if (!(usage.gbMonths > 0)) parts.push('no storage billed in this class');
+
+  return {
+    storageClass,
+    label: storageClass === GcsStorageClass.AUTOCLASS ? 'Autoclass' : GCS_STORAGE_CLASSES[storageClass].label,
+    pricedAs,
+    cost: {
+      storage: roundCents(cost.storage),
+      operations: roundCents(cost.operations),
+      retrieval: roundCents(cost.retrieval),
+      total: roundCents(cost.storage + cost.operations + cost.retrieval)
+    },
+    reason: parts.join('; ')
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Gzip Stream
+ *
+ * Decompresses gzip files (e.g. AWS CUR `.csv.gz` parts) chunk by chunk.
+ * The compressed file is read as a stream and only one decompressed chunk is
+ * held at a time, so a multi-GB bill is never fully inflated in memory.
+ *
+ * Uses the native DecompressionStream when available and falls back to fflate.
+ */
+
+import { Gunzip } from 'fflate';
+
+/**
+ * Check whether a file name is a gzip-compressed CUR part
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isGzipFileName(fileName) {
+  return String(fileName || '').toLowerCase().endsWith('.gz');
+}
+
+/**
+ * Create a reader over the decompressed bytes of a gzip Blob/File
+ * @param {Blob|File} blob - Gzip-compressed file
+ * @returns {{read: Function, cancel: Function, getCompressedBytesRead: Function}}
+ *   read() resolves to { done, value: Uint8Array } like ReadableStreamDefaultReader
+ */
+export function createGunzipReader(blob) {
+  let compressedBytesRead = 0;
+
+  if (typeof DecompressionStream !== 'undefined' && typeof TransformStream !== 'undefined') {
+    // Count compressed bytes on the way in so progress can be reported against the file size
+    const counter = new TransformStream({
+      transform(chunk, controller) {
+        compressedBytesRead += chunk.byteLength;
+        controller.enqueue(chunk);
+      }
+    });
+    const reader = blob.stream()
+      .pipeThrough(counter)
+      .pipeThrough(new DecompressionStream('gzip'))
+      .getReader();
+
+    return {
+      read: () => reader.read(),
+      cancel: () => reader.cancel(),
+      getCompressedBytesRead: () => compressedBytesRead
+    };
+  }
+
+  // Fallback: fflate streaming inflate
+  const sourceReader = blob.stream().getReader();
+  const pending = [];
+  let sourceDone = false;
+  const gunzip = new Gunzip((chunk) => {
+    if (chunk.length > 0) pending.push(chunk);
+  });
+
+  return {
+    read: async () => {
+      while (pending.length === 0) {
+        if (sourceDone) {
+          return { done: true, value: undefined };
+        }
+        const { done, value } = await sourceReader.read();
+        if (done) {
+          sourceDone = true;
+          gunzip.push(new Uint8Array(0), true);
+        } else {
+          compressedBytesRead += value.byteLength;
+          gunzip.push(value instanceof Uint8Array ? value : new Uint8Array(value));
+        }
+      }
+      return { done: false, value: pending.shift() };
+    },
+    cancel: () => sourceReader.cancel(),
+    getCompressedBytesRead: () => compressedBytesRead
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Parquet CUR Parser
+ *
+ * Reads AWS CUR / Data Exports delivered as Parquet and feeds the rows into
+ * parseAwsCurStreaming, so Parquet and CSV uploads share the same aggregation,
+ * IndexedDB flushing, progress callbacks and result metadata.
+ *
+ * Rows are read one row group at a time and only the columns referenced by the
+ * detected schema profile are decoded, so the whole file is never held in memory.
+ */
+
+import { parseAwsCurStreaming } from './streamingCsvParser.js';
+import { detectCurSchemaProfile } from './curSchemaProfiles.js';
+import { resolveTagColumns } from './curResourceTags.js';
+
+// Rows handed to the streaming parser per batch (yields to the event loop between batches)
+const ROWS_PER_BATCH = 5000;
+
+/**
+ * Wrap a File/Blob or ArrayBuffer as a hyparquet AsyncBuffer (reads byte ranges on demand)
+ * @param {File|Blob|ArrayBuffer} fileOrBuffer
+ * @returns {{byteLength: number, slice: Function}}
+ */
+export function toAsyncBuffer(fileOrBuffer) {
+  if (fileOrBuffer instanceof ArrayBuffer) {
+    return fileOrBuffer;
+  }
+  if (fileOrBuffer && typeof fileOrBuffer.slice === 'function' && typeof fileOrBuffer.size === 'number') {
+    return {
+      byteLength: fileOrBuffer.size,
+      slice: (start, end) => fileOrBuffer.slice(start, end).arrayBuffer()
+    };
+  }
+  throw new Error('Parquet input must be a File, Blob or ArrayBuffer');
+}
+
+/**
+ * Convert a decoded Parquet value to the string form the CSV path produces
+ * @param {*} value
+ * @returns {string}
+ */
+export function parquetValueToString(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean') {
+    return String(value);
+  }
+  try {
+    return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? String(v) : v));
+  } catch (e) {
+    return String(value);
+  }
+}
+
+/**
+ * Select the columns to decode: every column the detected schema profile can read, plus resource tags
+ * @param {string[]} columnNames - Top-level Parquet column names
+ * @returns {string[]} Column names present in the file, in file order
+ */
+export function selectProfileColumns(columnNames) {
+  const profile = detectCurSchemaProfile(columnNames);
+  const wanted = new Set();
+  for (const candidates of Object.values(profile.columns)) {
+    for (const candidate of candidates) {
+      wanted.add(candidate.toLowerCase());
+    }
+  }
+  const tagIndices = new Set(resolveTagColumns(columnNames).map(column => column.index));
+  return columnNames.filter((name, index) => wanted.has(name.toLowerCase()) || tagIndices.has(index));
+}
+
+/**
+ * Yield row batches ({ rows, bytesProcessed }) from a Parquet file, header row first
+ * @param {Object} hyparquet - hyparquet module
+ * @param {Object} compressors - Decompressors for non-snappy codecs
+ * @param {Object} asyncBuffer - AsyncBuffer over the file
+ */
+async function* readParquetRows(hyparquet, compressors, asyncBuffer) {
+  const metadata = await hyparquet.parquetMetadataAsync(asyncBuffer);
+  const schema = hyparquet.parquetSchema(metadata);
+  const columnNames = schema.children.map(child => child.element.name);
+  const columns = selectProfileColumns(columnNames);
+
+  if (columns.length === 0) {
+    throw new Error('Parquet file has no recognised CUR columns');
+  }
+
+  console.log(`[parquetCurParser] Reading ${columns.length} of ${columnNames.length} columns from ${metadata.row_groups.length} row group(s), ${Number(metadata.num_rows).toLocaleString()} rows`);
+
+  yield { rows: [columns], bytesProcessed: 0 };
+
+  let rowStart = 0;
+  let bytesProcessed = 0;
+  for (const rowGroup of metadata.row_groups) {
+    const rowEnd = rowStart + Number(rowGroup.num_rows);
+    let rows = [];
+    await hyparquet.parquetRead({
+      file: asyncBuffer,
+      metadata,
+      columns,
+      rowStart,
+      rowEnd,
+      rowFormat: 'object',
+      compressors,
+      onComplete: (data) => { rows = data; }
+    });
+
+    // Progress is reported in bytes, like the CSV path: count each completed row group's compressed size
+    bytesProcessed = Math.min(asyncBuffer.byteLength, bytesProcessed + Number(rowGroup.total_compressed_size || rowGroup.total_byte_size || 0));
+
+    for (let i = 0; i < rows.length; i += ROWS_PER_BATCH) {
+      const batch = rows.slice(i, i + ROWS_PER_BATCH).map(row => columns.map(column => parquetValueToString(row[column])));
+      const isLastBatch = i + ROWS_PER_BATCH >= rows.length;
+      yield { rows: batch, bytesProcessed: isLastBatch ? bytesProcessed : undefined };
+    }
+
+    rows = null; // Release the decoded row group before reading the next one
+    rowStart = rowEnd;
+  }
+}
+
+/**
+ * Parse an AWS CUR Parquet file in streaming fashion
+ * @param {File|Blob|ArrayBuffer} fileOrBuffer - Parquet file or buffer
+ * @param {Function} onProgress - Progress callback (same shape as parseAwsCurStreaming)
+ * @param {Object} options - Options forwarded to parseAwsCurStreaming (e.g. workloadRepository)
+ * @returns {Promise<Array>} Workloads with _metadata, as returned by parseAwsCurStreaming
+ */
+export const parseAwsCurParquet = async (fileOrBuffer, onProgress, options = {}) => {
+  // Dynamic import keeps the Parquet decoder out of the main bundle (same as JSZip)
+  const hyparquet = await import('hyparquet');
+  const { compressors } = await import('hyparquet-compressors');
+
+  const asyncBuffer = toAsyncBuffer(fileOrBuffer);
+  return parseAwsCurStreaming(fileOrBuffer, onProgress, {
+    ...options,
+    rowSource: readParquetRows(hyparquet, compressors, asyncBuffer)
+  });
+};
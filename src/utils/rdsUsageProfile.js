@@ -0,0 +1,181 @@
+/**
+ * RDS Usage Profile
+ *
+ * What a CUR says about an RDS / Aurora database, beyond its cost: the engine (`product/databaseEngine`),
+ * SQL Server edition (`product/databaseEdition`), Multi-AZ deployment (`product/deploymentOption` or a
+ * Multi-AZ usage type) and, from `lineItem/UsageType` and `lineItem/UsageAmount`, the instance hours,
+ * Aurora Serverless ACU hours, allocated storage (GB-months, by storage type) and charged backup storage.
+ * Parsers record it on each database workload (Workload.databaseUsage) so the database can be sized as a
+ * Cloud SQL / AlloyDB tier (gcpDatabaseTierMatcher.js).
+ *
+ * Usage types carry a region prefix, stripped as for cost components (usageTypeClassifier.js):
+ *   InstanceUsage:db.r5.large, Multi-AZUsage:db.m5.xlarge, InstanceUsageIOOptimized:db.r6g.large
+ *   RDS:GP3-Storage, RDS:Multi-AZ-PIOPS-Storage, RDS:StorageUsage (magnetic), Aurora:StorageUsage
+ *   RDS:ChargedBackupUsage, Aurora:BackupUsage, Aurora:ServerlessV2Usage
+ */
+
+import { stripUsageTypeRegion } from './usageTypeClassifier.js';
+
+export const DatabaseEngine = {
+  MYSQL: 'mysql',
+  MARIADB: 'mariadb',
+  POSTGRESQL: 'postgresql',
+  AURORA_MYSQL: 'aurora-mysql',
+  AURORA_POSTGRESQL: 'aurora-postgresql',
+  SQL_SERVER: 'sqlserver',
+  ORACLE: 'oracle',
+  DB2: 'db2'
+};
+
+export const DatabaseStorageType = {
+  GP2: 'gp2',
+  GP3: 'gp3',
+  IO1: 'io1',
+  IO2: 'io2',
+  MAGNETIC: 'magnetic',
+  AURORA: 'aurora',
+  AURORA_IO_OPTIMIZED: 'aurora-io-optimized'
+};
+
+export const DATABASE_ENGINE_LABELS = {
+  [DatabaseEngine.MYSQL]: 'MySQL',
+  [DatabaseEngine.MARIADB]: 'MariaDB',
+  [DatabaseEngine.POSTGRESQL]: 'PostgreSQL',
+  [DatabaseEngine.AURORA_MYSQL]: 'Aurora MySQL',
+  [DatabaseEngine.AURORA_POSTGRESQL]: 'Aurora PostgreSQL',
+  [DatabaseEngine.SQL_SERVER]: 'SQL Server',
+  [DatabaseEngine.ORACLE]: 'Oracle',
+  [DatabaseEngine.DB2]: 'Db2'
+};
+
+const RDS_PRODUCT_CODE = /^(AMAZON)?(RDS|AURORA)/;
+
+const INSTANCE_USAGE = /^(?:(?:RDS|Aurora):)?(InstanceUsage|Multi-AZUsage|Multi-AZClusterUsage)(IOOptimized)?(?::|$)/i;
+const SERVERLESS_USAGE = /^(?:Aurora:)?(ServerlessV2|Serverless)(IOOptimized)?Usage$/i;
+const STORAGE_USAGE = /^(RDS|Aurora):(Multi-AZ(?:Cluster)?-)?(?:(GP2|GP3|PIOPS|IO1|IO2)-Storage(?:-(IO2))?|(IO-Optimized)?StorageUsage)$/i;
+const BACKUP_USAGE = /^(?:RDS|Aurora):(?:ChargedBackupUsage|BackupUsage)$/i;
+
+const VOLUME_STORAGE_TYPES = {
+  GP2: DatabaseStorageType.GP2,
+  GP3: DatabaseStorageType.GP3,
+  PIOPS: DatabaseStorageType.IO1,
+  IO1: DatabaseStorageType.IO1,
+  IO2: DatabaseStorageType.IO2
+};
+
+/**
+ * Normalise a database engine as billed (RDS engine names, `product/databaseEngine` values)
+ * @param {string} engine - e.g. 'Aurora PostgreSQL', 'postgres', 'sqlserver-se', 'SQL Server'
+ * @returns {string|null} DatabaseEngine value, or null when unknown
+ */
+export function normalizeDatabaseEngine(engine) {
+  const value = String(engine || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (!value) return null;
+  if (value.startsWith('aurora')) {
+    return value.includes('postgres') ? DatabaseEngine.AURORA_POSTGRESQL : DatabaseEngine.AURORA_MYSQL;
+  }
+  if (value.includes('postgres')) return DatabaseEngine.POSTGRESQL;
+  if (value.includes('mariadb')) return DatabaseEngine.MARIADB;
+  if (value.includes('mysql')) return DatabaseEngine.MYSQL;
+  if (value.startsWith('sqlserver') || value.startsWith('sql-server')) return DatabaseEngine.SQL_SERVER;
+  if (value.startsWith('oracle')) return DatabaseEngine.ORACLE;
+  if (value.includes('db2')) return DatabaseEngine.DB2;
+  return null;
+}
+
+/**
+ * SQL Server edition of an engine or `product/databaseEdition` value
+ * @param {string} edition - e.g. 'Standard', 'Enterprise', 'sqlserver-web'
+ * @returns {string|null} 'enterprise', 'standard', 'web' or 'express', or null when unknown
+ */
+export function normalizeSqlServerEdition(edition) {
+  const value = String(edition || '').trim().toLowerCase();
+  if (/enterprise|-ee$/.test(value)) return 'enterprise';
+  if (/standard|-se$/.test(value)) return 'standard';
+  if (/web/.test(value)) return 'web';
+  if (/express|-ex$/.test(value)) return 'express';
+  return null;
+}
+
+/**
+ * Read the database facts and quantities of one RDS / Aurora CUR row
+ * @param {Object} row
+ * @param {string} row.productCode - lineItem/ProductCode
+ * @param {string} row.usageType - lineItem/UsageType
+ * @param {number|string} row.usageAmount - lineItem/UsageAmount (hours, GB-months or ACU hours)
+ * @param {string} row.databaseEngine - product/databaseEngine
+ * @param {string} row.databaseEdition - product/databaseEdition
+ * @param {string} row.deploymentOption - product/deploymentOption ('Single-AZ', 'Multi-AZ'...)
+ * @returns {{engine: string|null, edition: string|null, multiAz: boolean, storageType: string|null,
+ *   instanceHours: number, acuHours: number, storageGbMonths: number, backupGbMonths: number}|null}
+ *   null for rows of other services
+ */
+export function readRdsUsage({ productCode, usageType, usageAmount, databaseEngine, databaseEdition, deploymentOption }) {
+  if (!RDS_PRODUCT_CODE.test(String(productCode || '').trim().toUpperCase())) return null;
+
+  const engine = normalizeDatabaseEngine(databaseEngine);
+  const usage = {
+    engine,
+    edition: engine === DatabaseEngine.SQL_SERVER ? normalizeSqlServerEdition(databaseEdition || databaseEngine) : null,
+    multiAz: /multi-az/i.test(deploymentOption || ''),
+    storageType: null,
+    instanceHours: 0,
+    acuHours: 0,
+    storageGbMonths: 0,
+    backupGbMonths: 0
+  };
+  const amount = parseFloat(usageAmount) || 0;
+  const normalizedUsageType = stripUsageTypeRegion(usageType);
+
+  const instance = INSTANCE_USAGE.exec(normalizedUsageType);
+  if (instance) {
+    usage.instanceHours = amount;
+    usage.multiAz = usage.multiAz || /^Multi-AZ/i.test(instance[1]);
+    if (instance[2]) usage.storageType = DatabaseStorageType.AURORA_IO_OPTIMIZED;
+    return usage;
+  }
+
+  const serverless = SERVERLESS_USAGE.exec(normalizedUsageType);
+  if (serverless) {
+    usage.acuHours = amount;
+    usage.storageType = serverless[2] ? DatabaseStorageType.AURORA_IO_OPTIMIZED : DatabaseStorageType.AURORA;
+    return usage;
+  }
+
+  const storage = STORAGE_USAGE.exec(normalizedUsageType);
+  if (storage) {
+    const [, prefix, multiAz, volume, io2Suffix, ioOptimized] = storage;
+    usage.storageGbMonths = amount;
+    usage.multiAz = usage.multiAz || !!multiAz;
+    if (prefix.toLowerCase() === 'aurora') {
+      usage.storageType = ioOptimized ? DatabaseStorageType.AURORA_IO_OPTIMIZED : DatabaseStorageType.AURORA;
+    } else if (volume) {
+      usage.storageType = io2Suffix ? DatabaseStorageType.IO2 : VOLUME_STORAGE_TYPES[volume.toUpperCase()];
+    } else {
+      usage.storageType = DatabaseStorageType.MAGNETIC;
+    }
+    return usage;
+  }
+
+  if (BACKUP_USAGE.test(normalizedUsageType)) {
+    usage.backupGbMonths = amount;
+  }
+  return usage;
+}
+
+/**
+ * Scale the quantities of a database usage record (sampled CURs: a sampled database stands for several)
+ * @param {Object|null} usage - Workload.databaseUsage
+ * @param {number} factor
+ * @returns {Object|null} New record with every quantity scaled
+ */
+export function scaleDatabaseUsage(usage, factor) {
+  if (!usage) return null;
+  const scaled = { ...usage };
+  for (const [key, value] of Object.entries(usage)) {
+    if (typeof value === 'number') {
+      scaled[key] = value * factor;
+    }
+  }
+  return scaled;
+}
@@ -0,0 +1,302 @@
+/**
+ * Export Redaction (anonymisation mode)
+ *
+ * Lets an assessment be shared with partners without exposing AWS account IDs, ARNs, resource IDs,
+ * bucket names or tag values. Applied at export time only (PDF report, workload CSV, JSON exports,
+ * project bundles) - the data in the app is never changed.
+ *
+ * Identifiers are replaced with pseudonyms from a salted hash, with one salt per project, so the same
+ * identifier gets the same pseudonym in every document of a project and totals still reconcile.
+ * Costs, services, regions, types and counts are kept as they are.
+ */
+
+import { getActiveMappingProject } from './serviceMappingOverrides.js';
+
+const SETTINGS_KEY = 'redactionSettings';
+
+export const PseudonymKind = {
+  ACCOUNT: 'account',
+  RESOURCE: 'resource',
+  BUCKET: 'bucket',
+  TAG: 'tag',
+  SUBSCRIPTION: 'subscription',
+  RESOURCE_GROUP: 'resource-group'
+};
+
+// Field name -> pseudonym kind (a leading '_' is ignored, so cloned Workload entities match too)
+const IDENTIFIER_FIELDS = {
+  resourceId: PseudonymKind.RESOURCE,
+  workloadId: PseudonymKind.RESOURCE,
+  arn: PseudonymKind.RESOURCE,
+  bucket: PseudonymKind.BUCKET,
+  bucketName: PseudonymKind.BUCKET,
+  accountId: PseudonymKind.ACCOUNT,
+  accountName: PseudonymKind.ACCOUNT,
+  usageAccountId: PseudonymKind.ACCOUNT,
+  payerAccountId: PseudonymKind.ACCOUNT,
+  subscriptionId: PseudonymKind.SUBSCRIPTION,
+  subscriptionName: PseudonymKind.SUBSCRIPTION,
+  resourceGroup: PseudonymKind.RESOURCE_GROUP
+};
+
+// Comma-separated workload names
+const LIST_FIELDS = new Set(['dependencies']);
+
+// Identifiers recognised inside free text (ARNs first, so the account ID inside an ARN is not replaced on its own)
+const TEXT_PATTERNS = [
+  { kind: PseudonymKind.RESOURCE, pattern: /arn:aws[a-z-]*:[^\s,;"'|()]+/g },
+  { kind: PseudonymKind.SUBSCRIPTION, pattern: /\/subscriptions\/[^\s,;"'|()]+/gi },
+  { kind: PseudonymKind.RESOURCE, pattern: /\b(?:i|vol|snap|eni|sg|subnet|vpc|ami|nat|igw|rtb|eipalloc|lt|fs|db|cluster)-[0-9a-f]{8,17}\b/g },
+  { kind: PseudonymKind.ACCOUNT, pattern: /\b\d{12}\b/g }
+];
+
+// Values this short are not treated as identifiers (they would match unrelated text)
+const MIN_IDENTIFIER_LENGTH = 3;
+
+const MAX_DEPTH = 50;
+
+/**
+ * Hash an identifier with the project salt (53-bit, synchronous, so PDF generation can use it)
+ * @param {string} salt
+ * @param {string} value
+ * @returns {string} 10 hex characters
+ */
+export function hashIdentifier(salt, value) {
+  const text = `${salt}\u0000${value}`;
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return hash.toString(16).padStart(14, '0').slice(0, 10);
+}
+
+const fieldName = (key) => (key.startsWith('_') ? key.slice(1) : key);
+
+// Workloads carry their identifier in id / name: CUR workloads (service) and discovery workloads (type),
+// as plain objects, toJSON output or cloned entities
+const isWorkloadLike = (object) => {
+  const kind = object.service ?? object._service ?? object.type ?? object._type;
+  return typeof kind === 'string' && (object.id ?? object._id ?? object.resourceId ?? object._resourceId) !== undefined;
+};
+
+const isPlainObject = (value) => {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Create a redactor for one project
+ * Call collect() on everything that goes into the export first, so identifiers that also appear
+ * elsewhere (map keys, wave lists, free text) get the same pseudonym.
+ * @param {string} salt - Project salt (getProjectSalt)
+ * @returns {{pseudonym: Function, collect: Function, redact: Function, redactText: Function}}
+ */
+export function createRedactor(salt) {
+  const known = new Map(); // identifier -> pseudonym
+
+  const pseudonym = (kind, value) => {
+    const text = String(value);
+    let result = known.get(text);
+    if (!result) {
+      result = `${kind}-${hashIdentifier(salt, text)}`;
+      known.set(text, result);
+    }
+    return result;
+  };
+
+  const register = (kind, value) => {
+    if (typeof value === 'string' && value.trim().length >= MIN_IDENTIFIER_LENGTH) {
+      pseudonym(kind, value);
+    }
+  };
+
+  // Workload id / name, unless the name is just the service, type or region (e.g. untagged shared cost)
+  const workloadIdentifier = (object, key, value) => {
+    if (!isWorkloadLike(object) || typeof value !== 'string') return false;
+    const field = fieldName(key);
+    if (field !== 'id' && field !== 'name') return false;
+    return ![object.service, object._service, object.type, object._type, object.region, object._region].includes(value);
+  };
+
+  const visit = (value, depth, seen, onField) => {
+    if (!value || typeof value !== 'object' || depth > MAX_DEPTH || seen.has(value)) return;
+    seen.add(value);
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, depth + 1, seen, onField));
+      return;
+    }
+    const object = !isPlainObject(value) && typeof value.toJSON === 'function' ? value.toJSON() : value;
+    for (const [key, fieldValue] of Object.entries(object)) {
+      onField(object, key, fieldValue);
+      visit(fieldValue, depth + 1, seen, onField);
+    }
+  };
+
+  /**
+   * Register the identifiers found in the data
+   * @param {*} data - Anything that will be exported (objects, arrays, Workload entities)
+   */
+  const collect = (data) => {
+    visit(data, 0, new WeakSet(), (object, key, value) => {
+      const field = fieldName(key);
+      if (workloadIdentifier(object, key, value)) {
+        register(PseudonymKind.RESOURCE, value);
+      } else if (IDENTIFIER_FIELDS[field]) {
+        register(IDENTIFIER_FIELDS[field], value);
+      } else if (LIST_FIELDS.has(field) && typeof value === 'string') {
+        value.split(',').forEach(item => register(PseudonymKind.RESOURCE, item.trim()));
+      } else if (field === 'tags' && value && typeof value === 'object') {
+        Object.values(value).forEach(tagValue => register(PseudonymKind.TAG, tagValue));
+      }
+    });
+  };
+
+  /**
+   * Replace identifiers in a string: registered identifiers (whole value) and ARNs, subscription
+   * paths, resource IDs and account IDs inside text
+   * @param {string} text
+   * @returns {string}
+   */
+  const redactText = (text) => {
+    if (typeof text !== 'string' || text.length === 0) return text;
+    const exact = known.get(text);
+    if (exact) return exact;
+    let result = text;
+    for (const { kind, pattern } of TEXT_PATTERNS) {
+      result = result.replace(pattern, match => pseudonym(kind, match));
+    }
+    return result;
+  };
+
+  const redactValue = (value, depth, object, key) => {
+    if (typeof value === 'string') {
+      const field = key === undefined ? '' : fieldName(key);
+      if (object && workloadIdentifier(object, key, value)) return pseudonym(PseudonymKind.RESOURCE, value);
+      if (IDENTIFIER_FIELDS[field] && value.length > 0) return pseudonym(IDENTIFIER_FIELDS[field], value);
+      if (LIST_FIELDS.has(field)) {
+        return value.split(',').map(item => (item.trim() ? pseudonym(PseudonymKind.RESOURCE, item.trim()) : item)).join(', ');
+      }
+      return redactText(value);
+    }
+    if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return value;
+    if (value instanceof Date) return value;
+    if (Array.isArray(value)) return value.map(item => redactValue(item, depth + 1));
+
+    const source = !isPlainObject(value) && typeof value.toJSON === 'function' ? value.toJSON() : value;
+    const result = {};
+    for (const [fieldKey, fieldValue] of Object.entries(source)) {
+      const redactedKey = known.get(fieldKey) || fieldKey; // Maps keyed by workload ID / account ID
+      if (fieldName(fieldKey) === 'tags' && fieldValue && typeof fieldValue === 'object' && !Array.isArray(fieldValue)) {
+        result[redactedKey] = Object.fromEntries(
+          Object.entries(fieldValue).map(([tagKey, tagValue]) => [tagKey, tagValue ? pseudonym(PseudonymKind.TAG, tagValue) : tagValue])
+        );
+      } else {
+        result[redactedKey] = redactValue(fieldValue, depth + 1, source, fieldKey);
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Redacted deep copy of the data (Workload entities become their toJSON() form)
+   * @param {*} data
+   * @returns {*}
+   */
+  const redact = (data) => redactValue(data, 0);
+
+  return { pseudonym, collect, redact, redactText };
+}
+
+/**
+ * Collect and redact in one step
+ * @param {*} data
+ * @param {Object} redactor - From createRedactor / getExportRedactor
+ * @returns {*} Redacted copy
+ */
+export function redactForExport(data, redactor) {
+  redactor.collect(data);
+  return redactor.redact(data);
+}
+
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return { enabled: !!stored.enabled, salts: stored.salts || {} };
+  } catch (error) {
+    console.warn('[redaction] Could not read redaction settings:', error);
+    return { enabled: false, salts: {} };
+  }
+}
+
+function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('[redaction] Could not save redaction settings:', error);
+  }
+}
+
+function generateSalt() {
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether exports are anonymised
+ * @returns {boolean}
+ */
+export function isRedactionEnabled() {
+  return loadSettings().enabled;
+}
+
+/**
+ * Turn anonymisation mode on or off for all exports
+ * @param {boolean} enabled
+ */
+export function setRedactionEnabled(enabled) {
+  saveSettings({ ...loadSettings(), enabled: !!enabled });
+}
+
+/**
+ * Salt of a project, created on first use and kept so pseudonyms stay stable across exports
+ * @param {string} projectKey - Project name or ID
+ * @returns {string}
+ */
+export function getProjectSalt(projectKey = 'default') {
+  const settings = loadSettings();
+  if (!settings.salts[projectKey]) {
+    settings.salts[projectKey] = generateSalt();
+    saveSettings(settings);
+  }
+  return settings.salts[projectKey];
+}
+
+/**
+ * Key of the current project, whose salt every export uses: the active project of the app
+ * (serviceMappingOverrides.js), so the PDF, CSV and JSON exports of a project give an
+ * identifier the same pseudonym
+ * @returns {string}
+ */
+export function getExportProjectKey() {
+  return getActiveMappingProject();
+}
+
+/**
+ * Redactor for an export, or null when anonymisation mode is off
+ * @param {string} projectKey - Project name or ID (default: the current project)
+ * @returns {Object|null}
+ */
+export function getExportRedactor(projectKey = getExportProjectKey()) {
+  return isRedactionEnabled() ? createRedactor(getProjectSalt(projectKey)) : null;
+}
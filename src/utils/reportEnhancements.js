@@ -3,6 +3,9 @@
  * Helper functions for generating enhanced report sections
  */
 
+import { summarizeIngestionReport } from './curIngestionReport.js';
+import { MappingCoverageService } from '../domain/services/MappingCoverageService.js';
+
 /**
  * Calculate key insights from report data
  */
@@ -589,12 +592,15 @@ export const calculateQuickWins = (reportData) => {
 /**
  * Calculate data quality indicators
  * MEMORY-EFFICIENT: Uses summary data instead of full workloads array
+ * Includes the ingestion report (rejected rows by reason, unmapped product codes) when the upload recorded one,
+ * and the share of spend with an explicit GCP service mapping
  */
 export const calculateDataQuality = (reportData, workloads = []) => {
   // CRITICAL: Use summary data instead of workloads array to avoid memory issues
   const totalWorkloads = reportData?.summary?.totalWorkloads || 0;
   const unassignedComplexity = reportData?.complexity?.unassigned?.count || 0;
   const unassignedReadiness = reportData?.readiness?.unassigned?.count || 0;
+  const services = reportData?.services?.allServices || reportData?.services?.topServices || [];
   
   // Only use workloads array if it's small and provided
   const assessedCount = workloads.length > 0 && workloads.length < 10000
@@ -617,6 +623,12 @@ export const calculateDataQuality = (reportData, workloads = []) => {
     confidenceLevel,
     assessedWorkloads: totalWorkloads - Math.max(unassignedComplexity, unassignedReadiness),
     totalWorkloads,
-    dataFreshness: 'Current' // Could be enhanced with timestamp
+    dataFreshness: 'Current', // Could be enhanced with timestamp
+    ingestion: reportData?.summary?.ingestionReport
+      ? summarizeIngestionReport(reportData.summary.ingestionReport)
+      : null,
+    mappingCoverage: services.length > 0
+      ? MappingCoverageService.analyzeCoverage(services, reportData?.summary?.ingestionReport, { topN: 10 })
+      : null
   };
 };
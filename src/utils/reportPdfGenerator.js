@@ -4,6 +4,7 @@
  * Generates a concise migration assessment report PDF with:
  * - Executive Summary
  * - Assessment Agent Summary (complexity & readiness distributions)
+ * - Regional and Linked Account Summaries
  * - Strategy Agent Summary (wave distribution & service mappings)
  * - Cost Analysis Summary (cost estimates)
  * - Migration Timeline Summary
@@ -25,6 +26,14 @@ import {
   calculateQuickWins,
   calculateDataQuality
 } from './reportEnhancements';
+import { ReportDataAggregator } from '../domain/services/ReportDataAggregator.js';
+import { GCPCostEstimator } from '../domain/services/GCPCostEstimator.js';
+import { MappingSource } from './serviceMapping.js';
+import { COST_COMPONENTS, COST_COMPONENT_LABELS } from './usageTypeClassifier.js';
+import { MachineTypeMatchService } from '../domain/services/MachineTypeMatchService.js';
+import { DatabaseTierMatchService } from '../domain/services/DatabaseTierMatchService.js';
+import { StorageClassMatchService } from '../domain/services/StorageClassMatchService.js';
+import { RIGHTSIZING_POLICY_OPTIONS } from './gcpMachineTypeMatcher.js';
 
 /**
  * Generate comprehensive migration assessment PDF report
@@ -33,6 +42,7 @@ import {
  * @param {Object} strategyResults - Strategy planning results
  * @param {Object} assessmentResults - Assessment results
  * @param {Object} options - Report options
+ * @returns {Promise<ArrayBuffer|undefined>} The PDF bytes with options.output 'arraybuffer' (otherwise it is downloaded)
  */
 export const generateComprehensiveReportPDF = async (
   reportData,
@@ -147,9 +157,21 @@ export const generateComprehensiveReportPDF = async (
   const {
     projectName = 'AWS to GCP Migration Assessment',
     targetRegion = 'us-central1',
-    includeCharts = true
+    includeCharts = true,
+    uploadComparison: comparisonInput = null, // UploadComparisonService.compareUploads result, adds an appendix
+    redactor = null, // Anonymisation mode (redaction.js getExportRedactor): identifiers are pseudonymised
+    output = 'download' // 'arraybuffer' returns the PDF bytes instead of downloading it (infracc CLI)
   } = options;
 
+  // Anonymisation mode: every identifier the report prints comes from these inputs
+  if (redactor) {
+    redactor.collect([reportData, strategyResults, assessmentResults, comparisonInput]);
+    reportData = redactor.redact(reportData);
+    strategyResults = redactor.redact(strategyResults);
+    assessmentResults = redactor.redact(assessmentResults);
+  }
+  const uploadComparison = redactor && comparisonInput ? redactor.redact(comparisonInput) : comparisonInput;
+
   // Create jsPDF instance
   const doc = new jsPDF('p', 'mm', 'a4');
   
@@ -306,6 +328,22 @@ export const generateComprehensiveReportPDF = async (
   doc.text('AWS to GCP Migration', pageWidth / 2, 30, { align: 'center' });
   setFont(FONT_SIZE.COVER, FONT_NORMAL);
   doc.text('Assessment Report', pageWidth / 2, 40, { align: 'center' });
+  if (redactor) {
+    setFont(FONT_SIZE.BASE, FONT_NORMAL);
+    doc.text('Anonymised: account IDs, resource IDs, bucket names and tag values are pseudonyms', pageWidth / 2, 52, { align: 'center' });
+  }
+  // Sampled CUR: flagged on the cover, breakdown confidence intervals in Data Quality & Validation
+  const sampling = reportData?.summary?.sampling;
+  if (sampling) {
+    doc.setFillColor(255, 193, 7);
+    doc.rect(0, 60, pageWidth, 10, 'F');
+    doc.setTextColor(33, 37, 41);
+    setFont(FONT_SIZE.BASE, FONT_BOLD);
+    doc.text(
+      `SAMPLED: ${formatNumber(sampling.sampledResources)} of ~${formatNumber(sampling.estimatedResources?.estimate)} resources - costs scaled to the bill, counts are estimates`,
+      pageWidth / 2, 66.5, { align: 'center' }
+    );
+  }
   
   doc.setTextColor(0, 0, 0);
   setFont(FONT_SIZE.XL, FONT_NORMAL);
@@ -341,6 +379,16 @@ export const generateComprehensiveReportPDF = async (
     ['Regions', formatNumber(summary.totalRegions || 0)],
     ['AWS Services', formatNumber(summary.totalServices || 0)]
   ];
+  if (summary.costBasis) {
+    // The AWS baseline GCP estimates are compared against (unblended / amortized / net amortized)
+    const fallbackCount = summary.costBasis.fallbackFiles?.length || 0;
+    summaryData.push([
+      'AWS Cost Basis',
+      fallbackCount > 0
+        ? `${summary.costBasis.label} (unblended for ${fallbackCount} file(s) without RI / Savings Plan columns)`
+        : summary.costBasis.label
+    ]);
+  }
 
   callAutoTable({
     startY: yPos,
@@ -411,6 +459,21 @@ export const generateComprehensiveReportPDF = async (
       margin, yPos, { maxWidth: contentWidth }
     );
   
+  if (sampling) {
+    yPos += SPACING.MD;
+    setFont(FONT_SIZE.MD, FONT_NORMAL);
+    doc.setTextColor(156, 105, 0);
+    doc.text(
+      `Sampled: workloads are a sample of up to ${formatNumber(sampling.resourcesPerStratum)} resources per service and region ` +
+      `(~${formatNumber(sampling.estimatedResources?.estimate)} resources in total, ${Math.round((sampling.confidenceLevel || 0.95) * 100)}% CI ` +
+      `${formatNumber(sampling.estimatedResources?.low)} - ${formatNumber(sampling.estimatedResources?.high)}). ` +
+      `Service and region costs match the bill exactly; workload counts and breakdowns are estimates (see Data Quality & Validation).`,
+      margin, yPos, { maxWidth: contentWidth }
+    );
+    doc.setTextColor(0, 0, 0);
+    yPos += SPACING.MD;
+  }
+  
   // Add note if cost seems unusually low (might indicate deduplication issue)
   if (totalCost > 0 && totalCost < 10000 && summaryForText.totalWorkloads > 100) {
     yPos += SPACING.MD;
@@ -813,7 +876,8 @@ export const generateComprehensiveReportPDF = async (
         (service?.count || 0).toLocaleString(),
         formatCurrency(service?.totalCost || 0),
         service?.averageComplexity ? service.averageComplexity.toFixed(1) : 'N/A',
-        service?.gcpService || 'N/A',
+        // Project mapping overrides (serviceMappingOverrides.js) are marked so readers know the target was chosen
+        service?.mappingOverridden ? `${service.gcpService} (project override)` : service?.gcpService || 'N/A',
         service?.migrationStrategy || 'N/A'
       ]);
     }
@@ -930,6 +994,105 @@ export const generateComprehensiveReportPDF = async (
     yPos += SPACING.LG;
   }
 
+  // ==========================================
+  // LINKED ACCOUNT SUMMARY
+  // ==========================================
+  // Only for multi-account (AWS Organizations) bills - single-account exports have no account column
+  const accounts = Array.isArray(reportData?.accounts) ? reportData.accounts : [];
+  const knownAccounts = accounts.filter(account => account?.accountId !== ReportDataAggregator.UNKNOWN_ACCOUNT);
+  if (knownAccounts.length > 0) {
+    checkPageBreak(30);
+    addSectionHeader('Linked Account Summary', [108, 117, 125]);
+
+    setFont(FONT_SIZE.BASE, FONT_NORMAL);
+    doc.text(
+      `Cost and migration readiness across ${knownAccounts.length} linked accounts, to plan the migration account by account.`,
+      margin, yPos, { maxWidth: contentWidth }
+    );
+    yPos += SPACING.LG;
+
+    // SAFETY: Accounts are already sorted by cost; cap the table for very large organizations
+    const MAX_ACCOUNT_ROWS = 500;
+    if (accounts.length > MAX_ACCOUNT_ROWS) {
+      console.warn(`[reportPdfGenerator] Too many accounts (${accounts.length}), limiting to ${MAX_ACCOUNT_ROWS}`);
+    }
+    const accountTableData = accounts.slice(0, MAX_ACCOUNT_ROWS).map(account => [
+      account?.accountName ? `${account.accountName}\n${account.accountId}` : (account?.accountId || 'Unknown'),
+      (account?.count || 0).toLocaleString(),
+      formatCurrency(account?.totalCost || 0),
+      (account?.topServices || []).join(', ') || 'N/A',
+      `${account?.readiness?.ready || 0} / ${account?.readiness?.conditional || 0} / ${account?.readiness?.notReady || 0}`
+    ]);
+
+    callAutoTable({
+      startY: yPos,
+      head: [['Account', 'Workloads', 'Monthly Cost', 'Top Services', 'Ready / Cond. / Not Ready']],
+      body: accountTableData,
+      theme: 'grid',
+      headStyles: { fillColor: [108, 117, 125], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+      margin: { left: margin, right: margin },
+      styles: { fontSize: FONT_SIZE.SM, font: FONT_FAMILY },
+      columnStyles: {
+        0: { cellWidth: 42 },
+        1: { cellWidth: 22, halign: 'center' },
+        2: { cellWidth: 30, halign: 'right' },
+        3: { cellWidth: 44 },
+        4: { cellWidth: 32, halign: 'center' }
+      }
+    });
+    yPos = getLastAutoTable().finalY + SPACING.LG;
+  }
+
+  // ==========================================
+  // INVOICE RECONCILIATION
+  // ==========================================
+  // Ties the migration baseline back to the invoice total, line item type by line item type
+  const lineItemLedger = reportData?.summary?.lineItemLedger;
+  if (Array.isArray(lineItemLedger?.entries) && lineItemLedger.entries.length > 0) {
+    checkPageBreak(30);
+    addSectionHeader('Invoice Reconciliation', [108, 117, 125]);
+
+    setFont(FONT_SIZE.BASE, FONT_NORMAL);
+    doc.text(
+      'Billed cost per line item type. Excluded types (such as credits, refunds and tax) are not part of the migration baseline.',
+      margin, yPos, { maxWidth: contentWidth }
+    );
+    yPos += SPACING.LG;
+
+    const ledgerTableData = lineItemLedger.entries.map(entry => [
+      entry.type,
+      (entry.rows || 0).toLocaleString(),
+      formatCurrency(entry.unblendedCost || 0),
+      entry.includedInBaseline ? formatCurrency(entry.cost || 0) : '-',
+      entry.includedInBaseline ? 'Yes' : 'No'
+    ]);
+
+    callAutoTable({
+      startY: yPos,
+      head: [['Line Item Type', 'Rows', 'Billed Cost', 'Baseline Cost', 'In Baseline']],
+      body: ledgerTableData,
+      foot: [
+        ['Invoice total', '', formatCurrency(lineItemLedger.invoiceTotal || 0), '', ''],
+        ['Excluded line item types', '', formatCurrency(-(lineItemLedger.excludedTotal || 0)), '', ''],
+        ['Cost basis adjustment', '', formatCurrency(lineItemLedger.costBasisAdjustment || 0), '', ''],
+        ['Migration baseline', '', formatCurrency(lineItemLedger.baselineTotal || 0), '', '']
+      ],
+      theme: 'grid',
+      headStyles: { fillColor: [108, 117, 125], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+      footStyles: { fillColor: [233, 236, 239], textColor: [33, 37, 41], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+      margin: { left: margin, right: margin },
+      styles: { fontSize: FONT_SIZE.SM, font: FONT_FAMILY },
+      columnStyles: {
+        0: { cellWidth: 50 },
+        1: { cellWidth: 24, halign: 'right' },
+        2: { cellWidth: 36, halign: 'right' },
+        3: { cellWidth: 36, halign: 'right' },
+        4: { cellWidth: 24, halign: 'center' }
+      }
+    });
+    yPos = getLastAutoTable().finalY + SPACING.LG;
+  }
+
   // ==========================================
   // COST ANALYSIS AGENT SUMMARY
   // ==========================================
@@ -1056,8 +1219,182 @@ export const generateComprehensiveReportPDF = async (
       yPos += SPACING.XL;
     }
 
+    // Usage component split of the services priced per component (CUR usage types)
+    const componentTotals = hasCostEstimates ? GCPCostEstimator.calculateTotalCosts(costEstimates).byComponent : {};
+    const componentRows = COST_COMPONENTS
+      .filter(component => componentTotals[component])
+      .map(component => {
+        const costs = componentTotals[component];
+        return [
+          COST_COMPONENT_LABELS[component],
+          formatCurrency(costs.awsCost),
+          formatCurrency(costs.gcpOnDemand),
+          formatCurrency(costs.gcp1YearCUD),
+          formatCurrency(costs.gcp3YearCUD)
+        ];
+      });
+    if (componentRows.length > 0) {
+      checkPageBreak(40);
+      setFont(FONT_SIZE.LG, FONT_BOLD);
+      doc.setTextColor(40, 167, 69);
+      doc.text('Cost by Usage Component', margin, yPos);
+      yPos += SPACING.SM;
+      setFont(FONT_SIZE.SM, FONT_NORMAL);
+      doc.setTextColor(100, 100, 100);
+      doc.text(
+        'Billed rows split by usage type (instance hours, volumes, data transfer, licences). ' +
+        'Committed use discounts apply to compute and to storage services\' storage only.',
+        margin, yPos, { maxWidth: contentWidth }
+      );
+      yPos += SPACING.MD;
+      doc.setTextColor(0, 0, 0);
+      callAutoTable({
+        startY: yPos,
+        head: [['Component', 'AWS Cost', 'GCP On-Demand', 'GCP 1Y CUD', 'GCP 3Y CUD']],
+        body: componentRows,
+        theme: 'grid',
+        headStyles: { fillColor: [40, 167, 69], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+        margin: { left: margin, right: margin },
+        styles: { fontSize: FONT_SIZE.XS, font: FONT_FAMILY },
+        columnStyles: {
+          1: { halign: 'right' },
+          2: { halign: 'right' },
+          3: { halign: 'right' },
+          4: { halign: 'right' }
+        }
+      });
+      yPos = getLastAutoTable().finalY + SPACING.LG;
+    }
+
+    // GCP machine type of each instance type under the selected rightsizing policy
+    const machineMatches = MachineTypeMatchService.analyzeMatches(allServicesList, { topN: 15 });
+    if (machineMatches.matches.length > 0) {
+      const policyOption = RIGHTSIZING_POLICY_OPTIONS.find(option => option.value === machineMatches.policy);
+      checkPageBreak(40);
+      setFont(FONT_SIZE.LG, FONT_BOLD);
+      doc.setTextColor(40, 167, 69);
+      doc.text('Machine Type Matches', margin, yPos);
+      yPos += SPACING.SM;
+      setFont(FONT_SIZE.SM, FONT_NORMAL);
+      doc.setTextColor(100, 100, 100);
+      doc.text(
+        `Rightsizing policy: ${policyOption.label} (${policyOption.description.toLowerCase()}). ` +
+        `${formatCurrency(machineMatches.matchedCost)} of ${formatCurrency(machineMatches.totalCost)} instance spend has a GCP machine type.`,
+        margin, yPos, { maxWidth: contentWidth }
+      );
+      yPos += SPACING.MD;
+      doc.setTextColor(0, 0, 0);
+      callAutoTable({
+        startY: yPos,
+        head: [['Instance Type', 'Instances', 'AWS Cost', 'GCP Machine Type', 'Reason']],
+        body: machineMatches.matches.map(entry => [
+          entry.instanceType,
+          entry.count.toLocaleString(),
+          formatCurrency(entry.cost),
+          entry.match?.machineType || 'No match',
+          entry.match?.reason || 'Not in the instance type catalog'
+        ]),
+        theme: 'grid',
+        headStyles: { fillColor: [40, 167, 69], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+        margin: { left: margin, right: margin },
+        styles: { fontSize: FONT_SIZE.XS, font: FONT_FAMILY },
+        columnStyles: {
+          1: { halign: 'right' },
+          2: { halign: 'right' },
+          4: { cellWidth: contentWidth * 0.45 }
+        }
+      });
+      yPos = getLastAutoTable().finalY + SPACING.LG;
+    }
+
+    // Cloud SQL / AlloyDB tier of each RDS / Aurora database
+    const databaseMatches = DatabaseTierMatchService.analyzeMatches(allServicesList, { topN: 15 });
+    if (databaseMatches.matches.length > 0) {
+      checkPageBreak(40);
+      setFont(FONT_SIZE.LG, FONT_BOLD);
+      doc.setTextColor(40, 167, 69);
+      doc.text('Database Tier Matches', margin, yPos);
+      yPos += SPACING.SM;
+      setFont(FONT_SIZE.SM, FONT_NORMAL);
+      doc.setTextColor(100, 100, 100);
+      doc.text(
+        `${formatCurrency(databaseMatches.matchedCost)} of ${formatCurrency(databaseMatches.totalCost)} database spend has a ` +
+        `Cloud SQL or AlloyDB match, at ${formatCurrency(databaseMatches.gcpCost)} on GCP.`,
+        margin, yPos, { maxWidth: contentWidth }
+      );
+      yPos += SPACING.MD;
+      doc.setTextColor(0, 0, 0);
+      callAutoTable({
+        startY: yPos,
+        head: [['Instance Class', 'Databases', 'AWS Cost', 'GCP Tier', 'GCP Cost', 'Reason']],
+        body: databaseMatches.matches.map(entry => [
+          entry.instanceType || (entry.serverless ? 'Serverless' : 'Storage only'),
+          entry.count.toLocaleString(),
+          formatCurrency(entry.cost),
+          entry.match?.product
+            ? `${entry.match.tier || entry.match.productLabel}${entry.match.highAvailability ? ' (HA)' : ''}`
+            : 'No match',
+          entry.gcpCost ? formatCurrency(entry.gcpCost.total) : '-',
+          entry.match?.reason || 'Instance class not in the instance type catalog'
+        ]),
+        theme: 'grid',
+        headStyles: { fillColor: [40, 167, 69], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+        margin: { left: margin, right: margin },
+        styles: { fontSize: FONT_SIZE.XS, font: FONT_FAMILY },
+        columnStyles: {
+          1: { halign: 'right' },
+          2: { halign: 'right' },
+          4: { halign: 'right' },
+          5: { cellWidth: contentWidth * 0.4 }
+        }
+      });
+      yPos = getLastAutoTable().finalY + SPACING.LG;
+    }
+
+    // Cloud Storage class of each S3 storage class
+    const storageClassMatches = StorageClassMatchService.analyzeMatches(allServicesList, { topN: 15 });
+    if (storageClassMatches.matches.length > 0) {
+      checkPageBreak(40);
+      setFont(FONT_SIZE.LG, FONT_BOLD);
+      doc.setTextColor(40, 167, 69);
+      doc.text('Storage Class Matches', margin, yPos);
+      yPos += SPACING.SM;
+      setFont(FONT_SIZE.SM, FONT_NORMAL);
+      doc.setTextColor(100, 100, 100);
+      doc.text(
+        `${formatCurrency(storageClassMatches.matchedCost)} of ${formatCurrency(storageClassMatches.totalCost)} object storage spend ` +
+        `is storage, requests and retrieval with a Cloud Storage class, at ${formatCurrency(storageClassMatches.gcpCost)} on GCP.`,
+        margin, yPos, { maxWidth: contentWidth }
+      );
+      yPos += SPACING.MD;
+      doc.setTextColor(0, 0, 0);
+      callAutoTable({
+        startY: yPos,
+        head: [['S3 Storage Class', 'GB Stored', 'AWS Cost', 'Cloud Storage Class', 'GCP Cost', 'Reason']],
+        body: storageClassMatches.matches.map(entry => [
+          entry.label,
+          Math.round(entry.gbMonths).toLocaleString(),
+          formatCurrency(entry.cost),
+          entry.match.label || 'No match',
+          entry.gcpCost ? formatCurrency(entry.gcpCost.total) : '-',
+          entry.match.reason
+        ]),
+        theme: 'grid',
+        headStyles: { fillColor: [40, 167, 69], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+        margin: { left: margin, right: margin },
+        styles: { fontSize: FONT_SIZE.XS, font: FONT_FAMILY },
+        columnStyles: {
+          1: { halign: 'right' },
+          2: { halign: 'right' },
+          4: { halign: 'right' },
+          5: { cellWidth: contentWidth * 0.4 }
+        }
+      });
+      yPos = getLastAutoTable().finalY + SPACING.LG;
+    }
+
     // Total cost summary - sum ALL services (not just top N)
-    // Use absolute values to handle negative costs (credits) properly
+    // AWS cost is summed signed so credits in the baseline net off, as on the invoice
     // Note: costEstimates is validated at function start, so it's guaranteed to be a non-empty array
     // SAFETY: Batch reduce to avoid stack overflow with large cost estimates arrays
     const totalCosts = { aws: 0, gcpOnDemand: 0, gcp1Year: 0, gcp3Year: 0 };
@@ -1067,8 +1404,7 @@ export const generateComprehensiveReportPDF = async (
       const batch = costEstimates.slice(i, Math.min(i + COST_ESTIMATE_BATCH_SIZE, costEstimates.length));
       for (const est of batch) {
         const costs = est?.costEstimate || {};
-        // Use absolute value for AWS cost (handles credits/refunds)
-        totalCosts.aws += Math.abs(costs.awsCost || 0);
+        totalCosts.aws += costs.awsCost || 0;
         totalCosts.gcpOnDemand += Math.max(0, costs.gcpOnDemand || 0);
         totalCosts.gcp1Year += Math.max(0, costs.gcp1YearCUD || 0);
         totalCosts.gcp3Year += Math.max(0, costs.gcp3YearCUD || 0);
@@ -2170,6 +2506,118 @@ export const generateComprehensiveReportPDF = async (
 
     yPos = getLastAutoTable().finalY + SPACING.LG;
 
+    // Sampled CUR: confidence intervals of the estimated breakdowns
+    if (sampling?.intervals) {
+      for (const breakdown of ReportDataAggregator.SAMPLING_BREAKDOWNS) {
+        const intervals = sampling.intervals[breakdown.key];
+        if (!intervals) continue;
+        const rows = Object.entries(breakdown.categories)
+          .filter(([category]) => intervals[category])
+          .map(([category, label]) => {
+            const estimate = intervals[category];
+            return [
+              label,
+              formatNumber(estimate.count.estimate),
+              `${formatNumber(estimate.count.low)} - ${formatNumber(estimate.count.high)}`,
+              formatCurrency(estimate.cost.estimate),
+              `${formatCurrency(estimate.cost.low)} - ${formatCurrency(estimate.cost.high)}`
+            ];
+          });
+        checkPageBreak(30);
+        callAutoTable({
+          startY: yPos,
+          head: [[`${breakdown.label} (sampled)`, 'Resources', `${Math.round((sampling.confidenceLevel || 0.95) * 100)}% CI`, 'Cost', `${Math.round((sampling.confidenceLevel || 0.95) * 100)}% CI`]],
+          body: rows,
+          theme: 'grid',
+          headStyles: { fillColor: [255, 193, 7], textColor: [33, 37, 41], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+          margin: { left: margin, right: margin },
+          styles: { fontSize: FONT_SIZE.SM, font: FONT_FAMILY },
+          columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' }, 4: { halign: 'right' } }
+        });
+        yPos = getLastAutoTable().finalY + SPACING.MD;
+      }
+    }
+
+    // Ingestion report: what the parser dropped and why, and spend on unmapped product codes
+    const ingestion = dataQuality.ingestion;
+    if (ingestion && (ingestion.reasons.length > 0 || ingestion.topUnknownProductCodes.length > 0)) {
+      if (ingestion.reasons.length > 0) {
+        checkPageBreak(30);
+        callAutoTable({
+          startY: yPos,
+          head: [['Rejection Reason', 'Rows', 'Cost']],
+          body: ingestion.reasons.map(entry => [entry.label, entry.rows.toLocaleString(), formatCurrency(entry.cost)]),
+          foot: [['Total rejected', ingestion.totalRejectedRows.toLocaleString(), formatCurrency(ingestion.totalRejectedCost)]],
+          theme: 'grid',
+          headStyles: { fillColor: [108, 117, 125], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+          footStyles: { fillColor: [233, 236, 239], textColor: [33, 37, 41], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+          margin: { left: margin, right: margin },
+          styles: { fontSize: FONT_SIZE.SM, font: FONT_FAMILY },
+          columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' } }
+        });
+        yPos = getLastAutoTable().finalY + SPACING.MD;
+      }
+
+      if (ingestion.topUnknownProductCodes.length > 0) {
+        checkPageBreak(30);
+        callAutoTable({
+          startY: yPos,
+          head: [['Unmapped Product Code', 'Rows', 'Cost']],
+          body: ingestion.topUnknownProductCodes.map(entry => [entry.productCode, entry.rows.toLocaleString(), formatCurrency(entry.cost)]),
+          theme: 'grid',
+          headStyles: { fillColor: [108, 117, 125], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+          margin: { left: margin, right: margin },
+          styles: { fontSize: FONT_SIZE.SM, font: FONT_FAMILY },
+          columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' } }
+        });
+        yPos = getLastAutoTable().finalY + SPACING.MD;
+      }
+
+      if (ingestion.rejectedRowsInFile > 0) {
+        checkPageBreak(15);
+        setFont(FONT_SIZE.SM, FONT_NORMAL);
+        doc.text(
+          `The rejected rows${ingestion.rejectedRowsCapped ? ` (first ${ingestion.rejectedRowsInFile.toLocaleString()})` : ''} can be downloaded as CSV, with a reason column, from the Data Quality section of the report view.`,
+          margin, yPos, { maxWidth: contentWidth }
+        );
+        yPos += SPACING.LG;
+      }
+    }
+
+    // Service mapping coverage: spend without an explicit GCP mapping (built-in or project override)
+    const coverage = dataQuality.mappingCoverage;
+    if (coverage && coverage.coveredShare !== null) {
+      checkPageBreak(20);
+      setFont(FONT_SIZE.BASE, FONT_NORMAL);
+      doc.text(
+        `Service mapping coverage: ${(coverage.coveredShare * 100).toFixed(1)}% of spend (${formatCurrency(coverage.explicitCost)} of ${formatCurrency(coverage.totalCost)}) has an explicit GCP mapping` +
+          `${coverage.overrideCost !== 0 ? `, ${formatCurrency(coverage.overrideCost)} of it through project mapping overrides` : ''}.`,
+        margin, yPos, { maxWidth: contentWidth }
+      );
+      yPos += SPACING.LG;
+
+      if (coverage.uncovered.length > 0) {
+        checkPageBreak(30);
+        callAutoTable({
+          startY: yPos,
+          head: [['Service Without Explicit Mapping', 'Product Codes', 'Workloads', 'Cost', 'Current Target']],
+          body: coverage.uncovered.map(entry => [
+            entry.service,
+            entry.productCodes.join(', ') || '-',
+            entry.count.toLocaleString(),
+            formatCurrency(entry.cost),
+            entry.mappingSource === MappingSource.GENERIC ? `${entry.gcpService} (generic rule)` : entry.gcpService
+          ]),
+          theme: 'grid',
+          headStyles: { fillColor: [108, 117, 125], fontStyle: FONT_BOLD, font: FONT_FAMILY },
+          margin: { left: margin, right: margin },
+          styles: { fontSize: FONT_SIZE.SM, font: FONT_FAMILY },
+          columnStyles: { 2: { halign: 'right' }, 3: { halign: 'right' } }
+        });
+        yPos = getLastAutoTable().finalY + SPACING.MD;
+      }
+    }
+
     // Validation warnings
     if (parseFloat(dataQuality.completeness) < 80) {
       setFont(FONT_SIZE.BASE, FONT_NORMAL);
@@ -2513,9 +2961,56 @@ export const generateComprehensiveReportPDF = async (
         return 'Error generating workload list.';
       }
     })(),
-    true // Last appendix
+    !uploadComparison // Last appendix unless the upload comparison follows
   );
 
+  // Appendix K: Changes Since the Previous Upload
+  if (uploadComparison) {
+    addAppendix(
+      'K',
+      'Changes Since the Previous Upload',
+      (() => {
+        const { totals, workloads, services } = uploadComparison;
+        const delta = (value) => `${value > 0 ? '+' : ''}${formatCurrency(value)}`;
+        const formatWorkload = (w) => `${w.name.substring(0, 50)} | ${w.service} | ${w.region}`;
+        const moved = services.filter(service => service.moved);
+
+        let content = `Previous upload: ${uploadComparison.base.label}\n`;
+        content += `Current upload: ${uploadComparison.current.label}\n`;
+        content += `AWS monthly cost: ${formatCurrency(totals.awsBefore)} -> ${formatCurrency(totals.awsAfter)}\n`;
+        content += `GCP monthly estimate: ${formatCurrency(totals.gcpBefore)} -> ${formatCurrency(totals.gcpAfter)}\n`;
+        content += `Thresholds: ${formatCurrency(uploadComparison.options.minCostChange)} and ${uploadComparison.options.minCostChangePercent}% per month\n`;
+        if (!uploadComparison.base.workloadsComplete || !uploadComparison.current.workloadsComplete) {
+          content += 'Workload cost changes are incomplete: only part of the workload list is cached for large uploads.\n';
+        }
+
+        content += `\nGCP estimates that moved (${moved.length}):\n`;
+        moved.slice(0, 25).forEach(service => {
+          content += `  - ${service.service} (${service.gcpService || service.status}): ${formatCurrency(service.gcpBefore)} -> ${formatCurrency(service.gcpAfter)} (${delta(service.gcpDelta)})\n`;
+        });
+
+        content += `\nChanged workloads (${workloads.changed.length}):\n`;
+        workloads.changed.slice(0, 25).forEach(w => {
+          content += `  - ${formatWorkload(w)} | ${formatCurrency(w.before)} -> ${formatCurrency(w.after)} (${delta(w.delta)})\n`;
+        });
+
+        content += `\nAdded workloads (${workloads.added.length}):\n`;
+        workloads.added.slice(0, 25).forEach(w => {
+          content += `  - ${formatWorkload(w)} | ${formatCurrency(w.monthlyCost)}\n`;
+        });
+
+        content += `\nRemoved workloads (${workloads.removed.length}):\n`;
+        workloads.removed.slice(0, 25).forEach(w => {
+          content += `  - ${formatWorkload(w)} | ${formatCurrency(w.monthlyCost)}\n`;
+        });
+
+        content += '\nEach list shows the 25 largest changes; the web interface lists more.';
+        return content;
+      })(),
+      true // Last appendix
+    );
+  }
+
   // ==========================================
   // FOOTER ON ALL PAGES
   // ==========================================
@@ -2535,6 +3030,10 @@ export const generateComprehensiveReportPDF = async (
   // Save the PDF
   const fileName = `migration-assessment-report-${projectName.replace(/\s+/g, '-').toLowerCase()}-${new Date().toISOString().split('T')[0]}.pdf`;
   
+  if (output === 'arraybuffer') {
+    return doc.output('arraybuffer');
+  }
+  
   console.log('[PDF] Saving PDF file:', fileName);
   console.log('[PDF] PDF document pages:', doc.internal.getNumberOfPages());
   
@@ -0,0 +1,150 @@
+/**
+ * S3 Usage Profile
+ *
+ * What a CUR says about an S3 bucket (or Glacier vault), beyond its cost: from `lineItem/UsageType` and
+ * `lineItem/UsageAmount`, the GB-months stored in each storage class, the requests (tier 1: PUT, COPY,
+ * POST, LIST and lifecycle transitions; tier 2: GET and the rest), the GB retrieved from the classes that
+ * charge retrieval, and the objects monitored by Intelligent-Tiering. Each class also keeps the cost of its
+ * rows. Parsers record it on each bucket workload (Workload.storageUsage) so the bucket can be sized as
+ * Cloud Storage classes (gcpStorageClassMatcher.js).
+ *
+ * Intelligent-Tiering access tiers are classes of their own, so Autoclass can be priced at the class each
+ * tier lands in. Usage types carry a region prefix, stripped as for cost components (usageTypeClassifier.js):
+ *   TimedStorage-ByteHrs, TimedStorage-SIA-ByteHrs, TimedStorage-ZIA-SmObjects, TimedStorage-GlacierByteHrs,
+ *   TimedStorage-GDA-Staging, TimedStorage-INT-AIA-ByteHrs, Requests-Tier1, Requests-GIR-Tier2,
+ *   Retrieval-SIA, Bulk-Retrieval-Bytes, Monitoring-Automation-INT
+ */
+
+import { stripUsageTypeRegion } from './usageTypeClassifier.js';
+
+export const S3StorageClass = {
+  STANDARD: 'standard',
+  REDUCED_REDUNDANCY: 'reduced-redundancy',
+  STANDARD_IA: 'standard-ia',
+  ONE_ZONE_IA: 'one-zone-ia',
+  GLACIER_INSTANT_RETRIEVAL: 'glacier-instant-retrieval',
+  GLACIER_FLEXIBLE_RETRIEVAL: 'glacier-flexible-retrieval',
+  DEEP_ARCHIVE: 'deep-archive',
+  INTELLIGENT_TIERING: 'intelligent-tiering',
+  INTELLIGENT_TIERING_INFREQUENT: 'intelligent-tiering-infrequent',
+  INTELLIGENT_TIERING_ARCHIVE_INSTANT: 'intelligent-tiering-archive-instant',
+  INTELLIGENT_TIERING_ARCHIVE: 'intelligent-tiering-archive',
+  INTELLIGENT_TIERING_DEEP_ARCHIVE: 'intelligent-tiering-deep-archive'
+};
+
+export const S3_STORAGE_CLASS_LABELS = {
+  [S3StorageClass.STANDARD]: 'Standard',
+  [S3StorageClass.REDUCED_REDUNDANCY]: 'Reduced Redundancy',
+  [S3StorageClass.STANDARD_IA]: 'Standard-IA',
+  [S3StorageClass.ONE_ZONE_IA]: 'One Zone-IA',
+  [S3StorageClass.GLACIER_INSTANT_RETRIEVAL]: 'Glacier Instant Retrieval',
+  [S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL]: 'Glacier Flexible Retrieval',
+  [S3StorageClass.DEEP_ARCHIVE]: 'Glacier Deep Archive',
+  [S3StorageClass.INTELLIGENT_TIERING]: 'Intelligent-Tiering (Frequent)',
+  [S3StorageClass.INTELLIGENT_TIERING_INFREQUENT]: 'Intelligent-Tiering (Infrequent)',
+  [S3StorageClass.INTELLIGENT_TIERING_ARCHIVE_INSTANT]: 'Intelligent-Tiering (Archive Instant)',
+  [S3StorageClass.INTELLIGENT_TIERING_ARCHIVE]: 'Intelligent-Tiering (Archive)',
+  [S3StorageClass.INTELLIGENT_TIERING_DEEP_ARCHIVE]: 'Intelligent-Tiering (Deep Archive)'
+};
+
+// Storage class token of a usage type (upper case)
+const CLASS_TOKENS = {
+  '': S3StorageClass.STANDARD,
+  RRS: S3StorageClass.REDUCED_REDUNDANCY,
+  SIA: S3StorageClass.STANDARD_IA,
+  ZIA: S3StorageClass.ONE_ZONE_IA,
+  GIR: S3StorageClass.GLACIER_INSTANT_RETRIEVAL,
+  GLACIER: S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL,
+  GDA: S3StorageClass.DEEP_ARCHIVE,
+  INT: S3StorageClass.INTELLIGENT_TIERING,
+  'INT-FA': S3StorageClass.INTELLIGENT_TIERING,
+  'INT-IA': S3StorageClass.INTELLIGENT_TIERING_INFREQUENT,
+  'INT-AIA': S3StorageClass.INTELLIGENT_TIERING_ARCHIVE_INSTANT,
+  'INT-AA': S3StorageClass.INTELLIGENT_TIERING_ARCHIVE,
+  'INT-DAA': S3StorageClass.INTELLIGENT_TIERING_DEEP_ARCHIVE
+};
+
+const S3_PRODUCT_CODE = /^(AMAZON)?S3$/;
+const GLACIER_PRODUCT_CODE = /^(AMAZON)?GLACIER$/;
+
+// Small object overhead and Glacier staging / index overhead are billed as storage of their class
+const STORAGE_USAGE = /^TimedStorage-(?:(RRS|SIA|ZIA|GIR|GDA|INT-(?:FA|IA|AIA|AA|DAA))-|(Glacier))?(?:ByteHrs|SmObjects|Staging|ObjectOverhead)$/i;
+const REQUEST_USAGE = /^Requests-(?:(RRS|SIA|ZIA|GIR|GDA|GLACIER|INT)-)?Tier(\d)$/i;
+const RETRIEVAL_USAGE = /Retrieval/i;
+const RETRIEVAL_CLASS = /(?:^|-)(SIA|ZIA|GIR|GDA|INT)(?:-|$)/i;
+const MONITORING_USAGE = /^Monitoring-Automation-INT$/i;
+
+/**
+ * Empty usage record of one storage class
+ * @returns {{gbMonths: number, tier1Requests: number, tier2Requests: number, retrievalGb: number,
+ *   monitoredObjects: number, cost: number}}
+ */
+export function emptyStorageClassUsage() {
+  return { gbMonths: 0, tier1Requests: 0, tier2Requests: 0, retrievalGb: 0, monitoredObjects: 0, cost: 0 };
+}
+
+/**
+ * Read the storage class quantities of one S3 / Glacier CUR row
+ * @param {Object} row
+ * @param {string} row.productCode - lineItem/ProductCode
+ * @param {string} row.usageType - lineItem/UsageType
+ * @param {number|string} row.usageAmount - lineItem/UsageAmount (GB-months, requests, GB or objects)
+ * @param {number|string} row.cost - Cost of the row
+ * @returns {Object|null} {[S3StorageClass]: class usage} with the row's class, or null for rows of other
+ *   services and S3 rows that are not storage, requests, retrieval or monitoring (transfer, early deletes...)
+ */
+export function readS3Usage({ productCode, usageType, usageAmount, cost }) {
+  const normalizedProductCode = String(productCode || '').trim().toUpperCase();
+  const isGlacierVault = GLACIER_PRODUCT_CODE.test(normalizedProductCode);
+  if (!isGlacierVault && !S3_PRODUCT_CODE.test(normalizedProductCode)) return null;
+
+  const amount = parseFloat(usageAmount) || 0;
+  const normalizedUsageType = stripUsageTypeRegion(usageType);
+  const usage = emptyStorageClassUsage();
+  let storageClass = null;
+
+  const storage = STORAGE_USAGE.exec(normalizedUsageType);
+  const requests = !storage && REQUEST_USAGE.exec(normalizedUsageType);
+  if (storage) {
+    storageClass = CLASS_TOKENS[(storage[1] || storage[2] || '').toUpperCase()];
+    usage.gbMonths = amount;
+  } else if (requests) {
+    storageClass = CLASS_TOKENS[(requests[1] || '').toUpperCase()];
+    usage[requests[2] === '2' ? 'tier2Requests' : 'tier1Requests'] = amount;
+  } else if (MONITORING_USAGE.test(normalizedUsageType)) {
+    storageClass = S3StorageClass.INTELLIGENT_TIERING;
+    usage.monitoredObjects = amount;
+  } else if (RETRIEVAL_USAGE.test(normalizedUsageType)) {
+    // Bulk / Standard / Expedited retrievals without a class token restore Glacier Flexible Retrieval objects
+    const token = RETRIEVAL_CLASS.exec(normalizedUsageType);
+    storageClass = token ? CLASS_TOKENS[token[1].toUpperCase()] : S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL;
+    usage.retrievalGb = amount;
+  } else {
+    return null;
+  }
+
+  // Glacier vaults bill their storage and requests without a class token
+  if (isGlacierVault && storageClass === S3StorageClass.STANDARD) {
+    storageClass = S3StorageClass.GLACIER_FLEXIBLE_RETRIEVAL;
+  }
+  usage.cost = parseFloat(cost) || 0;
+  return { [storageClass]: usage };
+}
+
+/**
+ * Scale the quantities and costs of a storage usage record (sampled CURs: a sampled bucket stands for several)
+ * @param {Object|null} usage - Workload.storageUsage
+ * @param {number} factor
+ * @returns {Object|null} New record with every quantity scaled
+ */
+export function scaleStorageUsage(usage, factor) {
+  if (!usage) return null;
+  const scaled = {};
+  for (const [storageClass, classUsage] of Object.entries(usage)) {
+    scaled[storageClass] = {};
+    for (const [key, value] of Object.entries(classUsage)) {
+      scaled[storageClass][key] = typeof value === 'number' ? value * factor : value;
+    }
+  }
+  return scaled;
+}
@@ -2,8 +2,13 @@
  * Service Mapping Utilities
  * Maps AWS and Azure services to their GCP equivalents
  * Used for cloud-to-cloud migration planning
+ *
+ * The lookups apply the active project's overrides (see serviceMappingOverrides.js) on top of
+ * the built-in mappings below.
  */
 
+import { findMappingOverride, applyMappingOverride } from './serviceMappingOverrides.js';
+
 // AWS to GCP Service Mapping
 export const awsToGcpMapping = {
   // Compute Services
@@ -707,6 +712,18 @@ export const azureToGcpMapping = {
       'Azure AD integration vs GCP IAM'
     ]
   },
+  'Container Registry': {
+    gcpService: 'Artifact Registry',
+    gcpApi: 'artifactregistry.googleapis.com',
+    migrationStrategy: 'Rehost',
+    effort: 'Low',
+    notes: 'Container images and OCI artifacts',
+    considerations: [
+      'Geo-replication maps to multi-region repositories',
+      'Webhooks map to Pub/Sub notifications',
+      'Update image references in deployments'
+    ]
+  },
   'App Service': {
     gcpService: 'App Engine',
     gcpApi: 'appengine.googleapis.com',
@@ -843,6 +860,18 @@ export const azureToGcpMapping = {
       'Partitioning strategies differ'
     ]
   },
+  'Azure Backup': {
+    gcpService: 'Backup and DR Service',
+    gcpApi: 'backupdr.googleapis.com',
+    migrationStrategy: 'Replatform',
+    effort: 'Medium',
+    notes: 'Backup vaults and policies for VMs, disks and databases',
+    considerations: [
+      'Recovery Services vault policies need recreating',
+      'Retention rules map to backup plans',
+      'Existing recovery points are not migrated'
+    ]
+  },
 
   // Database Services
   'Azure SQL Database': {
@@ -1043,6 +1072,18 @@ export const azureToGcpMapping = {
       'URL path-based routing handled differently'
     ]
   },
+  'Bandwidth': {
+    gcpService: 'Cloud Interconnect / Network Egress',
+    gcpApi: 'compute.googleapis.com',
+    migrationStrategy: 'Rehost',
+    effort: 'Low',
+    notes: 'Data transfer between regions and out to the internet',
+    considerations: [
+      'Egress pricing tiers differ (Premium vs Standard network tier)',
+      'Use Cloud Interconnect for predictable high-volume transfer',
+      'Plan data migration strategy to minimize transfer costs'
+    ]
+  },
 
   // Security & Identity
   'Azure Active Directory': {
@@ -1342,9 +1383,18 @@ export const azureToGcpMapping = {
 };
 
 /**
- * Get GCP service mapping for an AWS service
+ * Get GCP service mapping for an AWS service (with the project's override, if any)
  */
 export function getAwsToGcpMapping(awsService) {
+  const mapping = getBuiltInAwsToGcpMapping(awsService);
+  const override = findMappingOverride(awsService, 'aws');
+  return override ? applyMappingOverride(mapping, override) : mapping;
+}
+
+/**
+ * Get the built-in GCP service mapping for an AWS service
+ */
+export function getBuiltInAwsToGcpMapping(awsService) {
   // Normalize service name for lookup
   const normalizedService = String(awsService || '').trim();
   
@@ -1451,9 +1501,18 @@ export function getAwsToGcpMapping(awsService) {
 }
 
 /**
- * Get GCP service mapping for an Azure service
+ * Get GCP service mapping for an Azure service (with the project's override, if any)
  */
 export function getAzureToGcpMapping(azureService) {
+  const mapping = getBuiltInAzureToGcpMapping(azureService);
+  const override = findMappingOverride(azureService, 'azure');
+  return override ? applyMappingOverride(mapping, override) : mapping;
+}
+
+/**
+ * Get the built-in GCP service mapping for an Azure service
+ */
+export function getBuiltInAzureToGcpMapping(azureService) {
   return azureToGcpMapping[azureService] || {
     gcpService: 'Custom Solution Required',
     gcpApi: null,
@@ -1468,6 +1527,53 @@ export function getAzureToGcpMapping(azureService) {
   };
 }
 
+/**
+ * Get GCP service mapping for a service of either source provider
+ * @param {string} service - Service name as carried on the workload
+ * @param {string} sourceProvider - 'aws' (default) or 'azure'
+ */
+export function getSourceToGcpMapping(service, sourceProvider = 'aws') {
+  return sourceProvider === 'azure'
+    ? getAzureToGcpMapping(service)
+    : getAwsToGcpMapping(service);
+}
+
+// How a service's GCP mapping was found (see getMappingSource)
+export const MappingSource = {
+  OVERRIDE: 'override', // Project mapping override
+  BUILT_IN: 'built-in', // Entry in awsToGcpMapping / azureToGcpMapping
+  GENERIC: 'generic', // Catch-all rule (marketplace, support, data transfer, service fees)
+  NONE: 'none' // No mapping ("Custom Solution Required")
+};
+
+/**
+ * How the GCP mapping of a service is found: an override or a built-in entry count as explicit.
+ * RDS without an engine in its name (the AmazonRDS product code) maps to Cloud SQL by rule, with the
+ * engine resolved per database (see DatabaseTierMatchService), so it counts as built-in too.
+ * @param {string} service - Service name as carried on the workload
+ * @param {string} sourceProvider - 'aws' (default) or 'azure'
+ * @returns {string} MappingSource
+ */
+export function getMappingSource(service, sourceProvider = 'aws') {
+  if (findMappingOverride(service, sourceProvider)) {
+    return MappingSource.OVERRIDE;
+  }
+  const normalizedService = String(service || '').trim();
+  if (sourceProvider === 'azure') {
+    return azureToGcpMapping[normalizedService] ? MappingSource.BUILT_IN : MappingSource.NONE;
+  }
+  if (awsToGcpMapping[normalizedService]) {
+    return MappingSource.BUILT_IN;
+  }
+  const mapping = getBuiltInAwsToGcpMapping(normalizedService);
+  if (mapping.gcpApi === 'sqladmin.googleapis.com') {
+    return MappingSource.BUILT_IN;
+  }
+  return mapping.gcpService === 'Custom Solution Required'
+    ? MappingSource.NONE
+    : MappingSource.GENERIC;
+}
+
 /**
  * Get all AWS services
  */
@@ -0,0 +1,425 @@
+/**
+ * Service Mapping Overrides
+ *
+ * Per-project overrides of the built-in AWS / Azure to GCP service mappings (utils/serviceMapping.js),
+ * for engagements that target different services (e.g. ECS to GKE instead of Cloud Run, Aurora to AlloyDB).
+ * An override replaces the target service, strategy, effort and notes of one source service; the
+ * built-in considerations are kept. The overrides of the active project are applied by every mapping
+ * lookup (getAwsToGcpMapping, getAzureToGcpMapping, ServiceMappingRepository), so cost estimates,
+ * migration plans and reports all use them.
+ *
+ * Mapping sets (the overrides of one project) are imported and exported as JSON or YAML.
+ */
+
+const SETTINGS_KEY = 'serviceMappingOverrides';
+
+export const DEFAULT_MAPPING_PROJECT = 'default';
+
+export const MAPPING_SET_VERSION = 1;
+
+// Same values as the built-in mappings (title case)
+export const MAPPING_STRATEGIES = ['Rehost', 'Replatform', 'Refactor', 'Repurchase', 'Retire', 'Retain'];
+export const MAPPING_EFFORTS = ['Low', 'Medium', 'High'];
+
+export const MappingSetFormat = {
+  JSON: 'json',
+  YAML: 'yaml'
+};
+
+const SOURCE_PROVIDERS = ['aws', 'azure'];
+
+// Fields of an override, in export order
+const OVERRIDE_FIELDS = ['sourceService', 'gcpService', 'gcpApi', 'migrationStrategy', 'effort', 'notes'];
+
+// Parsed settings (localStorage is read once; in Node, where there is no localStorage, they only live here)
+let cachedSettings = null;
+
+/**
+ * Lookup key of a source service: case-insensitive, and AWS CUR product codes ("AmazonECS") match "ECS"
+ * @param {string} sourceService
+ * @param {string} sourceProvider - 'aws' or 'azure'
+ * @returns {string}
+ */
+export function mappingKey(sourceService, sourceProvider = 'aws') {
+  const key = String(sourceService || '').trim().toUpperCase();
+  return sourceProvider === 'aws' && key.startsWith('AMAZON') && key.length > 6 ? key.substring(6).trim() : key;
+}
+
+/**
+ * Validate one override and normalise strategy and effort to the built-in title case
+ * @param {Object} entry - { sourceService, gcpService, migrationStrategy, effort, notes, gcpApi? }
+ * @returns {Object} Override
+ * @throws {Error} When the source or target service is missing, or the strategy or effort is unknown
+ */
+export function normalizeMappingOverride(entry) {
+  const sourceService = String(entry?.sourceService || '').trim();
+  const gcpService = String(entry?.gcpService || '').trim();
+  if (!sourceService) {
+    throw new Error('Mapping override requires a sourceService');
+  }
+  if (!gcpService) {
+    throw new Error(`Mapping override for ${sourceService} requires a gcpService`);
+  }
+
+  const pick = (value, allowed, field, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const match = allowed.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+    if (!match) {
+      throw new Error(`Unknown ${field} "${value}" for ${sourceService} (expected one of ${allowed.join(', ')})`);
+    }
+    return match;
+  };
+
+  const override = {
+    sourceService,
+    gcpService,
+    migrationStrategy: pick(entry.migrationStrategy, MAPPING_STRATEGIES, 'migrationStrategy', 'Rehost'),
+    effort: pick(entry.effort, MAPPING_EFFORTS, 'effort', 'Medium'),
+    notes: String(entry.notes || '').trim()
+  };
+  if (entry.gcpApi) {
+    override.gcpApi = String(entry.gcpApi).trim();
+  }
+  return override;
+}
+
+/**
+ * Project whose overrides the mapping lookups apply
+ * @returns {string}
+ */
+export function getActiveMappingProject() {
+  return loadSettings().activeProject;
+}
+
+/**
+ * Apply the overrides of another project from now on
+ * @param {string} projectKey - Project name or ID
+ */
+export function setActiveMappingProject(projectKey) {
+  saveSettings({ ...loadSettings(), activeProject: projectKey || DEFAULT_MAPPING_PROJECT });
+}
+
+/**
+ * Projects with at least one override
+ * @returns {string[]}
+ */
+export function listMappingProjects() {
+  const { projects } = loadSettings();
+  return Object.keys(projects)
+    .filter(projectKey => SOURCE_PROVIDERS.some(provider => Object.keys(projects[projectKey][provider] || {}).length > 0))
+    .sort();
+}
+
+/**
+ * Overrides of a project
+ * @param {string} projectKey - Defaults to the active project
+ * @returns {{aws: Object[], azure: Object[]}} Overrides sorted by source service
+ */
+export function getMappingOverrides(projectKey = getActiveMappingProject()) {
+  const project = loadSettings().projects[projectKey] || {};
+  const mappingSet = {};
+  for (const provider of SOURCE_PROVIDERS) {
+    mappingSet[provider] = Object.values(project[provider] || {})
+      .sort((a, b) => a.sourceService.localeCompare(b.sourceService));
+  }
+  return mappingSet;
+}
+
+/**
+ * Add or replace the override of one source service
+ * @param {Object} entry - See normalizeMappingOverride
+ * @param {string} sourceProvider - 'aws' (default) or 'azure'
+ * @param {string} projectKey - Defaults to the active project
+ * @returns {Object} Saved override
+ */
+export function saveMappingOverride(entry, sourceProvider = 'aws', projectKey = getActiveMappingProject()) {
+  const override = normalizeMappingOverride(entry);
+  const settings = loadSettings();
+  const project = { aws: {}, azure: {}, ...settings.projects[projectKey] };
+  project[sourceProvider] = { ...project[sourceProvider], [mappingKey(override.sourceService, sourceProvider)]: override };
+  saveSettings({ ...settings, projects: { ...settings.projects, [projectKey]: project } });
+  return override;
+}
+
+/**
+ * Remove the override of one source service (the built-in mapping applies again)
+ * @param {string} sourceService
+ * @param {string} sourceProvider - 'aws' (default) or 'azure'
+ * @param {string} projectKey - Defaults to the active project
+ */
+export function removeMappingOverride(sourceService, sourceProvider = 'aws', projectKey = getActiveMappingProject()) {
+  const settings = loadSettings();
+  const project = settings.projects[projectKey];
+  if (!project?.[sourceProvider]) return;
+  const remaining = { ...project[sourceProvider] };
+  delete remaining[mappingKey(sourceService, sourceProvider)];
+  saveSettings({ ...settings, projects: { ...settings.projects, [projectKey]: { ...project, [sourceProvider]: remaining } } });
+}
+
+/**
+ * Store an imported mapping set as the overrides of a project
+ * @param {{aws: Object[], azure: Object[]}} mappingSet - From parseMappingSet
+ * @param {string} projectKey - Defaults to the active project
+ * @param {Object} options
+ * @param {boolean} options.merge - Keep existing overrides of services the set does not mention (default false)
+ */
+export function importMappingOverrides(mappingSet, projectKey = getActiveMappingProject(), { merge = false } = {}) {
+  const settings = loadSettings();
+  const existing = settings.projects[projectKey] || {};
+  const project = {};
+  for (const provider of SOURCE_PROVIDERS) {
+    project[provider] = merge ? { ...existing[provider] } : {};
+    for (const entry of mappingSet[provider] || []) {
+      const override = normalizeMappingOverride(entry);
+      project[provider][mappingKey(override.sourceService, provider)] = override;
+    }
+  }
+  saveSettings({ ...settings, projects: { ...settings.projects, [projectKey]: project } });
+}
+
+/**
+ * Override of a source service in the active project
+ * @param {string} sourceService
+ * @param {string} sourceProvider - 'aws' (default) or 'azure'
+ * @returns {Object|null}
+ */
+export function findMappingOverride(sourceService, sourceProvider = 'aws') {
+  const settings = loadSettings();
+  const overrides = settings.projects[settings.activeProject]?.[sourceProvider];
+  if (!overrides) return null;
+  return overrides[mappingKey(sourceService, sourceProvider)] || null;
+}
+
+/**
+ * Built-in mapping with an override applied
+ * @param {Object} mapping - Built-in mapping ({gcpService, gcpApi, migrationStrategy, effort, notes, considerations})
+ * @param {Object} override
+ * @returns {Object} Mapping flagged with overridden: true
+ */
+export function applyMappingOverride(mapping, override) {
+  const sameService = mapping?.gcpService === override.gcpService;
+  return {
+    ...mapping,
+    gcpService: override.gcpService,
+    // The built-in API only holds while the target service is unchanged
+    gcpApi: override.gcpApi || (sameService ? mapping?.gcpApi || null : null),
+    migrationStrategy: override.migrationStrategy,
+    effort: override.effort,
+    notes: override.notes || mapping?.notes || '',
+    considerations: mapping?.considerations || [],
+    overridden: true
+  };
+}
+
+/**
+ * Mapping set of a project as a JSON or YAML document
+ * @param {string} projectKey - Defaults to the active project
+ * @param {string} format - MappingSetFormat (default JSON)
+ * @returns {string}
+ */
+export function exportMappingSet(projectKey = getActiveMappingProject(), format = MappingSetFormat.JSON) {
+  const overrides = getMappingOverrides(projectKey);
+  const document = { version: MAPPING_SET_VERSION, project: projectKey };
+  for (const provider of SOURCE_PROVIDERS) {
+    document[provider] = overrides[provider].map(override => {
+      const entry = {};
+      for (const field of OVERRIDE_FIELDS) {
+        if (override[field]) entry[field] = override[field];
+      }
+      return entry;
+    });
+  }
+  return format === MappingSetFormat.YAML ? toYaml(document) : JSON.stringify(document, null, 2);
+}
+
+/**
+ * Read a mapping set exported by exportMappingSet (or written by hand in the same shape)
+ * @param {string} text - Document
+ * @param {string} format - MappingSetFormat; detected from the content when omitted
+ * @returns {{version: number, project: string|null, aws: Object[], azure: Object[]}} Validated overrides
+ * @throws {Error} When the document cannot be parsed or an override is invalid
+ */
+export function parseMappingSet(text, format) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const detected = format || (/^\s*[{[]/.test(content) ? MappingSetFormat.JSON : MappingSetFormat.YAML);
+
+  let document;
+  if (detected === MappingSetFormat.JSON) {
+    try {
+      document = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON mapping set: ${error.message}`);
+    }
+  } else {
+    document = fromYaml(content);
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('Mapping set must be an object with "aws" and/or "azure" lists');
+  }
+  if (document.version !== undefined && Number(document.version) > MAPPING_SET_VERSION) {
+    throw new Error(`Unsupported mapping set version ${document.version}`);
+  }
+
+  const mappingSet = { version: MAPPING_SET_VERSION, project: document.project || null };
+  for (const provider of SOURCE_PROVIDERS) {
+    const entries = document[provider] || [];
+    if (!Array.isArray(entries)) {
+      throw new Error(`"${provider}" must be a list of mappings`);
+    }
+    mappingSet[provider] = entries.map(normalizeMappingOverride);
+  }
+  return mappingSet;
+}
+
+/**
+ * YAML for the mapping set shape: top-level scalars and lists of flat objects. Strings are
+ * written double-quoted (JSON escapes are valid YAML).
+ * @private
+ */
+function toYaml(document) {
+  const lines = [];
+  for (const [key, value] of Object.entries(document)) {
+    if (!Array.isArray(value)) {
+      lines.push(`${key}: ${JSON.stringify(value)}`);
+      continue;
+    }
+    if (value.length === 0) {
+      lines.push(`${key}: []`);
+      continue;
+    }
+    lines.push(`${key}:`);
+    for (const item of value) {
+      Object.entries(item).forEach(([field, fieldValue], index) => {
+        lines.push(`${index === 0 ? '  - ' : '    '}${field}: ${JSON.stringify(fieldValue)}`);
+      });
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse the YAML subset written by toYaml (block lists of flat objects, plain, single- or
+ * double-quoted scalars, comments). Not a general YAML parser.
+ * @private
+ */
+function fromYaml(content) {
+  const document = {};
+  let list = null; // List of the current top-level key
+  let item = null; // Current list item
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = stripComment(rawLine);
+    if (!line.trim()) return;
+    const lineNumber = index + 1;
+    const indent = line.length - line.trimStart().length;
+    let text = line.trim();
+
+    if (indent === 0) {
+      const [key, value] = splitPair(text, lineNumber);
+      if (value === '') {
+        list = [];
+        document[key] = list;
+      } else {
+        document[key] = value === '[]' ? [] : parseScalar(value, lineNumber);
+        list = null;
+      }
+      item = null;
+      return;
+    }
+
+    if (!list) {
+      throw new Error(`Invalid YAML mapping set: unexpected indentation on line ${lineNumber}`);
+    }
+    if (text.startsWith('- ') || text === '-') {
+      item = {};
+      list.push(item);
+      text = text.substring(1).trim();
+      if (!text) return;
+    } else if (!item) {
+      throw new Error(`Invalid YAML mapping set: expected "- " on line ${lineNumber}`);
+    }
+    const [field, value] = splitPair(text, lineNumber);
+    item[field] = parseScalar(value, lineNumber);
+  });
+
+  return document;
+}
+
+function splitPair(text, lineNumber) {
+  const separator = text.search(/:(\s|$)/);
+  if (separator <= 0) {
+    throw new Error(`Invalid YAML mapping set: expected "key: value" on line ${lineNumber}`);
+  }
+  return [text.substring(0, separator).trim(), text.substring(separator + 1).trim()];
+}
+
+function parseScalar(value, lineNumber) {
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid YAML mapping set: bad double-quoted string on line ${lineNumber}`);
+    }
+  }
+  if (value.startsWith('\'')) {
+    if (!value.endsWith('\'') || value.length < 2) {
+      throw new Error(`Invalid YAML mapping set: bad single-quoted string on line ${lineNumber}`);
+    }
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value === 'null' || value === '~') return null;
+  return value;
+}
+
+// Drop a "#" comment that is not inside a quoted string
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.substring(0, i).trimEnd();
+    }
+  }
+  return line;
+}
+
+function loadSettings() {
+  if (cachedSettings) return cachedSettings;
+  try {
+    const stored = typeof localStorage !== 'undefined'
+      ? JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}')
+      : {};
+    cachedSettings = {
+      activeProject: stored.activeProject || DEFAULT_MAPPING_PROJECT,
+      projects: stored.projects || {}
+    };
+  } catch (error) {
+    console.warn('[serviceMappingOverrides] Could not read mapping overrides:', error);
+    cachedSettings = { activeProject: DEFAULT_MAPPING_PROJECT, projects: {} };
+  }
+  return cachedSettings;
+}
+
+function saveSettings(settings) {
+  cachedSettings = settings;
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('[serviceMappingOverrides] Could not save mapping overrides:', error);
+  }
+}
+
+/**
+ * Forget the cached settings so the next lookup reads localStorage again (after another tab or
+ * clearAllStorage changed them)
+ */
+export function reloadMappingOverrides() {
+  cachedSettings = null;
+}
@@ -1,5 +1,7 @@
 // Local Storage Management Utilities
 
+import { redactForExport } from './redaction.js';
+
 const STORAGE_KEY = 'gcp-modernization-accelerator';
 const PROJECTS_KEY = 'gcp-ma-projects';
 
@@ -74,8 +76,10 @@ export const autoSave = (projectData) => {
 };
 
 // Export project as JSON
-export const exportProjectJSON = (projectData) => {
-  const dataStr = JSON.stringify(projectData, null, 2);
+// options.redactor (anonymisation mode) pseudonymises identifiers in the bundle
+export const exportProjectJSON = (projectData, options = {}) => {
+  const exported = options.redactor ? redactForExport(projectData, options.redactor) : projectData;
+  const dataStr = JSON.stringify(exported, null, 2);
   const blob = new Blob([dataStr], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
@@ -6,9 +6,57 @@
  */
 
 // Import comprehensive AWS product code mapping
-import { normalizeAwsProductCode, getAwsServiceType } from './awsProductCodeMapping.js';
+import { normalizeAwsProductCode, getAwsServiceType, isMappedAwsService } from './awsProductCodeMapping.js';
 import { Workload } from '../domain/entities/Workload.js';
 import { Money } from '../domain/value_objects/Money.js';
+import { detectCurSchemaProfile, resolveHeaderIndices, describeSchemaProfile } from './curSchemaProfiles.js';
+import { createGunzipReader } from './gzipStream.js';
+import { resolveTagColumns, extractRowTags } from './curResourceTags.js';
+import { createCostBasisCalculator, describeCostBasis } from './curCostBasis.js';
+import { classifyLineItemType, createLineItemLedger, recordLineItem, resolveBaselineLineItemTypes } from './curLineItemLedger.js';
+import { toBillingMonth, addToCostSeries } from './costTimeSeries.js';
+import { RejectionReason, createIngestionReport, recordRejectedRow, recordUnknownProductCode } from './curIngestionReport.js';
+import { createCsvRecordReader, parseCsvRecord, parseCsvNumber, detectDelimiter, stripBom } from './csvTokenizer.js';
+import {
+  CurImportCheckpointStatus,
+  describeImportSettings,
+  loadCurImportCheckpoint,
+  saveCurImportCheckpoint,
+  clearCurImportCheckpoint,
+  utf8ByteLength,
+  incompleteUtf8TailLength
+} from './curImportCheckpoint.js';
+import { normalizeSamplingOptions, createResourceSampler, applySampleScaling } from './curResourceSampler.js';
+import { classifyUsageType } from './usageTypeClassifier.js';
+import { readRdsUsage } from './rdsUsageProfile.js';
+import { readS3Usage } from './s3UsageProfile.js';
+
+// Resumable imports commit a checkpoint at least every 64MB of input
+const DEFAULT_CHECKPOINT_INTERVAL_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Add the rows read since a flush to the workload already stored for the same dedupe key
+ * (also used by the Azure cost export parser)
+ * @param {Workload} stored - Workload read back from IndexedDB
+ * @param {Workload} workload - In-memory workload holding only the rows since it was last flushed
+ * @returns {Workload}
+ */
+export function mergeFlushedWorkload(stored, workload) {
+  const storedData = stored.toJSON();
+  return new Workload({
+    ...storedData,
+    monthlyCost: Math.round((storedData.monthlyCost + workload.monthlyCost.amount) * 100) / 100,
+    storage: storedData.storage + workload.storage,
+    costByMonth: Workload.mergeCostByMonth(storedData.costByMonth, workload.costByMonth),
+    costByComponent: Workload.mergeCostByComponent(storedData.costByComponent, workload.costByComponent),
+    tags: Workload.mergeTags(storedData.tags, workload.tags),
+    accountId: storedData.accountId || workload.accountId,
+    accountName: storedData.accountName || workload.accountName,
+    instanceType: storedData.instanceType || workload.instanceType,
+    databaseUsage: Workload.mergeDatabaseUsage(storedData.databaseUsage, workload.databaseUsage),
+    storageUsage: Workload.mergeStorageUsage(storedData.storageUsage, workload.storageUsage)
+  });
+}
 
 /**
  * Parse AWS CUR CSV in streaming fashion
@@ -17,9 +65,36 @@ import { Money } from '../domain/value_objects/Money.js';
  * @param {Function} onProgress - Progress callback
  * @param {Object} options - Options object
  * @param {Object} options.workloadRepository - Optional repository to flush workloads periodically
+ * @param {boolean} options.scratchRepository - Optional: workloadRepository holds this import's workloads only
+ *   (the parser worker's scratch database). Flushed workloads are then left in it for the caller instead of
+ *   being loaded into the result (_metadata.storedWorkloads counts them), and an import that starts from the
+ *   beginning clears it first.
+ * @param {AsyncIterable<{rows: Array<Array<string>>, bytesProcessed: number}>} options.rowSource - Optional
+ *   pre-parsed row batches (first row is the header) used instead of reading CSV text from fileOrBuffer
+ * @param {string} options.compression - Optional 'gzip' for .csv.gz File/Blob input (decompressed as a stream)
+ * @param {string} options.costBasis - Optional CostBasis ('unblended' default, 'amortized', 'net-amortized')
+ * @param {string[]} options.baselineLineItemTypes - Optional line item types included in the migration baseline
+ *   (defaults to DEFAULT_BASELINE_LINE_ITEM_TYPES; other types are only recorded in the ledger)
+ * @param {string} options.resumeFileId - Optional generateFileUUID of the file: commit byte-offset checkpoints
+ *   and continue from the last one (see curImportCheckpoint.js). Applies to uncompressed File/Blob input
+ *   flushed to a workloadRepository.
+ * @param {number} options.checkpointIntervalBytes - Optional bytes read between checkpoints (default 64MB)
+ * @param {number|boolean|Object} options.sampling - Optional sampling mode: keep at most N resources per
+ *   service + region (number, or { resourcesPerStratum }; true for the default) and scale them back to the
+ *   exact totals (see curResourceSampler.js). Sampled imports stay in memory: no flushing or checkpoints.
  */
 export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {}) => {
-  const { workloadRepository } = options;
+  const {
+    workloadRepository,
+    scratchRepository = false,
+    rowSource,
+    compression,
+    costBasis,
+    baselineLineItemTypes,
+    resumeFileId,
+    checkpointIntervalBytes = DEFAULT_CHECKPOINT_INTERVAL_BYTES,
+    sampling
+  } = options;
   return new Promise((resolve, reject) => {
     // CRITICAL: Add error handler wrapper
     const handleError = (error) => {
@@ -34,12 +109,35 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
       const workloads = [];
       const workloadMap = new Map(); // Group by resource ID
       let totalRawCost = 0; // Track sum of ALL raw costs from ALL rows (before aggregation)
-      let skippedRows = { noProductCode: 0, tax: 0, zeroCost: 0, unknownService: 0 };
+      let skippedRows = { noProductCode: 0, tax: 0, zeroCost: 0, unknownService: 0, excludedLineItemType: 0 };
+      const baselineTypes = resolveBaselineLineItemTypes(baselineLineItemTypes);
+      const lineItemLedger = createLineItemLedger(); // Rows and cost per line item type, for invoice reconciliation
+      const costByMonth = {}; // Baseline cost per billing month (usage start date), for multi-month CURs
+      const ingestionReport = createIngestionReport(fileOrBuffer?.name || ''); // Rejected rows and unmapped product codes
       let processedRows = 0;
       
       // CRITICAL: Track workloads saved to IndexedDB to prevent memory accumulation
       let workloadsSavedToDB = 0;
       const FLUSH_TO_DB_THRESHOLD = 10000; // Flush every 10K workloads
+      const flushedDedupeKeys = new Set(); // Dedupe keys already written to IndexedDB by this import
+      let lastFlushedIds = []; // Sample of the last flush, checked before resuming
+      
+      // Sampling mode: a bounded reservoir of resources per service + region replaces flushing to IndexedDB
+      const samplingOptions = normalizeSamplingOptions(sampling);
+      const sampler = samplingOptions
+        ? createResourceSampler({ ...samplingOptions, onEvict: dedupeKey => workloadMap.delete(dedupeKey) })
+        : null;
+      let samplingSummary = null;
+      
+      // Resumable import: the byte offset of a line boundary can only be sought in uncompressed files,
+      // and resuming needs the workloads flushed before the crash
+      const checkpointing = Boolean(resumeFileId && workloadRepository && !rowSource && !compression && !sampler &&
+        typeof Blob !== 'undefined' && fileOrBuffer instanceof Blob);
+      let resumedFromByteOffset = 0; // Start of the file slice being read
+      let rawBytesRead = 0; // Bytes read from the slice
+      let pendingDecoderBytes = 0; // Bytes of an incomplete character held back by the TextDecoder
+      let lastCheckpointBytes = 0;
+      let lastCommittedByteOffset = 0;
       
       // CRITICAL: Aggressive memory monitoring and crash prevention
       const checkMemory = () => {
@@ -64,7 +162,10 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
                 workloadsProcessed: workloadMap.size,
                 bytesProcessed,
                 totalBytes,
-                fileSize: fileOrBuffer.size
+                fileSize: fileOrBuffer.size,
+                // Selecting the same file again continues from the last committed checkpoint
+                resumable: checkpointing && lastCommittedByteOffset > 0,
+                resumeFromByteOffset: lastCommittedByteOffset
               };
               localStorage.setItem('csvParserCrashState', JSON.stringify(crashState));
               
@@ -154,10 +255,17 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
       };
     
       let headers = null;
+      let delimiter = ','; // Detected from the header row (',' or ';')
+      const csvRecords = createCsvRecordReader(); // Joins lines while a quoted field is open
       let headerIndices = null;
+      let schemaProfile = null;
+      let tagColumns = []; // resourceTags/user:* and resource_tags_* columns
+      let rowCost = null; // Per-row cost on the selected cost basis (set from the header row)
+      let costBasisInfo = null; // Cost basis actually applied (recorded in _metadata)
       let buffer = '';
       let lineNumber = 0;
       let bytesProcessed = 0;
+      let getSourceBytesRead = null; // Set for compressed input: progress is measured in compressed bytes
       const totalBytes = fileOrBuffer.size || fileOrBuffer.byteLength || 0;
       
     // PERFORMANCE: Process larger batches for better throughput on M1 chips
@@ -165,87 +273,141 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
     const MAX_LINES_PER_BATCH = 1000; // Process 1k lines before yielding (M1 optimized)
     const pendingLines = []; // Queue of lines to process (shared across chunks)
       
-      // Column index finder
-      const getColumnIndex = (patterns, headers) => {
-        for (const pattern of patterns) {
-          const index = headers.findIndex(h => 
-            h.toLowerCase().includes(pattern.toLowerCase())
-          );
-          if (index !== -1) return index;
-        }
-        return -1;
-      };
-      
       // PERFORMANCE: Cache regex pattern outside function
       const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
       
       // Process a line of CSV
       const processLine = (line) => {
+        // A quoted field may span lines: wait for the line that closes it
+        let record = csvRecords.push(line, delimiter);
+        if (record === null) return;
+        
         // PERFORMANCE: Fast empty check
-        if (line.length === 0 || (line.length === 1 && line.charCodeAt(0) <= 32)) return;
+        if (record.length === 0 || (record.length === 1 && record.charCodeAt(0) <= 32)) return;
+        
+        if (lineNumber === 0) {
+          record = stripBom(record);
+          delimiter = detectDelimiter(record);
+        }
+        
+        // SAFETY: Use parseCSVLine for headers too (handles quoted headers)
+        processRecord(parseCSVLine(record));
+      };
+      
+      // End of input: the last line may have no newline, and a quoted field may never be closed
+      const processLastLine = () => {
+        if (buffer.trim() || csvRecords.pending() !== null) {
+          processLine(buffer);
+          buffer = '';
+        }
+        const unterminated = csvRecords.flush();
+        if (unterminated !== null && unterminated.trim()) {
+          processRecord(parseCSVLine(unterminated));
+        }
+      };
+      
+      // Resolve the header row: schema profile, column indices, tag columns and cost basis
+      // (also replayed from a checkpoint when an import resumes)
+      const applyHeaderRow = (record) => {
+        headers = record;
+        
+        // SAFETY: Validate headers
+        if (!headers || headers.length === 0) {
+          throw new Error('CSV file has no headers or headers could not be parsed');
+        }
+        
+        // SAFETY: Limit header count
+        if (headers.length > 1000) {
+          console.warn(`[streamingCsvParser] Too many headers (${headers.length}), limiting to 1000`);
+          headers = headers.slice(0, 1000);
+        }
         
+        // Detect CUR 1.0 / CUR 2.0 / FOCUS layout and map columns by exact name
+        const profile = detectCurSchemaProfile(headers);
+        const resolvedIndices = resolveHeaderIndices(headers, profile);
+        schemaProfile = describeSchemaProfile(headers, profile, resolvedIndices);
+        console.log(`[streamingCsvParser] Detected schema profile: ${schemaProfile.label}`, schemaProfile.columns);
+        
+        if (resolvedIndices.productCode === -1) {
+          throw new Error(`Could not find ProductCode/Service column in AWS CUR (schema profile: ${schemaProfile.label})`);
+        }
+        headerIndices = resolvedIndices;
+        
+        tagColumns = resolveTagColumns(headers);
+        if (tagColumns.length > 0) {
+          console.log(`[streamingCsvParser] Found ${tagColumns.length} resource tag column(s)`);
+        }
+        
+        rowCost = createCostBasisCalculator(costBasis, resolvedIndices, delimiter);
+        costBasisInfo = describeCostBasis(costBasis, resolvedIndices);
+        if (costBasisInfo.fallback) {
+          console.warn(`[streamingCsvParser] ${costBasisInfo.requested} cost basis requested but the RI / Savings Plan columns are missing - using unblended cost`);
+        } else {
+          console.log(`[streamingCsvParser] Cost basis: ${costBasisInfo.label}`);
+        }
+      };
+      
+      // Process one parsed record: the first record is the header row, the rest are data rows
+      // Shared by CSV lines and row-oriented sources (e.g. Parquet row groups)
+      const processRecord = (record) => {
         lineNumber++;
         
         // Parse header row
         if (lineNumber === 1) {
-          // SAFETY: Use parseCSVLine for headers too (handles quoted headers)
-          headers = parseCSVLine(line);
-          
-          // SAFETY: Validate headers
-          if (!headers || headers.length === 0) {
-            throw new Error('CSV file has no headers or headers could not be parsed');
-          }
-          
-          // SAFETY: Limit header count
-          if (headers.length > 1000) {
-            console.warn(`[streamingCsvParser] Too many headers (${headers.length}), limiting to 1000`);
-            headers = headers.slice(0, 1000);
-          }
-          
-          headerIndices = {
-            productCode: getColumnIndex(['productcode', 'product_code', 'service'], headers),
-            resourceId: getColumnIndex(['resourceid', 'resource_id', 'resource'], headers),
-            usageType: getColumnIndex(['usagetype', 'usage_type'], headers),
-            cost: getColumnIndex(['unblendedcost', 'cost', 'blendedcost'], headers),
-            instanceType: getColumnIndex(['instancetype', 'instance_type'], headers),
-            os: getColumnIndex(['operatingsystem', 'os', 'operating_system'], headers),
-            region: getColumnIndex(['location', 'region', 'availabilityzone'], headers),
-            usageAmount: getColumnIndex(['usageamount', 'usage_amount', 'quantity'], headers),
-            usageStartDate: getColumnIndex(['usagestartdate', 'usage_start_date', 'billingperiodstartdate'], headers),
-            usageEndDate: getColumnIndex(['usageenddate', 'usage_end_date', 'billingperiodenddate'], headers),
-          };
-          
-          if (headerIndices.productCode === -1) {
-            throw new Error('Could not find ProductCode/Service column in AWS CUR');
-          }
+          applyHeaderRow(record);
           return;
         }
       
         // Parse data row
-        const values = parseCSVLine(line);
-        if (values.length === 0) return;
+        const values = record;
+        if (!values || values.length === 0) return;
         
         // PERFORMANCE: Cache header indices to avoid repeated property access
         const pcIdx = headerIndices.productCode;
         const riIdx = headerIndices.resourceId;
-        const costIdx = headerIndices.cost;
         const utIdx = headerIndices.usageType;
         const itIdx = headerIndices.instanceType;
         const osIdx = headerIndices.os;
         const regIdx = headerIndices.region;
         const usdIdx = headerIndices.usageStartDate;
         const uedIdx = headerIndices.usageEndDate;
+        const acctIdx = headerIndices.accountId;
+        const acctNameIdx = headerIndices.accountName;
+        const typeIdx = headerIndices.lineItemType;
+        const costIdx = headerIndices.cost;
         
         // PERFORMANCE: Get product code and validate efficiently
-        const productCodeRaw = values[pcIdx];
-        if (!productCodeRaw || productCodeRaw.length === 0) {
+        const productCodeRaw = values[pcIdx] || '';
+        
+        // PERFORMANCE: Fast date check - a date in the product code column means a misaligned row
+        if (DATE_PATTERN.test(productCodeRaw)) {
           skippedRows.noProductCode++;
+          recordRejectedRow(ingestionReport, RejectionReason.MISALIGNED_ROW, { lineNumber, productCode: productCodeRaw, cost: 0, values });
           return;
         }
         
-        // PERFORMANCE: Fast date check before expensive toUpperCase
-        if (DATE_PATTERN.test(productCodeRaw)) {
+        // Classify by line item type and record EVERY billed row in the ledger (ties back to the invoice)
+        const lineItemType = classifyLineItemType(typeIdx >= 0 ? values[typeIdx] : '', productCodeRaw);
+        const cost = rowCost(values);
+        const roundedCost = Math.round(cost * 100) / 100;
+        const unblendedCost = costIdx >= 0 ? Math.round((parseCsvNumber(values[costIdx], delimiter) || 0) * 100) / 100 : 0;
+        const includedInBaseline = baselineTypes.has(lineItemType);
+        recordLineItem(lineItemLedger, lineItemType, unblendedCost, roundedCost, includedInBaseline);
+        
+        if (!includedInBaseline) {
+          skippedRows.excludedLineItemType++;
+          recordRejectedRow(ingestionReport, RejectionReason.EXCLUDED_LINE_ITEM_TYPE, { lineNumber, productCode: productCodeRaw, cost: roundedCost, values });
+          return;
+        }
+        
+        // Track raw cost from every baseline row (before any filtering or aggregation)
+        totalRawCost += roundedCost; // Include both positive and negative costs
+        const billingMonth = usdIdx >= 0 ? toBillingMonth(values[usdIdx]) : null;
+        addToCostSeries(costByMonth, billingMonth, roundedCost);
+        
+        if (productCodeRaw.length === 0) {
           skippedRows.noProductCode++;
+          recordRejectedRow(ingestionReport, RejectionReason.NO_PRODUCT_CODE, { lineNumber, productCode: productCodeRaw, cost: roundedCost, values });
           return;
         }
         
@@ -254,14 +416,12 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
         
         if (productCode === 'TAX') {
           skippedRows.tax++;
+          recordRejectedRow(ingestionReport, RejectionReason.TAX, { lineNumber, productCode: productCodeRaw, cost: roundedCost, values });
           return;
         }
         
         // PERFORMANCE: Extract fields with minimal string operations
         const rawResourceId = riIdx >= 0 ? values[riIdx] : '';
-        const costStr = costIdx >= 0 ? values[costIdx] : '0';
-        const cost = parseFloat(costStr) || 0;
-        const roundedCost = Math.round(cost * 100) / 100;
         
         // Extract other fields from CSV
         const usageType = utIdx >= 0 ? values[utIdx] : '';
@@ -273,10 +433,8 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
         const region = rawRegion && rawRegion.length > 0 ? rawRegion : 'us-east-1';
         const usageStartDate = usdIdx >= 0 ? values[usdIdx] : null;
         const usageEndDate = uedIdx >= 0 ? values[uedIdx] : null;
+        const accountId = acctIdx >= 0 && values[acctIdx] ? values[acctIdx].trim() : '';
 
-        // Track raw cost from EVERY row (before any filtering or aggregation)
-        totalRawCost += roundedCost; // Include both positive and negative costs
-        
         // CRITICAL FIX: Don't skip zero-cost rows - they still represent workloads
         if (roundedCost === 0) {
           skippedRows.zeroCost++;
@@ -285,9 +443,12 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
         processedRows++;
         
         // PERFORMANCE: Optimize resourceId creation - avoid string operations when possible
+        // Rows without a resource ID are aggregated per linked account so multi-account CURs stay separable
         const resourceId = rawResourceId.length > 0 
           ? rawResourceId 
-          : `${productCode}_${region}_aggregated`.toLowerCase();
+          : (accountId
+            ? `${productCode}_${region}_${accountId}_aggregated`
+            : `${productCode}_${region}_aggregated`).toLowerCase();
       
         // CRITICAL FIX: Use comprehensive AWS product code mapping
         // Normalize AWS product code to standard service name
@@ -295,15 +456,27 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
         
         // Skip if this is a tax or null service
         if (!normalizedService || normalizedService === 'TAX') {
+          skippedRows.unknownService++;
+          recordRejectedRow(ingestionReport, RejectionReason.UNKNOWN_SERVICE, { lineNumber, productCode: productCodeRaw, cost: roundedCost, values });
           return;
         }
         
+        // Kept under an inferred service name, but reported so the mapping gap is visible
+        if (!isMappedAwsService(normalizedService)) {
+          recordUnknownProductCode(ingestionReport, productCodeRaw, roundedCost, normalizedService);
+        }
+        
         // Get service type based on normalized service name
         const serviceType = getAwsServiceType(normalizedService);
         
         // PERFORMANCE: Create deduplication key directly without intermediate object
         const dedupeKey = `${resourceId}_${normalizedService}_${region}`.toLowerCase();
         
+        // Sampling mode: the row still counts towards its stratum total, but only sampled resources are aggregated
+        if (sampler && !sampler.admit(dedupeKey, normalizedService, region, roundedCost, billingMonth)) {
+          return;
+        }
+        
         // Extract instance specs
         const instanceSpecs = parseInstanceType(instanceType);
       
@@ -330,13 +503,44 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
             awsInstanceType: instanceType,
             awsProductCode: productCode,
             sourceProvider: 'aws',
+            accountId: accountId || null,
+            accountName: acctNameIdx >= 0 ? values[acctNameIdx] : null,
           });
           workloadMap.set(dedupeKey, workload);
+        } else {
+          workload.recordInstanceType(instanceType);
+        }
+        
+        // Merge resource tags from every row of this dedupe key
+        if (tagColumns.length > 0) {
+          const rowTags = extractRowTags(values, tagColumns);
+          if (rowTags) {
+            workload.mergeTags(rowTags);
+          }
         }
         
         // CRITICAL FIX: Use Money.add() method instead of direct mutation
         // This maintains immutability contract and ensures proper Money object behavior
         workload._monthlyCost = workload._monthlyCost.add(new Money(roundedCost));
+        workload.addMonthlyCost(billingMonth, roundedCost);
+        // Split by usage type (instance hours, volumes, data transfer...) for component pricing
+        workload.addComponentCost(classifyUsageType(usageType, { productCode, serviceType }).component, roundedCost);
+        // Engine, Multi-AZ, instance hours and storage of RDS / Aurora databases (null for other services)
+        workload.recordDatabaseUsage(readRdsUsage({
+          productCode,
+          usageType,
+          usageAmount: headerIndices.usageAmount >= 0 ? parseCsvNumber(values[headerIndices.usageAmount], delimiter) : 0,
+          databaseEngine: headerIndices.databaseEngine >= 0 ? values[headerIndices.databaseEngine] : '',
+          databaseEdition: headerIndices.databaseEdition >= 0 ? values[headerIndices.databaseEdition] : '',
+          deploymentOption: headerIndices.deploymentOption >= 0 ? values[headerIndices.deploymentOption] : ''
+        }));
+        // GB-months, requests and retrievals per storage class of S3 buckets and Glacier vaults
+        workload.recordStorageUsage(readS3Usage({
+          productCode,
+          usageType,
+          usageAmount: headerIndices.usageAmount >= 0 ? parseCsvNumber(values[headerIndices.usageAmount], delimiter) : 0,
+          cost: roundedCost
+        }));
         
         // Note: Flushing to DB happens in processChunk, not here (processLine is synchronous)
         
@@ -404,15 +608,14 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
         
         // PERFORMANCE: Update storage efficiently
         if (serviceType === 'storage' && headerIndices.usageAmount >= 0) {
-          const usageAmount = parseFloat(values[headerIndices.usageAmount]) || 0;
+          const usageAmount = parseCsvNumber(values[headerIndices.usageAmount], delimiter) || 0;
           if (usageType.indexOf('GB') >= 0) {
             workload._storage += usageAmount;
           }
         }
       };
     
-    // PERFORMANCE: Optimized CSV line parser using array indices instead of string concatenation
-    // Pre-allocates arrays and uses indices for much better performance on M1
+    // Split a record into fields with the shared RFC 4180 tokenizer (same rows as parseAwsCur)
     const parseCSVLine = (line) => {
       try {
         // SAFETY: Limit line length to prevent memory issues
@@ -422,50 +625,7 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
           line = line.substring(0, MAX_LINE_LENGTH);
         }
         
-        // PERFORMANCE: Pre-allocate array with estimated size (most CSV lines have similar field counts)
-        const values = [];
-        let startIdx = 0;
-        let inQuotes = false;
-        let quoteCount = 0;
-        const len = line.length;
-        
-        // PERFORMANCE: Use index-based parsing instead of string concatenation
-        for (let i = 0; i < len; i++) {
-          const char = line[i];
-          
-          if (char === '"') {
-            quoteCount++;
-            if (quoteCount > 100000) {
-              break; // Safety limit
-            }
-            
-            if (inQuotes && i + 1 < len && line[i + 1] === '"') {
-              i++; // Skip escaped quote
-            } else {
-              inQuotes = !inQuotes;
-            }
-          } else if (char === ',' && !inQuotes) {
-            // PERFORMANCE: Extract field using substring only when needed, trim inline
-            let field = line.substring(startIdx, i);
-            // Fast trim (remove leading/trailing whitespace)
-            let trimStart = 0;
-            let trimEnd = field.length;
-            while (trimStart < trimEnd && field.charCodeAt(trimStart) <= 32) trimStart++;
-            while (trimEnd > trimStart && field.charCodeAt(trimEnd - 1) <= 32) trimEnd--;
-            values.push(trimStart > 0 || trimEnd < field.length ? field.substring(trimStart, trimEnd) : field);
-            startIdx = i + 1;
-          }
-        }
-        
-        // Add last field
-        if (startIdx < len) {
-          let field = line.substring(startIdx);
-          let trimStart = 0;
-          let trimEnd = field.length;
-          while (trimStart < trimEnd && field.charCodeAt(trimStart) <= 32) trimStart++;
-          while (trimEnd > trimStart && field.charCodeAt(trimEnd - 1) <= 32) trimEnd--;
-          values.push(trimStart > 0 || trimEnd < field.length ? field.substring(trimStart, trimEnd) : field);
-        }
+        const values = parseCsvRecord(line, delimiter);
         
         // SAFETY: Limit number of fields
         const MAX_FIELDS = 10000;
@@ -562,6 +722,258 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
       return { cpu: 0, memory: 0 };
     };
     
+    // CRITICAL: Flush workloads to IndexedDB if repository provided and map is large
+    // Returns true when the map was written and cleared
+    const flushWorkloadsToDB = async (force = false) => {
+      if (!workloadRepository || sampler || workloadMap.size === 0 || (!force && workloadMap.size < FLUSH_TO_DB_THRESHOLD)) {
+        return false;
+      }
+      try {
+        // Rows for a dedupe key flushed earlier are added to the stored workload instead of replacing it
+        const mergeIds = [];
+        for (const [dedupeKey, workload] of workloadMap) {
+          if (flushedDedupeKeys.has(dedupeKey)) mergeIds.push(workload.id);
+        }
+        const storedWorkloads = mergeIds.length > 0 ? await workloadRepository.findManyStored(mergeIds) : new Map();
+        
+        const workloadsToFlush = [];
+        for (const [dedupeKey, workload] of workloadMap) {
+          const stored = flushedDedupeKeys.has(dedupeKey) ? storedWorkloads.get(workload.id) : null;
+          const sameWorkload = stored && stored.service === workload.service && stored.region === workload.region;
+          workloadsToFlush.push(sameWorkload ? mergeFlushedWorkload(stored, workload) : workload);
+        }
+        console.log(`[streamingCsvParser] Flushing ${workloadsToFlush.length.toLocaleString()} workloads to IndexedDB to free memory (${mergeIds.length.toLocaleString()} merged into earlier flushes)...`);
+        
+        await workloadRepository.saveManyImmediate(workloadsToFlush);
+        
+        for (const dedupeKey of workloadMap.keys()) {
+          flushedDedupeKeys.add(dedupeKey);
+        }
+        lastFlushedIds = workloadsToFlush.slice(-10).map(workload => workload.id);
+        workloadsSavedToDB += workloadsToFlush.length - mergeIds.length;
+        workloadMap.clear(); // CRITICAL: Clear map to free memory
+        console.log(`[streamingCsvParser] Flushed ${workloadsToFlush.length.toLocaleString()} workloads, cleared map. Total saved to DB: ${workloadsSavedToDB.toLocaleString()}`);
+        
+        // Force GC hint
+        if (global.gc) global.gc();
+        else if (typeof window !== 'undefined' && window.gc) window.gc(); // No window in the parser worker
+        return true;
+      } catch (flushError) {
+        console.error(`[streamingCsvParser] Error flushing workloads to DB:`, flushError);
+        // Continue processing - don't abort on flush error
+        return false;
+      }
+    };
+    
+    const importSettings = describeImportSettings({ fileSize: totalBytes, costBasis, baselineLineItemTypes: baselineTypes });
+    
+    // Resumable import: flush every in-memory workload, then commit the byte offset of the first
+    // line not yet aggregated. Marked as flushing first, so a crash mid-flush never resumes.
+    const commitCheckpoint = async () => {
+      if (!headerIndices) return;
+      // A record still being joined (open quoted field) is read again on resume
+      const pendingRecord = csvRecords.pending();
+      const pendingRecordBytes = pendingRecord === null ? 0 : utf8ByteLength(pendingRecord) + 1;
+      const byteOffset = resumedFromByteOffset + rawBytesRead - pendingDecoderBytes - utf8ByteLength(buffer) - pendingRecordBytes;
+      const progress = totalBytes > 0 ? Math.round((byteOffset / totalBytes) * 100) : 0;
+      try {
+        await saveCurImportCheckpoint(resumeFileId, CurImportCheckpointStatus.FLUSHING, { importSettings }, progress);
+        if (workloadMap.size > 0 && !(await flushWorkloadsToDB(true))) {
+          return; // Left marked as flushing: the stored workloads no longer match the last checkpoint
+        }
+        await saveCurImportCheckpoint(resumeFileId, CurImportCheckpointStatus.COMMITTED, {
+          importSettings,
+          byteOffset,
+          lineNumber,
+          headers,
+          delimiter,
+          headerIndices,
+          processedRows,
+          totalRawCost,
+          skippedRows,
+          lineItemLedger,
+          costByMonth,
+          ingestionReport,
+          workloadsSavedToDB,
+          lastFlushedIds
+        }, progress);
+        lastCheckpointBytes = rawBytesRead;
+        lastCommittedByteOffset = byteOffset;
+        console.log(`[streamingCsvParser] Checkpoint committed at byte ${byteOffset.toLocaleString()} (line ${lineNumber.toLocaleString()}, ${flushedDedupeKeys.size.toLocaleString()} workloads flushed)`);
+      } catch (checkpointError) {
+        console.warn('[streamingCsvParser] Failed to save checkpoint:', checkpointError);
+      }
+    };
+    
+    // Resumable import: restore the state of the last committed checkpoint
+    // Returns the byte offset to continue reading from (0 to start from the beginning)
+    const restoreCheckpoint = async () => {
+      const state = await loadCurImportCheckpoint(resumeFileId, importSettings);
+      if (!state) return 0;
+      
+      // The workloads flushed before the crash must still be in IndexedDB (the app may have cleared them)
+      const sampleIds = state.lastFlushedIds || [];
+      const stored = sampleIds.length > 0 ? await workloadRepository.findManyStored(sampleIds) : new Map();
+      delimiter = state.delimiter || ',';
+      applyHeaderRow(state.headers);
+      if (stored.size < sampleIds.length || JSON.stringify(headerIndices) !== JSON.stringify(state.headerIndices)) {
+        console.warn('[streamingCsvParser] Checkpoint no longer matches the stored workloads or header - starting over');
+        headers = null;
+        headerIndices = null;
+        await clearCurImportCheckpoint(resumeFileId);
+        return 0;
+      }
+      
+      lineNumber = state.lineNumber;
+      processedRows = state.processedRows;
+      totalRawCost = state.totalRawCost;
+      skippedRows = { ...skippedRows, ...state.skippedRows };
+      Object.assign(lineItemLedger, state.lineItemLedger);
+      Object.assign(costByMonth, state.costByMonth);
+      Object.assign(ingestionReport, state.ingestionReport);
+      workloadsSavedToDB = state.workloadsSavedToDB;
+      // Keys already flushed are read back from the stored workloads rather than kept in the checkpoint
+      await workloadRepository.forEachStored((workload) => {
+        flushedDedupeKeys.add(`${workload.id}_${workload.service}_${workload.region}`.toLowerCase());
+      });
+      lastFlushedIds = sampleIds;
+      lastCommittedByteOffset = state.byteOffset;
+      console.log(`[streamingCsvParser] Resuming import at byte ${state.byteOffset.toLocaleString()} of ${totalBytes.toLocaleString()} (line ${lineNumber.toLocaleString()}, ${flushedDedupeKeys.size.toLocaleString()} workloads already flushed)`);
+      return state.byteOffset;
+    };
+    
+    // In-memory workloads; in sampling mode scaled back to the exact strata totals
+    const inMemoryWorkloads = () => {
+      if (!sampler) {
+        return Array.from(workloadMap.values());
+      }
+      const scaled = applySampleScaling(Array.from(workloadMap.values()), sampler, (workload, scaledValues) => (
+        new Workload({ ...workload.toJSON(), ...scaledValues })
+      ));
+      samplingSummary = scaled.summary;
+      console.log(`[streamingCsvParser] Sampled ${samplingSummary.sampledResources.toLocaleString()} of ~${Math.round(samplingSummary.estimatedResources.estimate).toLocaleString()} resources (${samplingSummary.sampledStrata} of ${samplingSummary.strata.length} service/region strata sampled)`);
+      return scaled.workloads;
+    };
+    
+    // Build the final result: reload workloads flushed to IndexedDB (or count those left in a scratch
+    // repository), merge in-memory workloads, and attach parsing metadata.
+    // Shared by every input path that flushes to the repository.
+    const finalizeResult = async (sourceLabel = '') => {
+      // Merge the rows since the last flush into the stored workloads, so the result
+      // does not hold a second copy of any workload flushed earlier
+      if (flushedDedupeKeys.size > 0) {
+        await flushWorkloadsToDB(true);
+      }
+      
+      // CRITICAL: If workloads were flushed to DB, load them back
+      let result = [];
+      let storedWorkloads = 0; // Left in the scratch repository, not in the result
+      let storedCost = 0;
+      if (workloadsSavedToDB > 0 && workloadRepository && scratchRepository) {
+        await workloadRepository.forEachStored((workload) => {
+          storedWorkloads++;
+          storedCost += workload.monthlyCost?.amount || 0;
+        });
+        console.log(`[streamingCsvParser] Left ${storedWorkloads.toLocaleString()} workloads in the scratch repository`);
+      } else if (workloadsSavedToDB > 0 && workloadRepository) {
+        try {
+          console.log(`[streamingCsvParser] Loading ${workloadsSavedToDB.toLocaleString()} workloads from IndexedDB...`);
+          const savedWorkloads = await workloadRepository.findAll();
+          result = savedWorkloads;
+          console.log(`[streamingCsvParser] Loaded ${savedWorkloads.length.toLocaleString()} workloads from IndexedDB`);
+        } catch (loadError) {
+          console.error('[streamingCsvParser] Error loading workloads from DB:', loadError);
+          // Fallback to in-memory workloads
+        }
+      }
+
+      // Add remaining in-memory workloads
+      try {
+        result = result.concat(inMemoryWorkloads());
+      } catch (arrayError) {
+        console.error('[streamingCsvParser] Error converting workloadMap to array:', arrayError);
+        // Fallback: manual conversion
+        for (const workload of workloadMap.values()) {
+          result.push(workload);
+          // Safety limit
+          if (result.length > 1000000) {
+            console.warn('[streamingCsvParser] Too many workloads, limiting to 1M');
+            break;
+          }
+        }
+      }
+
+      // Validate that we have data rows (not just header)
+      const totalRowsRead = lineNumber - 1; // Exclude header
+      if (!headers || totalRowsRead === 0) {
+        throw new Error('CSV file contains no data rows');
+      }
+
+      // SAFETY: Safe reduce with error handling
+      let totalAggregatedCost = storedCost;
+      try {
+        if (result.length > 0) {
+          const calculated = result.reduce((sum, workload) => {
+            try {
+              const cost = workload?.monthlyCost.amount || 0;
+              const numCost = typeof cost === 'number' ? cost : parseFloat(cost) || 0;
+              return sum + numCost;
+            } catch (e) {
+              return sum; // Skip invalid workloads
+            }
+          }, storedCost);
+          totalAggregatedCost = typeof calculated === 'number' ? calculated : 0;
+        }
+      } catch (reduceError) {
+        console.warn('[streamingCsvParser] Error calculating totalAggregatedCost:', reduceError);
+        totalAggregatedCost = 0; // Ensure it's always a number
+      }
+
+      // CRITICAL: Ensure totalAggregatedCost is always a number
+      if (typeof totalAggregatedCost !== 'number' || isNaN(totalAggregatedCost)) {
+        console.warn('[streamingCsvParser] totalAggregatedCost is not a number, defaulting to 0');
+        totalAggregatedCost = 0;
+      }
+
+      // CRITICAL DEBUG: Log row processing statistics
+      console.log(`\n=== CSV PARSING SUMMARY${sourceLabel ? ` (${sourceLabel})` : ''} ===`);
+      console.log(`Schema profile: ${schemaProfile ? schemaProfile.label : 'unknown'}`);
+      console.log(`Cost basis: ${costBasisInfo ? costBasisInfo.label : 'unknown'}`);
+      console.log(`Total rows read: ${totalRowsRead.toLocaleString()}`);
+      console.log(`Rows processed: ${processedRows.toLocaleString()}`);
+      console.log(`Rows skipped - no productCode: ${skippedRows.noProductCode.toLocaleString()}`);
+      console.log(`Rows skipped - TAX: ${skippedRows.tax.toLocaleString()}`);
+      console.log(`Rows excluded from baseline - line item type: ${skippedRows.excludedLineItemType.toLocaleString()}`);
+      console.log(`Rows with zero cost (included): ${skippedRows.zeroCost.toLocaleString()}`);
+      console.log(`Unique workloads created: ${(result.length + storedWorkloads).toLocaleString()}`);
+      console.log(`Total raw cost: $${totalRawCost.toFixed(2)}`);
+      console.log(`Total aggregated cost: $${totalAggregatedCost.toFixed(2)}`);
+      console.log(`===========================\n`);
+
+      // Attach metadata with raw total cost (sum of ALL rows before aggregation)
+      result._metadata = {
+        totalRawCost: totalRawCost,
+        totalAggregatedCost: totalAggregatedCost,
+        totalRows: totalRowsRead,
+        uniqueWorkloads: result.length + storedWorkloads,
+        storedWorkloads: storedWorkloads,
+        skippedRows: skippedRows,
+        processedRows: processedRows,
+        schemaProfile: schemaProfile,
+        costBasis: costBasisInfo,
+        lineItemLedger: lineItemLedger,
+        costByMonth: costByMonth,
+        ingestionReport: ingestionReport,
+        resumedFromByteOffset: resumedFromByteOffset,
+        sampling: samplingSummary
+      };
+
+      console.log('streamingCsvParser.js: totalRawCost', totalRawCost);
+      console.log('streamingCsvParser.js: totalAggregatedCost', totalAggregatedCost);
+
+      return result;
+    };
+    
     // PERFORMANCE: Optimized chunk processing - uses indices instead of substring operations
     const processChunk = async (chunk) => {
       buffer += chunk;
@@ -585,17 +997,20 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
             processLine(line);
             linesProcessedInBatch++;
           } catch (error) {
+            // Header errors are fatal - every following row would be misread
+            if (!headerIndices) throw error;
             // Only log errors occasionally to avoid performance hit
             if (lineNumber % 100000 === 0) {
               console.warn(`Error processing line ${lineNumber}:`, error);
             }
           }
-        } else if (line.length > 0) {
-          // Line has content but starts with whitespace - still process it
+        } else if (line.length > 0 || csvRecords.pending() !== null) {
+          // Line has content but starts with whitespace (or continues a quoted field) - still process it
           try {
             processLine(line);
             linesProcessedInBatch++;
           } catch (error) {
+            if (!headerIndices) throw error;
             if (lineNumber % 100000 === 0) {
               console.warn(`Error processing line ${lineNumber}:`, error);
             }
@@ -603,25 +1018,9 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
         }
         
         // CRITICAL: Periodically flush workloads to IndexedDB if repository provided and map is large
-        // Check every 10K lines to avoid overhead
-        if (workloadRepository && workloadMap.size >= FLUSH_TO_DB_THRESHOLD && lineNumber % 10000 === 0) {
-          try {
-            const workloadsToFlush = Array.from(workloadMap.values());
-            console.log(`[streamingCsvParser] Flushing ${workloadsToFlush.length.toLocaleString()} workloads to IndexedDB to free memory...`);
-            
-            await workloadRepository.saveManyImmediate(workloadsToFlush);
-            
-            workloadsSavedToDB += workloadsToFlush.length;
-            workloadMap.clear(); // CRITICAL: Clear map to free memory
-            console.log(`[streamingCsvParser] Flushed ${workloadsToFlush.length.toLocaleString()} workloads, cleared map. Total saved to DB: ${workloadsSavedToDB.toLocaleString()}`);
-            
-            // Force GC hint
-            if (global.gc) global.gc();
-            else if (window.gc) window.gc();
-          } catch (flushError) {
-            console.error(`[streamingCsvParser] Error flushing workloads to DB:`, flushError);
-            // Continue processing - don't abort on flush error
-          }
+        // Check every 10K lines to avoid overhead. Resumable imports only flush when committing a checkpoint.
+        if (lineNumber % 10000 === 0 && !checkpointing) {
+          await flushWorkloadsToDB();
         }
       }
       
@@ -630,7 +1029,7 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
         buffer = buffer.substring(searchStart);
       }
       
-      bytesProcessed += chunk.length;
+      bytesProcessed = getSourceBytesRead ? getSourceBytesRead() : bytesProcessed + chunk.length;
       
       // CRITICAL: Check memory periodically during chunk processing (more frequently)
       if (linesProcessedInBatch > 0 && performance.memory && lineNumber % 25000 === 0) {
@@ -703,11 +1102,12 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
           const line = buffer.substring(localSearchStart, localNewlineIndex);
           localSearchStart = localNewlineIndex + 1;
           
-          if (line.length > 0) {
+          if (line.length > 0 || csvRecords.pending() !== null) {
             try {
               processLine(line);
               linesProcessedInBatch++;
             } catch (error) {
+              if (!headerIndices) throw error;
               if (lineNumber % 100000 === 0) {
                 console.warn(`Error processing line ${lineNumber}:`, error);
               }
@@ -729,9 +1129,72 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
       }
     };
       
-      // Handle File object
-      if (fileOrBuffer instanceof File || fileOrBuffer instanceof Blob) {
-      const reader = fileOrBuffer.stream().getReader();
+      // Handle pre-parsed rows (e.g. Parquet row groups) - same aggregation, flushing and progress as CSV
+      if (rowSource) {
+        let lastReportedPercent = -1;
+        const processRowSource = async () => {
+          for await (const batch of rowSource) {
+            for (const row of batch.rows) {
+              try {
+                processRecord(row);
+              } catch (error) {
+                // Header errors are fatal - every following row would be misread
+                if (!headerIndices) throw error;
+                if (lineNumber % 100000 === 0) {
+                  console.warn(`Error processing row ${lineNumber}:`, error);
+                }
+              }
+              
+              // CRITICAL: Periodically flush workloads to IndexedDB (same cadence as CSV lines)
+              if (lineNumber % 10000 === 0) {
+                await flushWorkloadsToDB();
+              }
+            }
+            
+            if (typeof batch.bytesProcessed === 'number') {
+              bytesProcessed = batch.bytesProcessed;
+            }
+            
+            // CRITICAL: Abort before the browser runs out of memory (checkMemory rejects)
+            if (!checkMemory()) return;
+            
+            // PERFORMANCE: Only call progress callback when the percentage changes
+            const percent = totalBytes > 0 ? Math.round((bytesProcessed / totalBytes) * 100) : 0;
+            if (onProgress && totalBytes > 0 && percent !== lastReportedPercent) {
+              lastReportedPercent = percent;
+              onProgress({
+                bytesProcessed,
+                totalBytes,
+                percent,
+                linesProcessed: lineNumber
+              });
+            }
+            
+            // Yield to event loop between batches to keep the UI responsive
+            await new Promise(resolve => setTimeout(resolve, 0));
+          }
+          
+          const result = await finalizeResult('row source');
+          resolve(result);
+        };
+        
+        processRowSource().catch((error) => {
+          console.error('[streamingCsvParser] Error processing row source:', error);
+          console.error('[streamingCsvParser] Rows processed:', lineNumber);
+          reject(error);
+        });
+      } else if (fileOrBuffer instanceof File || fileOrBuffer instanceof Blob) {
+      // CRITICAL: Gzip input is decompressed chunk by chunk - the file is never fully inflated in memory
+      let reader;
+      if (compression === 'gzip') {
+        const gunzipReader = createGunzipReader(fileOrBuffer);
+        getSourceBytesRead = gunzipReader.getCompressedBytesRead;
+        reader = gunzipReader;
+      } else if (compression) {
+        throw new Error(`Unsupported compression: ${compression}`);
+      } else if (!checkpointing) {
+        reader = fileOrBuffer.stream().getReader();
+      }
       const decoder = new TextDecoder('utf-8');
       
       // CRITICAL: Add timeout to prevent infinite loop if reader hangs
@@ -740,16 +1203,29 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
       // Dynamic timeout based on file size: 5 minutes per 100MB (very generous), minimum 15 minutes, maximum 120 minutes
       // Based on observed processing times: ~830MB files take ~13-14 minutes normally, but can slow down to 30+ minutes
       // when IndexedDB has many workloads already stored
-      const fileSizeMB = (fileOrBuffer.size || 0) / (1024 * 1024);
+      // Compressed CUR parts inflate roughly 10x, so size the timeout on the estimated CSV size
+      const GZIP_EXPANSION_ESTIMATE = 10;
+      const fileSizeMB = ((fileOrBuffer.size || 0) / (1024 * 1024)) * (compression === 'gzip' ? GZIP_EXPANSION_ESTIMATE : 1);
       const baseTimeout = 900000; // 15 minutes base
       const sizeBasedTimeout = Math.ceil(fileSizeMB / 100) * 300000; // 5 minutes per 100MB
       const READ_TIMEOUT_MS = Math.min(Math.max(baseTimeout, sizeBasedTimeout), 7200000); // Max 120 minutes
-      console.log(`[streamingCsvParser] File size: ${fileSizeMB.toFixed(1)}MB, timeout: ${(READ_TIMEOUT_MS / 60000).toFixed(1)} minutes`);
+      console.log(`[streamingCsvParser] File size: ${fileSizeMB.toFixed(1)}MB${compression ? ' (estimated uncompressed)' : ''}, timeout: ${(READ_TIMEOUT_MS / 60000).toFixed(1)} minutes`);
       const startTime = Date.now();
       let lastProgressLog = 0; // Track last progress log time
       
       const readChunk = async () => {
         try {
+          // Resumable import: continue after the last committed checkpoint of this file
+          if (checkpointing) {
+            resumedFromByteOffset = await restoreCheckpoint();
+            // Workloads of an earlier run that was not resumed are stale
+            if (resumedFromByteOffset === 0 && scratchRepository) {
+              await workloadRepository.clear();
+            }
+            bytesProcessed = resumedFromByteOffset;
+            reader = (resumedFromByteOffset > 0 ? fileOrBuffer.slice(resumedFromByteOffset) : fileOrBuffer).stream().getReader();
+          }
+          
           while (true) {
             // CRITICAL: Check memory every 100 iterations to prevent crashes
             if (readIterations % 100 === 0) {
@@ -825,104 +1301,21 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
               await processRemainingBuffer();
               
               // Process last line if buffer has content without newline
-              if (buffer.trim()) {
-                processLine(buffer);
-                buffer = '';
-              }
-              
-              // CRITICAL: If workloads were flushed to DB, load them back
-              let result = [];
-              if (workloadsSavedToDB > 0 && workloadRepository) {
-                try {
-                  console.log(`[streamingCsvParser] Loading ${workloadsSavedToDB.toLocaleString()} workloads from IndexedDB...`);
-                  const savedWorkloads = await workloadRepository.findAll();
-                  result = savedWorkloads;
-                  console.log(`[streamingCsvParser] Loaded ${savedWorkloads.length.toLocaleString()} workloads from IndexedDB`);
-                } catch (loadError) {
-                  console.error('[streamingCsvParser] Error loading workloads from DB:', loadError);
-                  // Fallback to in-memory workloads
-                }
-              }
-              
-              // Add remaining in-memory workloads
-              try {
-                const inMemoryWorkloads = Array.from(workloadMap.values());
-                result = result.concat(inMemoryWorkloads);
-              } catch (arrayError) {
-                console.error('[streamingCsvParser] Error converting workloadMap to array:', arrayError);
-                // Fallback: manual conversion
-                for (const workload of workloadMap.values()) {
-                  result.push(workload);
-                  // Safety limit
-                  if (result.length > 1000000) {
-                    console.warn('[streamingCsvParser] Too many workloads, limiting to 1M');
-                    break;
-                  }
-                }
-              }
-              
-              // Validate that we have data rows (not just header)
-              const totalRowsRead = lineNumber - 1; // Exclude header
-              if (!headers || totalRowsRead === 0) {
-                reject(new Error('CSV file contains no data rows'));
-                return;
-              }
+              processLastLine();
               
-              // SAFETY: Safe reduce with error handling
-              let totalAggregatedCost = 0;
-              try {
-                if (result.length > 0) {
-                  const calculated = result.reduce((sum, workload) => {
-                    try {
-                      const cost = workload?.monthlyCost.amount || 0;
-                      const numCost = typeof cost === 'number' ? cost : parseFloat(cost) || 0;
-                      return sum + numCost;
-                    } catch (e) {
-                      return sum; // Skip invalid workloads
-                    }
-                  }, 0);
-                  totalAggregatedCost = typeof calculated === 'number' ? calculated : 0;
-                }
-              } catch (reduceError) {
-                console.warn('[streamingCsvParser] Error calculating totalAggregatedCost:', reduceError);
-                totalAggregatedCost = 0; // Ensure it's always a number
+              const result = await finalizeResult();
+              if (checkpointing) {
+                await clearCurImportCheckpoint(resumeFileId);
               }
-              
-              // CRITICAL: Ensure totalAggregatedCost is always a number
-              if (typeof totalAggregatedCost !== 'number' || isNaN(totalAggregatedCost)) {
-                console.warn('[streamingCsvParser] totalAggregatedCost is not a number, defaulting to 0');
-                totalAggregatedCost = 0;
-              }
-              
-              // CRITICAL DEBUG: Log row processing statistics
-              console.log(`\n=== CSV PARSING SUMMARY ===`);
-              console.log(`Total rows read: ${totalRowsRead.toLocaleString()}`);
-              console.log(`Rows processed: ${processedRows.toLocaleString()}`);
-              console.log(`Rows skipped - no productCode: ${skippedRows.noProductCode.toLocaleString()}`);
-              console.log(`Rows skipped - TAX: ${skippedRows.tax.toLocaleString()}`);
-              console.log(`Rows with zero cost (included): ${skippedRows.zeroCost.toLocaleString()}`);
-              console.log(`Unique workloads created: ${result.length.toLocaleString()}`);
-              console.log(`Total raw cost: $${totalRawCost.toFixed(2)}`);
-              console.log(`Total aggregated cost: $${totalAggregatedCost.toFixed(2)}`);
-              console.log(`===========================\n`);
-              
-              // Attach metadata with raw total cost (sum of ALL rows before aggregation)
-              result._metadata = {
-                totalRawCost: totalRawCost,
-                totalAggregatedCost: totalAggregatedCost,
-                totalRows: totalRowsRead,
-                uniqueWorkloads: result.length,
-                skippedRows: skippedRows,
-                processedRows: processedRows
-              };
-              
-              console.log('streamingCsvParser.js: totalRawCost', totalRawCost);
-              console.log('streamingCsvParser.js: totalAggregatedCost', totalAggregatedCost);
-
               resolve(result);
               return;
             }
             
+            if (checkpointing) {
+              rawBytesRead += value.byteLength;
+              pendingDecoderBytes = incompleteUtf8TailLength(value);
+            }
+            
             // PERFORMANCE: Decode entire chunk at once - M1 can handle large buffers efficiently
             const chunk = decoder.decode(value, { stream: true });
             
@@ -934,6 +1327,12 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
             if (readIterations % 5 === 0) {
               await processRemainingBuffer();
             }
+            
+            // Resumable import: commit a checkpoint every checkpointIntervalBytes, or once enough
+            // workloads are in memory that they would otherwise have been flushed
+            if (checkpointing && (rawBytesRead - lastCheckpointBytes >= checkpointIntervalBytes || workloadMap.size >= FLUSH_TO_DB_THRESHOLD)) {
+              await commitCheckpoint();
+            }
           }
         } catch (error) {
           // CRITICAL: Log error details before rejecting
@@ -979,12 +1378,9 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
           await processRemainingBuffer();
           
           // Process last line if buffer has content without newline
-          if (buffer.trim()) {
-            processLine(buffer);
-            buffer = '';
-          }
+          processLastLine();
           
-          const result = Array.from(workloadMap.values());
+          const result = inMemoryWorkloads();
           
           // Validate that we have data rows (not just header)
           const totalRowsRead = lineNumber - 1; // Exclude header
@@ -1021,10 +1417,13 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
         
           // CRITICAL DEBUG: Log row processing statistics
           console.log(`\n=== CSV PARSING SUMMARY (ArrayBuffer path) ===`);
+          console.log(`Schema profile: ${schemaProfile ? schemaProfile.label : 'unknown'}`);
+          console.log(`Cost basis: ${costBasisInfo ? costBasisInfo.label : 'unknown'}`);
           console.log(`Total rows read: ${totalRowsRead.toLocaleString()}`);
           console.log(`Rows processed: ${processedRows.toLocaleString()}`);
           console.log(`Rows skipped - no productCode: ${skippedRows.noProductCode.toLocaleString()}`);
           console.log(`Rows skipped - TAX: ${skippedRows.tax.toLocaleString()}`);
+          console.log(`Rows excluded from baseline - line item type: ${skippedRows.excludedLineItemType.toLocaleString()}`);
           console.log(`Rows with zero cost (included): ${skippedRows.zeroCost.toLocaleString()}`);
           console.log(`Unique workloads created: ${result.length.toLocaleString()}`);
           console.log(`Total raw cost: $${totalRawCost.toFixed(2)}`);
@@ -1038,7 +1437,13 @@ export const parseAwsCurStreaming = async (fileOrBuffer, onProgress, options = {
             totalRows: totalRowsRead,
             uniqueWorkloads: result.length,
             skippedRows: skippedRows,
-            processedRows: processedRows
+            processedRows: processedRows,
+            schemaProfile: schemaProfile,
+            costBasis: costBasisInfo,
+            lineItemLedger: lineItemLedger,
+            costByMonth: costByMonth,
+            ingestionReport: ingestionReport,
+            sampling: samplingSummary
           };
           
           console.log('streamingCsvParser.js: totalRawCost', totalRawCost);
@@ -0,0 +1,133 @@
+/**
+ * Text Record Reader
+ *
+ * Reads a File/Blob (optionally gzip-compressed) or ArrayBuffer as a stream of text lines or CSV
+ * records, in batches, without holding the whole file in memory. Used by the billing export
+ * parsers that are not CUR files (Azure cost exports, GCP billing exports).
+ */
+
+import { createGunzipReader } from './gzipStream.js';
+import { createCsvRecordReader, parseCsvRecord, detectDelimiter, stripBom } from './csvTokenizer.js';
+
+/**
+ * Open a byte reader over the input
+ * @param {File|Blob|ArrayBuffer} fileOrBuffer
+ * @param {string} compression - Optional 'gzip'
+ * @returns {{read: Function, cancel: Function, getBytesRead: Function|null}}
+ */
+function openByteReader(fileOrBuffer, compression) {
+  if (typeof Blob !== 'undefined' && fileOrBuffer instanceof Blob) {
+    if (compression === 'gzip') {
+      const gunzipReader = createGunzipReader(fileOrBuffer);
+      return { read: gunzipReader.read, cancel: gunzipReader.cancel, getBytesRead: gunzipReader.getCompressedBytesRead };
+    }
+    if (compression) {
+      throw new Error(`Unsupported compression: ${compression}`);
+    }
+    const reader = fileOrBuffer.stream().getReader();
+    return { read: () => reader.read(), cancel: () => reader.cancel(), getBytesRead: null };
+  }
+
+  // ArrayBuffer: hand it over as a single chunk
+  let consumed = false;
+  return {
+    read: async () => {
+      if (consumed) return { done: true, value: undefined };
+      consumed = true;
+      return { done: false, value: new Uint8Array(fileOrBuffer) };
+    },
+    cancel: () => {},
+    getBytesRead: null
+  };
+}
+
+/**
+ * Read text lines in batches (line endings removed, '\r\n' and '\n' both accepted)
+ * @param {File|Blob|ArrayBuffer} fileOrBuffer
+ * @param {string} compression - Optional 'gzip'
+ * @yields {{lines: string[], bytesProcessed: number}} bytesProcessed counts compressed bytes for gzip input
+ */
+export async function* readTextLines(fileOrBuffer, compression) {
+  const reader = openByteReader(fileOrBuffer, compression);
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let bytesProcessed = 0;
+
+  const takeLines = () => {
+    const lines = [];
+    let start = 0;
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n', start)) !== -1) {
+      const line = buffer.substring(start, newlineIndex);
+      lines.push(line.endsWith('\r') ? line.slice(0, -1) : line);
+      start = newlineIndex + 1;
+    }
+    buffer = buffer.substring(start);
+    return lines;
+  };
+
+  let finished = false;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        finished = true;
+        buffer += decoder.decode();
+        const lines = takeLines();
+        if (buffer.length > 0) {
+          lines.push(buffer.endsWith('\r') ? buffer.slice(0, -1) : buffer);
+          buffer = '';
+        }
+        yield { lines, bytesProcessed };
+        return;
+      }
+      bytesProcessed = reader.getBytesRead ? reader.getBytesRead() : bytesProcessed + value.byteLength;
+      buffer += decoder.decode(value, { stream: true });
+      yield { lines: takeLines(), bytesProcessed };
+    }
+  } finally {
+    // Release the stream when the caller stops early (header sniffing, parse errors)
+    if (!finished) {
+      try {
+        await reader.cancel();
+      } catch (e) {
+        // Ignore cancel errors
+      }
+    }
+  }
+}
+
+/**
+ * Read CSV records in batches
+ * Lines are joined while a quoted field is open, so JSON cells (tags, labels) may span lines
+ * (see csvTokenizer.js).
+ * @param {File|Blob|ArrayBuffer} fileOrBuffer
+ * @param {string} compression - Optional 'gzip'
+ * @yields {{rows: string[][], bytesProcessed: number}}
+ */
+export async function* readCsvRecords(fileOrBuffer, compression) {
+  const recordReader = createCsvRecordReader();
+  let delimiter = null; // Detected from the header row
+  let bytesProcessed = 0;
+
+  for await (const batch of readTextLines(fileOrBuffer, compression)) {
+    bytesProcessed = batch.bytesProcessed;
+    const rows = [];
+    for (const line of batch.lines) {
+      let record = recordReader.push(line, delimiter || ',');
+      if (record === null || record.trim().length === 0) continue;
+      if (delimiter === null) {
+        record = stripBom(record);
+        delimiter = detectDelimiter(record);
+      }
+      rows.push(parseCsvRecord(record, delimiter));
+    }
+    yield { rows, bytesProcessed };
+  }
+
+  // SAFETY: An unterminated quote at end of file still yields its record
+  const unterminated = recordReader.flush();
+  if (unterminated) {
+    yield { rows: [parseCsvRecord(unterminated, delimiter || ',')], bytesProcessed };
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * AWS Usage Type Classifier
+ *
+ * Product codes only say which service billed a row: EC2 covers instance hours, EBS volumes, data
+ * transfer and NAT gateways alike. `lineItem/UsageType` tells them apart, and each lands on a different
+ * GCP SKU with its own pricing. A rule table of usage type families (regular expressions, first match
+ * wins) gives every CUR row a cost component - compute, storage, network or license - and the GCP SKU
+ * family it is priced as. Parsers add each row's cost to its workload's component (costByComponent) so
+ * GCPCostEstimator can price the components separately.
+ *
+ * Usage types carry a region prefix (USE1-, EUC1-, USE1-USW2- for inter-region transfer, US- / EU- for
+ * CloudFront edge zones) that is stripped before matching. Rows no rule matches fall back to the
+ * component of their workload type (storage services to storage, network services to network, the
+ * rest to compute).
+ */
+
+export const CostComponent = {
+  COMPUTE: 'compute',
+  STORAGE: 'storage',
+  NETWORK: 'network',
+  LICENSE: 'license'
+};
+
+export const COST_COMPONENTS = Object.values(CostComponent);
+
+export const COST_COMPONENT_LABELS = {
+  [CostComponent.COMPUTE]: 'Compute',
+  [CostComponent.STORAGE]: 'Storage',
+  [CostComponent.NETWORK]: 'Network',
+  [CostComponent.LICENSE]: 'License'
+};
+
+/**
+ * Usage type families, in match order
+ * pattern matches the usage type without its region prefix; productCodes / productCodePattern
+ * (optional) limit a rule to rows of those product codes (upper case).
+ */
+export const USAGE_TYPE_RULES = [
+  // Software and subscriptions: priced as-is, never discounted
+  { id: 'marketplace', component: CostComponent.LICENSE, gcpSku: 'Google Cloud Marketplace', productCodePattern: /^(?!AMAZON|AWS)[A-Z0-9]{20,}$/ },
+  { id: 'support', component: CostComponent.LICENSE, gcpSku: 'Google Cloud Customer Care', productCodePattern: /SUPPORT/ },
+  { id: 'license', component: CostComponent.LICENSE, gcpSku: 'Premium image / BYOL licence', pattern: /Licen[cs]e|BYOL|SoftwareUsage/i },
+
+  // Network
+  { id: 'cdn', component: CostComponent.NETWORK, gcpSku: 'Cloud CDN', productCodes: ['AMAZONCLOUDFRONT', 'CLOUDFRONT'] },
+  { id: 'nat-gateway', component: CostComponent.NETWORK, gcpSku: 'Cloud NAT', pattern: /^NatGateway-/i },
+  { id: 'load-balancer', component: CostComponent.NETWORK, gcpSku: 'Cloud Load Balancing', pattern: /^(LoadBalancerUsage|LCUUsage|DataProcessing-Bytes|LoadBalancer|.*LCUUsage)/i },
+  { id: 'vpn', component: CostComponent.NETWORK, gcpSku: 'Cloud VPN', pattern: /^VPN-Usage/i },
+  { id: 'transit-gateway', component: CostComponent.NETWORK, gcpSku: 'Network Connectivity Center', pattern: /^TransitGateway-/i },
+  { id: 'interconnect', component: CostComponent.NETWORK, gcpSku: 'Cloud Interconnect', pattern: /^(PortUsage|DataXfer-(In|Out))/i },
+  { id: 'vpc-endpoint', component: CostComponent.NETWORK, gcpSku: 'Private Service Connect', pattern: /^VpcEndpoint-/i },
+  { id: 'public-ip', component: CostComponent.NETWORK, gcpSku: 'External IP addresses', pattern: /^(PublicIPv4|ElasticIP)/i },
+  { id: 'internet-egress', component: CostComponent.NETWORK, gcpSku: 'Internet egress (Premium Tier)', pattern: /^DataTransfer-Out-Bytes/i },
+  { id: 'inter-region-egress', component: CostComponent.NETWORK, gcpSku: 'Inter-region egress', pattern: /^AWS-(In|Out)-(Bytes|ABytes)/i },
+  { id: 'inter-zone-egress', component: CostComponent.NETWORK, gcpSku: 'Inter-zone egress', pattern: /^DataTransfer-Regional-Bytes/i },
+  { id: 'ingress', component: CostComponent.NETWORK, gcpSku: 'Ingress (no charge)', pattern: /^DataTransfer-In-Bytes/i },
+  { id: 'data-transfer', component: CostComponent.NETWORK, gcpSku: 'Network egress', pattern: /DataTransfer|-Bytes-Internet|CloudFront-(In|Out)/i },
+
+  // Storage
+  { id: 'block-storage-ssd', component: CostComponent.STORAGE, gcpSku: 'Persistent Disk (pd-balanced)', pattern: /^EBS:VolumeUsage(\.gp[23])?$/i },
+  { id: 'block-storage-provisioned', component: CostComponent.STORAGE, gcpSku: 'Persistent Disk (pd-ssd / Hyperdisk)', pattern: /^EBS:(VolumeUsage\.(piops|io2)|VolumeP-(IOPS|Throughput)|VolumeIOUsage)/i },
+  { id: 'block-storage-hdd', component: CostComponent.STORAGE, gcpSku: 'Persistent Disk (pd-standard)', pattern: /^EBS:VolumeUsage\.(st1|sc1)/i },
+  { id: 'block-storage-snapshot', component: CostComponent.STORAGE, gcpSku: 'Persistent Disk snapshots', pattern: /^EBS:(Snapshot|FastSnapshotRestore)/i },
+  { id: 'file-storage', component: CostComponent.STORAGE, gcpSku: 'Filestore', productCodes: ['AMAZONEFS', 'EFS', 'AMAZONFSX', 'FSX'] },
+  { id: 'object-storage', component: CostComponent.STORAGE, gcpSku: 'Cloud Storage', productCodes: ['AMAZONS3', 'S3', 'AMAZONGLACIER', 'GLACIER'], pattern: /^(TimedStorage|TagStorage|Inventory|StorageAnalytics|EarlyDelete)/i },
+  { id: 'object-operations', component: CostComponent.STORAGE, gcpSku: 'Cloud Storage operations and retrieval', productCodes: ['AMAZONS3', 'S3', 'AMAZONGLACIER', 'GLACIER'], pattern: /^(Requests-|Retrieval-|Select-|.*-Retrieval)/i },
+  { id: 'database-storage', component: CostComponent.STORAGE, gcpSku: 'Database storage and backups', pattern: /^((RDS|Aurora|DocDB|Neptune|Redshift):)?(.*-Storage|StorageUsage|StorageIOUsage|PIOPS|ChargedBackupUsage|BackupUsage|TimedStorage|TimedPITRStorage|TimedBackupStorage|PITR)/i },
+  { id: 'backup-storage', component: CostComponent.STORAGE, gcpSku: 'Backup and DR', pattern: /^(WarmStorage|ColdStorage|Backup)/i },
+
+  // Compute
+  { id: 'instance-hours', component: CostComponent.COMPUTE, gcpSku: 'Compute Engine vCPU and memory', pattern: /^(BoxUsage|SpotUsage|DedicatedUsage|HostUsage|HostBoxUsage|ReservedHostUsage|UnusedBox|UnusedDed)/i },
+  { id: 'commitment-fees', component: CostComponent.COMPUTE, gcpSku: 'Committed use discounts', pattern: /^(HeavyUsage|[A-Za-z0-9]*SP:)/i },
+  { id: 'database-instances', component: CostComponent.COMPUTE, gcpSku: 'Cloud SQL / AlloyDB vCPU and memory', pattern: /^((RDS|Aurora|DocDB|Neptune):)?(InstanceUsage|Multi-AZUsage|ServerlessUsage|ServerlessV2Usage|Multi-AZClusterUsage)/i },
+  { id: 'managed-nodes', component: CostComponent.COMPUTE, gcpSku: 'Managed service nodes', pattern: /^(NodeUsage|Node:|ESInstance|ES:)/i },
+  { id: 'containers', component: CostComponent.COMPUTE, gcpSku: 'GKE Autopilot / Cloud Run vCPU and memory', pattern: /^(Fargate-(vCPU|GB|ARM)|AmazonEKS-Hours)/i },
+  { id: 'functions', component: CostComponent.COMPUTE, gcpSku: 'Cloud Run functions', productCodes: ['AWSLAMBDA', 'LAMBDA'] }
+];
+
+// Rows no rule matches, by the component of their workload type
+const FALLBACK_RULES = {
+  [CostComponent.COMPUTE]: { id: 'unclassified-compute', component: CostComponent.COMPUTE, gcpSku: null },
+  [CostComponent.STORAGE]: { id: 'unclassified-storage', component: CostComponent.STORAGE, gcpSku: null },
+  [CostComponent.NETWORK]: { id: 'unclassified-network', component: CostComponent.NETWORK, gcpSku: null }
+};
+
+const SERVICE_TYPE_COMPONENTS = {
+  storage: CostComponent.STORAGE,
+  network: CostComponent.NETWORK
+};
+
+// Region (USE1-, USE1-USW2-) or CloudFront edge zone (US-, EU-) prefix of a usage type
+const REGION_PREFIX = /^(?:[A-Z]{2,4}\d{1,2}-){1,2}|^(?:US|EU|AP|CA|JP|IN|AU|SA|ZA|ME|AF|KR)-/;
+
+// PERFORMANCE: called once per CUR row; a bill has a few thousand distinct usage types at most
+const MAX_CACHE_ENTRIES = 20000;
+const classificationCache = new Map();
+
+/**
+ * Strip the region / edge zone prefix from a usage type
+ * @param {string} usageType - e.g. 'USE1-EBS:VolumeUsage.gp3'
+ * @returns {string} e.g. 'EBS:VolumeUsage.gp3'
+ */
+export function stripUsageTypeRegion(usageType) {
+  return String(usageType || '').trim().replace(REGION_PREFIX, '');
+}
+
+/**
+ * Classify a CUR row by its usage type
+ * @param {string} usageType - lineItem/UsageType
+ * @param {Object} context
+ * @param {string} context.productCode - lineItem/ProductCode
+ * @param {string} context.serviceType - Workload type of the row's service (getAwsServiceType), for the fallback
+ * @returns {{id: string, component: string, gcpSku: string|null}} Matching rule (or fallback)
+ */
+export function classifyUsageType(usageType, { productCode = '', serviceType = '' } = {}) {
+  const cacheKey = `${productCode}|${serviceType}|${usageType}`;
+  const cached = classificationCache.get(cacheKey);
+  if (cached) return cached;
+
+  const normalizedProductCode = String(productCode || '').trim().toUpperCase();
+  const normalizedUsageType = stripUsageTypeRegion(usageType);
+  const rule = USAGE_TYPE_RULES.find(candidate =>
+    (!candidate.productCodes || candidate.productCodes.includes(normalizedProductCode)) &&
+    (!candidate.productCodePattern || candidate.productCodePattern.test(normalizedProductCode)) &&
+    (!candidate.pattern || candidate.pattern.test(normalizedUsageType))
+  ) || FALLBACK_RULES[SERVICE_TYPE_COMPONENTS[serviceType] || CostComponent.COMPUTE];
+
+  if (classificationCache.size >= MAX_CACHE_ENTRIES) {
+    classificationCache.clear();
+  }
+  classificationCache.set(cacheKey, rule);
+  return rule;
+}
+
+/**
+ * Share of each component in a cost split, ignoring negative components (credits / refunds)
+ * @param {Object} costByComponent - Component -> cost
+ * @returns {Object|null} Component -> share (sums to 1), or null when nothing positive was billed
+ */
+export function componentShares(costByComponent) {
+  const positive = {};
+  let total = 0;
+  for (const [component, cost] of Object.entries(costByComponent || {})) {
+    if (cost > 0) {
+      positive[component] = cost;
+      total += cost;
+    }
+  }
+  if (total <= 0) return null;
+  const shares = {};
+  for (const [component, cost] of Object.entries(positive)) {
+    shares[component] = cost / total;
+  }
+  return shares;
+}
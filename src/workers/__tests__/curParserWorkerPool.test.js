@@ -0,0 +1,164 @@
+/**
+ * CUR Parser Worker Pool Tests
+ */
+
+import { CurParserWorkerPool } from '../curParserWorkerPool';
+import { CurParseFormat } from '../curParseFormats';
+import { Workload } from '../../domain/entities/Workload';
+
+// Minimal Worker stand-in: records posted messages and lets the test reply
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.posted.push(message);
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+FakeWorker.instances = [];
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('CurParserWorkerPool', () => {
+  let pool;
+  let dropped;
+
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    dropped = [];
+    pool = new CurParserWorkerPool({
+      maxWorkers: 2,
+      createWorker: () => new FakeWorker(),
+      dropDatabase: async (databaseName) => { dropped.push(databaseName); }
+    });
+  });
+
+  test('parses each file in its own worker and rebuilds workloads', async () => {
+    const progress = [];
+    const promise = pool.parseFile({ name: 'a.csv' }, CurParseFormat.CSV_STREAM, p => progress.push(p));
+    await flush();
+
+    const worker = FakeWorker.instances[0];
+    expect(worker.posted[0]).toEqual({
+      type: 'parse',
+      file: { name: 'a.csv' },
+      format: CurParseFormat.CSV_STREAM,
+      options: { scratchDatabaseName: expect.stringMatching(/^CurParserScratch-/) }
+    });
+
+    worker.reply({ type: 'progress', progress: { percent: 50 } });
+    worker.reply({
+      type: 'result',
+      isWorkloadEntity: true,
+      workloads: [{ id: 'i-1_ec2_us-east-1', name: 'i-1', service: 'EC2', monthlyCost: 12, sourceProvider: 'aws' }],
+      metadata: { totalRawCost: 12 }
+    });
+
+    const result = await promise;
+    expect(progress).toEqual([{ percent: 50 }]);
+    expect(result[0]).toBeInstanceOf(Workload);
+    expect(result[0].monthlyCost.amount).toBe(12);
+    expect(result._metadata.totalRawCost).toBe(12);
+    expect(worker.terminated).toBe(true);
+  });
+
+  test('joins the workload chunks posted before the result', async () => {
+    const promise = pool.parseFile({ name: 'a.csv.gz' }, CurParseFormat.GZIP);
+    await flush();
+
+    const worker = FakeWorker.instances[0];
+    const workload = (id, cost) => ({ id, name: id, service: 'EC2', monthlyCost: cost, sourceProvider: 'aws' });
+    worker.reply({ type: 'workloads', isWorkloadEntity: true, workloads: [workload('i-1', 1), workload('i-2', 2)] });
+    worker.reply({ type: 'workloads', isWorkloadEntity: true, workloads: [workload('i-3', 3)] });
+    expect(worker.terminated).toBe(false);
+    worker.reply({ type: 'result', isWorkloadEntity: true, workloads: [workload('i-4', 4)], metadata: { totalRawCost: 10 } });
+
+    const result = await promise;
+    expect(result.map(entry => entry.id)).toEqual(['i-1', 'i-2', 'i-3', 'i-4']);
+    expect(result.every(entry => entry instanceof Workload)).toBe(true);
+    expect(result._metadata.totalRawCost).toBe(10);
+  });
+
+  test('names the scratch database a streamed parse left its flushed workloads in', async () => {
+    const promise = pool.parseFile({ name: 'a.parquet' }, CurParseFormat.PARQUET);
+    await flush();
+
+    const worker = FakeWorker.instances[0];
+    worker.reply({ type: 'result', isWorkloadEntity: true, workloads: [], metadata: { uniqueWorkloads: 25000, storedWorkloads: 25000 } });
+
+    const result = await promise;
+    expect(result).toHaveLength(0);
+    expect(result._scratchDatabaseNames).toEqual([worker.posted[0].options.scratchDatabaseName]);
+    expect(dropped).toEqual([]);
+  });
+
+  test('forwards parser options to the worker', async () => {
+    const promise = pool.parseFile({ name: 'a.csv' }, CurParseFormat.CUR_TEXT, null, { costBasis: 'amortized' });
+    await flush();
+
+    const worker = FakeWorker.instances[0];
+    expect(worker.posted[0].options).toEqual({ costBasis: 'amortized' });
+    worker.reply({ type: 'result', isWorkloadEntity: false, workloads: [], metadata: null });
+    await expect(promise).resolves.toEqual([]);
+  });
+
+  test('queues files beyond maxWorkers', async () => {
+    const promises = ['a.csv', 'b.csv', 'c.csv'].map(name => pool.parseFile({ name }, CurParseFormat.CUR_TEXT));
+    await flush();
+    expect(FakeWorker.instances).toHaveLength(2);
+
+    FakeWorker.instances[0].reply({ type: 'result', isWorkloadEntity: false, workloads: [], metadata: null });
+    await flush();
+    expect(FakeWorker.instances).toHaveLength(3);
+
+    FakeWorker.instances[1].reply({ type: 'result', isWorkloadEntity: false, workloads: [], metadata: null });
+    FakeWorker.instances[2].reply({ type: 'result', isWorkloadEntity: false, workloads: [], metadata: null });
+    await expect(Promise.all(promises)).resolves.toHaveLength(3);
+  });
+
+  test('rejects with the worker error message', async () => {
+    const promise = pool.parseFile({ name: 'bad.csv' }, CurParseFormat.CSV_STREAM);
+    await flush();
+    FakeWorker.instances[0].reply({ type: 'error', message: 'CSV file contains no data rows' });
+
+    await expect(promise).rejects.toThrow('CSV file contains no data rows');
+  });
+
+  test('cancelAll terminates running workers and rejects queued files', async () => {
+    const promises = ['a.csv', 'b.csv', 'c.csv'].map(name => pool.parseFile({ name }, CurParseFormat.CSV_STREAM));
+    await flush();
+
+    pool.cancelAll('Pipeline cancelled');
+
+    for (const promise of promises) {
+      await expect(promise).rejects.toMatchObject({ message: 'Pipeline cancelled', cancelled: true });
+    }
+    expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+    expect(pool.activeCount).toBe(0);
+  });
+
+  test('cancelAll drops the scratch databases of cancelled files but keeps resumable imports', async () => {
+    const plain = pool.parseFile({ name: 'a.csv.gz' }, CurParseFormat.GZIP);
+    const resumable = pool.parseFile({ name: 'b.csv' }, CurParseFormat.CSV_STREAM, null, { resumeFileId: 'file-b' });
+    const queued = pool.parseFile({ name: 'c.csv' }, CurParseFormat.CSV_STREAM);
+    await flush();
+    const [plainWorker, resumableWorker] = FakeWorker.instances;
+    expect(resumableWorker.posted[0].options.scratchDatabaseName).toBe('CurParserScratch-file-b');
+
+    pool.cancelAll('Pipeline cancelled');
+
+    await Promise.all([plain, resumable, queued].map(promise => promise.catch(() => {})));
+    expect(dropped).toEqual([plainWorker.posted[0].options.scratchDatabaseName]);
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Create a CUR parser worker
+ *
+ * Kept in its own module so the `new URL(..., import.meta.url)` pattern webpack uses to
+ * bundle the worker is only loaded (via dynamic import) where Worker is available.
+ */
+
+export function createCurParserWorker() {
+  return new Worker(new URL('./curParser.worker.js', import.meta.url));
+}
@@ -0,0 +1,32 @@
+/**
+ * CUR Parse Formats
+ *
+ * Which parser a billing file (or ZIP member) is run through, shared by the
+ * worker pool on the main thread and the parser worker.
+ */
+
+export const CurParseFormat = {
+  CUR_TEXT: 'cur-text', // Small CUR CSV read into memory (parseAwsCur)
+  BILL_TEXT: 'bill-text', // Simplified bill CSV read into memory (parseAwsBillSimple)
+  CSV_STREAM: 'csv-stream', // Large CUR CSV streamed line by line (parseAwsCurStreaming)
+  GZIP: 'gzip', // .csv.gz streamed through the gunzip reader
+  PARQUET: 'parquet', // Parquet read row group by row group
+  AZURE_CSV: 'azure-csv' // Azure cost export streamed line by line (options.compression for .csv.gz)
+};
+
+// Formats that flush workloads to a scratch IndexedDB database while they are parsed
+export const STREAMED_FORMATS = [CurParseFormat.CSV_STREAM, CurParseFormat.GZIP, CurParseFormat.PARQUET, CurParseFormat.AZURE_CSV];
+
+const SCRATCH_DATABASE_PREFIX = 'CurParserScratch';
+
+/**
+ * Name the scratch database of a streamed parse
+ * A resumable import (options.resumeFileId) is named after its file so a later run finds it again;
+ * any other parse gets a database of its own.
+ * @param {Object} options - Parser options
+ * @returns {string}
+ */
+export function scratchDatabaseName(options = {}) {
+  const scratchId = options.resumeFileId || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  return `${SCRATCH_DATABASE_PREFIX}-${scratchId}`;
+}
@@ -0,0 +1,109 @@
+/**
+ * CUR Parser Worker
+ *
+ * Runs one CUR file through the parsers off the main thread.
+ * Messages in:  { type: 'parse', file, format, options }
+ * Messages out: { type: 'progress', progress }
+ *               { type: 'workloads', workloads, isWorkloadEntity } (zero or more, before the result)
+ *               { type: 'result', workloads, isWorkloadEntity, metadata }
+ *                 (metadata.storedWorkloads: workloads left in the scratch database, not posted)
+ *               { type: 'error', message }
+ *
+ * Workloads are posted as plain objects (toJSON) because entity instances do not survive
+ * structured cloning; CurParserWorkerPool rebuilds them on the main thread. Large results are
+ * posted RESULT_CHUNK_SIZE workloads at a time, the last chunk with the result.
+ *
+ * Streamed formats flush workloads to a scratch IndexedDB database of their own while parsing
+ * (options.scratchDatabaseName, named by CurParserWorkerPool), so files parsed side by side never
+ * write to each other's workloads or to the main store. A CSV_STREAM parse with options.resumeFileId
+ * is checkpointed from here: its database is named after the file and kept until the import
+ * completes, so a later run resumes with it.
+ *
+ * Workloads flushed to the scratch database stay there: only the ones still in memory are posted,
+ * and the database is handed over to the main thread, which reads it in pages and drops it
+ * (FileUploadManager). A database with nothing flushed is dropped here.
+ */
+
+import { parseAwsCurStreaming } from '../utils/streamingCsvParser.js';
+import { parseAwsCurParquet } from '../utils/parquetCurParser.js';
+import { parseAwsCur, parseAwsBillSimple } from '../utils/awsBomImport.js';
+import { parseAzureCostExportStreaming } from '../utils/azureCostExportParser.js';
+import { WorkloadRepository } from '../infrastructure/repositories/WorkloadRepository.js';
+import { CurParseFormat, STREAMED_FORMATS, scratchDatabaseName } from './curParseFormats.js';
+
+const RESULT_CHUNK_SIZE = 10000; // Workloads per message
+
+const parseFile = async (file, format, onProgress, options = {}) => {
+  switch (format) {
+    case CurParseFormat.CUR_TEXT:
+      return parseAwsCur(await file.text(), { ...options, sourceFile: file.name });
+    case CurParseFormat.BILL_TEXT:
+      return parseAwsBillSimple(await file.text());
+    case CurParseFormat.CSV_STREAM:
+      return parseAwsCurStreaming(file, onProgress, options);
+    case CurParseFormat.GZIP:
+      return parseAwsCurStreaming(file, onProgress, { ...options, compression: 'gzip' });
+    case CurParseFormat.PARQUET:
+      return parseAwsCurParquet(file, onProgress, options);
+    case CurParseFormat.AZURE_CSV:
+      return parseAzureCostExportStreaming(file, onProgress, options);
+    default:
+      throw new Error(`Unsupported CUR parse format: ${format}`);
+  }
+};
+
+const openScratchRepository = ({ scratchDatabaseName: databaseName, ...options }) => (
+  new WorkloadRepository({ databaseName: databaseName || scratchDatabaseName(options) })
+);
+
+// eslint-disable-next-line no-restricted-globals
+const workerScope = self;
+
+const postResult = (result) => {
+  const isWorkloadEntity = result.length > 0 && typeof result[0].toJSON === 'function';
+  const toMessage = (start) => {
+    const chunk = result.slice(start, start + RESULT_CHUNK_SIZE);
+    return isWorkloadEntity ? chunk.map(workload => workload.toJSON()) : chunk;
+  };
+
+  let start = 0;
+  for (; start + RESULT_CHUNK_SIZE < result.length; start += RESULT_CHUNK_SIZE) {
+    workerScope.postMessage({ type: 'workloads', workloads: toMessage(start), isWorkloadEntity });
+  }
+  workerScope.postMessage({
+    type: 'result',
+    workloads: toMessage(start),
+    isWorkloadEntity,
+    metadata: result._metadata || null
+  });
+};
+
+workerScope.onmessage = async (event) => {
+  const { type, file, format, options = {} } = event.data || {};
+  if (type !== 'parse') return;
+
+  const workloadRepository = STREAMED_FORMATS.includes(format) ? openScratchRepository(options) : null;
+  let result = null;
+  let failure = null;
+  try {
+    result = await parseFile(file, format, (progress) => {
+      workerScope.postMessage({ type: 'progress', progress });
+    }, workloadRepository ? { ...options, workloadRepository, scratchRepository: true } : options);
+  } catch (error) {
+    failure = error;
+  }
+
+  // Before the result is posted: the pool terminates the worker once it arrives.
+  // A resumable import that stopped keeps its database for the next run.
+  const handedOver = !failure && result?._metadata?.storedWorkloads > 0;
+  if (workloadRepository && !handedOver && (!failure || !options.resumeFileId)) {
+    await workloadRepository.drop();
+  }
+
+  try {
+    if (failure) throw failure;
+    postResult(result);
+  } catch (error) {
+    workerScope.postMessage({ type: 'error', message: error?.message || 'Unknown error in CUR parser worker' });
+  }
+};
@@ -0,0 +1,222 @@
+/**
+ * CUR Parser Worker Pool
+ *
+ * Parses CUR files in dedicated Web Workers so large bills do not freeze the UI.
+ * - One worker per file, up to maxWorkers at a time (further files are queued)
+ * - Progress messages are forwarded to the caller's onProgress callback
+ * - Results are rebuilt into Workload entities with the parser's _metadata attached; large results
+ *   arrive in chunks ('workloads' messages) that are rebuilt as they arrive. Workloads a streamed
+ *   parse flushed stay in its scratch database, named in the result's _scratchDatabaseNames for the
+ *   caller to read in pages and drop
+ * - cancelAll() terminates every running worker and rejects pending/queued files. The pool names
+ *   the scratch database of each streamed file, so it drops the databases of cancelled files
+ *   (except resumable imports, which keep theirs for the next run)
+ *
+ * Where Worker is unavailable (tests, old browsers) isSupported() is false and callers
+ * keep parsing on the main thread.
+ */
+
+import { Workload } from '../domain/entities/Workload.js';
+import { WorkloadRepository } from '../infrastructure/repositories/WorkloadRepository.js';
+import { STREAMED_FORMATS, scratchDatabaseName } from './curParseFormats.js';
+
+const DEFAULT_MAX_WORKERS = 4;
+
+export class CurParserWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxWorkers - Maximum concurrent workers
+   * @param {Function} options.createWorker - Worker factory (defaults to the bundled CUR parser worker)
+   * @param {Function} options.dropDatabase - Deletes a scratch database by name (defaults to WorkloadRepository.drop)
+   */
+  constructor(options = {}) {
+    const hardwareConcurrency = typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+      ? navigator.hardwareConcurrency
+      : DEFAULT_MAX_WORKERS;
+    this.maxWorkers = options.maxWorkers || Math.max(1, Math.min(DEFAULT_MAX_WORKERS, hardwareConcurrency - 1));
+    this._createWorker = options.createWorker || null;
+    this._dropDatabase = options.dropDatabase || (databaseName => new WorkloadRepository({ databaseName }).drop());
+    this._queue = [];
+    this._active = new Map(); // jobId -> { worker, job }
+    this._nextJobId = 1;
+  }
+
+  /**
+   * Whether files can be parsed in workers in this environment
+   * @returns {boolean}
+   */
+  isSupported() {
+    return Boolean(this._createWorker) || typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Number of files currently being parsed
+   * @returns {number}
+   */
+  get activeCount() {
+    return this._active.size;
+  }
+
+  /**
+   * Parse a file in a worker
+   * @param {File|Blob} file - CUR file (or ZIP member)
+   * @param {string} format - CurParseFormat value
+   * @param {Function} onProgress - Progress callback (same shape as parseAwsCurStreaming)
+   * @param {Object} options - Parser options that survive structured cloning (e.g. costBasis)
+   * @returns {Promise<Array>} Workloads with _metadata
+   */
+  parseFile(file, format, onProgress, options = {}) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({
+        id: this._nextJobId++,
+        file,
+        format,
+        options: STREAMED_FORMATS.includes(format) ? { ...options, scratchDatabaseName: scratchDatabaseName(options) } : options,
+        onProgress,
+        resolve,
+        reject
+      });
+      this._drain();
+    });
+  }
+
+  /**
+   * Terminate all running workers and reject pending and queued files
+   * @param {string} reason
+   */
+  cancelAll(reason = 'CUR parsing cancelled') {
+    const cancelledCount = this._active.size + this._queue.length;
+    if (cancelledCount === 0) return;
+
+    for (const { worker, job } of this._active.values()) {
+      try {
+        if (worker) worker.terminate();
+      } catch (e) {
+        // Ignore terminate errors - the worker is gone either way
+      }
+      job.reject(this._cancelledError(reason));
+      // A worker only drops its scratch database once it has finished parsing
+      if (worker && job.options.scratchDatabaseName && !job.options.resumeFileId) {
+        this._dropDatabase(job.options.scratchDatabaseName).catch(error => {
+          console.warn(`[CurParserWorkerPool] Failed to drop ${job.options.scratchDatabaseName}:`, error);
+        });
+      }
+    }
+    this._active.clear();
+
+    const queued = this._queue.splice(0);
+    for (const job of queued) {
+      job.reject(this._cancelledError(reason));
+    }
+
+    console.log(`[CurParserWorkerPool] Cancelled ${cancelledCount} file(s): ${reason}`);
+  }
+
+  _cancelledError(reason) {
+    const error = new Error(reason);
+    error.cancelled = true;
+    return error;
+  }
+
+  async _spawnWorker() {
+    if (this._createWorker) {
+      return this._createWorker();
+    }
+    // Dynamic import keeps the worker URL pattern out of environments without Worker
+    const { createCurParserWorker } = await import('./createCurParserWorker.js');
+    return createCurParserWorker();
+  }
+
+  _drain() {
+    while (this._queue.length > 0 && this._active.size < this.maxWorkers) {
+      const job = this._queue.shift();
+      // Reserve the slot before the worker exists so concurrent drains respect maxWorkers
+      this._active.set(job.id, { worker: null, job });
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    let worker;
+    try {
+      worker = await this._spawnWorker();
+    } catch (error) {
+      this._finish(job.id);
+      job.reject(error);
+      return;
+    }
+
+    // Cancelled while the worker was being created
+    if (!this._active.has(job.id)) {
+      worker.terminate();
+      return;
+    }
+    this._active.set(job.id, { worker, job });
+    const received = []; // Workloads of the chunks posted before the result
+
+    worker.onmessage = (event) => {
+      const message = event.data || {};
+      if (message.type === 'progress') {
+        if (job.onProgress) {
+          try {
+            job.onProgress(message.progress);
+          } catch (progressError) {
+            console.warn('[CurParserWorkerPool] Error in progress callback:', progressError);
+          }
+        }
+      } else if (message.type === 'workloads') {
+        for (const workload of this._toWorkloads(message)) {
+          received.push(workload);
+        }
+      } else if (message.type === 'result') {
+        this._finish(job.id, worker);
+        job.resolve(this._toResult(message, received, job));
+      } else if (message.type === 'error') {
+        this._finish(job.id, worker);
+        job.reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      if (event && typeof event.preventDefault === 'function') {
+        event.preventDefault();
+      }
+      this._finish(job.id, worker);
+      job.reject(new Error(`CUR parser worker failed for ${job.file?.name || 'file'}: ${event?.message || 'Unknown error'}`));
+    };
+
+    worker.postMessage({ type: 'parse', file: job.file, format: job.format, options: job.options });
+  }
+
+  _finish(jobId, worker) {
+    this._active.delete(jobId);
+    if (worker) {
+      try {
+        worker.terminate();
+      } catch (e) {
+        // Ignore terminate errors
+      }
+    }
+    this._drain();
+  }
+
+  _toWorkloads(message) {
+    return message.isWorkloadEntity
+      ? message.workloads.map(data => Workload.fromJSON(data))
+      : message.workloads;
+  }
+
+  _toResult(message, received = [], job = null) {
+    const workloads = received.length > 0 ? received.concat(this._toWorkloads(message)) : this._toWorkloads(message);
+    if (message.metadata) {
+      workloads._metadata = message.metadata;
+    }
+    if (message.metadata?.storedWorkloads > 0 && job?.options.scratchDatabaseName) {
+      workloads._scratchDatabaseNames = [job.options.scratchDatabaseName];
+    }
+    return workloads;
+  }
+}
+
+// Shared pool: uploads parse through it and PipelineOrchestrator cancels it
+export const curParserWorkerPool = new CurParserWorkerPool();